@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { hashPassword, isPasswordHash } = require('./services/auth/passwords');
 
 // Escolha do diretório de dados:
 // 1) se configurar um disco no Render, monte em /var/data e defina DATA_DIR=/var/data
@@ -46,6 +47,104 @@ const db = new sqlite3.Database(
 
 
 // --- Schema / migrações (serializado) --------------------------------------
+// Plano de contas por empresa; a unicidade considera o escopo (índice idx_chart_of_accounts_escopo)
+const CHART_OF_ACCOUNTS_SCHEMA = `
+  CREATE TABLE {tabela} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source VARCHAR(50) DEFAULT 'dominio' NOT NULL,
+    empresa_id VARCHAR(255) REFERENCES empresas (id) ON DELETE CASCADE,
+    account_code VARCHAR(100) NOT NULL,
+    account_name VARCHAR(255) NOT NULL,
+    account_level INTEGER,
+    parent_code VARCHAR(100),
+    account_type VARCHAR(50),
+    nature VARCHAR(50),
+    is_active BOOLEAN DEFAULT 1 NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+  )
+`;
+
+// Bancos antigos têm chart_of_accounts com UNIQUE(source, account_code), que impede a mesma
+// conta em empresas diferentes; o SQLite não remove constraints, então a tabela é recriada
+// (as contas existentes passam a ser o plano padrão).
+function migrarEscopoPlanoContas() {
+  db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'chart_of_accounts'`, (err, row) => {
+    if (err) {
+      console.error('❌ Erro ao verificar tabela chart_of_accounts:', err.message);
+      return;
+    }
+    if (!row || /empresa_id/.test(row.sql)) {
+      criarIndicesPlanoContas();
+      return;
+    }
+
+    // Um passo por vez: se a cópia falhar, DROP/RENAME não chegam a rodar
+    const passos = [
+      CHART_OF_ACCOUNTS_SCHEMA.replace('{tabela}', 'chart_of_accounts_migracao'),
+      `INSERT INTO chart_of_accounts_migracao (
+        id, source, account_code, account_name, account_level, parent_code, account_type, nature,
+        is_active, created_at, updated_at
+      )
+      SELECT id, source, account_code, account_name, account_level, parent_code, account_type, nature,
+        is_active, created_at, updated_at
+      FROM chart_of_accounts`,
+      'DROP TABLE chart_of_accounts',
+      'ALTER TABLE chart_of_accounts_migracao RENAME TO chart_of_accounts'
+    ];
+    const executarPasso = (i) => {
+      if (i === passos.length) {
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) {
+            console.error('❌ Erro ao migrar chart_of_accounts para o escopo por empresa:', commitErr.message);
+            db.run('ROLLBACK');
+            return;
+          }
+          console.log('✅ chart_of_accounts migrada: contas existentes passam a ser o plano padrão');
+          criarIndicesPlanoContas();
+        });
+        return;
+      }
+      db.run(passos[i], (stepErr) => {
+        if (stepErr) {
+          console.error('❌ Erro ao migrar chart_of_accounts para o escopo por empresa:', stepErr.message);
+          db.run('ROLLBACK');
+          return;
+        }
+        executarPasso(i + 1);
+      });
+    };
+
+    db.run('BEGIN TRANSACTION', (beginErr) => {
+      if (beginErr) console.error('❌ Erro ao migrar chart_of_accounts para o escopo por empresa:', beginErr.message);
+      else executarPasso(0);
+    });
+  });
+}
+
+function criarIndicesPlanoContas() {
+  db.run(`CREATE INDEX IF NOT EXISTS idx_chart_of_accounts_source_code ON chart_of_accounts(source, account_code)`, (err) => {
+    if (err) console.error('❌ Erro ao criar índice chart_of_accounts:', err.message);
+  });
+  db.run(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_chart_of_accounts_escopo
+    ON chart_of_accounts(source, COALESCE(empresa_id, ''), account_code)
+  `, (err) => {
+    if (err) console.error('❌ Erro ao criar índice idx_chart_of_accounts_escopo:', err.message);
+  });
+}
+
+// ALTER TABLE idempotente: o SQLite não tem "ADD COLUMN IF NOT EXISTS"
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column name/i.test(err.message)) {
+      console.error(`❌ Erro ao adicionar coluna ${table}.${column}:`, err.message);
+    } else if (!err) {
+      console.log(`✅ Coluna ${table}.${column} adicionada`);
+    }
+  });
+}
+
 function initializeDatabase() {
   console.log('🔧 Inicializando banco de dados SQLite...');
 
@@ -62,7 +161,7 @@ function initializeDatabase() {
         nome_completo VARCHAR(255) NOT NULL,
         email VARCHAR(255) UNIQUE NOT NULL,
         password VARCHAR(255),
-        cargo VARCHAR(50) DEFAULT 'usuario',
+        cargo VARCHAR(50) DEFAULT 'contador',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -218,22 +317,8 @@ function initializeDatabase() {
     });
 
     // 8) chart_of_accounts (RPA Domínio)
-    db.run(`
-      CREATE TABLE IF NOT EXISTS chart_of_accounts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        source VARCHAR(50) DEFAULT 'dominio' NOT NULL,
-        account_code VARCHAR(100) NOT NULL,
-        account_name VARCHAR(255) NOT NULL,
-        account_level INTEGER,
-        parent_code VARCHAR(100),
-        account_type VARCHAR(50),
-        nature VARCHAR(50),
-        is_active BOOLEAN DEFAULT 1 NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
-        UNIQUE(source, account_code)
-      )
-    `, (err) => {
+    // empresa_id NULL = plano de contas padrão, herdado pelas empresas com herda_plano_padrao
+    db.run(CHART_OF_ACCOUNTS_SCHEMA.replace('{tabela}', 'IF NOT EXISTS chart_of_accounts'), (err) => {
       if (err) console.error('❌ Erro ao criar tabela chart_of_accounts:', err.message);
       else console.log('✅ Tabela chart_of_accounts criada/verificada com sucesso!');
     });
@@ -280,17 +365,599 @@ function initializeDatabase() {
       else console.log('✅ Tabela account_validation_results criada/verificada com sucesso!');
     });
 
+    // 11) refresh_tokens (sessões de login revogáveis)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(128) UNIQUE NOT NULL,
+        user_agent TEXT,
+        ip VARCHAR(64),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela refresh_tokens:', err.message);
+      else console.log('✅ Tabela refresh_tokens criada/verificada com sucesso!');
+    });
+
+    // 12) password_reset_tokens (tokens de redefinição de senha, uso único)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(128) UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        requested_ip VARCHAR(64),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela password_reset_tokens:', err.message);
+      else console.log('✅ Tabela password_reset_tokens criada/verificada com sucesso!');
+    });
+
+    // 13) totp_recovery_codes (códigos de recuperação do 2FA, uso único)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id VARCHAR(255) NOT NULL,
+        code_hash VARCHAR(128) NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela totp_recovery_codes:', err.message);
+      else console.log('✅ Tabela totp_recovery_codes criada/verificada com sucesso!');
+    });
+
+    // 14) configuracoes (configurações gerais do sistema, valor em JSON)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS configuracoes (
+        chave VARCHAR(100) PRIMARY KEY,
+        valor TEXT,
+        updated_by VARCHAR(255),
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela configuracoes:', err.message);
+      else console.log('✅ Tabela configuracoes criada/verificada com sucesso!');
+    });
+
+    // 15) login_throttle (tentativas de login inválidas por conta e por IP)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS login_throttle (
+        scope VARCHAR(20) NOT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at DATETIME,
+        locked_until DATETIME,
+        PRIMARY KEY (scope, identifier)
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela login_throttle:', err.message);
+      else console.log('✅ Tabela login_throttle criada/verificada com sucesso!');
+    });
+
+    // 16) convites (convites por email para criar conta com cargo definido)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS convites (
+        id VARCHAR(255) PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        nome_completo VARCHAR(255),
+        cargo VARCHAR(50) NOT NULL,
+        token_hash VARCHAR(128) UNIQUE NOT NULL,
+        invited_by VARCHAR(255),
+        expires_at DATETIME NOT NULL,
+        accepted_at DATETIME,
+        accepted_user_id VARCHAR(255),
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invited_by) REFERENCES usuarios (uid) ON DELETE SET NULL,
+        FOREIGN KEY (accepted_user_id) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela convites:', err.message);
+      else console.log('✅ Tabela convites criada/verificada com sucesso!');
+    });
+
+    // 17) api_tokens (tokens pessoais de API para scripts e integrações)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        nome VARCHAR(100) NOT NULL,
+        token_hash VARCHAR(128) UNIQUE NOT NULL,
+        token_prefix VARCHAR(20) NOT NULL,
+        scopes TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        last_used_at DATETIME,
+        last_used_ip VARCHAR(64),
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela api_tokens:', err.message);
+      else console.log('✅ Tabela api_tokens criada/verificada com sucesso!');
+    });
+
+    // 18) equipes (visibilidade de tarefas: membros veem as tarefas uns dos outros)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS equipes (
+        id VARCHAR(255) PRIMARY KEY,
+        nome VARCHAR(100) UNIQUE NOT NULL,
+        supervisor_id VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (supervisor_id) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela equipes:', err.message);
+      else console.log('✅ Tabela equipes criada/verificada com sucesso!');
+    });
+
+    // 19) equipe_membros
+    db.run(`
+      CREATE TABLE IF NOT EXISTS equipe_membros (
+        equipe_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        PRIMARY KEY (equipe_id, user_id),
+        FOREIGN KEY (equipe_id) REFERENCES equipes (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela equipe_membros:', err.message);
+      else console.log('✅ Tabela equipe_membros criada/verificada com sucesso!');
+    });
+
+    // 20) empresas (clientes do escritório)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS empresas (
+        id VARCHAR(255) PRIMARY KEY,
+        cnpj VARCHAR(14) UNIQUE NOT NULL,
+        razao_social VARCHAR(255) NOT NULL,
+        nome_fantasia VARCHAR(255),
+        regime_tributario VARCHAR(50),
+        uf CHAR(2),
+        municipio VARCHAR(100),
+        cnae VARCHAR(20),
+        ativo INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela empresas:', err.message);
+      else console.log('✅ Tabela empresas criada/verificada com sucesso!');
+    });
+
+    // 21) empresa_obrigacoes_ajustes (inclusões/exclusões manuais no perfil de obrigações da empresa)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS empresa_obrigacoes_ajustes (
+        empresa_id VARCHAR(255) NOT NULL,
+        obrigacao VARCHAR(255) NOT NULL,
+        tipo VARCHAR(10) NOT NULL CHECK (tipo IN ('incluir', 'excluir')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (empresa_id, obrigacao),
+        FOREIGN KEY (empresa_id) REFERENCES empresas (id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela empresa_obrigacoes_ajustes:', err.message);
+      else console.log('✅ Tabela empresa_obrigacoes_ajustes criada/verificada com sucesso!');
+    });
+
+    // 22) usuario_empresas (empresas que cada usuário do portal do cliente pode consultar)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS usuario_empresas (
+        user_id VARCHAR(255) NOT NULL,
+        empresa_id VARCHAR(255) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, empresa_id),
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE CASCADE,
+        FOREIGN KEY (empresa_id) REFERENCES empresas (id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela usuario_empresas:', err.message);
+      else console.log('✅ Tabela usuario_empresas criada/verificada com sucesso!');
+    });
+
+    // 23) solicitacoes_documentos (documentos pedidos ao cliente para concluir a tarefa)
+    // status guarda solicitado/recebido; "atrasado" é calculado pelo prazo (SOLICITACAO_SELECT)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS solicitacoes_documentos (
+        id VARCHAR(255) PRIMARY KEY,
+        task_id VARCHAR(255) NOT NULL,
+        descricao VARCHAR(255) NOT NULL,
+        prazo DATE NOT NULL,
+        status VARCHAR(20) DEFAULT 'solicitado' CHECK (status IN ('solicitado', 'recebido')),
+        arquivo_id INTEGER,
+        solicitado_por VARCHAR(255),
+        recebido_em DATETIME,
+        ultimo_lembrete_em DATETIME,
+        lembretes_enviados INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tarefas (id) ON DELETE CASCADE,
+        FOREIGN KEY (arquivo_id) REFERENCES arquivos (id) ON DELETE SET NULL,
+        FOREIGN KEY (solicitado_por) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela solicitacoes_documentos:', err.message);
+      else console.log('✅ Tabela solicitacoes_documentos criada/verificada com sucesso!');
+    });
+
+    // 24) empresa_campos (campos personalizados das empresas, definidos pelo administrador)
+    // opcoes: JSON com as opções dos campos de seleção
+    db.run(`
+      CREATE TABLE IF NOT EXISTS empresa_campos (
+        id VARCHAR(255) PRIMARY KEY,
+        nome VARCHAR(100) NOT NULL,
+        tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('texto', 'numero', 'data', 'selecao', 'segredo')),
+        opcoes TEXT,
+        ordem INTEGER DEFAULT 0,
+        ativo INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela empresa_campos:', err.message);
+      else console.log('✅ Tabela empresa_campos criada/verificada com sucesso!');
+    });
+
+    // 25) empresa_campos_valores (valor de cada campo por empresa; segredos gravados cifrados)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS empresa_campos_valores (
+        empresa_id VARCHAR(255) NOT NULL,
+        campo_id VARCHAR(255) NOT NULL,
+        valor TEXT NOT NULL,
+        updated_by VARCHAR(255),
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (empresa_id, campo_id),
+        FOREIGN KEY (empresa_id) REFERENCES empresas (id) ON DELETE CASCADE,
+        FOREIGN KEY (campo_id) REFERENCES empresa_campos (id) ON DELETE CASCADE,
+        FOREIGN KEY (updated_by) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela empresa_campos_valores:', err.message);
+      else console.log('✅ Tabela empresa_campos_valores criada/verificada com sucesso!');
+    });
+
+    // 26) empresa_notas (histórico de anotações sobre o cliente; não são editadas)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS empresa_notas (
+        id VARCHAR(255) PRIMARY KEY,
+        empresa_id VARCHAR(255) NOT NULL,
+        autor_id VARCHAR(255),
+        texto TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (empresa_id) REFERENCES empresas (id) ON DELETE CASCADE,
+        FOREIGN KEY (autor_id) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela empresa_notas:', err.message);
+      else console.log('✅ Tabela empresa_notas criada/verificada com sucesso!');
+    });
+
+    // 27) empresa_atribuicoes (matriz empresa × categoria de obrigação → responsável e substituto)
+    // categorias em services/agenda/atribuicoes.js
+    db.run(`
+      CREATE TABLE IF NOT EXISTS empresa_atribuicoes (
+        empresa_id VARCHAR(255) NOT NULL,
+        categoria VARCHAR(20) NOT NULL CHECK (categoria IN ('federal', 'trabalhista', 'estadual', 'municipal', 'contabil')),
+        responsavel_id VARCHAR(255),
+        backup_id VARCHAR(255),
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (empresa_id, categoria),
+        FOREIGN KEY (empresa_id) REFERENCES empresas (id) ON DELETE CASCADE,
+        FOREIGN KEY (responsavel_id) REFERENCES usuarios (uid) ON DELETE SET NULL,
+        FOREIGN KEY (backup_id) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela empresa_atribuicoes:', err.message);
+      else console.log('✅ Tabela empresa_atribuicoes criada/verificada com sucesso!');
+    });
+
+    // 28) tarefa_series (tarefas recorrentes: a regra e os dados copiados para cada ocorrência)
+    // regras em services/tasks/recorrencia.js; gerada_ate é a última ocorrência já criada
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_series (
+        id VARCHAR(255) PRIMARY KEY,
+        titulo VARCHAR(255) NOT NULL,
+        responsavel VARCHAR(255) NOT NULL,
+        responsavel_id VARCHAR(255) NOT NULL,
+        observacoes TEXT,
+        empresa_id VARCHAR(255),
+        frequencia VARCHAR(20) NOT NULL CHECK (frequencia IN ('mensal', 'trimestral', 'anual')),
+        tipo_dia VARCHAR(20) NOT NULL CHECK (tipo_dia IN ('dia', 'dia_util', 'ultimo_dia_util')),
+        dia INTEGER,
+        data_inicio DATE NOT NULL,
+        data_fim DATE,
+        gerada_ate DATE,
+        ativa INTEGER DEFAULT 1,
+        criado_por VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (responsavel_id) REFERENCES usuarios (uid),
+        FOREIGN KEY (empresa_id) REFERENCES empresas (id) ON DELETE SET NULL,
+        FOREIGN KEY (criado_por) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_series:', err.message);
+      else console.log('✅ Tabela tarefa_series criada/verificada com sucesso!');
+    });
+
+    // 29) tarefa_status_historico (cada transição de status: quem fez, quando e o motivo)
+    // fluxo de status em services/tasks/status.js
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_status_historico (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id VARCHAR(255) NOT NULL,
+        status_anterior VARCHAR(50),
+        status_novo VARCHAR(50) NOT NULL,
+        comentario TEXT,
+        user_id VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tarefas (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_status_historico:', err.message);
+      else console.log('✅ Tabela tarefa_status_historico criada/verificada com sucesso!');
+    });
+
+    // 30) tarefa_checklist (etapas da tarefa: importar a folha, transmitir, emitir a guia...)
+    // prazo_dias: prazo do item relativo ao vencimento da tarefa (-2 = dois dias antes)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_checklist (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id VARCHAR(255) NOT NULL,
+        descricao VARCHAR(255) NOT NULL,
+        ordem INTEGER DEFAULT 0,
+        obrigatorio INTEGER DEFAULT 1,
+        responsavel_id VARCHAR(255),
+        prazo_dias INTEGER,
+        concluido INTEGER DEFAULT 0,
+        concluido_por VARCHAR(255),
+        concluido_em DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tarefas (id) ON DELETE CASCADE,
+        FOREIGN KEY (responsavel_id) REFERENCES usuarios (uid) ON DELETE SET NULL,
+        FOREIGN KEY (concluido_por) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_checklist:', err.message);
+      else console.log('✅ Tabela tarefa_checklist criada/verificada com sucesso!');
+    });
+
+    // 31) tarefa_modelos (modelos de tarefa: título, observações e o checklist padrão)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_modelos (
+        id VARCHAR(255) PRIMARY KEY,
+        nome VARCHAR(100) NOT NULL UNIQUE,
+        titulo VARCHAR(255),
+        observacoes TEXT,
+        criado_por VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (criado_por) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_modelos:', err.message);
+      else console.log('✅ Tabela tarefa_modelos criada/verificada com sucesso!');
+    });
+
+    // 32) tarefa_modelo_itens (itens copiados para o checklist das tarefas criadas pelo modelo)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_modelo_itens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        modelo_id VARCHAR(255) NOT NULL,
+        descricao VARCHAR(255) NOT NULL,
+        ordem INTEGER DEFAULT 0,
+        obrigatorio INTEGER DEFAULT 1,
+        prazo_dias INTEGER,
+        FOREIGN KEY (modelo_id) REFERENCES tarefa_modelos (id) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_modelo_itens:', err.message);
+      else console.log('✅ Tabela tarefa_modelo_itens criada/verificada com sucesso!');
+    });
+
+    // 33) tarefa_dependencias (término → início: a sucessora só começa depois da predecessora,
+    // ex.: EFD-Reinf antes da DCTFWeb, DCTFWeb antes da guia do INSS)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_dependencias (
+        predecessora_id VARCHAR(255) NOT NULL,
+        sucessora_id VARCHAR(255) NOT NULL,
+        criado_por VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (predecessora_id, sucessora_id),
+        CHECK (predecessora_id <> sucessora_id),
+        FOREIGN KEY (predecessora_id) REFERENCES tarefas (id) ON DELETE CASCADE,
+        FOREIGN KEY (sucessora_id) REFERENCES tarefas (id) ON DELETE CASCADE,
+        FOREIGN KEY (criado_por) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_dependencias:', err.message);
+      else console.log('✅ Tabela tarefa_dependencias criada/verificada com sucesso!');
+    });
+
+    // 34) tarefa_comentarios (conversa da tarefa; parent_id = resposta a outro comentário)
+    // A exclusão é lógica (excluido_em): a conversa mantém a sequência e o texto fica no histórico
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_comentarios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id VARCHAR(255) NOT NULL,
+        parent_id INTEGER,
+        autor_id VARCHAR(255),
+        texto TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        editado_em DATETIME,
+        excluido_em DATETIME,
+        excluido_por VARCHAR(255),
+        FOREIGN KEY (task_id) REFERENCES tarefas (id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_id) REFERENCES tarefa_comentarios (id) ON DELETE CASCADE,
+        FOREIGN KEY (autor_id) REFERENCES usuarios (uid) ON DELETE SET NULL,
+        FOREIGN KEY (excluido_por) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_comentarios:', err.message);
+      else console.log('✅ Tabela tarefa_comentarios criada/verificada com sucesso!');
+    });
+
+    // 35) tarefa_comentario_historico (texto anterior a cada edição ou exclusão de comentário)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_comentario_historico (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        comentario_id INTEGER NOT NULL,
+        acao VARCHAR(20) NOT NULL,
+        texto_anterior TEXT,
+        user_id VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (comentario_id) REFERENCES tarefa_comentarios (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE SET NULL
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_comentario_historico:', err.message);
+      else console.log('✅ Tabela tarefa_comentario_historico criada/verificada com sucesso!');
+    });
+
+    // 36) tarefa_comentario_mencoes (usuários citados com @ em cada comentário; lida_em = notificação vista)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tarefa_comentario_mencoes (
+        comentario_id INTEGER NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        lida_em DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (comentario_id, user_id),
+        FOREIGN KEY (comentario_id) REFERENCES tarefa_comentarios (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES usuarios (uid) ON DELETE CASCADE
+      )
+    `, (err) => {
+      if (err) console.error('❌ Erro ao criar tabela tarefa_comentario_mencoes:', err.message);
+      else console.log('✅ Tabela tarefa_comentario_mencoes criada/verificada com sucesso!');
+    });
+
+    // Colunas adicionadas depois da criação das tabelas
+    addColumnIfMissing('usuarios', 'totp_secret', 'VARCHAR(255)');
+    addColumnIfMissing('usuarios', 'totp_enabled', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('usuarios', 'totp_enabled_at', 'DATETIME');
+    // Último passo TOTP aceito: um código já usado não vale de novo dentro da janela de tolerância
+    addColumnIfMissing('usuarios', 'totp_last_counter', 'INTEGER');
+    addColumnIfMissing('tarefas', 'empresa_id', 'VARCHAR(255) REFERENCES empresas (id) ON DELETE SET NULL');
+    // Perfil de obrigações da empresa (o regime já está em regime_tributario)
+    addColumnIfMissing('empresas', 'responsavel_id', 'VARCHAR(255) REFERENCES usuarios (uid) ON DELETE SET NULL');
+    addColumnIfMissing('empresas', 'possui_empregados', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('empresas', 'contribuinte_icms', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('empresas', 'iss_municipio', 'VARCHAR(100)');
+    // Plano de contas e regras de validação por empresa (NULL = padrão)
+    addColumnIfMissing('empresas', 'herda_plano_padrao', 'INTEGER DEFAULT 1');
+    addColumnIfMissing('account_validation_rules', 'empresa_id', 'VARCHAR(255) REFERENCES empresas (id) ON DELETE CASCADE');
+    addColumnIfMissing('comparacoes', 'empresa_id', 'VARCHAR(255) REFERENCES empresas (id) ON DELETE SET NULL');
+    migrarEscopoPlanoContas();
+    // Documentos enviados pelo portal do cliente e a revisão feita pela equipe
+    addColumnIfMissing('arquivos', 'enviado_por_cliente', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('arquivos', 'revisao_status', 'VARCHAR(20)');
+    addColumnIfMissing('arquivos', 'revisado_por', 'VARCHAR(255) REFERENCES usuarios (uid) ON DELETE SET NULL');
+    addColumnIfMissing('arquivos', 'revisado_em', 'DATETIME');
+    addColumnIfMissing('arquivos', 'revisao_comentario', 'TEXT');
+    // Ausência (férias, licença): na geração da agenda, o substituto da matriz assume as tarefas
+    addColumnIfMissing('usuarios', 'ausente_ate', 'DATE');
+    // Ocorrências de séries recorrentes; excecao = editada só nela, não acompanha mais a série
+    addColumnIfMissing('tarefas', 'serie_id', 'VARCHAR(255) REFERENCES tarefa_series (id) ON DELETE SET NULL');
+    addColumnIfMissing('tarefas', 'ocorrencia', 'DATE');
+    addColumnIfMissing('tarefas', 'excecao', 'INTEGER DEFAULT 0');
+    // Modelo aplicado a cada nova ocorrência da série (checklist padrão)
+    addColumnIfMissing('tarefa_series', 'modelo_id', 'VARCHAR(255) REFERENCES tarefa_modelos (id) ON DELETE SET NULL');
+    // Anexos de comentários: mesma pasta de uploads da tarefa, fora da lista de comprovantes
+    addColumnIfMissing('arquivos', 'comentario_id', 'INTEGER REFERENCES tarefa_comentarios (id) ON DELETE SET NULL');
+
     // Criar índices para melhor performance
+    db.run(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice refresh_tokens:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tarefas_empresa_id ON tarefas(empresa_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefas.empresa_id:', err.message);
+    });
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_tarefas_serie_ocorrencia ON tarefas(serie_id, ocorrencia)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefas.serie_id:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tarefa_status_historico_task_id ON tarefa_status_historico(task_id, created_at)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefa_status_historico:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tarefa_checklist_task_id ON tarefa_checklist(task_id, ordem)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefa_checklist:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tarefa_modelo_itens_modelo_id ON tarefa_modelo_itens(modelo_id, ordem)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefa_modelo_itens:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tarefa_dependencias_sucessora_id ON tarefa_dependencias(sucessora_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefa_dependencias:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tarefa_comentarios_task_id ON tarefa_comentarios(task_id, created_at)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefa_comentarios:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_tarefa_comentario_mencoes_user_id ON tarefa_comentario_mencoes(user_id, lida_em)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice tarefa_comentario_mencoes:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_equipe_membros_user_id ON equipe_membros(user_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice equipe_membros:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice api_tokens:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user_id ON totp_recovery_codes(user_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice totp_recovery_codes:', err.message);
+    });
     db.run(`CREATE INDEX IF NOT EXISTS idx_divergencias_comparacao_id ON divergencias(comparacao_id)`, (err) => {
       if (err) console.error('❌ Erro ao criar índice divergencias:', err.message);
     });
-    db.run(`CREATE INDEX IF NOT EXISTS idx_chart_of_accounts_source_code ON chart_of_accounts(source, account_code)`, (err) => {
-      if (err) console.error('❌ Erro ao criar índice chart_of_accounts:', err.message);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_comparacoes_empresa_id ON comparacoes(empresa_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice comparacoes.empresa_id:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_usuario_empresas_empresa_id ON usuario_empresas(empresa_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice usuario_empresas:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_arquivos_task_id ON arquivos(task_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice arquivos.task_id:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_solicitacoes_documentos_task_id ON solicitacoes_documentos(task_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice solicitacoes_documentos:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_empresa_atribuicoes_responsavel_id ON empresa_atribuicoes(responsavel_id)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice empresa_atribuicoes:', err.message);
+    });
+    db.run(`CREATE INDEX IF NOT EXISTS idx_empresa_notas_empresa_id ON empresa_notas(empresa_id, created_at)`, (err) => {
+      if (err) console.error('❌ Erro ao criar índice empresa_notas:', err.message);
     });
     db.run(`CREATE INDEX IF NOT EXISTS idx_validation_results_comparacao_id ON account_validation_results(comparacao_id)`, (err) => {
       if (err) console.error('❌ Erro ao criar índice validation_results:', err.message);
     });
 
+    // Migração: cargo legado "usuario" passa a ser "contador"
+    db.run(`UPDATE usuarios SET cargo = 'contador' WHERE cargo = 'usuario' OR cargo IS NULL`, function(err) {
+      if (err) console.error('❌ Erro ao migrar cargos legados:', err.message);
+      else if (this.changes) console.log(`✅ ${this.changes} usuários migrados do cargo "usuario" para "contador"`);
+    });
+
+    // Migração: status de tarefa fora do fluxo (ex.: "vencido", hoje calculado pelo vencimento) passam a
+    // "pendente", com o status antigo no histórico. Lista igual a STATUS_TAREFA (services/tasks/status.js).
+    const statusLegado = `status IS NULL OR status NOT IN ('pendente', 'em_andamento', 'aguardando_revisao', 'finalizado', 'bloqueada', 'cancelada')`;
+    db.run(`
+      INSERT INTO tarefa_status_historico (task_id, status_anterior, status_novo, comentario, user_id)
+      SELECT id, status, 'pendente', 'Status antigo convertido para o fluxo atual', 'system' FROM tarefas WHERE ${statusLegado}
+    `, (err) => {
+      if (err) console.error('❌ Erro ao registrar a migração de status de tarefas:', err.message);
+    });
+    db.run(`UPDATE tarefas SET status = 'pendente' WHERE ${statusLegado}`, function(err) {
+      if (err) console.error('❌ Erro ao migrar status legados de tarefas:', err.message);
+      else if (this.changes) console.log(`✅ ${this.changes} tarefas com status antigo migradas para "pendente"`);
+    });
+
     // Seed do usuário "system" (evita falha de FK ao criar tarefas automáticas)
     db.get('SELECT uid FROM usuarios WHERE uid = ?', ['system'], (err, row) => {
       if (err) {
@@ -321,7 +988,7 @@ function initializeDatabase() {
 // Função para criar nova tarefa com validação e melhor error handling
 function createTask(taskData) {
     return new Promise((resolve, reject) => {
-        const { id, titulo, responsavel, responsavelId, dataVencimento, observacoes, recorrente = false, frequencia = 'mensal' } = taskData;
+        const { id, titulo, responsavel, responsavelId, dataVencimento, observacoes, recorrente = false, frequencia = 'mensal', empresaId = null, serieId = null, ocorrencia = null } = taskData;
 
         // Validações
         if (!id || !titulo || !responsavel || !responsavelId) {
@@ -341,11 +1008,11 @@ function createTask(taskData) {
         }
 
         const sql = `
-            INSERT INTO tarefas (id, titulo, responsavel, responsavel_id, data_vencimento, observacoes, recorrente, frequencia)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO tarefas (id, titulo, responsavel, responsavel_id, data_vencimento, observacoes, recorrente, frequencia, empresa_id, serie_id, ocorrencia)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
-        db.run(sql, [id, titulo, responsavel, responsavelId, dataVencimento || null, observacoes || null, recorrente, frequencia], function(err) {
+        db.run(sql, [id, titulo, responsavel, responsavelId, dataVencimento || null, observacoes || null, recorrente, frequencia, empresaId || null, serieId, ocorrencia], function(err) {
             if (err) {
                 console.error(`❌ Erro ao inserir tarefa "${titulo}": ${err.message}`);
                 
@@ -386,14 +1053,20 @@ function checkTaskExists(titulo, dataVencimento, responsavelId) {
 // Função para inserir um novo arquivo
 function insertFile(fileData) {
     return new Promise((resolve, reject) => {
-        const { filename, originalName, filePath, mimeType, size, taskId, uploadedBy } = fileData;
+        const { filename, originalName, filePath, mimeType, size, taskId, uploadedBy, enviadoPorCliente = false, comentarioId = null } = fileData;
         
+        // Documentos do portal do cliente entram na caixa de revisão da equipe;
+        // anexos de comentários ficam ligados ao comentário (comentario_id)
         const sql = `
-            INSERT INTO arquivos (filename, original_name, file_path, mime_type, size, task_id, uploaded_by)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO arquivos (filename, original_name, file_path, mime_type, size, task_id, uploaded_by, enviado_por_cliente, revisao_status, comentario_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
+        const params = [
+            filename, originalName, filePath, mimeType, size, taskId, uploadedBy,
+            enviadoPorCliente ? 1 : 0, enviadoPorCliente ? 'pendente' : null, comentarioId
+        ];
         
-        db.run(sql, [filename, originalName, filePath, mimeType, size, taskId, uploadedBy], function(err) {
+        db.run(sql, params, function(err) {
             if (err) {
                 console.error(`❌ Erro ao inserir arquivo "${filename}": ${err.message}`);
                 reject(err);
@@ -408,6 +1081,9 @@ function insertFile(fileData) {
                     size,
                     taskId,
                     uploadedBy,
+                    enviadoPorCliente: Boolean(enviadoPorCliente),
+                    revisaoStatus: enviadoPorCliente ? 'pendente' : null,
+                    comentarioId,
                     uploadDate: new Date().toISOString()
                 });
             }
@@ -415,12 +1091,12 @@ function insertFile(fileData) {
     });
 }
 
-// Função para buscar arquivos por task_id
+// Função para buscar arquivos por task_id (comprovantes; anexos de comentários ficam de fora)
 function getFilesByTaskId(taskId) {
     return new Promise((resolve, reject) => {
         const sql = `
             SELECT * FROM arquivos 
-            WHERE task_id = ? 
+            WHERE task_id = ? AND comentario_id IS NULL
             ORDER BY upload_date DESC
         `;
         
@@ -572,16 +1248,27 @@ function getUserByUid(uid) {
 }
 
 // Função para inserir ou atualizar usuário
+// A senha é gravada com hash; sem senha informada, mantém a atual
 function upsertUser(userData) {
-    return new Promise((resolve, reject) => {
-        const { uid, nomeCompleto, email, password, cargo = 'usuario' } = userData;
-        
+    const { uid, nomeCompleto, email, password, cargo = 'contador' } = userData;
+
+    const passwordPromise = password && !isPasswordHash(password)
+        ? hashPassword(password)
+        : Promise.resolve(password || null);
+
+    return passwordPromise.then((storedPassword) => new Promise((resolve, reject) => {
         const sql = `
-            INSERT OR REPLACE INTO usuarios (uid, nome_completo, email, password, cargo, updated_at)
+            INSERT INTO usuarios (uid, nome_completo, email, password, cargo, updated_at)
             VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(uid) DO UPDATE SET
+                nome_completo = excluded.nome_completo,
+                email = excluded.email,
+                password = COALESCE(excluded.password, usuarios.password),
+                cargo = excluded.cargo,
+                updated_at = CURRENT_TIMESTAMP
         `;
         
-        db.run(sql, [uid, nomeCompleto, email, password, cargo], function(err) {
+        db.run(sql, [uid, nomeCompleto, email, storedPassword, cargo], function(err) {
             if (err) {
                 console.error(`❌ Erro ao inserir/atualizar usuário ${email}: ${err.message}`);
                 reject(err);
@@ -590,12 +1277,28 @@ function upsertUser(userData) {
                 resolve({ uid, nomeCompleto, email, cargo });
             }
         });
-    });
+    }));
 }
 
-// Função para deletar usuário
-function deleteUser(uid) {
-    return new Promise((resolve, reject) => {
+// Função para atualizar apenas a senha do usuário (gravada com hash)
+function updateUserPassword(uid, password) {
+    return hashPassword(password).then((hash) => new Promise((resolve, reject) => {
+        const sql = `UPDATE usuarios SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE uid = ?`;
+        db.run(sql, [hash, uid], function(err) {
+            if (err) {
+                console.error(`❌ Erro ao atualizar senha do usuário ${uid}: ${err.message}`);
+                reject(err);
+            } else {
+                console.log(`✅ Senha do usuário ${uid} atualizada`);
+                resolve({ updatedRows: this.changes });
+            }
+        });
+    }));
+}
+
+// Função para deletar usuário
+function deleteUser(uid) {
+    return new Promise((resolve, reject) => {
         const sql = `DELETE FROM usuarios WHERE uid = ?`;
         db.run(sql, [uid], function(err) {
             if (err) {
@@ -609,10 +1312,17 @@ function deleteUser(uid) {
     });
 }
 
+// Tarefas com o nome da empresa cliente (nome fantasia ou razão social)
+const TASK_SELECT = `
+    SELECT t.*, COALESCE(e.nome_fantasia, e.razao_social) AS empresa_nome
+    FROM tarefas t
+    LEFT JOIN empresas e ON e.id = t.empresa_id
+`;
+
 // Função para buscar tarefa por ID
 function getTaskById(taskId) {
     return new Promise((resolve, reject) => {
-        const sql = `SELECT * FROM tarefas WHERE id = ?`;
+        const sql = `${TASK_SELECT} WHERE t.id = ?`;
         db.get(sql, [taskId], (err, row) => {
             if (err) {
                 console.error(`❌ Erro ao buscar tarefa ${taskId}: ${err.message}`);
@@ -628,7 +1338,7 @@ function getTaskById(taskId) {
 // Função para buscar todas as tarefas
 function getAllTasks() {
     return new Promise((resolve, reject) => {
-        const sql = `SELECT * FROM tarefas ORDER BY data_criacao DESC`;
+        const sql = `${TASK_SELECT} ORDER BY t.data_criacao DESC`;
         db.all(sql, [], (err, rows) => {
             if (err) {
                 console.error(`❌ Erro ao buscar todas as tarefas: ${err.message}`);
@@ -657,6 +1367,24 @@ function getTasksByUser(userId) {
     });
 }
 
+// Função para buscar tarefas de vários responsáveis
+function getTasksByResponsaveis(userIds) {
+    return new Promise((resolve, reject) => {
+        if (!userIds.length) return resolve([]);
+        const placeholders = userIds.map(() => '?').join(', ');
+        const sql = `${TASK_SELECT} WHERE t.responsavel_id IN (${placeholders}) ORDER BY t.data_criacao DESC`;
+        db.all(sql, userIds, (err, rows) => {
+            if (err) {
+                console.error(`❌ Erro ao buscar tarefas dos responsáveis: ${err.message}`);
+                reject(err);
+            } else {
+                console.log(`✅ Encontradas ${rows.length} tarefas para ${userIds.length} responsáveis`);
+                resolve(rows);
+            }
+        });
+    });
+}
+
 // Função para atualizar status da tarefa
 function updateTaskStatus(taskId, status) {
     return new Promise((resolve, reject) => {
@@ -673,10 +1401,74 @@ function updateTaskStatus(taskId, status) {
     });
 }
 
+/**
+ * Muda o status e registra a transição no histórico, na mesma transação.
+ * Só atualiza se o status ainda for o lido antes (statusAnterior); do contrário resolve
+ * { updatedRows: 0 } e nada é gravado.
+ */
+function registrarTransicaoStatus(taskId, { statusAnterior, statusNovo, userId, comentario = null }) {
+    return new Promise((resolve, reject) => {
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION');
+            db.run(
+                `UPDATE tarefas SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status IS ?`,
+                [statusNovo, taskId, statusAnterior],
+                function(err) {
+                    if (err || this.changes === 0) {
+                        db.run('ROLLBACK');
+                        if (err) {
+                            console.error(`❌ Erro ao atualizar status da tarefa ${taskId}: ${err.message}`);
+                            return reject(err);
+                        }
+                        return resolve({ updatedRows: 0 });
+                    }
+                    db.run(
+                        `INSERT INTO tarefa_status_historico (task_id, status_anterior, status_novo, comentario, user_id) VALUES (?, ?, ?, ?, ?)`,
+                        [taskId, statusAnterior, statusNovo, comentario, userId],
+                        (errHist) => {
+                            if (errHist) {
+                                console.error(`❌ Erro ao registrar histórico de status da tarefa ${taskId}: ${errHist.message}`);
+                                db.run('ROLLBACK');
+                                return reject(errHist);
+                            }
+                            db.run('COMMIT', (commitErr) => {
+                                if (commitErr) return reject(commitErr);
+                                console.log(`✅ Status da tarefa ${taskId}: ${statusAnterior} → ${statusNovo}`);
+                                resolve({ updatedRows: 1 });
+                            });
+                        }
+                    );
+                }
+            );
+        });
+    });
+}
+
+// Histórico de status da tarefa, do mais recente para o mais antigo
+function listHistoricoStatus(taskId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT h.*, u.nome_completo AS user_nome, u.email AS user_email
+            FROM tarefa_status_historico h
+            LEFT JOIN usuarios u ON u.uid = h.user_id
+            WHERE h.task_id = ?
+            ORDER BY h.created_at DESC, h.id DESC
+        `;
+        db.all(sql, [taskId], (err, rows) => {
+            if (err) {
+                console.error(`❌ Erro ao buscar histórico de status da tarefa ${taskId}: ${err.message}`);
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
 // Função para atualizar tarefa completa
 function updateTask(taskId, taskData) {
     return new Promise((resolve, reject) => {
-        const { titulo, responsavel, responsavelId, dataVencimento, observacoes, recorrente, frequencia } = taskData;
+        const { titulo, responsavel, responsavelId, dataVencimento, observacoes, recorrente, frequencia, empresaId } = taskData;
         
         const sql = `
             UPDATE tarefas SET 
@@ -687,11 +1479,12 @@ function updateTask(taskId, taskData) {
                 observacoes = ?,
                 recorrente = ?,
                 frequencia = ?,
+                empresa_id = ?,
                 updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `;
         
-        db.run(sql, [titulo, responsavel, responsavelId, dataVencimento, observacoes, recorrente, frequencia, taskId], function(err) {
+        db.run(sql, [titulo, responsavel, responsavelId, dataVencimento, observacoes, recorrente, frequencia, empresaId || null, taskId], function(err) {
             if (err) {
                 console.error(`❌ Erro ao atualizar tarefa ${taskId}: ${err.message}`);
                 reject(err);
@@ -772,128 +1565,2786 @@ function deleteTask(taskId) {
                                 }
                                 console.log(`🗑️ ${this.changes} arquivos deletados do banco`);
 
-                                // 5. Finalmente, deletar a tarefa (pai)
-                                db.run('DELETE FROM tarefas WHERE id = ?', [taskId], function(errTaskDel) {
-                                    if (errTaskDel) {
-                                        console.error(`❌ [STEP tarefas-delete] ${errTaskDel.message}`);
-                                        db.run('ROLLBACK');
-                                        return reject(new Error(`[tarefas-delete] ${errTaskDel.message}`));
-                                    }
+                                // 5. Finalmente, deletar a tarefa (pai)
+                                db.run('DELETE FROM tarefas WHERE id = ?', [taskId], function(errTaskDel) {
+                                    if (errTaskDel) {
+                                        console.error(`❌ [STEP tarefas-delete] ${errTaskDel.message}`);
+                                        db.run('ROLLBACK');
+                                        return reject(new Error(`[tarefas-delete] ${errTaskDel.message}`));
+                                    }
+
+                                    // Confirmar transação
+                                    db.run('COMMIT', (errCommit) => {
+                                        if (errCommit) {
+                                            console.error(`❌ [STEP commit] ${errCommit.message}`);
+                                            return reject(new Error(`[commit] ${errCommit.message}`));
+                                        }
+                                        
+                                        console.log(`✅ Tarefa ${taskId} e todas suas dependências (${files.length} arquivos) deletadas com sucesso!`);
+                                        resolve({ deletedRows: this.changes, deletedFiles: files.length });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Função para verificar dependências de uma tarefa antes da exclusão
+function checkTaskDependencies(taskId) {
+    return new Promise((resolve, reject) => {
+        console.log(`🔍 Verificando dependências da tarefa ${taskId}...`);
+        
+        const dependencies = {
+            arquivos: 0,
+            arquivo_logs: 0,
+            atividade_logs: 0,
+            // Vínculos com predecessoras e sucessoras (tarefa_dependencias), removidos junto com a tarefa
+            tarefa_dependencias: 0,
+            // Comentários da tarefa (com respostas, histórico e menções), removidos junto com ela
+            tarefa_comentarios: 0
+        };
+        
+        // Contar arquivos
+        db.get('SELECT COUNT(*) as count FROM arquivos WHERE task_id = ?', [taskId], (err1, result1) => {
+            if (err1) {
+                return reject(err1);
+            }
+            dependencies.arquivos = result1.count;
+            
+            // Contar logs de arquivos
+            db.get(`
+                SELECT COUNT(*) as count FROM arquivo_logs 
+                WHERE arquivo_id IN (SELECT id FROM arquivos WHERE task_id = ?)
+            `, [taskId], (err2, result2) => {
+                if (err2) {
+                    return reject(err2);
+                }
+                dependencies.arquivo_logs = result2.count;
+                
+                // Contar logs de atividade
+                db.get('SELECT COUNT(*) as count FROM atividade_logs WHERE task_id = ?', [taskId], (err3, result3) => {
+                    if (err3) {
+                        return reject(err3);
+                    }
+                    dependencies.atividade_logs = result3.count;
+                    
+                    // Contar vínculos de dependência entre tarefas
+                    db.get(
+                        'SELECT COUNT(*) as count FROM tarefa_dependencias WHERE predecessora_id = ? OR sucessora_id = ?',
+                        [taskId, taskId],
+                        (err4, result4) => {
+                            if (err4) {
+                                return reject(err4);
+                            }
+                            dependencies.tarefa_dependencias = result4.count;
+                            
+                            // Contar comentários
+                            db.get('SELECT COUNT(*) as count FROM tarefa_comentarios WHERE task_id = ?', [taskId], (err5, result5) => {
+                                if (err5) {
+                                    return reject(err5);
+                                }
+                                dependencies.tarefa_comentarios = result5.count;
+                                
+                                console.log(`📊 Dependências da tarefa ${taskId}:`, dependencies);
+                                resolve(dependencies);
+                            });
+                        }
+                    );
+                });
+            });
+        });
+    });
+}
+
+// Função para inserir log de atividade
+function insertActivityLog(logData) {
+    return new Promise((resolve, reject) => {
+        const { userId, userEmail, action, taskId, taskTitle } = logData;
+        
+        const sql = `
+            INSERT INTO atividade_logs (user_id, user_email, action, task_id, task_title)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        
+        db.run(sql, [userId, userEmail, action, taskId, taskTitle], function(err) {
+            if (err) {
+                console.error(`❌ Erro ao logar atividade: ${err.message}`);
+                reject(err);
+            } else {
+                console.log(`✅ Atividade logada: ${action} (Task: ${taskTitle || 'N/A'})`);
+                resolve({
+                    id: this.lastID,
+                    userId,
+                    userEmail,
+                    action,
+                    taskId,
+                    taskTitle
+                });
+            }
+        });
+    });
+}
+
+// Função para buscar logs de atividade
+function getActivityLogs(userId = null, limit = 100) {
+    return new Promise((resolve, reject) => {
+        let sql, params;
+        if (userId) {
+            sql = `SELECT * FROM atividade_logs WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?`;
+            params = [userId, limit];
+        } else {
+            sql = `SELECT * FROM atividade_logs ORDER BY timestamp DESC LIMIT ?`;
+            params = [limit];
+        }
+        
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error(`❌ Erro ao buscar logs de atividade: ${err.message}`);
+                reject(err);
+            } else {
+                console.log(`✅ Encontrados ${rows.length} logs de atividade`);
+                resolve(rows);
+            }
+        });
+    });
+}
+
+// ============================================================================
+// AUTENTICAÇÃO - Refresh tokens
+// ============================================================================
+
+function createRefreshToken(tokenData) {
+  return new Promise((resolve, reject) => {
+    const { id, userId, tokenHash, expiresAt, userAgent = null, ip = null } = tokenData;
+
+    const sql = `
+      INSERT INTO refresh_tokens (id, user_id, token_hash, user_agent, ip, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [id, userId, tokenHash, userAgent, ip, expiresAt], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar refresh token: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ id, userId, expiresAt });
+      }
+    });
+  });
+}
+
+function getRefreshTokenByHash(tokenHash) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar refresh token: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function getRefreshTokenById(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM refresh_tokens WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar sessão ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Sessões ainda válidas do usuário, da mais recente para a mais antiga
+function listActiveRefreshTokensByUser(userId, now) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT id, user_id, user_agent, ip, created_at, last_used_at, expires_at
+      FROM refresh_tokens
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY last_used_at DESC
+    `;
+    db.all(sql, [userId, now], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar sessões do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Troca o hash do token (rotação) mantendo a mesma sessão
+// Troca o hash só se a sessão ainda tiver o token apresentado: de duas rotações concorrentes
+// com o mesmo refresh token, apenas a primeira altera a linha
+function rotateRefreshToken(id, oldTokenHash, newTokenHash, expiresAt) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE refresh_tokens
+      SET token_hash = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND token_hash = ? AND revoked_at IS NULL
+    `;
+
+    db.run(sql, [newTokenHash, expiresAt, id, oldTokenHash], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao rotacionar refresh token ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+function revokeRefreshToken(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL`;
+    db.run(sql, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao revogar refresh token ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ revokedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Revoga todas as sessões do usuário, opcionalmente mantendo uma (a sessão atual)
+function revokeRefreshTokensByUser(userId, exceptId = null) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND revoked_at IS NULL AND (? IS NULL OR id <> ?)
+    `;
+    db.run(sql, [userId, exceptId, exceptId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao revogar refresh tokens do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ ${this.changes} sessões revogadas para o usuário ${userId}`);
+        resolve({ revokedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// AUTENTICAÇÃO - Tokens pessoais de API
+// ============================================================================
+
+function createApiToken(tokenData) {
+  return new Promise((resolve, reject) => {
+    const { id, userId, nome, tokenHash, tokenPrefix, scopes, expiresAt } = tokenData;
+
+    const sql = `
+      INSERT INTO api_tokens (id, user_id, nome, token_hash, token_prefix, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [id, userId, nome, tokenHash, tokenPrefix, JSON.stringify(scopes), expiresAt], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar token de API: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ Token de API "${nome}" criado para o usuário ${userId}`);
+        resolve({ id, userId, nome, tokenPrefix, scopes, expiresAt });
+      }
+    });
+  });
+}
+
+function getApiTokenByHash(tokenHash) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM api_tokens WHERE token_hash = ?`, [tokenHash], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar token de API: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row ? { ...row, scopes: JSON.parse(row.scopes || '[]') } : row);
+      }
+    });
+  });
+}
+
+// Tokens não revogados do usuário (inclui os expirados, exibidos como tal)
+function listApiTokensByUser(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT id, user_id, nome, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at
+      FROM api_tokens
+      WHERE user_id = ? AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `;
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar tokens de API do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows.map((row) => ({ ...row, scopes: JSON.parse(row.scopes || '[]') })));
+      }
+    });
+  });
+}
+
+function revokeApiToken(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL`;
+    db.run(sql, [id, userId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao revogar token de API ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ revokedRows: this.changes });
+      }
+    });
+  });
+}
+
+function touchApiToken(id, ip) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?`;
+    db.run(sql, [ip, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao registrar uso do token de API ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// AUTENTICAÇÃO - Tokens de redefinição de senha
+// ============================================================================
+
+function createPasswordResetToken(tokenData) {
+  return new Promise((resolve, reject) => {
+    const { id, userId, tokenHash, expiresAt, requestedIp = null } = tokenData;
+
+    const sql = `
+      INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at, requested_ip)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [id, userId, tokenHash, expiresAt, requestedIp], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar token de redefinição: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ id, userId, expiresAt });
+      }
+    });
+  });
+}
+
+function getPasswordResetTokenByHash(tokenHash) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT prt.*, u.email
+      FROM password_reset_tokens prt
+      JOIN usuarios u ON u.uid = prt.user_id
+      WHERE prt.token_hash = ?
+    `;
+    db.get(sql, [tokenHash], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar token de redefinição: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Marca o token como usado; usedRows = 0 indica que já tinha sido consumido
+function markPasswordResetTokenUsed(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL`;
+    db.run(sql, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao marcar token de redefinição ${id} como usado: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ usedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Pedidos de redefinição feitos desde a data (ISO), para o usuário e a partir do IP
+function countRecentPasswordResetRequests(userId, ip, since) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT
+        COALESCE(SUM(CASE WHEN user_id = ? THEN 1 ELSE 0 END), 0) AS por_usuario,
+        COALESCE(SUM(CASE WHEN requested_ip = ? THEN 1 ELSE 0 END), 0) AS por_ip
+      FROM password_reset_tokens
+      WHERE created_at >= datetime(?)
+    `;
+    db.get(sql, [userId, ip, since], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao contar pedidos de redefinição: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ porUsuario: row.por_usuario, porIp: row.por_ip });
+      }
+    });
+  });
+}
+
+// Invalida os tokens pendentes do usuário (novo pedido ou senha já redefinida)
+function invalidatePasswordResetTokensByUser(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL`;
+    db.run(sql, [userId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao invalidar tokens de redefinição do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ invalidatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// AUTENTICAÇÃO - Dois fatores (TOTP)
+// ============================================================================
+
+// Grava um segredo pendente (já cifrado); o 2FA só passa a valer após enableUserTotp
+function setUserTotpSecret(uid, secret) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE usuarios
+      SET totp_secret = ?, totp_enabled = 0, totp_last_counter = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE uid = ?
+    `;
+    db.run(sql, [secret, uid], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao gravar segredo 2FA do usuário ${uid}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// counter: passo do código que confirmou o cadastro (não pode ser usado de novo no login)
+function enableUserTotp(uid, counter) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE usuarios
+      SET totp_enabled = 1, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_counter = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE uid = ? AND totp_secret IS NOT NULL
+    `;
+    db.run(sql, [counter, uid], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao ativar 2FA do usuário ${uid}: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ 2FA ativado para o usuário ${uid}`);
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Remove segredo e códigos de recuperação (desativação ou reset pelo administrador)
+function disableUserTotp(uid) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(`DELETE FROM totp_recovery_codes WHERE user_id = ?`, [uid]);
+      db.run(
+        `UPDATE usuarios SET totp_secret = NULL, totp_enabled = 0, totp_enabled_at = NULL, totp_last_counter = NULL, updated_at = CURRENT_TIMESTAMP WHERE uid = ?`,
+        [uid],
+        function(err) {
+          if (err) {
+            console.error(`❌ Erro ao desativar 2FA do usuário ${uid}: ${err.message}`);
+            reject(err);
+          } else {
+            console.log(`✅ 2FA desativado para o usuário ${uid}`);
+            resolve({ updatedRows: this.changes });
+          }
+        }
+      );
+    });
+  });
+}
+
+// Registra o passo TOTP aceito; usedRows = 0 indica passo igual ou anterior ao último (código repetido)
+function useTotpCounter(uid, counter) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE usuarios SET totp_last_counter = ?
+      WHERE uid = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)
+    `;
+    db.run(sql, [counter, uid, counter], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao registrar código 2FA do usuário ${uid}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ usedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Substitui todos os códigos de recuperação do usuário pelos novos hashes
+function replaceRecoveryCodes(userId, codeHashes) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run(`DELETE FROM totp_recovery_codes WHERE user_id = ?`, [userId]);
+      const stmt = db.prepare(`INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES (?, ?)`);
+      codeHashes.forEach((hash) => stmt.run(userId, hash));
+      stmt.finalize((err) => {
+        if (err) {
+          console.error(`❌ Erro ao gravar códigos de recuperação do usuário ${userId}: ${err.message}`);
+          db.run('ROLLBACK');
+          reject(err);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) reject(commitErr);
+          else resolve({ count: codeHashes.length });
+        });
+      });
+    });
+  });
+}
+
+// Consome um código de recuperação; usedRows = 0 indica código inválido ou já usado
+function useRecoveryCode(userId, codeHash) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE totp_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM totp_recovery_codes
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        LIMIT 1
+      )
+    `;
+    db.run(sql, [userId, codeHash], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao usar código de recuperação do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ usedRows: this.changes });
+      }
+    });
+  });
+}
+
+function countRecoveryCodes(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT COUNT(*) AS total FROM totp_recovery_codes WHERE user_id = ? AND used_at IS NULL`;
+    db.get(sql, [userId], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao contar códigos de recuperação do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row ? row.total : 0);
+      }
+    });
+  });
+}
+
+// ============================================================================
+// AUTENTICAÇÃO - Tentativas de login (scope = 'account' ou 'ip')
+// ============================================================================
+
+function getLoginThrottle(scope, identifier) {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT * FROM login_throttle WHERE scope = ? AND identifier = ?`;
+    db.get(sql, [scope, identifier], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar tentativas de login (${scope}): ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Soma uma falha; falhas anteriores a windowStart são descartadas e a contagem recomeça
+function recordLoginFailure(scope, identifier, now, windowStart) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO login_throttle (scope, identifier, failures, last_failure_at)
+      VALUES (?, ?, 1, ?)
+      ON CONFLICT(scope, identifier) DO UPDATE SET
+        failures = CASE WHEN last_failure_at < ? THEN 1 ELSE failures + 1 END,
+        last_failure_at = excluded.last_failure_at
+    `;
+    db.run(sql, [scope, identifier, now, windowStart], (err) => {
+      if (err) {
+        console.error(`❌ Erro ao registrar tentativa de login (${scope}): ${err.message}`);
+        reject(err);
+        return;
+      }
+      getLoginThrottle(scope, identifier).then(resolve, reject);
+    });
+  });
+}
+
+function lockLoginThrottle(scope, identifier, lockedUntil) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE login_throttle SET locked_until = ? WHERE scope = ? AND identifier = ?`;
+    db.run(sql, [lockedUntil, scope, identifier], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao bloquear login (${scope}): ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`🔒 Login bloqueado (${scope}) até ${lockedUntil}`);
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+function clearLoginThrottle(scope, identifier) {
+  return new Promise((resolve, reject) => {
+    const sql = `DELETE FROM login_throttle WHERE scope = ? AND identifier = ?`;
+    db.run(sql, [scope, identifier], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao limpar tentativas de login (${scope}): ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Contas (emails) com bloqueio ainda em vigor
+function getLockedAccounts(now) {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT * FROM login_throttle WHERE scope = 'account' AND locked_until > ?`;
+    db.all(sql, [now], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar contas bloqueadas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// ============================================================================
+// AUTENTICAÇÃO - Convites
+// ============================================================================
+
+function createInvite(inviteData) {
+  return new Promise((resolve, reject) => {
+    const { id, email, nomeCompleto = null, cargo, tokenHash, invitedBy, expiresAt } = inviteData;
+
+    const sql = `
+      INSERT INTO convites (id, email, nome_completo, cargo, token_hash, invited_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [id, email, nomeCompleto, cargo, tokenHash, invitedBy, expiresAt], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar convite para ${email}: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ Convite criado para ${email}`);
+        resolve({ id, email, cargo, expiresAt });
+      }
+    });
+  });
+}
+
+function getInviteByHash(tokenHash) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM convites WHERE token_hash = ?`, [tokenHash], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar convite: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Convites ainda utilizáveis (não aceitos, não revogados e dentro do prazo)
+function listPendingInvites(now) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT c.*, u.nome_completo AS invited_by_nome
+      FROM convites c
+      LEFT JOIN usuarios u ON u.uid = c.invited_by
+      WHERE c.accepted_at IS NULL AND c.revoked_at IS NULL AND c.expires_at > ?
+      ORDER BY c.created_at DESC
+    `;
+    db.all(sql, [now], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar convites: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function revokeInvite(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE convites SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`;
+    db.run(sql, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao revogar convite ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ revokedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Revoga convites pendentes do email (reenvio: só o último link vale)
+function revokePendingInvitesByEmail(email) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE convites SET revoked_at = CURRENT_TIMESTAMP WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL`;
+    db.run(sql, [email], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao revogar convites de ${email}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ revokedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Marca o convite como aceito; acceptedRows = 0 indica que já tinha sido usado ou revogado
+function markInviteAccepted(id, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE convites SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = ?
+      WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+    `;
+    db.run(sql, [userId, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao aceitar convite ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ acceptedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// EMPRESAS (clientes)
+// ============================================================================
+
+/**
+ * Lista empresas clientes.
+ * @param {Object} filtros - { ativo (true/false/undefined = todas), busca (razão social, fantasia ou CNPJ) }
+ */
+function listEmpresas({ ativo, busca } = {}) {
+  return new Promise((resolve, reject) => {
+    const where = [];
+    const params = [];
+    if (ativo !== undefined) {
+      where.push('e.ativo = ?');
+      params.push(ativo ? 1 : 0);
+    }
+    if (busca) {
+      where.push('(e.razao_social LIKE ? OR e.nome_fantasia LIKE ? OR e.cnpj LIKE ?)');
+      params.push(`%${busca}%`, `%${busca}%`, `%${busca.toUpperCase().replace(/[^0-9A-Z]/g, '') || busca}%`);
+    }
+
+    const sql = `
+      SELECT e.*, u.nome_completo AS responsavel_nome,
+        (SELECT COUNT(*) FROM tarefas t WHERE t.empresa_id = e.id) AS total_tarefas
+      FROM empresas e
+      LEFT JOIN usuarios u ON u.uid = e.responsavel_id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY COALESCE(e.nome_fantasia, e.razao_social)
+    `;
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar empresas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function getEmpresaById(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT e.*, u.nome_completo AS responsavel_nome
+      FROM empresas e
+      LEFT JOIN usuarios u ON u.uid = e.responsavel_id
+      WHERE e.id = ?
+    `;
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar empresa ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function getEmpresaByCnpj(cnpj) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM empresas WHERE cnpj = ?`, [cnpj], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar empresa pelo CNPJ ${cnpj}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function createEmpresa(empresa) {
+  return new Promise((resolve, reject) => {
+    const { id, cnpj, razaoSocial, nomeFantasia, regimeTributario, uf, municipio, cnae, ativo = true } = empresa;
+    const sql = `
+      INSERT INTO empresas (id, cnpj, razao_social, nome_fantasia, regime_tributario, uf, municipio, cnae, ativo)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [id, cnpj, razaoSocial, nomeFantasia || null, regimeTributario || null, uf || null, municipio || null, cnae || null, ativo ? 1 : 0];
+    db.run(sql, params, function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar empresa ${cnpj}: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ Empresa ${razaoSocial} (${cnpj}) criada`);
+        resolve({ id });
+      }
+    });
+  });
+}
+
+function updateEmpresa(id, empresa) {
+  return new Promise((resolve, reject) => {
+    const { cnpj, razaoSocial, nomeFantasia, regimeTributario, uf, municipio, cnae, ativo } = empresa;
+    const sql = `
+      UPDATE empresas SET
+        cnpj = ?, razao_social = ?, nome_fantasia = ?, regime_tributario = ?,
+        uf = ?, municipio = ?, cnae = ?, ativo = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    const params = [cnpj, razaoSocial, nomeFantasia || null, regimeTributario || null, uf || null, municipio || null, cnae || null, ativo ? 1 : 0, id];
+    db.run(sql, params, function(err) {
+      if (err) {
+        console.error(`❌ Erro ao atualizar empresa ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Exclusão definitiva; empresas com tarefas devem ser apenas inativadas
+function deleteEmpresa(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM empresas WHERE id = ?`, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao excluir empresa ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
+
+function countTasksByEmpresa(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) AS total FROM tarefas WHERE empresa_id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao contar tarefas da empresa ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row.total);
+      }
+    });
+  });
+}
+
+/**
+ * Grava a importação de empresas em uma única transação; qualquer falha desfaz tudo.
+ * @param {Object} importacao - { criar: [empresa], atualizar: [empresa] } com os campos do cadastro
+ *   e do perfil (responsavelId, possuiEmpregados, contribuinteIcms, issMunicipio)
+ */
+function importEmpresas({ criar = [], atualizar = [] }) {
+  return new Promise((resolve, reject) => {
+    let falha = null;
+    const registrarFalha = (err) => {
+      if (err && !falha) falha = err;
+    };
+
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION', registrarFalha);
+      criar.forEach((e) => {
+        db.run(`
+          INSERT INTO empresas (
+            id, cnpj, razao_social, nome_fantasia, regime_tributario, uf, municipio, cnae, ativo,
+            responsavel_id, possui_empregados, contribuinte_icms, iss_municipio
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          e.id, e.cnpj, e.razaoSocial, e.nomeFantasia || null, e.regimeTributario || null, e.uf || null,
+          e.municipio || null, e.cnae || null, e.ativo ? 1 : 0,
+          e.responsavelId || null, e.possuiEmpregados ? 1 : 0, e.contribuinteIcms ? 1 : 0, e.issMunicipio || null
+        ], registrarFalha);
+      });
+      atualizar.forEach((e) => {
+        db.run(`
+          UPDATE empresas SET
+            razao_social = ?, nome_fantasia = ?, regime_tributario = ?, uf = ?, municipio = ?, cnae = ?, ativo = ?,
+            responsavel_id = ?, possui_empregados = ?, contribuinte_icms = ?, iss_municipio = ?,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          e.razaoSocial, e.nomeFantasia || null, e.regimeTributario || null, e.uf || null,
+          e.municipio || null, e.cnae || null, e.ativo ? 1 : 0,
+          e.responsavelId || null, e.possuiEmpregados ? 1 : 0, e.contribuinteIcms ? 1 : 0, e.issMunicipio || null,
+          e.id
+        ], registrarFalha);
+      });
+      // Executa depois de todos os comandos acima (db.serialize): decide entre COMMIT e ROLLBACK
+      db.run('SELECT 1', () => {
+        if (falha) {
+          console.error(`❌ Erro na importação de empresas: ${falha.message}`);
+          db.run('ROLLBACK', () => reject(falha));
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) {
+            db.run('ROLLBACK', () => reject(commitErr));
+          } else {
+            console.log(`✅ Importação de empresas: ${criar.length} criadas, ${atualizar.length} atualizadas`);
+            resolve({ criadas: criar.length, atualizadas: atualizar.length });
+          }
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Grava o perfil de obrigações da empresa, substituindo as inclusões/exclusões manuais.
+ * @param {Object} perfil - { responsavelId, possuiEmpregados, contribuinteIcms, issMunicipio, incluir[], excluir[] }
+ */
+function updatePerfilObrigacoes(empresaId, perfil) {
+  return new Promise((resolve, reject) => {
+    const { responsavelId, possuiEmpregados, contribuinteIcms, issMunicipio, incluir = [], excluir = [] } = perfil;
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run(`
+        UPDATE empresas SET
+          responsavel_id = ?, possui_empregados = ?, contribuinte_icms = ?, iss_municipio = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [responsavelId || null, possuiEmpregados ? 1 : 0, contribuinteIcms ? 1 : 0, issMunicipio || null, empresaId]);
+      db.run(`DELETE FROM empresa_obrigacoes_ajustes WHERE empresa_id = ?`, [empresaId]);
+      const stmt = db.prepare(`INSERT INTO empresa_obrigacoes_ajustes (empresa_id, obrigacao, tipo) VALUES (?, ?, ?)`);
+      incluir.forEach((obrigacao) => stmt.run(empresaId, obrigacao, 'incluir'));
+      excluir.forEach((obrigacao) => stmt.run(empresaId, obrigacao, 'excluir'));
+      stmt.finalize((err) => {
+        if (err) {
+          console.error(`❌ Erro ao gravar perfil de obrigações da empresa ${empresaId}: ${err.message}`);
+          db.run('ROLLBACK');
+          reject(err);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) reject(commitErr);
+          else resolve({ ajustes: incluir.length + excluir.length });
+        });
+      });
+    });
+  });
+}
+
+// Inclusões/exclusões manuais das empresas informadas
+function listAjustesObrigacoes(empresaIds) {
+  return new Promise((resolve, reject) => {
+    if (!empresaIds.length) {
+      resolve([]);
+      return;
+    }
+    const placeholders = empresaIds.map(() => '?').join(', ');
+    const sql = `
+      SELECT empresa_id, obrigacao, tipo FROM empresa_obrigacoes_ajustes
+      WHERE empresa_id IN (${placeholders})
+      ORDER BY obrigacao
+    `;
+    db.all(sql, empresaIds, (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar ajustes de obrigações: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Evita gerar duas vezes a mesma obrigação da agenda para a empresa
+function checkTaskExistsForEmpresa(titulo, dataVencimento, empresaId) {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT id FROM tarefas WHERE titulo = ? AND data_vencimento = ? AND empresa_id = ?`;
+    db.get(sql, [titulo, dataVencimento, empresaId], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao verificar tarefa existente da empresa ${empresaId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(!!row);
+      }
+    });
+  });
+}
+
+// Filtro opcional de responsáveis (visibilidade de tarefas); null = todos
+function filtroResponsaveis(responsavelIds, coluna = 't.responsavel_id') {
+  if (!responsavelIds) return { sql: '', params: [] };
+  if (!responsavelIds.length) return { sql: ' AND 0', params: [] };
+  return { sql: ` AND ${coluna} IN (${responsavelIds.map(() => '?').join(', ')})`, params: responsavelIds };
+}
+
+/**
+ * Situação das obrigações de cada empresa ativa no período (painel da carteira).
+ * @param {Object} filtros - { inicio, fim, hoje } (YYYY-MM-DD) e responsavelIds (null = todas as tarefas)
+ * @returns {Promise<Array>} Empresas com total, concluidas, pendentes, vencidas e proximo_vencimento
+ */
+function getPainelEmpresas({ inicio, fim, hoje, responsavelIds = null }) {
+  return new Promise((resolve, reject) => {
+    const responsaveis = filtroResponsaveis(responsavelIds);
+    // Tarefas não finalizadas com vencimento passado contam como vencidas; canceladas ficam de fora
+    const sql = `
+      SELECT e.id, e.cnpj, e.razao_social, e.nome_fantasia, e.regime_tributario, e.responsavel_id,
+        u.nome_completo AS responsavel_nome,
+        COUNT(t.id) AS total,
+        COALESCE(SUM(t.status = 'finalizado'), 0) AS concluidas,
+        COALESCE(SUM(t.status NOT IN ('finalizado', 'cancelada') AND date(t.data_vencimento) < date(?)), 0) AS vencidas,
+        COALESCE(SUM(t.status NOT IN ('finalizado', 'cancelada') AND date(t.data_vencimento) >= date(?)), 0) AS pendentes,
+        MIN(CASE WHEN t.status NOT IN ('finalizado', 'cancelada') AND date(t.data_vencimento) >= date(?) THEN t.data_vencimento END) AS proximo_vencimento
+      FROM empresas e
+      LEFT JOIN usuarios u ON u.uid = e.responsavel_id
+      LEFT JOIN tarefas t ON t.empresa_id = e.id
+        AND date(t.data_vencimento) BETWEEN date(?) AND date(?)${responsaveis.sql}
+      WHERE e.ativo = 1
+      GROUP BY e.id
+      ORDER BY COALESCE(e.nome_fantasia, e.razao_social)
+    `;
+    db.all(sql, [hoje, hoje, hoje, inicio, fim, ...responsaveis.params], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao montar painel de empresas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Última comparação de extratos de cada empresa, com divergências e contas inválidas
+function getUltimasComparacoesPorEmpresa() {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT c.id, c.empresa_id, c.status, c.criado_em, c.finished_at, c.periodo_inicio, c.periodo_fim,
+        c.qtd_divergencias,
+        (SELECT COUNT(*) FROM account_validation_results r
+          WHERE r.comparacao_id = c.id AND r.status = 'invalid') AS contas_invalidas
+      FROM comparacoes c
+      WHERE c.id = (SELECT MAX(c2.id) FROM comparacoes c2 WHERE c2.empresa_id = c.empresa_id)
+    `;
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar últimas comparações por empresa: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Tarefas da empresa com vencimento no período (linha do tempo do cliente)
+function getTasksByEmpresa(empresaId, { inicio, fim, responsavelIds = null }) {
+  return new Promise((resolve, reject) => {
+    const responsaveis = filtroResponsaveis(responsavelIds);
+    const sql = `
+      ${TASK_SELECT}
+      WHERE t.empresa_id = ? AND date(t.data_vencimento) BETWEEN date(?) AND date(?)${responsaveis.sql}
+      ORDER BY t.data_vencimento
+    `;
+    db.all(sql, [empresaId, inicio, fim, ...responsaveis.params], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar tarefas da empresa ${empresaId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// ============================================================================
+// EMPRESAS - Campos personalizados e notas
+// ============================================================================
+
+// Definições dos campos, com quantas empresas já preencheram cada um
+function listEmpresaCampos({ incluirInativos = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT c.*, (SELECT COUNT(*) FROM empresa_campos_valores v WHERE v.campo_id = c.id) AS total_valores
+      FROM empresa_campos c
+      ${incluirInativos ? '' : 'WHERE c.ativo = 1'}
+      ORDER BY c.ordem, c.nome
+    `;
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar campos personalizados: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function getEmpresaCampoById(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT c.*, (SELECT COUNT(*) FROM empresa_campos_valores v WHERE v.campo_id = c.id) AS total_valores
+      FROM empresa_campos c
+      WHERE c.id = ?
+    `;
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar campo personalizado ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function createEmpresaCampo(campo) {
+  return new Promise((resolve, reject) => {
+    const { id, nome, tipo, opcoes, ordem = 0, ativo = true } = campo;
+    const sql = `
+      INSERT INTO empresa_campos (id, nome, tipo, opcoes, ordem, ativo)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    db.run(sql, [id, nome, tipo, opcoes ? JSON.stringify(opcoes) : null, ordem, ativo ? 1 : 0], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar campo personalizado ${nome}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ id });
+      }
+    });
+  });
+}
+
+// O tipo não é alterado depois da criação
+function updateEmpresaCampo(id, campo) {
+  return new Promise((resolve, reject) => {
+    const { nome, opcoes, ordem = 0, ativo } = campo;
+    const sql = `
+      UPDATE empresa_campos SET
+        nome = ?, opcoes = ?, ordem = ?, ativo = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    db.run(sql, [nome, opcoes ? JSON.stringify(opcoes) : null, ordem, ativo ? 1 : 0, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao atualizar campo personalizado ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Exclusão definitiva; campos já preenchidos devem ser apenas inativados
+function deleteEmpresaCampo(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM empresa_campos WHERE id = ?`, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao excluir campo personalizado ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Valores preenchidos na empresa (segredos continuam cifrados)
+function listValoresCamposEmpresa(empresaId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT v.*, u.nome_completo AS atualizado_por_nome
+      FROM empresa_campos_valores v
+      LEFT JOIN usuarios u ON u.uid = v.updated_by
+      WHERE v.empresa_id = ?
+    `;
+    db.all(sql, [empresaId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar campos personalizados da empresa ${empresaId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function getValorCampoEmpresa(empresaId, campoId) {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT * FROM empresa_campos_valores WHERE empresa_id = ? AND campo_id = ?`;
+    db.get(sql, [empresaId, campoId], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar campo ${campoId} da empresa ${empresaId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ * Grava os valores dos campos da empresa em uma transação.
+ * @param {Array} valores - [{ campoId, valor }]; valor null apaga o campo
+ */
+function setValoresCamposEmpresa(empresaId, valores, userId) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      const apagar = db.prepare(`DELETE FROM empresa_campos_valores WHERE empresa_id = ? AND campo_id = ?`);
+      const gravar = db.prepare(`
+        INSERT INTO empresa_campos_valores (empresa_id, campo_id, valor, updated_by)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(empresa_id, campo_id) DO UPDATE SET
+          valor = excluded.valor, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+      `);
+      valores.forEach(({ campoId, valor }) => {
+        if (valor === null) apagar.run(empresaId, campoId);
+        else gravar.run(empresaId, campoId, valor, userId);
+      });
+      apagar.finalize((errApagar) => {
+        gravar.finalize((errGravar) => {
+          const err = errApagar || errGravar;
+          if (err) {
+            console.error(`❌ Erro ao gravar campos personalizados da empresa ${empresaId}: ${err.message}`);
+            db.run('ROLLBACK');
+            reject(err);
+            return;
+          }
+          db.run('COMMIT', (commitErr) => {
+            if (commitErr) reject(commitErr);
+            else resolve({ count: valores.length });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Histórico de notas da empresa, das mais recentes para as mais antigas
+function listNotasEmpresa(empresaId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT n.*, u.nome_completo AS autor_nome, u.email AS autor_email
+      FROM empresa_notas n
+      LEFT JOIN usuarios u ON u.uid = n.autor_id
+      WHERE n.empresa_id = ?
+      ORDER BY n.created_at DESC, n.rowid DESC
+    `;
+    db.all(sql, [empresaId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar notas da empresa ${empresaId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function createNotaEmpresa(nota) {
+  return new Promise((resolve, reject) => {
+    const { id, empresaId, autorId, texto } = nota;
+    const sql = `INSERT INTO empresa_notas (id, empresa_id, autor_id, texto) VALUES (?, ?, ?, ?)`;
+    db.run(sql, [id, empresaId, autorId, texto], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao gravar nota da empresa ${empresaId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ id });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// EMPRESAS - Matriz de atribuição e carga de trabalho
+// ============================================================================
+
+// Atribuições com os nomes do responsável e do substituto (empresaIds null = todas)
+function listAtribuicoes(empresaIds = null) {
+  return new Promise((resolve, reject) => {
+    if (empresaIds && empresaIds.length === 0) return resolve([]);
+    const sql = `
+      SELECT a.*, r.nome_completo AS responsavel_nome, b.nome_completo AS backup_nome
+      FROM empresa_atribuicoes a
+      LEFT JOIN usuarios r ON r.uid = a.responsavel_id
+      LEFT JOIN usuarios b ON b.uid = a.backup_id
+      ${empresaIds ? `WHERE a.empresa_id IN (${empresaIds.map(() => '?').join(', ')})` : ''}
+    `;
+    db.all(sql, empresaIds || [], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar atribuições: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Substitui as atribuições da empresa.
+ * @param {Array} atribuicoes - [{ categoria, responsavelId, backupId }]
+ */
+function setAtribuicoesEmpresa(empresaId, atribuicoes) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run(`DELETE FROM empresa_atribuicoes WHERE empresa_id = ?`, [empresaId]);
+      const stmt = db.prepare(`
+        INSERT INTO empresa_atribuicoes (empresa_id, categoria, responsavel_id, backup_id)
+        VALUES (?, ?, ?, ?)
+      `);
+      atribuicoes.forEach(({ categoria, responsavelId, backupId }) => {
+        stmt.run(empresaId, categoria, responsavelId, backupId || null);
+      });
+      stmt.finalize((err) => {
+        if (err) {
+          console.error(`❌ Erro ao gravar atribuições da empresa ${empresaId}: ${err.message}`);
+          db.run('ROLLBACK');
+          reject(err);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) reject(commitErr);
+          else resolve({ count: atribuicoes.length });
+        });
+      });
+    });
+  });
+}
+
+// ausenteAte null encerra a ausência
+function setUsuarioAusencia(uid, ausenteAte) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE usuarios SET ausente_ate = ?, updated_at = CURRENT_TIMESTAMP WHERE uid = ?`;
+    db.run(sql, [ausenteAte, uid], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao registrar ausência do usuário ${uid}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+/**
+ * Carga de trabalho da equipe no período: tarefas abertas, vencidas e concluídas por pessoa
+ * e quantas empresas/categorias cada uma tem na matriz (como titular e como substituta).
+ * @param {Object} filtros - { inicio, fim, hoje } (YYYY-MM-DD) e responsavelIds (null = todos)
+ */
+function getCargaTrabalho({ inicio, fim, hoje, responsavelIds = null }) {
+  return new Promise((resolve, reject) => {
+    const responsaveis = filtroResponsaveis(responsavelIds, 'u.uid');
+    const sql = `
+      SELECT u.uid, u.nome_completo, u.email, u.cargo, u.ausente_ate,
+        COALESCE(SUM(t.status NOT IN ('finalizado', 'cancelada') AND date(t.data_vencimento) >= date(?)), 0) AS abertas,
+        COALESCE(SUM(t.status NOT IN ('finalizado', 'cancelada') AND date(t.data_vencimento) < date(?)), 0) AS vencidas,
+        COALESCE(SUM(t.status = 'finalizado'), 0) AS concluidas,
+        (SELECT COUNT(DISTINCT a.empresa_id) FROM empresa_atribuicoes a WHERE a.responsavel_id = u.uid) AS empresas_titular,
+        (SELECT COUNT(*) FROM empresa_atribuicoes a WHERE a.responsavel_id = u.uid) AS atribuicoes_titular,
+        (SELECT COUNT(*) FROM empresa_atribuicoes a WHERE a.backup_id = u.uid) AS atribuicoes_substituto
+      FROM usuarios u
+      LEFT JOIN tarefas t ON t.responsavel_id = u.uid
+        AND date(t.data_vencimento) BETWEEN date(?) AND date(?)
+      WHERE u.cargo <> 'cliente'${responsaveis.sql}
+      GROUP BY u.uid
+      ORDER BY u.nome_completo
+    `;
+    db.all(sql, [hoje, hoje, inicio, fim, ...responsaveis.params], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao calcular carga de trabalho: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// ============================================================================
+// TAREFAS - Séries recorrentes
+// ============================================================================
+
+function createSerie(serie) {
+  return new Promise((resolve, reject) => {
+    const {
+      id, titulo, responsavel, responsavelId, observacoes = null, empresaId = null,
+      frequencia, tipoDia, dia = null, dataInicio, dataFim = null, geradaAte = null, modeloId = null, criadoPor = null
+    } = serie;
+    const sql = `
+      INSERT INTO tarefa_series (id, titulo, responsavel, responsavel_id, observacoes, empresa_id,
+        frequencia, tipo_dia, dia, data_inicio, data_fim, gerada_ate, modelo_id, criado_por)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    db.run(sql, [id, titulo, responsavel, responsavelId, observacoes, empresaId, frequencia, tipoDia, dia, dataInicio, dataFim, geradaAte, modeloId, criadoPor], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar série "${titulo}": ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ id });
+      }
+    });
+  });
+}
+
+function getSerieById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM tarefa_series WHERE id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar série ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function listSeriesByIds(ids) {
+  return new Promise((resolve, reject) => {
+    if (!ids.length) return resolve([]);
+    const sql = `SELECT * FROM tarefa_series WHERE id IN (${ids.map(() => '?').join(', ')})`;
+    db.all(sql, ids, (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar séries: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function listSeriesAtivas() {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM tarefa_series WHERE ativa = 1 ORDER BY created_at`, [], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar séries ativas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Atualiza os dados e a regra da série ("esta e as próximas ocorrências").
+ * dataInicio passa a ser a ocorrência editada e geradaAte volta para o mês dela, para que as
+ * próximas sejam recalculadas pela nova regra (services/tasks/series.js).
+ */
+function updateSerie(id, serie) {
+  return new Promise((resolve, reject) => {
+    const {
+      titulo, responsavel, responsavelId, observacoes = null, empresaId = null,
+      frequencia, tipoDia, dia = null, dataInicio, dataFim = null, geradaAte
+    } = serie;
+    const sql = `
+      UPDATE tarefa_series SET
+        titulo = ?, responsavel = ?, responsavel_id = ?, observacoes = ?, empresa_id = ?,
+        frequencia = ?, tipo_dia = ?, dia = ?, data_inicio = ?, data_fim = ?, gerada_ate = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    db.run(sql, [titulo, responsavel, responsavelId, observacoes, empresaId, frequencia, tipoDia, dia, dataInicio, dataFim, geradaAte, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao atualizar série ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+function setSerieGeradaAte(id, geradaAte) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE tarefa_series SET gerada_ate = ? WHERE id = ?`, [geradaAte, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao registrar geração da série ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Série encerrada não gera mais ocorrências; as já criadas continuam ligadas a ela
+function encerrarSerie(id, dataFim) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE tarefa_series SET ativa = 0, data_fim = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    db.run(sql, [dataFim, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao encerrar série ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Transforma uma tarefa avulsa na primeira ocorrência de uma série
+function vincularTarefaSerie(taskId, serieId, ocorrencia) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE tarefas SET serie_id = ?, ocorrencia = ?, excecao = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    db.run(sql, [serieId, ocorrencia, taskId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao vincular tarefa ${taskId} à série ${serieId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+function setTaskExcecao(taskId, excecao) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE tarefas SET excecao = ? WHERE id = ?`, [excecao ? 1 : 0, taskId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao marcar exceção na tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+/**
+ * Ocorrências da série posteriores a uma data, com o que impede removê-las
+ * (comprovantes, solicitações ao cliente e itens do checklist já concluídos).
+ */
+function listOcorrenciasSerie(serieId, { apos = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT t.*,
+        (SELECT COUNT(*) FROM arquivos a WHERE a.task_id = t.id) AS total_arquivos,
+        (SELECT COUNT(*) FROM solicitacoes_documentos s WHERE s.task_id = t.id) AS total_solicitacoes,
+        (SELECT COUNT(*) FROM tarefa_checklist c WHERE c.task_id = t.id AND c.concluido = 1) AS total_itens_concluidos
+      FROM tarefas t
+      WHERE t.serie_id = ?${apos ? ' AND t.ocorrencia > ?' : ''}
+      ORDER BY t.ocorrencia
+    `;
+    db.all(sql, apos ? [serieId, apos] : [serieId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar ocorrências da série ${serieId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// ============================================================================
+// TAREFAS - Checklist e modelos
+// ============================================================================
+
+const CHECKLIST_SELECT = `
+  SELECT c.*, u.nome_completo AS responsavel_nome, cp.nome_completo AS concluido_por_nome
+  FROM tarefa_checklist c
+  LEFT JOIN usuarios u ON u.uid = c.responsavel_id
+  LEFT JOIN usuarios cp ON cp.uid = c.concluido_por
+`;
+
+function listChecklistByTask(taskId) {
+  return new Promise((resolve, reject) => {
+    db.all(`${CHECKLIST_SELECT} WHERE c.task_id = ? ORDER BY c.ordem, c.id`, [taskId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar checklist da tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function getChecklistItemById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`${CHECKLIST_SELECT} WHERE c.id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar item de checklist ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Progresso do checklist de várias tarefas de uma vez (cards do calendário)
+function getResumoChecklistByTaskIds(taskIds) {
+  return new Promise((resolve, reject) => {
+    if (!taskIds.length) return resolve([]);
+    const sql = `
+      SELECT task_id,
+        COUNT(*) AS total,
+        SUM(CASE WHEN concluido = 1 THEN 1 ELSE 0 END) AS concluidos,
+        SUM(CASE WHEN obrigatorio = 1 AND concluido = 0 THEN 1 ELSE 0 END) AS obrigatorios_pendentes
+      FROM tarefa_checklist
+      WHERE task_id IN (${taskIds.map(() => '?').join(', ')})
+      GROUP BY task_id
+    `;
+    db.all(sql, taskIds, (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao resumir checklists: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Novos itens entram no fim da lista
+function createChecklistItem(taskId, item) {
+  return new Promise((resolve, reject) => {
+    const { descricao, obrigatorio = true, responsavelId = null, prazoDias = null } = item;
+    const sql = `
+      INSERT INTO tarefa_checklist (task_id, descricao, ordem, obrigatorio, responsavel_id, prazo_dias)
+      VALUES (?, ?, (SELECT COALESCE(MAX(ordem), 0) + 1 FROM tarefa_checklist WHERE task_id = ?), ?, ?, ?)
+    `;
+    db.run(sql, [taskId, descricao, taskId, obrigatorio ? 1 : 0, responsavelId, prazoDias], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar item de checklist na tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ id: this.lastID });
+      }
+    });
+  });
+}
+
+function updateChecklistItem(id, item) {
+  return new Promise((resolve, reject) => {
+    const { descricao, obrigatorio = true, responsavelId = null, prazoDias = null } = item;
+    const sql = `UPDATE tarefa_checklist SET descricao = ?, obrigatorio = ?, responsavel_id = ?, prazo_dias = ? WHERE id = ?`;
+    db.run(sql, [descricao, obrigatorio ? 1 : 0, responsavelId, prazoDias, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao atualizar item de checklist ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Marca ou desmarca o item, registrando quem concluiu
+function setChecklistItemConcluido(id, concluido, userId) {
+  return new Promise((resolve, reject) => {
+    const sql = concluido
+      ? `UPDATE tarefa_checklist SET concluido = 1, concluido_por = ?, concluido_em = CURRENT_TIMESTAMP WHERE id = ?`
+      : `UPDATE tarefa_checklist SET concluido = 0, concluido_por = NULL, concluido_em = NULL WHERE id = ?`;
+    db.run(sql, concluido ? [userId, id] : [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao marcar item de checklist ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+function deleteChecklistItem(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM tarefa_checklist WHERE id = ?`, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao excluir item de checklist ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Grava a nova ordem dos itens (ids na ordem desejada; ids de outras tarefas são ignorados)
+function reordenarChecklist(taskId, itemIds) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      const stmt = db.prepare(`UPDATE tarefa_checklist SET ordem = ? WHERE id = ? AND task_id = ?`);
+      itemIds.forEach((itemId, indice) => stmt.run(indice + 1, itemId, taskId));
+      stmt.finalize((err) => {
+        if (err) {
+          console.error(`❌ Erro ao reordenar checklist da tarefa ${taskId}: ${err.message}`);
+          db.run('ROLLBACK');
+          reject(err);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) reject(commitErr);
+          else resolve({ count: itemIds.length });
+        });
+      });
+    });
+  });
+}
+
+// Copia os itens do modelo para o fim do checklist da tarefa
+function aplicarModeloChecklist(taskId, modeloId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO tarefa_checklist (task_id, descricao, ordem, obrigatorio, prazo_dias)
+      SELECT ?, i.descricao,
+        (SELECT COALESCE(MAX(ordem), 0) FROM tarefa_checklist WHERE task_id = ?) + ROW_NUMBER() OVER (ORDER BY i.ordem, i.id),
+        i.obrigatorio, i.prazo_dias
+      FROM tarefa_modelo_itens i
+      WHERE i.modelo_id = ?
+      ORDER BY i.ordem, i.id
+    `;
+    db.run(sql, [taskId, taskId, modeloId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao aplicar modelo ${modeloId} na tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ count: this.changes });
+      }
+    });
+  });
+}
+
+// Modelos com a quantidade de itens
+function listTarefaModelos() {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT m.*, (SELECT COUNT(*) FROM tarefa_modelo_itens i WHERE i.modelo_id = m.id) AS total_itens
+      FROM tarefa_modelos m
+      ORDER BY m.nome
+    `;
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar modelos de tarefa: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function getTarefaModeloById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM tarefa_modelos WHERE id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar modelo de tarefa ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function listItensModelo(modeloId) {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM tarefa_modelo_itens WHERE modelo_id = ? ORDER BY ordem, id`, [modeloId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar itens do modelo ${modeloId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Grava o modelo e substitui todos os itens dele, na mesma transação
+function salvarTarefaModelo(modelo, { criar }) {
+  return new Promise((resolve, reject) => {
+    const { id, nome, titulo = null, observacoes = null, itens = [], criadoPor = null } = modelo;
+    const falhar = (err) => {
+      console.error(`❌ Erro ao gravar modelo de tarefa "${nome}": ${err.message}`);
+      db.run('ROLLBACK');
+      reject(err);
+    };
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      const sql = criar
+        ? `INSERT INTO tarefa_modelos (id, nome, titulo, observacoes, criado_por) VALUES (?, ?, ?, ?, ?)`
+        : `UPDATE tarefa_modelos SET nome = ?, titulo = ?, observacoes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+      db.run(sql, criar ? [id, nome, titulo, observacoes, criadoPor] : [nome, titulo, observacoes, id], function(err) {
+        if (err) return falhar(err);
+        const changes = this.changes;
+        db.run(`DELETE FROM tarefa_modelo_itens WHERE modelo_id = ?`, [id], (errDel) => {
+          if (errDel) return falhar(errDel);
+          const stmt = db.prepare(`INSERT INTO tarefa_modelo_itens (modelo_id, descricao, ordem, obrigatorio, prazo_dias) VALUES (?, ?, ?, ?, ?)`);
+          itens.forEach((item, indice) => stmt.run(id, item.descricao, indice + 1, item.obrigatorio ? 1 : 0, item.prazoDias));
+          stmt.finalize((errItens) => {
+            if (errItens) return falhar(errItens);
+            db.run('COMMIT', (commitErr) => {
+              if (commitErr) reject(commitErr);
+              else resolve({ id, changes });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+const createTarefaModelo = (modelo) => salvarTarefaModelo(modelo, { criar: true });
+const updateTarefaModelo = (id, modelo) => salvarTarefaModelo({ ...modelo, id }, { criar: false });
+
+// Tarefas já criadas mantêm os itens copiados; séries deixam de aplicar o modelo
+function deleteTarefaModelo(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM tarefa_modelos WHERE id = ?`, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao excluir modelo de tarefa ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// TAREFAS - Dependências
+// ============================================================================
+
+const DEPENDENCIA_SELECT = `
+  SELECT d.predecessora_id, d.sucessora_id, d.created_at,
+    p.titulo AS predecessora_titulo, p.status AS predecessora_status, p.data_vencimento AS predecessora_vencimento,
+    s.titulo AS sucessora_titulo, s.status AS sucessora_status, s.data_vencimento AS sucessora_vencimento
+  FROM tarefa_dependencias d
+  JOIN tarefas p ON p.id = d.predecessora_id
+  JOIN tarefas s ON s.id = d.sucessora_id
+`;
+
+// Vínculos em que as tarefas aparecem como predecessora ou como sucessora
+function listDependenciasByTaskIds(taskIds) {
+  return new Promise((resolve, reject) => {
+    if (!taskIds.length) return resolve([]);
+    const placeholders = taskIds.map(() => '?').join(', ');
+    const sql = `${DEPENDENCIA_SELECT} WHERE d.predecessora_id IN (${placeholders}) OR d.sucessora_id IN (${placeholders}) ORDER BY p.data_vencimento, p.titulo`;
+    db.all(sql, [...taskIds, ...taskIds], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar dependências de tarefas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Sucessoras diretas da tarefa (linhas completas de tarefas)
+function listSucessoras(taskId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT t.* FROM tarefa_dependencias d
+      JOIN tarefas t ON t.id = d.sucessora_id
+      WHERE d.predecessora_id = ?
+    `;
+    db.all(sql, [taskId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar sucessoras da tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Indica se destinoId é alcançável a partir de origemId seguindo predecessora → sucessora.
+ * Incluir origem como sucessora de destino nesse caso fecharia um ciclo.
+ */
+function existeCaminhoDependencia(origemId, destinoId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      WITH RECURSIVE alcancaveis(id) AS (
+        SELECT sucessora_id FROM tarefa_dependencias WHERE predecessora_id = ?
+        UNION
+        SELECT d.sucessora_id FROM tarefa_dependencias d JOIN alcancaveis a ON d.predecessora_id = a.id
+      )
+      SELECT 1 AS existe FROM alcancaveis WHERE id = ? LIMIT 1
+    `;
+    db.get(sql, [origemId, destinoId], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao verificar ciclo de dependências: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(Boolean(row));
+      }
+    });
+  });
+}
+
+// Vínculo repetido é ignorado (INSERT OR IGNORE); insertedRows = 0 nesse caso
+function createDependencia(predecessoraId, sucessoraId, criadoPor = null) {
+  return new Promise((resolve, reject) => {
+    const sql = `INSERT OR IGNORE INTO tarefa_dependencias (predecessora_id, sucessora_id, criado_por) VALUES (?, ?, ?)`;
+    db.run(sql, [predecessoraId, sucessoraId, criadoPor], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar dependência ${predecessoraId} → ${sucessoraId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ insertedRows: this.changes });
+      }
+    });
+  });
+}
+
+function deleteDependencia(predecessoraId, sucessoraId) {
+  return new Promise((resolve, reject) => {
+    const sql = `DELETE FROM tarefa_dependencias WHERE predecessora_id = ? AND sucessora_id = ?`;
+    db.run(sql, [predecessoraId, sucessoraId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao excluir dependência ${predecessoraId} → ${sucessoraId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Novo vencimento de uma sucessora adiada; ocorrência de série passa a ser exceção
+function adiarVencimentoTarefa(taskId, dataVencimento) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE tarefas SET
+        data_vencimento = ?,
+        excecao = CASE WHEN serie_id IS NULL THEN excecao ELSE 1 END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    db.run(sql, [dataVencimento, taskId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao adiar o vencimento da tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// TAREFAS - Comentários e menções
+// ============================================================================
+
+const COMENTARIO_SELECT = `
+  SELECT c.*, u.nome_completo AS autor_nome, u.email AS autor_email
+  FROM tarefa_comentarios c
+  LEFT JOIN usuarios u ON u.uid = c.autor_id
+`;
+
+// Comentários da tarefa em ordem cronológica (inclusive os excluídos, para manter a conversa)
+function listComentariosByTask(taskId) {
+  return new Promise((resolve, reject) => {
+    db.all(`${COMENTARIO_SELECT} WHERE c.task_id = ? ORDER BY c.created_at, c.id`, [taskId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar comentários da tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function getComentarioById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`${COMENTARIO_SELECT} WHERE c.id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar comentário ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+// Anexos dos comentários da tarefa (arquivos com comentario_id)
+function listAnexosComentarios(taskId) {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT * FROM arquivos WHERE task_id = ? AND comentario_id IS NOT NULL ORDER BY upload_date, id`;
+    db.all(sql, [taskId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar anexos dos comentários da tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function createComentario(taskId, { parentId = null, autorId, texto }) {
+  return new Promise((resolve, reject) => {
+    const sql = `INSERT INTO tarefa_comentarios (task_id, parent_id, autor_id, texto) VALUES (?, ?, ?, ?)`;
+    db.run(sql, [taskId, parentId, autorId, texto], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar comentário na tarefa ${taskId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ id: this.lastID });
+      }
+    });
+  });
+}
+
+// Guarda o texto atual no histórico e aplica a alteração, na mesma transação.
+// Comentário já excluído não muda: resolve { updatedRows: 0 }.
+function alterarComentario(id, acao, userId, updateSql, updateParams) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run(
+        `INSERT INTO tarefa_comentario_historico (comentario_id, acao, texto_anterior, user_id)
+         SELECT id, ?, texto, ? FROM tarefa_comentarios WHERE id = ? AND excluido_em IS NULL`,
+        [acao, userId, id],
+        function(err) {
+          if (err || this.changes === 0) {
+            db.run('ROLLBACK');
+            if (err) {
+              console.error(`❌ Erro ao registrar histórico do comentário ${id}: ${err.message}`);
+              return reject(err);
+            }
+            return resolve({ updatedRows: 0 });
+          }
+          db.run(updateSql, updateParams, (errUpdate) => {
+            if (errUpdate) {
+              console.error(`❌ Erro ao alterar comentário ${id}: ${errUpdate.message}`);
+              db.run('ROLLBACK');
+              return reject(errUpdate);
+            }
+            db.run('COMMIT', (commitErr) => {
+              if (commitErr) return reject(commitErr);
+              resolve({ updatedRows: 1 });
+            });
+          });
+        }
+      );
+    });
+  });
+}
+
+function updateComentarioTexto(id, texto, userId) {
+  return alterarComentario(id, 'edicao', userId,
+    `UPDATE tarefa_comentarios SET texto = ?, editado_em = CURRENT_TIMESTAMP WHERE id = ?`,
+    [texto, id]);
+}
+
+function excluirComentario(id, userId) {
+  return alterarComentario(id, 'exclusao', userId,
+    `UPDATE tarefa_comentarios SET excluido_em = CURRENT_TIMESTAMP, excluido_por = ? WHERE id = ?`,
+    [userId, id]);
+}
+
+// Edições e exclusão do comentário, da mais recente para a mais antiga
+function listHistoricoComentario(id) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT h.*, u.nome_completo AS user_nome, u.email AS user_email
+      FROM tarefa_comentario_historico h
+      LEFT JOIN usuarios u ON u.uid = h.user_id
+      WHERE h.comentario_id = ?
+      ORDER BY h.created_at DESC, h.id DESC
+    `;
+    db.all(sql, [id], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar histórico do comentário ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function listMencoesComentario(comentarioId) {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM tarefa_comentario_mencoes WHERE comentario_id = ?`, [comentarioId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar menções do comentário ${comentarioId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Menções já registradas são mantidas (INSERT OR IGNORE)
+function addMencoesComentario(comentarioId, userIds) {
+  return new Promise((resolve, reject) => {
+    if (!userIds.length) return resolve({ insertedRows: 0 });
+    const sql = `INSERT OR IGNORE INTO tarefa_comentario_mencoes (comentario_id, user_id) VALUES ${userIds.map(() => '(?, ?)').join(', ')}`;
+    db.run(sql, userIds.flatMap((userId) => [comentarioId, userId]), function(err) {
+      if (err) {
+        console.error(`❌ Erro ao registrar menções do comentário ${comentarioId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ insertedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Menções ao usuário ainda não vistas, em comentários não excluídos (mais recentes primeiro)
+function listMencoesNaoLidas(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT m.comentario_id, m.created_at, c.task_id, c.texto, t.titulo AS tarefa_titulo,
+        u.nome_completo AS autor_nome, u.email AS autor_email
+      FROM tarefa_comentario_mencoes m
+      JOIN tarefa_comentarios c ON c.id = m.comentario_id
+      JOIN tarefas t ON t.id = c.task_id
+      LEFT JOIN usuarios u ON u.uid = c.autor_id
+      WHERE m.user_id = ? AND m.lida_em IS NULL AND c.excluido_em IS NULL
+      ORDER BY m.created_at DESC, m.comentario_id DESC
+      LIMIT 50
+    `;
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar menções do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Marca como vistas as menções ao usuário nos comentários da tarefa (ou todas, sem taskId)
+function marcarMencoesLidas(userId, taskId = null) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE tarefa_comentario_mencoes SET lida_em = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND lida_em IS NULL
+        ${taskId ? 'AND comentario_id IN (SELECT id FROM tarefa_comentarios WHERE task_id = ?)' : ''}
+    `;
+    db.run(sql, taskId ? [userId, taskId] : [userId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao marcar menções do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// EQUIPES
+// ============================================================================
+
+// Equipes com supervisor e ids dos membros
+function listEquipes() {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT e.*, s.nome_completo AS supervisor_nome, GROUP_CONCAT(m.user_id) AS membros
+      FROM equipes e
+      LEFT JOIN usuarios s ON s.uid = e.supervisor_id
+      LEFT JOIN equipe_membros m ON m.equipe_id = e.id
+      GROUP BY e.id
+      ORDER BY e.nome
+    `;
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar equipes: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows.map((row) => ({ ...row, membros: row.membros ? row.membros.split(',') : [] })));
+      }
+    });
+  });
+}
+
+function getEquipeById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM equipes WHERE id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar equipe ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function createEquipe({ id, nome, supervisorId }) {
+  return new Promise((resolve, reject) => {
+    const sql = `INSERT INTO equipes (id, nome, supervisor_id) VALUES (?, ?, ?)`;
+    db.run(sql, [id, nome, supervisorId || null], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar equipe: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ Equipe "${nome}" criada`);
+        resolve({ id, nome, supervisorId: supervisorId || null });
+      }
+    });
+  });
+}
+
+function updateEquipe(id, { nome, supervisorId }) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE equipes SET nome = ?, supervisor_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    db.run(sql, [nome, supervisorId || null, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao atualizar equipe ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+function deleteEquipe(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM equipes WHERE id = ?`, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao excluir equipe ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Substitui os membros da equipe
+function setEquipeMembros(equipeId, userIds) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run(`DELETE FROM equipe_membros WHERE equipe_id = ?`, [equipeId]);
+      const stmt = db.prepare(`INSERT INTO equipe_membros (equipe_id, user_id) VALUES (?, ?)`);
+      userIds.forEach((userId) => stmt.run(equipeId, userId));
+      stmt.finalize((err) => {
+        if (err) {
+          console.error(`❌ Erro ao gravar membros da equipe ${equipeId}: ${err.message}`);
+          db.run('ROLLBACK');
+          reject(err);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) reject(commitErr);
+          else resolve({ count: userIds.length });
+        });
+      });
+    });
+  });
+}
+
+// Usuários cujas tarefas o usuário enxerga: colegas das equipes de que participa
+// e membros das equipes que supervisiona
+function getTeamUserIds(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT DISTINCT m.user_id
+      FROM equipe_membros m
+      WHERE m.equipe_id IN (
+        SELECT equipe_id FROM equipe_membros WHERE user_id = ?
+        UNION
+        SELECT id FROM equipes WHERE supervisor_id = ?
+      )
+    `;
+    db.all(sql, [userId, userId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar equipes do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows.map((row) => row.user_id));
+      }
+    });
+  });
+}
+
+// ============================================================================
+// PORTAL DO CLIENTE
+// ============================================================================
+
+// Empresas vinculadas ao usuário do portal
+function listEmpresasDoUsuario(userId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT e.*
+      FROM usuario_empresas ue
+      JOIN empresas e ON e.id = ue.empresa_id
+      WHERE ue.user_id = ?
+      ORDER BY COALESCE(e.nome_fantasia, e.razao_social)
+    `;
+    db.all(sql, [userId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar empresas do usuário ${userId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Substitui as empresas vinculadas ao usuário
+function setEmpresasDoUsuario(userId, empresaIds) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run(`DELETE FROM usuario_empresas WHERE user_id = ?`, [userId]);
+      const stmt = db.prepare(`INSERT INTO usuario_empresas (user_id, empresa_id) VALUES (?, ?)`);
+      empresaIds.forEach((empresaId) => stmt.run(userId, empresaId));
+      stmt.finalize((err) => {
+        if (err) {
+          console.error(`❌ Erro ao gravar empresas do usuário ${userId}: ${err.message}`);
+          db.run('ROLLBACK');
+          reject(err);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) reject(commitErr);
+          else resolve({ count: empresaIds.length });
+        });
+      });
+    });
+  });
+}
+
+// Vínculos usuário → empresas de todos os usuários (tela de gerenciamento de usuários)
+function listVinculosUsuarioEmpresas() {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT user_id, empresa_id FROM usuario_empresas`, [], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar vínculos de usuários com empresas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Contatos da empresa: usuários do portal vinculados a ela (destinatários dos lembretes)
+function getContatosEmpresa(empresaId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT u.uid, u.email, u.nome_completo
+      FROM usuario_empresas ue
+      JOIN usuarios u ON u.uid = ue.user_id
+      WHERE ue.empresa_id = ?
+    `;
+    db.all(sql, [empresaId], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar contatos da empresa ${empresaId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Tarefas das empresas com vencimento no período (portal do cliente)
+function getTasksByEmpresas(empresaIds, { inicio, fim }) {
+  return new Promise((resolve, reject) => {
+    if (!empresaIds.length) return resolve([]);
+    const sql = `
+      ${TASK_SELECT}
+      WHERE t.empresa_id IN (${empresaIds.map(() => '?').join(', ')})
+        AND date(t.data_vencimento) BETWEEN date(?) AND date(?)
+      ORDER BY t.data_vencimento
+    `;
+    db.all(sql, [...empresaIds, inicio, fim], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar tarefas das empresas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Arquivos de várias tarefas de uma vez, mais recentes primeiro (sem anexos de comentários)
+function getFilesByTaskIds(taskIds) {
+  return new Promise((resolve, reject) => {
+    if (!taskIds.length) return resolve([]);
+    const sql = `
+      SELECT * FROM arquivos
+      WHERE task_id IN (${taskIds.map(() => '?').join(', ')}) AND comentario_id IS NULL
+      ORDER BY upload_date DESC
+    `;
+    db.all(sql, taskIds, (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar arquivos das tarefas: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ * Documentos enviados pelos clientes no portal (caixa de revisão da equipe).
+ * @param {Object} filtros - status ('pendente', 'aprovado', 'rejeitado'; vazio = todos)
+ *   e responsavelIds (visibilidade das tarefas; null = todas)
+ * @returns {Promise<Array>} Arquivos com tarefa, empresa, quem enviou e quem revisou
+ */
+function listUploadsClientes({ status = null, responsavelIds = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const responsaveis = filtroResponsaveis(responsavelIds);
+    const sql = `
+      SELECT a.id, a.original_name, a.mime_type, a.size, a.task_id, a.upload_date,
+        a.revisao_status, a.revisado_em, a.revisao_comentario,
+        t.titulo AS tarefa_titulo, t.data_vencimento, t.status AS tarefa_status, t.responsavel,
+        t.empresa_id, COALESCE(e.nome_fantasia, e.razao_social) AS empresa_nome,
+        u.nome_completo AS enviado_por_nome, u.email AS enviado_por_email,
+        r.nome_completo AS revisado_por_nome
+      FROM arquivos a
+      JOIN tarefas t ON t.id = a.task_id
+      LEFT JOIN empresas e ON e.id = t.empresa_id
+      LEFT JOIN usuarios u ON u.uid = a.uploaded_by
+      LEFT JOIN usuarios r ON r.uid = a.revisado_por
+      WHERE a.enviado_por_cliente = 1${status ? ' AND a.revisao_status = ?' : ''}${responsaveis.sql}
+      ORDER BY a.revisao_status = 'pendente' DESC, a.upload_date DESC
+    `;
+    db.all(sql, [...(status ? [status] : []), ...responsaveis.params], (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao listar documentos enviados pelos clientes: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Registra a revisão (aprovado/rejeitado) de um documento enviado pelo cliente
+function revisarUploadCliente(fileId, { status, revisadoPor, comentario = null }) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE arquivos
+      SET revisao_status = ?, revisado_por = ?, revisado_em = CURRENT_TIMESTAMP, revisao_comentario = ?
+      WHERE id = ? AND enviado_por_cliente = 1
+    `;
+    db.run(sql, [status, revisadoPor, comentario, fileId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao revisar documento ${fileId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// SOLICITAÇÕES DE DOCUMENTOS AO CLIENTE
+// ============================================================================
+
+// status efetivo: pedidos não recebidos com prazo vencido aparecem como 'atrasado'
+const SOLICITACAO_SELECT = `
+  SELECT s.*,
+    CASE WHEN s.status = 'solicitado' AND date(s.prazo) < date('now', 'localtime') THEN 'atrasado' ELSE s.status END AS situacao,
+    u.nome_completo AS solicitado_por_nome,
+    a.original_name AS arquivo_nome
+  FROM solicitacoes_documentos s
+  LEFT JOIN usuarios u ON u.uid = s.solicitado_por
+  LEFT JOIN arquivos a ON a.id = s.arquivo_id
+`;
+
+// Solicitações de várias tarefas de uma vez, por prazo
+function listSolicitacoesByTaskIds(taskIds) {
+  return new Promise((resolve, reject) => {
+    if (!taskIds.length) return resolve([]);
+    const sql = `
+      ${SOLICITACAO_SELECT}
+      WHERE s.task_id IN (${taskIds.map(() => '?').join(', ')})
+      ORDER BY s.prazo, s.created_at
+    `;
+    db.all(sql, taskIds, (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar solicitações de documentos: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+function getSolicitacaoById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`${SOLICITACAO_SELECT} WHERE s.id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar solicitação ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+function createSolicitacao({ id, taskId, descricao, prazo, solicitadoPor }) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO solicitacoes_documentos (id, task_id, descricao, prazo, solicitado_por)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    db.run(sql, [id, taskId, descricao, prazo, solicitadoPor || null], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao criar solicitação de documento: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ Documento "${descricao}" solicitado na tarefa ${taskId}`);
+        resolve({ id });
+      }
+    });
+  });
+}
+
+function updateSolicitacao(id, { descricao, prazo }) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE solicitacoes_documentos SET descricao = ?, prazo = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    db.run(sql, [descricao, prazo, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao atualizar solicitação ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+/**
+ * Marca a solicitação como recebida (com o arquivo enviado, se houver) ou reabre o pedido.
+ * @param {string} id
+ * @param {Object} dados - { status: 'recebido' | 'solicitado', arquivoId }
+ */
+function setSolicitacaoStatus(id, { status, arquivoId = null }) {
+  return new Promise((resolve, reject) => {
+    const recebido = status === 'recebido';
+    const sql = `
+      UPDATE solicitacoes_documentos
+      SET status = ?, arquivo_id = ?, recebido_em = ${recebido ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    db.run(sql, [status, recebido ? arquivoId : null, id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao alterar status da solicitação ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+// Reabre as solicitações atendidas por um arquivo (documento recusado na revisão)
+function reabrirSolicitacoesDoArquivo(arquivoId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE solicitacoes_documentos
+      SET status = 'solicitado', arquivo_id = NULL, recebido_em = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE arquivo_id = ?
+    `;
+    db.run(sql, [arquivoId], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao reabrir solicitações do arquivo ${arquivoId}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
+    });
+  });
+}
+
+function deleteSolicitacao(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM solicitacoes_documentos WHERE id = ?`, [id], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao excluir solicitação ${id}: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ deletedRows: this.changes });
+      }
+    });
+  });
+}
 
-                                    // Confirmar transação
-                                    db.run('COMMIT', (errCommit) => {
-                                        if (errCommit) {
-                                            console.error(`❌ [STEP commit] ${errCommit.message}`);
-                                            return reject(new Error(`[commit] ${errCommit.message}`));
-                                        }
-                                        
-                                        console.log(`✅ Tarefa ${taskId} e todas suas dependências (${files.length} arquivos) deletadas com sucesso!`);
-                                        resolve({ deletedRows: this.changes, deletedFiles: files.length });
-                                    });
-                                });
-                            });
-                        });
-                    });
-                });
-            });
-        });
+/**
+ * Solicitações pendentes para lembrete, com tarefa e empresa.
+ * @param {Object} filtros - ate (YYYY-MM-DD: vencem até a data e sem lembrete hoje) ou
+ *   taskId (todas as pendentes da tarefa, para o lembrete enviado manualmente)
+ * @returns {Promise<Array>}
+ */
+function listSolicitacoesParaLembrete({ ate = null, taskId = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const filtros = [];
+    const params = [];
+    if (ate) {
+      filtros.push(`date(s.prazo) <= date(?)`);
+      filtros.push(`(s.ultimo_lembrete_em IS NULL OR date(s.ultimo_lembrete_em, 'localtime') < date('now', 'localtime'))`);
+      params.push(ate);
+    }
+    if (taskId) {
+      filtros.push('s.task_id = ?');
+      params.push(taskId);
+    }
+    const sql = `
+      SELECT s.id, s.descricao, s.prazo, s.task_id, s.lembretes_enviados,
+        date(s.prazo) < date('now', 'localtime') AS atrasada,
+        t.titulo AS tarefa_titulo, t.empresa_id,
+        COALESCE(e.nome_fantasia, e.razao_social) AS empresa_nome
+      FROM solicitacoes_documentos s
+      JOIN tarefas t ON t.id = s.task_id
+      JOIN empresas e ON e.id = t.empresa_id
+      WHERE s.status = 'solicitado'${filtros.map((f) => ` AND ${f}`).join('')}
+      ORDER BY t.empresa_id, s.prazo
+    `;
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar solicitações para lembrete: ${err.message}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
     });
+  });
 }
 
-// Função para verificar dependências de uma tarefa antes da exclusão
-function checkTaskDependencies(taskId) {
-    return new Promise((resolve, reject) => {
-        console.log(`🔍 Verificando dependências da tarefa ${taskId}...`);
-        
-        const dependencies = {
-            arquivos: 0,
-            arquivo_logs: 0,
-            atividade_logs: 0
-        };
-        
-        // Contar arquivos
-        db.get('SELECT COUNT(*) as count FROM arquivos WHERE task_id = ?', [taskId], (err1, result1) => {
-            if (err1) {
-                return reject(err1);
-            }
-            dependencies.arquivos = result1.count;
-            
-            // Contar logs de arquivos
-            db.get(`
-                SELECT COUNT(*) as count FROM arquivo_logs 
-                WHERE arquivo_id IN (SELECT id FROM arquivos WHERE task_id = ?)
-            `, [taskId], (err2, result2) => {
-                if (err2) {
-                    return reject(err2);
-                }
-                dependencies.arquivo_logs = result2.count;
-                
-                // Contar logs de atividade
-                db.get('SELECT COUNT(*) as count FROM atividade_logs WHERE task_id = ?', [taskId], (err3, result3) => {
-                    if (err3) {
-                        return reject(err3);
-                    }
-                    dependencies.atividade_logs = result3.count;
-                    
-                    console.log(`📊 Dependências da tarefa ${taskId}:`, dependencies);
-                    resolve(dependencies);
-                });
-            });
-        });
+function registrarLembreteSolicitacoes(ids) {
+  return new Promise((resolve, reject) => {
+    if (!ids.length) return resolve({ updatedRows: 0 });
+    const sql = `
+      UPDATE solicitacoes_documentos
+      SET ultimo_lembrete_em = CURRENT_TIMESTAMP, lembretes_enviados = lembretes_enviados + 1
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+    `;
+    db.run(sql, ids, function(err) {
+      if (err) {
+        console.error(`❌ Erro ao registrar lembretes de solicitações: ${err.message}`);
+        reject(err);
+      } else {
+        resolve({ updatedRows: this.changes });
+      }
     });
+  });
 }
 
-// Função para inserir log de atividade
-function insertActivityLog(logData) {
-    return new Promise((resolve, reject) => {
-        const { userId, userEmail, action, taskId, taskTitle } = logData;
-        
-        const sql = `
-            INSERT INTO atividade_logs (user_id, user_email, action, task_id, task_title)
-            VALUES (?, ?, ?, ?, ?)
-        `;
-        
-        db.run(sql, [userId, userEmail, action, taskId, taskTitle], function(err) {
-            if (err) {
-                console.error(`❌ Erro ao logar atividade: ${err.message}`);
-                reject(err);
-            } else {
-                console.log(`✅ Atividade logada: ${action} (Task: ${taskTitle || 'N/A'})`);
-                resolve({
-                    id: this.lastID,
-                    userId,
-                    userEmail,
-                    action,
-                    taskId,
-                    taskTitle
-                });
-            }
-        });
+// ============================================================================
+// CONFIGURAÇÕES
+// ============================================================================
+
+// Retorna o valor (JSON) da configuração ou defaultValue quando não definida
+function getSetting(chave, defaultValue = null) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT valor FROM configuracoes WHERE chave = ?`, [chave], (err, row) => {
+      if (err) {
+        console.error(`❌ Erro ao buscar configuração ${chave}: ${err.message}`);
+        reject(err);
+        return;
+      }
+      if (!row || row.valor === null) {
+        resolve(defaultValue);
+        return;
+      }
+      try {
+        resolve(JSON.parse(row.valor));
+      } catch (e) {
+        console.error(`❌ Configuração ${chave} com JSON inválido: ${e.message}`);
+        resolve(defaultValue);
+      }
     });
+  });
 }
 
-// Função para buscar logs de atividade
-function getActivityLogs(userId = null, limit = 100) {
-    return new Promise((resolve, reject) => {
-        let sql, params;
-        if (userId) {
-            sql = `SELECT * FROM atividade_logs WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?`;
-            params = [userId, limit];
-        } else {
-            sql = `SELECT * FROM atividade_logs ORDER BY timestamp DESC LIMIT ?`;
-            params = [limit];
-        }
-        
-        db.all(sql, params, (err, rows) => {
-            if (err) {
-                console.error(`❌ Erro ao buscar logs de atividade: ${err.message}`);
-                reject(err);
-            } else {
-                console.log(`✅ Encontrados ${rows.length} logs de atividade`);
-                resolve(rows);
-            }
-        });
+function setSetting(chave, valor, updatedBy = null) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO configuracoes (chave, valor, updated_by, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(chave) DO UPDATE SET
+        valor = excluded.valor,
+        updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    db.run(sql, [chave, JSON.stringify(valor), updatedBy], function(err) {
+      if (err) {
+        console.error(`❌ Erro ao gravar configuração ${chave}: ${err.message}`);
+        reject(err);
+      } else {
+        console.log(`✅ Configuração ${chave} atualizada`);
+        resolve({ chave, valor });
+      }
     });
+  });
 }
 
 // ============================================================================
@@ -908,17 +4359,18 @@ function createComparacao(comparacaoData) {
       source_type = 'OTIMIZA_TXT',
       bank_source_type = 'CSV',
       input_files = null,
-      status = 'pendente'
+      status = 'pendente',
+      empresa_id = null
     } = comparacaoData;
 
     const sql = `
-      INSERT INTO comparacoes (periodo_inicio, periodo_fim, source_type, bank_source_type, input_files, status)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO comparacoes (periodo_inicio, periodo_fim, source_type, bank_source_type, input_files, status, empresa_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
 
     const inputFilesJson = input_files ? JSON.stringify(input_files) : null;
 
-    db.run(sql, [periodo_inicio, periodo_fim, source_type, bank_source_type, inputFilesJson, status], function(err) {
+    db.run(sql, [periodo_inicio, periodo_fim, source_type, bank_source_type, inputFilesJson, status, empresa_id], function(err) {
       if (err) {
         console.error('❌ Erro ao criar comparação:', err.message);
         reject(err);
@@ -932,7 +4384,12 @@ function createComparacao(comparacaoData) {
 
 function getComparacaoById(id) {
   return new Promise((resolve, reject) => {
-    const sql = `SELECT * FROM comparacoes WHERE id = ?`;
+    const sql = `
+      SELECT c.*, COALESCE(e.nome_fantasia, e.razao_social) AS empresa_nome
+      FROM comparacoes c
+      LEFT JOIN empresas e ON e.id = c.empresa_id
+      WHERE c.id = ?
+    `;
     db.get(sql, [id], (err, row) => {
       if (err) {
         console.error('❌ Erro ao buscar comparação:', err.message);
@@ -961,14 +4418,17 @@ function getComparacaoById(id) {
   });
 }
 
-function listComparacoes(skip = 0, limit = 100) {
+function listComparacoes(skip = 0, limit = 100, { empresaId } = {}) {
   return new Promise((resolve, reject) => {
     const sql = `
-      SELECT * FROM comparacoes 
-      ORDER BY criado_em DESC 
+      SELECT c.*, COALESCE(e.nome_fantasia, e.razao_social) AS empresa_nome
+      FROM comparacoes c
+      LEFT JOIN empresas e ON e.id = c.empresa_id
+      ${empresaId ? 'WHERE c.empresa_id = ?' : ''}
+      ORDER BY c.criado_em DESC 
       LIMIT ? OFFSET ?
     `;
-    db.all(sql, [limit, skip], (err, rows) => {
+    db.all(sql, [...(empresaId ? [empresaId] : []), limit, skip], (err, rows) => {
       if (err) {
         console.error('❌ Erro ao listar comparações:', err.message);
         reject(err);
@@ -1221,10 +4681,15 @@ function deleteDivergenciasByComparacaoId(comparacaoId) {
 // FUNÇÕES RPA DOMÍNIO - Plano de Contas
 // ============================================================================
 
+// Escopo do plano de contas: empresa_id NULL é o plano padrão
+const escopoEmpresa = (empresaId) => (empresaId ? 'empresa_id = ?' : 'empresa_id IS NULL');
+const paramsEscopo = (empresaId) => (empresaId ? [empresaId] : []);
+
 function upsertChartOfAccount(accountData) {
   return new Promise((resolve, reject) => {
     const {
       source = 'dominio',
+      empresa_id = null,
       account_code,
       account_name,
       account_level,
@@ -1235,8 +4700,8 @@ function upsertChartOfAccount(accountData) {
     } = accountData;
 
     // Verifica se já existe
-    const checkSql = `SELECT id FROM chart_of_accounts WHERE source = ? AND account_code = ?`;
-    db.get(checkSql, [source, account_code], (err, existing) => {
+    const checkSql = `SELECT id FROM chart_of_accounts WHERE source = ? AND ${escopoEmpresa(empresa_id)} AND account_code = ?`;
+    db.get(checkSql, [source, ...paramsEscopo(empresa_id), account_code], (err, existing) => {
       if (err) {
         console.error('❌ Erro ao verificar conta:', err.message);
         return reject(err);
@@ -1248,11 +4713,11 @@ function upsertChartOfAccount(accountData) {
           UPDATE chart_of_accounts 
           SET account_name = ?, account_level = ?, parent_code = ?, 
               account_type = ?, nature = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
-          WHERE source = ? AND account_code = ?
+          WHERE id = ?
         `;
         db.run(updateSql, [
           account_name, account_level, parent_code, account_type, nature, is_active,
-          source, account_code
+          existing.id
         ], function(updateErr) {
           if (updateErr) {
             console.error('❌ Erro ao atualizar conta:', updateErr.message);
@@ -1265,11 +4730,11 @@ function upsertChartOfAccount(accountData) {
         // Insert
         const insertSql = `
           INSERT INTO chart_of_accounts 
-          (source, account_code, account_name, account_level, parent_code, account_type, nature, is_active)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          (source, empresa_id, account_code, account_name, account_level, parent_code, account_type, nature, is_active)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         db.run(insertSql, [
-          source, account_code, account_name, account_level, parent_code, account_type, nature, is_active
+          source, empresa_id, account_code, account_name, account_level, parent_code, account_type, nature, is_active
         ], function(insertErr) {
           if (insertErr) {
             console.error('❌ Erro ao inserir conta:', insertErr.message);
@@ -1283,16 +4748,29 @@ function upsertChartOfAccount(accountData) {
   });
 }
 
-function getChartOfAccounts(source = null) {
+/**
+ * Lista contas do plano.
+ * @param {string|null} source - Origem do plano (ex.: 'dominio'); null = todas
+ * @param {Object} [options]
+ * @param {string|null} [options.empresaId] - undefined = todos os escopos, null = só o plano padrão
+ */
+function getChartOfAccounts(source = null, { empresaId } = {}) {
   return new Promise((resolve, reject) => {
-    let sql, params;
+    const where = [];
+    const params = [];
     if (source) {
-      sql = `SELECT * FROM chart_of_accounts WHERE source = ? ORDER BY account_code`;
-      params = [source];
-    } else {
-      sql = `SELECT * FROM chart_of_accounts ORDER BY source, account_code`;
-      params = [];
+      where.push('source = ?');
+      params.push(source);
     }
+    if (empresaId !== undefined) {
+      where.push(escopoEmpresa(empresaId));
+      params.push(...paramsEscopo(empresaId));
+    }
+    const sql = `
+      SELECT * FROM chart_of_accounts
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY source, empresa_id IS NOT NULL, empresa_id, account_code
+    `;
 
     db.all(sql, params, (err, rows) => {
       if (err) {
@@ -1305,10 +4783,47 @@ function getChartOfAccounts(source = null) {
   });
 }
 
-function deleteChartOfAccountsBySource(source) {
+/**
+ * Plano de contas efetivo de uma empresa: contas próprias mais as do plano padrão
+ * (se a empresa herda o padrão) cujo código ela não redefiniu.
+ * @returns {Promise<Array>} Contas com herdada = true quando vêm do plano padrão
+ */
+function getEffectiveChartOfAccounts(source, empresaId) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT c.*, 0 AS herdada
+      FROM chart_of_accounts c
+      WHERE c.source = ? AND c.empresa_id = ?
+      UNION ALL
+      SELECT p.*, 1 AS herdada
+      FROM chart_of_accounts p
+      JOIN empresas e ON e.id = ? AND e.herda_plano_padrao = 1
+      WHERE p.source = ? AND p.empresa_id IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM chart_of_accounts c2
+          WHERE c2.source = p.source AND c2.empresa_id = ? AND c2.account_code = p.account_code
+        )
+      ORDER BY account_code
+    `;
+    db.all(sql, [source, empresaId, empresaId, source, empresaId], (err, rows) => {
+      if (err) {
+        console.error('❌ Erro ao buscar plano de contas da empresa:', err.message);
+        reject(err);
+      } else {
+        resolve(rows.map((row) => ({ ...row, herdada: Boolean(row.herdada) })));
+      }
+    });
+  });
+}
+
+/**
+ * Remove o plano de contas de uma origem, apenas no escopo informado
+ * (empresaId null = plano padrão; os planos das empresas não são tocados).
+ */
+function deleteChartOfAccountsBySource(source, empresaId = null) {
   return new Promise((resolve, reject) => {
-    const sql = `DELETE FROM chart_of_accounts WHERE source = ?`;
-    db.run(sql, [source], function(err) {
+    const sql = `DELETE FROM chart_of_accounts WHERE source = ? AND ${escopoEmpresa(empresaId)}`;
+    db.run(sql, [source, ...paramsEscopo(empresaId)], function(err) {
       if (err) {
         console.error('❌ Erro ao deletar plano de contas:', err.message);
         reject(err);
@@ -1319,6 +4834,140 @@ function deleteChartOfAccountsBySource(source) {
   });
 }
 
+// Define se a empresa herda o plano de contas e as regras de validação padrão
+function setEmpresaHerdaPlanoPadrao(empresaId, herda) {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE empresas SET herda_plano_padrao = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    db.run(sql, [herda ? 1 : 0, empresaId], function(err) {
+      if (err) {
+        console.error('❌ Erro ao atualizar herança do plano padrão:', err.message);
+        reject(err);
+      } else {
+        resolve({ empresaId, herdaPlanoPadrao: Boolean(herda), changes: this.changes });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// FUNÇÕES RPA DOMÍNIO - Regras de Validação
+// ============================================================================
+
+const RULE_LIST_FIELDS = [
+  'allowed_account_prefixes',
+  'allowed_account_codes',
+  'blocked_account_prefixes',
+  'blocked_account_codes'
+];
+
+function parseRuleRow(row) {
+  const regra = { ...row, is_enabled: Boolean(row.is_enabled) };
+  RULE_LIST_FIELDS.forEach((campo) => {
+    try {
+      regra[campo] = row[campo] ? JSON.parse(row[campo]) : [];
+    } catch (e) {
+      regra[campo] = [];
+    }
+  });
+  return regra;
+}
+
+/**
+ * Lista regras de validação.
+ * @param {Object} [options]
+ * @param {string|null} [options.empresaId] - undefined = todas, null = só as padrão
+ */
+function listAccountValidationRules({ empresaId } = {}) {
+  return new Promise((resolve, reject) => {
+    const where = empresaId === undefined ? '' : `WHERE ${escopoEmpresa(empresaId)}`;
+    const sql = `SELECT * FROM account_validation_rules ${where} ORDER BY empresa_id IS NOT NULL, empresa_id, name`;
+    db.all(sql, empresaId === undefined ? [] : paramsEscopo(empresaId), (err, rows) => {
+      if (err) {
+        console.error('❌ Erro ao listar regras de validação:', err.message);
+        reject(err);
+      } else {
+        resolve(rows.map(parseRuleRow));
+      }
+    });
+  });
+}
+
+function getAccountValidationRuleById(id) {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT * FROM account_validation_rules WHERE id = ?`, [id], (err, row) => {
+      if (err) {
+        console.error('❌ Erro ao buscar regra de validação:', err.message);
+        reject(err);
+      } else {
+        resolve(row ? parseRuleRow(row) : null);
+      }
+    });
+  });
+}
+
+function createAccountValidationRule(ruleData) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      INSERT INTO account_validation_rules (
+        empresa_id, name, is_enabled, match_field, match_value,
+        allowed_account_prefixes, allowed_account_codes, blocked_account_prefixes, blocked_account_codes,
+        severity, message
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    db.run(sql, [
+      ruleData.empresa_id || null, ruleData.name, ruleData.is_enabled ? 1 : 0, ruleData.match_field, ruleData.match_value,
+      ...RULE_LIST_FIELDS.map((campo) => JSON.stringify(ruleData[campo] || [])),
+      ruleData.severity, ruleData.message || null
+    ], function(err) {
+      if (err) {
+        console.error('❌ Erro ao criar regra de validação:', err.message);
+        reject(err);
+      } else {
+        resolve({ id: this.lastID });
+      }
+    });
+  });
+}
+
+function updateAccountValidationRule(id, ruleData) {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      UPDATE account_validation_rules SET
+        name = ?, is_enabled = ?, match_field = ?, match_value = ?,
+        allowed_account_prefixes = ?, allowed_account_codes = ?, blocked_account_prefixes = ?, blocked_account_codes = ?,
+        severity = ?, message = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    db.run(sql, [
+      ruleData.name, ruleData.is_enabled ? 1 : 0, ruleData.match_field, ruleData.match_value,
+      ...RULE_LIST_FIELDS.map((campo) => JSON.stringify(ruleData[campo] || [])),
+      ruleData.severity, ruleData.message || null,
+      id
+    ], function(err) {
+      if (err) {
+        console.error('❌ Erro ao atualizar regra de validação:', err.message);
+        reject(err);
+      } else {
+        resolve({ id, changes: this.changes });
+      }
+    });
+  });
+}
+
+function deleteAccountValidationRule(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM account_validation_rules WHERE id = ?`, [id], function(err) {
+      if (err) {
+        console.error('❌ Erro ao excluir regra de validação:', err.message);
+        reject(err);
+      } else {
+        resolve({ id, deletedRows: this.changes });
+      }
+    });
+  });
+}
+
 // ============================================================================
 // FUNÇÕES RPA DOMÍNIO - Validação de Contas
 // ============================================================================
@@ -1406,6 +5055,7 @@ function deleteAccountValidationResultsByComparacaoId(comparacaoId) {
 module.exports = {
     db,
     dbPath,
+    dataDir,
     uploadsDir,
     insertFile,
     getFilesByTaskId,
@@ -1415,6 +5065,7 @@ module.exports = {
     logFileActivity,
     deleteFileLogs,
     upsertUser,
+    updateUserPassword,
     getUserByUid,
     getUserByEmail,
     getAllUsers,
@@ -1423,13 +5074,164 @@ module.exports = {
     getTaskById,
     getAllTasks,
     getTasksByUser,
+    getTasksByResponsaveis,
     updateTaskStatus,
+    registrarTransicaoStatus,
+    listHistoricoStatus,
     updateTask,
     deleteTask,
     checkTaskDependencies,
     insertActivityLog,
     getActivityLog: getActivityLogs,
     checkTaskExists,
+    // Autenticação - Refresh tokens
+    createRefreshToken,
+    getRefreshTokenByHash,
+    getRefreshTokenById,
+    listActiveRefreshTokensByUser,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeRefreshTokensByUser,
+    // Empresas (clientes)
+    listEmpresas,
+    getEmpresaById,
+    getEmpresaByCnpj,
+    createEmpresa,
+    updateEmpresa,
+    deleteEmpresa,
+    countTasksByEmpresa,
+    importEmpresas,
+    updatePerfilObrigacoes,
+    listAjustesObrigacoes,
+    checkTaskExistsForEmpresa,
+    getPainelEmpresas,
+    getUltimasComparacoesPorEmpresa,
+    getTasksByEmpresa,
+    // Empresas - Campos personalizados e notas
+    listEmpresaCampos,
+    getEmpresaCampoById,
+    createEmpresaCampo,
+    updateEmpresaCampo,
+    deleteEmpresaCampo,
+    listValoresCamposEmpresa,
+    getValorCampoEmpresa,
+    setValoresCamposEmpresa,
+    listNotasEmpresa,
+    createNotaEmpresa,
+    // Empresas - Matriz de atribuição e carga de trabalho
+    listAtribuicoes,
+    setAtribuicoesEmpresa,
+    setUsuarioAusencia,
+    getCargaTrabalho,
+    // Tarefas - Séries recorrentes
+    createSerie,
+    getSerieById,
+    listSeriesByIds,
+    listSeriesAtivas,
+    updateSerie,
+    setSerieGeradaAte,
+    encerrarSerie,
+    vincularTarefaSerie,
+    setTaskExcecao,
+    listOcorrenciasSerie,
+    // Tarefas - Checklist e modelos
+    listChecklistByTask,
+    getChecklistItemById,
+    getResumoChecklistByTaskIds,
+    createChecklistItem,
+    updateChecklistItem,
+    setChecklistItemConcluido,
+    deleteChecklistItem,
+    reordenarChecklist,
+    aplicarModeloChecklist,
+    listTarefaModelos,
+    getTarefaModeloById,
+    listItensModelo,
+    createTarefaModelo,
+    updateTarefaModelo,
+    deleteTarefaModelo,
+    // Tarefas - Dependências
+    listDependenciasByTaskIds,
+    listSucessoras,
+    existeCaminhoDependencia,
+    createDependencia,
+    deleteDependencia,
+    adiarVencimentoTarefa,
+    // Tarefas - Comentários e menções
+    listComentariosByTask,
+    getComentarioById,
+    listAnexosComentarios,
+    createComentario,
+    updateComentarioTexto,
+    excluirComentario,
+    listHistoricoComentario,
+    listMencoesComentario,
+    addMencoesComentario,
+    listMencoesNaoLidas,
+    marcarMencoesLidas,
+    // Equipes
+    listEquipes,
+    getEquipeById,
+    createEquipe,
+    updateEquipe,
+    deleteEquipe,
+    setEquipeMembros,
+    getTeamUserIds,
+    // Portal do cliente
+    listEmpresasDoUsuario,
+    setEmpresasDoUsuario,
+    listVinculosUsuarioEmpresas,
+    getContatosEmpresa,
+    getTasksByEmpresas,
+    getFilesByTaskIds,
+    listUploadsClientes,
+    revisarUploadCliente,
+    // Solicitações de documentos ao cliente
+    listSolicitacoesByTaskIds,
+    getSolicitacaoById,
+    createSolicitacao,
+    updateSolicitacao,
+    setSolicitacaoStatus,
+    reabrirSolicitacoesDoArquivo,
+    deleteSolicitacao,
+    listSolicitacoesParaLembrete,
+    registrarLembreteSolicitacoes,
+    // Autenticação - Tokens pessoais de API
+    createApiToken,
+    getApiTokenByHash,
+    listApiTokensByUser,
+    revokeApiToken,
+    touchApiToken,
+    // Autenticação - Redefinição de senha
+    createPasswordResetToken,
+    getPasswordResetTokenByHash,
+    markPasswordResetTokenUsed,
+    countRecentPasswordResetRequests,
+    invalidatePasswordResetTokensByUser,
+    // Autenticação - Dois fatores
+    setUserTotpSecret,
+    enableUserTotp,
+    disableUserTotp,
+    replaceRecoveryCodes,
+    useRecoveryCode,
+    useTotpCounter,
+    countRecoveryCodes,
+    // Autenticação - Tentativas de login
+    getLoginThrottle,
+    recordLoginFailure,
+    lockLoginThrottle,
+    clearLoginThrottle,
+    getLockedAccounts,
+    // Autenticação - Convites
+    createInvite,
+    getInviteByHash,
+    listPendingInvites,
+    revokeInvite,
+    revokePendingInvitesByEmail,
+    markInviteAccepted,
+    // Configurações
+    getSetting,
+    setSetting,
     // RPA Domínio - Comparações
     createComparacao,
     getComparacaoById,
@@ -1447,7 +5249,15 @@ module.exports = {
     // RPA Domínio - Plano de Contas
     upsertChartOfAccount,
     getChartOfAccounts,
+    getEffectiveChartOfAccounts,
     deleteChartOfAccountsBySource,
+    setEmpresaHerdaPlanoPadrao,
+    // RPA Domínio - Regras de Validação
+    listAccountValidationRules,
+    getAccountValidationRuleById,
+    createAccountValidationRule,
+    updateAccountValidationRule,
+    deleteAccountValidationRule,
     // RPA Domínio - Validação
     createAccountValidationResult,
     getAccountValidationResultsByComparacaoId,
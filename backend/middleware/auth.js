@@ -0,0 +1,122 @@
+// Middleware de autenticação compartilhado (server.js e rotas em routes/)
+const { getUserByUid } = require('../database');
+const { verifyAccessToken, getActiveSession, TokenError } = require('../services/auth/tokens');
+const { normalizeRole, getRolePermissions } = require('../services/auth/permissions');
+const { isApiToken, resolveApiToken, effectivePermissions } = require('../services/auth/apiTokens');
+
+// Marca os middlewares criados por requirePermission (com as permissões exigidas)
+const REQUIRED_PERMISSIONS = Symbol('requiredPermissions');
+
+// A rota em execução declara alguma permissão com requirePermission?
+const routeRequiresPermission = (req) => Boolean(req.route?.stack?.some((layer) => layer.handle[REQUIRED_PERMISSIONS]));
+
+// Token pessoal de API: permissões limitadas aos escopos do token, sem sessão. Só é aceito em
+// rotas que exigem alguma permissão; nas demais o escopo do token não teria efeito.
+const authenticateApiToken = async (token, req, res, next) => {
+  const resolved = await resolveApiToken(token, req.ip);
+  if (!resolved) {
+    console.log(`[AUTH] Token de API inválido, revogado ou expirado em ${req.method} ${req.path}`);
+    return res.status(401).json({ error: 'Token de API inválido, revogado ou expirado', code: 'TOKEN_INVALID' });
+  }
+  if (!routeRequiresPermission(req)) {
+    console.log(`[AUTH] Token de API recusado em rota sem permissão declarada: ${req.method} ${req.path}`);
+    return res.status(403).json({ error: 'Esta ação exige login com usuário e senha', code: 'SESSION_REQUIRED' });
+  }
+
+  const { apiToken, userData } = resolved;
+  req.user = {
+    uid: userData.uid,
+    email: userData.email,
+    nomeCompleto: userData.nome_completo,
+    cargo: normalizeRole(userData.cargo),
+    permissions: effectivePermissions(userData.cargo, apiToken.scopes),
+    sessionId: null,
+    apiTokenId: apiToken.id
+  };
+  return next();
+};
+
+// Valida o access token (ou token de API "pat_...") em "Bearer <token>" e popula req.user
+const authenticateToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+
+    if (!authHeader.startsWith('Bearer ')) {
+      console.log(`[AUTH] Token ausente em ${req.method} ${req.path}`);
+      return res.status(401).json({ error: 'Token não fornecido ou formato inválido', code: 'TOKEN_MISSING' });
+    }
+
+    const token = authHeader.slice(7);
+    if (isApiToken(token)) {
+      return authenticateApiToken(token, req, res, next);
+    }
+
+    const claims = verifyAccessToken(token);
+
+    // Sessão encerrada (logout, revogação ou troca de senha) invalida o access token na hora
+    if (!await getActiveSession(claims.sid, claims.sub)) {
+      console.log(`[AUTH] Sessão revogada em ${req.method} ${req.path}`);
+      return res.status(401).json({ error: 'Sessão encerrada. Faça login novamente.', code: 'SESSION_REVOKED' });
+    }
+
+    const userData = await getUserByUid(claims.sub);
+    if (!userData) {
+      console.log(`[AUTH] Usuário do token não encontrado: ${claims.sub}`);
+      return res.status(401).json({ error: 'Token inválido: usuário não encontrado', code: 'TOKEN_INVALID' });
+    }
+
+    req.user = {
+      uid: userData.uid,
+      email: userData.email,
+      nomeCompleto: userData.nome_completo,
+      cargo: normalizeRole(userData.cargo),
+      permissions: getRolePermissions(userData.cargo),
+      sessionId: claims.sid
+    };
+    return next();
+  } catch (err) {
+    if (err instanceof TokenError) {
+      console.log(`[AUTH] ${err.message} em ${req.method} ${req.path}`);
+      return res.status(401).json({ error: err.message, code: err.code });
+    }
+    console.error('[AUTH] Erro inesperado:', err);
+    return res.status(500).json({ error: 'Erro na autenticação: ' + err.message });
+  }
+};
+
+// Rotas da própria conta (sessões, 2FA, tokens) não aceitam tokens de API
+const requireSession = (req, res, next) => {
+  if (req.user?.apiTokenId) {
+    console.log(`[AUTH] Token de API recusado em ${req.method} ${req.path}`);
+    return res.status(403).json({ error: 'Esta ação exige login com usuário e senha', code: 'SESSION_REQUIRED' });
+  }
+  return next();
+};
+
+// Verifica se o usuário autenticado possui a permissão
+const userCan = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+// Exige todas as permissões informadas (usar depois de authenticateToken)
+const requirePermission = (...permissions) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Token não fornecido ou formato inválido', code: 'TOKEN_MISSING' });
+    }
+
+    const missing = permissions.find((permission) => !userCan(req.user, permission));
+    if (missing) {
+      console.log(`[AUTH] Permissão ${missing} negada para ${req.user.email} (${req.user.cargo}) em ${req.method} ${req.path}`);
+      return res.status(403).json({ error: 'Você não tem permissão para realizar esta ação', permission: missing });
+    }
+    return next();
+  };
+  middleware[REQUIRED_PERMISSIONS] = permissions;
+  return middleware;
+};
+
+module.exports = {
+  authenticateToken,
+  requirePermission,
+  requireSession,
+  userCan
+};
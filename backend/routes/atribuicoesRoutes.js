@@ -0,0 +1,206 @@
+// Rotas da matriz de atribuição (empresa × categoria de obrigação → responsável e substituto)
+// e da carga de trabalho da equipe. A matriz é usada na geração da agenda por empresa
+// (criarTarefasMesPorEmpresa em scripts/agenda-tributaria-api.js).
+const express = require('express');
+const { authenticateToken, requirePermission, userCan } = require('../middleware/auth');
+
+const {
+  listEmpresas,
+  getEmpresaById,
+  getAllUsers,
+  getUserByUid,
+  listAtribuicoes,
+  setAtribuicoesEmpresa,
+  setUsuarioAusencia,
+  getCargaTrabalho
+} = require('../database');
+const { CATEGORIAS_OBRIGACAO, IDS_CATEGORIAS } = require('../services/agenda/atribuicoes');
+const { getVisibleResponsavelIds } = require('../services/tasks/visibility');
+const { normalizeRole } = require('../services/auth/permissions');
+
+const router = express.Router();
+
+const dataISO = (data) => [
+  data.getFullYear(),
+  String(data.getMonth() + 1).padStart(2, '0'),
+  String(data.getDate()).padStart(2, '0')
+].join('-');
+
+// Usuários do portal do cliente não recebem tarefas
+const isEquipe = (usuario) => usuario && normalizeRole(usuario.cargo) !== 'cliente';
+
+const toAtribuicaoResponse = (atribuicao) => ({
+  responsavelId: atribuicao.responsavel_id,
+  responsavelNome: atribuicao.responsavel_nome,
+  backupId: atribuicao.backup_id,
+  backupNome: atribuicao.backup_nome
+});
+
+// Valida { [categoria]: { responsavelId, backupId } }; categorias sem responsável ficam sem atribuição
+async function parseAtribuicoesBody(body) {
+  const entrada = body.atribuicoes && typeof body.atribuicoes === 'object' ? body.atribuicoes : {};
+  const desconhecida = Object.keys(entrada).find((categoria) => !IDS_CATEGORIAS.includes(categoria));
+  if (desconhecida) {
+    return { error: `Categoria desconhecida: ${desconhecida}` };
+  }
+
+  const atribuicoes = [];
+  for (const categoria of IDS_CATEGORIAS) {
+    const { responsavelId = null, backupId = null } = entrada[categoria] || {};
+    if (!responsavelId) {
+      if (backupId) return { error: 'Defina o responsável antes do substituto' };
+      continue;
+    }
+    if (backupId && backupId === responsavelId) {
+      return { error: 'O substituto deve ser outra pessoa' };
+    }
+    for (const uid of [responsavelId, backupId].filter(Boolean)) {
+      if (!isEquipe(await getUserByUid(uid))) {
+        return { error: 'Responsável ou substituto não encontrado na equipe' };
+      }
+    }
+    atribuicoes.push({ categoria, responsavelId, backupId });
+  }
+  return { atribuicoes };
+}
+
+/**
+ * GET /api/atribuicoes
+ * Matriz das empresas ativas, com as categorias e a equipe disponível
+ */
+router.get('/atribuicoes', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const [empresas, atribuicoes, usuarios] = await Promise.all([
+      listEmpresas({ ativo: true }),
+      listAtribuicoes(),
+      getAllUsers()
+    ]);
+
+    res.json({
+      categorias: CATEGORIAS_OBRIGACAO,
+      equipe: usuarios.filter(isEquipe).map((usuario) => ({
+        id: usuario.uid,
+        nome: usuario.nome_completo,
+        ausenteAte: usuario.ausente_ate
+      })),
+      empresas: empresas.map((empresa) => ({
+        id: empresa.id,
+        cnpj: empresa.cnpj,
+        razaoSocial: empresa.razao_social,
+        nomeFantasia: empresa.nome_fantasia,
+        responsavelNome: empresa.responsavel_nome,
+        atribuicoes: Object.fromEntries(atribuicoes
+          .filter((atribuicao) => atribuicao.empresa_id === empresa.id)
+          .map((atribuicao) => [atribuicao.categoria, toAtribuicaoResponse(atribuicao)]))
+      }))
+    });
+  } catch (error) {
+    console.error('[ATRIBUICOES] Erro ao montar matriz de atribuição:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/atribuicoes/:empresaId
+ * Body: { atribuicoes: { [categoria]: { responsavelId, backupId } } } (substitui as da empresa)
+ */
+router.put('/atribuicoes/:empresaId', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const empresa = await getEmpresaById(req.params.empresaId);
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+
+    const dados = await parseAtribuicoesBody(req.body);
+    if (dados.error) {
+      return res.status(400).json({ error: dados.error });
+    }
+
+    await setAtribuicoesEmpresa(empresa.id, dados.atribuicoes);
+    console.log(`[ATRIBUICOES] Matriz da empresa ${empresa.cnpj} atualizada por ${req.user.email} (${dados.atribuicoes.length} categorias)`);
+    const atribuicoes = await listAtribuicoes([empresa.id]);
+    res.json(Object.fromEntries(atribuicoes.map((atribuicao) => [atribuicao.categoria, toAtribuicaoResponse(atribuicao)])));
+  } catch (error) {
+    console.error('[ATRIBUICOES] Erro ao gravar atribuições:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/atribuicoes/carga
+ * Carga de trabalho por pessoa no mês (query: ano, mes). Lista só quem o usuário pode ver.
+ */
+router.get('/atribuicoes/carga', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const hoje = new Date();
+    const mes = parseInt(req.query.mes, 10) || hoje.getMonth() + 1;
+    const ano = parseInt(req.query.ano, 10) || hoje.getFullYear();
+    if (mes < 1 || mes > 12) {
+      return res.status(400).json({ error: 'Mês inválido' });
+    }
+
+    const visiveis = await getVisibleResponsavelIds(req.user);
+    const hojeISO = dataISO(hoje);
+    const linhas = await getCargaTrabalho({
+      inicio: dataISO(new Date(ano, mes - 1, 1)),
+      fim: dataISO(new Date(ano, mes, 0)),
+      hoje: hojeISO,
+      responsavelIds: visiveis ? [...visiveis] : null
+    });
+
+    res.json({
+      ano,
+      mes,
+      pessoas: linhas.map((linha) => ({
+        id: linha.uid,
+        nome: linha.nome_completo,
+        email: linha.email,
+        cargo: normalizeRole(linha.cargo),
+        ausenteAte: linha.ausente_ate,
+        ausente: Boolean(linha.ausente_ate) && linha.ausente_ate >= hojeISO,
+        tarefas: {
+          abertas: linha.abertas,
+          vencidas: linha.vencidas,
+          concluidas: linha.concluidas
+        },
+        empresasTitular: linha.empresas_titular,
+        atribuicoesTitular: linha.atribuicoes_titular,
+        atribuicoesSubstituto: linha.atribuicoes_substituto
+      }))
+    });
+  } catch (error) {
+    console.error('[ATRIBUICOES] Erro ao calcular carga de trabalho:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/usuarios/:id/ausencia
+ * Body: { ausenteAte: 'YYYY-MM-DD' | null }. A própria pessoa ou quem gerencia usuários.
+ */
+router.put('/usuarios/:id/ausencia', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id !== req.user.uid && !userCan(req.user, 'users.manage')) {
+      return res.status(403).json({ error: 'Sem permissão para alterar a ausência de outro usuário' });
+    }
+    const usuario = await getUserByUid(id);
+    if (!isEquipe(usuario)) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    const ausenteAte = req.body.ausenteAte || null;
+    if (ausenteAte && (!/^\d{4}-\d{2}-\d{2}$/.test(ausenteAte) || Number.isNaN(Date.parse(ausenteAte)))) {
+      return res.status(400).json({ error: 'Data de retorno inválida (use AAAA-MM-DD)' });
+    }
+
+    await setUsuarioAusencia(id, ausenteAte);
+    console.log(`[ATRIBUICOES] Ausência de ${usuario.email} ${ausenteAte ? `até ${ausenteAte}` : 'encerrada'} por ${req.user.email}`);
+    res.json({ id, ausenteAte });
+  } catch (error) {
+    console.error('[ATRIBUICOES] Erro ao registrar ausência:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,353 @@
+// Rotas do checklist das tarefas e dos modelos de tarefa
+//
+// Quem monta o checklist (inclui, edita, reordena, remove itens e aplica modelos): o responsável
+// pela tarefa ou quem tem tasks.edit. Marcar um item também pode o responsável pelo item e quem
+// tem tasks.update_status. Os modelos são mantidos por quem tem tasks.templates e podem ser usados
+// por qualquer usuário da equipe ao criar tarefas.
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken, requirePermission, userCan } = require('../middleware/auth');
+
+const {
+  getTaskById,
+  getUserByUid,
+  listChecklistByTask,
+  getChecklistItemById,
+  createChecklistItem,
+  updateChecklistItem,
+  setChecklistItemConcluido,
+  deleteChecklistItem,
+  reordenarChecklist,
+  aplicarModeloChecklist,
+  listTarefaModelos,
+  getTarefaModeloById,
+  listItensModelo,
+  createTarefaModelo,
+  updateTarefaModelo,
+  deleteTarefaModelo,
+  insertActivityLog
+} = require('../database');
+const {
+  STATUS_CHECKLIST_BLOQUEADO,
+  toChecklistItemResponse,
+  resumoChecklist,
+  parseChecklistItemBody,
+  parseModeloBody,
+  toModeloResponse
+} = require('../services/tasks/checklist');
+const { STATUS_TAREFA } = require('../services/tasks/status');
+const { canViewTask } = require('../services/tasks/visibility');
+
+const router = express.Router();
+
+const podeGerenciar = (user, task) => task.responsavel_id === user.uid || userCan(user, 'tasks.edit');
+
+const podeMarcar = (user, task, item) => podeGerenciar(user, task)
+  || item.responsavel_id === user.uid
+  || userCan(user, 'tasks.update_status');
+
+// Checklist de tarefa concluída ou cancelada não muda
+function checklistBloqueado(res, task) {
+  if (!STATUS_CHECKLIST_BLOQUEADO.includes(task.status)) return false;
+  res.status(400).json({ error: `A tarefa está como "${STATUS_TAREFA[task.status]}". Reabra-a para alterar o checklist` });
+  return true;
+}
+
+// Carrega a tarefa da rota e confere visibilidade e permissão de montar o checklist
+async function carregarTarefa(req, res, { gerenciar }) {
+  const task = await getTaskById(req.params.id);
+  if (!await canViewTask(req.user, task)) {
+    res.status(404).json({ error: 'Tarefa não encontrada' });
+    return null;
+  }
+  if (gerenciar && !podeGerenciar(req.user, task)) {
+    res.status(403).json({ error: 'Você só pode alterar o checklist das suas próprias tarefas' });
+    return null;
+  }
+  if (gerenciar && checklistBloqueado(res, task)) return null;
+  return task;
+}
+
+async function carregarItem(req, res) {
+  const item = await getChecklistItemById(req.params.id);
+  const task = item ? await getTaskById(item.task_id) : null;
+  if (!await canViewTask(req.user, task)) {
+    res.status(404).json({ error: 'Item do checklist não encontrado' });
+    return null;
+  }
+  return { item, task };
+}
+
+// Responsável do item precisa existir; vazio = o responsável pela tarefa
+async function responsavelInvalido(res, responsavelId) {
+  if (!responsavelId || await getUserByUid(responsavelId)) return false;
+  res.status(400).json({ error: 'Responsável do item não encontrado' });
+  return true;
+}
+
+async function checklistResponse(task) {
+  const itens = (await listChecklistByTask(task.id)).map((item) => toChecklistItemResponse(item, task.data_vencimento));
+  return { itens, ...resumoChecklist(itens) };
+}
+
+const registrarAtividade = (req, task, action) => insertActivityLog({
+  userId: req.user.uid,
+  userEmail: req.user.email,
+  action,
+  taskId: task.id,
+  taskTitle: task.titulo
+});
+
+/**
+ * GET /api/tarefas/:id/checklist
+ * Itens da tarefa em ordem, com o resumo (total, concluidos, obrigatoriosPendentes).
+ */
+router.get('/tarefas/:id/checklist', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res, { gerenciar: false });
+    if (!task) return;
+
+    res.json(await checklistResponse(task));
+  } catch (error) {
+    console.error('[CHECKLIST] Erro ao listar checklist:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tarefas/:id/checklist
+ * Body: { descricao, obrigatorio, responsavelId, prazoDias (relativo ao vencimento) }
+ */
+router.post('/tarefas/:id/checklist', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res, { gerenciar: true });
+    if (!task) return;
+
+    const parsed = parseChecklistItemBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (await responsavelInvalido(res, parsed.responsavelId)) return;
+
+    await createChecklistItem(task.id, parsed);
+    res.status(201).json(await checklistResponse(task));
+  } catch (error) {
+    console.error('[CHECKLIST] Erro ao criar item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/tarefas/:id/checklist/ordem
+ * Body: { ids: [ids dos itens na nova ordem] }
+ */
+router.put('/tarefas/:id/checklist/ordem', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res, { gerenciar: true });
+    if (!task) return;
+
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : [];
+    const atuais = (await listChecklistByTask(task.id)).map((item) => item.id);
+    if (ids.length !== atuais.length || !atuais.every((id) => ids.includes(id))) {
+      return res.status(400).json({ error: 'Informe todos os itens do checklist na nova ordem' });
+    }
+
+    await reordenarChecklist(task.id, ids);
+    res.json(await checklistResponse(task));
+  } catch (error) {
+    console.error('[CHECKLIST] Erro ao reordenar checklist:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tarefas/:id/checklist/modelo
+ * Body: { modeloId } — acrescenta os itens do modelo ao fim do checklist.
+ */
+router.post('/tarefas/:id/checklist/modelo', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res, { gerenciar: true });
+    if (!task) return;
+
+    const modelo = req.body.modeloId ? await getTarefaModeloById(req.body.modeloId) : null;
+    if (!modelo) {
+      return res.status(404).json({ error: 'Modelo de tarefa não encontrado' });
+    }
+
+    const { count } = await aplicarModeloChecklist(task.id, modelo.id);
+    console.log(`[CHECKLIST] Modelo "${modelo.nome}" aplicado à tarefa ${task.id} (${count} item(ns))`);
+    res.status(201).json(await checklistResponse(task));
+  } catch (error) {
+    console.error('[CHECKLIST] Erro ao aplicar modelo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/checklist/:id
+ * Body: { descricao, obrigatorio, responsavelId, prazoDias }
+ */
+router.put('/checklist/:id', authenticateToken, async (req, res) => {
+  try {
+    const carregado = await carregarItem(req, res);
+    if (!carregado) return;
+    const { item, task } = carregado;
+
+    if (!podeGerenciar(req.user, task)) {
+      return res.status(403).json({ error: 'Você só pode alterar o checklist das suas próprias tarefas' });
+    }
+    if (checklistBloqueado(res, task)) return;
+
+    const parsed = parseChecklistItemBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (await responsavelInvalido(res, parsed.responsavelId)) return;
+
+    await updateChecklistItem(item.id, parsed);
+    res.json(await checklistResponse(task));
+  } catch (error) {
+    console.error('[CHECKLIST] Erro ao atualizar item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/checklist/:id/concluido
+ * Body: { concluido: boolean }
+ */
+router.patch('/checklist/:id/concluido', authenticateToken, async (req, res) => {
+  try {
+    const carregado = await carregarItem(req, res);
+    if (!carregado) return;
+    const { item, task } = carregado;
+
+    if (!podeMarcar(req.user, task, item)) {
+      return res.status(403).json({ error: 'Apenas o responsável pela tarefa ou pelo item pode marcá-lo' });
+    }
+    if (checklistBloqueado(res, task)) return;
+
+    const concluido = Boolean(req.body.concluido);
+    if (concluido !== Boolean(item.concluido)) {
+      await setChecklistItemConcluido(item.id, concluido, req.user.uid);
+      if (concluido) await registrarAtividade(req, task, 'complete_checklist_item');
+    }
+    res.json(await checklistResponse(task));
+  } catch (error) {
+    console.error('[CHECKLIST] Erro ao marcar item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/checklist/:id
+ */
+router.delete('/checklist/:id', authenticateToken, async (req, res) => {
+  try {
+    const carregado = await carregarItem(req, res);
+    if (!carregado) return;
+    const { item, task } = carregado;
+
+    if (!podeGerenciar(req.user, task)) {
+      return res.status(403).json({ error: 'Você só pode alterar o checklist das suas próprias tarefas' });
+    }
+    if (checklistBloqueado(res, task)) return;
+
+    await deleteChecklistItem(item.id);
+    res.json(await checklistResponse(task));
+  } catch (error) {
+    console.error('[CHECKLIST] Erro ao excluir item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// Modelos de tarefa
+// ============================================================================
+
+async function modeloResponse(modelo) {
+  return toModeloResponse(modelo, await listItensModelo(modelo.id));
+}
+
+const isUniqueError = (error) => /UNIQUE constraint failed/.test(error.message);
+
+/**
+ * GET /api/tarefa-modelos
+ * Modelos com os itens (usados no cadastro de tarefas).
+ */
+router.get('/tarefa-modelos', authenticateToken, async (req, res) => {
+  try {
+    const modelos = await listTarefaModelos();
+    res.json(await Promise.all(modelos.map(modeloResponse)));
+  } catch (error) {
+    console.error('[MODELOS] Erro ao listar modelos de tarefa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tarefa-modelos
+ * Body: { nome, titulo, observacoes, itens: [{ descricao, obrigatorio, prazoDias }] }
+ */
+router.post('/tarefa-modelos', authenticateToken, requirePermission('tasks.templates'), async (req, res) => {
+  try {
+    const parsed = parseModeloBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const { id } = await createTarefaModelo({ id: uuidv4(), ...parsed, criadoPor: req.user.uid });
+    res.status(201).json(await modeloResponse(await getTarefaModeloById(id)));
+  } catch (error) {
+    if (isUniqueError(error)) {
+      return res.status(409).json({ error: 'Já existe um modelo com esse nome' });
+    }
+    console.error('[MODELOS] Erro ao criar modelo de tarefa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/tarefa-modelos/:id
+ * Substitui os dados e os itens do modelo; tarefas já criadas não mudam.
+ */
+router.put('/tarefa-modelos/:id', authenticateToken, requirePermission('tasks.templates'), async (req, res) => {
+  try {
+    const modelo = await getTarefaModeloById(req.params.id);
+    if (!modelo) {
+      return res.status(404).json({ error: 'Modelo de tarefa não encontrado' });
+    }
+
+    const parsed = parseModeloBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    await updateTarefaModelo(modelo.id, parsed);
+    res.json(await modeloResponse(await getTarefaModeloById(modelo.id)));
+  } catch (error) {
+    if (isUniqueError(error)) {
+      return res.status(409).json({ error: 'Já existe um modelo com esse nome' });
+    }
+    console.error('[MODELOS] Erro ao atualizar modelo de tarefa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/tarefa-modelos/:id
+ */
+router.delete('/tarefa-modelos/:id', authenticateToken, requirePermission('tasks.templates'), async (req, res) => {
+  try {
+    const { deletedRows } = await deleteTarefaModelo(req.params.id);
+    if (deletedRows === 0) {
+      return res.status(404).json({ error: 'Modelo de tarefa não encontrado' });
+    }
+    res.json({ message: 'Modelo excluído' });
+  } catch (error) {
+    console.error('[MODELOS] Erro ao excluir modelo de tarefa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+// Rotas dos comentários das tarefas e das menções
+//
+// Quem vê a tarefa lê e escreve comentários; anexar arquivos exige files.upload (mesma pasta de
+// uploads dos comprovantes, ligados ao comentário). Só o autor edita o próprio comentário;
+// excluir pode o autor ou quem tem tasks.edit, que também consulta o histórico de alterações.
+const express = require('express');
+const { authenticateToken, userCan } = require('../middleware/auth');
+
+const {
+  getTaskById,
+  getAllUsers,
+  insertFile,
+  logFileActivity,
+  listComentariosByTask,
+  getComentarioById,
+  listAnexosComentarios,
+  createComentario,
+  updateComentarioTexto,
+  excluirComentario,
+  listHistoricoComentario,
+  listMencoesComentario,
+  addMencoesComentario,
+  listMencoesNaoLidas,
+  marcarMencoesLidas,
+  insertActivityLog
+} = require('../database');
+const {
+  MAX_ANEXOS,
+  textoSimples,
+  extrairMencoes,
+  parseTextoComentario,
+  toComentarioResponse,
+  montarConversa,
+  mencionadosValidos,
+  notificarMencoes
+} = require('../services/tasks/comentarios');
+const { canViewTask } = require('../services/tasks/visibility');
+const { createTaskUpload, removerArquivoEnviado } = require('../services/files/uploads');
+
+const router = express.Router();
+
+// Anexos gravados na pasta da tarefa da rota
+const upload = createTaskUpload((req) => req.params.id);
+
+// Confere a tarefa antes de gravar anexos (req.task)
+async function carregarTarefa(req, res, next) {
+  try {
+    const task = await getTaskById(req.params.id);
+    if (!await canViewTask(req.user, task)) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao carregar tarefa:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function carregarComentario(req, res) {
+  const comentario = await getComentarioById(req.params.id);
+  const task = comentario ? await getTaskById(comentario.task_id) : null;
+  if (!await canViewTask(req.user, task)) {
+    res.status(404).json({ error: 'Comentário não encontrado' });
+    return null;
+  }
+  if (comentario.excluido_em) {
+    res.status(400).json({ error: 'O comentário foi excluído' });
+    return null;
+  }
+  return { comentario, task };
+}
+
+const podeModerar = (user, comentario) => comentario.autor_id === user.uid || userCan(user, 'tasks.edit');
+
+const removerAnexos = (files = []) => files.forEach(removerArquivoEnviado);
+
+const registrarAtividade = (req, task, action) => insertActivityLog({
+  userId: req.user.uid,
+  userEmail: req.user.email,
+  action,
+  taskId: task.id,
+  taskTitle: task.titulo
+});
+
+// Grava as menções novas do texto e avisa os citados (somente os que ainda não tinham sido)
+async function registrarMencoes(req, task, comentarioId, texto) {
+  const jaCitados = new Set((await listMencoesComentario(comentarioId)).map((m) => m.user_id));
+  const uids = extrairMencoes(texto).filter((uid) => !jaCitados.has(uid));
+  if (uids.length === 0) return 0;
+
+  const mencionados = await mencionadosValidos(uids, task, req.user.uid, await getAllUsers());
+  if (mencionados.length === 0) return 0;
+  await addMencoesComentario(comentarioId, mencionados.map((u) => u.uid));
+
+  await notificarMencoes({
+    mencionados,
+    task,
+    autorNome: req.user.nomeCompleto || req.user.email,
+    texto,
+    appUrl: req.app.get('appUrl')
+  });
+  return mencionados.length;
+}
+
+async function comentarioResponse(comentarioId) {
+  const comentario = await getComentarioById(comentarioId);
+  const anexos = (await listAnexosComentarios(comentario.task_id)).filter((a) => a.comentario_id === comentario.id);
+  return toComentarioResponse(comentario, anexos);
+}
+
+/**
+ * GET /api/tarefas/:id/comentarios
+ * Conversa da tarefa; as menções ao usuário nesta tarefa passam a vistas.
+ */
+router.get('/tarefas/:id/comentarios', authenticateToken, carregarTarefa, async (req, res) => {
+  try {
+    const conversa = montarConversa(await listComentariosByTask(req.task.id), await listAnexosComentarios(req.task.id));
+    await marcarMencoesLidas(req.user.uid, req.task.id);
+    res.json(conversa);
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao listar comentários:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tarefas/:id/comentarios
+ * multipart/form-data: texto, parentId (resposta), anexos (até MAX_ANEXOS arquivos)
+ */
+router.post('/tarefas/:id/comentarios', authenticateToken, carregarTarefa, upload.array('anexos', MAX_ANEXOS), async (req, res) => {
+  try {
+    const { texto, error } = parseTextoComentario(req.body.texto);
+    if (error) {
+      removerAnexos(req.files);
+      return res.status(400).json({ error });
+    }
+    if (req.files?.length && !userCan(req.user, 'files.upload')) {
+      removerAnexos(req.files);
+      return res.status(403).json({ error: 'Você não tem permissão para anexar arquivos' });
+    }
+
+    // Resposta a uma resposta fica no mesmo comentário principal
+    let parentId = null;
+    if (req.body.parentId) {
+      const parent = await getComentarioById(req.body.parentId);
+      if (!parent || parent.task_id !== req.task.id) {
+        removerAnexos(req.files);
+        return res.status(404).json({ error: 'Comentário respondido não encontrado' });
+      }
+      parentId = parent.parent_id || parent.id;
+    }
+
+    const { id } = await createComentario(req.task.id, { parentId, autorId: req.user.uid, texto });
+    for (const file of req.files || []) {
+      const savedFile = await insertFile({
+        filename: file.filename,
+        originalName: file.originalname,
+        filePath: file.path,
+        mimeType: file.mimetype,
+        size: file.size,
+        taskId: req.task.id,
+        uploadedBy: req.user.uid,
+        comentarioId: id
+      });
+      await logFileActivity(savedFile.id, 'upload', req.user.uid);
+    }
+    await registrarAtividade(req, req.task, 'comment_task');
+    const mencionados = await registrarMencoes(req, req.task, id, texto);
+
+    console.log(`[COMENTARIOS] Comentário ${id} na tarefa ${req.task.id} por ${req.user.email} (${mencionados} menção(ões))`);
+    res.status(201).json({ ...await comentarioResponse(id), mencionados });
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao criar comentário:', error);
+    removerAnexos(req.files);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/comentarios/:id
+ * Body: { texto } — só o autor; o texto anterior vai para o histórico
+ */
+router.put('/comentarios/:id', authenticateToken, async (req, res) => {
+  try {
+    const carregado = await carregarComentario(req, res);
+    if (!carregado) return;
+    const { comentario, task } = carregado;
+
+    if (comentario.autor_id !== req.user.uid) {
+      return res.status(403).json({ error: 'Só o autor pode editar o comentário' });
+    }
+    const { texto, error } = parseTextoComentario(req.body.texto);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (texto === comentario.texto) {
+      return res.json(await comentarioResponse(comentario.id));
+    }
+
+    const { updatedRows } = await updateComentarioTexto(comentario.id, texto, req.user.uid);
+    if (updatedRows === 0) {
+      return res.status(409).json({ error: 'O comentário foi excluído. Atualize a página.' });
+    }
+    await registrarAtividade(req, task, 'edit_comment');
+    const mencionados = await registrarMencoes(req, task, comentario.id, texto);
+
+    res.json({ ...await comentarioResponse(comentario.id), mencionados });
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao editar comentário:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/comentarios/:id
+ * Exclusão lógica: o comentário some da conversa e o texto fica no histórico.
+ */
+router.delete('/comentarios/:id', authenticateToken, async (req, res) => {
+  try {
+    const carregado = await carregarComentario(req, res);
+    if (!carregado) return;
+    const { comentario, task } = carregado;
+
+    if (!podeModerar(req.user, comentario)) {
+      return res.status(403).json({ error: 'Você só pode excluir os seus próprios comentários' });
+    }
+
+    const { updatedRows } = await excluirComentario(comentario.id, req.user.uid);
+    if (updatedRows === 0) {
+      return res.status(409).json({ error: 'O comentário já foi excluído' });
+    }
+    await registrarAtividade(req, task, 'delete_comment');
+
+    res.json(await comentarioResponse(comentario.id));
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao excluir comentário:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/comentarios/:id/historico
+ * Edições e exclusão com o texto anterior (autor do comentário ou tasks.edit).
+ */
+router.get('/comentarios/:id/historico', authenticateToken, async (req, res) => {
+  try {
+    const comentario = await getComentarioById(req.params.id);
+    const task = comentario ? await getTaskById(comentario.task_id) : null;
+    if (!await canViewTask(req.user, task)) {
+      return res.status(404).json({ error: 'Comentário não encontrado' });
+    }
+    if (!podeModerar(req.user, comentario)) {
+      return res.status(403).json({ error: 'Só o autor e quem pode editar tarefas veem o histórico do comentário' });
+    }
+
+    const historico = await listHistoricoComentario(comentario.id);
+    res.json(historico.map((item) => ({
+      id: item.id,
+      acao: item.acao,
+      textoAnterior: item.texto_anterior,
+      userNome: item.user_nome || item.user_email || 'Usuário removido',
+      createdAt: item.created_at
+    })));
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao buscar histórico do comentário:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/mencoes
+ * Menções ao usuário ainda não vistas (abrir os comentários da tarefa marca como vistas).
+ */
+router.get('/mencoes', authenticateToken, async (req, res) => {
+  try {
+    const mencoes = await listMencoesNaoLidas(req.user.uid);
+    res.json(mencoes.map((m) => ({
+      comentarioId: m.comentario_id,
+      taskId: m.task_id,
+      tarefaTitulo: m.tarefa_titulo,
+      autorNome: m.autor_nome || m.autor_email || 'Usuário removido',
+      trecho: textoSimples(m.texto).slice(0, 160),
+      createdAt: m.created_at
+    })));
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao listar menções:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/mencoes/lidas
+ * Marca todas as menções ao usuário como vistas.
+ */
+router.post('/mencoes/lidas', authenticateToken, async (req, res) => {
+  try {
+    const { updatedRows } = await marcarMencoesLidas(req.user.uid);
+    res.json({ marcadas: updatedRows });
+  } catch (error) {
+    console.error('[COMENTARIOS] Erro ao marcar menções:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// Rotas das dependências entre tarefas (término → início)
+//
+// Qualquer usuário que vê a tarefa consulta as predecessoras e sucessoras; incluir e remover
+// dependências exige tasks.edit. Ao incluir, a sucessora que vence antes da predecessora é adiada
+// (services/tasks/dependencias.js).
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const {
+  getTaskById,
+  listDependenciasByTaskIds,
+  createDependencia,
+  deleteDependencia,
+  insertActivityLog
+} = require('../database');
+const {
+  agruparDependencias,
+  dependenciasDaTarefa,
+  validarNovaDependencia,
+  adiarSucessoras
+} = require('../services/tasks/dependencias');
+const { canViewTask } = require('../services/tasks/visibility');
+
+const router = express.Router();
+
+async function carregarTarefa(req, res) {
+  const task = await getTaskById(req.params.id);
+  if (!await canViewTask(req.user, task)) {
+    res.status(404).json({ error: 'Tarefa não encontrada' });
+    return null;
+  }
+  return task;
+}
+
+async function dependenciasResponse(task) {
+  return dependenciasDaTarefa(agruparDependencias(await listDependenciasByTaskIds([task.id])), task.id);
+}
+
+const registrarAtividade = (req, task, action) => insertActivityLog({
+  userId: req.user.uid,
+  userEmail: req.user.email,
+  action,
+  taskId: task.id,
+  taskTitle: task.titulo
+});
+
+/**
+ * GET /api/tarefas/:id/dependencias
+ * { predecessoras, sucessoras, predecessorasPendentes, bloqueada }
+ */
+router.get('/tarefas/:id/dependencias', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res);
+    if (!task) return;
+
+    res.json(await dependenciasResponse(task));
+  } catch (error) {
+    console.error('[DEPENDENCIAS] Erro ao listar dependências:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tarefas/:id/dependencias
+ * Body: { predecessoraId } — a tarefa da rota passa a depender dela
+ */
+router.post('/tarefas/:id/dependencias', authenticateToken, requirePermission('tasks.edit'), async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res);
+    if (!task) return;
+
+    const { predecessoraId } = req.body || {};
+    const predecessora = predecessoraId ? await getTaskById(predecessoraId) : null;
+    if (!await canViewTask(req.user, predecessora)) {
+      return res.status(400).json({ error: 'Tarefa predecessora não encontrada' });
+    }
+
+    const invalida = await validarNovaDependencia(predecessora.id, task.id);
+    if (invalida) {
+      return res.status(400).json({ error: invalida });
+    }
+
+    const { insertedRows } = await createDependencia(predecessora.id, task.id, req.user.uid);
+    if (insertedRows === 0) {
+      return res.status(409).json({ error: `A tarefa já depende de "${predecessora.titulo}"` });
+    }
+    await registrarAtividade(req, task, 'add_dependency');
+
+    // A nova sucessora (e as que dependem dela) não pode vencer antes da predecessora
+    const sucessorasAdiadas = await adiarSucessoras(predecessora, req.user);
+
+    res.status(201).json({ ...await dependenciasResponse(task), sucessorasAdiadas });
+  } catch (error) {
+    console.error('[DEPENDENCIAS] Erro ao incluir dependência:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/tarefas/:id/dependencias/:predecessoraId
+ */
+router.delete('/tarefas/:id/dependencias/:predecessoraId', authenticateToken, requirePermission('tasks.edit'), async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res);
+    if (!task) return;
+
+    const { deletedRows } = await deleteDependencia(req.params.predecessoraId, task.id);
+    if (deletedRows === 0) {
+      return res.status(404).json({ error: 'Dependência não encontrada' });
+    }
+    await registrarAtividade(req, task, 'remove_dependency');
+
+    res.json(await dependenciasResponse(task));
+  } catch (error) {
+    console.error('[DEPENDENCIAS] Erro ao remover dependência:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,295 @@
+// Rotas de campos personalizados e notas das empresas clientes
+//
+// O administrador define os campos (clients.fields); quem edita empresas preenche os valores.
+// Campos do tipo segredo ficam cifrados no banco (services/empresas/segredos.js), nunca saem
+// nas listagens e só são revelados um a um, com registro no log de atividades.
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const {
+  getEmpresaById,
+  listEmpresaCampos,
+  getEmpresaCampoById,
+  createEmpresaCampo,
+  updateEmpresaCampo,
+  deleteEmpresaCampo,
+  listValoresCamposEmpresa,
+  getValorCampoEmpresa,
+  setValoresCamposEmpresa,
+  listNotasEmpresa,
+  createNotaEmpresa,
+  insertActivityLog
+} = require('../database');
+const { TIPOS_CAMPO, parseCampoBody, normalizarValor } = require('../services/empresas/campos');
+const { contextoSegredo, descriptografar } = require('../services/empresas/segredos');
+
+const router = express.Router();
+
+const TAMANHO_MAXIMO_NOTA = 5000;
+
+const parseOpcoes = (opcoes) => {
+  try {
+    return opcoes ? JSON.parse(opcoes) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const toCampoResponse = (campo) => ({
+  id: campo.id,
+  nome: campo.nome,
+  tipo: campo.tipo,
+  opcoes: parseOpcoes(campo.opcoes),
+  ordem: campo.ordem,
+  ativo: Boolean(campo.ativo),
+  totalValores: campo.total_valores,
+  createdAt: campo.created_at,
+  updatedAt: campo.updated_at
+});
+
+// Campo com o valor da empresa; segredos só informam se estão preenchidos
+const toValorResponse = (campo, valor) => ({
+  ...toCampoResponse(campo),
+  valor: !valor || campo.tipo === 'segredo' ? null : valor.valor,
+  preenchido: Boolean(valor),
+  atualizadoPor: valor ? valor.atualizado_por_nome : null,
+  atualizadoEm: valor ? valor.updated_at : null
+});
+
+const toNotaResponse = (nota) => ({
+  id: nota.id,
+  texto: nota.texto,
+  autorId: nota.autor_id,
+  autorNome: nota.autor_nome || nota.autor_email || 'Usuário removido',
+  createdAt: nota.created_at
+});
+
+const nomeEmpresa = (empresa) => empresa.nome_fantasia || empresa.razao_social;
+
+async function carregarEmpresa(req, res) {
+  const empresa = await getEmpresaById(req.params.id);
+  if (!empresa) {
+    res.status(404).json({ error: 'Empresa não encontrada' });
+    return null;
+  }
+  return empresa;
+}
+
+async function camposDaEmpresa(empresaId) {
+  const [campos, valores] = await Promise.all([listEmpresaCampos(), listValoresCamposEmpresa(empresaId)]);
+  const valorPorCampo = new Map(valores.map((valor) => [valor.campo_id, valor]));
+  return campos.map((campo) => toValorResponse(campo, valorPorCampo.get(campo.id)));
+}
+
+/**
+ * GET /api/empresa-campos
+ * Definições dos campos (query: todos=true inclui os inativos)
+ */
+router.get('/empresa-campos', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const campos = await listEmpresaCampos({ incluirInativos: req.query.todos === 'true' });
+    res.json({ tipos: TIPOS_CAMPO, campos: campos.map(toCampoResponse) });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao listar campos personalizados:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/empresa-campos
+ */
+router.post('/empresa-campos', authenticateToken, requirePermission('clients.fields'), async (req, res) => {
+  try {
+    const dados = parseCampoBody(req.body);
+    if (dados.error) {
+      return res.status(400).json({ error: dados.error });
+    }
+
+    const { id } = await createEmpresaCampo({ id: uuidv4(), ...dados });
+    console.log(`[EMPRESAS] Campo personalizado "${dados.nome}" (${dados.tipo}) criado por ${req.user.email}`);
+    res.status(201).json(toCampoResponse(await getEmpresaCampoById(id)));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao criar campo personalizado:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/empresa-campos/:id
+ * Nome, opções, ordem e situação; o tipo não muda depois da criação
+ */
+router.put('/empresa-campos/:id', authenticateToken, requirePermission('clients.fields'), async (req, res) => {
+  try {
+    const campo = await getEmpresaCampoById(req.params.id);
+    if (!campo) {
+      return res.status(404).json({ error: 'Campo não encontrado' });
+    }
+
+    const dados = parseCampoBody(req.body, campo);
+    if (dados.error) {
+      return res.status(400).json({ error: dados.error });
+    }
+
+    await updateEmpresaCampo(campo.id, dados);
+    console.log(`[EMPRESAS] Campo personalizado "${dados.nome}" atualizado por ${req.user.email}`);
+    res.json(toCampoResponse(await getEmpresaCampoById(campo.id)));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao atualizar campo personalizado:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/empresa-campos/:id
+ * Só exclui campos que nenhuma empresa preencheu; os demais devem ser inativados
+ */
+router.delete('/empresa-campos/:id', authenticateToken, requirePermission('clients.fields'), async (req, res) => {
+  try {
+    const campo = await getEmpresaCampoById(req.params.id);
+    if (!campo) {
+      return res.status(404).json({ error: 'Campo não encontrado' });
+    }
+    if (campo.total_valores > 0) {
+      return res.status(409).json({
+        error: `O campo está preenchido em ${campo.total_valores} empresa(s). Inative-o em vez de excluir.`
+      });
+    }
+
+    await deleteEmpresaCampo(campo.id);
+    console.log(`[EMPRESAS] Campo personalizado "${campo.nome}" excluído por ${req.user.email}`);
+    res.json({ message: 'Campo excluído com sucesso' });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao excluir campo personalizado:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/empresas/:id/campos
+ * Campos ativos com os valores da empresa (segredos mascarados)
+ */
+router.get('/empresas/:id/campos', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const empresa = await carregarEmpresa(req, res);
+    if (!empresa) return;
+    res.json(await camposDaEmpresa(empresa.id));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao obter campos personalizados da empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/empresas/:id/campos
+ * Body: { valores: { [campoId]: valor } }. Valor vazio apaga o campo; campos ausentes
+ * ficam como estão (é assim que um segredo é mantido sem ser revelado).
+ */
+router.put('/empresas/:id/campos', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const empresa = await carregarEmpresa(req, res);
+    if (!empresa) return;
+
+    const valores = req.body.valores && typeof req.body.valores === 'object' ? req.body.valores : {};
+    const campos = new Map((await listEmpresaCampos()).map((campo) => [campo.id, campo]));
+    const gravar = [];
+    for (const [campoId, valorBruto] of Object.entries(valores)) {
+      const campo = campos.get(campoId);
+      if (!campo) {
+        return res.status(400).json({ error: 'Campo desconhecido ou inativo' });
+      }
+      const normalizado = normalizarValor({ ...campo, opcoes: parseOpcoes(campo.opcoes) || [] }, valorBruto, empresa.id);
+      if (normalizado.error) {
+        return res.status(400).json({ error: normalizado.error });
+      }
+      gravar.push({ campoId, valor: normalizado.valor });
+    }
+
+    await setValoresCamposEmpresa(empresa.id, gravar, req.user.uid);
+    console.log(`[EMPRESAS] ${gravar.length} campo(s) personalizado(s) da empresa ${empresa.cnpj} gravado(s) por ${req.user.email}`);
+    res.json(await camposDaEmpresa(empresa.id));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao gravar campos personalizados da empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/empresas/:id/campos/:campoId/revelar
+ * Devolve o valor de um campo secreto e registra o acesso no log de atividades
+ */
+router.post('/empresas/:id/campos/:campoId/revelar', authenticateToken, requirePermission('clients.secrets'), async (req, res) => {
+  try {
+    const empresa = await carregarEmpresa(req, res);
+    if (!empresa) return;
+
+    const campo = await getEmpresaCampoById(req.params.campoId);
+    if (!campo || campo.tipo !== 'segredo') {
+      return res.status(404).json({ error: 'Campo secreto não encontrado' });
+    }
+    const valor = await getValorCampoEmpresa(empresa.id, campo.id);
+    if (!valor) {
+      return res.status(404).json({ error: 'Campo não preenchido nesta empresa' });
+    }
+
+    let texto;
+    try {
+      texto = descriptografar(valor.valor, contextoSegredo(empresa.id, campo.id));
+    } catch (e) {
+      console.error(`[EMPRESAS] Falha ao decifrar o campo "${campo.nome}" da empresa ${empresa.cnpj}:`, e.message);
+      return res.status(500).json({ error: 'Não foi possível decifrar o valor. A chave de criptografia mudou?' });
+    }
+
+    await insertActivityLog({
+      userId: req.user.uid,
+      userEmail: req.user.email,
+      action: 'reveal_client_secret',
+      taskId: null,
+      taskTitle: `${campo.nome} — ${nomeEmpresa(empresa)}`
+    });
+    console.warn(`[EMPRESAS] Campo secreto "${campo.nome}" da empresa ${empresa.cnpj} revelado para ${req.user.email}`);
+    res.json({ valor: texto });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao revelar campo secreto:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/empresas/:id/notas
+ */
+router.get('/empresas/:id/notas', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const empresa = await carregarEmpresa(req, res);
+    if (!empresa) return;
+    res.json((await listNotasEmpresa(empresa.id)).map(toNotaResponse));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao listar notas da empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/empresas/:id/notas
+ * Body: { texto }. As notas formam um histórico: não são editadas nem excluídas.
+ */
+router.post('/empresas/:id/notas', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const empresa = await carregarEmpresa(req, res);
+    if (!empresa) return;
+
+    const texto = String(req.body.texto || '').trim();
+    if (!texto || texto.length > TAMANHO_MAXIMO_NOTA) {
+      return res.status(400).json({ error: `A nota é obrigatória (até ${TAMANHO_MAXIMO_NOTA} caracteres)` });
+    }
+
+    await createNotaEmpresa({ id: uuidv4(), empresaId: empresa.id, autorId: req.user.uid, texto });
+    console.log(`[EMPRESAS] Nota adicionada à empresa ${empresa.cnpj} por ${req.user.email}`);
+    res.status(201).json((await listNotasEmpresa(empresa.id)).map(toNotaResponse));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao gravar nota da empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,501 @@
+// Rotas de empresas clientes
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken, requirePermission, userCan } = require('../middleware/auth');
+
+const {
+  listEmpresas,
+  getEmpresaById,
+  getEmpresaByCnpj,
+  createEmpresa,
+  updateEmpresa,
+  deleteEmpresa,
+  countTasksByEmpresa,
+  getUserByUid,
+  importEmpresas,
+  getAllUsers,
+  getPainelEmpresas,
+  getUltimasComparacoesPorEmpresa,
+  getTasksByEmpresa,
+  listComparacoes,
+  updatePerfilObrigacoes,
+  listAjustesObrigacoes
+} = require('../database');
+const { listarObrigacoesTributarias } = require('../scripts/agenda-tributaria-api');
+const { CONDICOES, obrigacoesDaEmpresa, catalogoObrigacoes } = require('../services/agenda/perfilObrigacoes');
+const { REGIMES_TRIBUTARIOS, UFS, parseEmpresaBody } = require('../services/empresas/cadastro');
+const { lerPlanilhaEmpresas, analisarImportacao } = require('../services/empresas/importacao');
+const { getVisibleResponsavelIds } = require('../services/tasks/visibility');
+
+const router = express.Router();
+
+// Planilhas de importação ficam só em memória
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+const toEmpresaResponse = (empresa) => ({
+  id: empresa.id,
+  cnpj: empresa.cnpj,
+  razaoSocial: empresa.razao_social,
+  nomeFantasia: empresa.nome_fantasia,
+  regimeTributario: empresa.regime_tributario,
+  uf: empresa.uf,
+  municipio: empresa.municipio,
+  cnae: empresa.cnae,
+  ativo: Boolean(empresa.ativo),
+  responsavelId: empresa.responsavel_id,
+  responsavelNome: empresa.responsavel_nome,
+  possuiEmpregados: Boolean(empresa.possui_empregados),
+  contribuinteIcms: Boolean(empresa.contribuinte_icms),
+  issMunicipio: empresa.iss_municipio,
+  herdaPlanoPadrao: Boolean(empresa.herda_plano_padrao),
+  totalTarefas: empresa.total_tarefas,
+  createdAt: empresa.created_at,
+  updatedAt: empresa.updated_at
+});
+
+// Valida o perfil de obrigações; as obrigações ajustadas devem existir na agenda
+async function parsePerfilBody(body) {
+  const responsavelId = body.responsavelId || null;
+  if (responsavelId && !await getUserByUid(responsavelId)) {
+    return { error: 'Responsável não encontrado' };
+  }
+
+  const issMunicipio = String(body.issMunicipio || '').trim() || null;
+  if (issMunicipio && issMunicipio.length > 100) {
+    return { error: 'Município do ISS deve ter até 100 caracteres' };
+  }
+
+  const incluir = Array.isArray(body.incluir) ? [...new Set(body.incluir)] : [];
+  const excluir = Array.isArray(body.excluir) ? [...new Set(body.excluir)] : [];
+  const titulos = new Set(catalogoObrigacoes(listarObrigacoesTributarias()).map((o) => o.titulo));
+  const desconhecida = [...incluir, ...excluir].find((titulo) => !titulos.has(titulo));
+  if (desconhecida) {
+    return { error: `Obrigação desconhecida: ${desconhecida}` };
+  }
+  if (incluir.some((titulo) => excluir.includes(titulo))) {
+    return { error: 'Uma obrigação não pode ser incluída e excluída ao mesmo tempo' };
+  }
+
+  return {
+    responsavelId,
+    possuiEmpregados: Boolean(body.possuiEmpregados),
+    contribuinteIcms: Boolean(body.contribuinteIcms),
+    issMunicipio,
+    incluir,
+    excluir
+  };
+}
+
+/**
+ * GET /api/empresas
+ * Lista empresas (query: ativo=true|false, busca=texto)
+ */
+router.get('/empresas', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const ativo = req.query.ativo === undefined ? undefined : req.query.ativo === 'true';
+    const empresas = await listEmpresas({ ativo, busca: String(req.query.busca || '').trim() });
+    res.json(empresas.map(toEmpresaResponse));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao listar empresas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/empresas/opcoes
+ * Regimes tributários e UFs aceitos no cadastro
+ */
+router.get('/empresas/opcoes', authenticateToken, requirePermission('clients.view'), (req, res) => {
+  res.json({ regimesTributarios: REGIMES_TRIBUTARIOS, ufs: UFS });
+});
+
+/**
+ * GET /api/empresas/obrigacoes
+ * Obrigações da agenda tributária que podem ser incluídas/excluídas no perfil das empresas
+ */
+router.get('/empresas/obrigacoes', authenticateToken, requirePermission('clients.view'), (req, res) => {
+  res.json({ obrigacoes: catalogoObrigacoes(listarObrigacoesTributarias()), condicoes: CONDICOES });
+});
+
+// Analisa as linhas contra o cadastro atual; o registro interno não vai para a resposta
+async function analisarLinhas(registros) {
+  const [empresas, usuarios] = await Promise.all([listEmpresas(), getAllUsers()]);
+  return analisarImportacao(registros, { empresas, usuarios });
+}
+
+const resumoImportacao = (linhas) => ({
+  total: linhas.length,
+  criar: linhas.filter((l) => l.acao === 'criar').length,
+  atualizar: linhas.filter((l) => l.acao === 'atualizar').length,
+  semAlteracao: linhas.filter((l) => l.acao === 'sem_alteracao').length,
+  erros: linhas.filter((l) => l.acao === 'erro').length,
+  avisos: linhas.filter((l) => l.avisos.length).length
+});
+
+/**
+ * POST /api/empresas/importacao/previa
+ * Lê a planilha (campo "arquivo", CSV ou XLSX) e mostra o que seria criado/atualizado, sem gravar
+ */
+router.post('/empresas/importacao/previa', authenticateToken, requirePermission('clients.manage'), upload.single('arquivo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Envie a planilha no campo "arquivo"' });
+    }
+
+    let planilha;
+    try {
+      planilha = await lerPlanilhaEmpresas(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const linhas = (await analisarLinhas(planilha.registros)).map(({ registro, ...linha }) => linha);
+    res.json({ colunas: planilha.colunas, linhas, resumo: resumoImportacao(linhas) });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro na prévia da importação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/empresas/importacao/aplicar
+ * Body: { linhas: [{ linha, dados }] } (como devolvidas pela prévia).
+ * As linhas são analisadas de novo; as com erro são ignoradas e as demais gravadas em uma transação.
+ */
+router.post('/empresas/importacao/aplicar', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const registros = Array.isArray(req.body.linhas)
+      ? req.body.linhas.filter((l) => l && l.dados && typeof l.dados === 'object')
+      : [];
+    if (!registros.length) {
+      return res.status(400).json({ error: 'Nenhuma linha para importar' });
+    }
+
+    const linhas = await analisarLinhas(registros.map(({ linha, dados }) => ({ linha, dados })));
+    const resultado = await importEmpresas({
+      criar: linhas.filter((l) => l.acao === 'criar').map((l) => l.registro),
+      atualizar: linhas.filter((l) => l.acao === 'atualizar').map((l) => l.registro)
+    });
+
+    console.log(`[EMPRESAS] Importação por ${req.user.email}: ${resultado.criadas} criadas, ${resultado.atualizadas} atualizadas`);
+    res.json({
+      ...resultado,
+      ignoradas: linhas
+        .filter((l) => l.acao === 'erro')
+        .map(({ linha, cnpj, erros }) => ({ linha, cnpj, erros })),
+      resumo: resumoImportacao(linhas)
+    });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao aplicar importação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Data local no formato YYYY-MM-DD
+const dataISO = (data) => [
+  data.getFullYear(),
+  String(data.getMonth() + 1).padStart(2, '0'),
+  String(data.getDate()).padStart(2, '0')
+].join('-');
+
+function situacaoObrigacoes({ total, vencidas, pendentes }) {
+  if (!total) return 'sem_obrigacoes';
+  if (vencidas) return 'atrasada';
+  if (pendentes) return 'pendente';
+  return 'em_dia';
+}
+
+const toConciliacaoResponse = (comparacao) => ({
+  id: comparacao.id,
+  status: comparacao.status,
+  criadoEm: comparacao.criado_em,
+  concluidoEm: comparacao.finished_at,
+  periodoInicio: comparacao.periodo_inicio,
+  periodoFim: comparacao.periodo_fim,
+  divergencias: comparacao.qtd_divergencias || 0,
+  contasInvalidas: comparacao.contas_invalidas ?? null
+});
+
+/**
+ * GET /api/empresas/painel
+ * Carteira de clientes: obrigações do mês por empresa (concluídas, pendentes, vencidas) e a
+ * última conciliação bancária. Query: ano, mes (padrão: mês atual).
+ * As tarefas contadas respeitam a visibilidade do usuário; a conciliação exige rpa.view.
+ */
+router.get('/empresas/painel', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const hoje = new Date();
+    const mes = parseInt(req.query.mes, 10) || hoje.getMonth() + 1;
+    const ano = parseInt(req.query.ano, 10) || hoje.getFullYear();
+    if (mes < 1 || mes > 12) {
+      return res.status(400).json({ error: 'Mês inválido' });
+    }
+
+    const visiveis = await getVisibleResponsavelIds(req.user);
+    const verConciliacao = userCan(req.user, 'rpa.view');
+    const [linhas, comparacoes] = await Promise.all([
+      getPainelEmpresas({
+        inicio: dataISO(new Date(ano, mes - 1, 1)),
+        fim: dataISO(new Date(ano, mes, 0)),
+        hoje: dataISO(hoje),
+        responsavelIds: visiveis ? [...visiveis] : null
+      }),
+      verConciliacao ? getUltimasComparacoesPorEmpresa() : []
+    ]);
+    const comparacaoPorEmpresa = new Map(comparacoes.map((c) => [c.empresa_id, c]));
+
+    const empresas = linhas.map((linha) => {
+      const comparacao = comparacaoPorEmpresa.get(linha.id);
+      return {
+        id: linha.id,
+        cnpj: linha.cnpj,
+        razaoSocial: linha.razao_social,
+        nomeFantasia: linha.nome_fantasia,
+        regimeTributario: linha.regime_tributario,
+        responsavelId: linha.responsavel_id,
+        responsavelNome: linha.responsavel_nome,
+        obrigacoes: {
+          total: linha.total,
+          concluidas: linha.concluidas,
+          pendentes: linha.pendentes,
+          vencidas: linha.vencidas
+        },
+        situacao: situacaoObrigacoes(linha),
+        proximoVencimento: linha.proximo_vencimento,
+        conciliacao: comparacao ? toConciliacaoResponse(comparacao) : null
+      };
+    });
+
+    const contar = (situacao) => empresas.filter((e) => e.situacao === situacao).length;
+    res.json({
+      ano,
+      mes,
+      verConciliacao,
+      resumo: {
+        empresas: empresas.length,
+        emDia: contar('em_dia'),
+        pendentes: contar('pendente'),
+        atrasadas: contar('atrasada'),
+        semObrigacoes: contar('sem_obrigacoes'),
+        comDivergencias: empresas.filter((e) => e.conciliacao && e.conciliacao.divergencias > 0).length
+      },
+      empresas
+    });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao montar painel da carteira:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/empresas/:id/linha-do-tempo
+ * Tarefas e conciliações da empresa, em ordem cronológica.
+ * Query: meses (quantos meses para trás, padrão 6); inclui sempre o mês seguinte ao atual.
+ */
+router.get('/empresas/:id/linha-do-tempo', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const empresa = await getEmpresaById(req.params.id);
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+
+    const meses = Math.min(Math.max(parseInt(req.query.meses, 10) || 6, 1), 24);
+    const hoje = new Date();
+    const inicio = dataISO(new Date(hoje.getFullYear(), hoje.getMonth() - meses + 1, 1));
+    const fim = dataISO(new Date(hoje.getFullYear(), hoje.getMonth() + 2, 0));
+
+    const visiveis = await getVisibleResponsavelIds(req.user);
+    const [tarefas, comparacoes] = await Promise.all([
+      getTasksByEmpresa(empresa.id, { inicio, fim, responsavelIds: visiveis ? [...visiveis] : null }),
+      userCan(req.user, 'rpa.view') ? listComparacoes(0, 100, { empresaId: empresa.id }) : []
+    ]);
+
+    const eventos = [
+      ...tarefas.map((tarefa) => ({
+        tipo: 'tarefa',
+        id: tarefa.id,
+        data: tarefa.data_vencimento,
+        titulo: tarefa.titulo,
+        status: tarefa.status,
+        responsavel: tarefa.responsavel
+      })),
+      ...comparacoes
+        .filter((c) => String(c.criado_em).slice(0, 10) >= inicio)
+        .map((c) => ({
+          tipo: 'conciliacao',
+          data: c.criado_em,
+          titulo: `Conciliação bancária ${c.periodo_inicio} a ${c.periodo_fim}`,
+          ...toConciliacaoResponse(c)
+        }))
+    ].sort((a, b) => String(a.data).localeCompare(String(b.data)));
+
+    res.json({ empresa: toEmpresaResponse(empresa), inicio, fim, eventos });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao montar linha do tempo da empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/empresas/:id
+ */
+router.get('/empresas/:id', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const empresa = await getEmpresaById(req.params.id);
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+    res.json(toEmpresaResponse(empresa));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao obter empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/empresas
+ */
+router.post('/empresas', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const dados = parseEmpresaBody(req.body);
+    if (dados.error) {
+      return res.status(400).json({ error: dados.error });
+    }
+    if (await getEmpresaByCnpj(dados.cnpj)) {
+      return res.status(409).json({ error: 'Já existe uma empresa com este CNPJ' });
+    }
+
+    const { id } = await createEmpresa({ id: uuidv4(), ...dados });
+    console.log(`[EMPRESAS] Empresa ${dados.cnpj} criada por ${req.user.email}`);
+    res.status(201).json(toEmpresaResponse(await getEmpresaById(id)));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao criar empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/empresas/:id
+ */
+router.put('/empresas/:id', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!await getEmpresaById(id)) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+
+    const dados = parseEmpresaBody(req.body);
+    if (dados.error) {
+      return res.status(400).json({ error: dados.error });
+    }
+    const mesmoCnpj = await getEmpresaByCnpj(dados.cnpj);
+    if (mesmoCnpj && mesmoCnpj.id !== id) {
+      return res.status(409).json({ error: 'Já existe uma empresa com este CNPJ' });
+    }
+
+    await updateEmpresa(id, dados);
+    console.log(`[EMPRESAS] Empresa ${dados.cnpj} atualizada por ${req.user.email}`);
+    res.json(toEmpresaResponse(await getEmpresaById(id)));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao atualizar empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/empresas/:id/perfil-obrigacoes
+ * Perfil de obrigações da empresa e as obrigações que ele gera no mês (query: ano, mes)
+ */
+router.get('/empresas/:id/perfil-obrigacoes', authenticateToken, requirePermission('clients.view'), async (req, res) => {
+  try {
+    const empresa = await getEmpresaById(req.params.id);
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+
+    const hoje = new Date();
+    const mes = parseInt(req.query.mes, 10) || hoje.getMonth() + 1;
+    const ano = parseInt(req.query.ano, 10) || hoje.getFullYear();
+    const ajustes = await listAjustesObrigacoes([empresa.id]);
+    const obrigacoesMes = listarObrigacoesTributarias().find((item) => item.mes === mes);
+
+    res.json({
+      responsavelId: empresa.responsavel_id,
+      possuiEmpregados: Boolean(empresa.possui_empregados),
+      contribuinteIcms: Boolean(empresa.contribuinte_icms),
+      issMunicipio: empresa.iss_municipio,
+      incluir: ajustes.filter((a) => a.tipo === 'incluir').map((a) => a.obrigacao),
+      excluir: ajustes.filter((a) => a.tipo === 'excluir').map((a) => a.obrigacao),
+      previa: {
+        ano,
+        mes,
+        obrigacoes: empresa.regime_tributario && obrigacoesMes
+          ? obrigacoesDaEmpresa(obrigacoesMes.obrigacoes, empresa, ajustes).map((o) => o.titulo)
+          : []
+      }
+    });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao obter perfil de obrigações:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/empresas/:id/perfil-obrigacoes
+ */
+router.put('/empresas/:id/perfil-obrigacoes', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const empresa = await getEmpresaById(req.params.id);
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+
+    const perfil = await parsePerfilBody(req.body);
+    if (perfil.error) {
+      return res.status(400).json({ error: perfil.error });
+    }
+
+    await updatePerfilObrigacoes(empresa.id, perfil);
+    console.log(`[EMPRESAS] Perfil de obrigações da empresa ${empresa.cnpj} atualizado por ${req.user.email}`);
+    res.json(toEmpresaResponse(await getEmpresaById(empresa.id)));
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao atualizar perfil de obrigações:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/empresas/:id
+ * Só exclui empresas sem tarefas; as demais devem ser inativadas
+ */
+router.delete('/empresas/:id', authenticateToken, requirePermission('clients.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const empresa = await getEmpresaById(id);
+    if (!empresa) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+
+    const totalTarefas = await countTasksByEmpresa(id);
+    if (totalTarefas > 0) {
+      return res.status(409).json({
+        error: `A empresa possui ${totalTarefas} tarefa(s). Inative-a em vez de excluir.`
+      });
+    }
+
+    await deleteEmpresa(id);
+    console.log(`[EMPRESAS] Empresa ${empresa.cnpj} excluída por ${req.user.email}`);
+    res.json({ message: 'Empresa excluída com sucesso' });
+  } catch (error) {
+    console.error('[EMPRESAS] Erro ao excluir empresa:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
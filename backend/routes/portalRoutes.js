@@ -0,0 +1,336 @@
+// Rotas do portal do cliente
+//
+// Usuários com portal.access (cargo "cliente") consultam apenas as tarefas e os comprovantes
+// das empresas vinculadas a eles (usuario_empresas) e enviam documentos para essas tarefas.
+// Os documentos enviados caem na caixa de revisão da equipe (uploads.review).
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const {
+  listEmpresasDoUsuario,
+  getTasksByEmpresas,
+  getTaskById,
+  getFilesByTaskIds,
+  getFileById,
+  insertFile,
+  logFileActivity,
+  incrementDownloadCount,
+  listUploadsClientes,
+  revisarUploadCliente,
+  listSolicitacoesByTaskIds,
+  getSolicitacaoById,
+  setSolicitacaoStatus,
+  reabrirSolicitacoesDoArquivo
+} = require('../database');
+const { createTaskUpload, removerArquivoEnviado } = require('../services/files/uploads');
+const { getVisibleResponsavelIds, canViewTask } = require('../services/tasks/visibility');
+const { agruparPorTarefa, resumoSolicitacoes } = require('../services/solicitacoes/solicitacoes');
+
+const router = express.Router();
+
+const REVISAO_STATUS = ['pendente', 'aprovado', 'rejeitado'];
+const REVISAO_DECISOES = ['aprovado', 'rejeitado'];
+
+// Upload do portal: pasta da tarefa vem da rota
+const upload = createTaskUpload((req) => req.params.id);
+
+const dataISO = (data) => data.toISOString().slice(0, 10);
+
+const toPortalEmpresaResponse = (empresa) => ({
+  id: empresa.id,
+  cnpj: empresa.cnpj,
+  razaoSocial: empresa.razao_social,
+  nomeFantasia: empresa.nome_fantasia
+});
+
+// O cliente não vê quem baixou nem dados internos do arquivo, só o necessário para conferir
+const toPortalArquivoResponse = (arquivo) => ({
+  id: arquivo.id,
+  url: `/api/portal/arquivos/${arquivo.id}/download`,
+  name: arquivo.original_name,
+  size: arquivo.size,
+  type: arquivo.mime_type,
+  uploadDate: arquivo.upload_date,
+  enviadoPorCliente: Boolean(arquivo.enviado_por_cliente),
+  revisaoStatus: arquivo.revisao_status,
+  revisaoComentario: arquivo.revisao_comentario
+});
+
+// Documento pedido ao cliente, sem os dados internos de quem pediu e dos lembretes
+const toPortalSolicitacaoResponse = (solicitacao) => ({
+  id: solicitacao.id,
+  descricao: solicitacao.descricao,
+  prazo: solicitacao.prazo,
+  status: solicitacao.status,
+  arquivoNome: solicitacao.arquivoNome,
+  recebidoEm: solicitacao.recebidoEm
+});
+
+const toUploadClienteResponse = (arquivo) => ({
+  id: arquivo.id,
+  url: `/api/files/${arquivo.id}/download`,
+  name: arquivo.original_name,
+  size: arquivo.size,
+  type: arquivo.mime_type,
+  uploadDate: arquivo.upload_date,
+  enviadoPorNome: arquivo.enviado_por_nome,
+  enviadoPorEmail: arquivo.enviado_por_email,
+  tarefa: {
+    id: arquivo.task_id,
+    titulo: arquivo.tarefa_titulo,
+    dataVencimento: arquivo.data_vencimento,
+    status: arquivo.tarefa_status,
+    responsavel: arquivo.responsavel
+  },
+  empresaId: arquivo.empresa_id,
+  empresaNome: arquivo.empresa_nome,
+  revisaoStatus: arquivo.revisao_status,
+  revisadoPorNome: arquivo.revisado_por_nome,
+  revisadoEm: arquivo.revisado_em,
+  revisaoComentario: arquivo.revisao_comentario
+});
+
+// Ids das empresas vinculadas ao usuário do portal
+async function empresasDoPortal(user) {
+  const empresas = await listEmpresasDoUsuario(user.uid);
+  return empresas.map((empresa) => empresa.id);
+}
+
+// Mesma regra da listagem de GET /portal/tarefas: comprovantes das tarefas das empresas vinculadas,
+// sem os anexos dos comentários da equipe (comentario_id IS NULL, como em getFilesByTaskIds)
+async function arquivoVisivelNoPortal(user, arquivo) {
+  if (arquivo.comentario_id) return false;
+  const task = await getTaskById(arquivo.task_id);
+  const empresaIds = await empresasDoPortal(user);
+  return Boolean(task) && empresaIds.includes(task.empresa_id);
+}
+
+// Carrega a tarefa da rota antes do upload: só aceita tarefas das empresas vinculadas
+async function carregarTarefaDoPortal(req, res, next) {
+  try {
+    const task = await getTaskById(req.params.id);
+    const empresaIds = await empresasDoPortal(req.user);
+    if (!task || !empresaIds.includes(task.empresa_id)) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('[PORTAL] Erro ao carregar tarefa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+}
+
+// ============================================================================
+// PORTAL DO CLIENTE
+// ============================================================================
+
+/**
+ * GET /api/portal/empresas
+ * Empresas vinculadas ao usuário do portal.
+ */
+router.get('/portal/empresas', authenticateToken, requirePermission('portal.access'), async (req, res) => {
+  try {
+    const empresas = await listEmpresasDoUsuario(req.user.uid);
+    res.json(empresas.map(toPortalEmpresaResponse));
+  } catch (error) {
+    console.error('[PORTAL] Erro ao listar empresas do usuário:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/portal/tarefas
+ * Obrigações das empresas vinculadas, com status e comprovantes anexados.
+ * Query: empresa_id (opcional), meses (quantos meses para trás, padrão 3); inclui sempre o mês seguinte.
+ */
+router.get('/portal/tarefas', authenticateToken, requirePermission('portal.access'), async (req, res) => {
+  try {
+    let empresaIds = await empresasDoPortal(req.user);
+    if (req.query.empresa_id) {
+      if (!empresaIds.includes(req.query.empresa_id)) {
+        return res.status(404).json({ error: 'Empresa não encontrada' });
+      }
+      empresaIds = [req.query.empresa_id];
+    }
+
+    const meses = Math.min(Math.max(parseInt(req.query.meses, 10) || 3, 1), 24);
+    const hoje = new Date();
+    const inicio = dataISO(new Date(hoje.getFullYear(), hoje.getMonth() - meses + 1, 1));
+    const fim = dataISO(new Date(hoje.getFullYear(), hoje.getMonth() + 2, 0));
+
+    const tarefas = await getTasksByEmpresas(empresaIds, { inicio, fim });
+    const taskIds = tarefas.map((tarefa) => tarefa.id);
+    const arquivos = await getFilesByTaskIds(taskIds);
+    const solicitacoesPorTarefa = agruparPorTarefa(await listSolicitacoesByTaskIds(taskIds));
+
+    res.json({
+      inicio,
+      fim,
+      tarefas: tarefas.map((tarefa) => {
+        const solicitacoes = (solicitacoesPorTarefa.get(tarefa.id) || []).map(toPortalSolicitacaoResponse);
+        return {
+          id: tarefa.id,
+          titulo: tarefa.titulo,
+          status: tarefa.status,
+          dataVencimento: tarefa.data_vencimento,
+          empresaId: tarefa.empresa_id,
+          empresaNome: tarefa.empresa_nome,
+          responsavel: tarefa.responsavel,
+          arquivos: arquivos.filter((a) => a.task_id === tarefa.id).map(toPortalArquivoResponse),
+          solicitacoes,
+          ...resumoSolicitacoes(solicitacoes)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('[PORTAL] Erro ao listar tarefas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/portal/arquivos/:id/download
+ * Download de comprovante de uma tarefa das empresas vinculadas.
+ */
+router.get('/portal/arquivos/:id/download', authenticateToken, requirePermission('portal.access'), async (req, res) => {
+  try {
+    const arquivo = await getFileById(req.params.id);
+    if (!arquivo || !await arquivoVisivelNoPortal(req.user, arquivo)) {
+      return res.status(404).json({ error: 'Arquivo não encontrado' });
+    }
+
+    if (!fs.existsSync(arquivo.file_path)) {
+      console.error('[PORTAL] Arquivo físico não encontrado:', arquivo.file_path);
+      return res.status(404).json({ error: 'Arquivo físico não encontrado' });
+    }
+
+    await incrementDownloadCount(arquivo.id);
+    await logFileActivity(arquivo.id, 'download', req.user.uid);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${arquivo.original_name}"`);
+    res.setHeader('Content-Type', arquivo.mime_type);
+    res.sendFile(path.resolve(arquivo.file_path));
+  } catch (error) {
+    console.error('[PORTAL] Erro ao baixar arquivo:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/portal/tarefas/:id/arquivos
+ * Envio de documento pelo cliente (campo "file"); fica pendente de revisão da equipe.
+ * Campo opcional solicitacaoId: o documento atende a um pedido da tarefa, que passa a recebido.
+ */
+router.post('/portal/tarefas/:id/arquivos', authenticateToken, requirePermission('portal.access'), carregarTarefaDoPortal, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Nenhum arquivo enviado' });
+    }
+
+    const solicitacao = req.body.solicitacaoId ? await getSolicitacaoById(req.body.solicitacaoId) : null;
+    if (req.body.solicitacaoId && (!solicitacao || solicitacao.task_id !== req.task.id)) {
+      removerArquivoEnviado(req.file);
+      return res.status(404).json({ error: 'Solicitação não encontrada' });
+    }
+
+    const savedFile = await insertFile({
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      filePath: req.file.path,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      taskId: req.task.id,
+      uploadedBy: req.user.uid,
+      enviadoPorCliente: true
+    });
+    await logFileActivity(savedFile.id, 'upload', req.user.uid);
+    if (solicitacao) {
+      await setSolicitacaoStatus(solicitacao.id, { status: 'recebido', arquivoId: savedFile.id });
+    }
+
+    console.log(`[PORTAL] Documento "${savedFile.originalName}" enviado por ${req.user.email} para a tarefa ${req.task.id}`);
+    res.status(201).json({
+      id: savedFile.id,
+      url: `/api/portal/arquivos/${savedFile.id}/download`,
+      name: savedFile.originalName,
+      size: savedFile.size,
+      type: savedFile.mimeType,
+      uploadDate: savedFile.uploadDate,
+      enviadoPorCliente: true,
+      revisaoStatus: savedFile.revisaoStatus,
+      revisaoComentario: null
+    });
+  } catch (error) {
+    console.error('[PORTAL] Erro ao enviar documento:', error);
+    removerArquivoEnviado(req.file);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// ============================================================================
+// DOCUMENTOS ENVIADOS PELOS CLIENTES (EQUIPE)
+// ============================================================================
+
+/**
+ * GET /api/uploads-clientes
+ * Caixa de documentos enviados pelo portal, restrita às tarefas que o usuário enxerga.
+ * Query: status (pendente, aprovado, rejeitado; vazio = todos)
+ */
+router.get('/uploads-clientes', authenticateToken, requirePermission('uploads.review'), async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !REVISAO_STATUS.includes(status)) {
+      return res.status(400).json({ error: `Status inválido. Use um de: ${REVISAO_STATUS.join(', ')}` });
+    }
+
+    const visiveis = await getVisibleResponsavelIds(req.user);
+    const uploads = await listUploadsClientes({ status, responsavelIds: visiveis ? [...visiveis] : null });
+    res.json(uploads.map(toUploadClienteResponse));
+  } catch (error) {
+    console.error('[PORTAL] Erro ao listar documentos dos clientes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/uploads-clientes/:id
+ * Body: { status: 'aprovado' | 'rejeitado', comentario } — rejeição exige comentário,
+ * que aparece para o cliente no portal.
+ */
+router.patch('/uploads-clientes/:id', authenticateToken, requirePermission('uploads.review'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const comentario = String(req.body.comentario || '').trim() || null;
+    if (!REVISAO_DECISOES.includes(status)) {
+      return res.status(400).json({ error: `Status inválido. Use um de: ${REVISAO_DECISOES.join(', ')}` });
+    }
+    if (status === 'rejeitado' && !comentario) {
+      return res.status(400).json({ error: 'Informe o motivo da rejeição para o cliente' });
+    }
+    if (comentario && comentario.length > 1000) {
+      return res.status(400).json({ error: 'Comentário deve ter até 1000 caracteres' });
+    }
+
+    const arquivo = await getFileById(req.params.id);
+    if (!arquivo || !arquivo.enviado_por_cliente || !await canViewTask(req.user, await getTaskById(arquivo.task_id))) {
+      return res.status(404).json({ error: 'Documento não encontrado' });
+    }
+
+    await revisarUploadCliente(arquivo.id, { status, revisadoPor: req.user.uid, comentario });
+    // Documento recusado não atende ao pedido: a solicitação volta a aguardar o cliente
+    if (status === 'rejeitado') {
+      await reabrirSolicitacoesDoArquivo(arquivo.id);
+    }
+    await logFileActivity(arquivo.id, `revisao_${status}`, req.user.uid);
+
+    res.json({ message: 'Revisão registrada com sucesso', id: arquivo.id, revisaoStatus: status, revisaoComentario: comentario });
+  } catch (error) {
+    console.error('[PORTAL] Erro ao revisar documento do cliente:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
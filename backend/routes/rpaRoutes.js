@@ -2,44 +2,8 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const { getUserByUid } = require('../database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
-// Middleware de autenticação (mesmo do server.js)
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization || '';
-    
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Token não fornecido ou formato inválido' });
-    }
-    
-    const token = authHeader.slice(7);
-
-    // Verificar se é um token mock válido
-    if (token.startsWith('mock-token-')) {
-      const uid = token.substring('mock-token-'.length);
-      const userData = await getUserByUid(uid);
-      
-      if (!userData) {
-        return res.status(401).json({ error: 'Usuário não encontrado' });
-      }
-
-      req.user = {
-        uid: userData.uid,
-        email: userData.email,
-        nomeCompleto: userData.nome_completo,
-        cargo: userData.cargo
-      };
-      return next();
-    }
-
-    // Token não reconhecido
-    return res.status(401).json({ error: 'Formato de token inválido. Use mock-token-<UID> para autenticação.' });
-  } catch (err) {
-    console.error('[AUTH] Erro inesperado:', err);
-    return res.status(500).json({ error: 'Erro na autenticação: ' + err.message });
-  }
-};
 const {
   createComparacao,
   getComparacaoById,
@@ -50,7 +14,15 @@ const {
   getAccountValidationResultsByComparacaoId,
   upsertChartOfAccount,
   getChartOfAccounts,
+  getEffectiveChartOfAccounts,
   deleteChartOfAccountsBySource,
+  setEmpresaHerdaPlanoPadrao,
+  listAccountValidationRules,
+  getAccountValidationRuleById,
+  createAccountValidationRule,
+  updateAccountValidationRule,
+  deleteAccountValidationRule,
+  getEmpresaById,
   db
 } = require('../database');
 const { processarComparacao } = require('../workers/processarComparacao');
@@ -70,17 +42,23 @@ const upload = multer({
  * POST /api/comparacoes
  * Cria uma nova comparação
  */
-router.post('/comparacoes', authenticateToken, upload.fields([
+router.post('/comparacoes', authenticateToken, requirePermission('rpa.compare'), upload.fields([
   { name: 'otimiza', maxCount: 10 },
   { name: 'mpds', maxCount: 1 }
 ]), async (req, res) => {
   try {
     const { periodo_inicio, periodo_fim, source_type = 'OTIMIZA_TXT', bank_source_type = 'CSV' } = req.body;
+    const empresa_id = req.body.empresa_id || null;
 
     if (!periodo_inicio || !periodo_fim) {
       return res.status(400).json({ error: 'periodo_inicio e periodo_fim são obrigatórios' });
     }
 
+    // Sem empresa, as contas são validadas contra o plano padrão
+    if (empresa_id && !await getEmpresaById(empresa_id)) {
+      return res.status(400).json({ error: 'Empresa não encontrada' });
+    }
+
     // Processa arquivos
     const inputFiles = {
       otimiza: [],
@@ -136,7 +114,8 @@ router.post('/comparacoes', authenticateToken, upload.fields([
       source_type,
       bank_source_type: detectedBankType,
       input_files: inputFiles,
-      status: 'pendente'
+      status: 'pendente',
+      empresa_id
     });
 
     // Dispara worker em background (não bloqueia resposta)
@@ -157,14 +136,14 @@ router.post('/comparacoes', authenticateToken, upload.fields([
 
 /**
  * GET /api/comparacoes
- * Lista todas as comparações
+ * Lista as comparações (query: empresa_id para filtrar por empresa cliente)
  */
-router.get('/comparacoes', authenticateToken, async (req, res) => {
+router.get('/comparacoes', authenticateToken, requirePermission('rpa.view'), async (req, res) => {
   try {
     const skip = parseInt(req.query.skip) || 0;
     const limit = parseInt(req.query.limit) || 100;
 
-    const comparacoes = await listComparacoes(skip, limit);
+    const comparacoes = await listComparacoes(skip, limit, { empresaId: req.query.empresa_id || null });
 
     res.json(comparacoes);
   } catch (error) {
@@ -177,7 +156,7 @@ router.get('/comparacoes', authenticateToken, async (req, res) => {
  * GET /api/comparacoes/:id
  * Obtém detalhes de uma comparação
  */
-router.get('/comparacoes/:id', authenticateToken, async (req, res) => {
+router.get('/comparacoes/:id', authenticateToken, requirePermission('rpa.view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -220,7 +199,7 @@ router.get('/comparacoes/:id', authenticateToken, async (req, res) => {
  * DELETE /api/comparacoes/:id
  * Deleta uma comparação
  */
-router.delete('/comparacoes/:id', authenticateToken, async (req, res) => {
+router.delete('/comparacoes/:id', authenticateToken, requirePermission('rpa.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -240,15 +219,20 @@ router.delete('/comparacoes/:id', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/plano-contas/upload
- * Upload de plano de contas
+ * Upload de plano de contas. Com empresa_id, substitui só o plano daquela empresa;
+ * sem empresa_id, substitui o plano padrão.
  */
-router.post('/plano-contas/upload', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/plano-contas/upload', authenticateToken, requirePermission('rpa.manage'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Arquivo não fornecido' });
     }
 
     const { source = 'dominio' } = req.body;
+    const empresa_id = req.body.empresa_id || null;
+    if (empresa_id && !await getEmpresaById(empresa_id)) {
+      return res.status(400).json({ error: 'Empresa não encontrada' });
+    }
 
     // Salva arquivo temporário
     const fs = require('fs');
@@ -264,14 +248,15 @@ router.post('/plano-contas/upload', authenticateToken, upload.single('file'), as
       // Faz parse do arquivo
       const contas = await parsePlanoContas(tempPath);
 
-      // Deleta plano de contas antigo da mesma source
-      await deleteChartOfAccountsBySource(source);
+      // Deleta plano de contas antigo da mesma source, no mesmo escopo (empresa ou padrão)
+      await deleteChartOfAccountsBySource(source, empresa_id);
 
       // Insere novas contas
       let inseridas = 0;
       for (const conta of contas) {
         await upsertChartOfAccount({
           source,
+          empresa_id,
           account_code: conta.account_code,
           account_name: conta.account_name,
           account_level: conta.account_level,
@@ -289,6 +274,7 @@ router.post('/plano-contas/upload', authenticateToken, upload.single('file'), as
       res.json({
         message: 'Plano de contas importado com sucesso',
         source,
+        empresa_id,
         total_contas: inseridas
       });
     } catch (error) {
@@ -306,13 +292,21 @@ router.post('/plano-contas/upload', authenticateToken, upload.single('file'), as
 
 /**
  * GET /api/plano-contas
- * Lista plano de contas
+ * Lista plano de contas (query: source; empresa_id para o plano efetivo da empresa,
+ * com as contas herdadas do padrão marcadas; escopo=padrao para só o plano padrão)
  */
-router.get('/plano-contas', authenticateToken, async (req, res) => {
+router.get('/plano-contas', authenticateToken, requirePermission('rpa.view'), async (req, res) => {
   try {
-    const { source } = req.query;
+    const { source, empresa_id, escopo } = req.query;
 
-    const contas = await getChartOfAccounts(source || null);
+    if (empresa_id) {
+      if (!await getEmpresaById(empresa_id)) {
+        return res.status(404).json({ error: 'Empresa não encontrada' });
+      }
+      return res.json(await getEffectiveChartOfAccounts(source || 'dominio', empresa_id));
+    }
+
+    const contas = await getChartOfAccounts(source || null, escopo === 'padrao' ? { empresaId: null } : {});
 
     res.json(contas);
   } catch (error) {
@@ -321,11 +315,153 @@ router.get('/plano-contas', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/plano-contas/empresas/:empresaId/heranca
+ * Define se a empresa herda o plano de contas e as regras de validação padrão
+ * Body: { herda_padrao: boolean }
+ */
+router.put('/plano-contas/empresas/:empresaId/heranca', authenticateToken, requirePermission('rpa.manage'), async (req, res) => {
+  try {
+    const { empresaId } = req.params;
+    if (typeof req.body.herda_padrao !== 'boolean') {
+      return res.status(400).json({ error: 'herda_padrao deve ser true ou false' });
+    }
+    if (!await getEmpresaById(empresaId)) {
+      return res.status(404).json({ error: 'Empresa não encontrada' });
+    }
+
+    res.json(await setEmpresaHerdaPlanoPadrao(empresaId, req.body.herda_padrao));
+  } catch (error) {
+    console.error('[RPA] Erro ao atualizar herança do plano padrão:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Valida o corpo de criação/edição de regra de validação
+function parseRegraBody(body) {
+  const name = String(body.name || '').trim();
+  const match_field = String(body.match_field || '').trim();
+  const match_value = String(body.match_value || '').trim();
+  if (!name || !match_field || !match_value) {
+    return { error: 'name, match_field e match_value são obrigatórios' };
+  }
+
+  const severity = body.severity || 'error';
+  if (!['error', 'warning'].includes(severity)) {
+    return { error: 'severity deve ser error ou warning' };
+  }
+
+  const listas = {};
+  for (const campo of ['allowed_account_prefixes', 'allowed_account_codes', 'blocked_account_prefixes', 'blocked_account_codes']) {
+    const valor = body[campo] || [];
+    if (!Array.isArray(valor) || valor.some((item) => typeof item !== 'string')) {
+      return { error: `${campo} deve ser uma lista de textos` };
+    }
+    listas[campo] = valor.map((item) => item.trim()).filter(Boolean);
+  }
+
+  return {
+    name,
+    is_enabled: body.is_enabled === undefined ? true : Boolean(body.is_enabled),
+    match_field,
+    match_value,
+    ...listas,
+    severity,
+    message: body.message ? String(body.message).trim() : null
+  };
+}
+
+/**
+ * GET /api/regras-validacao
+ * Lista regras de validação de contas (query: empresa_id=<id> ou escopo=padrao)
+ */
+router.get('/regras-validacao', authenticateToken, requirePermission('rpa.view'), async (req, res) => {
+  try {
+    const { empresa_id, escopo } = req.query;
+    let filtro = {};
+    if (empresa_id) {
+      filtro = { empresaId: empresa_id };
+    } else if (escopo === 'padrao') {
+      filtro = { empresaId: null };
+    }
+
+    res.json(await listAccountValidationRules(filtro));
+  } catch (error) {
+    console.error('[RPA] Erro ao listar regras de validação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/regras-validacao
+ * Cria regra de validação; sem empresa_id, a regra é padrão (vale para as empresas que herdam o padrão)
+ */
+router.post('/regras-validacao', authenticateToken, requirePermission('rpa.manage'), async (req, res) => {
+  try {
+    const dados = parseRegraBody(req.body);
+    if (dados.error) {
+      return res.status(400).json({ error: dados.error });
+    }
+    const empresa_id = req.body.empresa_id || null;
+    if (empresa_id && !await getEmpresaById(empresa_id)) {
+      return res.status(400).json({ error: 'Empresa não encontrada' });
+    }
+
+    const { id } = await createAccountValidationRule({ ...dados, empresa_id });
+    res.status(201).json(await getAccountValidationRuleById(id));
+  } catch (error) {
+    console.error('[RPA] Erro ao criar regra de validação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/regras-validacao/:id
+ * Atualiza regra de validação (a empresa da regra não muda)
+ */
+router.put('/regras-validacao/:id', authenticateToken, requirePermission('rpa.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!await getAccountValidationRuleById(id)) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+
+    const dados = parseRegraBody(req.body);
+    if (dados.error) {
+      return res.status(400).json({ error: dados.error });
+    }
+
+    await updateAccountValidationRule(id, dados);
+    res.json(await getAccountValidationRuleById(id));
+  } catch (error) {
+    console.error('[RPA] Erro ao atualizar regra de validação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/regras-validacao/:id
+ */
+router.delete('/regras-validacao/:id', authenticateToken, requirePermission('rpa.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!await getAccountValidationRuleById(id)) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+
+    await deleteAccountValidationRule(id);
+    res.json({ message: 'Regra excluída com sucesso' });
+  } catch (error) {
+    console.error('[RPA] Erro ao excluir regra de validação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/debug/pdf-text
  * Debug: extrai texto de PDF para análise
  */
-router.post('/debug/pdf-text', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/debug/pdf-text', authenticateToken, requirePermission('rpa.compare'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Arquivo PDF não fornecido' });
@@ -0,0 +1,199 @@
+// Rotas de solicitações de documentos ao cliente
+//
+// A equipe pede documentos vinculados a uma tarefa (descrição e prazo); o cliente envia pelo
+// portal (routes/portalRoutes.js) ou a equipe marca como recebido. Quem gerencia os pedidos:
+// o responsável pela tarefa ou quem tem tasks.edit, sempre dentro das tarefas visíveis.
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken, userCan } = require('../middleware/auth');
+
+const {
+  getTaskById,
+  listSolicitacoesByTaskIds,
+  getSolicitacaoById,
+  createSolicitacao,
+  updateSolicitacao,
+  setSolicitacaoStatus,
+  deleteSolicitacao,
+  listSolicitacoesParaLembrete,
+  insertActivityLog
+} = require('../database');
+const { toSolicitacaoResponse, resumoSolicitacoes, parseSolicitacaoBody } = require('../services/solicitacoes/solicitacoes');
+const { enviarLembretes } = require('../services/solicitacoes/lembretes');
+const { canViewTask } = require('../services/tasks/visibility');
+
+const router = express.Router();
+
+const podeGerenciar = (user, task) => task.responsavel_id === user.uid || userCan(user, 'tasks.edit');
+
+// Carrega a tarefa da rota (ou da solicitação) e confere visibilidade e permissão de gestão
+async function carregarTarefa(req, res, { gerenciar }) {
+  const task = await getTaskById(req.params.id);
+  if (!await canViewTask(req.user, task)) {
+    res.status(404).json({ error: 'Tarefa não encontrada' });
+    return null;
+  }
+  if (gerenciar && !podeGerenciar(req.user, task)) {
+    res.status(403).json({ error: 'Você só pode solicitar documentos nas suas próprias tarefas' });
+    return null;
+  }
+  return task;
+}
+
+async function carregarSolicitacao(req, res) {
+  const solicitacao = await getSolicitacaoById(req.params.id);
+  const task = solicitacao ? await getTaskById(solicitacao.task_id) : null;
+  if (!await canViewTask(req.user, task)) {
+    res.status(404).json({ error: 'Solicitação não encontrada' });
+    return null;
+  }
+  if (!podeGerenciar(req.user, task)) {
+    res.status(403).json({ error: 'Você só pode alterar solicitações das suas próprias tarefas' });
+    return null;
+  }
+  return { solicitacao, task };
+}
+
+const registrarAtividade = (req, task, action) => insertActivityLog({
+  userId: req.user.uid,
+  userEmail: req.user.email,
+  action,
+  taskId: task.id,
+  taskTitle: task.titulo
+});
+
+/**
+ * GET /api/tarefas/:id/solicitacoes
+ * Documentos solicitados ao cliente na tarefa, com o resumo (aguardandoCliente, pendentes, atrasadas).
+ */
+router.get('/tarefas/:id/solicitacoes', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res, { gerenciar: false });
+    if (!task) return;
+
+    const solicitacoes = (await listSolicitacoesByTaskIds([task.id])).map(toSolicitacaoResponse);
+    res.json({ solicitacoes, ...resumoSolicitacoes(solicitacoes) });
+  } catch (error) {
+    console.error('[SOLICITACOES] Erro ao listar solicitações:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tarefas/:id/solicitacoes
+ * Body: { descricao, prazo (YYYY-MM-DD) }
+ */
+router.post('/tarefas/:id/solicitacoes', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res, { gerenciar: true });
+    if (!task) return;
+
+    const parsed = parseSolicitacaoBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const { id } = await createSolicitacao({ id: uuidv4(), taskId: task.id, ...parsed, solicitadoPor: req.user.uid });
+    await registrarAtividade(req, task, 'request_document');
+
+    res.status(201).json(toSolicitacaoResponse(await getSolicitacaoById(id)));
+  } catch (error) {
+    console.error('[SOLICITACOES] Erro ao criar solicitação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tarefas/:id/solicitacoes/lembrete
+ * Envia agora o lembrete dos documentos pendentes da tarefa aos contatos da empresa.
+ */
+router.post('/tarefas/:id/solicitacoes/lembrete', authenticateToken, async (req, res) => {
+  try {
+    const task = await carregarTarefa(req, res, { gerenciar: true });
+    if (!task) return;
+
+    if (!task.empresa_id) {
+      return res.status(400).json({ error: 'A tarefa não está vinculada a uma empresa cliente' });
+    }
+
+    const pendentes = await listSolicitacoesParaLembrete({ taskId: task.id });
+    if (pendentes.length === 0) {
+      return res.status(400).json({ error: 'Nenhum documento pendente nesta tarefa' });
+    }
+
+    const resultado = await enviarLembretes(pendentes, req.app.get('portalUrl'));
+    if (resultado.semContato.length) {
+      return res.status(400).json({ error: 'A empresa não tem contatos com acesso ao portal do cliente' });
+    }
+    if (resultado.emails === 0) {
+      return res.status(502).json({ error: 'Não foi possível enviar o lembrete. Tente novamente.' });
+    }
+
+    res.json({ message: `Lembrete enviado para ${resultado.emails} contato(s)`, ...resultado });
+  } catch (error) {
+    console.error('[SOLICITACOES] Erro ao enviar lembrete:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/solicitacoes/:id
+ * Body: { descricao, prazo }
+ */
+router.put('/solicitacoes/:id', authenticateToken, async (req, res) => {
+  try {
+    const carregada = await carregarSolicitacao(req, res);
+    if (!carregada) return;
+
+    const parsed = parseSolicitacaoBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    await updateSolicitacao(carregada.solicitacao.id, parsed);
+    res.json(toSolicitacaoResponse(await getSolicitacaoById(carregada.solicitacao.id)));
+  } catch (error) {
+    console.error('[SOLICITACOES] Erro ao atualizar solicitação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/solicitacoes/:id/status
+ * Body: { status: 'recebido' | 'solicitado' } — recebido fora do portal ou pedido reaberto.
+ */
+router.patch('/solicitacoes/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['recebido', 'solicitado'].includes(status)) {
+      return res.status(400).json({ error: 'Status inválido. Use recebido ou solicitado' });
+    }
+
+    const carregada = await carregarSolicitacao(req, res);
+    if (!carregada) return;
+
+    const arquivoId = status === 'recebido' ? carregada.solicitacao.arquivo_id : null;
+    await setSolicitacaoStatus(carregada.solicitacao.id, { status, arquivoId });
+    await registrarAtividade(req, carregada.task, status === 'recebido' ? 'receive_document' : 'reopen_document_request');
+
+    res.json(toSolicitacaoResponse(await getSolicitacaoById(carregada.solicitacao.id)));
+  } catch (error) {
+    console.error('[SOLICITACOES] Erro ao alterar status da solicitação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/solicitacoes/:id', authenticateToken, async (req, res) => {
+  try {
+    const carregada = await carregarSolicitacao(req, res);
+    if (!carregada) return;
+
+    await deleteSolicitacao(carregada.solicitacao.id);
+    res.json({ message: 'Solicitação excluída com sucesso' });
+  } catch (error) {
+    console.error('[SOLICITACOES] Erro ao excluir solicitação:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
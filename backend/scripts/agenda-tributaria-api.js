@@ -2,7 +2,19 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs').promises;
 const path = require('path');
-const { createTask, getUserByEmail, getAllUsers } = require('../database');
+const {
+  createTask,
+  getUserByEmail,
+  getAllUsers,
+  listEmpresas,
+  listAjustesObrigacoes,
+  listAtribuicoes,
+  checkTaskExistsForEmpresa
+} = require('../database');
+const { obrigacoesDaEmpresa } = require('../services/agenda/perfilObrigacoes');
+const { categoriaObrigacao, responsavelDaMatriz } = require('../services/agenda/atribuicoes');
+const { vinculosObrigacoes } = require('../services/agenda/dependenciasObrigacoes');
+const { criarVinculos } = require('../services/tasks/dependencias');
 const { v4: uuidv4 } = require('uuid');
 
 // URLs da Receita Federal para consulta (atualizadas para 2025)
@@ -1685,8 +1697,9 @@ async function buscarFeriados(ano) {
     return response.data
       .filter(f => f.type === 'national')
       .reduce((map, f) => {
-        const data = new Date(f.date);
-        map[`${data.getMonth() + 1}-${data.getDate()}`] = f.name;
+        // f.date vem como YYYY-MM-DD; new Date() leria como UTC e voltaria um dia no fuso do Brasil
+        const [, mes, dia] = f.date.split('-').map(Number);
+        map[`${mes}-${dia}`] = f.name;
         return map;
       }, {});
   } catch (error) {
@@ -1741,6 +1754,95 @@ async function salvarBackupTarefas(tarefas, ano, mes) {
   }
 }
 
+/**
+ * Monta os dados da tarefa de uma obrigação, com vencimento ajustado para dia útil
+ * @param {Object} obrigacao - Obrigação do mês
+ * @param {number} ano - Ano da tarefa
+ * @param {number} mes - Mês da tarefa (1 a 12)
+ * @param {Object} feriados - Feriados do ano (buscarFeriados)
+ * @param {Object} responsavel - Usuário responsável
+ * @param {string} [empresaId] - Empresa cliente da tarefa (opcional)
+ * @returns {Object} Dados para createTask
+ */
+function montarTarefaObrigacao(obrigacao, ano, mes, feriados, responsavel, empresaId = null) {
+  let vencimento = obrigacao.vencimento;
+  if (mes === 2 && vencimento === 28 && isAnoBissexto(ano)) {
+    vencimento = 29;
+    console.log(`📅 Ajustado vencimento para 29/02/${ano} (ano bissexto)`);
+  }
+  
+  const dataVencimento = new Date(ano, mes - 1, vencimento);
+  const dataVencimentoUtil = ajustarDiaUtil(dataVencimento, feriados);
+  
+  // Verificar se o responsável tem todos os campos necessários
+  if (!responsavel.uid || !responsavel.nome_completo) {
+    console.error(`❌ Dados insuficientes do responsável:`, responsavel);
+    throw new Error(`Usuário responsável com dados incompletos: uid=${responsavel.uid}, nome=${responsavel.nome_completo}`);
+  }
+  
+  return {
+    id: uuidv4(),
+    titulo: obrigacao.titulo,
+    responsavel: responsavel.nome_completo,
+    responsavelId: responsavel.uid,
+    dataVencimento: dataVencimentoUtil.toISOString(),
+    observacoes: `${obrigacao.observacoes}\n\n📅 Vencimento original: ${vencimento}/${mes}/${ano}` +
+                (obrigacao.codigo !== 'N/A' ? `\n🔢 Código: ${obrigacao.codigo}` : '') +
+                (obrigacao.periodo ? `\n📆 Período: ${obrigacao.periodo}` : '') +
+                (dataVencimentoUtil.toDateString() !== dataVencimento.toDateString() ?
+                 `\n📅 Vencimento ajustado: ${dataVencimentoUtil.toLocaleDateString('pt-BR')}` : '') +
+                `\n📊 Dados atualizados em: ${new Date().toLocaleDateString('pt-BR')}`,
+    recorrente: true,
+    frequencia: 'mensal',
+    empresaId
+  };
+}
+
+/**
+ * Responsável padrão das tarefas: o email informado ou, na falta dele, o administrador
+ * @param {string} [responsavelEmail] - Email do responsável (opcional)
+ * @returns {Promise<Object>} Usuário responsável
+ */
+async function resolverResponsavelPadrao(responsavelEmail = null) {
+  let responsavel;
+  if (responsavelEmail) {
+    responsavel = await getUserByEmail(responsavelEmail);
+    if (!responsavel) {
+      console.log(`❌ Email ${responsavelEmail} não encontrado. Buscando administrador...`);
+      responsavel = null;
+    }
+  }
+  
+  if (!responsavel) {
+    console.log('🔍 Buscando usuário administrador no sistema...');
+    const users = await getAllUsers();
+    console.log(`📋 Total de usuários no sistema: ${users.length}`);
+    
+    // Tentar encontrar um admin real primeiro
+    responsavel = users.find(user => user.cargo === 'admin');
+    
+    if (!responsavel) {
+      // Se não encontrou admin, usar o usuário 'system' como fallback
+      console.log('⚠️ Nenhum admin encontrado, tentando usuário system...');
+      responsavel = users.find(user => user.uid === 'system');
+      
+      if (!responsavel) {
+        // Como último recurso, usar o primeiro usuário da lista
+        console.log('⚠️ Usuário system não encontrado, usando primeiro usuário disponível...');
+        responsavel = users[0];
+      }
+    }
+    
+    if (!responsavel) {
+      throw new Error('Nenhum usuário disponível no sistema para ser responsável pelas tarefas');
+    }
+    
+    console.log(`👤 Usuário selecionado: ${responsavel.nome_completo || responsavel.email} (${responsavel.uid})`);
+  }
+  
+  return responsavel;
+}
+
 /**
  * Cria tarefas para um mês específico
  * @param {number} ano - Ano das tarefas (ex.: 2025)
@@ -1768,98 +1870,35 @@ async function criarTarefasMes(ano, mes, responsavelEmail = null, regimeTributar
     // Buscar feriados
     const feriados = await buscarFeriados(ano);
     
-    // Buscar usuário administrador
-    let responsavel;
-    if (responsavelEmail) {
-      responsavel = await getUserByEmail(responsavelEmail);
-      if (!responsavel) {
-        console.log(`❌ Email ${responsavelEmail} não encontrado. Buscando administrador...`);
-        responsavel = null;
-      }
-    }
-    
-    if (!responsavel) {
-      console.log('🔍 Buscando usuário administrador no sistema...');
-      const users = await getAllUsers();
-      console.log(`📋 Total de usuários no sistema: ${users.length}`);
-      
-      // Tentar encontrar um admin real primeiro
-      responsavel = users.find(user => user.cargo === 'admin');
-      
-      if (!responsavel) {
-        // Se não encontrou admin, usar o usuário 'system' como fallback
-        console.log('⚠️ Nenhum admin encontrado, tentando usuário system...');
-        responsavel = users.find(user => user.uid === 'system');
-        
-        if (!responsavel) {
-          // Como último recurso, usar o primeiro usuário da lista
-          console.log('⚠️ Usuário system não encontrado, usando primeiro usuário disponível...');
-          responsavel = users[0];
-        }
-      }
-      
-      if (!responsavel) {
-        throw new Error('Nenhum usuário disponível no sistema para ser responsável pelas tarefas');
-      }
-      
-      console.log(`👤 Usuário selecionado: ${responsavel.nome_completo || responsavel.email} (${responsavel.uid})`);
-    }
+    const responsavel = await resolverResponsavelPadrao(responsavelEmail);
     
     console.log(`✅ Responsável definido: ${responsavel.nome_completo} (${responsavel.email})`);
     
     // Buscar obrigações do mês
-    let obrigacoesMes = OBRIGACOES_TRIBUTARIAS.find(obj => obj.mes === mes);
+    const obrigacoesMes = OBRIGACOES_TRIBUTARIAS.find(obj => obj.mes === mes);
     if (!obrigacoesMes) {
       throw new Error(`Mês ${mes} sem obrigações definidas`);
     }
     
-    // Filtrar por regime tributário, se especificado
+    // Filtrar por regime tributário, se especificado (sem alterar OBRIGACOES_TRIBUTARIAS)
+    let obrigacoes = obrigacoesMes.obrigacoes;
     if (regimeTributario) {
-      obrigacoesMes.obrigacoes = obrigacoesMes.obrigacoes.filter(o => o.regimeTributario && o.regimeTributario.includes(regimeTributario));
-      console.log(`📊 Filtrado por regime: ${regimeTributario}. Obrigações encontradas: ${obrigacoesMes.obrigacoes.length}`);
+      obrigacoes = obrigacoes.filter(o => o.regimeTributario && o.regimeTributario.includes(regimeTributario));
+      console.log(`📊 Filtrado por regime: ${regimeTributario}. Obrigações encontradas: ${obrigacoes.length}`);
     }
     
     // Criar tarefas em paralelo
-    const tarefasCriadas = await Promise.all(obrigacoesMes.obrigacoes.map(async obrigacao => {
-      let vencimento = obrigacao.vencimento;
-      if (mes === 2 && vencimento === 28 && isAnoBissexto(ano)) {
-        vencimento = 29;
-        console.log(`📅 Ajustado vencimento para 29/02/${ano} (ano bissexto)`);
-      }
-      
-      const dataVencimento = new Date(ano, mes - 1, vencimento);
-      const dataVencimentoUtil = ajustarDiaUtil(dataVencimento, feriados);
-      
-      // Verificar se o responsável tem todos os campos necessários
-      if (!responsavel.uid || !responsavel.nome_completo) {
-        console.error(`❌ Dados insuficientes do responsável:`, responsavel);
-        throw new Error(`Usuário responsável com dados incompletos: uid=${responsavel.uid}, nome=${responsavel.nome_completo}`);
-      }
-      
-      const taskData = {
-        id: uuidv4(),
-        titulo: obrigacao.titulo,
-        responsavel: responsavel.nome_completo,
-        responsavelId: responsavel.uid,
-        dataVencimento: dataVencimentoUtil.toISOString(),
-        observacoes: `${obrigacao.observacoes}\n\n📅 Vencimento original: ${vencimento}/${mes}/${ano}` +
-                    (obrigacao.codigo !== 'N/A' ? `\n🔢 Código: ${obrigacao.codigo}` : '') +
-                    (obrigacao.periodo ? `\n📆 Período: ${obrigacao.periodo}` : '') +
-                    (dataVencimentoUtil.toDateString() !== dataVencimento.toDateString() ?
-                     `\n📅 Vencimento ajustado: ${dataVencimentoUtil.toLocaleDateString('pt-BR')}` : '') +
-                    `\n📊 Dados atualizados em: ${new Date().toLocaleDateString('pt-BR')}`,
-        recorrente: true,
-        frequencia: 'mensal'
-      };
+    const tarefasCriadas = await Promise.all(obrigacoes.map(async obrigacao => {
+      const taskData = montarTarefaObrigacao(obrigacao, ano, mes, feriados, responsavel);
       
       console.log(`📝 Criando tarefa "${obrigacao.titulo}" para responsável: ${responsavel.nome_completo} (${responsavel.uid})`);
-      console.log(`📅 Data de vencimento: ${dataVencimentoUtil.toLocaleDateString('pt-BR')}`);
+      console.log(`📅 Data de vencimento: ${new Date(taskData.dataVencimento).toLocaleDateString('pt-BR')}`);
       console.log(`🆔 Task ID: ${taskData.id}`);
       console.log(`👤 Responsável ID: ${taskData.responsavelId}`);
       
       try {
         await createTask(taskData);
-        console.log(`✅ ${obrigacao.titulo} - Vencimento: ${dataVencimentoUtil.toLocaleDateString('pt-BR')}`);
+        console.log(`✅ ${obrigacao.titulo} - Vencimento: ${new Date(taskData.dataVencimento).toLocaleDateString('pt-BR')}`);
         return taskData;
       } catch (error) {
         console.error(`❌ Erro ao criar tarefa "${obrigacao.titulo}": ${error.message}`);
@@ -1872,8 +1911,14 @@ async function criarTarefasMes(ano, mes, responsavelEmail = null, regimeTributar
       await salvarBackupTarefas(tarefasValidas, ano, mes);
     }
     
+    // Vincular as obrigações que dependem umas das outras (ex.: EFD-Reinf antes da DCTFWeb)
+    const dependenciasCriadas = await criarVinculos(vinculosObrigacoes(tarefasValidas));
+    
     console.log(`\n🎉 Concluído! ${tarefasValidas.length} tarefas criadas para ${mes}/${ano}`);
     console.log(`📧 Responsável: ${responsavel.nome_completo} (${responsavel.email})`);
+    if (dependenciasCriadas > 0) {
+      console.log(`🔗 Dependências entre obrigações: ${dependenciasCriadas}`);
+    }
     
     return {
       sucesso: true,
@@ -1881,6 +1926,7 @@ async function criarTarefasMes(ano, mes, responsavelEmail = null, regimeTributar
       ano,
       responsavel: responsavel.nome_completo,
       tarefasCriadas: tarefasValidas.length,
+      dependenciasCriadas,
       tarefas: tarefasValidas
     };
     
@@ -1893,6 +1939,163 @@ async function criarTarefasMes(ano, mes, responsavelEmail = null, regimeTributar
   }
 }
 
+/**
+ * Cria as tarefas de um mês para cada empresa cliente ativa, conforme o perfil de obrigações
+ * de cada uma. O responsável de cada tarefa vem da matriz de atribuição (empresa × categoria
+ * da obrigação, com o substituto durante ausências); sem atribuição, fica com o contador
+ * responsável pela empresa e, na falta dele, com o responsável padrão.
+ * Obrigações já geradas para a empresa no mesmo vencimento não são duplicadas. As tarefas criadas
+ * para cada empresa são vinculadas entre si conforme as dependências das obrigações.
+ * @param {number} ano - Ano das tarefas (ex.: 2025)
+ * @param {number} mes - Mês das tarefas (1 a 12)
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.responsavelEmail] - Responsável das empresas sem contador definido
+ * @param {string[]} [opcoes.empresaIds] - Limita a geração a estas empresas
+ * @returns {Promise<Object>} Resultado com tarefas criadas por empresa
+ */
+async function criarTarefasMesPorEmpresa(ano, mes, { responsavelEmail = null, empresaIds = null } = {}) {
+  try {
+    console.log(`\n=== Criando tarefas da Agenda Tributária por empresa - ${mes}/${ano} ===`);
+    
+    const anoAtual = new Date().getFullYear();
+    if (!ano || ano < 2000 || ano > anoAtual + 1) {
+      throw new Error(`Ano inválido: ${ano}. Deve estar entre 2000 e ${anoAtual + 1}.`);
+    }
+    if (!mes || mes < 1 || mes > 12) {
+      throw new Error(`Mês inválido: ${mes}. Deve estar entre 1 e 12.`);
+    }
+    
+    await atualizarObrigacoesTributarias();
+    const feriados = await buscarFeriados(ano);
+    
+    const obrigacoesMes = OBRIGACOES_TRIBUTARIAS.find(obj => obj.mes === mes);
+    if (!obrigacoesMes) {
+      throw new Error(`Mês ${mes} sem obrigações definidas`);
+    }
+    
+    let empresas = await listEmpresas({ ativo: true });
+    if (empresaIds) {
+      empresas = empresas.filter(empresa => empresaIds.includes(empresa.id));
+    }
+    if (empresas.length === 0) {
+      throw new Error('Nenhuma empresa cliente ativa para gerar a agenda');
+    }
+    
+    const ajustes = await listAjustesObrigacoes(empresas.map(empresa => empresa.id));
+    const atribuicoes = await listAtribuicoes(empresas.map(empresa => empresa.id));
+    const usuarios = await getAllUsers();
+    const usuariosPorId = new Map(usuarios.map(user => [user.uid, user]));
+    let responsavelPadrao = null;
+    
+    const resumoEmpresas = [];
+    const empresasIgnoradas = [];
+    const tarefasValidas = [];
+    let tarefasExistentes = 0;
+    let tarefasComSubstituto = 0;
+    let dependenciasCriadas = 0;
+    
+    for (const empresa of empresas) {
+      const nomeEmpresa = empresa.nome_fantasia || empresa.razao_social;
+      
+      if (!empresa.regime_tributario) {
+        console.log(`⚠️ ${nomeEmpresa}: sem regime tributário, empresa ignorada`);
+        empresasIgnoradas.push({ empresaId: empresa.id, empresa: nomeEmpresa, motivo: 'Regime tributário não definido' });
+        continue;
+      }
+      
+      let responsavel = empresa.responsavel_id && usuariosPorId.get(empresa.responsavel_id);
+      if (!responsavel) {
+        responsavelPadrao = responsavelPadrao || await resolverResponsavelPadrao(responsavelEmail);
+        responsavel = responsavelPadrao;
+      }
+      const atribuicoesEmpresa = new Map(
+        atribuicoes.filter(atribuicao => atribuicao.empresa_id === empresa.id)
+          .map(atribuicao => [atribuicao.categoria, atribuicao])
+      );
+      
+      const obrigacoes = obrigacoesDaEmpresa(
+        obrigacoesMes.obrigacoes,
+        empresa,
+        ajustes.filter(ajuste => ajuste.empresa_id === empresa.id)
+      );
+      
+      const tarefasEmpresa = [];
+      const responsaveis = new Set();
+      for (const obrigacao of obrigacoes) {
+        const taskData = montarTarefaObrigacao(obrigacao, ano, mes, feriados, responsavel, empresa.id);
+        const atribuicao = atribuicoesEmpresa.get(categoriaObrigacao(obrigacao));
+        const daMatriz = responsavelDaMatriz(atribuicao, taskData.dataVencimento, usuariosPorId);
+        if (daMatriz) {
+          taskData.responsavel = daMatriz.usuario.nome_completo;
+          taskData.responsavelId = daMatriz.usuario.uid;
+          if (daMatriz.origem === 'substituto') {
+            const titular = usuariosPorId.get(atribuicao.responsavel_id);
+            taskData.observacoes += titular
+              ? `\n👥 Substituindo ${titular.nome_completo} (ausente até ${new Date(`${titular.ausente_ate}T00:00:00`).toLocaleDateString('pt-BR')})`
+              : '\n👥 Atribuída ao substituto (responsável removido)';
+          }
+        }
+        
+        if (await checkTaskExistsForEmpresa(taskData.titulo, taskData.dataVencimento, empresa.id)) {
+          tarefasExistentes++;
+          continue;
+        }
+        
+        try {
+          await createTask(taskData);
+          tarefasEmpresa.push(taskData);
+          responsaveis.add(taskData.responsavel);
+          if (daMatriz && daMatriz.origem === 'substituto') tarefasComSubstituto++;
+        } catch (error) {
+          console.error(`❌ Erro ao criar tarefa "${obrigacao.titulo}" de ${nomeEmpresa}: ${error.message}`);
+        }
+      }
+      
+      tarefasValidas.push(...tarefasEmpresa);
+      dependenciasCriadas += await criarVinculos(vinculosObrigacoes(tarefasEmpresa));
+      
+      const criadas = tarefasEmpresa.length;
+      const nomesResponsaveis = responsaveis.size ? [...responsaveis].join(', ') : responsavel.nome_completo;
+      console.log(`✅ ${nomeEmpresa}: ${criadas} de ${obrigacoes.length} obrigações criadas para ${nomesResponsaveis}`);
+      resumoEmpresas.push({
+        empresaId: empresa.id,
+        empresa: nomeEmpresa,
+        responsavel: nomesResponsaveis,
+        obrigacoes: obrigacoes.length,
+        tarefasCriadas: criadas
+      });
+    }
+    
+    if (tarefasValidas.length > 0) {
+      await salvarBackupTarefas(tarefasValidas, ano, mes);
+    }
+    
+    console.log(`\n🎉 Concluído! ${tarefasValidas.length} tarefas criadas para ${resumoEmpresas.length} empresas em ${mes}/${ano}`);
+    
+    return {
+      sucesso: true,
+      mes,
+      ano,
+      porEmpresa: true,
+      responsavel: 'Responsáveis das empresas',
+      tarefasCriadas: tarefasValidas.length,
+      tarefasExistentes,
+      tarefasComSubstituto,
+      dependenciasCriadas,
+      empresas: resumoEmpresas,
+      empresasIgnoradas,
+      tarefas: tarefasValidas
+    };
+    
+  } catch (error) {
+    console.error(`❌ Erro ao criar tarefas por empresa para ${mes}/${ano}:`, error.message);
+    return {
+      sucesso: false,
+      erro: error.message
+    };
+  }
+}
+
 /**
  * Cria tarefas para múltiplos meses
  * @param {number} ano - Ano das tarefas
@@ -2114,6 +2317,15 @@ if (require.main === module) {
   });
 }
 
+/**
+ * Obrigações atuais (a lista é substituída quando atualizada via Receita Federal,
+ * então quem importa o módulo deve usar esta função em vez de OBRIGACOES_TRIBUTARIAS)
+ * @returns {Object[]} Obrigações por mês
+ */
+function listarObrigacoesTributarias() {
+  return OBRIGACOES_TRIBUTARIAS;
+}
+
 // Variável para armazenar dados atualizados da agenda tributária
 let AGENDA_TRIBUTARIA_COMPLETA = {};
 
@@ -2201,8 +2413,11 @@ async function criarTarefasComDadosAPI(ano, mes, responsavelEmail, filtros = {})
       throw new Error(`Nenhuma obrigação encontrada para o mês ${mes}`);
     }
     
-    // Chamar a função padrão de criação de tarefas
-    const resultado = await criarTarefasMes(ano, mes, responsavelEmail);
+    // Com filtros.porEmpresa, cada empresa cliente recebe as obrigações do seu perfil;
+    // sem ele, um único conjunto de obrigações é criado para o responsável informado
+    const resultado = filtros && filtros.porEmpresa
+      ? await criarTarefasMesPorEmpresa(ano, mes, { responsavelEmail, empresaIds: Array.isArray(filtros.empresaIds) ? filtros.empresaIds : null })
+      : await criarTarefasMes(ano, mes, responsavelEmail);
     
     return {
       ...resultado,
@@ -2233,10 +2448,14 @@ buscarAgendaTributariaAtualizada().then(resultado => {
 
 module.exports = {
   criarTarefasMes,
+  criarTarefasMesPorEmpresa,
   criarTarefasMultiplosMeses,
   criarTarefasAnoCompleto,
   atualizarObrigacoesTributarias,
   OBRIGACOES_TRIBUTARIAS,
+  listarObrigacoesTributarias,
+  // Feriados nacionais (também usados nas séries de tarefas recorrentes)
+  buscarFeriados,
   // Novas exportações para o sistema automatizado
   buscarAgendaTributariaAtualizada,
   criarTarefasComDadosAPI,
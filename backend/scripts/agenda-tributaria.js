@@ -3,6 +3,8 @@ const cheerio = require('cheerio');
 const fs = require('fs').promises;
 const path = require('path');
 const { createTask, getUserByEmail, getAllUsers } = require('../database');
+const { vinculosObrigacoes } = require('../services/agenda/dependenciasObrigacoes');
+const { criarVinculos } = require('../services/tasks/dependencias');
 const { v4: uuidv4 } = require('uuid');
 
 // URLs da Receita Federal para consulta (atualizadas para 2025)
@@ -1853,8 +1855,14 @@ async function criarTarefasMes(ano, mes, responsavelEmail = null, regimeTributar
       await salvarBackupTarefas(tarefasValidas, ano, mes);
     }
     
+    // Vincular as obrigações que dependem umas das outras (ex.: EFD-Reinf antes da DCTFWeb)
+    const dependenciasCriadas = await criarVinculos(vinculosObrigacoes(tarefasValidas));
+    
     console.log(`\n🎉 Concluído! ${tarefasValidas.length} tarefas criadas para ${mes}/${ano}`);
     console.log(`📧 Responsável: ${responsavel.nome_completo} (${responsavel.email})`);
+    if (dependenciasCriadas > 0) {
+      console.log(`🔗 Dependências entre obrigações: ${dependenciasCriadas}`);
+    }
     
     return {
       sucesso: true,
@@ -1862,6 +1870,7 @@ async function criarTarefasMes(ano, mes, responsavelEmail = null, regimeTributar
       ano,
       responsavel: responsavel.nome_completo,
       tarefasCriadas: tarefasValidas.length,
+      dependenciasCriadas,
       tarefas: tarefasValidas
     };
     
@@ -1,6 +1,5 @@
 const express = require("express");
 const cors = require("cors");
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
@@ -8,8 +7,15 @@ const { v4: uuidv4 } = require('uuid');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Atrás do proxy do Render: req.ip passa a ser o IP do cliente (X-Forwarded-For)
+app.set('trust proxy', 1);
+
 /** >>> CORS <<< **/
 const frontendUrl = (process.env.FRONTEND_URL || "https://calendario-de-obrigacoes.onrender.com").replace(/\/+$/, '');
+// Link do portal do cliente nos emails (lembretes de documentos pendentes)
+app.set('portalUrl', `${frontendUrl}/portal`);
+// Link para o sistema nos avisos de menção em comentários
+app.set('appUrl', frontendUrl);
 const allowedOrigins = [
   frontendUrl,
   "https://calendario-de-obrigacoes.onrender.com",
@@ -47,15 +53,41 @@ app.use((req, res, next) => {
 // Importar funções do SQLite
 const {
   // Arquivos
-  insertFile, getFilesByTaskId, getFileById, deleteFile, incrementDownloadCount, logFileActivity, deleteFileLogs, uploadsDir,
+  insertFile, getFilesByTaskId, getFileById, deleteFile, incrementDownloadCount, logFileActivity, deleteFileLogs,
   // Usuários
-  upsertUser, getUserByUid, getUserByEmail, getAllUsers, deleteUser,
+  upsertUser, updateUserPassword, getUserByUid, getUserByEmail, getAllUsers, deleteUser,
   // Tarefas
-  createTask, getTaskById, getAllTasks, getTasksByUser, updateTaskStatus, updateTask, deleteTask, checkTaskDependencies,
+  createTask, getTaskById, getTasksByUser, updateTask, deleteTask, checkTaskDependencies,
+  registrarTransicaoStatus, listHistoricoStatus,
+  // Tarefas recorrentes
+  getSerieById, listSeriesByIds, vincularTarefaSerie, setTaskExcecao,
   // Horas trabalhadas
   upsertHorasTrabalhadas, getHorasTrabalhadasByUserAndPeriod,
   // Logs
-  insertActivityLog, getActivityLog
+  insertActivityLog, getActivityLog,
+  // Redefinição de senha
+  createPasswordResetToken, getPasswordResetTokenByHash, markPasswordResetTokenUsed, invalidatePasswordResetTokensByUser,
+  countRecentPasswordResetRequests,
+  // Dois fatores
+  disableUserTotp, countRecoveryCodes,
+  // Convites
+  listPendingInvites, revokeInvite, markInviteAccepted,
+  // Sessões
+  getRefreshTokenById, listActiveRefreshTokensByUser, revokeRefreshToken, revokeRefreshTokensByUser,
+  // Tokens pessoais de API
+  listApiTokensByUser, revokeApiToken,
+  // Empresas (clientes)
+  getEmpresaById,
+  // Portal do cliente
+  listVinculosUsuarioEmpresas, setEmpresasDoUsuario,
+  // Solicitações de documentos ao cliente
+  listSolicitacoesByTaskIds,
+  // Checklist e modelos de tarefa
+  getResumoChecklistByTaskIds, getTarefaModeloById, aplicarModeloChecklist,
+  // Dependências entre tarefas
+  listDependenciasByTaskIds,
+  // Equipes
+  listEquipes, getEquipeById, createEquipe, updateEquipe, deleteEquipe, setEquipeMembros
 } = require('./database');
 
 // Importar script da agenda tributária
@@ -66,6 +98,14 @@ const { criarTarefasComDadosAPI, buscarAgendaTributariaAtualizada, AGENDA_TRIBUT
 
 // Importar rotas RPA Domínio
 const rpaRoutes = require('./routes/rpaRoutes');
+const empresasRoutes = require('./routes/empresasRoutes');
+const empresaCamposRoutes = require('./routes/empresaCamposRoutes');
+const atribuicoesRoutes = require('./routes/atribuicoesRoutes');
+const portalRoutes = require('./routes/portalRoutes');
+const solicitacoesRoutes = require('./routes/solicitacoesRoutes');
+const checklistRoutes = require('./routes/checklistRoutes');
+const dependenciasRoutes = require('./routes/dependenciasRoutes');
+const comentariosRoutes = require('./routes/comentariosRoutes');
 
 // Compat: aceita requests que chegaram como /api/:splat (rewrite errado no Static Site)
 app.use((req, res, next) => {
@@ -86,53 +126,48 @@ app.use((req, res, next) => {
   next();
 });
 
-// Função de autenticação simplificada usando apenas mock tokens
-const authenticateToken = async (req, res, next) => {
-  try {
-    console.log(`[AUTH] Authenticating request to ${req.method} ${req.path}`);
-    const authHeader = req.headers.authorization || '';
-    console.log(`[AUTH] Authorization header: ${authHeader ? 'Present' : 'Missing'}`);
-    
-    if (!authHeader.startsWith('Bearer ')) {
-      console.log('[AUTH] Token format invalid');
-      return res.status(401).json({ error: 'Token não fornecido ou formato inválido' });
-    }
-    const token = authHeader.slice(7);
-    console.log(`[AUTH] Token extracted: ${token.substring(0, 20)}...`);
-
-    // Verificar se é um token mock válido
-    if (token.startsWith('mock-token-')) {
-      console.log('[AUTH] Processing mock token');
-      const uid = token.substring('mock-token-'.length);
-      console.log(`[AUTH] Extracted UID from mock token: ${uid}`);
-
-      const userData = await getUserByUid(uid);
-      if (!userData) {
-        console.log(`[AUTH] User not found for UID: ${uid}`);
-        return res.status(401).json({ error: 'Usuário não encontrado' });
-      }
-
-      console.log(`[AUTH] User authenticated: ${userData.email} (${userData.cargo})`);
-      req.user = {
-        uid: userData.uid,
-        email: userData.email,
-        nomeCompleto: userData.nome_completo,
-        cargo: userData.cargo
-      };
-      return next();
-    }
-
-    // Token não reconhecido
-    console.log('[AUTH] Token format not recognized');
-    return res.status(401).json({ error: 'Formato de token inválido. Use mock-token-<UID> para autenticação.' });
-
-  } catch (err) {
-    console.error('[AUTH] Erro inesperado:', err);
-    return res.status(500).json({ error: 'Erro na autenticação: ' + err.message });
-  }
-};
-
-
+// Autenticação (access tokens assinados + refresh tokens revogáveis)
+const { authenticateToken, requirePermission, requireSession, userCan } = require('./middleware/auth');
+const { issueSession, refreshSession, revokeSession, generateToken, hashToken, signMfaToken, verifyMfaToken, TokenError } = require('./services/auth/tokens');
+const { hashPassword, verifyPassword } = require('./services/auth/passwords');
+const {
+  LOCKOUT_MINUTES, accountKey, checkLoginAllowed, registerLoginFailure, registerLoginSuccess, unlockAccount, getLockedAccountsMap
+} = require('./services/auth/loginThrottle');
+const {
+  isRegistrationOpen, setRegistrationOpen, normalizeEmail, sendInvitation, findValidInvite
+} = require('./services/auth/invitations');
+const {
+  getRequiredRoles, setRequiredRoles, isTwoFactorRequired, beginEnrollment, confirmEnrollment, issueRecoveryCodes, verifySecondFactor
+} = require('./services/auth/twoFactor');
+const { API_TOKEN_MAX_DAYS, listAvailableScopes, issueApiToken } = require('./services/auth/apiTokens');
+const { listVisibleTasks, canViewTask, canAssignTo } = require('./services/tasks/visibility');
+const { createTaskUpload } = require('./services/files/uploads');
+const { agruparPorTarefa, resumoSolicitacoes } = require('./services/solicitacoes/solicitacoes');
+const { iniciarLembretesSolicitacoes } = require('./services/solicitacoes/lembretes');
+const { dataValida, descreverRegra, parseRegra } = require('./services/tasks/recorrencia');
+const { transicoesPermitidas, validarTransicao } = require('./services/tasks/status');
+const { toResumoChecklist } = require('./services/tasks/checklist');
+const { agruparDependencias, dependenciasDaTarefa, adiarSucessoras } = require('./services/tasks/dependencias');
+const { anexoDisponivel } = require('./services/tasks/comentarios');
+const {
+  somarDias, materializarSerie, garantirProximaOcorrencia, criarSerie, editarProximasOcorrencias, encerrarSerieEm,
+  iniciarAgendadorRecorrencias
+} = require('./services/tasks/series');
+const { PERMISSIONS, DEFAULT_ROLE, normalizeRole, isValidRole, getRolePermissions, hasPermission, listRoles } = require('./services/auth/permissions');
+
+// Envio de emails
+const { sendMail } = require('./services/mail/mailer');
+const { passwordResetEmail } = require('./services/mail/templates');
+
+// Dados do usuário devolvidos ao frontend após login/cadastro/refresh
+const toUserResponse = (userData) => ({
+  uid: userData.uid,
+  email: userData.email,
+  nomeCompleto: userData.nome_completo,
+  cargo: normalizeRole(userData.cargo),
+  permissions: getRolePermissions(userData.cargo),
+  twoFactorEnabled: Boolean(userData.totp_enabled),
+});
 
 // Endpoint de health check
 app.get('/api/health', (req, res) => {
@@ -154,6 +189,45 @@ app.get("/api/debug/user", authenticateToken, async (req, res) => {
   }
 });
 
+// Dados atualizados do usuário logado (cargo e permissões)
+app.get("/api/me", authenticateToken, async (req, res) => {
+  try {
+    const userData = await getUserByUid(req.user.uid);
+    res.status(200).json({ user: toUserResponse(userData) });
+  } catch (error) {
+    console.error("Erro ao buscar usuário logado:", error.message);
+    res.status(500).json({ error: "Erro ao buscar usuário: " + error.message });
+  }
+});
+
+// Hash usado quando o email não existe, para que a resposta leve o mesmo tempo
+const dummyPasswordHash = hashPassword(generateToken(16));
+
+const rejectLockedLogin = (res, retryAfterSeconds) => {
+  const minutes = Math.ceil(retryAfterSeconds / 60);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: `Muitas tentativas de login. Tente novamente em ${minutes} minuto${minutes > 1 ? 's' : ''}.`,
+    code: 'LOGIN_LOCKED',
+    retryAfter: retryAfterSeconds
+  });
+};
+
+// Conta a falha e, se ela bloqueou a conta, registra no log de atividades
+const handleLoginFailure = async (email, req, userData) => {
+  const { accountLocked, failures } = await registerLoginFailure(email, req.ip);
+  if (accountLocked && userData) {
+    console.warn(`[LOGIN] Conta ${userData.email} bloqueada após ${failures} tentativas inválidas (IP ${req.ip})`);
+    await insertActivityLog({
+      userId: userData.uid,
+      userEmail: userData.email,
+      action: 'account_locked',
+      taskId: null,
+      taskTitle: `Bloqueio de ${LOCKOUT_MINUTES} min após ${failures} tentativas de login inválidas`
+    });
+  }
+};
+
 // Endpoint de login
 app.post("/api/login", async (req, res) => {
   try {
@@ -164,34 +238,47 @@ app.post("/api/login", async (req, res) => {
       console.log('[LOGIN] Dados faltando - email:', !!email, 'password:', !!password);
       return res.status(400).json({ error: "Email e senha são obrigatórios" });
     }
+
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      console.log('[LOGIN] Tentativa bloqueada para:', email, 'IP:', req.ip);
+      return rejectLockedLogin(res, throttle.retryAfterSeconds);
+    }
     
     // Buscar usuário no SQLite
     const userData = await getUserByEmail(email);
     console.log('[LOGIN] Dados do usuário encontrados:', !!userData);
-    
-    if (!userData) {
-      console.log('[LOGIN] Usuário não encontrado para email:', email);
-      return res.status(401).json({ error: "Email não encontrado" });
+
+    // Mesma mensagem para email inexistente e senha errada (não revela quais emails existem)
+    const { valid, needsRehash } = await verifyPassword(password, userData ? userData.password : await dummyPasswordHash);
+    if (!userData || !valid) {
+      console.log('[LOGIN] Credenciais inválidas para:', email);
+      await handleLoginFailure(email, req, userData);
+      return res.status(401).json({ error: "Email ou senha inválidos", code: 'LOGIN_INVALID' });
     }
 
-    // Verificar senha (simplificado para desenvolvimento)
-    if (password !== userData.password && password !== "senha123") {
-      console.log('[LOGIN] Senha incorreta para usuário:', email);
-      return res.status(401).json({ error: "Senha incorreta" });
+    // Senhas legadas em texto plano (ou com parâmetros antigos) são regravadas com hash
+    if (needsRehash) {
+      await updateUserPassword(userData.uid, password);
+      console.log('[LOGIN] Senha atualizada para hash para usuário:', email);
     }
 
-    const token = "mock-token-" + userData.uid;
-    const user = {
-      uid: userData.uid,
-      email: userData.email,
-      nomeCompleto: userData.nome_completo,
-      cargo: userData.cargo || "usuario",
-    };
+    // Com 2FA ativo (ou exigido pelo cargo) a sessão só é aberta em /api/login/2fa
+    if (userData.totp_enabled) {
+      console.log('[LOGIN] Senha correta, aguardando segundo fator para:', email);
+      return res.status(200).json({ mfaRequired: true, mfaToken: signMfaToken(userData) });
+    }
+    if (await isTwoFactorRequired(userData)) {
+      console.log('[LOGIN] Cargo exige 2FA, aguardando cadastro do autenticador para:', email);
+      return res.status(200).json({ mfaSetupRequired: true, mfaToken: signMfaToken(userData) });
+    }
+
+    await registerLoginSuccess(email);
+    const session = await issueSession(userData, req);
+    const user = toUserResponse(userData);
 
     console.log('[LOGIN] Login bem-sucedido para:', email, 'com cargo:', user.cargo);
-    console.log('[LOGIN] Token gerado:', token);
-    console.log('[LOGIN] Dados do usuário enviados:', user);
-    res.status(200).json({ token, user });
+    res.status(200).json({ ...session, user });
   } catch (error) {
     console.error("[LOGIN] Erro no login:", error.message);
     console.error("[LOGIN] Stack trace:", error.stack);
@@ -199,11 +286,106 @@ app.post("/api/login", async (req, res) => {
   }
 });
 
+// Usuário da etapa de 2FA a partir do token temporário emitido em /api/login
+const getMfaUser = async (mfaToken) => {
+  const claims = verifyMfaToken(mfaToken);
+  const userData = await getUserByUid(claims.sub);
+  if (!userData) {
+    throw new TokenError('Etapa de verificação expirada. Faça login novamente.', 'MFA_INVALID');
+  }
+  return userData;
+};
+
+// Segunda etapa do login: código do autenticador ou código de recuperação.
+// Se o cargo exige 2FA e o usuário ainda não tinha cadastrado, o código confirma o cadastro.
+app.post("/api/login/2fa", async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+    const userData = await getMfaUser(mfaToken);
+
+    const throttle = await checkLoginAllowed(userData.email, req.ip);
+    if (!throttle.allowed) {
+      return rejectLockedLogin(res, throttle.retryAfterSeconds);
+    }
+
+    let recoveryCodes;
+    if (userData.totp_enabled) {
+      const method = await verifySecondFactor(userData, { code, recoveryCode });
+      if (!method) {
+        console.log('[LOGIN-2FA] Código inválido para:', userData.email);
+        await handleLoginFailure(userData.email, req, userData);
+        return res.status(401).json({ error: "Código de verificação inválido", code: 'MFA_CODE_INVALID' });
+      }
+      if (method === 'recovery') {
+        console.log('[LOGIN-2FA] Código de recuperação usado por:', userData.email);
+      }
+    } else {
+      recoveryCodes = await confirmEnrollment(userData, code);
+      if (!recoveryCodes) {
+        await handleLoginFailure(userData.email, req, userData);
+        return res.status(401).json({ error: "Código de verificação inválido", code: 'MFA_CODE_INVALID' });
+      }
+      console.log('[LOGIN-2FA] Autenticador cadastrado durante o login por:', userData.email);
+    }
+
+    await registerLoginSuccess(userData.email);
+    const session = await issueSession(userData, req);
+    const user = toUserResponse({ ...userData, totp_enabled: 1 });
+
+    console.log('[LOGIN-2FA] Login bem-sucedido para:', userData.email);
+    res.status(200).json({ ...session, user, ...(recoveryCodes && { recoveryCodes }) });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error("[LOGIN-2FA] Erro na verificação:", error.message);
+    res.status(500).json({ error: "Erro interno no servidor" });
+  }
+});
+
+// Cadastro do autenticador durante o login (cargo exige 2FA e o usuário ainda não ativou)
+app.post("/api/login/2fa/setup", async (req, res) => {
+  try {
+    const { mfaToken } = req.body || {};
+    const userData = await getMfaUser(mfaToken);
+
+    if (userData.totp_enabled) {
+      return res.status(400).json({ error: "A verificação em duas etapas já está ativa" });
+    }
+
+    res.status(200).json(await beginEnrollment(userData));
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error("[LOGIN-2FA] Erro ao iniciar cadastro do autenticador:", error.message);
+    res.status(500).json({ error: "Erro interno no servidor" });
+  }
+});
+
+// Endpoint público: informa se o autocadastro está aberto (tela de login/cadastro)
+app.get("/api/cadastro/config", async (req, res) => {
+  try {
+    res.status(200).json({ cadastroAberto: await isRegistrationOpen() });
+  } catch (error) {
+    console.error("Erro ao buscar configuração de cadastro:", error.message);
+    res.status(500).json({ error: "Erro ao buscar configuração de cadastro" });
+  }
+});
+
 // Endpoint de cadastro
 app.post("/api/cadastro", async (req, res) => {
   try {
-    const { nomeCompleto, email, password, cargo = "usuario" } = req.body;
-    console.log("Dados recebidos:", { nomeCompleto, email, password, cargo });
+    if (!await isRegistrationOpen()) {
+      return res.status(403).json({
+        error: "O cadastro está fechado. Solicite um convite ao administrador.",
+        code: 'REGISTRATION_CLOSED'
+      });
+    }
+
+    // O cargo nunca vem do corpo da requisição: autocadastro recebe sempre o cargo padrão
+    const { nomeCompleto, email, password } = req.body;
+    console.log("Dados recebidos:", { nomeCompleto, email });
     if (!nomeCompleto || !email || !password) {
       return res.status(400).json({ error: "Nome completo, email e senha são obrigatórios" });
     }
@@ -220,23 +402,215 @@ app.post("/api/cadastro", async (req, res) => {
       nomeCompleto,
       email,
       password,
-      cargo: ["admin", "usuario"].includes(cargo) ? cargo : "usuario",
+      cargo: DEFAULT_ROLE,
     };
     
     // Salvar no SQLite
     await upsertUser(userData);
-    
-    const token = `mock-token-${uid}`;
+
+    // Cargo que exige 2FA: a sessão só é aberta pelo login, após cadastrar o autenticador
+    if (await isTwoFactorRequired(userData)) {
+      console.log('Usuário cadastrado com sucesso (login com 2FA pendente):', email);
+      return res.status(201).json({ mfaSetupRequired: true, user: toUserResponse({ uid, email, nome_completo: nomeCompleto, cargo: userData.cargo }) });
+    }
+
+    const session = await issueSession({ uid, email }, req);
     console.log('Usuário cadastrado com sucesso:', email);
-    res.status(201).json({ token, user: { uid, email, nomeCompleto, cargo: userData.cargo } });
+    res.status(201).json({ ...session, user: toUserResponse({ uid, email, nome_completo: nomeCompleto, cargo: userData.cargo }) });
   } catch (error) {
     console.error("Erro no cadastro:", error.stack);
     res.status(500).json({ error: "Erro ao cadastrar: " + error.message });
   }
 });
 
+// Endpoint público: dados do convite (tela de aceite)
+app.get("/api/convites/:token", async (req, res) => {
+  try {
+    const invite = await findValidInvite(req.params.token);
+    if (!invite) {
+      return res.status(400).json({ error: "Convite inválido ou expirado" });
+    }
+
+    res.status(200).json({
+      email: invite.email,
+      nomeCompleto: invite.nome_completo,
+      cargo: normalizeRole(invite.cargo),
+      cargoLabel: listRoles().find((r) => r.id === normalizeRole(invite.cargo))?.label
+    });
+  } catch (error) {
+    console.error("[CONVITE] Erro ao verificar convite:", error.message);
+    res.status(500).json({ error: "Erro ao verificar convite" });
+  }
+});
+
+// Endpoint público: aceitar convite criando a conta com a senha escolhida
+app.post("/api/convites/:token", async (req, res) => {
+  try {
+    const { nomeCompleto, password } = req.body || {};
+
+    if (!nomeCompleto || !password) {
+      return res.status(400).json({ error: "Nome completo e senha são obrigatórios" });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ error: "A senha deve ter pelo menos 6 caracteres" });
+    }
+
+    const invite = await findValidInvite(req.params.token);
+    if (!invite) {
+      return res.status(400).json({ error: "Convite inválido ou expirado" });
+    }
+
+    if (await getUserByEmail(invite.email)) {
+      await revokeInvite(invite.id);
+      return res.status(400).json({ error: "Já existe uma conta com este email. Faça login." });
+    }
+
+    const uid = uuidv4();
+    await upsertUser({ uid, nomeCompleto, email: invite.email, password, cargo: invite.cargo });
+
+    // Aceite simultâneo do mesmo link: só o primeiro vale (o email único já impede a segunda conta)
+    const { acceptedRows } = await markInviteAccepted(invite.id, uid);
+    if (!acceptedRows) {
+      await deleteUser(uid);
+      return res.status(400).json({ error: "Convite inválido ou expirado" });
+    }
+
+    console.log('[CONVITE] Convite aceito por:', invite.email, 'com cargo:', invite.cargo);
+    res.status(201).json({ message: "Conta criada com sucesso. Faça login para continuar.", email: invite.email });
+  } catch (error) {
+    console.error("[CONVITE] Erro ao aceitar convite:", error.message);
+    res.status(500).json({ error: "Erro ao aceitar convite: " + error.message });
+  }
+});
+
+// Endpoint para renovar o access token a partir do refresh token
+app.post("/api/token/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const { userData, ...session } = await refreshSession(refreshToken);
+    res.status(200).json({ ...session, user: toUserResponse(userData) });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error("[REFRESH] Erro ao renovar token:", error.message);
+    res.status(500).json({ error: "Erro ao renovar sessão: " + error.message });
+  }
+});
+
+// Endpoint de logout (revoga o refresh token da sessão)
+app.post("/api/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    await revokeSession(refreshToken);
+    res.status(200).json({ message: "Sessão encerrada" });
+  } catch (error) {
+    console.error("[LOGOUT] Erro ao encerrar sessão:", error.message);
+    res.status(500).json({ error: "Erro ao encerrar sessão: " + error.message });
+  }
+});
+
+// Situação do 2FA do usuário logado
+app.get("/api/2fa", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const userData = await getUserByUid(req.user.uid);
+    res.status(200).json({
+      enabled: Boolean(userData.totp_enabled),
+      required: await isTwoFactorRequired(userData),
+      recoveryCodesRemaining: userData.totp_enabled ? await countRecoveryCodes(userData.uid) : 0
+    });
+  } catch (error) {
+    console.error("[2FA] Erro ao buscar situação:", error.message);
+    res.status(500).json({ error: "Erro ao buscar verificação em duas etapas: " + error.message });
+  }
+});
+
+// Inicia o cadastro do autenticador (gera segredo e URL para o QR code)
+app.post("/api/2fa/setup", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const userData = await getUserByUid(req.user.uid);
+    if (userData.totp_enabled) {
+      return res.status(400).json({ error: "A verificação em duas etapas já está ativa" });
+    }
+    res.status(200).json(await beginEnrollment(userData));
+  } catch (error) {
+    console.error("[2FA] Erro ao iniciar cadastro:", error.message);
+    res.status(500).json({ error: "Erro ao iniciar verificação em duas etapas: " + error.message });
+  }
+});
+
+// Confirma o cadastro com o primeiro código e devolve os códigos de recuperação
+app.post("/api/2fa/enable", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const userData = await getUserByUid(req.user.uid);
+    if (userData.totp_enabled) {
+      return res.status(400).json({ error: "A verificação em duas etapas já está ativa" });
+    }
+
+    const recoveryCodes = await confirmEnrollment(userData, req.body?.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: "Código de verificação inválido", code: 'MFA_CODE_INVALID' });
+    }
+
+    console.log('[2FA] Verificação em duas etapas ativada para:', userData.email);
+    res.status(200).json({ message: "Verificação em duas etapas ativada", recoveryCodes });
+  } catch (error) {
+    console.error("[2FA] Erro ao ativar:", error.message);
+    res.status(500).json({ error: "Erro ao ativar verificação em duas etapas: " + error.message });
+  }
+});
+
+// Desativa o 2FA (exige senha e código; bloqueado quando o cargo exige 2FA)
+app.post("/api/2fa/disable", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const userData = await getUserByUid(req.user.uid);
+
+    if (!userData.totp_enabled) {
+      return res.status(400).json({ error: "A verificação em duas etapas não está ativa" });
+    }
+    if (await isTwoFactorRequired(userData)) {
+      return res.status(400).json({ error: "Seu cargo exige verificação em duas etapas" });
+    }
+
+    const { valid } = await verifyPassword(password || '', userData.password);
+    if (!valid) {
+      return res.status(400).json({ error: "Senha incorreta" });
+    }
+    if (!await verifySecondFactor(userData, { code, recoveryCode })) {
+      return res.status(400).json({ error: "Código de verificação inválido", code: 'MFA_CODE_INVALID' });
+    }
+
+    await disableUserTotp(userData.uid);
+    console.log('[2FA] Verificação em duas etapas desativada por:', userData.email);
+    res.status(200).json({ message: "Verificação em duas etapas desativada" });
+  } catch (error) {
+    console.error("[2FA] Erro ao desativar:", error.message);
+    res.status(500).json({ error: "Erro ao desativar verificação em duas etapas: " + error.message });
+  }
+});
+
+// Gera novos códigos de recuperação (os anteriores deixam de valer)
+app.post("/api/2fa/recovery-codes", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const userData = await getUserByUid(req.user.uid);
+    if (!userData.totp_enabled) {
+      return res.status(400).json({ error: "A verificação em duas etapas não está ativa" });
+    }
+    if (!await verifySecondFactor(userData, { code: req.body?.code })) {
+      return res.status(400).json({ error: "Código de verificação inválido", code: 'MFA_CODE_INVALID' });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(userData.uid);
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    console.error("[2FA] Erro ao gerar códigos de recuperação:", error.message);
+    res.status(500).json({ error: "Erro ao gerar códigos de recuperação: " + error.message });
+  }
+});
+
 // Endpoint para buscar todos os usuários cadastrados
-app.get("/api/usuarios", authenticateToken, async (req, res) => {
+app.get("/api/usuarios", authenticateToken, requirePermission('users.view'), async (req, res) => {
   try {
     console.log('Requisição GET /api/usuarios recebida para UID:', req.user.uid);
     
@@ -248,95 +622,537 @@ app.get("/api/usuarios", authenticateToken, async (req, res) => {
       return {
         id: user.uid,
         nome: user.nome_completo || user.email?.split('@')[0] || 'Usuário',
-        tipo: user.cargo || "usuario"
+        tipo: normalizeRole(user.cargo)
       };
     });
 
     console.log('Usuários encontrados no SQLite:', usuarios.length);
     res.status(200).json(usuarios);
   } catch (error) {
-    console.error("Erro ao buscar usuários:", error.message);
-    res.status(500).json({ error: "Erro ao buscar usuários: " + error.message });
+    console.error("Erro ao buscar usuários:", error.message);
+    res.status(500).json({ error: "Erro ao buscar usuários: " + error.message });
+  }
+});
+
+// Endpoint para atualizar usuário
+app.put("/api/usuarios/:id", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, tipo } = req.body;
+    
+    console.log('Requisição PUT /api/usuarios recebida:', { id, nome, tipo });
+    
+    if (tipo && !isValidRole(tipo)) {
+      return res.status(400).json({ error: "Cargo inválido" });
+    }
+    
+    // Não permitir que o usuário retire de si mesmo a gestão de usuários
+    if (id === req.user.uid && tipo && !hasPermission(tipo, 'users.manage')) {
+      return res.status(400).json({ error: "Você não pode remover seu próprio acesso de administrador" });
+    }
+    
+    // Buscar usuário que será editado
+    const targetUser = await getUserByUid(id);
+    if (!targetUser) {
+      return res.status(404).json({ error: "Usuário não encontrado" });
+    }
+    
+    // Atualizar usuário
+    const updatedData = {
+      uid: targetUser.uid,
+      nomeCompleto: nome || targetUser.nome_completo,
+      email: targetUser.email,
+      cargo: tipo || targetUser.cargo
+    };
+    
+    await upsertUser(updatedData);
+    
+    console.log('Usuário atualizado com sucesso:', id);
+    res.status(200).json({ message: "Usuário atualizado com sucesso" });
+  } catch (error) {
+    console.error("Erro ao atualizar usuário:", error.message);
+    res.status(500).json({ error: "Erro ao atualizar usuário: " + error.message });
+  }
+});
+
+// Sessão (refresh token) no formato exibido nas telas de perfil e administração
+const toSessionResponse = (session, currentSessionId = null) => ({
+  id: session.id,
+  userAgent: session.user_agent,
+  ip: session.ip,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at,
+  current: session.id === currentSessionId
+});
+
+// Sessões ativas do usuário logado
+app.get("/api/sessions", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const sessions = await listActiveRefreshTokensByUser(req.user.uid, new Date().toISOString());
+    res.status(200).json(sessions.map((session) => toSessionResponse(session, req.user.sessionId)));
+  } catch (error) {
+    console.error("[SESSIONS] Erro ao listar sessões:", error.message);
+    res.status(500).json({ error: "Erro ao listar sessões: " + error.message });
+  }
+});
+
+// Encerra todas as outras sessões do usuário logado (a atual continua ativa)
+app.delete("/api/sessions", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { revokedRows } = await revokeRefreshTokensByUser(req.user.uid, req.user.sessionId);
+    res.status(200).json({ message: `${revokedRows} sessões encerradas`, revoked: revokedRows });
+  } catch (error) {
+    console.error("[SESSIONS] Erro ao encerrar sessões:", error.message);
+    res.status(500).json({ error: "Erro ao encerrar sessões: " + error.message });
+  }
+});
+
+// Encerra uma sessão do usuário logado
+app.delete("/api/sessions/:id", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const session = await getRefreshTokenById(req.params.id);
+    if (!session || session.user_id !== req.user.uid) {
+      return res.status(404).json({ error: "Sessão não encontrada" });
+    }
+
+    await revokeRefreshToken(session.id);
+    res.status(200).json({ message: "Sessão encerrada" });
+  } catch (error) {
+    console.error("[SESSIONS] Erro ao encerrar sessão:", error.message);
+    res.status(500).json({ error: "Erro ao encerrar sessão: " + error.message });
+  }
+});
+
+// Tokens pessoais de API (scripts e integrações), geridos apenas com login interativo
+const toApiTokenResponse = (apiToken) => ({
+  id: apiToken.id,
+  nome: apiToken.nome,
+  prefix: apiToken.token_prefix,
+  scopes: apiToken.scopes,
+  createdAt: apiToken.created_at,
+  expiresAt: apiToken.expires_at,
+  lastUsedAt: apiToken.last_used_at,
+  lastUsedIp: apiToken.last_used_ip,
+  expired: new Date(apiToken.expires_at) <= new Date()
+});
+
+app.get("/api/tokens", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const tokens = await listApiTokensByUser(req.user.uid);
+    res.status(200).json({
+      tokens: tokens.map(toApiTokenResponse),
+      escopos: listAvailableScopes(req.user.cargo),
+      validadeMaximaDias: API_TOKEN_MAX_DAYS
+    });
+  } catch (error) {
+    console.error("[API TOKENS] Erro ao listar tokens:", error.message);
+    res.status(500).json({ error: "Erro ao listar tokens: " + error.message });
+  }
+});
+
+app.post("/api/tokens", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const nome = String(req.body.nome || '').trim();
+    const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes)] : null;
+    const expiresInDays = parseInt(req.body.expiresInDays, 10);
+
+    if (!nome || nome.length > 100) {
+      return res.status(400).json({ error: "Informe um nome para o token (até 100 caracteres)" });
+    }
+    if (!scopes) {
+      return res.status(400).json({ error: "Escopos inválidos" });
+    }
+    const notAllowed = scopes.find((scope) => !req.user.permissions.includes(scope));
+    if (notAllowed) {
+      return res.status(400).json({ error: `Seu cargo não possui a permissão ${notAllowed}` });
+    }
+    if (!expiresInDays || expiresInDays < 1 || expiresInDays > API_TOKEN_MAX_DAYS) {
+      return res.status(400).json({ error: `A validade deve ser entre 1 e ${API_TOKEN_MAX_DAYS} dias` });
+    }
+
+    const { token, record } = await issueApiToken({
+      userData: { uid: req.user.uid },
+      nome,
+      scopes,
+      expiresInDays
+    });
+
+    console.log(`[API TOKENS] Token "${nome}" criado por ${req.user.email} com escopos: ${scopes.join(', ') || '(nenhum)'}`);
+    res.status(201).json({
+      token,
+      apiToken: toApiTokenResponse({
+        id: record.id,
+        nome: record.nome,
+        token_prefix: record.tokenPrefix,
+        scopes: record.scopes,
+        created_at: new Date().toISOString(),
+        expires_at: record.expiresAt,
+        last_used_at: null,
+        last_used_ip: null
+      })
+    });
+  } catch (error) {
+    console.error("[API TOKENS] Erro ao criar token:", error.message);
+    res.status(500).json({ error: "Erro ao criar token: " + error.message });
+  }
+});
+
+app.delete("/api/tokens/:id", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { revokedRows } = await revokeApiToken(req.params.id, req.user.uid);
+    if (!revokedRows) {
+      return res.status(404).json({ error: "Token não encontrado" });
+    }
+
+    console.log(`[API TOKENS] Token ${req.params.id} revogado por ${req.user.email}`);
+    res.status(200).json({ message: "Token revogado" });
+  } catch (error) {
+    console.error("[API TOKENS] Erro ao revogar token:", error.message);
+    res.status(500).json({ error: "Erro ao revogar token: " + error.message });
+  }
+});
+
+// Endpoint de admin para listar todos os usuários com detalhes completos
+app.get("/api/admin/usuarios", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const users = await getAllUsers();
+    const lockedAccounts = await getLockedAccountsMap();
+    const vinculos = await listVinculosUsuarioEmpresas();
+    
+    const usuarios = users.map(user => ({
+      uid: user.uid,
+      nomeCompleto: user.nome_completo,
+      email: user.email,
+      cargo: normalizeRole(user.cargo),
+      twoFactorEnabled: Boolean(user.totp_enabled),
+      lockedUntil: lockedAccounts.get(accountKey(user.email)) || null,
+      empresas: vinculos.filter(v => v.user_id === user.uid).map(v => v.empresa_id),
+      createdAt: user.created_at,
+      updatedAt: user.updated_at
+    }));
+    
+    res.status(200).json(usuarios);
+  } catch (error) {
+    console.error("Erro ao buscar usuários:", error.message);
+    res.status(500).json({ error: "Erro ao buscar usuários: " + error.message });
+  }
+});
+
+// Endpoint de admin para listar cargos e permissões disponíveis
+app.get("/api/admin/cargos", authenticateToken, requirePermission('users.manage'), (req, res) => {
+  res.status(200).json({ cargos: listRoles(), permissoes: PERMISSIONS });
+});
+
+// Equipes: definem quais tarefas cada usuário enxerga (ver services/tasks/visibility.js)
+const toEquipeResponse = (equipe) => ({
+  id: equipe.id,
+  nome: equipe.nome,
+  supervisorId: equipe.supervisor_id,
+  supervisorNome: equipe.supervisor_nome || null,
+  membros: equipe.membros || []
+});
+
+// Valida nome, supervisor e membros enviados pela tela de administração
+async function parseEquipeBody(body) {
+  const nome = String(body.nome || '').trim();
+  if (!nome || nome.length > 100) {
+    return { error: "Informe o nome da equipe (até 100 caracteres)" };
+  }
+
+  const supervisorId = body.supervisorId || null;
+  if (supervisorId && !await getUserByUid(supervisorId)) {
+    return { error: "Supervisor não encontrado" };
+  }
+
+  const membros = Array.isArray(body.membros) ? [...new Set(body.membros)] : [];
+  for (const membroId of membros) {
+    if (!await getUserByUid(membroId)) {
+      return { error: `Usuário ${membroId} não encontrado` };
+    }
+  }
+
+  return { nome, supervisorId, membros };
+}
+
+const isUniqueError = (error) => /UNIQUE constraint failed/.test(error.message);
+
+app.get("/api/admin/equipes", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const equipes = await listEquipes();
+    res.status(200).json(equipes.map(toEquipeResponse));
+  } catch (error) {
+    console.error("[EQUIPES] Erro ao listar equipes:", error.message);
+    res.status(500).json({ error: "Erro ao listar equipes: " + error.message });
+  }
+});
+
+app.post("/api/admin/equipes", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const parsed = await parseEquipeBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const equipe = await createEquipe({ id: uuidv4(), nome: parsed.nome, supervisorId: parsed.supervisorId });
+    await setEquipeMembros(equipe.id, parsed.membros);
+
+    console.log(`[EQUIPES] Equipe "${parsed.nome}" criada por ${req.user.email}`);
+    res.status(201).json({ message: "Equipe criada com sucesso", id: equipe.id });
+  } catch (error) {
+    if (isUniqueError(error)) {
+      return res.status(409).json({ error: "Já existe uma equipe com este nome" });
+    }
+    console.error("[EQUIPES] Erro ao criar equipe:", error.message);
+    res.status(500).json({ error: "Erro ao criar equipe: " + error.message });
+  }
+});
+
+app.put("/api/admin/equipes/:id", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (!await getEquipeById(req.params.id)) {
+      return res.status(404).json({ error: "Equipe não encontrada" });
+    }
+
+    const parsed = await parseEquipeBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    await updateEquipe(req.params.id, { nome: parsed.nome, supervisorId: parsed.supervisorId });
+    await setEquipeMembros(req.params.id, parsed.membros);
+
+    console.log(`[EQUIPES] Equipe "${parsed.nome}" atualizada por ${req.user.email}`);
+    res.status(200).json({ message: "Equipe atualizada com sucesso" });
+  } catch (error) {
+    if (isUniqueError(error)) {
+      return res.status(409).json({ error: "Já existe uma equipe com este nome" });
+    }
+    console.error("[EQUIPES] Erro ao atualizar equipe:", error.message);
+    res.status(500).json({ error: "Erro ao atualizar equipe: " + error.message });
+  }
+});
+
+app.delete("/api/admin/equipes/:id", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { deletedRows } = await deleteEquipe(req.params.id);
+    if (!deletedRows) {
+      return res.status(404).json({ error: "Equipe não encontrada" });
+    }
+
+    console.log(`[EQUIPES] Equipe ${req.params.id} excluída por ${req.user.email}`);
+    res.status(200).json({ message: "Equipe excluída com sucesso" });
+  } catch (error) {
+    console.error("[EQUIPES] Erro ao excluir equipe:", error.message);
+    res.status(500).json({ error: "Erro ao excluir equipe: " + error.message });
+  }
+});
+
+// Endpoint de admin para consultar os cargos que exigem 2FA
+app.get("/api/admin/configuracoes/2fa", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    res.status(200).json({ cargos: await getRequiredRoles() });
+  } catch (error) {
+    console.error("Erro ao buscar configuração de 2FA:", error.message);
+    res.status(500).json({ error: "Erro ao buscar configuração: " + error.message });
+  }
+});
+
+// Endpoint de admin para definir os cargos que exigem 2FA
+app.put("/api/admin/configuracoes/2fa", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { cargos } = req.body || {};
+
+    if (!Array.isArray(cargos) || cargos.some((cargo) => !isValidRole(cargo))) {
+      return res.status(400).json({ error: `Cargos inválidos. Use: ${listRoles().map(r => r.id).join(', ')}` });
+    }
+
+    const saved = await setRequiredRoles(cargos, req.user.uid);
+    console.log('[2FA] Cargos que exigem 2FA atualizados por', req.user.email, ':', saved);
+    res.status(200).json({ message: "Configuração atualizada com sucesso", cargos: saved });
+  } catch (error) {
+    console.error("Erro ao atualizar configuração de 2FA:", error.message);
+    res.status(500).json({ error: "Erro ao atualizar configuração: " + error.message });
+  }
+});
+
+// Endpoint de admin para redefinir o 2FA de um usuário (ex.: perdeu o celular e os códigos)
+app.delete("/api/admin/usuarios/:id/2fa", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const targetUser = await getUserByUid(req.params.id);
+    if (!targetUser) {
+      return res.status(404).json({ error: "Usuário não encontrado" });
+    }
+
+    await disableUserTotp(targetUser.uid);
+    console.log('[2FA] Verificação em duas etapas redefinida por', req.user.email, 'para:', targetUser.email);
+    res.status(200).json({ message: "Verificação em duas etapas redefinida" });
+  } catch (error) {
+    console.error("Erro ao redefinir 2FA:", error.message);
+    res.status(500).json({ error: "Erro ao redefinir verificação em duas etapas: " + error.message });
+  }
+});
+
+// Endpoint de admin para desbloquear uma conta bloqueada por tentativas de login
+app.post("/api/admin/usuarios/:id/desbloquear", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const targetUser = await getUserByUid(req.params.id);
+    if (!targetUser) {
+      return res.status(404).json({ error: "Usuário não encontrado" });
+    }
+
+    await unlockAccount(targetUser.email);
+    await insertActivityLog({
+      userId: req.user.uid,
+      userEmail: req.user.email,
+      action: 'account_unlocked',
+      taskId: null,
+      taskTitle: `Conta desbloqueada: ${targetUser.email}`
+    });
+
+    console.log('[LOGIN] Conta', targetUser.email, 'desbloqueada por', req.user.email);
+    res.status(200).json({ message: "Conta desbloqueada com sucesso" });
+  } catch (error) {
+    console.error("Erro ao desbloquear conta:", error.message);
+    res.status(500).json({ error: "Erro ao desbloquear conta: " + error.message });
+  }
+});
+
+// Endpoint de admin para consultar se o autocadastro está aberto
+app.get("/api/admin/configuracoes/cadastro", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    res.status(200).json({ cadastroAberto: await isRegistrationOpen() });
+  } catch (error) {
+    console.error("Erro ao buscar configuração de cadastro:", error.message);
+    res.status(500).json({ error: "Erro ao buscar configuração: " + error.message });
+  }
+});
+
+// Endpoint de admin para abrir/fechar o autocadastro (fechado = apenas convites)
+app.put("/api/admin/configuracoes/cadastro", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { cadastroAberto } = req.body || {};
+    if (typeof cadastroAberto !== 'boolean') {
+      return res.status(400).json({ error: "Informe cadastroAberto como true ou false" });
+    }
+
+    const saved = await setRegistrationOpen(cadastroAberto, req.user.uid);
+    console.log('[CADASTRO] Autocadastro', saved ? 'aberto' : 'fechado', 'por', req.user.email);
+    res.status(200).json({ message: "Configuração atualizada com sucesso", cadastroAberto: saved });
+  } catch (error) {
+    console.error("Erro ao atualizar configuração de cadastro:", error.message);
+    res.status(500).json({ error: "Erro ao atualizar configuração: " + error.message });
+  }
+});
+
+// Endpoint de admin para listar convites pendentes
+app.get("/api/admin/convites", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const invites = await listPendingInvites(new Date().toISOString());
+    res.status(200).json(invites.map((invite) => ({
+      id: invite.id,
+      email: invite.email,
+      nomeCompleto: invite.nome_completo,
+      cargo: normalizeRole(invite.cargo),
+      convidadoPor: invite.invited_by_nome,
+      expiresAt: invite.expires_at,
+      createdAt: invite.created_at
+    })));
+  } catch (error) {
+    console.error("Erro ao listar convites:", error.message);
+    res.status(500).json({ error: "Erro ao listar convites: " + error.message });
+  }
+});
+
+// Endpoint de admin para convidar um usuário por email (reenviar = novo convite para o mesmo email)
+app.post("/api/admin/convites", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { email, nomeCompleto, cargo = DEFAULT_ROLE } = req.body || {};
+    const normalizedEmail = normalizeEmail(email);
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+      return res.status(400).json({ error: "Email inválido" });
+    }
+    if (!isValidRole(cargo)) {
+      return res.status(400).json({ error: `Cargo inválido. Use um de: ${listRoles().map(r => r.id).join(', ')}` });
+    }
+    if (await getUserByEmail(normalizedEmail)) {
+      return res.status(400).json({ error: "Já existe um usuário com este email" });
+    }
+
+    const invitedBy = await getUserByUid(req.user.uid);
+    const invite = await sendInvitation({ email: normalizedEmail, nomeCompleto, cargo, invitedBy, frontendUrl });
+
+    console.log('[CONVITE] Convite enviado para', normalizedEmail, 'por', req.user.email);
+    res.status(201).json({ message: `Convite enviado para ${normalizedEmail}`, convite: invite });
+  } catch (error) {
+    console.error("Erro ao enviar convite:", error.message);
+    res.status(500).json({ error: "Erro ao enviar convite: " + error.message });
+  }
+});
+
+// Endpoint de admin para cancelar um convite pendente
+app.delete("/api/admin/convites/:id", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { revokedRows } = await revokeInvite(req.params.id);
+    if (!revokedRows) {
+      return res.status(404).json({ error: "Convite não encontrado ou já utilizado" });
+    }
+    res.status(200).json({ message: "Convite cancelado" });
+  } catch (error) {
+    console.error("Erro ao cancelar convite:", error.message);
+    res.status(500).json({ error: "Erro ao cancelar convite: " + error.message });
+  }
+});
+
+// Endpoint de admin para listar as sessões ativas de um usuário
+app.get("/api/admin/usuarios/:id/sessoes", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const sessions = await listActiveRefreshTokensByUser(req.params.id, new Date().toISOString());
+    res.status(200).json(sessions.map((session) => toSessionResponse(session, req.user.sessionId)));
+  } catch (error) {
+    console.error("Erro ao listar sessões do usuário:", error.message);
+    res.status(500).json({ error: "Erro ao listar sessões: " + error.message });
   }
 });
 
-// Endpoint para atualizar usuário
-app.put("/api/usuarios/:id", authenticateToken, async (req, res) => {
+// Endpoint de admin para encerrar todas as sessões de um usuário
+app.delete("/api/admin/usuarios/:id/sessoes", authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { nome, tipo } = req.body;
-    
-    console.log('Requisição PUT /api/usuarios recebida:', { id, nome, tipo });
-    
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem editar usuários" });
-    }
-    
-    // Buscar usuário que será editado
-    const targetUser = await getUserByUid(id);
-    if (!targetUser) {
-      return res.status(404).json({ error: "Usuário não encontrado" });
-    }
-    
-    // Atualizar usuário
-    const updatedData = {
-      uid: targetUser.uid,
-      nomeCompleto: nome,
-      email: targetUser.email,
-      cargo: tipo
-    };
-    
-    await upsertUser(updatedData);
-    
-    console.log('Usuário atualizado com sucesso:', id);
-    res.status(200).json({ message: "Usuário atualizado com sucesso" });
+    // Ao encerrar as próprias sessões, o administrador mantém a atual
+    const exceptId = req.params.id === req.user.uid ? req.user.sessionId : null;
+    const { revokedRows } = await revokeRefreshTokensByUser(req.params.id, exceptId);
+    console.log('[SESSIONS]', revokedRows, 'sessões do usuário', req.params.id, 'encerradas por', req.user.email);
+    res.status(200).json({ message: `${revokedRows} sessões encerradas`, revoked: revokedRows });
   } catch (error) {
-    console.error("Erro ao atualizar usuário:", error.message);
-    res.status(500).json({ error: "Erro ao atualizar usuário: " + error.message });
+    console.error("Erro ao encerrar sessões do usuário:", error.message);
+    res.status(500).json({ error: "Erro ao encerrar sessões: " + error.message });
   }
 });
 
-// Endpoint de admin para listar todos os usuários com detalhes completos
-app.get("/api/admin/usuarios", authenticateToken, async (req, res) => {
+// Endpoint de admin para encerrar uma sessão de um usuário
+app.delete("/api/admin/usuarios/:id/sessoes/:sessionId", authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem acessar esta rota" });
+    const session = await getRefreshTokenById(req.params.sessionId);
+    if (!session || session.user_id !== req.params.id) {
+      return res.status(404).json({ error: "Sessão não encontrada" });
     }
-    
-    const users = await getAllUsers();
-    
-    const usuarios = users.map(user => ({
-      uid: user.uid,
-      nomeCompleto: user.nome_completo,
-      email: user.email,
-      cargo: user.cargo || "usuario",
-      createdAt: user.created_at,
-      updatedAt: user.updated_at
-    }));
-    
-    res.status(200).json(usuarios);
+
+    await revokeRefreshToken(session.id);
+    console.log('[SESSIONS] Sessão', session.id, 'do usuário', req.params.id, 'encerrada por', req.user.email);
+    res.status(200).json({ message: "Sessão encerrada" });
   } catch (error) {
-    console.error("Erro ao buscar usuários:", error.message);
-    res.status(500).json({ error: "Erro ao buscar usuários: " + error.message });
+    console.error("Erro ao encerrar sessão do usuário:", error.message);
+    res.status(500).json({ error: "Erro ao encerrar sessão: " + error.message });
   }
 });
 
 // Endpoint de admin para atualizar senha de usuário
-app.put("/api/admin/usuarios/:id/senha", authenticateToken, async (req, res) => {
+app.put("/api/admin/usuarios/:id/senha", authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { newPassword } = req.body;
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem alterar senhas" });
-    }
-    
     if (!newPassword || newPassword.length < 6) {
       return res.status(400).json({ error: "A nova senha deve ter pelo menos 6 caracteres" });
     }
@@ -347,16 +1163,9 @@ app.put("/api/admin/usuarios/:id/senha", authenticateToken, async (req, res) =>
       return res.status(404).json({ error: "Usuário não encontrado" });
     }
     
-    // Atualizar senha
-    const updatedData = {
-      uid: targetUser.uid,
-      nomeCompleto: targetUser.nome_completo,
-      email: targetUser.email,
-      password: newPassword,
-      cargo: targetUser.cargo
-    };
-    
-    await upsertUser(updatedData);
+    // Atualizar senha e encerrar as sessões abertas com a senha antiga
+    await updateUserPassword(targetUser.uid, newPassword);
+    await revokeRefreshTokensByUser(targetUser.uid, targetUser.uid === req.user.uid ? req.user.sessionId : null);
     
     res.status(200).json({ message: "Senha atualizada com sucesso" });
   } catch (error) {
@@ -366,24 +1175,18 @@ app.put("/api/admin/usuarios/:id/senha", authenticateToken, async (req, res) =>
 });
 
 // Endpoint de admin para atualizar cargo de usuário
-app.put("/api/admin/usuarios/:id/cargo", authenticateToken, async (req, res) => {
+app.put("/api/admin/usuarios/:id/cargo", authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { cargo } = req.body;
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem alterar cargos" });
+    if (!cargo || !isValidRole(cargo)) {
+      return res.status(400).json({ error: `Cargo inválido. Use um de: ${listRoles().map(r => r.id).join(', ')}` });
     }
     
-    if (!cargo || !['admin', 'usuario'].includes(cargo)) {
-      return res.status(400).json({ error: "Cargo deve ser 'admin' ou 'usuario'" });
-    }
-    
-    // Não permitir que admin remova seu próprio cargo de admin
-    if (id === req.user.uid && cargo !== 'admin') {
-      return res.status(400).json({ error: "Você não pode remover seu próprio cargo de administrador" });
+    // Não permitir que o usuário retire de si mesmo a gestão de usuários
+    if (id === req.user.uid && !hasPermission(cargo, 'users.manage')) {
+      return res.status(400).json({ error: "Você não pode remover seu próprio acesso de administrador" });
     }
     
     // Buscar usuário que será editado
@@ -397,7 +1200,6 @@ app.put("/api/admin/usuarios/:id/cargo", authenticateToken, async (req, res) =>
       uid: targetUser.uid,
       nomeCompleto: targetUser.nome_completo,
       email: targetUser.email,
-      password: targetUser.password,
       cargo: cargo
     };
     
@@ -410,18 +1212,40 @@ app.put("/api/admin/usuarios/:id/cargo", authenticateToken, async (req, res) =>
   }
 });
 
+// Endpoint de admin para definir as empresas que o usuário consulta no portal do cliente
+app.put("/api/admin/usuarios/:id/empresas", authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!Array.isArray(req.body.empresas)) {
+      return res.status(400).json({ error: "Informe a lista de empresas" });
+    }
+
+    const targetUser = await getUserByUid(id);
+    if (!targetUser) {
+      return res.status(404).json({ error: "Usuário não encontrado" });
+    }
+
+    const empresaIds = [...new Set(req.body.empresas)];
+    for (const empresaId of empresaIds) {
+      if (!await getEmpresaById(empresaId)) {
+        return res.status(400).json({ error: `Empresa não encontrada: ${empresaId}` });
+      }
+    }
+
+    await setEmpresasDoUsuario(id, empresaIds);
+    res.status(200).json({ message: "Empresas do usuário atualizadas com sucesso", empresas: empresaIds });
+  } catch (error) {
+    console.error("Erro ao atualizar empresas do usuário:", error.message);
+    res.status(500).json({ error: "Erro ao atualizar empresas do usuário: " + error.message });
+  }
+});
+
 // Endpoint de admin para atualizar email de usuário
-app.put("/api/admin/usuarios/:id/email", authenticateToken, async (req, res) => {
+app.put("/api/admin/usuarios/:id/email", authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { email } = req.body;
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem alterar emails" });
-    }
-    
     if (!email || !email.includes('@')) {
       return res.status(400).json({ error: "Email inválido" });
     }
@@ -443,7 +1267,6 @@ app.put("/api/admin/usuarios/:id/email", authenticateToken, async (req, res) =>
       uid: targetUser.uid,
       nomeCompleto: targetUser.nome_completo,
       email: email,
-      password: targetUser.password,
       cargo: targetUser.cargo
     };
     
@@ -457,18 +1280,12 @@ app.put("/api/admin/usuarios/:id/email", authenticateToken, async (req, res) =>
 });
 
 // Endpoint para remover usuário
-app.delete("/api/usuarios/:id", authenticateToken, async (req, res) => {
+app.delete("/api/usuarios/:id", authenticateToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
     console.log('Requisição DELETE /api/usuarios recebida para ID:', id);
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem remover usuários" });
-    }
-    
     // Não permitir que admin remova a si mesmo
     if (id === req.user.uid) {
       return res.status(400).json({ error: "Você não pode remover sua própria conta" });
@@ -496,7 +1313,7 @@ app.delete("/api/usuarios/:id", authenticateToken, async (req, res) => {
 });
 
 // Endpoint para buscar horas trabalhadas de um mês específico
-app.get('/api/horas-trabalhadas/:userId/:year/:month', authenticateToken, async (req, res) => {
+app.get('/api/horas-trabalhadas/:userId/:year/:month', authenticateToken, requirePermission('hours.view'), async (req, res) => {
   try {
     const { userId, year, month } = req.params;
     
@@ -507,14 +1324,11 @@ app.get('/api/horas-trabalhadas/:userId/:year/:month', authenticateToken, async
     
     // Verificar se o usuário pode acessar esses dados
     if (userId !== req.user.uid) {
-      console.log('[HORAS-MES] Verificando permissões de admin...');
-      // Verificar se é admin no SQLite
-      const user = await getUserByUid(req.user.uid);
-      if (!user || user.cargo !== 'admin') {
-        console.log('[HORAS-MES] Acesso negado - não é admin');
+      if (!userCan(req.user, 'hours.view_all')) {
+        console.log('[HORAS-MES] Acesso negado - sem permissão hours.view_all');
         return res.status(403).json({ error: "Acesso não autorizado" });
       }
-      console.log('[HORAS-MES] Acesso autorizado - usuário é admin');
+      console.log('[HORAS-MES] Acesso autorizado - permissão hours.view_all');
     } else {
       console.log('[HORAS-MES] Acesso autorizado - próprio usuário');
     }
@@ -571,7 +1385,7 @@ app.get('/api/horas-trabalhadas/:userId/:year/:month', authenticateToken, async
   }
 });
 
-app.post('/api/horas-trabalhadas', authenticateToken, async (req, res) => {
+app.post('/api/horas-trabalhadas', authenticateToken, requirePermission('hours.track'), async (req, res) => {
   try {
     const { userId, userName, date, totalMinutes, totalHours } = req.body;
     
@@ -618,8 +1432,20 @@ app.post('/api/horas-trabalhadas', authenticateToken, async (req, res) => {
   }
 });
 
-// Armazenar tokens de reset temporários (em produção, usar banco de dados)
-const resetTokens = new Map();
+const RESET_TOKEN_TTL_MINUTES = 30;
+// Limite de emails de redefinição por janela, por conta e por IP (acima disso o pedido é ignorado)
+const RESET_REQUEST_WINDOW_MINUTES = 60;
+const RESET_REQUESTS_PER_USER = 3;
+const RESET_REQUESTS_PER_IP = 10;
+
+// Busca um token de redefinição válido (existente, não usado e não expirado)
+const findValidResetToken = async (token) => {
+  const tokenData = token ? await getPasswordResetTokenByHash(hashToken(token)) : null;
+  if (!tokenData || tokenData.used_at || new Date(tokenData.expires_at) <= new Date()) {
+    return null;
+  }
+  return tokenData;
+};
 
 // Endpoint de redefinição de senha - solicitar token
 app.post("/api/reset-password", async (req, res) => {
@@ -631,40 +1457,45 @@ app.post("/api/reset-password", async (req, res) => {
       return res.status(400).json({ error: "Email é obrigatório" });
     }
     
-    // Verificar se o email existe no SQLite
+    // Por segurança, a resposta é a mesma exista ou não o email
+    const genericMessage = "Se o email estiver cadastrado, você receberá as instruções de redefinição";
+
     const user = await getUserByEmail(email);
     if (!user) {
-      // Por segurança, não revelamos se o email existe ou não
       console.log('[RESET-PASSWORD] Email não encontrado:', email);
-      return res.status(200).json({ message: "Se o email existir, você receberá as instruções de redefinição" });
+      return res.status(200).json({ message: genericMessage });
     }
 
-    // Gerar token único
-    const resetToken = uuidv4();
-    const expiresAt = new Date(Date.now() + 30 * 60 * 1000); // Expira em 30 minutos
-    
-    // Armazenar token temporariamente
-    resetTokens.set(resetToken, {
+    // Sem resposta diferente: quem insiste só deixa de receber novos emails até a janela passar
+    const since = new Date(Date.now() - RESET_REQUEST_WINDOW_MINUTES * 60 * 1000).toISOString();
+    const { porUsuario, porIp } = await countRecentPasswordResetRequests(user.uid, req.ip, since);
+    if (porUsuario >= RESET_REQUESTS_PER_USER || porIp >= RESET_REQUESTS_PER_IP) {
+      console.warn('[RESET-PASSWORD] Limite de pedidos atingido para usuário/IP:', user.uid, req.ip);
+      return res.status(200).json({ message: genericMessage });
+    }
+
+    // Apenas o último link enviado permanece válido
+    await invalidatePasswordResetTokensByUser(user.uid);
+
+    const resetToken = generateToken(32);
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    await createPasswordResetToken({
+      id: uuidv4(),
       userId: user.uid,
-      email: user.email,
-      expiresAt
+      tokenHash: hashToken(resetToken),
+      expiresAt: expiresAt.toISOString(),
+      requestedIp: req.ip
     });
-    
-    console.log('[RESET-PASSWORD] Token gerado:', resetToken, 'para usuário:', user.uid);
-    console.log('[RESET-PASSWORD] Expira em:', expiresAt.toISOString());
-    
-    // Em desenvolvimento, retornamos o token diretamente
-    // Em produção, este token seria enviado por email
-    if (process.env.NODE_ENV === 'development') {
-      res.status(200).json({ 
-        message: "Token de redefinição gerado (modo de desenvolvimento)",
-        resetToken: resetToken, // REMOVER EM PRODUÇÃO
-        resetUrl: `http://localhost:5173/reset-password?token=${resetToken}` // REMOVER EM PRODUÇÃO
-      });
-    } else {
-      // TODO: Implementar envio de email aqui
-      res.status(200).json({ message: "Email de redefinição enviado com sucesso" });
-    }
+
+    const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(resetToken)}`;
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({ nome: user.nome_completo, resetUrl, expiresMinutes: RESET_TOKEN_TTL_MINUTES })
+    });
+
+    console.log('[RESET-PASSWORD] Email de redefinição enviado para usuário:', user.uid);
+    res.status(200).json({ message: genericMessage });
   } catch (error) {
     console.error("[RESET-PASSWORD] Erro na redefinição de senha:", error.message);
     res.status(500).json({ error: "Erro ao processar redefinição de senha" });
@@ -674,22 +1505,12 @@ app.post("/api/reset-password", async (req, res) => {
 // Endpoint para verificar validade do token
 app.get("/api/reset-password/:token", async (req, res) => {
   try {
-    const { token } = req.params;
-    console.log('[VERIFY-TOKEN] Verificando token:', token);
-    
-    const tokenData = resetTokens.get(token);
+    const tokenData = await findValidResetToken(req.params.token);
     if (!tokenData) {
-      console.log('[VERIFY-TOKEN] Token não encontrado');
-      return res.status(400).json({ error: "Token inválido ou expirado" });
+      console.log('[VERIFY-TOKEN] Token inválido, usado ou expirado');
+      return res.status(400).json({ error: "Link de redefinição inválido ou expirado" });
     }
     
-    if (new Date() > tokenData.expiresAt) {
-      console.log('[VERIFY-TOKEN] Token expirado');
-      resetTokens.delete(token);
-      return res.status(400).json({ error: "Token expirado" });
-    }
-    
-    console.log('[VERIFY-TOKEN] Token válido para usuário:', tokenData.email);
     res.status(200).json({ 
       valid: true,
       email: tokenData.email
@@ -703,11 +1524,8 @@ app.get("/api/reset-password/:token", async (req, res) => {
 // Endpoint para redefinir senha com token
 app.post("/api/reset-password/:token", async (req, res) => {
   try {
-    const { token } = req.params;
     const { newPassword } = req.body;
     
-    console.log('[RESET-PASSWORD-CONFIRM] Redefinindo senha com token:', token);
-    
     if (!newPassword) {
       return res.status(400).json({ error: "Nova senha é obrigatória" });
     }
@@ -716,39 +1534,24 @@ app.post("/api/reset-password/:token", async (req, res) => {
       return res.status(400).json({ error: "A senha deve ter pelo menos 6 caracteres" });
     }
     
-    const tokenData = resetTokens.get(token);
+    const tokenData = await findValidResetToken(req.params.token);
     if (!tokenData) {
-      console.log('[RESET-PASSWORD-CONFIRM] Token não encontrado');
-      return res.status(400).json({ error: "Token inválido ou expirado" });
-    }
-    
-    if (new Date() > tokenData.expiresAt) {
-      console.log('[RESET-PASSWORD-CONFIRM] Token expirado');
-      resetTokens.delete(token);
-      return res.status(400).json({ error: "Token expirado" });
+      return res.status(400).json({ error: "Link de redefinição inválido ou expirado" });
     }
-    
-    // Buscar usuário
-    const user = await getUserByUid(tokenData.userId);
-    if (!user) {
-      return res.status(404).json({ error: "Usuário não encontrado" });
+
+    // Consumir o token antes de alterar a senha garante o uso único mesmo com requisições simultâneas
+    const { usedRows } = await markPasswordResetTokenUsed(tokenData.id);
+    if (!usedRows) {
+      return res.status(400).json({ error: "Link de redefinição inválido ou expirado" });
     }
     
-    // Atualizar senha
-    const updatedUserData = {
-      uid: user.uid,
-      nomeCompleto: user.nome_completo,
-      email: user.email,
-      password: newPassword, // Em produção, fazer hash da senha
-      cargo: user.cargo
-    };
-    
-    await upsertUser(updatedUserData);
+    await updateUserPassword(tokenData.user_id, newPassword);
+    await invalidatePasswordResetTokensByUser(tokenData.user_id);
+    await revokeRefreshTokensByUser(tokenData.user_id);
+    // Quem provou acesso ao email não precisa esperar o fim de um bloqueio por tentativas
+    await unlockAccount(tokenData.email);
     
-    // Remover token usado
-    resetTokens.delete(token);
-    
-    console.log('[RESET-PASSWORD-CONFIRM] Senha redefinida com sucesso para usuário:', user.email);
+    console.log('[RESET-PASSWORD-CONFIRM] Senha redefinida com sucesso para usuário:', tokenData.email);
     res.status(200).json({ message: "Senha redefinida com sucesso" });
   } catch (error) {
     console.error("[RESET-PASSWORD-CONFIRM] Erro ao redefinir senha:", error.message);
@@ -756,132 +1559,71 @@ app.post("/api/reset-password/:token", async (req, res) => {
   }
 });
 
-// Endpoint para verificar senha anterior (para recuperação de senha)
-app.post("/api/verify-old-password", async (req, res) => {
-  try {
-    const { email, oldPassword } = req.body;
-    console.log('[VERIFY-OLD-PASSWORD] Verificação para:', email);
-    
-    if (!email || !oldPassword) {
-      return res.status(400).json({ error: "Email e senha anterior são obrigatórios" });
-    }
-    
-    // Buscar usuário no SQLite
-    const user = await getUserByEmail(email);
-    if (!user) {
-      console.log('[VERIFY-OLD-PASSWORD] Usuário não encontrado:', email);
-      return res.status(404).json({ error: "Usuário não encontrado" });
-    }
-    
-    // Função para verificar similaridade de senhas
-    const isSimilarPassword = (storedPassword, inputPassword) => {
-      if (!storedPassword || !inputPassword) return false;
-      
-      // Converter para minúsculas para comparação
-      const stored = storedPassword.toLowerCase();
-      const input = inputPassword.toLowerCase();
-      
-      // Se as senhas são iguais
-      if (stored === input) return true;
-      
-      // Verificar similaridade baseada em caracteres comuns
-      let matchCount = 0;
-      const minLength = Math.min(stored.length, input.length);
-      
-      // Contar caracteres na mesma posição
-      for (let i = 0; i < minLength; i++) {
-        if (stored[i] === input[i]) {
-          matchCount++;
-        }
-      }
-      
-      // Considerar similar se pelo menos 60% dos caracteres coincidirem na posição
-      const similarity = matchCount / Math.max(stored.length, input.length);
-      
-      // Também verificar se uma senha contém a outra (parcialmente)
-      const containsSimilarity = stored.includes(input.substring(0, Math.floor(input.length * 0.7))) ||
-                                input.includes(stored.substring(0, Math.floor(stored.length * 0.7)));
-      
-      return similarity >= 0.6 || containsSimilarity;
-    };
-    
-    // Verificar se a senha é igual ou similar
-    const isValid = oldPassword === user.password || isSimilarPassword(user.password, oldPassword);
-    
-    if (!isValid) {
-      console.log('[VERIFY-OLD-PASSWORD] Senha não é similar para:', email);
-      return res.status(401).json({ error: "A senha informada não é similar à sua senha atual" });
-    }
-    
-    console.log('[VERIFY-OLD-PASSWORD] Senha verificada com sucesso para:', email);
-    res.status(200).json({ message: "Senha anterior verificada com sucesso" });
-  } catch (error) {
-    console.error("[VERIFY-OLD-PASSWORD] Erro na verificação:", error.message);
-    res.status(500).json({ error: "Erro ao verificar senha anterior" });
-  }
+// Comprovante anexado à tarefa no formato usado pelo frontend
+const toComprovanteResponse = (file) => ({
+  id: file.id,
+  url: `/api/files/${file.id}/download`,
+  name: file.original_name,
+  size: file.size,
+  type: file.mime_type,
+  uploadDate: file.upload_date,
+  uploadedBy: file.uploaded_by,
+  downloadCount: file.download_count,
+  enviadoPorCliente: Boolean(file.enviado_por_cliente),
+  revisaoStatus: file.revisao_status
 });
 
-// Endpoint para alterar senha diretamente (sem token)
-app.post("/api/change-password-direct", async (req, res) => {
-  try {
-    const { email, newPassword } = req.body;
-    console.log('[CHANGE-PASSWORD-DIRECT] Alteração para:', email);
-    
-    if (!email || !newPassword) {
-      return res.status(400).json({ error: "Email e nova senha são obrigatórios" });
-    }
-    
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: "A nova senha deve ter pelo menos 6 caracteres" });
-    }
-    
-    // Buscar usuário no SQLite
-    const user = await getUserByEmail(email);
-    if (!user) {
-      console.log('[CHANGE-PASSWORD-DIRECT] Usuário não encontrado:', email);
-      return res.status(404).json({ error: "Usuário não encontrado" });
-    }
-    
-    // Atualizar senha
-    const updatedUserData = {
-      uid: user.uid,
-      nomeCompleto: user.nome_completo,
-      email: user.email,
-      password: newPassword, // Em produção, fazer hash da senha
-      cargo: user.cargo
-    };
-    
-    await upsertUser(updatedUserData);
-    
-    console.log('[CHANGE-PASSWORD-DIRECT] Senha alterada com sucesso para:', email);
-    res.status(200).json({ message: "Senha alterada com sucesso" });
-  } catch (error) {
-    console.error("[CHANGE-PASSWORD-DIRECT] Erro ao alterar senha:", error.message);
-    res.status(500).json({ error: "Erro ao alterar senha" });
-  }
-});
+// Regra da série a que a tarefa pertence (null para tarefas avulsas)
+const toRecorrenciaResponse = (serie) => (serie ? {
+  frequencia: serie.frequencia,
+  tipoDia: serie.tipo_dia,
+  dia: serie.dia,
+  dataInicio: serie.data_inicio,
+  dataFim: serie.data_fim,
+  ativa: Boolean(serie.ativa),
+  descricao: descreverRegra(serie)
+} : null);
+
+const ESCOPOS_EDICAO_SERIE = ['ocorrencia', 'futuras'];
+
+// Regra de recorrência do body ({ frequencia, recorrencia: { tipoDia, dia, dataFim } })
+const parseRegraBody = (body) => parseRegra(
+  { frequencia: body.frequencia, ...(body.recorrencia || {}) },
+  String(body.dataVencimento).slice(0, 10)
+);
+
+// Transforma a tarefa na primeira ocorrência de uma nova série e cria as seguintes
+const iniciarSerie = async (taskId, taskData, ocorrencia, regra, userId) => {
+  const serie = await criarSerie({ ...taskData, ocorrencia }, regra, userId);
+  await vincularTarefaSerie(taskId, serie.id, ocorrencia);
+  const criadas = await materializarSerie(serie).catch((error) => {
+    // O agendador tenta de novo na próxima execução
+    console.error(`[RECORRENCIA] Erro ao gerar ocorrências da série ${serie.id}:`, error.message);
+    return 0;
+  });
+  return { serie, criadas };
+};
 
 // Buscar todas as tarefas
-app.get("/api/tarefas", authenticateToken, async (req, res) => {
+app.get("/api/tarefas", authenticateToken, requirePermission('tasks.view'), async (req, res) => {
   try {
     console.log('Requisição GET /api/tarefas recebida para UID:', req.user.uid);
     
-    const tasks = await getAllTasks();
+    // Apenas tarefas visíveis ao usuário (próprias, das equipes ou todas com tasks.view_all)
+    const tasks = await listVisibleTasks(req.user);
+    const solicitacoesPorTarefa = agruparPorTarefa(await listSolicitacoesByTaskIds(tasks.map(task => task.id)));
+    const serieIds = [...new Set(tasks.map(task => task.serie_id).filter(Boolean))];
+    const seriesPorId = new Map((await listSeriesByIds(serieIds)).map(serie => [serie.id, serie]));
+    const checklistPorTarefa = new Map((await getResumoChecklistByTaskIds(tasks.map(task => task.id))).map(linha => [linha.task_id, linha]));
+    const dependenciasPorTarefa = agruparDependencias(await listDependenciasByTaskIds(tasks.map(task => task.id)));
     
     // Converter formato para compatibilidade com frontend
     const formattedTasks = await Promise.all(tasks.map(async (task) => {
       // Buscar arquivos da tarefa
       const files = await getFilesByTaskId(task.id);
-      const comprovantes = files.map(file => ({
-        id: file.id,
-        url: `/api/files/${file.id}/download`,
-        name: file.original_name,
-        size: file.size,
-        type: file.mime_type,
-        uploadDate: file.upload_date,
-        uploadedBy: file.uploaded_by,
-        downloadCount: file.download_count
-      }));
+      const comprovantes = files.map(toComprovanteResponse);
+      const solicitacoes = solicitacoesPorTarefa.get(task.id) || [];
+      const dependencias = dependenciasDaTarefa(dependenciasPorTarefa, task.id);
       
       return {
         id: task.id,
@@ -893,8 +1635,19 @@ app.get("/api/tarefas", authenticateToken, async (req, res) => {
         status: task.status,
         recorrente: Boolean(task.recorrente),
         frequencia: task.frequencia,
+        serieId: task.serie_id,
+        ocorrencia: task.ocorrencia,
+        excecao: Boolean(task.excecao),
+        recorrencia: toRecorrenciaResponse(seriesPorId.get(task.serie_id)),
+        transicoesPermitidas: transicoesPermitidas(req.user, task, dependencias),
+        empresaId: task.empresa_id,
+        empresaNome: task.empresa_nome,
         dataCriacao: task.data_criacao,
-        comprovantes: comprovantes
+        comprovantes: comprovantes,
+        checklist: toResumoChecklist(checklistPorTarefa.get(task.id)),
+        dependencias,
+        solicitacoes,
+        ...resumoSolicitacoes(solicitacoes)
       };
     }));
 
@@ -907,20 +1660,24 @@ app.get("/api/tarefas", authenticateToken, async (req, res) => {
 });
 
 // Criar nova tarefa
-app.post("/api/tarefas", authenticateToken, async (req, res) => {
+app.post("/api/tarefas", authenticateToken, requirePermission('tasks.create'), async (req, res) => {
   try {
-    const { titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia } = req.body;
+    const { titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia, empresaId, modeloId } = req.body;
     
-    console.log('Dados da nova tarefa:', { titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia });
+    console.log('Dados da nova tarefa:', { titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia, empresaId, modeloId });
     
     if (!titulo || !responsavelId || !dataVencimento) {
       return res.status(400).json({ error: "Título, responsável e data de vencimento são obrigatórios" });
     }
-    
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem criar tarefas" });
+
+    // Tarefa recorrente: vira a primeira ocorrência de uma série
+    const ocorrencia = String(dataVencimento).slice(0, 10);
+    const regra = recorrente ? parseRegraBody(req.body) : null;
+    if (regra?.error) {
+      return res.status(400).json({ error: regra.error });
+    }
+    if (regra && !dataValida(ocorrencia)) {
+      return res.status(400).json({ error: "Data de vencimento inválida" });
     }
     
     // Buscar dados do responsável
@@ -928,6 +1685,20 @@ app.post("/api/tarefas", authenticateToken, async (req, res) => {
     if (!responsavel) {
       return res.status(400).json({ error: "Responsável não encontrado" });
     }
+    if (!await canAssignTo(req.user, responsavelId)) {
+      return res.status(403).json({ error: "Você só pode atribuir tarefas a pessoas das suas equipes" });
+    }
+
+    const empresa = empresaId ? await getEmpresaById(empresaId) : null;
+    if (empresaId && !empresa) {
+      return res.status(400).json({ error: "Empresa não encontrada" });
+    }
+
+    // Modelo de tarefa: o checklist dele é copiado para a tarefa (e para as próximas ocorrências)
+    const modelo = modeloId ? await getTarefaModeloById(modeloId) : null;
+    if (modeloId && !modelo) {
+      return res.status(400).json({ error: "Modelo de tarefa não encontrado" });
+    }
     
     const taskId = uuidv4();
     const taskData = {
@@ -938,10 +1709,18 @@ app.post("/api/tarefas", authenticateToken, async (req, res) => {
       dataVencimento,
       observacoes: observacoes || '',
       recorrente: Boolean(recorrente),
-      frequencia: frequencia || 'mensal'
+      frequencia: regra ? regra.frequencia : frequencia || 'mensal',
+      empresaId: empresa ? empresa.id : null
     };
     
     await createTask(taskData);
+    if (modelo) {
+      await aplicarModeloChecklist(taskId, modelo.id);
+    }
+    const { serie = null, criadas = 0 } = regra
+      ? await iniciarSerie(taskId, { ...taskData, modeloId: modelo ? modelo.id : null }, ocorrencia, regra, req.user.uid)
+      : {};
+    const [resumoChecklist] = await getResumoChecklistByTaskIds([taskId]);
     
     // Log da atividade
     await insertActivityLog({
@@ -952,87 +1731,156 @@ app.post("/api/tarefas", authenticateToken, async (req, res) => {
       taskTitle: titulo.trim()
     });
     
-    console.log('Tarefa criada com sucesso:', taskId);
-    res.status(201).json({ id: taskId, ...taskData });
+    console.log('Tarefa criada com sucesso:', taskId, serie ? `(série ${serie.id}, ${criadas} ocorrência(s) seguinte(s))` : '');
+    res.status(201).json({
+      id: taskId,
+      ...taskData,
+      serieId: serie ? serie.id : null,
+      ocorrencia: serie ? ocorrencia : null,
+      excecao: false,
+      recorrencia: toRecorrenciaResponse(serie),
+      checklist: toResumoChecklist(resumoChecklist),
+      empresaNome: empresa ? (empresa.nome_fantasia || empresa.razao_social) : null
+    });
   } catch (error) {
     console.error("Erro ao criar tarefa:", error.message);
     res.status(500).json({ error: "Erro ao criar tarefa: " + error.message });
   }
 });
 
-// Atualizar status da tarefa
-app.patch("/api/tarefas/:id/status", authenticateToken, async (req, res) => {
+// Atualizar status da tarefa (fluxo em services/tasks/status.js; cada transição vai para o histórico)
+app.patch("/api/tarefas/:id/status", authenticateToken, requirePermission('tasks.status'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
+    const comentario = typeof req.body.comentario === 'string' ? req.body.comentario.trim() : '';
     
     if (!status) {
       return res.status(400).json({ error: "Status é obrigatório" });
     }
+    if (comentario.length > 2000) {
+      return res.status(400).json({ error: "Comentário muito longo (máximo de 2000 caracteres)" });
+    }
     
     // Buscar a tarefa
     const task = await getTaskById(id);
-    if (!task) {
+    if (!await canViewTask(req.user, task)) {
       return res.status(404).json({ error: "Tarefa não encontrada" });
     }
     
-    // Verificar permissões
-    const user = await getUserByUid(req.user.uid);
-    const isAdmin = user?.cargo === 'admin';
-    const isOwner = task.responsavel_id === req.user.uid;
-    
-    if (!isAdmin && !isOwner) {
-      return res.status(403).json({ error: "Você só pode atualizar o status de suas próprias tarefas" });
+    // Verificar se a transição existe e se o usuário pode fazê-la
+    const { obrigatoriosPendentes } = toResumoChecklist((await getResumoChecklistByTaskIds([id]))[0]);
+    const { predecessorasPendentes } = dependenciasDaTarefa(agruparDependencias(await listDependenciasByTaskIds([id])), id);
+    const invalida = validarTransicao(req.user, task, status, { comentario, obrigatoriosPendentes, predecessorasPendentes });
+    if (invalida) {
+      return res.status(invalida.status).json({ error: invalida.error });
     }
     
-    await updateTaskStatus(id, status);
-    
-    // Log da atividade (sem FK para tarefa já deletada)
-    await insertActivityLog({
+    const { updatedRows } = await registrarTransicaoStatus(id, {
+      statusAnterior: task.status,
+      statusNovo: status,
       userId: req.user.uid,
-      userEmail: req.user.email,
-      action: 'delete_task',
-      taskId: null, // evita violação de FK após deletar a tarefa
-      taskTitle: `${task.titulo} (id: ${id})`
+      comentario: comentario || null
     });
+    if (updatedRows === 0) {
+      return res.status(409).json({ error: "O status da tarefa foi alterado por outra pessoa. Atualize a página e tente novamente." });
+    }
+
+    // Ocorrência de série concluída: a próxima precisa existir
+    let proximaOcorrencia = null;
+    if (status === 'finalizado' && task.serie_id) {
+      proximaOcorrencia = await garantirProximaOcorrencia(task.serie_id, task.ocorrencia).catch((error) => {
+        console.error(`[RECORRENCIA] Erro ao criar a próxima ocorrência da série ${task.serie_id}:`, error.message);
+        return null;
+      });
+    }
     
-    console.log('Status da tarefa atualizado:', { id, status });
-    res.status(200).json({ message: "Status atualizado com sucesso" });
+    console.log('Status da tarefa atualizado:', { id, de: task.status, para: status, por: req.user.email });
+    res.status(200).json({
+      message: "Status atualizado com sucesso",
+      status,
+      transicoesPermitidas: transicoesPermitidas(req.user, { ...task, status }, { predecessorasPendentes }),
+      proximaOcorrencia
+    });
   } catch (error) {
     console.error("Erro ao atualizar status da tarefa:", error.message);
     res.status(500).json({ error: "Erro ao atualizar status da tarefa: " + error.message });
   }
 });
 
+// Histórico de status da tarefa
+app.get("/api/tarefas/:id/status/historico", authenticateToken, requirePermission('tasks.view'), async (req, res) => {
+  try {
+    const task = await getTaskById(req.params.id);
+    if (!await canViewTask(req.user, task)) {
+      return res.status(404).json({ error: "Tarefa não encontrada" });
+    }
+
+    const historico = await listHistoricoStatus(task.id);
+    res.status(200).json(historico.map((item) => ({
+      id: item.id,
+      statusAnterior: item.status_anterior,
+      statusNovo: item.status_novo,
+      comentario: item.comentario,
+      userId: item.user_id,
+      userNome: item.user_nome || item.user_email || 'Usuário removido',
+      createdAt: item.created_at
+    })));
+  } catch (error) {
+    console.error("Erro ao buscar histórico de status:", error.message);
+    res.status(500).json({ error: "Erro ao buscar histórico de status: " + error.message });
+  }
+});
+
 // Atualizar tarefa completa
-app.put("/api/tarefas/:id", authenticateToken, async (req, res) => {
+app.put("/api/tarefas/:id", authenticateToken, requirePermission('tasks.edit'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia } = req.body;
+    const { titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia, empresaId } = req.body;
+    // Em ocorrências de série: só esta ('ocorrencia') ou esta e as próximas ('futuras')
+    const escopo = req.body.escopo || 'ocorrencia';
     
-    console.log('Dados para atualizar tarefa:', { id, titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia });
+    console.log('Dados para atualizar tarefa:', { id, titulo, responsavelId, dataVencimento, observacoes, recorrente, frequencia, empresaId, escopo });
     
     if (!titulo || !responsavelId || !dataVencimento) {
       return res.status(400).json({ error: "Título, responsável e data de vencimento são obrigatórios" });
     }
-    
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem editar tarefas" });
+    if (!ESCOPOS_EDICAO_SERIE.includes(escopo)) {
+      return res.status(400).json({ error: "Escopo inválido (use ocorrencia ou futuras)" });
     }
     
     // Buscar a tarefa existente
     const existingTask = await getTaskById(id);
-    if (!existingTask) {
+    if (!await canViewTask(req.user, existingTask)) {
       return res.status(404).json({ error: "Tarefa não encontrada" });
     }
+
+    const serie = existingTask.serie_id ? await getSerieById(existingTask.serie_id) : null;
+    const alteraSerie = serie && escopo === 'futuras';
+    const ocorrencia = existingTask.ocorrencia || String(dataVencimento).slice(0, 10);
+    // A regra só muda ao editar as próximas ocorrências ou ao tornar recorrente uma tarefa avulsa.
+    // Tarefas já recorrentes sem série (agenda tributária, anteriores às séries) seguem como estão.
+    const tornaRecorrente = !serie && recorrente && !existingTask.recorrente;
+    const regra = (alteraSerie && recorrente) || tornaRecorrente ? parseRegraBody(req.body) : null;
+    if (regra?.error) {
+      return res.status(400).json({ error: regra.error });
+    }
+    if (regra && !dataValida(ocorrencia)) {
+      return res.status(400).json({ error: "Data de vencimento inválida" });
+    }
     
     // Buscar dados do novo responsável
     const responsavel = await getUserByUid(responsavelId);
     if (!responsavel) {
       return res.status(400).json({ error: "Responsável não encontrado" });
     }
+    if (responsavelId !== existingTask.responsavel_id && !await canAssignTo(req.user, responsavelId)) {
+      return res.status(403).json({ error: "Você só pode atribuir tarefas a pessoas das suas equipes" });
+    }
+
+    if (empresaId && !await getEmpresaById(empresaId)) {
+      return res.status(400).json({ error: "Empresa não encontrada" });
+    }
     
     const updatedTaskData = {
       id,
@@ -1041,11 +1889,26 @@ app.put("/api/tarefas/:id", authenticateToken, async (req, res) => {
       responsavelId,
       dataVencimento,
       observacoes: observacoes || '',
-      recorrente: Boolean(recorrente),
-      frequencia: frequencia || 'mensal'
+      recorrente: serie && !alteraSerie ? Boolean(existingTask.recorrente) : Boolean(recorrente),
+      frequencia: regra ? regra.frequencia : (serie ? existingTask.frequencia : frequencia || 'mensal'),
+      empresaId: empresaId || null
     };
     
     await updateTask(id, updatedTaskData);
+
+    let alteracoesSerie = null;
+    if (serie && !alteraSerie) {
+      await setTaskExcecao(id, true);
+    } else if (alteraSerie) {
+      // Sem recorrência, esta passa a ser a última ocorrência da série
+      await setTaskExcecao(id, false);
+      alteracoesSerie = regra
+        ? await editarProximasOcorrencias(serie, ocorrencia, updatedTaskData, regra)
+        : await encerrarSerieEm(serie, ocorrencia);
+    } else if (regra) {
+      const { criadas } = await iniciarSerie(id, updatedTaskData, ocorrencia, regra, req.user.uid);
+      alteracoesSerie = { criadas };
+    }
     
     // Log da atividade
     await insertActivityLog({
@@ -1058,19 +1921,17 @@ app.put("/api/tarefas/:id", authenticateToken, async (req, res) => {
     
     // Buscar tarefa atualizada para retornar
     const updatedTask = await getTaskById(id);
+    const serieAtualizada = updatedTask.serie_id ? await getSerieById(updatedTask.serie_id) : null;
+    
+    // Sucessoras em aberto não podem vencer antes desta tarefa
+    const sucessorasAdiadas = await adiarSucessoras(updatedTask, req.user);
+    const dependencias = dependenciasDaTarefa(agruparDependencias(await listDependenciasByTaskIds([id])), id);
     
     // Buscar arquivos da tarefa
     const files = await getFilesByTaskId(id);
-    const comprovantes = files.map(file => ({
-      id: file.id,
-      url: `/api/files/${file.id}/download`,
-      name: file.original_name,
-      size: file.size,
-      type: file.mime_type,
-      uploadDate: file.upload_date,
-      uploadedBy: file.uploaded_by,
-      downloadCount: file.download_count
-    }));
+    const comprovantes = files.map(toComprovanteResponse);
+    const solicitacoes = agruparPorTarefa(await listSolicitacoesByTaskIds([id])).get(id) || [];
+    const [resumoChecklist] = await getResumoChecklistByTaskIds([id]);
     
     const response = {
       id: updatedTask.id,
@@ -1082,8 +1943,21 @@ app.put("/api/tarefas/:id", authenticateToken, async (req, res) => {
       status: updatedTask.status,
       recorrente: Boolean(updatedTask.recorrente),
       frequencia: updatedTask.frequencia,
+      serieId: updatedTask.serie_id,
+      ocorrencia: updatedTask.ocorrencia,
+      excecao: Boolean(updatedTask.excecao),
+      recorrencia: toRecorrenciaResponse(serieAtualizada),
+      transicoesPermitidas: transicoesPermitidas(req.user, updatedTask, dependencias),
+      empresaId: updatedTask.empresa_id,
+      empresaNome: updatedTask.empresa_nome,
       dataCriacao: updatedTask.data_criacao,
-      comprovantes: comprovantes
+      comprovantes: comprovantes,
+      checklist: toResumoChecklist(resumoChecklist),
+      dependencias,
+      solicitacoes,
+      ...resumoSolicitacoes(solicitacoes),
+      alteracoesSerie,
+      sucessorasAdiadas
     };
     
     console.log('Tarefa atualizada com sucesso:', id);
@@ -1095,19 +1969,13 @@ app.put("/api/tarefas/:id", authenticateToken, async (req, res) => {
 });
 
 // Deletar tarefa
-app.delete("/api/tarefas/:id", authenticateToken, async (req, res) => {
+app.delete("/api/tarefas/:id", authenticateToken, requirePermission('tasks.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem excluir tarefas" });
-    }
-    
     // Buscar a tarefa para log
     const task = await getTaskById(id);
-    if (!task) {
+    if (!await canViewTask(req.user, task)) {
       return res.status(404).json({ error: "Tarefa não encontrada" });
     }
     
@@ -1116,6 +1984,10 @@ app.delete("/api/tarefas/:id", authenticateToken, async (req, res) => {
     
     // Executar exclusão
     const deleteResult = await deleteTask(id);
+
+    // ?escopo=futuras em ocorrência de série: encerra a série e apaga as próximas ainda sem trabalho
+    const serie = req.query.escopo === 'futuras' && task.serie_id ? await getSerieById(task.serie_id) : null;
+    const serieEncerrada = serie ? await encerrarSerieEm(serie, somarDias(task.ocorrencia, -1)) : null;
     
     // Log da atividade
     await insertActivityLog({
@@ -1133,9 +2005,12 @@ app.delete("/api/tarefas/:id", authenticateToken, async (req, res) => {
       dependencies: {
         arquivos: dependencies.arquivos,
         arquivo_logs: dependencies.arquivo_logs,
-        atividade_logs: dependencies.atividade_logs
+        atividade_logs: dependencies.atividade_logs,
+        tarefa_dependencias: dependencies.tarefa_dependencias,
+        tarefa_comentarios: dependencies.tarefa_comentarios
       },
-      deletedFiles: deleteResult.deletedFiles || 0
+      deletedFiles: deleteResult.deletedFiles || 0,
+      serieEncerrada
     });
   } catch (error) {
     console.error(`[DELETE TASK] Erro ao deletar tarefa ${req.params.id}:`, error.message);
@@ -1146,17 +2021,13 @@ app.delete("/api/tarefas/:id", authenticateToken, async (req, res) => {
 });
 
 // Buscar logs de atividade
-app.get("/api/logs", authenticateToken, async (req, res) => {
+app.get("/api/logs", authenticateToken, requirePermission('logs.view'), async (req, res) => {
   try {
     console.log('Requisição GET /api/logs recebida para UID:', req.user.uid);
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    const isAdmin = user?.cargo === 'admin';
-    
     let logs;
-    if (isAdmin) {
-      // Admin vê todos os logs
+    if (userCan(req.user, 'logs.view_all')) {
+      // Admin, supervisor e auditor veem todos os logs
       logs = await getActivityLog();
     } else {
       // Usuário comum vê apenas seus logs
@@ -1220,49 +2091,11 @@ app.post("/api/logs", authenticateToken, async (req, res) => {
   }
 });
 
-// Configuração do Multer para upload de arquivos
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const taskDir = path.join(uploadsDir, req.body.taskId || 'general');
-    if (!fs.existsSync(taskDir)) {
-      fs.mkdirSync(taskDir, { recursive: true });
-    }
-    cb(null, taskDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}_${uuidv4()}_${file.originalname}`;
-    cb(null, uniqueName);
-  }
-});
-
-// Filtros de arquivo para segurança
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-    'application/pdf', 'application/msword', 
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel', 
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/plain', 'text/csv'
-  ];
-  
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Tipo de arquivo não suportado'), false);
-  }
-};
-
-const upload = multer({ 
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limite
-  }
-});
+// Upload de comprovantes: pasta da tarefa informada no corpo do form
+const upload = createTaskUpload((req) => req.body.taskId);
 
 // Endpoint para upload de arquivo
-app.post('/api/upload', authenticateToken, upload.single('file'), async (req, res) => {
+app.post('/api/upload', authenticateToken, requirePermission('files.upload'), upload.single('file'), async (req, res) => {
   try {
     console.log('[UPLOAD] Iniciando upload de arquivo');
     console.log('[UPLOAD] Dados do body:', req.body);
@@ -1280,6 +2113,14 @@ app.post('/api/upload', authenticateToken, upload.single('file'), async (req, re
       });
       return res.status(400).json({ error: 'taskId é obrigatório' });
     }
+
+    const task = await getTaskById(taskId);
+    if (!await canViewTask(req.user, task)) {
+      fs.unlink(req.file.path, (err) => {
+        if (err) console.error('Erro ao remover arquivo:', err);
+      });
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
     
     // Salvar metadata no banco SQLite
     const fileData = {
@@ -1326,13 +2167,14 @@ app.post('/api/upload', authenticateToken, upload.single('file'), async (req, re
 });
 
 // Endpoint para download de arquivo
-app.get('/api/files/:fileId/download', authenticateToken, async (req, res) => {
+app.get('/api/files/:fileId/download', authenticateToken, requirePermission('files.view'), async (req, res) => {
   try {
     const { fileId } = req.params;
     console.log('[DOWNLOAD] Solicitando download do arquivo:', fileId);
     
     const fileRecord = await getFileById(fileId);
-    if (!fileRecord) {
+    // Anexos de comentários excluídos ficam só no histórico
+    if (!fileRecord || !await anexoDisponivel(fileRecord) || !await canViewTask(req.user, await getTaskById(fileRecord.task_id))) {
       return res.status(404).json({ error: 'Arquivo não encontrado' });
     }
     
@@ -1363,24 +2205,19 @@ app.get('/api/files/:fileId/download', authenticateToken, async (req, res) => {
 });
 
 // Endpoint para listar arquivos de uma tarefa
-app.get('/api/files/task/:taskId', authenticateToken, async (req, res) => {
+app.get('/api/files/task/:taskId', authenticateToken, requirePermission('files.view'), async (req, res) => {
   try {
     const { taskId } = req.params;
     console.log('[LIST FILES] Listando arquivos da tarefa:', taskId);
+
+    if (!await canViewTask(req.user, await getTaskById(taskId))) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
     
     const files = await getFilesByTaskId(taskId);
     
     // Converter para formato compatível com o frontend
-    const response = files.map(file => ({
-      id: file.id,
-      url: `/api/files/${file.id}/download`,
-      name: file.original_name,
-      size: file.size,
-      type: file.mime_type,
-      uploadDate: file.upload_date,
-      uploadedBy: file.uploaded_by,
-      downloadCount: file.download_count
-    }));
+    const response = files.map(toComprovanteResponse);
     
     console.log('[LIST FILES] Encontrados', response.length, 'arquivos');
     res.status(200).json(response);
@@ -1396,17 +2233,14 @@ app.delete('/api/files/:fileId', authenticateToken, async (req, res) => {
     const { fileId } = req.params;
     
     const fileRecord = await getFileById(fileId);
-    if (!fileRecord) {
+    // Anexos de comentários excluídos ficam só no histórico
+    if (!fileRecord || !await anexoDisponivel(fileRecord) || !await canViewTask(req.user, await getTaskById(fileRecord.task_id))) {
       return res.status(404).json({ error: 'Arquivo não encontrado' });
     }
     
-    // Verificar se o usuário pode deletar (só quem fez upload ou admin)
-    if (fileRecord.uploaded_by !== req.user.uid) {
-      // Verificar se é admin usando SQLite
-      const user = await getUserByUid(req.user.uid);
-      if (!user || user.cargo !== 'admin') {
-        return res.status(403).json({ error: 'Acesso não autorizado' });
-      }
+    // Verificar se o usuário pode deletar (só quem fez upload ou quem tem files.delete)
+    if (fileRecord.uploaded_by !== req.user.uid && !userCan(req.user, 'files.delete')) {
+      return res.status(403).json({ error: 'Acesso não autorizado' });
     }
     
     // Registrar log de atividade (mantém histórico mesmo após remoção do arquivo)
@@ -1436,20 +2270,11 @@ app.delete('/api/files/:fileId', authenticateToken, async (req, res) => {
   }
 });
 
-// Endpoint estático para servir arquivos (alternativo ao download)
-app.use('/uploads', express.static(uploadsDir));
-
 // Endpoint para listar obrigações tributárias disponíveis
-app.get('/api/agenda-tributaria/obrigacoes', authenticateToken, async (req, res) => {
+app.get('/api/agenda-tributaria/obrigacoes', authenticateToken, requirePermission('agenda.view'), async (req, res) => {
   try {
     console.log('[AGENDA-TRIBUTARIA] Listando obrigações disponíveis');
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem acessar a agenda tributária" });
-    }
-    
     // Mapear obrigações para formato simplificado
     const obrigacoesPorMes = OBRIGACOES_TRIBUTARIAS.map(mesObj => ({
       mes: mesObj.mes,
@@ -1474,18 +2299,12 @@ app.get('/api/agenda-tributaria/obrigacoes', authenticateToken, async (req, res)
 });
 
 // Endpoint para criar tarefas de um mês específico
-app.post('/api/agenda-tributaria/criar-mes', authenticateToken, async (req, res) => {
+app.post('/api/agenda-tributaria/criar-mes', authenticateToken, requirePermission('agenda.generate'), async (req, res) => {
   try {
     const { ano, mes, responsavelEmail } = req.body;
     
     console.log('[AGENDA-TRIBUTARIA] Criando tarefas para mês específico:', { ano, mes, responsavelEmail });
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem criar tarefas da agenda tributária" });
-    }
-    
     // Validar parâmetros
     if (!ano || !mes || mes < 1 || mes > 12) {
       return res.status(400).json({ error: "Ano e mês são obrigatórios. Mês deve estar entre 1 e 12." });
@@ -1522,18 +2341,12 @@ app.post('/api/agenda-tributaria/criar-mes', authenticateToken, async (req, res)
 });
 
 // Endpoint para criar tarefas do ano completo
-app.post('/api/agenda-tributaria/criar-ano', authenticateToken, async (req, res) => {
+app.post('/api/agenda-tributaria/criar-ano', authenticateToken, requirePermission('agenda.generate'), async (req, res) => {
   try {
     const { ano, responsavelEmail } = req.body;
     
     console.log('[AGENDA-TRIBUTARIA] Criando tarefas para ano completo:', { ano, responsavelEmail });
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem criar tarefas da agenda tributária" });
-    }
-    
     // Validar parâmetros
     if (!ano || ano < 2020 || ano > 2030) {
       return res.status(400).json({ error: "Ano é obrigatório e deve estar entre 2020 e 2030." });
@@ -1582,18 +2395,12 @@ app.post('/api/agenda-tributaria/criar-ano', authenticateToken, async (req, res)
 });
 
 // Endpoint para criar tarefas do próximo mês
-app.post('/api/agenda-tributaria/proximo-mes', authenticateToken, async (req, res) => {
+app.post('/api/agenda-tributaria/proximo-mes', authenticateToken, requirePermission('agenda.generate'), async (req, res) => {
   try {
     const { responsavelEmail } = req.body;
     
     console.log('[AGENDA-TRIBUTARIA] Criando tarefas para próximo mês:', { responsavelEmail });
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem criar tarefas da agenda tributária" });
-    }
-    
     // Calcular próximo mês
     const dataAtual = new Date();
     const proximoMes = dataAtual.getMonth() + 2; // +1 para próximo mês, +1 porque getMonth() é 0-based
@@ -1635,16 +2442,10 @@ app.post('/api/agenda-tributaria/proximo-mes', authenticateToken, async (req, re
 });
 
 // Endpoint para buscar e atualizar a agenda tributária automaticamente
-app.get('/api/agenda-tributaria/buscar-atualizacoes', authenticateToken, async (req, res) => {
+app.get('/api/agenda-tributaria/buscar-atualizacoes', authenticateToken, requirePermission('agenda.view'), async (req, res) => {
   try {
     console.log('[AGENDA-AUTOMATIZADA] Buscando atualizações da agenda tributária');
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem buscar atualizações da agenda tributária" });
-    }
-    
     // Buscar atualizações da agenda tributária
     const agendaAtualizada = await buscarAgendaTributariaAtualizada();
     
@@ -1670,16 +2471,10 @@ app.get('/api/agenda-tributaria/buscar-atualizacoes', authenticateToken, async (
 });
 
 // Endpoint para listar obrigações tributárias completas (incluindo dados automatizados)
-app.get('/api/agenda-tributaria/obrigacoes-completas', authenticateToken, async (req, res) => {
+app.get('/api/agenda-tributaria/obrigacoes-completas', authenticateToken, requirePermission('agenda.view'), async (req, res) => {
   try {
     console.log('[AGENDA-AUTOMATIZADA] Listando obrigações completas');
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem acessar as obrigações completas" });
-    }
-    
     console.log('[AGENDA-AUTOMATIZADA] Tipo de AGENDA_TRIBUTARIA_COMPLETA:', typeof AGENDA_TRIBUTARIA_COMPLETA);
     console.log('[AGENDA-AUTOMATIZADA] Chaves de AGENDA_TRIBUTARIA_COMPLETA:', Object.keys(AGENDA_TRIBUTARIA_COMPLETA));
     
@@ -1723,18 +2518,12 @@ app.get('/api/agenda-tributaria/obrigacoes-completas', authenticateToken, async
 });
 
 // Endpoint para criar tarefas usando dados da API (sistema automatizado)
-app.post('/api/agenda-tributaria/criar-mes-api', authenticateToken, async (req, res) => {
+app.post('/api/agenda-tributaria/criar-mes-api', authenticateToken, requirePermission('agenda.generate'), async (req, res) => {
   try {
     const { ano, mes, responsavelEmail, filtros } = req.body;
     
     console.log('[AGENDA-AUTOMATIZADA] Criando tarefas com dados da API:', { ano, mes, responsavelEmail, filtros });
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem criar tarefas da agenda tributária" });
-    }
-    
     // Validar parâmetros
     if (!ano || !mes || mes < 1 || mes > 12) {
       return res.status(400).json({ error: "Ano e mês são obrigatórios. Mês deve estar entre 1 e 12." });
@@ -1772,14 +2561,8 @@ app.post('/api/agenda-tributaria/criar-mes-api', authenticateToken, async (req,
 });
 
 // Endpoint para buscar obrigações estaduais
-app.get('/api/agenda-tributaria/obrigacoes-estaduais', authenticateToken, async (req, res) => {
+app.get('/api/agenda-tributaria/obrigacoes-estaduais', authenticateToken, requirePermission('agenda.view'), async (req, res) => {
   try {
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem acessar as obrigações estaduais" });
-    }
-    
     // Obrigações estaduais específicas conforme solicitado
     // ICMS Comércio Varejista, Indústria, Transporte (dia 08)
     // ICMS ST (dia 09)
@@ -1862,18 +2645,12 @@ app.get('/api/agenda-tributaria/obrigacoes-estaduais', authenticateToken, async
 });
 
 // Endpoint para criar tarefas do ano completo usando dados da API
-app.post('/api/agenda-tributaria/criar-ano-api', authenticateToken, async (req, res) => {
+app.post('/api/agenda-tributaria/criar-ano-api', authenticateToken, requirePermission('agenda.generate'), async (req, res) => {
   try {
     const { ano, responsavelEmail, filtros } = req.body;
     
     console.log('[AGENDA-AUTOMATIZADA] Criando tarefas do ano com dados da API:', { ano, responsavelEmail, filtros });
     
-    // Verificar se é admin
-    const user = await getUserByUid(req.user.uid);
-    if (!user || user.cargo !== 'admin') {
-      return res.status(403).json({ error: "Apenas administradores podem criar tarefas da agenda tributária" });
-    }
-    
     // Validar parâmetros
     if (!ano || ano < 2020 || ano > 2030) {
       return res.status(400).json({ error: "Ano é obrigatório e deve estar entre 2020 e 2030." });
@@ -1948,6 +2725,30 @@ app.post('/api/agenda-tributaria/criar-ano-api', authenticateToken, async (req,
 // Rotas RPA Domínio
 app.use('/api', rpaRoutes);
 
+// Rotas de empresas clientes
+app.use('/api', empresasRoutes);
+
+// Campos personalizados e notas das empresas
+app.use('/api', empresaCamposRoutes);
+
+// Matriz de atribuição e carga de trabalho da equipe
+app.use('/api', atribuicoesRoutes);
+
+// Portal do cliente e caixa de documentos enviados pelos clientes
+app.use('/api', portalRoutes);
+
+// Solicitações de documentos ao cliente
+app.use('/api', solicitacoesRoutes);
+
+// Checklist das tarefas e modelos de tarefa
+app.use('/api', checklistRoutes);
+
+// Dependências entre tarefas
+app.use('/api', dependenciasRoutes);
+
+// Comentários e menções nas tarefas
+app.use('/api', comentariosRoutes);
+
 // servir build do frontend (Vite) pelo Node
 const frontendDist = path.resolve(__dirname, '../frontend/dist');
 
@@ -1967,4 +2768,6 @@ if (fs.existsSync(frontendDist)) {
 // Iniciar o servidor
 app.listen(PORT, () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
+  iniciarLembretesSolicitacoes({ portalUrl: app.get('portalUrl') });
+  iniciarAgendadorRecorrencias();
 });
@@ -0,0 +1,55 @@
+// Matriz de atribuição: empresa × categoria de obrigação → responsável e substituto
+//
+// A categoria é deduzida do título da obrigação (como as condições em perfilObrigacoes.js).
+// Na geração da agenda, o responsável da matriz recebe a tarefa; se ele estiver ausente no
+// vencimento (usuarios.ausente_ate) ou tiver sido removido, a tarefa vai para o substituto.
+
+const CATEGORIAS_OBRIGACAO = [
+  { id: 'federal', label: 'Federal' },
+  { id: 'trabalhista', label: 'Trabalhista', padrao: /^(eSocial|FGTS|RAIS|GPS)\b/ },
+  { id: 'estadual', label: 'Estadual', padrao: /^ICMS\b/ },
+  { id: 'municipal', label: 'Municipal', padrao: /^(ISS\b|Envio de relação de alvarás)/ },
+  { id: 'contabil', label: 'Contábil', padrao: /^(ECD|ECF)\b/ }
+];
+
+const IDS_CATEGORIAS = CATEGORIAS_OBRIGACAO.map(({ id }) => id);
+
+/**
+ * Categoria da obrigação; o que não é trabalhista, estadual, municipal ou contábil é federal.
+ * @returns {'federal'|'trabalhista'|'estadual'|'municipal'|'contabil'}
+ */
+function categoriaObrigacao(obrigacao) {
+  const categoria = CATEGORIAS_OBRIGACAO.find(({ padrao }) => padrao && padrao.test(obrigacao.titulo));
+  return categoria ? categoria.id : 'federal';
+}
+
+// Ausente quando ausente_ate cobre a data (YYYY-MM-DD) do vencimento
+const estaAusente = (usuario, data) => Boolean(usuario.ausente_ate) && usuario.ausente_ate >= data;
+
+/**
+ * Responsável da tarefa segundo a matriz.
+ * @param {Object} atribuicao - Linha de empresa_atribuicoes (ou undefined)
+ * @param {string} dataVencimento - Data ISO do vencimento da tarefa
+ * @param {Map<string, Object>} usuariosPorId - Usuários por uid
+ * @returns {{ usuario: Object, origem: 'matriz'|'substituto' }|null} null quando a matriz não resolve
+ */
+function responsavelDaMatriz(atribuicao, dataVencimento, usuariosPorId) {
+  if (!atribuicao) return null;
+  const data = String(dataVencimento).slice(0, 10);
+  const titular = atribuicao.responsavel_id && usuariosPorId.get(atribuicao.responsavel_id);
+  if (titular && !estaAusente(titular, data)) return { usuario: titular, origem: 'matriz' };
+
+  const substituto = atribuicao.backup_id && usuariosPorId.get(atribuicao.backup_id);
+  if (substituto && !estaAusente(substituto, data)) return { usuario: substituto, origem: 'substituto' };
+
+  // Titular e substituto ausentes: a tarefa fica com o titular mesmo assim
+  return titular ? { usuario: titular, origem: 'matriz' } : null;
+}
+
+module.exports = {
+  CATEGORIAS_OBRIGACAO: CATEGORIAS_OBRIGACAO.map(({ id, label }) => ({ id, label })),
+  IDS_CATEGORIAS,
+  categoriaObrigacao,
+  estaAusente,
+  responsavelDaMatriz
+};
@@ -0,0 +1,34 @@
+// Dependências entre obrigações da agenda tributária (término → início)
+//
+// Na geração do mês, as tarefas criadas juntas (as de cada empresa, na geração por empresa)
+// são vinculadas conforme a tabela abaixo. As obrigações são identificadas pelo título, como
+// em perfilObrigacoes.js e atribuicoes.js.
+
+const DEPENDENCIAS_OBRIGACOES = [
+  // A DCTFWeb é apurada com os eventos do eSocial e da EFD-Reinf: os dois fecham antes
+  { obrigacao: /^DCTFWeb\b/, predecessoras: [/^EFD-Reinf\b/, /^eSocial\b/] },
+  // O DARF das contribuições previdenciárias (guia do INSS) é emitido pela DCTFWeb transmitida
+  { obrigacao: /^GPS\b/, predecessoras: [/^DCTFWeb\b/] }
+];
+
+/**
+ * Vínculos entre as tarefas geradas juntas, conforme DEPENDENCIAS_OBRIGACOES.
+ * @param {Object[]} tarefas - Dados das tarefas criadas ({ id, titulo })
+ * @returns {Array<{ predecessoraId, sucessoraId }>}
+ */
+function vinculosObrigacoes(tarefas) {
+  const vinculos = [];
+  for (const { obrigacao, predecessoras } of DEPENDENCIAS_OBRIGACOES) {
+    for (const sucessora of tarefas.filter((tarefa) => obrigacao.test(tarefa.titulo))) {
+      for (const predecessora of tarefas.filter((tarefa) => predecessoras.some((padrao) => padrao.test(tarefa.titulo)))) {
+        vinculos.push({ predecessoraId: predecessora.id, sucessoraId: sucessora.id });
+      }
+    }
+  }
+  return vinculos;
+}
+
+module.exports = {
+  DEPENDENCIAS_OBRIGACOES,
+  vinculosObrigacoes
+};
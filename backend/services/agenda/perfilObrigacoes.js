@@ -0,0 +1,92 @@
+// Perfil de obrigações das empresas clientes
+//
+// Decide quais obrigações da agenda tributária se aplicam a cada empresa:
+// - regime tributário da empresa (campo regimeTributario da obrigação)
+// - eSocial, FGTS e RAIS só para empresas com empregados
+// - ICMS só para contribuintes do ICMS
+// - ISS só quando a empresa tem município de ISS definido
+// - obrigações setoriais (DOI, DMED, e-Financeira...) só por inclusão manual
+// As inclusões e exclusões manuais prevalecem sobre as regras acima.
+// As obrigações são identificadas pelo título, que é estável entre os meses.
+
+const CONDICOES = [
+  { id: 'empregados', label: 'Empresas com empregados', padrao: /^(eSocial|FGTS|RAIS)\b/ },
+  { id: 'icms', label: 'Contribuintes do ICMS', padrao: /^ICMS\b/ },
+  { id: 'iss', label: 'Empresas com ISS municipal', padrao: /^ISS\b/ }
+];
+
+/**
+ * Condição do perfil exigida pela obrigação, além do regime.
+ * @returns {'empregados'|'icms'|'iss'|'setorial'|null}
+ */
+function condicaoObrigacao(obrigacao) {
+  const condicao = CONDICOES.find(({ padrao }) => padrao.test(obrigacao.titulo));
+  if (condicao) return condicao.id;
+  if (obrigacao.setor && obrigacao.setor.length) return 'setorial';
+  return null;
+}
+
+function atendeCondicao(condicao, empresa) {
+  switch (condicao) {
+    case 'empregados': return Boolean(empresa.possui_empregados);
+    case 'icms': return Boolean(empresa.contribuinte_icms);
+    case 'iss': return Boolean(empresa.iss_municipio);
+    case 'setorial': return false;
+    default: return true;
+  }
+}
+
+/**
+ * Obrigações do mês que se aplicam à empresa.
+ * @param {Object[]} obrigacoes - Obrigações do mês (OBRIGACOES_TRIBUTARIAS[n].obrigacoes)
+ * @param {Object} empresa - Linha da tabela empresas
+ * @param {Object[]} ajustes - Linhas de empresa_obrigacoes_ajustes da empresa
+ * @returns {Object[]} Cópias das obrigações, com observacoes complementadas quando necessário
+ */
+function obrigacoesDaEmpresa(obrigacoes, empresa, ajustes = []) {
+  const incluir = new Set(ajustes.filter((a) => a.tipo === 'incluir').map((a) => a.obrigacao));
+  const excluir = new Set(ajustes.filter((a) => a.tipo === 'excluir').map((a) => a.obrigacao));
+
+  return obrigacoes
+    .filter((obrigacao) => {
+      if (excluir.has(obrigacao.titulo)) return false;
+      if (incluir.has(obrigacao.titulo)) return true;
+      const doRegime = !obrigacao.regimeTributario || obrigacao.regimeTributario.includes(empresa.regime_tributario);
+      return doRegime && atendeCondicao(condicaoObrigacao(obrigacao), empresa);
+    })
+    .map((obrigacao) => {
+      if (condicaoObrigacao(obrigacao) === 'iss' && empresa.iss_municipio) {
+        return { ...obrigacao, observacoes: `${obrigacao.observacoes}\n🏙️ Município do ISS: ${empresa.iss_municipio}` };
+      }
+      return { ...obrigacao };
+    });
+}
+
+/**
+ * Obrigações distintas da agenda, para montar o perfil das empresas.
+ * @param {Object[]} obrigacoesPorMes - OBRIGACOES_TRIBUTARIAS
+ * @returns {Object[]} [{ titulo, regimes, condicao, meses }]
+ */
+function catalogoObrigacoes(obrigacoesPorMes) {
+  const porTitulo = new Map();
+  obrigacoesPorMes.forEach(({ mes, obrigacoes }) => {
+    obrigacoes.forEach((obrigacao) => {
+      const item = porTitulo.get(obrigacao.titulo) || {
+        titulo: obrigacao.titulo,
+        regimes: obrigacao.regimeTributario || [],
+        condicao: condicaoObrigacao(obrigacao),
+        meses: []
+      };
+      if (!item.meses.includes(mes)) item.meses.push(mes);
+      porTitulo.set(obrigacao.titulo, item);
+    });
+  });
+  return [...porTitulo.values()].sort((a, b) => a.titulo.localeCompare(b.titulo));
+}
+
+module.exports = {
+  CONDICOES: CONDICOES.map(({ id, label }) => ({ id, label })),
+  condicaoObrigacao,
+  obrigacoesDaEmpresa,
+  catalogoObrigacoes
+};
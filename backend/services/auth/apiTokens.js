@@ -0,0 +1,75 @@
+// Tokens pessoais de API: acesso de scripts e integrações sem usar o login de alguém.
+// O token ("pat_...") é mostrado uma única vez; no banco fica apenas o hash.
+const { v4: uuidv4 } = require('uuid');
+const {
+  createApiToken,
+  getApiTokenByHash,
+  touchApiToken,
+  getUserByUid
+} = require('../../database');
+const { generateToken, hashToken } = require('./tokens');
+const { PERMISSIONS, getRolePermissions } = require('./permissions');
+
+const API_TOKEN_PREFIX = 'pat_';
+const API_TOKEN_MAX_DAYS = parseInt(process.env.API_TOKEN_MAX_DAYS, 10) || 365;
+
+const isApiToken = (token) => String(token || '').startsWith(API_TOKEN_PREFIX);
+
+// Escopos = permissões do cargo; o token nunca vale mais que o cargo atual do dono
+function effectivePermissions(cargo, scopes) {
+  const rolePermissions = getRolePermissions(cargo);
+  return (scopes || []).filter((scope) => rolePermissions.includes(scope));
+}
+
+// Escopos que o usuário pode conceder a um novo token
+function listAvailableScopes(cargo) {
+  return getRolePermissions(cargo).map((id) => ({ id, label: PERMISSIONS[id] }));
+}
+
+/**
+ * Cria um token para o usuário.
+ * @param {Object} params - { userData (linha de usuarios), nome, scopes, expiresInDays }
+ * @returns {Promise<Object>} { token (texto puro, exibir uma vez), record }
+ */
+async function issueApiToken({ userData, nome, scopes, expiresInDays }) {
+  const token = `${API_TOKEN_PREFIX}${generateToken(32)}`;
+  const record = await createApiToken({
+    id: uuidv4(),
+    userId: userData.uid,
+    nome,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+  });
+  return { token, record };
+}
+
+/**
+ * Valida o token recebido no header Authorization e registra o uso.
+ * @param {string} token
+ * @param {string} ip
+ * @returns {Promise<Object|null>} { apiToken, userData } ou null se inválido, revogado ou expirado
+ */
+async function resolveApiToken(token, ip) {
+  const apiToken = await getApiTokenByHash(hashToken(token));
+  if (!apiToken || apiToken.revoked_at || new Date(apiToken.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const userData = await getUserByUid(apiToken.user_id);
+  if (!userData) return null;
+
+  touchApiToken(apiToken.id, ip || null).catch(() => {});
+  return { apiToken, userData };
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  API_TOKEN_MAX_DAYS,
+  isApiToken,
+  effectivePermissions,
+  listAvailableScopes,
+  issueApiToken,
+  resolveApiToken
+};
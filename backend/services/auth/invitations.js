@@ -0,0 +1,82 @@
+// Convites por email e controle do autocadastro
+const { v4: uuidv4 } = require('uuid');
+const {
+  getSetting,
+  setSetting,
+  createInvite,
+  getInviteByHash,
+  revokePendingInvitesByEmail
+} = require('../../database');
+const { generateToken, hashToken } = require('./tokens');
+const { ROLES, normalizeRole } = require('./permissions');
+const { sendMail } = require('../mail/mailer');
+const { invitationEmail } = require('../mail/templates');
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+
+// Chave em configuracoes: false desliga o /api/cadastro (apenas convites)
+const OPEN_REGISTRATION_SETTING = 'auth.cadastro_aberto';
+
+async function isRegistrationOpen() {
+  return Boolean(await getSetting(OPEN_REGISTRATION_SETTING, true));
+}
+
+async function setRegistrationOpen(open, updatedBy) {
+  await setSetting(OPEN_REGISTRATION_SETTING, Boolean(open), updatedBy);
+  return Boolean(open);
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Cria o convite e envia o link por email. Convites pendentes do mesmo email são revogados.
+ * @param {Object} params - { email, nomeCompleto, cargo, invitedBy (linha de usuarios), frontendUrl }
+ * @returns {Promise<Object>} { id, email, cargo, expiresAt }
+ */
+async function sendInvitation({ email, nomeCompleto, cargo, invitedBy, frontendUrl }) {
+  const normalizedEmail = normalizeEmail(email);
+  await revokePendingInvitesByEmail(normalizedEmail);
+
+  const token = generateToken(32);
+  const invite = await createInvite({
+    id: uuidv4(),
+    email: normalizedEmail,
+    nomeCompleto: nomeCompleto || null,
+    cargo,
+    tokenHash: hashToken(token),
+    invitedBy: invitedBy.uid,
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  const inviteUrl = `${frontendUrl}/convite?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: normalizedEmail,
+    ...invitationEmail({
+      nome: nomeCompleto,
+      convidadoPor: invitedBy.nome_completo || invitedBy.nomeCompleto,
+      cargoLabel: ROLES[normalizeRole(cargo)].label,
+      inviteUrl,
+      expiresDays: INVITE_TTL_DAYS
+    })
+  });
+
+  return invite;
+}
+
+// Convite pelo token do link, apenas se ainda puder ser usado
+async function findValidInvite(token) {
+  const invite = token ? await getInviteByHash(hashToken(token)) : null;
+  if (!invite || invite.accepted_at || invite.revoked_at || new Date(invite.expires_at) <= new Date()) {
+    return null;
+  }
+  return invite;
+}
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  isRegistrationOpen,
+  setRegistrationOpen,
+  normalizeEmail,
+  sendInvitation,
+  findValidInvite
+};
@@ -0,0 +1,124 @@
+// Proteção contra força bruta no login: contadores por conta (email) e por IP,
+// atraso progressivo a cada falha e bloqueio temporário ao atingir o limite
+const {
+  getLoginThrottle,
+  recordLoginFailure,
+  lockLoginThrottle,
+  clearLoginThrottle,
+  getLockedAccounts
+} = require('../../database');
+
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const FAILURE_WINDOW_MINUTES = 15;
+const MAX_DELAY_MS = 8000;
+
+const accountKey = (email) => String(email || '').trim().toLowerCase();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 0s nas duas primeiras falhas, depois 1s, 2s, 4s... até MAX_DELAY_MS
+function delayFor(failures) {
+  if (failures < 2) return 0;
+  return Math.min(1000 * 2 ** (failures - 2), MAX_DELAY_MS);
+}
+
+async function activeEntry(scope, identifier) {
+  const row = await getLoginThrottle(scope, identifier);
+  if (!row) return null;
+
+  const now = new Date();
+  if (row.locked_until && new Date(row.locked_until) <= now) {
+    // Bloqueio vencido: a contagem recomeça do zero
+    await clearLoginThrottle(scope, identifier);
+    return null;
+  }
+  if (!row.locked_until && new Date(row.last_failure_at) <= new Date(now - FAILURE_WINDOW_MINUTES * 60 * 1000)) {
+    return null;
+  }
+  return row;
+}
+
+/**
+ * Verifica se uma tentativa de login pode prosseguir e aplica o atraso progressivo.
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<Object>} { allowed, retryAfterSeconds }
+ */
+async function checkLoginAllowed(email, ip) {
+  const [account, ipEntry] = await Promise.all([
+    activeEntry('account', accountKey(email)),
+    ip ? activeEntry('ip', ip) : null
+  ]);
+
+  const locked = [account, ipEntry].find((entry) => entry?.locked_until);
+  if (locked) {
+    const retryAfterSeconds = Math.ceil((new Date(locked.locked_until) - Date.now()) / 1000);
+    return { allowed: false, retryAfterSeconds: Math.max(retryAfterSeconds, 1) };
+  }
+
+  const failures = Math.max(account?.failures || 0, ipEntry?.failures || 0);
+  const delay = delayFor(failures);
+  if (delay) await sleep(delay);
+
+  return { allowed: true, retryAfterSeconds: 0 };
+}
+
+/**
+ * Registra uma falha (senha ou código 2FA incorretos) e bloqueia quando atingir o limite.
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<Object>} { accountLocked, failures } - accountLocked só na falha que gerou o bloqueio
+ */
+async function registerLoginFailure(email, ip) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const windowStart = new Date(now - FAILURE_WINDOW_MINUTES * 60 * 1000).toISOString();
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+
+  const account = await recordLoginFailure('account', accountKey(email), nowIso, windowStart);
+  let accountLocked = false;
+  if (account.failures >= ACCOUNT_MAX_FAILURES && !account.locked_until) {
+    await lockLoginThrottle('account', accountKey(email), lockedUntil);
+    accountLocked = true;
+  }
+
+  if (ip) {
+    const ipEntry = await recordLoginFailure('ip', ip, nowIso, windowStart);
+    if (ipEntry.failures >= IP_MAX_FAILURES && !ipEntry.locked_until) {
+      await lockLoginThrottle('ip', ip, lockedUntil);
+      console.warn(`[LOGIN] IP ${ip} bloqueado após ${ipEntry.failures} tentativas inválidas`);
+    }
+  }
+
+  return { accountLocked, failures: account.failures };
+}
+
+// Login bem-sucedido zera a contagem da conta (a do IP continua valendo)
+async function registerLoginSuccess(email) {
+  await clearLoginThrottle('account', accountKey(email));
+}
+
+// Desbloqueio manual pelo administrador
+async function unlockAccount(email) {
+  const { deletedRows } = await clearLoginThrottle('account', accountKey(email));
+  return deletedRows > 0;
+}
+
+// Mapa email -> data de fim do bloqueio, para a tela de administração
+async function getLockedAccountsMap() {
+  const rows = await getLockedAccounts(new Date().toISOString());
+  return new Map(rows.map((row) => [row.identifier, row.locked_until]));
+}
+
+module.exports = {
+  ACCOUNT_MAX_FAILURES,
+  LOCKOUT_MINUTES,
+  accountKey,
+  checkLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockAccount,
+  getLockedAccountsMap
+};
@@ -0,0 +1,62 @@
+// Hash de senhas com scrypt (salt aleatório por senha, parâmetros gravados junto ao hash)
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Formato armazenado: scrypt$N$r$p$<salt base64>$<hash base64>
+const PREFIX = 'scrypt';
+const PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function isPasswordHash(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}$`) && value.split('$').length === 6;
+}
+
+/**
+ * Gera o hash de uma senha em texto plano.
+ * @param {string} password
+ * @returns {Promise<string>} Hash no formato scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = PARAMS;
+  const derived = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+  return [PREFIX, N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+/**
+ * Confere uma senha contra o valor armazenado em usuarios.password.
+ * Linhas antigas ainda em texto plano são aceitas e sinalizadas com needsRehash.
+ * @param {string} password - Senha informada
+ * @param {string|null} stored - Valor armazenado (hash ou texto plano legado)
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+async function verifyPassword(password, stored) {
+  if (!password || !stored) return { valid: false, needsRehash: false };
+
+  if (!isPasswordHash(stored)) {
+    const a = Buffer.from(String(password));
+    const b = Buffer.from(String(stored));
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const derived = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  const valid = crypto.timingSafeEqual(derived, expected);
+  const outdated = Number(N) !== PARAMS.N || Number(r) !== PARAMS.r || Number(p) !== PARAMS.p;
+  return { valid, needsRehash: valid && outdated };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isPasswordHash
+};
@@ -0,0 +1,124 @@
+// Cargos e permissões
+//
+// Cada cargo (usuarios.cargo) recebe um conjunto de permissões nomeadas.
+// As rotas exigem permissões via requirePermission() (middleware/auth.js),
+// nunca comparando o cargo diretamente. Consultas também têm permissão própria
+// (tasks.view, files.view...): é ela que define o escopo de um token de API.
+
+const PERMISSIONS = {
+  'tasks.view': 'Consultar as tarefas visíveis (próprias e das equipes)',
+  'tasks.view_all': 'Ver tarefas de todos os usuários',
+  'tasks.status': 'Alterar o status das tarefas visíveis, conforme o fluxo de status',
+  'tasks.create': 'Criar tarefas',
+  'tasks.edit': 'Editar tarefas',
+  'tasks.delete': 'Excluir tarefas',
+  'tasks.update_status': 'Alterar o status de tarefas de outros usuários',
+  'tasks.review': 'Aprovar ou devolver tarefas aguardando revisão (exceto as próprias)',
+  'tasks.templates': 'Gerenciar modelos de tarefa (checklists padrão)',
+  'files.view': 'Consultar e baixar os comprovantes das tarefas visíveis',
+  'files.upload': 'Anexar comprovantes às próprias tarefas',
+  'files.delete': 'Excluir comprovantes de qualquer usuário',
+  'uploads.review': 'Revisar documentos enviados pelos clientes no portal',
+  'clients.view': 'Consultar empresas clientes',
+  'clients.manage': 'Cadastrar, editar e inativar empresas clientes',
+  'clients.fields': 'Definir os campos personalizados das empresas',
+  'clients.secrets': 'Revelar campos secretos das empresas (cada acesso fica no log de atividades)',
+  'agenda.view': 'Consultar a agenda tributária',
+  'agenda.generate': 'Gerar tarefas a partir da agenda tributária',
+  'rpa.view': 'Consultar comparações de extratos',
+  'rpa.compare': 'Executar comparações de extratos',
+  'rpa.manage': 'Gerenciar plano de contas e excluir comparações',
+  'logs.view': 'Ver as próprias atividades',
+  'logs.view_all': 'Ver atividades de todos os usuários',
+  'hours.view': 'Consultar as próprias horas trabalhadas',
+  'hours.track': 'Registrar horas trabalhadas',
+  'hours.view_all': 'Ver horas trabalhadas de outros usuários',
+  'users.view': 'Consultar a lista de usuários (nome e cargo)',
+  'users.manage': 'Gerenciar usuários, cargos e senhas',
+  'portal.access': 'Acessar o portal do cliente (apenas as empresas vinculadas ao usuário)'
+};
+
+const ROLES = {
+  admin: {
+    label: 'Administrador',
+    // O portal é exclusivo dos clientes; a equipe consulta as tarefas pelo calendário
+    permissions: Object.keys(PERMISSIONS).filter((p) => p !== 'portal.access')
+  },
+  // Tarefas: apenas as das equipes que supervisiona (services/tasks/visibility.js)
+  supervisor: {
+    label: 'Supervisor',
+    permissions: [
+      'tasks.view', 'tasks.status',
+      'tasks.create', 'tasks.edit', 'tasks.delete', 'tasks.update_status', 'tasks.review', 'tasks.templates',
+      'files.view', 'files.upload', 'files.delete', 'uploads.review',
+      'clients.view', 'clients.manage', 'clients.secrets',
+      'agenda.view', 'agenda.generate',
+      'rpa.view', 'rpa.compare', 'rpa.manage',
+      'logs.view', 'logs.view_all', 'hours.view', 'hours.track', 'hours.view_all', 'users.view'
+    ]
+  },
+  contador: {
+    label: 'Contador',
+    permissions: [
+      'tasks.view', 'tasks.status', 'files.view', 'files.upload', 'clients.view', 'agenda.view', 'rpa.view', 'rpa.compare',
+      'logs.view', 'hours.view', 'hours.track', 'users.view'
+    ]
+  },
+  auditor: {
+    label: 'Auditor (somente leitura)',
+    permissions: [
+      'tasks.view', 'tasks.view_all', 'files.view', 'clients.view', 'agenda.view', 'rpa.view',
+      'logs.view', 'logs.view_all', 'hours.view', 'hours.view_all', 'users.view'
+    ]
+  },
+  // Somente o portal (routes/portalRoutes.js), restrito às empresas de usuario_empresas
+  cliente: {
+    label: 'Cliente (visualização)',
+    permissions: ['portal.access']
+  }
+};
+
+// Cargo atribuído no autocadastro e quando nenhum é informado
+const DEFAULT_ROLE = 'contador';
+
+// Cargos antigos gravados antes deste modelo
+const LEGACY_ROLES = {
+  usuario: 'contador'
+};
+
+function normalizeRole(cargo) {
+  if (ROLES[cargo]) return cargo;
+  return LEGACY_ROLES[cargo] || DEFAULT_ROLE;
+}
+
+function isValidRole(cargo) {
+  return Object.prototype.hasOwnProperty.call(ROLES, cargo);
+}
+
+function getRolePermissions(cargo) {
+  return [...ROLES[normalizeRole(cargo)].permissions];
+}
+
+function hasPermission(cargo, permission) {
+  return ROLES[normalizeRole(cargo)].permissions.includes(permission);
+}
+
+// Lista de cargos para telas de administração
+function listRoles() {
+  return Object.entries(ROLES).map(([id, role]) => ({
+    id,
+    label: role.label,
+    permissions: [...role.permissions]
+  }));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  normalizeRole,
+  isValidRole,
+  getRolePermissions,
+  hasPermission,
+  listRoles
+};
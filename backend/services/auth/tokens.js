@@ -0,0 +1,272 @@
+// Tokens de sessão: access tokens assinados (HMAC-SHA256, formato JWT) e refresh tokens revogáveis
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+  dataDir,
+  getUserByUid,
+  createRefreshToken,
+  getRefreshTokenByHash,
+  getRefreshTokenById,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('../../database');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Segredo de assinatura. Usa AUTH_SECRET quando definido; caso contrário gera
+ * um segredo aleatório e o persiste na pasta de dados para sobreviver a restarts.
+ */
+function loadSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+  const secretPath = path.join(dataDir, 'auth-secret');
+  try {
+    return fs.readFileSync(secretPath, 'utf8').trim();
+  } catch (e) {
+    const secret = crypto.randomBytes(48).toString('hex');
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    console.warn('[AUTH] AUTH_SECRET não definido - segredo gerado em', secretPath);
+    return secret;
+  }
+}
+
+const secret = loadSecret();
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function encodeToken(claims) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify(claims));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Gera um access token assinado para o usuário.
+ * @param {Object} userData - Linha da tabela usuarios
+ * @param {string} sessionId - ID do refresh token (sessão) que originou o token
+ * @returns {string} Token no formato header.payload.assinatura
+ */
+function signAccessToken(userData, sessionId) {
+  const now = Math.floor(Date.now() / 1000);
+  return encodeToken({
+    typ: 'access',
+    sub: userData.uid,
+    email: userData.email,
+    sid: sessionId,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS
+  });
+}
+
+/**
+ * Gera o token temporário da segunda etapa do login (2FA). Ele só é aceito
+ * pelas rotas /api/login/2fa*, nunca como access token.
+ * @param {Object} userData - Linha da tabela usuarios
+ * @returns {string}
+ */
+function signMfaToken(userData) {
+  const now = Math.floor(Date.now() / 1000);
+  return encodeToken({
+    typ: 'mfa',
+    sub: userData.uid,
+    iat: now,
+    exp: now + MFA_TOKEN_TTL_SECONDS
+  });
+}
+
+function decodeToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new TokenError('Token inválido', 'TOKEN_INVALID');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new TokenError('Token inválido', 'TOKEN_INVALID');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new TokenError('Token inválido', 'TOKEN_INVALID');
+  }
+
+  if (!claims.sub || !claims.exp) {
+    throw new TokenError('Token inválido', 'TOKEN_INVALID');
+  }
+  if (claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenError('Token expirado', 'TOKEN_EXPIRED');
+  }
+  return claims;
+}
+
+/**
+ * Valida assinatura, tipo e expiração de um access token.
+ * @param {string} token
+ * @returns {Object} Payload decodificado
+ * @throws {TokenError} TOKEN_INVALID ou TOKEN_EXPIRED
+ */
+function verifyAccessToken(token) {
+  const claims = decodeToken(token);
+  // Tokens emitidos antes do claim "typ" são access tokens
+  if ((claims.typ || 'access') !== 'access') {
+    throw new TokenError('Token inválido', 'TOKEN_INVALID');
+  }
+  return claims;
+}
+
+/**
+ * Valida o token temporário da etapa de 2FA.
+ * @param {string} token
+ * @returns {Object} Payload decodificado
+ * @throws {TokenError} MFA_INVALID quando inválido ou expirado
+ */
+function verifyMfaToken(token) {
+  let claims;
+  try {
+    claims = decodeToken(token);
+  } catch (e) {
+    throw new TokenError('Etapa de verificação expirada. Faça login novamente.', 'MFA_INVALID');
+  }
+  if (claims.typ !== 'mfa') {
+    throw new TokenError('Etapa de verificação expirada. Faça login novamente.', 'MFA_INVALID');
+  }
+  return claims;
+}
+
+// Token opaco aleatório (refresh, redefinição de senha, convites...)
+function generateToken(bytes = 48) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function refreshExpiryDate() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Abre uma nova sessão para o usuário (após login/cadastro).
+ * @param {Object} userData - Linha da tabela usuarios
+ * @param {Object} req - Request do Express (user-agent e IP da sessão)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+async function issueSession(userData, req) {
+  const sessionId = uuidv4();
+  const refreshToken = generateToken();
+
+  await createRefreshToken({
+    id: sessionId,
+    userId: userData.uid,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiryDate(),
+    userAgent: req?.headers?.['user-agent'] || null,
+    ip: req?.ip || null
+  });
+
+  return {
+    token: signAccessToken(userData, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Troca um refresh token válido por um novo par de tokens (rotação).
+ * @param {string} refreshToken
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, userData }
+ * @throws {TokenError} REFRESH_INVALID quando o token não existe, expirou ou foi revogado
+ */
+async function refreshSession(refreshToken) {
+  const tokenHash = refreshToken ? hashToken(refreshToken) : null;
+  const stored = tokenHash ? await getRefreshTokenByHash(tokenHash) : null;
+  if (!stored || stored.revoked_at || new Date(stored.expires_at) <= new Date()) {
+    throw new TokenError('Sessão expirada. Faça login novamente.', 'REFRESH_INVALID');
+  }
+
+  const userData = await getUserByUid(stored.user_id);
+  if (!userData) {
+    await revokeRefreshToken(stored.id);
+    throw new TokenError('Sessão expirada. Faça login novamente.', 'REFRESH_INVALID');
+  }
+
+  const newRefreshToken = generateToken();
+  const { updatedRows } = await rotateRefreshToken(stored.id, tokenHash, hashToken(newRefreshToken), refreshExpiryDate());
+  // 0 linhas: outra requisição já trocou este token (ou a sessão foi revogada nesse meio tempo)
+  if (!updatedRows) {
+    throw new TokenError('Sessão expirada. Faça login novamente.', 'REFRESH_INVALID');
+  }
+
+  return {
+    token: signAccessToken(userData, stored.id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    userData
+  };
+}
+
+/**
+ * Sessão (refresh token) ainda ativa do usuário. Usada pelo middleware para
+ * recusar access tokens de sessões revogadas antes de expirarem.
+ * @param {string} sessionId - Claim "sid" do access token
+ * @param {string} userId - Claim "sub" do access token
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveSession(sessionId, userId) {
+  if (!sessionId) return null;
+  const session = await getRefreshTokenById(sessionId);
+  if (!session || session.user_id !== userId || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Revoga a sessão associada a um refresh token (logout).
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} true se alguma sessão foi revogada
+ */
+async function revokeSession(refreshToken) {
+  if (!refreshToken) return false;
+  const stored = await getRefreshTokenByHash(hashToken(refreshToken));
+  if (!stored) return false;
+  const { revokedRows } = await revokeRefreshToken(stored.id);
+  return revokedRows > 0;
+}
+
+module.exports = {
+  TokenError,
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+  generateToken,
+  hashToken,
+  issueSession,
+  refreshSession,
+  getActiveSession,
+  revokeSession
+};
@@ -0,0 +1,111 @@
+// TOTP (RFC 6238) para autenticação em dois fatores, compatível com Google Authenticator, Authy etc.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.TOTP_ISSUER || 'Calendário de Obrigações';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Segredo de 160 bits em base32 (tamanho recomendado pela RFC 4226)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function generateCode(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Confere um código TOTP aceitando um passo de tolerância para relógios dessincronizados.
+ * Passos até lastCounter (o último já aceito para o usuário) não valem: um código não é reaceito.
+ * @param {string} secret - Segredo em base32
+ * @param {string} code - Código de 6 dígitos informado pelo usuário
+ * @param {Object} [options] - { window: passos de 30s aceitos antes/depois, lastCounter }
+ * @returns {number|null} Passo (contador) do código aceito, ou null se inválido
+ */
+function verifyCode(secret, code, { window = 1, lastCounter = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let offset = -window; offset <= window; offset++) {
+    if (lastCounter !== null && counter + offset <= lastCounter) continue;
+    const expected = generateCode(secret, counter + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter + offset;
+    }
+  }
+  return null;
+}
+
+// URL otpauth:// usada para gerar o QR code no aplicativo autenticador
+function buildOtpAuthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Códigos de recuperação no formato xxxx-xxxx (exibidos uma única vez ao usuário)
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').slice(0, 8);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,145 @@
+// Autenticação em dois fatores: cadastro do autenticador, códigos de recuperação e exigência por cargo
+//
+// O segredo TOTP é gravado cifrado (AES-256-GCM, com o uid como dado adicional autenticado) e
+// cada passo de 30s aceito fica registrado, para um código não valer duas vezes.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  dataDir,
+  getSetting,
+  setSetting,
+  setUserTotpSecret,
+  enableUserTotp,
+  useTotpCounter,
+  replaceRecoveryCodes,
+  useRecoveryCode
+} = require('../../database');
+const { generateSecret, verifyCode, buildOtpAuthUrl, generateRecoveryCodes, normalizeRecoveryCode } = require('./totp');
+const { hashToken } = require('./tokens');
+const { normalizeRole, isValidRole } = require('./permissions');
+
+/**
+ * Chave dos segredos TOTP. Em produção TOTP_SECRET_KEY é obrigatória: uma chave guardada no
+ * mesmo volume do banco iria junto em qualquer cópia dele. Fora de produção, sem a variável,
+ * gera uma chave aleatória na pasta de dados. Perder a chave obriga a cadastrar o 2FA de novo.
+ */
+function loadEncryptionKey() {
+  if (process.env.TOTP_SECRET_KEY) {
+    return crypto.createHash('sha256').update(process.env.TOTP_SECRET_KEY).digest();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('TOTP_SECRET_KEY não definida: a chave dos segredos 2FA é obrigatória em produção');
+  }
+
+  const keyPath = path.join(dataDir, 'totp-secret-key');
+  try {
+    return Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+  } catch (e) {
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(keyPath, key.toString('hex'), { mode: 0o600 });
+    console.warn('[2FA] TOTP_SECRET_KEY não definida - chave gerada em', keyPath);
+    return key;
+  }
+}
+
+const encryptionKey = loadEncryptionKey();
+
+// Valor gravado: "<iv>:<tag>:<cifrado>" em base64; o uid amarra o cifrado ao usuário
+function encryptSecret(secret, uid) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  cipher.setAAD(Buffer.from(uid, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+}
+
+// Segredo em base32 do usuário, ou null se não houver
+function userSecret(userData) {
+  if (!userData.totp_secret) return null;
+  const [iv, tag, encrypted] = userData.totp_secret.split(':').map((part) => Buffer.from(part || '', 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAAD(Buffer.from(userData.uid, 'utf8'));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Chave em configuracoes com a lista de cargos que precisam de 2FA
+const REQUIRED_ROLES_SETTING = 'auth.2fa_cargos';
+
+async function getRequiredRoles() {
+  const roles = await getSetting(REQUIRED_ROLES_SETTING, []);
+  return Array.isArray(roles) ? roles.filter(isValidRole) : [];
+}
+
+async function setRequiredRoles(roles, updatedBy) {
+  const unique = [...new Set(roles)];
+  await setSetting(REQUIRED_ROLES_SETTING, unique, updatedBy);
+  return unique;
+}
+
+async function isTwoFactorRequired(userData) {
+  const roles = await getRequiredRoles();
+  return roles.includes(normalizeRole(userData.cargo));
+}
+
+/**
+ * Gera um novo segredo (pendente até a confirmação com um código válido).
+ * @param {Object} userData - Linha da tabela usuarios
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function beginEnrollment(userData) {
+  const secret = generateSecret();
+  await setUserTotpSecret(userData.uid, encryptSecret(secret, userData.uid));
+  return { secret, otpauthUrl: buildOtpAuthUrl(secret, userData.email) };
+}
+
+/**
+ * Confirma o cadastro do autenticador com o primeiro código gerado por ele.
+ * @returns {Promise<string[]|null>} Códigos de recuperação, ou null se o código for inválido
+ */
+async function confirmEnrollment(userData, code) {
+  const counter = verifyCode(userSecret(userData), code);
+  if (counter === null) {
+    return null;
+  }
+  await enableUserTotp(userData.uid, counter);
+  return issueRecoveryCodes(userData.uid);
+}
+
+// Gera novos códigos de recuperação, invalidando os anteriores; só os hashes são gravados
+async function issueRecoveryCodes(uid) {
+  const codes = generateRecoveryCodes();
+  await replaceRecoveryCodes(uid, codes.map((code) => hashToken(normalizeRecoveryCode(code))));
+  return codes;
+}
+
+/**
+ * Confere o segundo fator de um usuário com 2FA ativo.
+ * @param {Object} userData - Linha da tabela usuarios
+ * @param {Object} input - { code } do autenticador ou { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' ou 'recovery' quando válido, null caso contrário
+ */
+async function verifySecondFactor(userData, { code, recoveryCode } = {}) {
+  if (!userData.totp_enabled || !userData.totp_secret) return null;
+
+  if (recoveryCode) {
+    const { usedRows } = await useRecoveryCode(userData.uid, hashToken(normalizeRecoveryCode(recoveryCode)));
+    return usedRows ? 'recovery' : null;
+  }
+  const counter = verifyCode(userSecret(userData), code, { lastCounter: userData.totp_last_counter ?? null });
+  if (counter === null) return null;
+  // Grava o passo só se for posterior ao último: duas requisições com o mesmo código não passam juntas
+  const { usedRows } = await useTotpCounter(userData.uid, counter);
+  return usedRows ? 'totp' : null;
+}
+
+module.exports = {
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  issueRecoveryCodes,
+  verifySecondFactor
+};
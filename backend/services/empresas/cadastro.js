@@ -0,0 +1,58 @@
+// Cadastro de empresas clientes: valores aceitos e validação dos dados
+// (usado pelo CRUD em routes/empresasRoutes.js e pela importação de planilhas)
+const { limparDocumento, validarCnpj } = require('../../../shared/documentos.mjs');
+
+// Mesmos rótulos usados em scripts/agenda-tributaria-api.js
+const REGIMES_TRIBUTARIOS = ['Simples Nacional', 'Lucro Presumido', 'Lucro Real'];
+
+const UFS = [
+  'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+  'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
+
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+// Valida e normaliza o corpo de criação/edição
+function parseEmpresaBody(body) {
+  const cnpj = limparDocumento(body.cnpj);
+  if (!validarCnpj(cnpj)) {
+    return { error: 'CNPJ inválido' };
+  }
+
+  const razaoSocial = String(body.razaoSocial || '').trim();
+  if (!razaoSocial || razaoSocial.length > 255) {
+    return { error: 'Razão social é obrigatória (até 255 caracteres)' };
+  }
+
+  const regimeTributario = body.regimeTributario || null;
+  if (regimeTributario && !REGIMES_TRIBUTARIOS.includes(regimeTributario)) {
+    return { error: `Regime tributário inválido. Use: ${REGIMES_TRIBUTARIOS.join(', ')}` };
+  }
+
+  const uf = body.uf ? String(body.uf).trim().toUpperCase() : null;
+  if (uf && !UFS.includes(uf)) {
+    return { error: 'UF inválida' };
+  }
+
+  const cnae = onlyDigits(body.cnae) || null;
+  if (cnae && cnae.length !== 7) {
+    return { error: 'CNAE deve ter 7 dígitos' };
+  }
+
+  return {
+    cnpj,
+    razaoSocial,
+    nomeFantasia: String(body.nomeFantasia || '').trim() || null,
+    regimeTributario,
+    uf,
+    municipio: String(body.municipio || '').trim() || null,
+    cnae,
+    ativo: body.ativo === undefined ? true : Boolean(body.ativo)
+  };
+}
+
+module.exports = {
+  REGIMES_TRIBUTARIOS,
+  UFS,
+  parseEmpresaBody
+};
@@ -0,0 +1,96 @@
+// Campos personalizados das empresas: tipos aceitos, validação das definições
+// (cadastradas pelo administrador) e dos valores preenchidos em cada empresa
+const { contextoSegredo, criptografar } = require('./segredos');
+
+const TIPOS_CAMPO = {
+  texto: 'Texto',
+  numero: 'Número',
+  data: 'Data',
+  selecao: 'Seleção',
+  segredo: 'Secreto'
+};
+
+const TAMANHO_MAXIMO_VALOR = 1000;
+const MAXIMO_OPCOES = 50;
+
+const isDataValida = (valor) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(valor)) return false;
+  const data = new Date(`${valor}T00:00:00Z`);
+  return !Number.isNaN(data.getTime()) && data.toISOString().slice(0, 10) === valor;
+};
+
+/**
+ * Valida o corpo de criação/edição de um campo.
+ * O tipo só é lido na criação (campoAtual ausente): trocar o tipo invalidaria os valores gravados.
+ */
+function parseCampoBody(body, campoAtual = null) {
+  const nome = String(body.nome || '').trim();
+  if (!nome || nome.length > 100) {
+    return { error: 'Nome do campo é obrigatório (até 100 caracteres)' };
+  }
+
+  const tipo = campoAtual ? campoAtual.tipo : body.tipo;
+  if (!TIPOS_CAMPO[tipo]) {
+    return { error: `Tipo de campo inválido. Use: ${Object.keys(TIPOS_CAMPO).join(', ')}` };
+  }
+
+  let opcoes = null;
+  if (tipo === 'selecao') {
+    opcoes = [...new Set((Array.isArray(body.opcoes) ? body.opcoes : [])
+      .map((opcao) => String(opcao || '').trim())
+      .filter(Boolean))];
+    if (opcoes.length === 0 || opcoes.length > MAXIMO_OPCOES) {
+      return { error: `Campos de seleção precisam de 1 a ${MAXIMO_OPCOES} opções` };
+    }
+    if (opcoes.some((opcao) => opcao.length > 100)) {
+      return { error: 'Cada opção deve ter até 100 caracteres' };
+    }
+  }
+
+  return {
+    nome,
+    tipo,
+    opcoes,
+    ordem: Number.isInteger(Number(body.ordem)) ? Number(body.ordem) : 0,
+    ativo: body.ativo === undefined ? true : Boolean(body.ativo)
+  };
+}
+
+/**
+ * Valida e normaliza o valor de um campo para gravação.
+ * @param {string} empresaId - Empresa do valor (contexto da cifra dos segredos)
+ * @returns {{ valor: string|null }|{ error: string }} null apaga o valor; segredos voltam cifrados
+ */
+function normalizarValor(campo, valorBruto, empresaId) {
+  const texto = valorBruto === null || valorBruto === undefined ? '' : String(valorBruto).trim();
+  if (!texto) return { valor: null };
+  if (texto.length > TAMANHO_MAXIMO_VALOR) {
+    return { error: `${campo.nome}: até ${TAMANHO_MAXIMO_VALOR} caracteres` };
+  }
+
+  switch (campo.tipo) {
+    case 'numero': {
+      const numero = Number(texto.replace(',', '.'));
+      if (!Number.isFinite(numero)) return { error: `${campo.nome}: informe um número` };
+      return { valor: String(numero) };
+    }
+    case 'data':
+      if (!isDataValida(texto)) return { error: `${campo.nome}: informe uma data (AAAA-MM-DD)` };
+      return { valor: texto };
+    case 'selecao':
+      if (!campo.opcoes.includes(texto)) {
+        return { error: `${campo.nome}: opção inválida. Use: ${campo.opcoes.join(', ')}` };
+      }
+      return { valor: texto };
+    case 'segredo':
+      return { valor: criptografar(texto, contextoSegredo(empresaId, campo.id)) };
+    default:
+      return { valor: texto };
+  }
+}
+
+module.exports = {
+  TIPOS_CAMPO,
+  parseCampoBody,
+  normalizarValor
+};
@@ -0,0 +1,311 @@
+// Importação de empresas clientes a partir de planilhas CSV/XLSX
+//
+// 1) Prévia: lê a planilha, identifica as colunas pelo cabeçalho e classifica cada linha
+//    (criar, atualizar, sem alteração ou erro) sem gravar nada.
+// 2) Aplicar: o frontend reenvia os dados das linhas da prévia; eles são analisados de novo
+//    (o banco pode ter mudado nesse meio tempo) e gravados em uma única transação.
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeColumnName, findColumnIndex } = require('../rpa/parsers/planoContasParser');
+const { limparDocumento, validarCnpj, formatarCnpj } = require('../../../shared/documentos.mjs');
+const { REGIMES_TRIBUTARIOS, parseEmpresaBody } = require('./cadastro');
+
+const MAX_LINHAS = 5000;
+
+// Colunas reconhecidas; na busca aproximada a ordem importa (a primeira que casar fica com a coluna)
+const COLUNAS = [
+  { campo: 'cnpj', label: 'CNPJ', nomes: ['cnpj'] },
+  { campo: 'nomeFantasia', label: 'Nome fantasia', nomes: ['nome fantasia', 'fantasia'] },
+  { campo: 'razaoSocial', label: 'Razão social', nomes: ['razao social', 'razao', 'nome empresarial', 'empresa', 'nome'] },
+  { campo: 'regimeTributario', label: 'Regime tributário', nomes: ['regime tributario', 'regime', 'tributacao'] },
+  { campo: 'municipio', label: 'Município', nomes: ['municipio', 'cidade'] },
+  { campo: 'issMunicipio', label: 'Município do ISS', nomes: ['municipio do iss', 'municipio iss', 'iss'] },
+  { campo: 'uf', label: 'UF', nomes: ['uf', 'estado'] },
+  { campo: 'cnae', label: 'CNAE', nomes: ['cnae', 'atividade'] },
+  { campo: 'responsavelEmail', label: 'E-mail do responsável', nomes: ['email do responsavel', 'email responsavel', 'responsavel', 'contador', 'e-mail', 'email'] },
+  { campo: 'possuiEmpregados', label: 'Possui empregados', nomes: ['possui empregados', 'empregados', 'funcionarios'] },
+  { campo: 'contribuinteIcms', label: 'Contribuinte do ICMS', nomes: ['contribuinte do icms', 'contribuinte icms', 'icms'] },
+  { campo: 'ativo', label: 'Ativa', nomes: ['ativo', 'ativa', 'situacao'] }
+];
+
+const VERDADEIROS = ['SIM', 'S', 'X', '1', 'TRUE', 'VERDADEIRO', 'ATIVO', 'ATIVA'];
+const FALSOS = ['NAO', 'N', '0', 'FALSE', 'FALSO', 'INATIVO', 'INATIVA'];
+
+const semSeparadores = (valor) => normalizeColumnName(valor).replace(/[\s_-]+/g, ' ').trim();
+
+/**
+ * Associa cada campo a uma coluna: primeiro pelos nomes exatos, depois pela
+ * comparação aproximada de findColumnIndex (a mesma do plano de contas).
+ * @param {string[]} headers
+ * @returns {Object} { campo: índice }
+ */
+function detectarColunas(headers) {
+  const colunas = {};
+  const usadas = new Set();
+
+  COLUNAS.forEach(({ campo, nomes }) => {
+    const exatos = nomes.map(semSeparadores);
+    const idx = headers.findIndex((header, i) => !usadas.has(i) && exatos.includes(semSeparadores(header)));
+    if (idx >= 0) {
+      colunas[campo] = idx;
+      usadas.add(idx);
+    }
+  });
+
+  COLUNAS.forEach(({ campo, nomes }) => {
+    if (colunas[campo] !== undefined) return;
+    const idx = findColumnIndex(headers, nomes, usadas);
+    if (idx !== null) {
+      colunas[campo] = idx;
+      usadas.add(idx);
+    }
+  });
+
+  return colunas;
+}
+
+// Valores de células do ExcelJS podem ser objetos (fórmula, hiperlink, texto rico)
+function valorCelula(valor) {
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+  if (typeof valor === 'object') {
+    if (valor.richText) return valor.richText.map((parte) => parte.text).join('');
+    if (valor.text !== undefined) return valorCelula(valor.text);
+    if (valor.result !== undefined) return valorCelula(valor.result);
+    return '';
+  }
+  return String(valor);
+}
+
+function lerCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    const texto = buffer.toString('utf-8');
+    const primeiraLinha = texto.split('\n')[0];
+    const delimiter = (primeiraLinha.match(/;/g) || []).length > (primeiraLinha.match(/,/g) || []).length ? ';' : ',';
+    let headers = [];
+    const linhas = [];
+
+    Readable.from([texto])
+      .pipe(csv({
+        separator: delimiter,
+        skipEmptyLines: true,
+        mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
+      }))
+      .on('headers', (headerList) => {
+        headers = headerList;
+      })
+      .on('data', (row) => {
+        linhas.push(headers.map((h) => row[h] || ''));
+      })
+      .on('end', () => resolve({ headers, linhas }))
+      .on('error', reject);
+  });
+}
+
+async function lerXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.getWorksheet(1); // Primeira planilha
+  if (!worksheet) {
+    throw new Error('Planilha não encontrada no arquivo Excel');
+  }
+
+  let headers = null;
+  const linhas = [];
+  worksheet.eachRow((row) => {
+    const valores = row.values.slice(1).map(valorCelula); // Remove primeiro elemento (índice)
+    if (!headers) {
+      headers = valores.map((v) => v.trim());
+    } else {
+      linhas.push(valores);
+    }
+  });
+  return { headers: headers || [], linhas };
+}
+
+/**
+ * Lê a planilha e devolve os dados de cada linha já associados aos campos do cadastro.
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} nomeArquivo - Nome original (define o formato pela extensão)
+ * @returns {Promise<Object>} { colunas: [{ campo, label, coluna }], registros: [{ linha, dados }] }
+ */
+async function lerPlanilhaEmpresas(buffer, nomeArquivo) {
+  const ext = String(nomeArquivo || '').toLowerCase().split('.').pop();
+  let planilha;
+  if (ext === 'csv') {
+    planilha = await lerCsv(buffer);
+  } else if (ext === 'xlsx') {
+    planilha = await lerXlsx(buffer);
+  } else {
+    throw new Error(`Formato não suportado: .${ext}. Use CSV ou XLSX.`);
+  }
+
+  const indices = detectarColunas(planilha.headers);
+  if (indices.cnpj === undefined) {
+    throw new Error('Coluna de CNPJ não encontrada no cabeçalho da planilha');
+  }
+
+  const registros = planilha.linhas
+    .map((valores, i) => {
+      const dados = {};
+      Object.entries(indices).forEach(([campo, idx]) => {
+        dados[campo] = String(valores[idx] ?? '').trim();
+      });
+      return { linha: i + 2, dados }; // Linha 1 é o cabeçalho
+    })
+    .filter(({ dados }) => Object.values(dados).some(Boolean));
+
+  if (registros.length > MAX_LINHAS) {
+    throw new Error(`A planilha tem ${registros.length} linhas; o limite por importação é ${MAX_LINHAS}`);
+  }
+
+  return {
+    colunas: COLUNAS
+      .filter(({ campo }) => indices[campo] !== undefined)
+      .map(({ campo, label }) => ({ campo, label, coluna: planilha.headers[indices[campo]] })),
+    registros
+  };
+}
+
+// undefined = célula vazia (mantém o valor atual), null = valor não reconhecido
+function parseBooleano(valor) {
+  if (!valor) return undefined;
+  const normalizado = normalizeColumnName(valor);
+  if (VERDADEIROS.includes(normalizado)) return true;
+  if (FALSOS.includes(normalizado)) return false;
+  return null;
+}
+
+function parseRegime(valor) {
+  if (!valor) return undefined;
+  const normalizado = normalizeColumnName(valor);
+  if (normalizado.includes('SIMPLES')) return 'Simples Nacional';
+  if (normalizado.includes('PRESUMIDO')) return 'Lucro Presumido';
+  if (normalizado.includes('REAL')) return 'Lucro Real';
+  return null;
+}
+
+/**
+ * Classifica as linhas da planilha contra o cadastro atual.
+ * @param {Object[]} registros - [{ linha, dados }] vindos de lerPlanilhaEmpresas
+ * @param {Object} contexto - { empresas: linhas da tabela empresas, usuarios: linhas da tabela usuarios }
+ * @returns {Object[]} [{ linha, cnpj, razaoSocial, acao, erros, avisos, alteracoes, dados, registro }]
+ */
+function analisarImportacao(registros, { empresas, usuarios }) {
+  const empresasPorCnpj = new Map(empresas.map((e) => [e.cnpj, e]));
+  const usuariosPorEmail = new Map(usuarios.map((u) => [String(u.email).toLowerCase(), u]));
+  const linhaDoCnpj = new Map();
+
+  return registros.map(({ linha, dados }) => {
+    const erros = [];
+    const avisos = [];
+
+    // Excel descarta zeros à esquerda de CNPJs gravados como número
+    let cnpj = limparDocumento(dados.cnpj);
+    if (/^\d{12,13}$/.test(cnpj)) cnpj = cnpj.padStart(14, '0');
+
+    const resultado = {
+      linha,
+      cnpj: formatarCnpj(cnpj) || dados.cnpj,
+      razaoSocial: dados.razaoSocial || '',
+      dados,
+      erros,
+      avisos,
+      alteracoes: []
+    };
+
+    if (!validarCnpj(cnpj)) {
+      erros.push('CNPJ inválido');
+    } else if (linhaDoCnpj.has(cnpj)) {
+      erros.push(`CNPJ repetido na planilha (linha ${linhaDoCnpj.get(cnpj)})`);
+    } else {
+      linhaDoCnpj.set(cnpj, linha);
+    }
+
+    const regimeTributario = parseRegime(dados.regimeTributario);
+    if (regimeTributario === null) {
+      erros.push(`Regime tributário "${dados.regimeTributario}" não reconhecido. Use: ${REGIMES_TRIBUTARIOS.join(', ')}`);
+    }
+    const booleanos = {};
+    ['possuiEmpregados', 'contribuinteIcms', 'ativo'].forEach((campo) => {
+      booleanos[campo] = parseBooleano(dados[campo]);
+      if (booleanos[campo] === null) {
+        erros.push(`${COLUNAS.find((c) => c.campo === campo).label}: use Sim ou Não (recebido "${dados[campo]}")`);
+      }
+    });
+
+    if (erros.length) {
+      return { ...resultado, acao: 'erro' };
+    }
+
+    const existente = empresasPorCnpj.get(cnpj);
+    let responsavelId = existente ? existente.responsavel_id : null;
+    if (dados.responsavelEmail) {
+      const usuario = usuariosPorEmail.get(dados.responsavelEmail.toLowerCase());
+      if (usuario) {
+        responsavelId = usuario.uid;
+      } else {
+        avisos.push(`E-mail do responsável "${dados.responsavelEmail}" não corresponde a nenhum usuário`);
+      }
+    }
+
+    // Células vazias mantêm o valor atual da empresa
+    const atual = existente ? {
+      razaoSocial: existente.razao_social,
+      nomeFantasia: existente.nome_fantasia,
+      regimeTributario: existente.regime_tributario,
+      uf: existente.uf,
+      municipio: existente.municipio,
+      cnae: existente.cnae,
+      ativo: Boolean(existente.ativo),
+      possuiEmpregados: Boolean(existente.possui_empregados),
+      contribuinteIcms: Boolean(existente.contribuinte_icms),
+      issMunicipio: existente.iss_municipio
+    } : { ativo: true, possuiEmpregados: false, contribuinteIcms: false };
+    const preenchido = (campo, valor) => (valor === undefined || valor === '' ? atual[campo] : valor);
+
+    const cadastro = parseEmpresaBody({
+      cnpj,
+      razaoSocial: preenchido('razaoSocial', dados.razaoSocial),
+      nomeFantasia: preenchido('nomeFantasia', dados.nomeFantasia),
+      regimeTributario: preenchido('regimeTributario', regimeTributario),
+      uf: preenchido('uf', dados.uf),
+      municipio: preenchido('municipio', dados.municipio),
+      cnae: preenchido('cnae', dados.cnae),
+      ativo: preenchido('ativo', booleanos.ativo)
+    });
+    if (cadastro.error) {
+      erros.push(cadastro.error);
+      return { ...resultado, acao: 'erro' };
+    }
+
+    const registro = {
+      id: existente ? existente.id : uuidv4(),
+      ...cadastro,
+      responsavelId,
+      possuiEmpregados: preenchido('possuiEmpregados', booleanos.possuiEmpregados),
+      contribuinteIcms: preenchido('contribuinteIcms', booleanos.contribuinteIcms),
+      issMunicipio: preenchido('issMunicipio', dados.issMunicipio) || null
+    };
+    resultado.razaoSocial = registro.razaoSocial;
+
+    if (!existente) {
+      return { ...resultado, acao: 'criar', registro };
+    }
+
+    const anterior = { ...atual, responsavelId: existente.responsavel_id };
+    resultado.alteracoes = COLUNAS
+      .map(({ campo, label }) => ({ campo: campo === 'responsavelEmail' ? 'responsavelId' : campo, label }))
+      .filter(({ campo }) => campo !== 'cnpj' && (anterior[campo] || null) !== (registro[campo] || null))
+      .map(({ label }) => label);
+
+    return { ...resultado, acao: resultado.alteracoes.length ? 'atualizar' : 'sem_alteracao', registro };
+  });
+}
+
+module.exports = {
+  lerPlanilhaEmpresas,
+  analisarImportacao
+};
@@ -0,0 +1,75 @@
+// Criptografia dos campos secretos das empresas (AES-256-GCM)
+//
+// O valor gravado é "v1:<iv>:<tag>:<cifrado>" em base64; a chave nunca vai para o banco. O contexto
+// do valor (empresa:campo) entra como dado adicional autenticado (AAD): um cifrado copiado para
+// outra empresa ou outro campo não decifra.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('../../database');
+
+const ALGORITMO = 'aes-256-gcm';
+const VERSAO = 'v1';
+
+/**
+ * Chave de criptografia. Em produção EMPRESAS_SECRET_KEY é obrigatória: uma chave guardada no
+ * mesmo volume do banco iria junto em qualquer cópia dele. Fora de produção, sem a variável,
+ * gera uma chave aleatória e a persiste na pasta de dados. Perder a chave torna os segredos ilegíveis.
+ */
+function loadKey() {
+  if (process.env.EMPRESAS_SECRET_KEY) {
+    return crypto.createHash('sha256').update(process.env.EMPRESAS_SECRET_KEY).digest();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('EMPRESAS_SECRET_KEY não definida: a chave dos campos secretos das empresas é obrigatória em produção');
+  }
+
+  const keyPath = path.join(dataDir, 'empresas-secret-key');
+  try {
+    return Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+  } catch (e) {
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(keyPath, key.toString('hex'), { mode: 0o600 });
+    console.warn('[EMPRESAS] EMPRESAS_SECRET_KEY não definida - chave gerada em', keyPath);
+    return key;
+  }
+}
+
+const key = loadKey();
+
+// Dado adicional autenticado de um valor: amarra o cifrado à linha (empresa, campo)
+const contextoSegredo = (empresaId, campoId) => `${empresaId}:${campoId}`;
+
+/**
+ * Cifra um valor para gravação.
+ * @param {string} texto
+ * @param {string} contexto - contextoSegredo(empresaId, campoId)
+ * @returns {string}
+ */
+function criptografar(texto, contexto) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITMO, key, iv);
+  cipher.setAAD(Buffer.from(contexto, 'utf8'));
+  const cifrado = Buffer.concat([cipher.update(String(texto), 'utf8'), cipher.final()]);
+  return [VERSAO, iv, cipher.getAuthTag(), cifrado].map((parte) => (
+    Buffer.isBuffer(parte) ? parte.toString('base64') : parte
+  )).join(':');
+}
+
+// Lança erro se o valor foi adulterado, cifrado com outra chave ou pertence a outro contexto
+function descriptografar(valor, contexto) {
+  const [versao, iv, tag, cifrado] = String(valor).split(':');
+  if (versao !== VERSAO || !iv || !tag || cifrado === undefined) {
+    throw new Error('Formato de segredo desconhecido');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITMO, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(contexto, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(cifrado, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  contextoSegredo,
+  criptografar,
+  descriptografar
+};
@@ -0,0 +1,72 @@
+// Upload de comprovantes anexados às tarefas (server.js e portal do cliente)
+//
+// Os arquivos ficam em uploadsDir/<id da tarefa>/ com nome único; os metadados vão para a
+// tabela arquivos (insertFile).
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { uploadsDir } = require('../../database');
+
+const TIPOS_PERMITIDOS = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf', 'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain', 'text/csv'
+];
+
+const TAMANHO_MAXIMO = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Middleware multer que grava o arquivo na pasta da tarefa.
+ * @param {Function} resolverTaskId - (req) => id da tarefa (corpo do form ou parâmetro da rota)
+ */
+function createTaskUpload(resolverTaskId) {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const taskDir = path.join(uploadsDir, resolverTaskId(req) || 'general');
+      if (!fs.existsSync(taskDir)) {
+        fs.mkdirSync(taskDir, { recursive: true });
+      }
+      cb(null, taskDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueName = `${Date.now()}_${uuidv4()}_${file.originalname}`;
+      cb(null, uniqueName);
+    }
+  });
+
+  // Filtros de arquivo para segurança
+  const fileFilter = (req, file, cb) => {
+    if (TIPOS_PERMITIDOS.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Tipo de arquivo não suportado'), false);
+    }
+  };
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: {
+      fileSize: TAMANHO_MAXIMO
+    }
+  });
+}
+
+// Remove o arquivo gravado pelo multer quando o upload é recusado ou falha
+function removerArquivoEnviado(file) {
+  if (!file || !file.path) return;
+  fs.unlink(file.path, (err) => {
+    if (err) console.error('Erro ao remover arquivo:', err);
+  });
+}
+
+module.exports = {
+  TIPOS_PERMITIDOS,
+  TAMANHO_MAXIMO,
+  createTaskUpload,
+  removerArquivoEnviado
+};
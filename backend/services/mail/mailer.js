@@ -0,0 +1,103 @@
+// Envio de emails com transporte configurável
+//
+// MAIL_TRANSPORT:
+//   smtp    - envia via SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - grava cada email como .json em <DATA_DIR>/mail-outbox (testes locais)
+//   console - apenas imprime o email no log
+// Sem MAIL_TRANSPORT: usa smtp quando SMTP_HOST estiver definido, senão console.
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('../../database');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Calendário de Obrigações <no-reply@calendario.local>';
+
+function createSmtpTransport() {
+  // Carregado sob demanda para não exigir nodemailer nos transportes locais
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+function createFileTransport() {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(dataDir, 'mail-outbox');
+  fs.mkdirSync(outboxDir, { recursive: true });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(outboxDir, `${id}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      console.log(`[MAIL] Email para ${message.to} gravado em ${filePath}`);
+      return { id, filePath };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log('[MAIL] ----------------------------------------');
+      console.log(`[MAIL] Para: ${message.to}`);
+      console.log(`[MAIL] Assunto: ${message.subject}`);
+      console.log(message.text);
+      console.log('[MAIL] ----------------------------------------');
+      return { id: null };
+    }
+  };
+}
+
+function createTransport(name) {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`MAIL_TRANSPORT desconhecido: ${name}`);
+  }
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    transport = createTransport(name);
+    console.log(`[MAIL] Transporte de email: ${transport.name}`);
+  }
+  return transport;
+}
+
+/**
+ * Envia um email pelo transporte configurado.
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Identificação do envio devolvida pelo transporte
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject) {
+    throw new Error('Destinatário e assunto são obrigatórios');
+  }
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail
+};
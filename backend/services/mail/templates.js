@@ -0,0 +1,133 @@
+// Modelos de email (texto + HTML simples)
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Email de redefinição de senha.
+ * @param {Object} params - { nome, resetUrl, expiresMinutes }
+ * @returns {Object} { subject, text, html }
+ */
+function passwordResetEmail({ nome, resetUrl, expiresMinutes }) {
+  const saudacao = nome ? `Olá, ${nome}!` : 'Olá!';
+  return {
+    subject: 'Redefinição de senha - Calendário de Obrigações',
+    text: [
+      saudacao,
+      '',
+      'Recebemos uma solicitação para redefinir a sua senha.',
+      `Acesse o link abaixo para cadastrar uma nova senha (válido por ${expiresMinutes} minutos):`,
+      '',
+      resetUrl,
+      '',
+      'Se você não fez esta solicitação, ignore este email. Sua senha atual continua válida.'
+    ].join('\n'),
+    html: `
+      <p>${escapeHtml(saudacao)}</p>
+      <p>Recebemos uma solicitação para redefinir a sua senha.</p>
+      <p>Acesse o link abaixo para cadastrar uma nova senha (válido por ${expiresMinutes} minutos):</p>
+      <p><a href="${escapeHtml(resetUrl)}">Redefinir minha senha</a></p>
+      <p>Se você não fez esta solicitação, ignore este email. Sua senha atual continua válida.</p>
+    `
+  };
+}
+
+/**
+ * Email de convite para criar conta.
+ * @param {Object} params - { nome, convidadoPor, cargoLabel, inviteUrl, expiresDays }
+ * @returns {Object} { subject, text, html }
+ */
+function invitationEmail({ nome, convidadoPor, cargoLabel, inviteUrl, expiresDays }) {
+  const saudacao = nome ? `Olá, ${nome}!` : 'Olá!';
+  const convite = `${convidadoPor || 'Um administrador'} convidou você para acessar o Calendário de Obrigações como ${cargoLabel}.`;
+  return {
+    subject: 'Convite - Calendário de Obrigações',
+    text: [
+      saudacao,
+      '',
+      convite,
+      `Acesse o link abaixo para criar sua senha (válido por ${expiresDays} dias):`,
+      '',
+      inviteUrl,
+      '',
+      'Se você não esperava este convite, ignore este email.'
+    ].join('\n'),
+    html: `
+      <p>${escapeHtml(saudacao)}</p>
+      <p>${escapeHtml(convite)}</p>
+      <p>Acesse o link abaixo para criar sua senha (válido por ${expiresDays} dias):</p>
+      <p><a href="${escapeHtml(inviteUrl)}">Aceitar convite</a></p>
+      <p>Se você não esperava este convite, ignore este email.</p>
+    `
+  };
+}
+
+/**
+ * Lembrete de documentos pendentes solicitados ao cliente.
+ * @param {Object} params - { nome, empresaNome, documentos: [{ descricao, tarefa, prazo, atrasado }], portalUrl }
+ * @returns {Object} { subject, text, html }
+ */
+function documentRequestReminderEmail({ nome, empresaNome, documentos, portalUrl }) {
+  const saudacao = nome ? `Olá, ${nome}!` : 'Olá!';
+  const formatarPrazo = (prazo) => prazo.split('-').reverse().join('/');
+  const linha = (doc) => `${doc.descricao} (${doc.tarefa}) - prazo ${formatarPrazo(doc.prazo)}${doc.atrasado ? ' - ATRASADO' : ''}`;
+  return {
+    subject: `Documentos pendentes - ${empresaNome}`,
+    text: [
+      saudacao,
+      '',
+      `Para concluirmos as obrigações de ${empresaNome}, precisamos dos documentos abaixo:`,
+      '',
+      ...documentos.map((doc) => `- ${linha(doc)}`),
+      '',
+      'Envie os arquivos pelo portal do cliente:',
+      portalUrl
+    ].join('\n'),
+    html: `
+      <p>${escapeHtml(saudacao)}</p>
+      <p>Para concluirmos as obrigações de ${escapeHtml(empresaNome)}, precisamos dos documentos abaixo:</p>
+      <ul>${documentos.map((doc) => `<li>${escapeHtml(linha(doc))}</li>`).join('')}</ul>
+      <p><a href="${escapeHtml(portalUrl)}">Enviar pelo portal do cliente</a></p>
+    `
+  };
+}
+
+/**
+ * Aviso de menção em comentário de tarefa.
+ * @param {Object} params - { nome, autor, tarefa, comentario (texto com @Nome), appUrl }
+ * @returns {Object} { subject, text, html }
+ */
+function taskMentionEmail({ nome, autor, tarefa, comentario, appUrl }) {
+  const saudacao = nome ? `Olá, ${nome}!` : 'Olá!';
+  const aviso = `${autor || 'Um colega'} mencionou você em um comentário na tarefa "${tarefa}":`;
+  return {
+    subject: `Você foi mencionado - ${tarefa}`,
+    text: [
+      saudacao,
+      '',
+      aviso,
+      '',
+      comentario,
+      '',
+      'Responda pelo Calendário de Obrigações:',
+      appUrl
+    ].join('\n'),
+    html: `
+      <p>${escapeHtml(saudacao)}</p>
+      <p>${escapeHtml(aviso)}</p>
+      <blockquote style="white-space: pre-line">${escapeHtml(comentario)}</blockquote>
+      <p><a href="${escapeHtml(appUrl)}">Abrir o Calendário de Obrigações</a></p>
+    `
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  passwordResetEmail,
+  invitationEmail,
+  documentRequestReminderEmail,
+  taskMentionEmail
+};
@@ -1,5 +1,6 @@
 // Motor de comparação entre extratos bancários e razão analítico do Domínio
 const { format, parse, isValid, differenceInDays } = require('date-fns');
+const { extrairDocumentos, removerDocumentos } = require('../../../../shared/documentos.mjs');
 
 /**
  * Normaliza descrição para comparação:
@@ -13,8 +14,8 @@ function normalizarDescricao(descricao) {
     return '';
   }
 
-  // Converte para minúsculas
-  let desc = descricao.toLowerCase().trim();
+  // Remove CPF/CNPJ (inclusive CNPJ alfanumérico) e converte para minúsculas
+  let desc = removerDocumentos(descricao).toLowerCase().trim();
 
   // Remove acentos (mapeamento básico)
   const acentos = {
@@ -33,7 +34,7 @@ function normalizarDescricao(descricao) {
   // Remove informações redundantes de PIX/transações
   // Remove DOC. seguido de números
   desc = desc.replace(/\bdoc\.?\s*\d+\b/g, '');
-  // Remove CNPJ/CPF (formato XX.XXX.XXX/XXXX-XX ou XXX.XXX.XXX-XX)
+  // Remove sequências com forma de CNPJ/CPF que não passaram na validação (DV digitado errado)
   desc = desc.replace(/\b\d{2,3}\.?\d{3}\.?\d{3}[\/-]?\d{2,4}[-\s]?\d{2}\b/g, '');
   // Remove "PGT", "PGTO", "PAGTO" seguido de números
   desc = desc.replace(/\b(pgt|pgto|pagto)\.?\s*\d*\b/gi, '');
@@ -48,6 +49,17 @@ function normalizarDescricao(descricao) {
   return desc.trim();
 }
 
+/**
+ * Documento (CPF/CNPJ) da contraparte do lançamento: o extraído pelo parser
+ * ou, na falta dele, o primeiro encontrado na descrição.
+ */
+function documentoContraparte(lancamento) {
+  if (lancamento.documento_contraparte !== undefined) {
+    return lancamento.documento_contraparte;
+  }
+  return extrairDocumentos(lancamento.descricao)[0] || null;
+}
+
 /**
  * Retorna chave de match principal: (data, valor_arredondado).
  */
@@ -598,8 +610,14 @@ function compareBankVsTxt(
         return;
       }
 
-      // Calcula similaridade de descrição
-      const sim = similarity(movBank.descricao, movTxt.descricao);
+      // Calcula similaridade de descrição; o CPF/CNPJ da contraparte, quando presente
+      // nos dois lados, identifica (ou descarta) a contraparte melhor que o texto
+      let sim = similarity(movBank.descricao, movTxt.descricao);
+      const docBank = documentoContraparte(movBank);
+      const docTxt = documentoContraparte(movTxt);
+      if (docBank && docTxt) {
+        sim = docBank === docTxt ? 1.0 : sim * 0.5;
+      }
       
       // Ajusta threshold de similaridade para descrições curtas ou que começam com a mesma palavra
       const descBankShort = movBank.descricao && movBank.descricao.length <= 5;
@@ -707,6 +725,7 @@ module.exports = {
   compararLancamentos,
   compareBankVsTxt,
   normalizarDescricao,
+  documentoContraparte,
   chavePrincipal,
   chaveDocumento,
   chaveDescricao
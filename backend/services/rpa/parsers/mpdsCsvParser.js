@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
 const { format, parse, isValid } = require('date-fns');
+const { extrairDocumentos } = require('../../../../shared/documentos.mjs');
 
 /**
  * Detecta o delimitador do CSV (vírgula ou ponto e vírgula).
@@ -299,6 +300,7 @@ function parseMpdsCsv(filePath, strict = false) {
                 data: format(data, 'yyyy-MM-dd'),
                 descricao: descricao,
                 documento: documento,
+                documento_contraparte: extrairDocumentos(descricao)[0] || null,
                 valor: valor,
                 saldo: saldo,
                 conta_contabil: null,
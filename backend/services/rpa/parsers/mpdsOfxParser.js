@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const { format } = require('date-fns');
+const { extrairDocumentos } = require('../../../../shared/documentos.mjs');
 
 /**
  * Converte data OFX para Date.
@@ -148,6 +149,7 @@ function parseMpdsOfx(filePath, strict = false) {
             data: format(data, 'yyyy-MM-dd'),
             descricao: descricao,
             documento: documento,
+            documento_contraparte: extrairDocumentos(descricao)[0] || null,
             valor: valor,
             saldo: null, // OFX geralmente não tem saldo por transação
             conta_contabil: null,
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const pdf = require('pdf-parse');
 const { format, parse, isValid } = require('date-fns');
+const { extrairDocumentos } = require('../../../../shared/documentos.mjs');
 
 /**
  * Converte string brasileira de valor para float.
@@ -853,6 +854,11 @@ function parseMpdsPdf(filePath, strict = false) {
           }
         }
 
+        // CPF/CNPJ da contraparte, quando a descrição do extrato traz o documento
+        resultado.lancamentos.forEach((lancamento) => {
+          lancamento.documento_contraparte = extrairDocumentos(lancamento.descricao)[0] || null;
+        });
+
         console.log(`Parsing concluído. Total de lançamentos extraídos: ${resultado.lancamentos.length}`);
         if (resultado.issues.length > 0) {
           console.warn(`Total de issues encontradas: ${resultado.issues.length}`);
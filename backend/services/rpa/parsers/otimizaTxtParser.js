@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const { format, parse, isValid } = require('date-fns');
+const { extrairDocumentos } = require('../../../../shared/documentos.mjs');
 
 /**
  * Converte string brasileira (ex: '1.234,56' ou '-1.234,56') ou americana para float.
@@ -392,6 +393,7 @@ function parseOtimizaTxt(filePath, strict = false) {
                 data: format(data, 'yyyy-MM-dd'),
                 descricao: descricao || '',
                 documento: documento,
+                documento_contraparte: extrairDocumentos(descricao)[0] || null,
                 valor: valor,
                 saldo: null,
                 conta_contabil: accountCode,
@@ -427,6 +429,7 @@ function parseOtimizaTxt(filePath, strict = false) {
                   data: format(data, 'yyyy-MM-dd'),
                   descricao: descricao,
                   documento: null,
+                  documento_contraparte: extrairDocumentos(descricao)[0] || null,
                   valor: valor,
                   saldo: null,
                   conta_contabil: null,
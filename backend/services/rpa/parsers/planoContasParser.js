@@ -17,10 +17,16 @@ function normalizeColumnName(col) {
 
 /**
  * Encontra o índice de uma coluna pelo nome
+ * @param {string[]} headers - Cabeçalhos da planilha
+ * @param {string[]} possibleNames - Nomes aceitos (comparação aproximada)
+ * @param {Set<number>} [ignore] - Índices já atribuídos a outras colunas
  */
-function findColumnIndex(headers, possibleNames) {
+function findColumnIndex(headers, possibleNames, ignore = new Set()) {
   for (let idx = 0; idx < headers.length; idx++) {
     const headerNorm = normalizeColumnName(headers[idx]);
+    if (!headerNorm || ignore.has(idx)) {
+      continue;
+    }
     for (const name of possibleNames) {
       const nameNorm = normalizeColumnName(name);
       if (headerNorm.includes(nameNorm) || nameNorm.includes(headerNorm)) {
@@ -279,6 +285,8 @@ async function parsePlanoContas(filePath) {
 module.exports = {
   parsePlanoContas,
   parsePlanoContasCsv,
-  parsePlanoContasExcel
+  parsePlanoContasExcel,
+  normalizeColumnName,
+  findColumnIndex
 };
 
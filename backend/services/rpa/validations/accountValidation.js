@@ -1,10 +1,31 @@
 // Motor de Validação Determinística de Contas Contábeis
 const { format } = require('date-fns');
 
+/**
+ * Escopo da validação: plano/regras da empresa e, se ela herda, os padrão (empresa_id NULL).
+ * Sem empresa, valida só contra o padrão.
+ */
+async function getValidationScope(empresaId, db) {
+  if (!empresaId) {
+    return { empresaId: null, herdaPadrao: true };
+  }
+
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT herda_plano_padrao FROM empresas WHERE id = ?`, [empresaId], (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ empresaId, herdaPadrao: !row || Boolean(row.herda_plano_padrao) });
+      }
+    });
+  });
+}
+
 /**
  * Valida se a conta existe no plano de contas.
+ * A conta da empresa prevalece sobre a do plano padrão (inclusive se estiver inativa).
  */
-async function validateAccountExists(accountCode, source, db) {
+async function validateAccountExists(accountCode, source, db, scope = { empresaId: null, herdaPadrao: true }) {
   if (!accountCode || !accountCode.trim()) {
     return { exists: false, message: 'Código de conta vazio' };
   }
@@ -18,14 +39,16 @@ async function validateAccountExists(accountCode, source, db) {
   return new Promise((resolve, reject) => {
     const sql = `
       SELECT * FROM chart_of_accounts 
-      WHERE account_code = ? AND source = ? AND is_active = 1
+      WHERE account_code = ? AND source = ?
+        AND (empresa_id = ? OR (empresa_id IS NULL AND ? = 1))
+      ORDER BY empresa_id IS NULL
       LIMIT 1
     `;
 
-    db.get(sql, [accountCode, source], (err, row) => {
+    db.get(sql, [accountCode, source, scope.empresaId, scope.herdaPadrao ? 1 : 0], (err, row) => {
       if (err) {
         reject(err);
-      } else if (row) {
+      } else if (row && row.is_active) {
         resolve({ exists: true, message: `Conta ${accountCode} encontrada: ${row.account_name}` });
       } else {
         resolve({ exists: false, message: `Conta ${accountCode} não encontrada no plano de contas` });
@@ -37,15 +60,19 @@ async function validateAccountExists(accountCode, source, db) {
 /**
  * Encontra regras de validação que correspondem ao lançamento.
  */
-async function findMatchingRules(lancamento, db) {
+async function findMatchingRules(lancamento, db, scope = { empresaId: null, herdaPadrao: true }) {
   if (!db) {
     return [];
   }
 
   return new Promise((resolve, reject) => {
-    const sql = `SELECT * FROM account_validation_rules WHERE is_enabled = 1`;
+    // Regras da empresa somam-se às regras padrão (quando ela herda o padrão)
+    const sql = `
+      SELECT * FROM account_validation_rules
+      WHERE is_enabled = 1 AND (empresa_id = ? OR (empresa_id IS NULL AND ? = 1))
+    `;
 
-    db.all(sql, [], (err, rules) => {
+    db.all(sql, [scope.empresaId, scope.herdaPadrao ? 1 : 0], (err, rules) => {
       if (err) {
         reject(err);
         return;
@@ -255,18 +282,24 @@ function validateAccountAgainstRules(accountCode, rules) {
 
 /**
  * Valida contas de todos os lançamentos do Otimiza.
+ * Com empresaId, usa o plano de contas e as regras da empresa da comparação.
  */
-async function validateLancamentosAccounts(comparacaoId, lancamentosOtimiza, source, db) {
+async function validateLancamentosAccounts(comparacaoId, lancamentosOtimiza, source, db, empresaId = null) {
   if (!db) {
     throw new Error('Banco de dados é obrigatório');
   }
 
+  const scope = await getValidationScope(empresaId, db);
+
   const total = lancamentosOtimiza.length;
   let okCount = 0;
   let invalidCount = 0;
   let unknownCount = 0;
 
-  console.log(`[ACCOUNT_VALIDATION] Iniciando validação para comparação ${comparacaoId}, total=${total}`);
+  console.log(
+    `[ACCOUNT_VALIDATION] Iniciando validação para comparação ${comparacaoId}, total=${total}, ` +
+    `empresa=${scope.empresaId || 'padrão'} herda_padrao=${scope.herdaPadrao}`
+  );
 
   const { createAccountValidationResult } = require('../../../database');
 
@@ -302,7 +335,7 @@ async function validateLancamentosAccounts(comparacaoId, lancamentosOtimiza, sou
     const accountCodeClean = accountCode.trim();
 
     // Valida existência
-    const { exists, message: existsMsg } = await validateAccountExists(accountCodeClean, source, db);
+    const { exists, message: existsMsg } = await validateAccountExists(accountCodeClean, source, db, scope);
 
     if (!exists) {
       await createAccountValidationResult({
@@ -325,7 +358,7 @@ async function validateLancamentosAccounts(comparacaoId, lancamentosOtimiza, sou
     }
 
     // Busca regras
-    const rules = await findMatchingRules(lancamento, db);
+    const rules = await findMatchingRules(lancamento, db, scope);
 
     // Valida contra regras
     const validationResult = validateAccountAgainstRules(accountCodeClean, rules);
@@ -381,6 +414,7 @@ async function validateLancamentosAccounts(comparacaoId, lancamentosOtimiza, sou
 }
 
 module.exports = {
+  getValidationScope,
   validateAccountExists,
   findMatchingRules,
   validateAccountAgainstRules,
@@ -0,0 +1,116 @@
+// Lembretes por email das solicitações de documentos pendentes
+//
+// Os contatos da empresa (usuários do portal vinculados a ela) recebem um email por empresa
+// com os pedidos que vencem nos próximos SOLICITACOES_LEMBRETE_DIAS dias ou já atrasados.
+// Cada pedido recebe no máximo um lembrete por dia.
+const {
+  getContatosEmpresa,
+  listSolicitacoesParaLembrete,
+  registrarLembreteSolicitacoes
+} = require('../../database');
+const { sendMail } = require('../mail/mailer');
+const { documentRequestReminderEmail } = require('../mail/templates');
+
+const DIAS_ANTECEDENCIA = parseInt(process.env.SOLICITACOES_LEMBRETE_DIAS, 10) || 2;
+// Intervalo da verificação automática em minutos (0 desativa)
+const INTERVALO_MINUTOS = process.env.SOLICITACOES_LEMBRETE_INTERVALO_MIN === undefined
+  ? 60
+  : parseInt(process.env.SOLICITACOES_LEMBRETE_INTERVALO_MIN, 10) || 0;
+
+const dataLocalISO = (data) => {
+  const ajustada = new Date(data.getTime() - data.getTimezoneOffset() * 60000);
+  return ajustada.toISOString().slice(0, 10);
+};
+
+/**
+ * Envia os lembretes de um conjunto de solicitações, um email por empresa e contato.
+ * @param {Array} solicitacoes - Linhas de listSolicitacoesParaLembrete
+ * @param {string} portalUrl - Link do portal do cliente
+ * @returns {Promise<Object>} { emails, solicitacoes, semContato }
+ */
+async function enviarLembretes(solicitacoes, portalUrl) {
+  const porEmpresa = new Map();
+  solicitacoes.forEach((s) => {
+    if (!porEmpresa.has(s.empresa_id)) porEmpresa.set(s.empresa_id, []);
+    porEmpresa.get(s.empresa_id).push(s);
+  });
+
+  const resultado = { emails: 0, solicitacoes: 0, semContato: [] };
+  for (const [empresaId, pendentes] of porEmpresa) {
+    const contatos = await getContatosEmpresa(empresaId);
+    if (contatos.length === 0) {
+      resultado.semContato.push(pendentes[0].empresa_nome);
+      continue;
+    }
+
+    const documentos = pendentes.map((s) => ({
+      descricao: s.descricao,
+      tarefa: s.tarefa_titulo,
+      prazo: s.prazo,
+      atrasado: Boolean(s.atrasada)
+    }));
+    let enviados = 0;
+    for (const contato of contatos) {
+      try {
+        await sendMail({
+          to: contato.email,
+          ...documentRequestReminderEmail({
+            nome: contato.nome_completo,
+            empresaNome: pendentes[0].empresa_nome,
+            documentos,
+            portalUrl
+          })
+        });
+        enviados += 1;
+      } catch (error) {
+        console.error(`[SOLICITACOES] Erro ao enviar lembrete para ${contato.email}:`, error.message);
+      }
+    }
+
+    if (enviados > 0) {
+      await registrarLembreteSolicitacoes(pendentes.map((s) => s.id));
+      resultado.emails += enviados;
+      resultado.solicitacoes += pendentes.length;
+    }
+  }
+  return resultado;
+}
+
+// Verificação periódica: pedidos que vencem até hoje + DIAS_ANTECEDENCIA
+async function enviarLembretesPendentes(portalUrl) {
+  const limite = new Date();
+  limite.setDate(limite.getDate() + DIAS_ANTECEDENCIA);
+  const solicitacoes = await listSolicitacoesParaLembrete({ ate: dataLocalISO(limite) });
+  if (solicitacoes.length === 0) return { emails: 0, solicitacoes: 0, semContato: [] };
+
+  const resultado = await enviarLembretes(solicitacoes, portalUrl);
+  console.log(`[SOLICITACOES] ${resultado.emails} lembrete(s) enviados para ${resultado.solicitacoes} documento(s) pendente(s)`);
+  if (resultado.semContato.length) {
+    console.warn(`[SOLICITACOES] Empresas sem contato no portal: ${resultado.semContato.join(', ')}`);
+  }
+  return resultado;
+}
+
+/**
+ * Agenda a verificação automática dos lembretes (não impede o processo de encerrar).
+ * @param {Object} opcoes - { portalUrl }
+ */
+function iniciarLembretesSolicitacoes({ portalUrl }) {
+  if (!INTERVALO_MINUTOS) {
+    console.log('[SOLICITACOES] Lembretes automáticos desativados');
+    return null;
+  }
+
+  const executar = () => enviarLembretesPendentes(portalUrl)
+    .catch((error) => console.error('[SOLICITACOES] Erro na verificação de lembretes:', error.message));
+  const timer = setInterval(executar, INTERVALO_MINUTOS * 60 * 1000);
+  timer.unref();
+  console.log(`[SOLICITACOES] Lembretes automáticos a cada ${INTERVALO_MINUTOS} min (antecedência de ${DIAS_ANTECEDENCIA} dias)`);
+  return timer;
+}
+
+module.exports = {
+  enviarLembretes,
+  enviarLembretesPendentes,
+  iniciarLembretesSolicitacoes
+};
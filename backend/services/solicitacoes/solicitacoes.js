@@ -0,0 +1,66 @@
+// Solicitações de documentos ao cliente (folha, notas fiscais, extratos para o comparador)
+//
+// Cada solicitação pertence a uma tarefa e tem descrição e prazo. O status gravado é
+// "solicitado" ou "recebido"; "atrasado" é o pedido não recebido com prazo vencido.
+// Enquanto houver pedido não recebido, a tarefa fica marcada como aguardando o cliente.
+
+const STATUS_SOLICITACAO = ['solicitado', 'recebido', 'atrasado'];
+
+const toSolicitacaoResponse = (solicitacao) => ({
+  id: solicitacao.id,
+  taskId: solicitacao.task_id,
+  descricao: solicitacao.descricao,
+  prazo: solicitacao.prazo,
+  status: solicitacao.situacao,
+  arquivoId: solicitacao.arquivo_id,
+  arquivoNome: solicitacao.arquivo_nome,
+  solicitadoPorNome: solicitacao.solicitado_por_nome,
+  recebidoEm: solicitacao.recebido_em,
+  ultimoLembreteEm: solicitacao.ultimo_lembrete_em,
+  lembretesEnviados: solicitacao.lembretes_enviados,
+  createdAt: solicitacao.created_at
+});
+
+/**
+ * Resumo das solicitações de uma tarefa (sinalização de tarefa bloqueada pelo cliente).
+ * @param {Array} solicitacoes - Respostas de toSolicitacaoResponse
+ * @returns {Object} { aguardandoCliente, pendentes, atrasadas }
+ */
+function resumoSolicitacoes(solicitacoes) {
+  const pendentes = solicitacoes.filter((s) => s.status !== 'recebido').length;
+  const atrasadas = solicitacoes.filter((s) => s.status === 'atrasado').length;
+  return { aguardandoCliente: pendentes > 0, pendentes, atrasadas };
+}
+
+// Agrupa as solicitações (linhas do banco) por tarefa, já no formato de resposta
+function agruparPorTarefa(linhas) {
+  const porTarefa = new Map();
+  linhas.forEach((linha) => {
+    if (!porTarefa.has(linha.task_id)) porTarefa.set(linha.task_id, []);
+    porTarefa.get(linha.task_id).push(toSolicitacaoResponse(linha));
+  });
+  return porTarefa;
+}
+
+// Valida descrição e prazo (YYYY-MM-DD) enviados pela tela da tarefa
+function parseSolicitacaoBody(body) {
+  const descricao = String(body.descricao || '').trim();
+  if (!descricao || descricao.length > 255) {
+    return { error: 'Informe o documento solicitado (até 255 caracteres)' };
+  }
+
+  const prazo = String(body.prazo || '').slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(prazo) || Number.isNaN(new Date(`${prazo}T00:00:00`).getTime())) {
+    return { error: 'Prazo inválido. Use o formato AAAA-MM-DD' };
+  }
+
+  return { descricao, prazo };
+}
+
+module.exports = {
+  STATUS_SOLICITACAO,
+  toSolicitacaoResponse,
+  resumoSolicitacoes,
+  agruparPorTarefa,
+  parseSolicitacaoBody
+};
@@ -0,0 +1,140 @@
+// Checklist das tarefas e modelos de tarefa
+//
+// Cada tarefa pode ter itens ordenados (etapas), com responsável e prazo opcionais. O prazo é
+// relativo ao vencimento da tarefa (prazo_dias = -2: dois dias antes), para que o mesmo modelo
+// sirva a qualquer competência. Enquanto houver item obrigatório pendente, a tarefa não vai para
+// revisão nem é concluída (services/tasks/status.js).
+const { somarDias } = require('./series');
+
+const MAX_ITENS_MODELO = 50;
+const MAX_PRAZO_DIAS = 365;
+
+// Tarefas concluídas ou canceladas não têm o checklist alterado (reabra antes)
+const STATUS_CHECKLIST_BLOQUEADO = ['finalizado', 'cancelada'];
+
+const toChecklistItemResponse = (item, dataVencimento) => {
+  const vencimento = dataVencimento ? String(dataVencimento).slice(0, 10) : null;
+  return {
+    id: item.id,
+    taskId: item.task_id,
+    descricao: item.descricao,
+    ordem: item.ordem,
+    obrigatorio: Boolean(item.obrigatorio),
+    responsavelId: item.responsavel_id,
+    responsavelNome: item.responsavel_nome,
+    prazoDias: item.prazo_dias,
+    prazo: vencimento && item.prazo_dias !== null ? somarDias(vencimento, item.prazo_dias) : null,
+    concluido: Boolean(item.concluido),
+    concluidoPorNome: item.concluido_por_nome,
+    concluidoEm: item.concluido_em
+  };
+};
+
+/**
+ * Progresso do checklist a partir dos itens (respostas de toChecklistItemResponse).
+ * @returns {Object} { total, concluidos, obrigatoriosPendentes }
+ */
+const resumoChecklist = (itens) => ({
+  total: itens.length,
+  concluidos: itens.filter((item) => item.concluido).length,
+  obrigatoriosPendentes: itens.filter((item) => item.obrigatorio && !item.concluido).length
+});
+
+// Mesmo resumo a partir da linha de getResumoChecklistByTaskIds (tarefa sem itens: zeros)
+const toResumoChecklist = (linha) => ({
+  total: linha ? linha.total : 0,
+  concluidos: linha ? linha.concluidos : 0,
+  obrigatoriosPendentes: linha ? linha.obrigatorios_pendentes : 0
+});
+
+// Prazo em dias relativo ao vencimento; vazio = sem prazo próprio
+function parsePrazoDias(valor) {
+  if (valor === undefined || valor === null || valor === '') return { prazoDias: null };
+  const prazoDias = Number(valor);
+  if (!Number.isInteger(prazoDias) || Math.abs(prazoDias) > MAX_PRAZO_DIAS) {
+    return { error: `Prazo do item inválido (dias em relação ao vencimento, de -${MAX_PRAZO_DIAS} a ${MAX_PRAZO_DIAS})` };
+  }
+  return { prazoDias };
+}
+
+function parseDescricao(valor) {
+  const descricao = String(valor || '').trim();
+  if (!descricao || descricao.length > 255) {
+    return { error: 'Informe a descrição do item (até 255 caracteres)' };
+  }
+  return { descricao };
+}
+
+/**
+ * Valida um item de checklist enviado pela tela da tarefa.
+ * @param {Object} body - { descricao, obrigatorio, responsavelId, prazoDias }
+ * @returns {Object} { descricao, obrigatorio, responsavelId, prazoDias } ou { error }
+ */
+function parseChecklistItemBody(body = {}) {
+  const { descricao, error } = parseDescricao(body.descricao);
+  if (error) return { error };
+  const prazo = parsePrazoDias(body.prazoDias);
+  if (prazo.error) return { error: prazo.error };
+
+  return {
+    descricao,
+    obrigatorio: body.obrigatorio === undefined ? true : Boolean(body.obrigatorio),
+    responsavelId: body.responsavelId || null,
+    prazoDias: prazo.prazoDias
+  };
+}
+
+/**
+ * Valida um modelo de tarefa.
+ * @param {Object} body - { nome, titulo, observacoes, itens: [{ descricao, obrigatorio, prazoDias }] }
+ * @returns {Object} { nome, titulo, observacoes, itens } ou { error }
+ */
+function parseModeloBody(body = {}) {
+  const nome = String(body.nome || '').trim();
+  if (!nome || nome.length > 100) {
+    return { error: 'Informe o nome do modelo (até 100 caracteres)' };
+  }
+  const titulo = String(body.titulo || '').trim();
+  if (titulo.length > 255) {
+    return { error: 'Título sugerido muito longo (máximo de 255 caracteres)' };
+  }
+
+  const itensBody = Array.isArray(body.itens) ? body.itens : [];
+  if (itensBody.length > MAX_ITENS_MODELO) {
+    return { error: `O modelo pode ter no máximo ${MAX_ITENS_MODELO} itens` };
+  }
+  const itens = [];
+  for (const [indice, item] of itensBody.entries()) {
+    const { descricao, error } = parseDescricao(item && item.descricao);
+    const prazo = parsePrazoDias(item && item.prazoDias);
+    if (error || prazo.error) {
+      return { error: `Item ${indice + 1}: ${error || prazo.error}` };
+    }
+    itens.push({ descricao, obrigatorio: item.obrigatorio === undefined ? true : Boolean(item.obrigatorio), prazoDias: prazo.prazoDias });
+  }
+
+  return { nome, titulo: titulo || null, observacoes: String(body.observacoes || '').trim() || null, itens };
+}
+
+const toModeloResponse = (modelo, itens = []) => ({
+  id: modelo.id,
+  nome: modelo.nome,
+  titulo: modelo.titulo,
+  observacoes: modelo.observacoes,
+  itens: itens.map((item) => ({
+    descricao: item.descricao,
+    obrigatorio: Boolean(item.obrigatorio),
+    prazoDias: item.prazo_dias
+  })),
+  updatedAt: modelo.updated_at
+});
+
+module.exports = {
+  STATUS_CHECKLIST_BLOQUEADO,
+  toChecklistItemResponse,
+  resumoChecklist,
+  toResumoChecklist,
+  parseChecklistItemBody,
+  parseModeloBody,
+  toModeloResponse
+};
@@ -0,0 +1,161 @@
+// Comentários das tarefas, com respostas, anexos e menções
+//
+// A conversa tem um nível de respostas: responder a uma resposta vai para o mesmo comentário
+// principal. Menções são gravadas no texto como @[Nome](uid) (a tela mostra só @Nome); cada
+// usuário citado que pode ver a tarefa é avisado por email e na lista de menções do sistema.
+// Edições e exclusões guardam o texto anterior em tarefa_comentario_historico.
+const { getComentarioById } = require('../../database');
+const { getRolePermissions } = require('../auth/permissions');
+const { canViewTask } = require('./visibility');
+const { sendMail } = require('../mail/mailer');
+const { taskMentionEmail } = require('../mail/templates');
+
+const MAX_TEXTO = 5000;
+const MAX_ANEXOS = 5;
+
+const MENCAO = /@\[([^\]\n]{1,100})\]\(([^)\s]{1,255})\)/g;
+
+// Texto com as menções como @Nome (emails e trechos)
+const textoSimples = (texto) => String(texto || '').replace(MENCAO, (_, nome) => `@${nome}`);
+
+/**
+ * Usuários citados no texto, sem repetição.
+ * @returns {string[]} uids
+ */
+const extrairMencoes = (texto) => [...new Set([...String(texto || '').matchAll(MENCAO)].map(([, , uid]) => uid))];
+
+/**
+ * Valida o texto de um comentário.
+ * @returns {Object} { texto } ou { error }
+ */
+function parseTextoComentario(valor) {
+  const texto = typeof valor === 'string' ? valor.trim() : '';
+  if (!texto) {
+    return { error: 'Escreva o comentário' };
+  }
+  if (texto.length > MAX_TEXTO) {
+    return { error: `Comentário muito longo (máximo de ${MAX_TEXTO} caracteres)` };
+  }
+  return { texto };
+}
+
+const toAnexoResponse = (arquivo) => ({
+  id: arquivo.id,
+  url: `/api/files/${arquivo.id}/download`,
+  name: arquivo.original_name,
+  size: arquivo.size,
+  type: arquivo.mime_type,
+  uploadDate: arquivo.upload_date
+});
+
+// Comentário excluído mantém o lugar na conversa, sem texto nem anexos
+const toComentarioResponse = (comentario, anexos = []) => {
+  const excluido = Boolean(comentario.excluido_em);
+  return {
+    id: comentario.id,
+    taskId: comentario.task_id,
+    parentId: comentario.parent_id,
+    autorId: comentario.autor_id,
+    autorNome: comentario.autor_nome || comentario.autor_email || 'Usuário removido',
+    texto: excluido ? null : comentario.texto,
+    createdAt: comentario.created_at,
+    editadoEm: comentario.editado_em,
+    excluido,
+    excluidoEm: comentario.excluido_em,
+    anexos: excluido ? [] : anexos.map(toAnexoResponse)
+  };
+};
+
+/**
+ * Se o arquivo pode ser baixado ou removido pelas rotas de arquivos. Anexos de comentário excluído
+ * ficam de fora, como na conversa; comprovantes (sem comentario_id) sempre podem.
+ * @returns {Promise<boolean>}
+ */
+async function anexoDisponivel(arquivo) {
+  if (!arquivo.comentario_id) return true;
+  const comentario = await getComentarioById(arquivo.comentario_id);
+  return Boolean(comentario) && !comentario.excluido_em;
+}
+
+/**
+ * Conversa da tarefa: comentários principais com as respostas em ordem cronológica.
+ * @param {Object[]} comentarios - Linhas de listComentariosByTask
+ * @param {Object[]} anexos - Linhas de listAnexosComentarios
+ * @returns {Object[]} [{ ...comentario, respostas: [...] }]
+ */
+function montarConversa(comentarios, anexos) {
+  const anexosPorComentario = new Map();
+  anexos.forEach((arquivo) => {
+    if (!anexosPorComentario.has(arquivo.comentario_id)) anexosPorComentario.set(arquivo.comentario_id, []);
+    anexosPorComentario.get(arquivo.comentario_id).push(arquivo);
+  });
+
+  const principais = new Map();
+  comentarios.filter((c) => !c.parent_id).forEach((c) => {
+    principais.set(c.id, { ...toComentarioResponse(c, anexosPorComentario.get(c.id)), respostas: [] });
+  });
+  comentarios.filter((c) => c.parent_id).forEach((c) => {
+    const principal = principais.get(c.parent_id);
+    if (principal) principal.respostas.push(toComentarioResponse(c, anexosPorComentario.get(c.id)));
+  });
+
+  // Comentário excluído sem respostas não precisa aparecer
+  return [...principais.values()].filter((c) => !c.excluido || c.respostas.some((r) => !r.excluido));
+}
+
+/**
+ * Citados que podem receber o aviso: existem, veem a tarefa e não são o autor.
+ * @param {string[]} uids - extrairMencoes
+ * @param {Object[]} usuarios - getAllUsers
+ * @returns {Promise<Object[]>} Usuários citados
+ */
+async function mencionadosValidos(uids, task, autorId, usuarios) {
+  const porId = new Map(usuarios.map((u) => [u.uid, u]));
+  const validos = [];
+  for (const uid of uids) {
+    const usuario = porId.get(uid);
+    if (!usuario || uid === autorId) continue;
+    if (await canViewTask({ uid, permissions: getRolePermissions(usuario.cargo) }, task)) {
+      validos.push(usuario);
+    }
+  }
+  return validos;
+}
+
+/**
+ * Avisa por email os usuários citados. Falhas de envio só vão para o log.
+ * @returns {Promise<number>} Emails enviados
+ */
+async function notificarMencoes({ mencionados, task, autorNome, texto, appUrl }) {
+  let enviados = 0;
+  for (const usuario of mencionados) {
+    try {
+      await sendMail({
+        to: usuario.email,
+        ...taskMentionEmail({
+          nome: usuario.nome_completo,
+          autor: autorNome,
+          tarefa: task.titulo,
+          comentario: textoSimples(texto),
+          appUrl
+        })
+      });
+      enviados += 1;
+    } catch (error) {
+      console.error(`[COMENTARIOS] Erro ao avisar ${usuario.email} da menção:`, error.message);
+    }
+  }
+  return enviados;
+}
+
+module.exports = {
+  MAX_ANEXOS,
+  textoSimples,
+  extrairMencoes,
+  parseTextoComentario,
+  toComentarioResponse,
+  anexoDisponivel,
+  montarConversa,
+  mencionadosValidos,
+  notificarMencoes
+};
@@ -0,0 +1,137 @@
+// Dependências entre tarefas (término → início)
+//
+// A sucessora só é iniciada ou concluída depois que todas as predecessoras estiverem concluídas
+// (ou canceladas); até lá aparece como bloqueada por dependência. Os vínculos não podem formar
+// ciclos. Quando o vencimento de uma predecessora passa do vencimento de uma sucessora em aberto,
+// a sucessora é adiada para o mesmo dia, e o ajuste segue pela cadeia.
+const {
+  listSucessoras,
+  existeCaminhoDependencia,
+  createDependencia,
+  adiarVencimentoTarefa,
+  insertActivityLog
+} = require('../../database');
+
+// Predecessora nesses status não segura mais a sucessora; sucessora nesses status não é adiada
+const STATUS_ENCERRADOS = ['finalizado', 'cancelada'];
+
+const dataDe = (valor) => String(valor || '').slice(0, 10);
+
+const toTarefaVinculada = (id, titulo, status, dataVencimento) => ({
+  id,
+  titulo,
+  status,
+  dataVencimento,
+  encerrada: STATUS_ENCERRADOS.includes(status)
+});
+
+const semDependencias = () => ({ predecessoras: [], sucessoras: [], predecessorasPendentes: 0, bloqueada: false });
+
+/**
+ * Predecessoras e sucessoras de cada tarefa.
+ * @param {Object[]} linhas - Linhas de listDependenciasByTaskIds
+ * @returns {Map<string, Object>} taskId → { predecessoras, sucessoras, predecessorasPendentes, bloqueada }
+ */
+function agruparDependencias(linhas) {
+  const porTarefa = new Map();
+  const daTarefa = (taskId) => {
+    if (!porTarefa.has(taskId)) porTarefa.set(taskId, semDependencias());
+    return porTarefa.get(taskId);
+  };
+
+  for (const linha of linhas) {
+    const predecessora = toTarefaVinculada(linha.predecessora_id, linha.predecessora_titulo, linha.predecessora_status, linha.predecessora_vencimento);
+    const sucessora = toTarefaVinculada(linha.sucessora_id, linha.sucessora_titulo, linha.sucessora_status, linha.sucessora_vencimento);
+    daTarefa(linha.predecessora_id).sucessoras.push(sucessora);
+
+    const dependencias = daTarefa(linha.sucessora_id);
+    dependencias.predecessoras.push(predecessora);
+    if (!predecessora.encerrada) {
+      dependencias.predecessorasPendentes++;
+      dependencias.bloqueada = true;
+    }
+  }
+  return porTarefa;
+}
+
+const dependenciasDaTarefa = (porTarefa, taskId) => porTarefa.get(taskId) || semDependencias();
+
+/**
+ * Confere se a tarefa pode passar a ser sucessora de predecessoraId.
+ * @returns {Promise<string|null>} Mensagem de erro ou null
+ */
+async function validarNovaDependencia(predecessoraId, sucessoraId) {
+  if (predecessoraId === sucessoraId) {
+    return 'Uma tarefa não pode depender dela mesma';
+  }
+  // predecessora → sucessora fecharia um ciclo se a predecessora já depender (mesmo indiretamente) da sucessora
+  if (await existeCaminhoDependencia(sucessoraId, predecessoraId)) {
+    return 'A dependência criaria um ciclo: a tarefa escolhida já depende desta';
+  }
+  return null;
+}
+
+/**
+ * Adia as sucessoras em aberto que vencem antes da tarefa, seguindo a cadeia.
+ * Sem ciclos, cada sucessora só é revisitada quando o vencimento dela aumenta.
+ * @param {Object} task - Linha da tarefa (id, titulo, data_vencimento)
+ * @param {Object} user - Usuário que alterou a tarefa (registrado no log de cada adiamento)
+ * @returns {Promise<Array>} [{ id, titulo, vencimentoAnterior, dataVencimento }]
+ */
+async function adiarSucessoras(task, user) {
+  const adiadas = new Map();
+  const fila = [{ id: task.id, dataVencimento: task.data_vencimento }];
+
+  while (fila.length > 0) {
+    const atual = fila.shift();
+    for (const sucessora of await listSucessoras(atual.id)) {
+      if (STATUS_ENCERRADOS.includes(sucessora.status)) continue;
+      if (dataDe(sucessora.data_vencimento) >= dataDe(atual.dataVencimento)) continue;
+
+      await adiarVencimentoTarefa(sucessora.id, atual.dataVencimento);
+      await insertActivityLog({
+        userId: user.uid,
+        userEmail: user.email,
+        action: 'shift_due_date',
+        taskId: sucessora.id,
+        taskTitle: sucessora.titulo
+      });
+      const anterior = adiadas.get(sucessora.id);
+      adiadas.set(sucessora.id, {
+        id: sucessora.id,
+        titulo: sucessora.titulo,
+        vencimentoAnterior: anterior ? anterior.vencimentoAnterior : sucessora.data_vencimento,
+        dataVencimento: atual.dataVencimento
+      });
+      fila.push({ id: sucessora.id, dataVencimento: atual.dataVencimento });
+    }
+  }
+
+  if (adiadas.size > 0) {
+    console.log(`[DEPENDENCIAS] ${adiadas.size} sucessora(s) de "${task.titulo}" adiada(s) para acompanhar o vencimento`);
+  }
+  return [...adiadas.values()];
+}
+
+/**
+ * Grava vínculos entre tarefas recém-criadas (geração da agenda), sem repetir os existentes.
+ * @param {Array<{ predecessoraId, sucessoraId }>} vinculos
+ * @returns {Promise<number>} Vínculos criados
+ */
+async function criarVinculos(vinculos, criadoPor = null) {
+  let criados = 0;
+  for (const { predecessoraId, sucessoraId } of vinculos) {
+    if (await validarNovaDependencia(predecessoraId, sucessoraId)) continue;
+    const { insertedRows } = await createDependencia(predecessoraId, sucessoraId, criadoPor);
+    criados += insertedRows;
+  }
+  return criados;
+}
+
+module.exports = {
+  agruparDependencias,
+  dependenciasDaTarefa,
+  validarNovaDependencia,
+  adiarSucessoras,
+  criarVinculos
+};
@@ -0,0 +1,154 @@
+// Regras de recorrência das séries de tarefas
+//
+// Uma série guarda a regra (frequência + tipo de dia) e o mês de início; cada ocorrência é uma
+// tarefa comum ligada à série. Os cálculos aqui são puros: recebem os feriados já carregados
+// (mapa "mes-dia" → nome por ano, o mesmo formato de buscarFeriados) e trabalham com datas
+// YYYY-MM-DD, sem fuso horário.
+
+const FREQUENCIAS = {
+  mensal: { label: 'Mensal', meses: 1 },
+  trimestral: { label: 'Trimestral', meses: 3 },
+  anual: { label: 'Anual', meses: 12 }
+};
+
+const TIPOS_DIA = {
+  dia: 'Dia do mês',
+  dia_util: 'Dia útil do mês',
+  ultimo_dia_util: 'Último dia útil do mês'
+};
+
+const MAX_DIA_UTIL = 23;
+const DATA_ISO = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatarData = (ano, mes, dia) => `${ano}-${pad(mes)}-${pad(dia)}`;
+const ultimoDiaDoMes = (ano, mes) => new Date(Date.UTC(ano, mes, 0)).getUTCDate();
+
+const dataValida = (valor) => typeof valor === 'string' && DATA_ISO.test(valor)
+  && !Number.isNaN(Date.parse(`${valor}T00:00:00Z`))
+  && new Date(`${valor}T00:00:00Z`).toISOString().startsWith(valor);
+
+function isDiaUtil(ano, mes, dia, feriados = {}) {
+  const diaSemana = new Date(Date.UTC(ano, mes - 1, dia)).getUTCDay();
+  return diaSemana !== 0 && diaSemana !== 6 && !feriados[`${mes}-${dia}`];
+}
+
+/**
+ * Data da ocorrência da regra num mês.
+ * - dia: dia N (limitado ao último dia do mês)
+ * - dia_util: N-ésimo dia útil (o último dia útil se o mês tiver menos de N)
+ * - ultimo_dia_util: último dia útil
+ * @param {Object} regra - { tipoDia, dia }
+ * @param {Object} feriados - Feriados do ano da data
+ * @returns {string} YYYY-MM-DD
+ */
+function dataNoMes(regra, ano, mes, feriados = {}) {
+  const ultimo = ultimoDiaDoMes(ano, mes);
+  if (regra.tipoDia === 'dia') {
+    return formatarData(ano, mes, Math.min(regra.dia, ultimo));
+  }
+
+  let ultimoUtil = ultimo;
+  if (regra.tipoDia === 'dia_util') {
+    let contador = 0;
+    for (let dia = 1; dia <= ultimo; dia += 1) {
+      if (!isDiaUtil(ano, mes, dia, feriados)) continue;
+      contador += 1;
+      ultimoUtil = dia;
+      if (contador === regra.dia) return formatarData(ano, mes, dia);
+    }
+    return formatarData(ano, mes, ultimoUtil);
+  }
+
+  while (ultimoUtil > 1 && !isDiaUtil(ano, mes, ultimoUtil, feriados)) ultimoUtil -= 1;
+  return formatarData(ano, mes, ultimoUtil);
+}
+
+/**
+ * Ocorrências da série entre duas datas (inclusive), em ordem.
+ * Os meses avançam de data_inicio em passos da frequência; ocorrências antes de data_inicio
+ * ou depois de data_fim ficam de fora.
+ * @param {Object} serie - Linha de tarefa_series
+ * @param {string} de - YYYY-MM-DD
+ * @param {string} ate - YYYY-MM-DD
+ * @param {Object} feriadosPorAno - { [ano]: feriados }
+ * @returns {Array<string>}
+ */
+function ocorrenciasEntre(serie, de, ate, feriadosPorAno = {}) {
+  const passo = FREQUENCIAS[serie.frequencia].meses;
+  const regra = { tipoDia: serie.tipo_dia, dia: serie.dia };
+  const limite = serie.data_fim && serie.data_fim < ate ? serie.data_fim : ate;
+  const [anoInicio, mesInicio] = serie.data_inicio.split('-').map(Number);
+
+  const datas = [];
+  for (let indice = anoInicio * 12 + mesInicio - 1; ; indice += passo) {
+    const ano = Math.floor(indice / 12);
+    const mes = (indice % 12) + 1;
+    if (formatarData(ano, mes, 1) > limite) break;
+
+    const data = dataNoMes(regra, ano, mes, feriadosPorAno[ano]);
+    if (data >= de && data >= serie.data_inicio && data <= limite) datas.push(data);
+  }
+  return datas;
+}
+
+// Anos cujos feriados ocorrenciasEntre vai consultar
+function anosEntre(de, ate) {
+  const anos = [];
+  for (let ano = Number(de.slice(0, 4)); ano <= Number(ate.slice(0, 4)); ano += 1) anos.push(ano);
+  return anos;
+}
+
+function descreverRegra(serie) {
+  const frequencia = FREQUENCIAS[serie.frequencia]?.label || serie.frequencia;
+  if (serie.tipo_dia === 'ultimo_dia_util') return `${frequencia}, no último dia útil`;
+  if (serie.tipo_dia === 'dia_util') return `${frequencia}, no ${serie.dia}º dia útil`;
+  return `${frequencia}, no dia ${serie.dia}`;
+}
+
+/**
+ * Valida a regra enviada pelo frontend.
+ * @param {Object} body - { frequencia, tipoDia, dia, dataFim }
+ * @param {string} dataPadrao - YYYY-MM-DD usada quando a regra é "dia" sem número
+ * @returns {Object} { frequencia, tipoDia, dia, dataFim } ou { error }
+ */
+function parseRegra(body = {}, dataPadrao = null) {
+  const frequencia = body.frequencia || 'mensal';
+  if (!FREQUENCIAS[frequencia]) {
+    return { error: `Frequência inválida (use ${Object.keys(FREQUENCIAS).join(', ')})` };
+  }
+  const tipoDia = body.tipoDia || 'dia';
+  if (!TIPOS_DIA[tipoDia]) {
+    return { error: `Tipo de dia inválido (use ${Object.keys(TIPOS_DIA).join(', ')})` };
+  }
+
+  let dia = null;
+  if (tipoDia !== 'ultimo_dia_util') {
+    const informado = body.dia === undefined || body.dia === null || body.dia === ''
+      ? (tipoDia === 'dia' && dataPadrao ? Number(dataPadrao.slice(8, 10)) : NaN)
+      : Number(body.dia);
+    const maximo = tipoDia === 'dia' ? 31 : MAX_DIA_UTIL;
+    if (!Number.isInteger(informado) || informado < 1 || informado > maximo) {
+      return { error: `Informe o dia da recorrência (1 a ${maximo})` };
+    }
+    dia = informado;
+  }
+
+  const dataFim = body.dataFim || null;
+  if (dataFim && !dataValida(dataFim)) {
+    return { error: 'Data final da recorrência inválida (use AAAA-MM-DD)' };
+  }
+  return { frequencia, tipoDia, dia, dataFim };
+}
+
+module.exports = {
+  FREQUENCIAS,
+  TIPOS_DIA,
+  formatarData,
+  dataValida,
+  dataNoMes,
+  ocorrenciasEntre,
+  anosEntre,
+  descreverRegra,
+  parseRegra
+};
@@ -0,0 +1,297 @@
+// Séries de tarefas recorrentes
+//
+// Cada ocorrência é uma tarefa comum (tarefas.serie_id + tarefas.ocorrencia). O agendador mantém
+// criadas as ocorrências dos próximos RECORRENCIA_HORIZONTE_DIAS dias e, ao finalizar uma
+// ocorrência, a seguinte é criada mesmo que esteja além do horizonte.
+// Ocorrências marcadas como exceção (editadas só nelas) não acompanham as edições da série.
+// Cada mês da regra tem no máximo uma ocorrência: um mês que já tem uma (mantida numa edição da
+// série, com a data da regra anterior) não recebe outra.
+const { v4: uuidv4 } = require('uuid');
+const {
+  createTask,
+  updateTask,
+  deleteTask,
+  createSerie,
+  getSerieById,
+  listSeriesAtivas,
+  updateSerie,
+  setSerieGeradaAte,
+  encerrarSerie,
+  listOcorrenciasSerie,
+  aplicarModeloChecklist
+} = require('../../database');
+const { buscarFeriados } = require('../../scripts/agenda-tributaria-api');
+const { ocorrenciasEntre, anosEntre } = require('./recorrencia');
+
+const HORIZONTE_DIAS = parseInt(process.env.RECORRENCIA_HORIZONTE_DIAS, 10) || 90;
+// Intervalo da materialização automática em minutos (0 desativa)
+const INTERVALO_MINUTOS = process.env.RECORRENCIA_INTERVALO_MIN === undefined
+  ? 60
+  : parseInt(process.env.RECORRENCIA_INTERVALO_MIN, 10) || 0;
+
+const dataLocalISO = (data) => {
+  const ajustada = new Date(data.getTime() - data.getTimezoneOffset() * 60000);
+  return ajustada.toISOString().slice(0, 10);
+};
+
+const somarDias = (dataISO, dias) => {
+  const data = new Date(`${dataISO}T00:00:00Z`);
+  data.setUTCDate(data.getUTCDate() + dias);
+  return data.toISOString().slice(0, 10);
+};
+
+// A ocorrência que abre (ou reinicia) a série cobre o mês inteiro dela
+const fimDoMes = (dataISO) => {
+  const [ano, mes] = dataISO.split('-').map(Number);
+  return new Date(Date.UTC(ano, mes, 0)).toISOString().slice(0, 10);
+};
+
+const horizonte = () => somarDias(dataLocalISO(new Date()), HORIZONTE_DIAS);
+
+// Meio-dia UTC: a data de vencimento é a mesma em qualquer fuso do Brasil
+const vencimentoDaOcorrencia = (data) => `${data}T12:00:00.000Z`;
+
+const isUniqueError = (error) => /UNIQUE constraint failed/.test(error.message);
+
+// Ocorrência que ainda não teve trabalho: pode ser apagada e recriada pela regra
+const isRemovivel = (tarefa) => tarefa.status === 'pendente'
+  && !tarefa.total_arquivos && !tarefa.total_solicitacoes && !tarefa.total_itens_concluidos;
+
+// Feriados por ano; falhas da BrasilAPI ({}) não ficam em cache e voltam em anosSemFeriados
+const feriadosCache = new Map();
+async function carregarFeriados(de, ate) {
+  const feriadosPorAno = {};
+  const anosSemFeriados = [];
+  for (const ano of anosEntre(de, ate)) {
+    if (!feriadosCache.has(ano)) {
+      const feriados = await buscarFeriados(ano);
+      if (Object.keys(feriados).length) feriadosCache.set(ano, feriados);
+      else anosSemFeriados.push(ano);
+      feriadosPorAno[ano] = feriados;
+    } else {
+      feriadosPorAno[ano] = feriadosCache.get(ano);
+    }
+  }
+  return { feriadosPorAno, anosSemFeriados };
+}
+
+/**
+ * Última data que a série pode gerar com os feriados carregados. Regras de dia útil não avançam
+ * sobre um ano sem feriados (falha da BrasilAPI): as ocorrências cairiam em feriados. O restante
+ * fica para a próxima execução do agendador.
+ * @returns {string} YYYY-MM-DD
+ */
+function limiteComFeriados(serie, ate, anosSemFeriados) {
+  if (serie.tipo_dia === 'dia' || anosSemFeriados.length === 0) return ate;
+  const limite = `${Math.min(...anosSemFeriados) - 1}-12-31`;
+  if (limite >= ate) return ate;
+  console.warn(`[RECORRENCIA] Feriados de ${anosSemFeriados.join(', ')} indisponíveis: "${serie.titulo}" gerada só até ${limite}`);
+  return limite;
+}
+
+async function criarOcorrencia(serie, data) {
+  const id = uuidv4();
+  try {
+    await createTask({
+      id,
+      titulo: serie.titulo,
+      responsavel: serie.responsavel,
+      responsavelId: serie.responsavel_id,
+      dataVencimento: vencimentoDaOcorrencia(data),
+      observacoes: serie.observacoes || '',
+      recorrente: true,
+      frequencia: serie.frequencia,
+      empresaId: serie.empresa_id,
+      serieId: serie.id,
+      ocorrencia: data
+    });
+  } catch (error) {
+    // Ocorrência já existe (criada por outra execução)
+    if (isUniqueError(error)) return false;
+    throw error;
+  }
+  // Cada ocorrência recebe o checklist do modelo da série
+  if (serie.modelo_id) await aplicarModeloChecklist(id, serie.modelo_id);
+  return true;
+}
+
+/**
+ * Cria as ocorrências da série ainda não geradas até a data (ou até onde há feriados carregados,
+ * nas regras de dia útil). Meses que já têm ocorrência são pulados.
+ * @param {Object} serie - Linha de tarefa_series
+ * @param {string} ate - YYYY-MM-DD
+ * @returns {Promise<number>} Ocorrências criadas
+ */
+async function materializarSerie(serie, ate = horizonte()) {
+  if (!serie.ativa) return 0;
+  const de = serie.gerada_ate ? somarDias(serie.gerada_ate, 1) : serie.data_inicio;
+  if (de > ate) return 0;
+
+  const { feriadosPorAno, anosSemFeriados } = await carregarFeriados(de, ate);
+  const limite = limiteComFeriados(serie, ate, anosSemFeriados);
+  if (de > limite) return 0;
+
+  const existentes = await listOcorrenciasSerie(serie.id, { apos: somarDias(de, -1) });
+  const mesesOcupados = new Set(existentes.map((tarefa) => tarefa.ocorrencia.slice(0, 7)));
+  let criadas = 0;
+  for (const data of ocorrenciasEntre(serie, de, limite, feriadosPorAno)) {
+    if (mesesOcupados.has(data.slice(0, 7))) continue;
+    if (await criarOcorrencia(serie, data)) criadas += 1;
+  }
+  await setSerieGeradaAte(serie.id, limite);
+  return criadas;
+}
+
+/**
+ * Ao finalizar uma ocorrência, garante que a próxima exista, mesmo além do horizonte.
+ * @returns {Promise<string|null>} Data da ocorrência criada (null se já existia ou a série acabou)
+ */
+async function garantirProximaOcorrencia(serieId, ocorrencia) {
+  const serie = await getSerieById(serieId);
+  if (!serie || !serie.ativa) return null;
+  if ((await listOcorrenciasSerie(serie.id, { apos: ocorrencia })).length > 0) return null;
+
+  const de = somarDias(serie.gerada_ate && serie.gerada_ate > ocorrencia ? serie.gerada_ate : ocorrencia, 1);
+  const ate = somarDias(de, 400);
+  const { feriadosPorAno, anosSemFeriados } = await carregarFeriados(de, ate);
+  // O mês da ocorrência finalizada já está ocupado, mesmo que ela tenha a data de uma regra anterior
+  const [proxima] = ocorrenciasEntre(serie, de, limiteComFeriados(serie, ate, anosSemFeriados), feriadosPorAno)
+    .filter((data) => data.slice(0, 7) !== ocorrencia.slice(0, 7));
+  if (!proxima) return null;
+
+  await criarOcorrencia(serie, proxima);
+  if (!serie.gerada_ate || proxima > serie.gerada_ate) {
+    await setSerieGeradaAte(serie.id, proxima);
+  }
+  console.log(`[RECORRENCIA] Próxima ocorrência de "${serie.titulo}" criada para ${proxima}`);
+  return proxima;
+}
+
+/**
+ * Cria a série a partir da tarefa que será a sua primeira ocorrência.
+ * @param {Object} tarefa - { titulo, responsavel, responsavelId, observacoes, empresaId, modeloId, ocorrencia }
+ * @param {Object} regra - parseRegra
+ * @returns {Promise<Object>} Série criada
+ */
+async function criarSerie(tarefa, regra, criadoPor) {
+  const id = uuidv4();
+  await createSerie({
+    id,
+    titulo: tarefa.titulo,
+    responsavel: tarefa.responsavel,
+    responsavelId: tarefa.responsavelId,
+    observacoes: tarefa.observacoes,
+    empresaId: tarefa.empresaId,
+    frequencia: regra.frequencia,
+    tipoDia: regra.tipoDia,
+    dia: regra.dia,
+    dataInicio: tarefa.ocorrencia,
+    dataFim: regra.dataFim,
+    geradaAte: fimDoMes(tarefa.ocorrencia),
+    modeloId: tarefa.modeloId,
+    criadoPor
+  });
+  return getSerieById(id);
+}
+
+/**
+ * Edição "esta e as próximas ocorrências": a série passa a valer a partir da ocorrência editada.
+ * As próximas ainda sem trabalho são recriadas pela nova regra; as demais recebem só os dados
+ * novos e mantêm a data, e a nova regra não gera outra ocorrência no mês delas. Exceções não mudam.
+ * @param {Object} serie - Linha de tarefa_series
+ * @param {string} ocorrencia - Ocorrência editada (YYYY-MM-DD)
+ * @param {Object} dados - { titulo, responsavel, responsavelId, observacoes, empresaId }
+ * @param {Object} regra - parseRegra
+ * @returns {Promise<Object>} { removidas, mantidas, criadas }
+ */
+async function editarProximasOcorrencias(serie, ocorrencia, dados, regra) {
+  await updateSerie(serie.id, { ...dados, ...regra, dataInicio: ocorrencia, geradaAte: fimDoMes(ocorrencia) });
+
+  const resultado = { removidas: 0, mantidas: 0, criadas: 0 };
+  for (const tarefa of await listOcorrenciasSerie(serie.id, { apos: ocorrencia })) {
+    if (tarefa.excecao) continue;
+    if (isRemovivel(tarefa)) {
+      await deleteTask(tarefa.id);
+      resultado.removidas += 1;
+    } else {
+      await updateTask(tarefa.id, {
+        ...dados,
+        dataVencimento: tarefa.data_vencimento,
+        recorrente: true,
+        frequencia: regra.frequencia
+      });
+      resultado.mantidas += 1;
+    }
+  }
+
+  resultado.criadas = await materializarSerie(await getSerieById(serie.id));
+  console.log(`[RECORRENCIA] Série "${dados.titulo}" alterada a partir de ${ocorrencia}:`, resultado);
+  return resultado;
+}
+
+/**
+ * Encerra a série na data e apaga as ocorrências seguintes que ainda não tiveram trabalho.
+ * @param {string} dataFim - Última data da série (YYYY-MM-DD)
+ * @returns {Promise<Object>} { removidas, mantidas }
+ */
+async function encerrarSerieEm(serie, dataFim) {
+  await encerrarSerie(serie.id, dataFim);
+
+  const resultado = { removidas: 0, mantidas: 0 };
+  for (const tarefa of await listOcorrenciasSerie(serie.id, { apos: dataFim })) {
+    if (isRemovivel(tarefa)) {
+      await deleteTask(tarefa.id);
+      resultado.removidas += 1;
+    } else {
+      resultado.mantidas += 1;
+    }
+  }
+  console.log(`[RECORRENCIA] Série "${serie.titulo}" encerrada em ${dataFim}:`, resultado);
+  return resultado;
+}
+
+// Verificação periódica: ocorrências de todas as séries ativas até o horizonte
+async function materializarSeriesAtivas() {
+  const ate = horizonte();
+  let criadas = 0;
+  for (const serie of await listSeriesAtivas()) {
+    try {
+      criadas += await materializarSerie(serie, ate);
+    } catch (error) {
+      console.error(`[RECORRENCIA] Erro ao gerar ocorrências da série "${serie.titulo}":`, error.message);
+    }
+  }
+  if (criadas > 0) console.log(`[RECORRENCIA] ${criadas} ocorrência(s) criada(s) até ${ate}`);
+  return criadas;
+}
+
+/**
+ * Agenda a materialização automática das séries (não impede o processo de encerrar).
+ * Roda uma vez na inicialização e depois a cada RECORRENCIA_INTERVALO_MIN minutos.
+ */
+function iniciarAgendadorRecorrencias() {
+  if (!INTERVALO_MINUTOS) {
+    console.log('[RECORRENCIA] Geração automática de ocorrências desativada');
+    return null;
+  }
+
+  const executar = () => materializarSeriesAtivas()
+    .catch((error) => console.error('[RECORRENCIA] Erro na geração de ocorrências:', error.message));
+  executar();
+  const timer = setInterval(executar, INTERVALO_MINUTOS * 60 * 1000);
+  timer.unref();
+  console.log(`[RECORRENCIA] Ocorrências geradas a cada ${INTERVALO_MINUTOS} min (horizonte de ${HORIZONTE_DIAS} dias)`);
+  return timer;
+}
+
+module.exports = {
+  HORIZONTE_DIAS,
+  somarDias,
+  materializarSerie,
+  garantirProximaOcorrencia,
+  criarSerie,
+  editarProximasOcorrencias,
+  encerrarSerieEm,
+  materializarSeriesAtivas,
+  iniciarAgendadorRecorrencias
+};
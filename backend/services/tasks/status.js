@@ -0,0 +1,144 @@
+// Fluxo de status das tarefas
+//
+// pendente → em_andamento → aguardando_revisao → finalizado (concluída), além de bloqueada e
+// cancelada. Toda transição exige tasks.status e um papel em relação à tarefa:
+// - executor: o responsável ou quem tem tasks.update_status
+// - revisor: quem tem tasks.review e não é o responsável (ninguém aprova a própria tarefa)
+// - gestor: quem tem tasks.edit
+// 'vencido' não é gravado: é calculado pelo vencimento. Status antigos fora da lista são convertidos
+// para pendente na inicialização do banco (database.js).
+// Com predecessoras em aberto (services/tasks/dependencias.js) a tarefa não é iniciada nem concluída.
+const { userCan } = require('../../middleware/auth');
+
+const STATUS_TAREFA = {
+  pendente: 'Pendente',
+  em_andamento: 'Em andamento',
+  aguardando_revisao: 'Aguardando revisão',
+  finalizado: 'Concluída',
+  bloqueada: 'Bloqueada',
+  cancelada: 'Cancelada'
+};
+
+// status atual → { próximo status: papéis que podem fazer a transição }
+const TRANSICOES = {
+  pendente: {
+    em_andamento: ['executor'],
+    bloqueada: ['executor'],
+    cancelada: ['gestor']
+  },
+  em_andamento: {
+    aguardando_revisao: ['executor'],
+    pendente: ['executor'],
+    bloqueada: ['executor'],
+    cancelada: ['gestor']
+  },
+  aguardando_revisao: {
+    finalizado: ['revisor'],
+    em_andamento: ['revisor', 'executor'],
+    cancelada: ['gestor']
+  },
+  bloqueada: {
+    em_andamento: ['executor'],
+    pendente: ['executor'],
+    cancelada: ['gestor']
+  },
+  finalizado: {
+    em_andamento: ['revisor']
+  },
+  cancelada: {
+    pendente: ['gestor']
+  }
+};
+
+// Transições que precisam de um comentário (motivo do bloqueio, da devolução, etc.)
+const EXIGEM_COMENTARIO = new Set([
+  'pendente:bloqueada',
+  'em_andamento:bloqueada',
+  'pendente:cancelada',
+  'em_andamento:cancelada',
+  'aguardando_revisao:cancelada',
+  'bloqueada:cancelada',
+  'aguardando_revisao:em_andamento',
+  'finalizado:em_andamento'
+]);
+
+// Status que a tarefa só alcança com todas as predecessoras concluídas ou canceladas
+const STATUS_DEPENDEM_PREDECESSORAS = new Set(['em_andamento', 'aguardando_revisao', 'finalizado']);
+
+const DESCRICAO_PAPEIS = {
+  executor: 'o responsável pela tarefa',
+  revisor: 'um revisor (que não seja o responsável)',
+  gestor: 'quem pode editar tarefas'
+};
+
+function papeisDoUsuario(user, task) {
+  const isResponsavel = task.responsavel_id === user.uid;
+  const papeis = new Set();
+  // Sem tasks.status (auditor, token de API sem esse escopo) nenhuma transição é oferecida
+  if (!userCan(user, 'tasks.status')) return papeis;
+  if (isResponsavel || userCan(user, 'tasks.update_status')) papeis.add('executor');
+  if (!isResponsavel && userCan(user, 'tasks.review')) papeis.add('revisor');
+  if (userCan(user, 'tasks.edit')) papeis.add('gestor');
+  return papeis;
+}
+
+const exigeComentario = (de, para) => EXIGEM_COMENTARIO.has(`${de}:${para}`);
+
+/**
+ * Transições que o usuário pode fazer na tarefa.
+ * @param {Object} [contexto] - { predecessorasPendentes (dependências em aberto) }
+ * @returns {Array} [{ status, label, exigeComentario }]
+ */
+function transicoesPermitidas(user, task, { predecessorasPendentes = 0 } = {}) {
+  const atual = task.status;
+  const papeis = papeisDoUsuario(user, task);
+  return Object.entries(TRANSICOES[atual] || {})
+    .filter(([, permitidos]) => permitidos.some((papel) => papeis.has(papel)))
+    .filter(([status]) => !predecessorasPendentes || !STATUS_DEPENDEM_PREDECESSORAS.has(status))
+    .map(([status]) => ({ status, label: STATUS_TAREFA[status], exigeComentario: exigeComentario(atual, status) }));
+}
+
+/**
+ * Valida uma transição.
+ * @param {Object} contexto - { comentario, obrigatoriosPendentes (itens do checklist),
+ *   predecessorasPendentes (dependências em aberto) }
+ * @returns {Object|null} { status: código HTTP, error } quando não é permitida
+ */
+function validarTransicao(user, task, para, { comentario = '', obrigatoriosPendentes = 0, predecessorasPendentes = 0 } = {}) {
+  if (!STATUS_TAREFA[para]) {
+    return { status: 400, error: `Status inválido: ${para}. Use ${Object.keys(STATUS_TAREFA).join(', ')}` };
+  }
+  const atual = task.status;
+  if (!TRANSICOES[atual]) {
+    return { status: 409, error: `Status atual desconhecido: ${atual}` };
+  }
+  if (atual === para) {
+    return { status: 400, error: `A tarefa já está como "${STATUS_TAREFA[para]}"` };
+  }
+  const permitidos = TRANSICOES[atual][para];
+  if (!permitidos) {
+    const destinos = Object.keys(TRANSICOES[atual]).map((status) => `"${STATUS_TAREFA[status]}"`).join(', ');
+    return { status: 400, error: `Não é possível passar de "${STATUS_TAREFA[atual]}" para "${STATUS_TAREFA[para]}". A partir de "${STATUS_TAREFA[atual]}" a tarefa pode ir para: ${destinos}` };
+  }
+  const papeis = papeisDoUsuario(user, task);
+  if (!permitidos.some((papel) => papeis.has(papel))) {
+    const quem = permitidos.map((papel) => DESCRICAO_PAPEIS[papel]).join(' ou ');
+    return { status: 403, error: `Apenas ${quem} pode passar a tarefa de "${STATUS_TAREFA[atual]}" para "${STATUS_TAREFA[para]}"` };
+  }
+  if (STATUS_DEPENDEM_PREDECESSORAS.has(para) && predecessorasPendentes > 0) {
+    return { status: 400, error: `A tarefa depende de ${predecessorasPendentes} tarefa(s) ainda não concluída(s). Conclua as predecessoras antes de passá-la para "${STATUS_TAREFA[para]}"` };
+  }
+  if (exigeComentario(atual, para) && !comentario.trim()) {
+    return { status: 400, error: `Informe o motivo para passar a tarefa para "${STATUS_TAREFA[para]}"` };
+  }
+  if ((para === 'aguardando_revisao' || para === 'finalizado') && obrigatoriosPendentes > 0) {
+    return { status: 400, error: `Conclua os itens obrigatórios do checklist antes de passar a tarefa para "${STATUS_TAREFA[para]}" (${obrigatoriosPendentes} pendente(s))` };
+  }
+  return null;
+}
+
+module.exports = {
+  STATUS_TAREFA,
+  transicoesPermitidas,
+  validarTransicao
+};
@@ -0,0 +1,46 @@
+// Visibilidade de tarefas (e dos comprovantes anexados a elas)
+//
+// - tasks.view_all: todas as tarefas
+// - demais usuários: as próprias, as dos colegas das equipes de que participam
+//   e as dos membros das equipes que supervisionam
+// O mesmo alcance limita a quem o usuário pode atribuir tarefas.
+const { getAllTasks, getTasksByResponsaveis, getTeamUserIds } = require('../../database');
+const { userCan } = require('../../middleware/auth');
+
+/**
+ * Responsáveis cujas tarefas o usuário pode ver.
+ * @param {Object} user - req.user
+ * @returns {Promise<Set<string>|null>} null quando o usuário vê todas as tarefas
+ */
+async function getVisibleResponsavelIds(user) {
+  if (userCan(user, 'tasks.view_all')) return null;
+  const teamUserIds = await getTeamUserIds(user.uid);
+  return new Set([user.uid, ...teamUserIds]);
+}
+
+async function listVisibleTasks(user) {
+  const visibleIds = await getVisibleResponsavelIds(user);
+  if (!visibleIds) return getAllTasks();
+  return getTasksByResponsaveis([...visibleIds]);
+}
+
+async function canViewTask(user, task) {
+  if (!task) return false;
+  if (task.responsavel_id === user.uid) return true;
+  const visibleIds = await getVisibleResponsavelIds(user);
+  return !visibleIds || visibleIds.has(task.responsavel_id);
+}
+
+// Só atribui tarefas a quem está no próprio alcance de visibilidade (ou a qualquer um, com tasks.view_all)
+async function canAssignTo(user, responsavelId) {
+  if (responsavelId === user.uid) return true;
+  const visibleIds = await getVisibleResponsavelIds(user);
+  return !visibleIds || visibleIds.has(responsavelId);
+}
+
+module.exports = {
+  getVisibleResponsavelIds,
+  listVisibleTasks,
+  canViewTask,
+  canAssignTo
+};
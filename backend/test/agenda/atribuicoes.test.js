@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CATEGORIAS_OBRIGACAO,
+  IDS_CATEGORIAS,
+  categoriaObrigacao,
+  estaAusente,
+  responsavelDaMatriz
+} = require('../../services/agenda/atribuicoes');
+
+const categoria = (titulo) => categoriaObrigacao({ titulo });
+
+const usuarios = new Map([
+  ['ana', { uid: 'ana', nome_completo: 'Ana', ausente_ate: null }],
+  ['bruno', { uid: 'bruno', nome_completo: 'Bruno', ausente_ate: '2025-03-20' }],
+  ['carla', { uid: 'carla', nome_completo: 'Carla', ausente_ate: '2025-03-10' }]
+]);
+const atribuicao = (responsavelId, backupId = null) => ({ responsavel_id: responsavelId, backup_id: backupId });
+const quem = (resultado) => resultado && [resultado.usuario.uid, resultado.origem];
+
+test('categoria deduzida do título da obrigação', () => {
+  assert.equal(categoria('eSocial - Folha de pagamento'), 'trabalhista');
+  assert.equal(categoria('FGTS Digital'), 'trabalhista');
+  assert.equal(categoria('ICMS - Apuração mensal'), 'estadual');
+  assert.equal(categoria('ISS - Declaração mensal'), 'municipal');
+  assert.equal(categoria('Envio de relação de alvarás'), 'municipal');
+  assert.equal(categoria('ECD - Escrituração Contábil Digital'), 'contabil');
+  // Sem padrão conhecido (ou só parecido): federal
+  assert.equal(categoria('DCTFWeb'), 'federal');
+  assert.equal(categoria('ISSQN retido'), 'federal');
+  assert.deepEqual(IDS_CATEGORIAS, CATEGORIAS_OBRIGACAO.map(({ id }) => id));
+  assert.ok(CATEGORIAS_OBRIGACAO.every((c) => !('padrao' in c)));
+});
+
+test('ausência cobre o próprio dia de retorno', () => {
+  assert.equal(estaAusente(usuarios.get('bruno'), '2025-03-20'), true);
+  assert.equal(estaAusente(usuarios.get('bruno'), '2025-03-21'), false);
+  assert.equal(estaAusente(usuarios.get('ana'), '2025-03-20'), false);
+});
+
+test('titular presente fica com a tarefa', () => {
+  assert.deepEqual(quem(responsavelDaMatriz(atribuicao('ana', 'bruno'), '2025-03-20', usuarios)), ['ana', 'matriz']);
+  assert.deepEqual(quem(responsavelDaMatriz(atribuicao('bruno', 'ana'), '2025-03-21T12:00:00', usuarios)), ['bruno', 'matriz']);
+});
+
+test('titular ausente ou removido: substituto', () => {
+  assert.deepEqual(quem(responsavelDaMatriz(atribuicao('bruno', 'ana'), '2025-03-20', usuarios)), ['ana', 'substituto']);
+  assert.deepEqual(quem(responsavelDaMatriz(atribuicao('removido', 'ana'), '2025-03-20', usuarios)), ['ana', 'substituto']);
+  assert.deepEqual(quem(responsavelDaMatriz(atribuicao(null, 'ana'), '2025-03-20', usuarios)), ['ana', 'substituto']);
+});
+
+test('sem substituto disponível', () => {
+  // Os dois ausentes: continua com o titular
+  assert.deepEqual(quem(responsavelDaMatriz(atribuicao('bruno', 'carla'), '2025-03-05', usuarios)), ['bruno', 'matriz']);
+  assert.deepEqual(quem(responsavelDaMatriz(atribuicao('bruno'), '2025-03-05', usuarios)), ['bruno', 'matriz']);
+  // Ninguém válido ou sem atribuição: a matriz não resolve
+  assert.equal(responsavelDaMatriz(atribuicao('removido', 'carla'), '2025-03-05', usuarios), null);
+  assert.equal(responsavelDaMatriz(undefined, '2025-03-05', usuarios), null);
+});
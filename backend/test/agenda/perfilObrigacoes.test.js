@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CONDICOES,
+  condicaoObrigacao,
+  obrigacoesDaEmpresa,
+  catalogoObrigacoes
+} = require('../../services/agenda/perfilObrigacoes');
+
+const obrigacao = (titulo, extras = {}) => ({ titulo, observacoes: 'Prazo legal', ...extras });
+
+const DAS = obrigacao('DAS - Simples Nacional', { regimeTributario: ['simples_nacional'] });
+const DCTFWEB = obrigacao('DCTFWeb');
+const ESOCIAL = obrigacao('eSocial - Folha de pagamento');
+const FGTS = obrigacao('FGTS Digital');
+const ICMS = obrigacao('ICMS - Apuração mensal', { regimeTributario: ['lucro_presumido', 'lucro_real'] });
+const ISS = obrigacao('ISS - Declaração mensal');
+const DMED = obrigacao('DMED', { setor: ['saude'] });
+const MES = [DAS, DCTFWEB, ESOCIAL, FGTS, ICMS, ISS, DMED];
+
+const empresa = (campos) => ({
+  regime_tributario: 'simples_nacional',
+  possui_empregados: 0,
+  contribuinte_icms: 0,
+  iss_municipio: null,
+  ...campos
+});
+const titulos = (lista) => lista.map((o) => o.titulo);
+
+test('condição de cada obrigação além do regime', () => {
+  assert.equal(condicaoObrigacao(ESOCIAL), 'empregados');
+  assert.equal(condicaoObrigacao(obrigacao('RAIS')), 'empregados');
+  assert.equal(condicaoObrigacao(ICMS), 'icms');
+  assert.equal(condicaoObrigacao(ISS), 'iss');
+  assert.equal(condicaoObrigacao(DMED), 'setorial');
+  assert.equal(condicaoObrigacao(DCTFWEB), null);
+  // O prefixo precisa ser a palavra inteira
+  assert.equal(condicaoObrigacao(obrigacao('ISSQN retido')), null);
+  assert.deepEqual(CONDICOES.map((c) => c.id), ['empregados', 'icms', 'iss']);
+});
+
+test('regime e perfil decidem as obrigações da empresa', () => {
+  assert.deepEqual(titulos(obrigacoesDaEmpresa(MES, empresa())), ['DAS - Simples Nacional', 'DCTFWeb']);
+
+  const comFolha = empresa({ regime_tributario: 'lucro_presumido', possui_empregados: 1, contribuinte_icms: 1 });
+  assert.deepEqual(titulos(obrigacoesDaEmpresa(MES, comFolha)),
+    ['DCTFWeb', 'eSocial - Folha de pagamento', 'FGTS Digital', 'ICMS - Apuração mensal']);
+});
+
+test('ISS leva o município nas observações, sem alterar a agenda', () => {
+  const [iss] = obrigacoesDaEmpresa([ISS], empresa({ iss_municipio: 'Campinas/SP' }));
+  assert.equal(iss.observacoes, 'Prazo legal\n🏙️ Município do ISS: Campinas/SP');
+  assert.equal(ISS.observacoes, 'Prazo legal');
+  assert.deepEqual(obrigacoesDaEmpresa([ISS], empresa()), []);
+});
+
+test('inclusões e exclusões manuais prevalecem', () => {
+  const ajustes = [
+    { tipo: 'incluir', obrigacao: 'DMED' },
+    { tipo: 'incluir', obrigacao: 'ICMS - Apuração mensal' },
+    { tipo: 'excluir', obrigacao: 'DCTFWeb' }
+  ];
+  assert.deepEqual(titulos(obrigacoesDaEmpresa(MES, empresa(), ajustes)),
+    ['DAS - Simples Nacional', 'ICMS - Apuração mensal', 'DMED']);
+});
+
+test('catálogo agrupa as obrigações por título, com os meses', () => {
+  const catalogo = catalogoObrigacoes([
+    { mes: 1, obrigacoes: [DCTFWEB, ESOCIAL] },
+    { mes: 2, obrigacoes: [DCTFWEB, DAS] },
+    { mes: 3, obrigacoes: [DCTFWEB] }
+  ]);
+  assert.deepEqual(catalogo, [
+    { titulo: 'DAS - Simples Nacional', regimes: ['simples_nacional'], condicao: null, meses: [2] },
+    { titulo: 'DCTFWeb', regimes: [], condicao: null, meses: [1, 2, 3] },
+    { titulo: 'eSocial - Folha de pagamento', regimes: [], condicao: 'empregados', meses: [1] }
+  ]);
+});
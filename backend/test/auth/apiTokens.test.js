@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco } = require('../helpers/modulos');
+
+const usuarios = new Map([['u1', { uid: 'u1', email: 'ana@escritorio.com', cargo: 'contador' }]]);
+const tokens = new Map();
+const usos = [];
+
+substituirBanco({
+  getUserByUid: async (uid) => usuarios.get(uid),
+  createApiToken: async ({ id, userId, nome, tokenHash, tokenPrefix, scopes, expiresAt }) => {
+    tokens.set(id, { id, user_id: userId, nome, token_hash: tokenHash, token_prefix: tokenPrefix, scopes, expires_at: expiresAt, revoked_at: null });
+    return { id, userId, nome, tokenPrefix, scopes, expiresAt };
+  },
+  getApiTokenByHash: async (hash) => [...tokens.values()].find((token) => token.token_hash === hash),
+  touchApiToken: async (id, ip) => {
+    usos.push({ id, ip });
+    return { updatedRows: 1 };
+  }
+});
+
+const {
+  API_TOKEN_PREFIX,
+  isApiToken,
+  effectivePermissions,
+  listAvailableScopes,
+  issueApiToken,
+  resolveApiToken
+} = require('../../services/auth/apiTokens');
+const { hashToken } = require('../../services/auth/tokens');
+const { PERMISSIONS, getRolePermissions } = require('../../services/auth/permissions');
+
+const emitir = (scopes = ['tasks.view'], expiresInDays = 30) => issueApiToken({
+  userData: usuarios.get('u1'),
+  nome: 'Planilha',
+  scopes,
+  expiresInDays
+});
+
+test('prefixo identifica tokens de API', () => {
+  assert.equal(API_TOKEN_PREFIX, 'pat_');
+  assert.equal(isApiToken('pat_abc'), true);
+  assert.equal(isApiToken('eyJhbGciOi.x.y'), false);
+  assert.equal(isApiToken(undefined), false);
+});
+
+test('escopos valem só enquanto o cargo do dono tiver a permissão', () => {
+  assert.deepEqual(effectivePermissions('contador', ['tasks.view', 'users.manage']), ['tasks.view']);
+  assert.deepEqual(effectivePermissions('admin', ['users.manage']), ['users.manage']);
+  assert.deepEqual(effectivePermissions('cliente', ['tasks.view']), []);
+  assert.deepEqual(effectivePermissions('contador', null), []);
+});
+
+test('escopos disponíveis são as permissões do cargo, com descrição', () => {
+  const escopos = listAvailableScopes('auditor');
+  assert.deepEqual(escopos.map((escopo) => escopo.id), getRolePermissions('auditor'));
+  escopos.forEach((escopo) => assert.equal(escopo.label, PERMISSIONS[escopo.id]));
+});
+
+test('emissão: o banco guarda só o hash e o prefixo de exibição', async () => {
+  const { token, record } = await emitir(['tasks.view', 'hours.track'], 30);
+  assert.match(token, /^pat_[\w-]{43}$/);
+  const salvo = tokens.get(record.id);
+  assert.equal(salvo.token_hash, hashToken(token));
+  assert.equal(salvo.token_prefix, token.slice(0, 10));
+  assert.deepEqual(salvo.scopes, ['tasks.view', 'hours.track']);
+  assert.ok(![...tokens.values()].some((t) => t.token_hash === token));
+
+  const dias = (new Date(salvo.expires_at) - Date.now()) / (24 * 60 * 60 * 1000);
+  assert.ok(dias > 29.9 && dias <= 30);
+});
+
+test('resolução: token válido registra o uso', async () => {
+  const { token, record } = await emitir();
+  const resolvido = await resolveApiToken(token, '10.0.0.1');
+  assert.equal(resolvido.apiToken.id, record.id);
+  assert.equal(resolvido.userData.uid, 'u1');
+  assert.deepEqual(usos.at(-1), { id: record.id, ip: '10.0.0.1' });
+});
+
+test('resolução: token desconhecido, revogado, expirado ou de usuário excluído', async () => {
+  assert.equal(await resolveApiToken('pat_desconhecido'), null);
+
+  const revogado = await emitir();
+  tokens.get(revogado.record.id).revoked_at = new Date().toISOString();
+  assert.equal(await resolveApiToken(revogado.token), null);
+
+  const expirado = await emitir();
+  tokens.get(expirado.record.id).expires_at = new Date(Date.now() - 1000).toISOString();
+  assert.equal(await resolveApiToken(expirado.token), null);
+
+  usuarios.set('u2', { uid: 'u2', email: 'bia@escritorio.com', cargo: 'contador' });
+  const { token } = await issueApiToken({ userData: usuarios.get('u2'), nome: 'Job', scopes: [], expiresInDays: 1 });
+  usuarios.delete('u2');
+  assert.equal(await resolveApiToken(token), null);
+});
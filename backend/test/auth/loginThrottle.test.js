@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco } = require('../helpers/modulos');
+
+// login_throttle em memória, chave "escopo:identificador"
+const contadores = new Map();
+const chave = (scope, identifier) => `${scope}:${identifier}`;
+
+substituirBanco({
+  getLoginThrottle: async (scope, identifier) => {
+    const row = contadores.get(chave(scope, identifier));
+    return row ? { ...row } : undefined;
+  },
+  // Mesmo UPSERT do banco: falha fora da janela recomeça a contagem
+  recordLoginFailure: async (scope, identifier, now, windowStart) => {
+    const row = contadores.get(chave(scope, identifier));
+    if (!row) {
+      contadores.set(chave(scope, identifier), { scope, identifier, failures: 1, last_failure_at: now, locked_until: null });
+    } else {
+      row.failures = row.last_failure_at < windowStart ? 1 : row.failures + 1;
+      row.last_failure_at = now;
+    }
+    return { ...contadores.get(chave(scope, identifier)) };
+  },
+  lockLoginThrottle: async (scope, identifier, lockedUntil) => {
+    contadores.get(chave(scope, identifier)).locked_until = lockedUntil;
+    return { updatedRows: 1 };
+  },
+  clearLoginThrottle: async (scope, identifier) => ({ deletedRows: contadores.delete(chave(scope, identifier)) ? 1 : 0 }),
+  getLockedAccounts: async (now) => [...contadores.values()].filter((row) => row.scope === 'account' && row.locked_until > now)
+});
+
+const {
+  ACCOUNT_MAX_FAILURES,
+  LOCKOUT_MINUTES,
+  checkLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockAccount,
+  getLockedAccountsMap
+} = require('../../services/auth/loginThrottle');
+
+// Atrasos pedidos ao setTimeout (o teste não espera de verdade)
+const esperas = [];
+
+test.beforeEach((t) => {
+  contadores.clear();
+  esperas.length = 0;
+  t.mock.method(global, 'setTimeout', (fn, ms) => {
+    esperas.push(ms);
+    fn();
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+async function falhar(vezes, email, ip) {
+  let resultado;
+  for (let i = 0; i < vezes; i++) resultado = await registerLoginFailure(email, ip);
+  return resultado;
+}
+
+test('conta bloqueada ao atingir o limite de falhas', async () => {
+  assert.deepEqual(await falhar(ACCOUNT_MAX_FAILURES - 1, 'ana@escritorio.com', '10.0.0.1'), { accountLocked: false, failures: ACCOUNT_MAX_FAILURES - 1 });
+  assert.deepEqual(await registerLoginFailure('Ana@Escritorio.com ', '10.0.0.1'), { accountLocked: true, failures: ACCOUNT_MAX_FAILURES });
+
+  const { allowed, retryAfterSeconds } = await checkLoginAllowed('ana@escritorio.com', '10.0.0.2');
+  assert.equal(allowed, false);
+  assert.ok(retryAfterSeconds > (LOCKOUT_MINUTES - 1) * 60 && retryAfterSeconds <= LOCKOUT_MINUTES * 60);
+  // Só a falha que gerou o bloqueio avisa
+  assert.equal((await registerLoginFailure('ana@escritorio.com', '10.0.0.1')).accountLocked, false);
+});
+
+test('atraso progressivo a partir da segunda falha', async () => {
+  await falhar(1, 'ana@escritorio.com', '10.0.0.1');
+  assert.equal((await checkLoginAllowed('ana@escritorio.com', '10.0.0.1')).allowed, true);
+  await falhar(1, 'ana@escritorio.com', '10.0.0.1');
+  await checkLoginAllowed('ana@escritorio.com', '10.0.0.1');
+  await falhar(1, 'ana@escritorio.com', '10.0.0.1');
+  await checkLoginAllowed('ana@escritorio.com', '10.0.0.1');
+  assert.deepEqual(esperas, [1000, 2000]);
+
+  // O IP com falhas atrasa também o login de outra conta
+  await checkLoginAllowed('bia@escritorio.com', '10.0.0.1');
+  assert.equal(esperas.at(-1), 2000);
+});
+
+test('bloqueio vencido e falhas fora da janela recomeçam a contagem', async () => {
+  await falhar(ACCOUNT_MAX_FAILURES, 'ana@escritorio.com');
+  contadores.get('account:ana@escritorio.com').locked_until = new Date(Date.now() - 1000).toISOString();
+  assert.deepEqual(await checkLoginAllowed('ana@escritorio.com'), { allowed: true, retryAfterSeconds: 0 });
+  assert.equal(contadores.has('account:ana@escritorio.com'), false);
+
+  await falhar(3, 'bia@escritorio.com');
+  contadores.get('account:bia@escritorio.com').last_failure_at = new Date(Date.now() - 16 * 60 * 1000).toISOString();
+  await checkLoginAllowed('bia@escritorio.com');
+  assert.deepEqual(esperas, []);
+  assert.equal((await registerLoginFailure('bia@escritorio.com')).failures, 1);
+});
+
+test('IP bloqueado após falhas em contas diferentes', async () => {
+  for (let i = 0; i < 20; i++) await registerLoginFailure(`conta${i}@escritorio.com`, '10.0.0.9');
+  assert.equal((await checkLoginAllowed('nova@escritorio.com', '10.0.0.9')).allowed, false);
+  assert.equal((await checkLoginAllowed('nova@escritorio.com', '10.0.0.10')).allowed, true);
+});
+
+test('sucesso zera a conta; desbloqueio manual pelo administrador', async () => {
+  await falhar(3, 'ana@escritorio.com', '10.0.0.1');
+  await registerLoginSuccess('ana@escritorio.com');
+  assert.equal(contadores.has('account:ana@escritorio.com'), false);
+  assert.equal(contadores.get('ip:10.0.0.1').failures, 3);
+
+  await falhar(ACCOUNT_MAX_FAILURES, 'bia@escritorio.com');
+  assert.deepEqual([...(await getLockedAccountsMap()).keys()], ['bia@escritorio.com']);
+  assert.equal(await unlockAccount('BIA@escritorio.com'), true);
+  assert.equal(await unlockAccount('bia@escritorio.com'), false);
+  assert.equal((await checkLoginAllowed('bia@escritorio.com')).allowed, true);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { hashPassword, verifyPassword, isPasswordHash } = require('../../services/auth/passwords');
+
+test('hash: formato scrypt com salt aleatório', async () => {
+  const hash = await hashPassword('Senha#2026');
+  assert.ok(isPasswordHash(hash));
+  assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(await hashPassword('Senha#2026'), hash);
+  assert.ok(!hash.includes('Senha#2026'));
+});
+
+test('verificação da senha com hash atual', async () => {
+  const hash = await hashPassword('Senha#2026');
+  assert.deepEqual(await verifyPassword('Senha#2026', hash), { valid: true, needsRehash: false });
+  assert.deepEqual(await verifyPassword('senha#2026', hash), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword('', hash), { valid: false, needsRehash: false });
+  assert.deepEqual(await verifyPassword('Senha#2026', null), { valid: false, needsRehash: false });
+});
+
+test('senha legada em texto plano é aceita e marcada para novo hash', async () => {
+  assert.deepEqual(await verifyPassword('antiga123', 'antiga123'), { valid: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword('antiga12', 'antiga123'), { valid: false, needsRehash: false });
+  assert.equal(isPasswordHash('antiga123'), false);
+  assert.equal(isPasswordHash('scrypt$1$2'), false);
+  assert.equal(isPasswordHash(null), false);
+});
+
+test('hash com parâmetros antigos é aceito e marcado para novo hash', async () => {
+  const salt = crypto.randomBytes(16);
+  const derivado = crypto.scryptSync('Senha#2026', salt, 64, { N: 1024, r: 8, p: 1 });
+  const antigo = ['scrypt', 1024, 8, 1, salt.toString('base64'), derivado.toString('base64')].join('$');
+
+  assert.deepEqual(await verifyPassword('Senha#2026', antigo), { valid: true, needsRehash: true });
+  assert.deepEqual(await verifyPassword('Outra#2026', antigo), { valid: false, needsRehash: false });
+});
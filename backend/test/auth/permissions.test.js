@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  normalizeRole,
+  isValidRole,
+  getRolePermissions,
+  hasPermission,
+  listRoles
+} = require('../../services/auth/permissions');
+
+test('todas as permissões dos cargos existem e têm descrição', () => {
+  for (const [cargo, { permissions }] of Object.entries(ROLES)) {
+    for (const permissao of permissions) {
+      assert.ok(PERMISSIONS[permissao], `${cargo}: permissão desconhecida ${permissao}`);
+    }
+    assert.equal(new Set(permissions).size, permissions.length, `${cargo}: permissão repetida`);
+  }
+});
+
+test('admin tem tudo menos o portal; cliente só o portal', () => {
+  const admin = getRolePermissions('admin');
+  assert.deepEqual(admin.sort(), Object.keys(PERMISSIONS).filter((p) => p !== 'portal.access').sort());
+  assert.deepEqual(getRolePermissions('cliente'), ['portal.access']);
+});
+
+test('auditor só consulta', () => {
+  const auditor = getRolePermissions('auditor');
+  for (const permissao of ['tasks.create', 'tasks.edit', 'tasks.status', 'files.upload', 'hours.track', 'users.manage']) {
+    assert.equal(auditor.includes(permissao), false, permissao);
+  }
+  assert.ok(auditor.includes('tasks.view_all'));
+});
+
+test('cargos legados e desconhecidos', () => {
+  assert.equal(normalizeRole('usuario'), 'contador');
+  assert.equal(normalizeRole('supervisor'), 'supervisor');
+  assert.equal(normalizeRole('inexistente'), DEFAULT_ROLE);
+  assert.equal(normalizeRole(undefined), DEFAULT_ROLE);
+  assert.equal(isValidRole('auditor'), true);
+  assert.equal(isValidRole('usuario'), false);
+  assert.equal(isValidRole('toString'), false);
+});
+
+test('hasPermission e cópias da lista de permissões', () => {
+  assert.equal(hasPermission('contador', 'agenda.view'), true);
+  assert.equal(hasPermission('contador', 'tasks.edit'), false);
+  assert.equal(hasPermission('usuario', 'files.upload'), true);
+
+  getRolePermissions('contador').push('users.manage');
+  listRoles().find((role) => role.id === 'contador').permissions.push('users.manage');
+  assert.equal(hasPermission('contador', 'users.manage'), false);
+  assert.deepEqual(listRoles().map((role) => role.id), Object.keys(ROLES));
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco } = require('../helpers/modulos');
+
+const usuarios = new Map([['u1', { uid: 'u1', email: 'ana@escritorio.com', nome_completo: 'Ana' }]]);
+const sessoes = new Map();
+
+substituirBanco({
+  getUserByUid: async (uid) => usuarios.get(uid),
+  createRefreshToken: async ({ id, userId, tokenHash, expiresAt }) => {
+    sessoes.set(id, { id, user_id: userId, token_hash: tokenHash, expires_at: expiresAt, revoked_at: null });
+    return { id, userId, expiresAt };
+  },
+  getRefreshTokenByHash: async (hash) => [...sessoes.values()].find((s) => s.token_hash === hash),
+  getRefreshTokenById: async (id) => sessoes.get(id),
+  // Mesmo WHERE do banco: só troca enquanto a sessão guarda o hash apresentado
+  rotateRefreshToken: async (id, hashAnterior, hashNovo, expiresAt) => {
+    const sessao = sessoes.get(id);
+    if (!sessao || sessao.token_hash !== hashAnterior || sessao.revoked_at) return { updatedRows: 0 };
+    Object.assign(sessao, { token_hash: hashNovo, expires_at: expiresAt });
+    return { updatedRows: 1 };
+  },
+  revokeRefreshToken: async (id) => {
+    const sessao = sessoes.get(id);
+    if (!sessao || sessao.revoked_at) return { revokedRows: 0 };
+    sessao.revoked_at = new Date().toISOString();
+    return { revokedRows: 1 };
+  }
+});
+
+const {
+  TokenError,
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+  hashToken,
+  issueSession,
+  refreshSession,
+  getActiveSession,
+  revokeSession
+} = require('../../services/auth/tokens');
+
+const usuario = usuarios.get('u1');
+
+const codigoDoErro = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof TokenError);
+    return error.code;
+  }
+  assert.fail('esperava TokenError');
+};
+
+test('access token: assinatura, claims e expiração', (t) => {
+  const token = signAccessToken(usuario, 's1');
+  const claims = verifyAccessToken(token);
+  assert.equal(claims.sub, 'u1');
+  assert.equal(claims.sid, 's1');
+  assert.equal(claims.exp - claims.iat, ACCESS_TOKEN_TTL_SECONDS);
+
+  const [header, payload, assinatura] = token.split('.');
+  const adulterado = Buffer.from(JSON.stringify({ ...claims, sub: 'admin' })).toString('base64url');
+  assert.equal(codigoDoErro(() => verifyAccessToken(`${header}.${adulterado}.${assinatura}`)), 'TOKEN_INVALID');
+  assert.equal(codigoDoErro(() => verifyAccessToken(`${header}.${payload}`)), 'TOKEN_INVALID');
+  assert.equal(codigoDoErro(() => verifyAccessToken('')), 'TOKEN_INVALID');
+
+  const agora = Date.now();
+  t.mock.method(Date, 'now', () => agora + (ACCESS_TOKEN_TTL_SECONDS + 1) * 1000);
+  assert.equal(codigoDoErro(() => verifyAccessToken(token)), 'TOKEN_EXPIRED');
+});
+
+test('token da etapa de 2FA não vale como access token e vice-versa', () => {
+  const mfa = signMfaToken(usuario);
+  assert.equal(verifyMfaToken(mfa).sub, 'u1');
+  assert.equal(codigoDoErro(() => verifyAccessToken(mfa)), 'TOKEN_INVALID');
+  assert.equal(codigoDoErro(() => verifyMfaToken(signAccessToken(usuario, 's1'))), 'MFA_INVALID');
+  assert.equal(codigoDoErro(() => verifyMfaToken('lixo')), 'MFA_INVALID');
+});
+
+test('sessão: o banco guarda só o hash do refresh token', async () => {
+  const { token, refreshToken } = await issueSession(usuario, { headers: {}, ip: '127.0.0.1' });
+  const { sid } = verifyAccessToken(token);
+  const sessao = sessoes.get(sid);
+  assert.equal(sessao.token_hash, hashToken(refreshToken));
+  assert.ok(![...sessoes.values()].some((s) => s.token_hash === refreshToken));
+  assert.equal((await getActiveSession(sid, 'u1')).id, sid);
+  assert.equal(await getActiveSession(sid, 'outro'), null);
+  assert.equal(await getActiveSession(null, 'u1'), null);
+});
+
+test('refresh: rotação invalida o token anterior', async () => {
+  const { refreshToken } = await issueSession(usuario);
+  const renovada = await refreshSession(refreshToken);
+  assert.notEqual(renovada.refreshToken, refreshToken);
+  assert.equal(renovada.userData.uid, 'u1');
+
+  await assert.rejects(refreshSession(refreshToken), { code: 'REFRESH_INVALID' });
+  assert.equal((await refreshSession(renovada.refreshToken)).userData.uid, 'u1');
+});
+
+test('refresh: duas renovações simultâneas do mesmo token, só uma vale', async () => {
+  const { refreshToken } = await issueSession(usuario);
+  const resultados = await Promise.allSettled([refreshSession(refreshToken), refreshSession(refreshToken)]);
+  assert.deepEqual(resultados.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(resultados.find((r) => r.status === 'rejected').reason.code, 'REFRESH_INVALID');
+});
+
+test('refresh: sessão revogada, expirada ou de usuário excluído', async () => {
+  await assert.rejects(refreshSession(undefined), { code: 'REFRESH_INVALID' });
+  await assert.rejects(refreshSession('desconhecido'), { code: 'REFRESH_INVALID' });
+
+  const revogada = await issueSession(usuario);
+  assert.equal(await revokeSession(revogada.refreshToken), true);
+  assert.equal(await revokeSession(revogada.refreshToken), false);
+  await assert.rejects(refreshSession(revogada.refreshToken), { code: 'REFRESH_INVALID' });
+  assert.equal(await getActiveSession(verifyAccessToken(revogada.token).sid, 'u1'), null);
+
+  const expirada = await issueSession(usuario);
+  sessoes.get(verifyAccessToken(expirada.token).sid).expires_at = new Date(Date.now() - 1000).toISOString();
+  await assert.rejects(refreshSession(expirada.refreshToken), { code: 'REFRESH_INVALID' });
+
+  usuarios.set('u2', { uid: 'u2', email: 'bia@escritorio.com' });
+  const excluido = await issueSession(usuarios.get('u2'));
+  usuarios.delete('u2');
+  await assert.rejects(refreshSession(excluido.refreshToken), { code: 'REFRESH_INVALID' });
+  assert.ok(sessoes.get(verifyAccessToken(excluido.token).sid).revoked_at);
+});
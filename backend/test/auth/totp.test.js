@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../../services/auth/totp');
+
+// Vetores da RFC 6238 (SHA-1, segredo "12345678901234567890"), com os 6 últimos dígitos
+const SEGREDO_RFC = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const emSegundos = (t, segundos) => t.mock.method(Date, 'now', () => segundos * 1000);
+
+test('códigos dos vetores da RFC 6238', (t) => {
+  emSegundos(t, 59);
+  assert.equal(verifyCode(SEGREDO_RFC, '287082'), 1);
+
+  emSegundos(t, 1111111109);
+  assert.equal(verifyCode(SEGREDO_RFC, '081804'), 37037036);
+  assert.equal(verifyCode(SEGREDO_RFC, '081 804'), 37037036);
+
+  emSegundos(t, 1234567890);
+  assert.equal(verifyCode(SEGREDO_RFC, '005924'), 41152263);
+});
+
+test('tolerância de um passo e códigos inválidos', (t) => {
+  // Código do passo 1 (t = 30..59s) ainda vale no passo 2, mas não no 3
+  emSegundos(t, 89);
+  assert.equal(verifyCode(SEGREDO_RFC, '287082'), 1);
+  assert.equal(verifyCode(SEGREDO_RFC, '287082', { window: 0 }), null);
+  emSegundos(t, 95);
+  assert.equal(verifyCode(SEGREDO_RFC, '287082'), null);
+
+  assert.equal(verifyCode(SEGREDO_RFC, '12345'), null);
+  assert.equal(verifyCode(SEGREDO_RFC, 'abcdef'), null);
+  assert.equal(verifyCode(null, '287082'), null);
+});
+
+test('código já usado (passo até lastCounter) não é reaceito', (t) => {
+  emSegundos(t, 59);
+  const passo = verifyCode(SEGREDO_RFC, '287082');
+  assert.equal(verifyCode(SEGREDO_RFC, '287082', { lastCounter: passo }), null);
+  assert.equal(verifyCode(SEGREDO_RFC, '287082', { lastCounter: passo - 1 }), passo);
+
+  // Dentro da tolerância, um código anterior ao último aceito também é recusado
+  emSegundos(t, 89);
+  assert.equal(verifyCode(SEGREDO_RFC, '287082', { lastCounter: 2 }), null);
+});
+
+test('segredo gerado em base32 de 160 bits', () => {
+  const segredo = generateSecret();
+  assert.match(segredo, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), segredo);
+});
+
+test('URL otpauth para o QR code', () => {
+  const url = new URL(buildOtpAuthUrl(SEGREDO_RFC, 'ana@escritorio.com'));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.ok(decodeURIComponent(url.pathname).endsWith(':ana@escritorio.com'));
+  assert.equal(url.searchParams.get('secret'), SEGREDO_RFC);
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});
+
+test('códigos de recuperação', () => {
+  const codigos = generateRecoveryCodes();
+  assert.equal(codigos.length, 10);
+  assert.equal(new Set(codigos).size, 10);
+  codigos.forEach((codigo) => assert.match(codigo, /^[0-9a-f]{4}-[0-9a-f]{4}$/));
+  assert.equal(generateRecoveryCodes(3).length, 3);
+
+  assert.equal(normalizeRecoveryCode(' AB12-cd34 '), 'ab12cd34');
+  assert.equal(normalizeRecoveryCode(undefined), '');
+});
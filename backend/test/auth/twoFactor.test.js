@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { substituirBanco } = require('../helpers/modulos');
+
+const usuarios = new Map();
+const recuperacao = new Map();
+
+substituirBanco({
+  getSetting: async (chave, padrao) => padrao,
+  setUserTotpSecret: async (uid, secret) => {
+    Object.assign(usuarios.get(uid), { totp_secret: secret, totp_enabled: 0, totp_last_counter: null });
+    return { updatedRows: 1 };
+  },
+  enableUserTotp: async (uid, counter) => {
+    Object.assign(usuarios.get(uid), { totp_enabled: 1, totp_last_counter: counter });
+    return { updatedRows: 1 };
+  },
+  // Mesmo WHERE do banco: só grava passos posteriores ao último aceito
+  useTotpCounter: async (uid, counter) => {
+    const usuario = usuarios.get(uid);
+    if (usuario.totp_last_counter !== null && usuario.totp_last_counter >= counter) return { usedRows: 0 };
+    usuario.totp_last_counter = counter;
+    return { usedRows: 1 };
+  },
+  replaceRecoveryCodes: async (uid, hashes) => {
+    recuperacao.set(uid, new Set(hashes));
+  },
+  useRecoveryCode: async (uid, hash) => ({ usedRows: recuperacao.get(uid)?.delete(hash) ? 1 : 0 })
+});
+
+const { beginEnrollment, confirmEnrollment, verifySecondFactor } = require('../../services/auth/twoFactor');
+
+// Segredo dos vetores da RFC 6238 ("12345678901234567890"): códigos conhecidos por instante
+const SEGREDO_RFC = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const randomBytes = crypto.randomBytes;
+
+test.beforeEach((t) => {
+  usuarios.clear();
+  recuperacao.clear();
+  usuarios.set('u1', { uid: 'u1', email: 'ana@escritorio.com' });
+  usuarios.set('u2', { uid: 'u2', email: 'bia@escritorio.com' });
+  t.mock.method(console, 'log', () => {});
+});
+
+const emSegundos = (t, segundos) => t.mock.method(Date, 'now', () => segundos * 1000);
+const linha = (uid) => ({ ...usuarios.get(uid) });
+
+// Cadastro com o segredo da RFC, confirmado no passo 1 (t = 59s)
+async function cadastrar(t, uid) {
+  t.mock.method(crypto, 'randomBytes', (tamanho) => (
+    tamanho === 20 ? Buffer.from('12345678901234567890') : randomBytes(tamanho)
+  ));
+  emSegundos(t, 59);
+  const { secret } = await beginEnrollment(linha(uid));
+  return { secret, codigos: await confirmEnrollment(linha(uid), '287082') };
+}
+
+test('cadastro: o segredo fica cifrado e amarrado ao usuário', async (t) => {
+  const { secret, codigos } = await cadastrar(t, 'u1');
+  assert.equal(secret, SEGREDO_RFC);
+  assert.equal(codigos.length, 10);
+  assert.equal(usuarios.get('u1').totp_enabled, 1);
+  assert.equal(usuarios.get('u1').totp_last_counter, 1);
+  assert.ok(!usuarios.get('u1').totp_secret.includes(SEGREDO_RFC));
+
+  // Cifrado copiado para outro usuário não decifra
+  await beginEnrollment(linha('u2'));
+  usuarios.get('u2').totp_secret = usuarios.get('u1').totp_secret;
+  await assert.rejects(confirmEnrollment(linha('u2'), '287082'));
+});
+
+test('cadastro: código errado não ativa o 2FA', async (t) => {
+  emSegundos(t, 59);
+  await beginEnrollment(linha('u1'));
+  assert.equal(await confirmEnrollment(linha('u1'), '000000'), null);
+  assert.equal(usuarios.get('u1').totp_enabled, 0);
+});
+
+test('login: códigos já usados não valem de novo', async (t) => {
+  await cadastrar(t, 'u1');
+  // O código que confirmou o cadastro não serve para entrar
+  assert.equal(await verifySecondFactor(linha('u1'), { code: '287082' }), null);
+
+  emSegundos(t, 1111111109);
+  assert.equal(await verifySecondFactor(linha('u1'), { code: '081804' }), 'totp');
+  assert.equal(await verifySecondFactor(linha('u1'), { code: '081804' }), null);
+
+  // Duas requisições com o mesmo código lidas antes da gravação: só uma passa
+  emSegundos(t, 1234567890);
+  const antes = linha('u1');
+  const resultados = await Promise.all([
+    verifySecondFactor(antes, { code: '005924' }),
+    verifySecondFactor(antes, { code: '005924' })
+  ]);
+  assert.deepEqual(resultados.sort(), ['totp', null].sort());
+});
+
+test('login: código de recuperação vale uma vez', async (t) => {
+  const { codigos } = await cadastrar(t, 'u1');
+  assert.equal(await verifySecondFactor(linha('u1'), { recoveryCode: codigos[0].toUpperCase() }), 'recovery');
+  assert.equal(await verifySecondFactor(linha('u1'), { recoveryCode: codigos[0] }), null);
+  assert.equal(await verifySecondFactor({ ...linha('u1'), totp_enabled: 0 }, { recoveryCode: codigos[1] }), null);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { lerPlanilhaEmpresas, analisarImportacao } = require('../../services/empresas/importacao');
+
+const csv = (linhas) => Buffer.from(linhas.join('\n'), 'utf-8');
+
+async function xlsx(linhas) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Clientes');
+  linhas.forEach((linha) => worksheet.addRow(linha));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const registro = (linha, dados) => ({ linha, dados });
+
+test('CSV: separador, BOM e nomes de coluna', async () => {
+  const { colunas, registros } = await lerPlanilhaEmpresas(csv([
+    '﻿CNPJ;Razão Social;Regime;E-mail;Funcionários',
+    '11.222.333/0001-81;Padaria Pão Quente, Ltda;Simples;ana@escritorio.com;Sim',
+    ';;;;',
+    '33592651000177;Oficina Boa;Lucro Real;;Não'
+  ]), 'clientes.CSV');
+
+  assert.deepEqual(colunas, [
+    { campo: 'cnpj', label: 'CNPJ', coluna: 'CNPJ' },
+    { campo: 'razaoSocial', label: 'Razão social', coluna: 'Razão Social' },
+    { campo: 'regimeTributario', label: 'Regime tributário', coluna: 'Regime' },
+    { campo: 'responsavelEmail', label: 'E-mail do responsável', coluna: 'E-mail' },
+    { campo: 'possuiEmpregados', label: 'Possui empregados', coluna: 'Funcionários' }
+  ]);
+  // Linha em branco some; a numeração segue a da planilha
+  assert.deepEqual(registros.map((r) => r.linha), [2, 4]);
+  assert.deepEqual(registros[0].dados, {
+    cnpj: '11.222.333/0001-81',
+    razaoSocial: 'Padaria Pão Quente, Ltda',
+    regimeTributario: 'Simples',
+    responsavelEmail: 'ana@escritorio.com',
+    possuiEmpregados: 'Sim'
+  });
+});
+
+test('CSV com vírgula e cabeçalho aproximado', async () => {
+  const { colunas, registros } = await lerPlanilhaEmpresas(csv([
+    'CNPJ do cliente,Nome da empresa,Cidade',
+    '11222333000181,Padaria,Campinas'
+  ]), 'clientes.csv');
+
+  assert.deepEqual(colunas.map((c) => [c.campo, c.coluna]), [
+    ['cnpj', 'CNPJ do cliente'],
+    ['razaoSocial', 'Nome da empresa'],
+    ['municipio', 'Cidade']
+  ]);
+  assert.deepEqual(registros[0].dados, { cnpj: '11222333000181', razaoSocial: 'Padaria', municipio: 'Campinas' });
+});
+
+test('XLSX: números, texto rico e fórmulas viram texto', async () => {
+  const { registros } = await lerPlanilhaEmpresas(await xlsx([
+    ['CNPJ', 'Razão social', 'CNAE'],
+    [4252011000110, { richText: [{ text: 'Mercado ' }, { text: 'Central' }] }, { formula: '"4711"&"302"', result: '4711302' }]
+  ]), 'clientes.xlsx');
+
+  assert.deepEqual(registros, [
+    registro(2, { cnpj: '4252011000110', razaoSocial: 'Mercado Central', cnae: '4711302' })
+  ]);
+});
+
+test('formato desconhecido ou sem coluna de CNPJ é recusado', async () => {
+  await assert.rejects(lerPlanilhaEmpresas(csv(['CNPJ']), 'clientes.txt'), /Formato não suportado: \.txt/);
+  await assert.rejects(lerPlanilhaEmpresas(csv(['Razão social;UF', 'Padaria;SP']), 'clientes.csv'), /Coluna de CNPJ não encontrada/);
+});
+
+const usuarios = [{ uid: 'u1', email: 'Ana@Escritorio.com' }];
+const padaria = {
+  id: 'e1',
+  cnpj: '11222333000181',
+  razao_social: 'Padaria',
+  nome_fantasia: null,
+  regime_tributario: 'Simples Nacional',
+  uf: 'SP',
+  municipio: 'Campinas',
+  cnae: null,
+  ativo: 1,
+  possui_empregados: 0,
+  contribuinte_icms: 0,
+  iss_municipio: null,
+  responsavel_id: null
+};
+
+test('classifica criar, atualizar e sem alteração', () => {
+  const [nova, alterada, igual] = analisarImportacao([
+    registro(2, { cnpj: '4252011000110', razaoSocial: 'Mercado Central', regimeTributario: 'lucro presumido', contribuinteIcms: 'x' }),
+    registro(3, { cnpj: '11.222.333/0001-81', razaoSocial: '', responsavelEmail: 'ana@escritorio.com', possuiEmpregados: 'Sim' }),
+    registro(4, { cnpj: '11222333000181', razaoSocial: 'Padaria', uf: 'sp' })
+  ], { empresas: [padaria], usuarios });
+
+  // Excel descarta o zero à esquerda
+  assert.equal(nova.acao, 'criar');
+  assert.equal(nova.cnpj, '04.252.011/0001-10');
+  assert.equal(nova.registro.regimeTributario, 'Lucro Presumido');
+  assert.equal(nova.registro.contribuinteIcms, true);
+  assert.equal(nova.registro.possuiEmpregados, false);
+  assert.equal(nova.registro.ativo, true);
+
+  // Células vazias mantêm o cadastro atual
+  assert.equal(alterada.acao, 'atualizar');
+  assert.equal(alterada.registro.id, 'e1');
+  assert.equal(alterada.razaoSocial, 'Padaria');
+  assert.equal(alterada.registro.municipio, 'Campinas');
+  assert.deepEqual(alterada.alteracoes, ['E-mail do responsável', 'Possui empregados']);
+
+  // A linha 4 repete o CNPJ da 3
+  assert.equal(igual.acao, 'erro');
+  assert.deepEqual(igual.erros, ['CNPJ repetido na planilha (linha 3)']);
+
+  const [semMudanca] = analisarImportacao([registro(2, { cnpj: '11222333000181', uf: 'sp' })], { empresas: [padaria], usuarios });
+  assert.equal(semMudanca.acao, 'sem_alteracao');
+  assert.deepEqual(semMudanca.alteracoes, []);
+});
+
+test('erros apontados por linha', () => {
+  const [cnpj, valores, cadastro, repetida] = analisarImportacao([
+    registro(2, { cnpj: '11222333000180', razaoSocial: 'Padaria' }),
+    registro(3, { cnpj: '33592651000177', razaoSocial: 'Oficina', regimeTributario: 'MEI', ativo: 'talvez' }),
+    registro(4, { cnpj: '04252011000110', razaoSocial: '' }),
+    registro(5, { cnpj: '04252011000110', razaoSocial: 'Mercado', responsavelEmail: 'bia@escritorio.com' })
+  ], { empresas: [], usuarios });
+
+  assert.deepEqual([cnpj.acao, cnpj.erros], ['erro', ['CNPJ inválido']]);
+  assert.equal(valores.acao, 'erro');
+  assert.equal(valores.erros.length, 2);
+  assert.match(valores.erros[0], /^Regime tributário "MEI" não reconhecido/);
+  assert.equal(valores.erros[1], 'Ativa: use Sim ou Não (recebido "talvez")');
+  assert.deepEqual([cadastro.acao, cadastro.erros], ['erro', ['Razão social é obrigatória (até 255 caracteres)']]);
+
+  // Linha com erro de cadastro ainda reserva o CNPJ
+  assert.deepEqual(repetida.erros, ['CNPJ repetido na planilha (linha 4)']);
+});
+
+test('responsável desconhecido é só um aviso', () => {
+  const [linha] = analisarImportacao([
+    registro(2, { cnpj: '04252011000110', razaoSocial: 'Mercado', responsavelEmail: 'bia@escritorio.com' })
+  ], { empresas: [], usuarios });
+
+  assert.equal(linha.acao, 'criar');
+  assert.equal(linha.registro.responsavelId, null);
+  assert.deepEqual(linha.avisos, ['E-mail do responsável "bia@escritorio.com" não corresponde a nenhum usuário']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco } = require('../helpers/modulos');
+
+substituirBanco();
+
+const segredosPath = require.resolve('../../services/empresas/segredos');
+const { contextoSegredo, criptografar, descriptografar } = require('../../services/empresas/segredos');
+const { normalizarValor } = require('../../services/empresas/campos');
+
+const contexto = contextoSegredo('padaria', 7);
+
+test('cifra e decifra no mesmo contexto', () => {
+  const valor = criptografar('senha-do-portal', contexto);
+  assert.match(valor, /^v1:[^:]+:[^:]+:[^:]+$/);
+  assert.ok(!valor.includes('senha-do-portal'));
+  assert.equal(descriptografar(valor, contexto), 'senha-do-portal');
+  // IV aleatório: o mesmo texto não gera o mesmo cifrado
+  assert.notEqual(criptografar('senha-do-portal', contexto), valor);
+});
+
+test('cifrado copiado para outra empresa ou outro campo não decifra', () => {
+  const valor = criptografar('senha-do-portal', contexto);
+  assert.throws(() => descriptografar(valor, contextoSegredo('oficina', 7)));
+  assert.throws(() => descriptografar(valor, contextoSegredo('padaria', 8)));
+});
+
+test('valor adulterado ou em formato desconhecido', () => {
+  const [versao, iv, tag, cifrado] = criptografar('senha-do-portal', contexto).split(':');
+  const adulterado = Buffer.from(cifrado, 'base64');
+  adulterado[0] ^= 1;
+  assert.throws(() => descriptografar([versao, iv, tag, adulterado.toString('base64')].join(':'), contexto));
+  assert.throws(() => descriptografar(['v2', iv, tag, cifrado].join(':'), contexto), /Formato de segredo desconhecido/);
+  assert.throws(() => descriptografar('texto puro', contexto), /Formato de segredo desconhecido/);
+});
+
+test('campo secreto é gravado cifrado com o contexto da empresa', () => {
+  const campo = { id: 7, nome: 'Senha da prefeitura', tipo: 'segredo' };
+  const { valor } = normalizarValor(campo, '  senha-do-portal ', 'padaria');
+  assert.equal(descriptografar(valor, contexto), 'senha-do-portal');
+  assert.deepEqual(normalizarValor(campo, '', 'padaria'), { valor: null });
+});
+
+test('em produção a chave precisa vir do ambiente', (t) => {
+  const ambiente = { ...process.env };
+  t.after(() => {
+    process.env = ambiente;
+  });
+  delete require.cache[segredosPath];
+  delete process.env.EMPRESAS_SECRET_KEY;
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => require(segredosPath), /EMPRESAS_SECRET_KEY não definida/);
+});
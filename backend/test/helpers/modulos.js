@@ -0,0 +1,32 @@
+// Substitui módulos do backend por versões em memória antes de carregar o módulo testado
+//
+// Cada arquivo de teste roda em um processo próprio (node --test): a substituição vale só para ele.
+const os = require('os');
+const path = require('path');
+
+const backendDir = path.join(__dirname, '..', '..');
+
+// Chaves de assinatura e de criptografia sem criar arquivos na pasta de dados
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'segredo-dos-testes';
+process.env.TOTP_SECRET_KEY = process.env.TOTP_SECRET_KEY || 'chave-totp-dos-testes';
+process.env.EMPRESAS_SECRET_KEY = process.env.EMPRESAS_SECRET_KEY || 'chave-empresas-dos-testes';
+
+/**
+ * Registra exports no cache do require no lugar do arquivo.
+ * @param {string} relativo - Caminho a partir de backend/ (ex.: 'database')
+ * @param {Object} exports
+ * @returns {Object} Os próprios exports, para os testes ajustarem as funções
+ */
+function substituirModulo(relativo, exports) {
+  const arquivo = require.resolve(path.join(backendDir, relativo));
+  require.cache[arquivo] = { id: arquivo, filename: arquivo, loaded: true, exports };
+  return exports;
+}
+
+// database.js falso: só as funções informadas (as demais ficam undefined, como num destructuring)
+const substituirBanco = (funcoes = {}) => substituirModulo('database', { dataDir: os.tmpdir(), ...funcoes });
+
+module.exports = {
+  substituirModulo,
+  substituirBanco
+};
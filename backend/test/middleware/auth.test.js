@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { substituirBanco } = require('../helpers/modulos');
+
+const usuarios = new Map([['u1', { uid: 'u1', email: 'ana@escritorio.com', nome_completo: 'Ana', cargo: 'contador' }]]);
+const sessoes = new Map();
+const tokensApi = new Map();
+
+substituirBanco({
+  getUserByUid: async (uid) => usuarios.get(uid),
+  createRefreshToken: async ({ id, userId, tokenHash, expiresAt }) => {
+    sessoes.set(id, { id, user_id: userId, token_hash: tokenHash, expires_at: expiresAt, revoked_at: null });
+    return { id, userId, expiresAt };
+  },
+  getRefreshTokenById: async (id) => sessoes.get(id),
+  createApiToken: async ({ id, userId, tokenHash, scopes, expiresAt }) => {
+    tokensApi.set(tokenHash, { id, user_id: userId, token_hash: tokenHash, scopes, expires_at: expiresAt, revoked_at: null });
+    return { id };
+  },
+  getApiTokenByHash: async (hash) => tokensApi.get(hash),
+  touchApiToken: async () => ({ updatedRows: 1 })
+});
+
+const { authenticateToken, requirePermission, requireSession } = require('../../middleware/auth');
+const { issueSession } = require('../../services/auth/tokens');
+const { issueApiToken } = require('../../services/auth/apiTokens');
+
+const app = express();
+const responder = (req, res) => res.json({ uid: req.user.uid, permissions: req.user.permissions });
+app.get('/tarefas', authenticateToken, requirePermission('tasks.view'), responder);
+app.get('/usuarios/gerenciar', authenticateToken, requirePermission('users.manage'), responder);
+app.get('/perfil', authenticateToken, responder);
+app.get('/sessoes', authenticateToken, requireSession, responder);
+
+let servidor;
+let base;
+test.before(async () => {
+  servidor = app.listen(0);
+  await new Promise((resolve) => servidor.once('listening', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+test.after(() => servidor.close());
+// O middleware registra cada recusa no console
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+async function get(caminho, token) {
+  const resposta = await fetch(`${base}${caminho}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  return { status: resposta.status, corpo: await resposta.json() };
+}
+
+const tokenDeApi = async (scopes) => (await issueApiToken({
+  userData: usuarios.get('u1'),
+  nome: 'Integração',
+  scopes,
+  expiresInDays: 1
+})).token;
+
+test('sessão: acesso conforme as permissões do cargo', async () => {
+  const { token } = await issueSession(usuarios.get('u1'));
+  assert.equal((await get('/tarefas', token)).status, 200);
+  assert.equal((await get('/perfil', token)).status, 200);
+  assert.equal((await get('/sessoes', token)).status, 200);
+
+  const negado = await get('/usuarios/gerenciar', token);
+  assert.equal(negado.status, 403);
+  assert.equal(negado.corpo.permission, 'users.manage');
+});
+
+test('sessão revogada ou token ausente', async () => {
+  const { token } = await issueSession(usuarios.get('u1'));
+  [...sessoes.values()].forEach((sessao) => { sessao.revoked_at = new Date().toISOString(); });
+  assert.equal((await get('/tarefas', token)).corpo.code, 'SESSION_REVOKED');
+  assert.equal((await get('/tarefas')).corpo.code, 'TOKEN_MISSING');
+});
+
+test('token de API: só as permissões dos escopos', async () => {
+  const token = await tokenDeApi(['tasks.view', 'users.manage']);
+  const permitido = await get('/tarefas', token);
+  assert.equal(permitido.status, 200);
+  // users.manage não é do cargo contador: o escopo não vale
+  assert.deepEqual(permitido.corpo.permissions, ['tasks.view']);
+  assert.equal((await get('/usuarios/gerenciar', token)).status, 403);
+
+  const semEscopo = await tokenDeApi([]);
+  assert.equal((await get('/tarefas', semEscopo)).status, 403);
+});
+
+test('token de API é recusado em rotas sem permissão declarada', async () => {
+  const token = await tokenDeApi(['tasks.view']);
+  for (const caminho of ['/perfil', '/sessoes']) {
+    const resposta = await get(caminho, token);
+    assert.equal(resposta.status, 403, caminho);
+    assert.equal(resposta.corpo.code, 'SESSION_REQUIRED');
+  }
+  assert.equal((await get('/tarefas', 'pat_invalido')).corpo.code, 'TOKEN_INVALID');
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const express = require('express');
+const { substituirBanco, substituirModulo } = require('../helpers/modulos');
+
+// Ana (responsável pela tarefa) e Bruno na equipe supervisionada pela Sara; Carla fora dela
+const usuarios = new Map([
+  ['ana', { uid: 'ana', email: 'ana@escritorio.com', nome_completo: 'Ana', cargo: 'contador' }],
+  ['bruno', { uid: 'bruno', email: 'bruno@escritorio.com', nome_completo: 'Bruno', cargo: 'contador' }],
+  ['carla', { uid: 'carla', email: 'carla@escritorio.com', nome_completo: 'Carla', cargo: 'contador' }],
+  ['s1', { uid: 's1', email: 'sara@escritorio.com', nome_completo: 'Sara', cargo: 'supervisor' }]
+]);
+const tarefa = { id: 't1', titulo: 'DAS', responsavel_id: 'ana' };
+const sessoes = new Map();
+const comentarios = new Map();
+const historico = [];
+const mencoes = [];
+const emails = [];
+
+// Mesma condição do banco: só altera comentário ainda não excluído, guardando o texto anterior
+function alterar(id, acao, userId, mudancas) {
+  const comentario = comentarios.get(id);
+  if (comentario.excluido_em) return { updatedRows: 0 };
+  historico.push({ comentario_id: id, acao, texto_anterior: comentario.texto, user_nome: usuarios.get(userId).nome_completo });
+  Object.assign(comentario, mudancas);
+  return { updatedRows: 1 };
+}
+
+substituirBanco({
+  uploadsDir: os.tmpdir(),
+  getUserByUid: async (uid) => usuarios.get(uid),
+  getAllUsers: async () => [...usuarios.values()],
+  createRefreshToken: async ({ id, userId, tokenHash, expiresAt }) => {
+    sessoes.set(id, { id, user_id: userId, token_hash: tokenHash, expires_at: expiresAt, revoked_at: null });
+    return { id, userId, expiresAt };
+  },
+  getRefreshTokenById: async (id) => sessoes.get(id),
+  getTeamUserIds: async (uid) => (['ana', 'bruno', 's1'].includes(uid) ? ['ana', 'bruno'] : []),
+  getTaskById: async (id) => (id === tarefa.id ? tarefa : undefined),
+  createComentario: async (taskId, { parentId, autorId, texto }) => {
+    const id = comentarios.size + 1;
+    comentarios.set(id, { id, task_id: taskId, parent_id: parentId, autor_id: autorId, texto, excluido_em: null });
+    return { id };
+  },
+  getComentarioById: async (id) => (comentarios.has(Number(id)) ? { ...comentarios.get(Number(id)) } : undefined),
+  listComentariosByTask: async (taskId) => [...comentarios.values()].filter((c) => c.task_id === taskId),
+  listAnexosComentarios: async () => [],
+  updateComentarioTexto: async (id, texto, userId) => alterar(id, 'edicao', userId, { texto }),
+  excluirComentario: async (id, userId) => alterar(id, 'exclusao', userId, { excluido_em: '2025-03-10 12:00:00' }),
+  listHistoricoComentario: async (id) => historico.filter((h) => h.comentario_id === id),
+  listMencoesComentario: async (id) => mencoes.filter((m) => m.comentario_id === id),
+  addMencoesComentario: async (id, uids) => {
+    uids.forEach((uid) => mencoes.push({ comentario_id: id, user_id: uid }));
+  },
+  marcarMencoesLidas: async () => ({ updatedRows: 0 }),
+  insertActivityLog: async () => {}
+});
+substituirModulo('services/mail/mailer', {
+  sendMail: async (mensagem) => {
+    emails.push(mensagem.to);
+  }
+});
+
+const comentariosRoutes = require('../../routes/comentariosRoutes');
+const { issueSession } = require('../../services/auth/tokens');
+
+const app = express();
+app.use(express.json());
+app.use('/api', comentariosRoutes);
+
+let servidor;
+let base;
+test.before(async () => {
+  servidor = app.listen(0);
+  await new Promise((resolve) => servidor.once('listening', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+test.after(() => servidor.close());
+test.beforeEach((t) => {
+  comentarios.clear();
+  historico.length = 0;
+  mencoes.length = 0;
+  emails.length = 0;
+  t.mock.method(console, 'log', () => {});
+});
+
+async function chamar(uid, metodo, caminho, corpo) {
+  const { token } = await issueSession(usuarios.get(uid));
+  const resposta = await fetch(`${base}/api${caminho}`, {
+    method: metodo,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: corpo ? JSON.stringify(corpo) : undefined
+  });
+  return { status: resposta.status, corpo: await resposta.json() };
+}
+
+const comentar = (uid, texto) => chamar(uid, 'POST', '/tarefas/t1/comentarios', { texto });
+
+test('menções avisam só quem vê a tarefa, uma vez por comentário', async () => {
+  const criado = await comentar('ana', 'Confere, @[Bruno](bruno)? cc @[Carla](carla) @[Ana](ana)');
+  assert.equal(criado.status, 201);
+  assert.equal(criado.corpo.mencionados, 1);
+  assert.deepEqual(emails, ['bruno@escritorio.com']);
+
+  // Na edição, só os citados pela primeira vez
+  const editado = await chamar('ana', 'PUT', `/comentarios/${criado.corpo.id}`, { texto: '@[Bruno](bruno) e @[Sara](s1), conferem?' });
+  assert.equal(editado.corpo.mencionados, 1);
+  assert.deepEqual(emails, ['bruno@escritorio.com', 'sara@escritorio.com']);
+  assert.deepEqual(mencoes.map((m) => m.user_id), ['bruno', 's1']);
+});
+
+test('quem não vê a tarefa não lê nem comenta', async () => {
+  assert.equal((await chamar('carla', 'GET', '/tarefas/t1/comentarios')).status, 404);
+  assert.equal((await comentar('carla', 'Oi')).status, 404);
+  // Quem vê precisa escrever algo
+  assert.equal((await comentar('bruno', '   ')).status, 400);
+});
+
+test('só o autor edita; excluir pode o autor ou quem edita tarefas', async () => {
+  const { corpo: { id } } = await comentar('ana', 'Guia emitida');
+
+  assert.equal((await chamar('bruno', 'PUT', `/comentarios/${id}`, { texto: 'Outra coisa' })).status, 403);
+  assert.equal((await chamar('s1', 'PUT', `/comentarios/${id}`, { texto: 'Outra coisa' })).status, 403);
+  assert.equal((await chamar('bruno', 'DELETE', `/comentarios/${id}`)).status, 403);
+
+  const excluido = await chamar('s1', 'DELETE', `/comentarios/${id}`);
+  assert.equal(excluido.status, 200);
+  assert.deepEqual([excluido.corpo.excluido, excluido.corpo.texto], [true, null]);
+  assert.deepEqual(historico.map((h) => [h.acao, h.texto_anterior]), [['exclusao', 'Guia emitida']]);
+
+  // Comentário excluído não volta a ser alterado
+  assert.equal((await chamar('ana', 'PUT', `/comentarios/${id}`, { texto: 'Voltei' })).status, 400);
+  assert.equal((await chamar('ana', 'DELETE', `/comentarios/${id}`)).status, 400);
+});
+
+test('histórico do comentário: autor e quem edita tarefas', async () => {
+  const { corpo: { id } } = await comentar('ana', 'Primeira versão');
+  await chamar('ana', 'PUT', `/comentarios/${id}`, { texto: 'Segunda versão' });
+
+  assert.equal((await chamar('bruno', 'GET', `/comentarios/${id}/historico`)).status, 403);
+  const { corpo } = await chamar('s1', 'GET', `/comentarios/${id}/historico`);
+  assert.deepEqual(corpo.map((h) => [h.acao, h.textoAnterior, h.userNome]), [['edicao', 'Primeira versão', 'Ana']]);
+});
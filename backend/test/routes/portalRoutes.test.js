@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { substituirBanco } = require('../helpers/modulos');
+
+// Cliente vinculado só à Padaria; a Oficina é de outro cliente
+const usuarios = new Map([
+  ['c1', { uid: 'c1', email: 'cliente@padaria.com', nome_completo: 'Paula', cargo: 'cliente' }],
+  ['u1', { uid: 'u1', email: 'ana@escritorio.com', nome_completo: 'Ana', cargo: 'contador' }]
+]);
+const sessoes = new Map();
+const tarefas = new Map([
+  ['t-padaria', { id: 't-padaria', titulo: 'DAS', empresa_id: 'padaria', responsavel_id: 'u1' }],
+  ['t-oficina', { id: 't-oficina', titulo: 'DAS', empresa_id: 'oficina', responsavel_id: 'u1' }]
+]);
+const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-'));
+const arquivo = (id, taskId, extras = {}) => {
+  const filePath = path.join(pasta, `${id}.pdf`);
+  fs.writeFileSync(filePath, `conteúdo ${id}`);
+  return { id, task_id: taskId, file_path: filePath, original_name: `${id}.pdf`, mime_type: 'application/pdf', ...extras };
+};
+const arquivos = new Map([
+  ['guia', arquivo('guia', 't-padaria')],
+  ['outra', arquivo('outra', 't-oficina')],
+  // Anexo de comentário da equipe na tarefa da Padaria: não aparece no portal
+  ['anexo', arquivo('anexo', 't-padaria', { comentario_id: 5 })]
+]);
+const downloads = [];
+
+substituirBanco({
+  uploadsDir: pasta,
+  getUserByUid: async (uid) => usuarios.get(uid),
+  createRefreshToken: async ({ id, userId, tokenHash, expiresAt }) => {
+    sessoes.set(id, { id, user_id: userId, token_hash: tokenHash, expires_at: expiresAt, revoked_at: null });
+    return { id, userId, expiresAt };
+  },
+  getRefreshTokenById: async (id) => sessoes.get(id),
+  listEmpresasDoUsuario: async (uid) => (uid === 'c1' ? [{ id: 'padaria', razao_social: 'Padaria' }] : []),
+  getTaskById: async (id) => tarefas.get(id),
+  getFileById: async (id) => arquivos.get(id),
+  incrementDownloadCount: async (id) => downloads.push(id),
+  logFileActivity: async () => {}
+});
+
+const portalRoutes = require('../../routes/portalRoutes');
+const { issueSession } = require('../../services/auth/tokens');
+
+const app = express();
+app.use(express.json());
+app.use('/api', portalRoutes);
+
+let servidor;
+let base;
+test.before(async () => {
+  servidor = app.listen(0);
+  await new Promise((resolve) => servidor.once('listening', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+test.after(() => {
+  servidor.close();
+  fs.rmSync(pasta, { recursive: true, force: true });
+});
+test.beforeEach((t) => {
+  downloads.length = 0;
+  t.mock.method(console, 'log', () => {});
+});
+
+async function baixar(arquivoId, uid) {
+  const { token } = await issueSession(usuarios.get(uid));
+  const resposta = await fetch(`${base}/api/portal/arquivos/${arquivoId}/download`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  return { status: resposta.status, corpo: await resposta.text() };
+}
+
+test('cliente baixa os comprovantes das empresas vinculadas', async () => {
+  assert.deepEqual(await baixar('guia', 'c1'), { status: 200, corpo: 'conteúdo guia' });
+  assert.deepEqual(downloads, ['guia']);
+});
+
+test('arquivo de outra empresa, anexo de comentário ou inexistente: 404', async () => {
+  assert.equal((await baixar('outra', 'c1')).status, 404);
+  assert.equal((await baixar('anexo', 'c1')).status, 404);
+  assert.equal((await baixar('nenhum', 'c1')).status, 404);
+  assert.deepEqual(downloads, []);
+});
+
+test('equipe não usa as rotas do portal', async () => {
+  assert.equal((await baixar('guia', 'u1')).status, 403);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  limparDocumento,
+  validarCpf,
+  validarCnpj,
+  tipoDocumento,
+  formatarCpf,
+  formatarCnpj,
+  formatarDocumento,
+  mascararDocumento,
+  extrairDocumentos,
+  removerDocumentos
+} = require('../../../shared/documentos.mjs');
+
+const CPF = '52998224725';
+const CNPJ = '11222333000181';
+// Exemplo da Receita Federal para o CNPJ alfanumérico
+const CNPJ_ALFANUMERICO = '12ABC34501DE35';
+
+test('limpeza mantém dígitos e letras em maiúsculas', () => {
+  assert.equal(limparDocumento(' 12.abc.345/01de-35 '), CNPJ_ALFANUMERICO);
+  assert.equal(limparDocumento(null), '');
+});
+
+test('CPF: dígitos verificadores', () => {
+  assert.equal(validarCpf('529.982.247-25'), true);
+  assert.equal(validarCpf('529.982.247-24'), false);
+  assert.equal(validarCpf('111.111.111-11'), false);
+  assert.equal(validarCpf('5299822472'), false);
+  assert.equal(validarCpf('52998224A25'), false);
+});
+
+test('CNPJ numérico e alfanumérico', () => {
+  assert.equal(validarCnpj('11.222.333/0001-81'), true);
+  assert.equal(validarCnpj('11.222.333/0001-80'), false);
+  assert.equal(validarCnpj('12.ABC.345/01DE-35'), true);
+  assert.equal(validarCnpj('12abc34501de35'), true);
+  assert.equal(validarCnpj('12.ABC.345/01DE-36'), false);
+  // Os dois últimos caracteres continuam sendo dígitos
+  assert.equal(validarCnpj('12ABC34501DE3A'), false);
+  assert.equal(validarCnpj('00000000000000'), false);
+});
+
+test('tipo do documento', () => {
+  assert.equal(tipoDocumento(CPF), 'cpf');
+  assert.equal(tipoDocumento(CNPJ_ALFANUMERICO), 'cnpj');
+  assert.equal(tipoDocumento('12345'), null);
+});
+
+test('formatação', () => {
+  assert.equal(formatarCpf(CPF), '529.982.247-25');
+  assert.equal(formatarCnpj(CNPJ), '11.222.333/0001-81');
+  assert.equal(formatarCnpj(CNPJ_ALFANUMERICO.toLowerCase()), '12.ABC.345/01DE-35');
+  assert.equal(formatarDocumento(CPF), '529.982.247-25');
+  assert.equal(formatarDocumento(CNPJ), '11.222.333/0001-81');
+  assert.equal(formatarDocumento('123'), '123');
+  assert.equal(formatarCpf(undefined), '');
+});
+
+test('máscara de digitação', () => {
+  assert.equal(mascararDocumento('5299822'), '529.982.2');
+  assert.equal(mascararDocumento('529982247251'), '52.998.224/7251');
+  assert.equal(mascararDocumento('112223330001819'), '11.222.333/0001-81');
+  // Uma letra já indica CNPJ
+  assert.equal(mascararDocumento('12ABC'), '12.ABC');
+  assert.equal(mascararDocumento('1122', 'cnpj'), '11.22');
+  assert.equal(mascararDocumento('12AB34', 'cpf'), '123.4');
+  assert.equal(mascararDocumento(''), '');
+});
+
+test('extração de documentos válidos de um texto', () => {
+  const texto = `PIX ${CPF} ref 11.222.333/0001-81 e ${CNPJ_ALFANUMERICO} e 11.222.333/0001-80 e ${CPF}`;
+  assert.deepEqual(extrairDocumentos(texto), [CPF, CNPJ, CNPJ_ALFANUMERICO]);
+  // Os 11 primeiros dígitos de um CNPJ não contam como CPF
+  assert.deepEqual(extrairDocumentos(`TED ${CNPJ}`), [CNPJ]);
+  assert.deepEqual(extrairDocumentos(''), []);
+});
+
+test('remoção de documentos de um texto', () => {
+  // Formatados saem mesmo com DV inválido; sem pontuação, só os válidos
+  assert.equal(removerDocumentos('PIX 529.982.247-00 TED 11222333000181 X 12345'), 'PIX   TED   X 12345');
+  assert.equal(removerDocumentos('REF 11222333000180'), 'REF 11222333000180');
+  assert.equal(removerDocumentos(null), '');
+});
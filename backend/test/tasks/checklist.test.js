@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco, substituirModulo } = require('../helpers/modulos');
+
+substituirBanco();
+substituirModulo('scripts/agenda-tributaria-api', { buscarFeriados: async () => ({}) });
+
+const {
+  toChecklistItemResponse,
+  resumoChecklist,
+  toResumoChecklist,
+  parseChecklistItemBody,
+  parseModeloBody
+} = require('../../services/tasks/checklist');
+const { validarTransicao } = require('../../services/tasks/status');
+const { getRolePermissions } = require('../../services/auth/permissions');
+
+const item = (id, campos = {}) => ({ id, task_id: 't1', descricao: `Etapa ${id}`, ordem: id, obrigatorio: 1, prazo_dias: null, concluido: 0, ...campos });
+const contador = { uid: 'c1', cargo: 'contador', permissions: getRolePermissions('contador') };
+const supervisor = { uid: 's1', cargo: 'supervisor', permissions: getRolePermissions('supervisor') };
+const tarefa = (status) => ({ id: 't1', status, responsavel_id: 'c1' });
+
+// Mesmo caminho de PATCH /api/tarefas/:id/status: resumo do checklist → validarTransicao
+const validar = (user, status, para, itens) => validarTransicao(user, tarefa(status), para, {
+  obrigatoriosPendentes: resumoChecklist(itens.map((i) => toChecklistItemResponse(i))).obrigatoriosPendentes
+});
+
+test('itens obrigatórios pendentes seguram revisão e conclusão', () => {
+  const itens = [item(1, { concluido: 1 }), item(2), item(3, { obrigatorio: 0 })];
+  assert.deepEqual(resumoChecklist(itens.map((i) => toChecklistItemResponse(i))), { total: 3, concluidos: 1, obrigatoriosPendentes: 1 });
+
+  const revisao = validar(contador, 'em_andamento', 'aguardando_revisao', itens);
+  assert.equal(revisao.status, 400);
+  assert.match(revisao.error, /"Aguardando revisão" \(1 pendente\(s\)\)/);
+  assert.equal(validar(supervisor, 'aguardando_revisao', 'finalizado', itens).status, 400);
+  // Outras transições não dependem do checklist
+  assert.equal(validar(contador, 'pendente', 'em_andamento', itens), null);
+});
+
+test('item opcional pendente não segura a tarefa', () => {
+  const itens = [item(1, { concluido: 1 }), item(2, { obrigatorio: 0 })];
+  assert.equal(validar(contador, 'em_andamento', 'aguardando_revisao', itens), null);
+  assert.equal(validar(supervisor, 'aguardando_revisao', 'finalizado', []), null);
+});
+
+test('resumo da consulta agrupada; tarefa sem itens fica zerada', () => {
+  assert.deepEqual(toResumoChecklist({ task_id: 't1', total: 4, concluidos: 2, obrigatorios_pendentes: 1 }),
+    { total: 4, concluidos: 2, obrigatoriosPendentes: 1 });
+  assert.deepEqual(toResumoChecklist(undefined), { total: 0, concluidos: 0, obrigatoriosPendentes: 0 });
+});
+
+test('prazo do item relativo ao vencimento da tarefa', () => {
+  assert.equal(toChecklistItemResponse(item(1, { prazo_dias: -2 }), '2025-03-20T12:00:00.000Z').prazo, '2025-03-18');
+  assert.equal(toChecklistItemResponse(item(1, { prazo_dias: 0 }), '2025-03-20').prazo, '2025-03-20');
+  assert.equal(toChecklistItemResponse(item(1), '2025-03-20').prazo, null);
+  assert.equal(toChecklistItemResponse(item(1, { prazo_dias: -2 }), null).prazo, null);
+});
+
+test('validação de itens e modelos', () => {
+  assert.deepEqual(parseChecklistItemBody({ descricao: ' Conferir notas ', prazoDias: '-3' }),
+    { descricao: 'Conferir notas', obrigatorio: true, responsavelId: null, prazoDias: -3 });
+  assert.equal(parseChecklistItemBody({ descricao: 'Opcional', obrigatorio: false }).obrigatorio, false);
+  assert.match(parseChecklistItemBody({ descricao: '  ' }).error, /descrição/);
+  assert.match(parseChecklistItemBody({ descricao: 'x', prazoDias: 1.5 }).error, /Prazo do item inválido/);
+  assert.match(parseChecklistItemBody({ descricao: 'x', prazoDias: 400 }).error, /Prazo do item inválido/);
+
+  const modelo = parseModeloBody({ nome: 'Folha', itens: [{ descricao: 'Receber ponto', prazoDias: -5 }, { descricao: 'Conferir', obrigatorio: false }] });
+  assert.deepEqual(modelo, {
+    nome: 'Folha',
+    titulo: null,
+    observacoes: null,
+    itens: [
+      { descricao: 'Receber ponto', obrigatorio: true, prazoDias: -5 },
+      { descricao: 'Conferir', obrigatorio: false, prazoDias: null }
+    ]
+  });
+  assert.equal(parseModeloBody({ nome: 'Folha', itens: [{ descricao: 'ok' }, {}] }).error, 'Item 2: Informe a descrição do item (até 255 caracteres)');
+  assert.match(parseModeloBody({ nome: 'Folha', itens: Array(51).fill({ descricao: 'x' }) }).error, /no máximo 50 itens/);
+  assert.match(parseModeloBody({}).error, /nome do modelo/);
+});
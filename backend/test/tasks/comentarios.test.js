@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco, substituirModulo } = require('../helpers/modulos');
+
+const comentarios = new Map([
+  [1, { id: 1, excluido_em: null }],
+  [2, { id: 2, excluido_em: '2025-03-10 12:00:00' }]
+]);
+const emails = [];
+
+substituirBanco({
+  getComentarioById: async (id) => comentarios.get(id),
+  // Ana e Bruno na mesma equipe; Carla sozinha
+  getTeamUserIds: async (uid) => (['ana', 'bruno'].includes(uid) ? ['ana', 'bruno'] : [])
+});
+substituirModulo('services/mail/mailer', {
+  sendMail: async (mensagem) => {
+    if (mensagem.to === 'falha@escritorio.com') throw new Error('SMTP indisponível');
+    emails.push(mensagem);
+  }
+});
+
+const {
+  textoSimples,
+  extrairMencoes,
+  parseTextoComentario,
+  anexoDisponivel,
+  montarConversa,
+  mencionadosValidos,
+  notificarMencoes
+} = require('../../services/tasks/comentarios');
+
+test.beforeEach((t) => {
+  emails.length = 0;
+  t.mock.method(console, 'error', () => {});
+});
+
+const comentario = (id, campos = {}) => ({
+  id, task_id: 't1', parent_id: null, autor_id: 'ana', autor_nome: 'Ana', texto: `Comentário ${id}`, excluido_em: null, ...campos
+});
+const usuarios = [
+  { uid: 'ana', email: 'ana@escritorio.com', nome_completo: 'Ana', cargo: 'contador' },
+  { uid: 'bruno', email: 'bruno@escritorio.com', nome_completo: 'Bruno', cargo: 'contador' },
+  { uid: 'carla', email: 'carla@escritorio.com', nome_completo: 'Carla', cargo: 'contador' },
+  { uid: 'audit', email: 'auditoria@escritorio.com', nome_completo: 'Auditoria', cargo: 'auditor' }
+];
+const tarefa = { id: 't1', titulo: 'DAS', responsavel_id: 'ana' };
+
+test('menções no texto: uids sem repetição e texto com @Nome', () => {
+  const texto = 'Oi @[Bruno Lima](bruno), confere com @[Carla](carla)? @[Bruno Lima](bruno) @[Sem uid]() email@x.com';
+  assert.deepEqual(extrairMencoes(texto), ['bruno', 'carla']);
+  assert.equal(textoSimples(texto), 'Oi @Bruno Lima, confere com @Carla? @Bruno Lima @[Sem uid]() email@x.com');
+  assert.deepEqual(extrairMencoes(null), []);
+});
+
+test('texto do comentário obrigatório e limitado', () => {
+  assert.deepEqual(parseTextoComentario('  Conferido  '), { texto: 'Conferido' });
+  assert.equal(parseTextoComentario('   ').error, 'Escreva o comentário');
+  assert.equal(parseTextoComentario({ texto: 'x' }).error, 'Escreva o comentário');
+  assert.match(parseTextoComentario('x'.repeat(5001)).error, /muito longo/);
+});
+
+test('só quem vê a tarefa é avisado, nunca o autor', async () => {
+  const mencionados = await mencionadosValidos(['bruno', 'carla', 'ana', 'audit', 'removido'], tarefa, 'ana', usuarios);
+  assert.deepEqual(mencionados.map((u) => u.uid), ['bruno', 'audit']);
+
+  const enviados = await notificarMencoes({
+    mencionados: [...mencionados, { uid: 'x', email: 'falha@escritorio.com', nome_completo: 'X' }],
+    task: tarefa,
+    autorNome: 'Ana',
+    texto: 'Confere @[Bruno](bruno)',
+    appUrl: 'https://app.exemplo.com'
+  });
+  // Falha de envio não interrompe os demais
+  assert.equal(enviados, 2);
+  assert.deepEqual(emails.map((e) => e.to), ['bruno@escritorio.com', 'auditoria@escritorio.com']);
+  assert.match(emails[0].text, /Confere @Bruno\n/);
+});
+
+test('conversa: respostas no comentário principal; excluídos sem texto nem anexos', () => {
+  const conversa = montarConversa([
+    comentario(1),
+    comentario(2, { parent_id: 1, autor_id: 'bruno' }),
+    comentario(3, { excluido_em: '2025-03-10 12:00:00' }),
+    comentario(4, { parent_id: 3 }),
+    comentario(5, { excluido_em: '2025-03-10 12:00:00' })
+  ], [
+    { id: 10, comentario_id: 1, original_name: 'guia.pdf' },
+    { id: 11, comentario_id: 3, original_name: 'rascunho.pdf' }
+  ]);
+
+  // O 5, excluído e sem respostas, sai da conversa; o 3 fica pelas respostas
+  assert.deepEqual(conversa.map((c) => [c.id, c.respostas.map((r) => r.id)]), [[1, [2]], [3, [4]]]);
+  assert.deepEqual(conversa[0].anexos.map((a) => a.url), ['/api/files/10/download']);
+  assert.deepEqual([conversa[1].texto, conversa[1].anexos], [null, []]);
+});
+
+test('anexos de comentário excluído não ficam disponíveis nas rotas de arquivos', async () => {
+  assert.equal(await anexoDisponivel({ id: 10, comentario_id: null }), true);
+  assert.equal(await anexoDisponivel({ id: 11, comentario_id: 1 }), true);
+  assert.equal(await anexoDisponivel({ id: 12, comentario_id: 2 }), false);
+  assert.equal(await anexoDisponivel({ id: 13, comentario_id: 99 }), false);
+});
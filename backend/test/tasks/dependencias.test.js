@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco } = require('../helpers/modulos');
+
+// tarefa_dependencias em memória: predecessora → sucessoras
+const vinculos = new Map();
+const tarefas = new Map();
+const logs = [];
+
+const vincular = (predecessoraId, sucessoraId) => {
+  if (!vinculos.has(predecessoraId)) vinculos.set(predecessoraId, new Set());
+  vinculos.get(predecessoraId).add(sucessoraId);
+};
+
+substituirBanco({
+  listSucessoras: async (taskId) => [...(vinculos.get(taskId) || [])].map((id) => ({ ...tarefas.get(id) })),
+  existeCaminhoDependencia: async (origemId, destinoId) => {
+    const visitados = new Set();
+    const fila = [...(vinculos.get(origemId) || [])];
+    while (fila.length > 0) {
+      const id = fila.shift();
+      if (id === destinoId) return true;
+      if (visitados.has(id)) continue;
+      visitados.add(id);
+      fila.push(...(vinculos.get(id) || []));
+    }
+    return false;
+  },
+  createDependencia: async (predecessoraId, sucessoraId) => {
+    if (vinculos.get(predecessoraId)?.has(sucessoraId)) return { insertedRows: 0 };
+    vincular(predecessoraId, sucessoraId);
+    return { insertedRows: 1 };
+  },
+  adiarVencimentoTarefa: async (taskId, dataVencimento) => {
+    tarefas.get(taskId).data_vencimento = dataVencimento;
+    return { updatedRows: 1 };
+  },
+  insertActivityLog: async (log) => {
+    logs.push(log);
+  }
+});
+
+const {
+  agruparDependencias,
+  dependenciasDaTarefa,
+  validarNovaDependencia,
+  adiarSucessoras,
+  criarVinculos
+} = require('../../services/tasks/dependencias');
+
+test.beforeEach((t) => {
+  vinculos.clear();
+  tarefas.clear();
+  logs.length = 0;
+  t.mock.method(console, 'log', () => {});
+});
+
+const linha = (predecessora, sucessora) => ({
+  predecessora_id: predecessora.id,
+  predecessora_titulo: predecessora.id.toUpperCase(),
+  predecessora_status: predecessora.status,
+  predecessora_vencimento: '2026-05-10T12:00:00.000Z',
+  sucessora_id: sucessora.id,
+  sucessora_titulo: sucessora.id.toUpperCase(),
+  sucessora_status: sucessora.status,
+  sucessora_vencimento: '2026-05-20T12:00:00.000Z'
+});
+
+test('agrupamento: predecessoras em aberto bloqueiam a sucessora', () => {
+  const folha = { id: 'folha', status: 'em_andamento' };
+  const fgts = { id: 'fgts', status: 'pendente' };
+  const inss = { id: 'inss', status: 'finalizado' };
+  const porTarefa = agruparDependencias([linha(folha, fgts), linha(inss, fgts)]);
+
+  const dependencias = dependenciasDaTarefa(porTarefa, 'fgts');
+  assert.equal(dependencias.predecessorasPendentes, 1);
+  assert.equal(dependencias.bloqueada, true);
+  assert.deepEqual(dependencias.predecessoras.map((p) => [p.id, p.encerrada]), [['folha', false], ['inss', true]]);
+  assert.deepEqual(dependenciasDaTarefa(porTarefa, 'folha').sucessoras.map((s) => s.titulo), ['FGTS']);
+
+  // Predecessora cancelada não segura mais a sucessora
+  const liberada = agruparDependencias([linha({ id: 'folha', status: 'cancelada' }, fgts)]);
+  assert.equal(dependenciasDaTarefa(liberada, 'fgts').bloqueada, false);
+  assert.deepEqual(dependenciasDaTarefa(liberada, 'outra'), { predecessoras: [], sucessoras: [], predecessorasPendentes: 0, bloqueada: false });
+});
+
+test('novas dependências não podem formar ciclos', async () => {
+  vincular('a', 'b');
+  vincular('b', 'c');
+  assert.match(await validarNovaDependencia('a', 'a'), /dela mesma/);
+  assert.match(await validarNovaDependencia('c', 'a'), /ciclo/);
+  assert.equal(await validarNovaDependencia('a', 'c'), null);
+  assert.equal(await validarNovaDependencia('d', 'a'), null);
+});
+
+test('adiamento segue a cadeia e pula as encerradas', async () => {
+  tarefas.set('b', { id: 'b', titulo: 'B', status: 'pendente', data_vencimento: '2026-05-12T12:00:00.000Z' });
+  tarefas.set('c', { id: 'c', titulo: 'C', status: 'pendente', data_vencimento: '2026-05-14T12:00:00.000Z' });
+  tarefas.set('d', { id: 'd', titulo: 'D', status: 'finalizado', data_vencimento: '2026-05-01T12:00:00.000Z' });
+  tarefas.set('e', { id: 'e', titulo: 'E', status: 'pendente', data_vencimento: '2026-06-30T12:00:00.000Z' });
+  vincular('a', 'b');
+  vincular('b', 'c');
+  vincular('a', 'd');
+  vincular('a', 'e');
+
+  const adiadas = await adiarSucessoras({ id: 'a', titulo: 'A', data_vencimento: '2026-05-20T12:00:00.000Z' }, { uid: 'u1', email: 'ana@escritorio.com' });
+  assert.deepEqual(adiadas, [
+    { id: 'b', titulo: 'B', vencimentoAnterior: '2026-05-12T12:00:00.000Z', dataVencimento: '2026-05-20T12:00:00.000Z' },
+    { id: 'c', titulo: 'C', vencimentoAnterior: '2026-05-14T12:00:00.000Z', dataVencimento: '2026-05-20T12:00:00.000Z' }
+  ]);
+  assert.equal(tarefas.get('d').data_vencimento, '2026-05-01T12:00:00.000Z');
+  assert.equal(tarefas.get('e').data_vencimento, '2026-06-30T12:00:00.000Z');
+  assert.deepEqual(logs.map((log) => [log.action, log.taskId]), [['shift_due_date', 'b'], ['shift_due_date', 'c']]);
+
+  // Mesmo dia (horário diferente) não é adiado
+  assert.deepEqual(await adiarSucessoras({ id: 'a', titulo: 'A', data_vencimento: '2026-05-20T08:00:00.000Z' }, { uid: 'u1' }), []);
+});
+
+test('vínculos da agenda: ignora repetidos e os que formariam ciclo', async () => {
+  vincular('x', 'y');
+  const criados = await criarVinculos([
+    { predecessoraId: 'x', sucessoraId: 'y' },
+    { predecessoraId: 'y', sucessoraId: 'z' },
+    { predecessoraId: 'z', sucessoraId: 'x' },
+    { predecessoraId: 'w', sucessoraId: 'w' }
+  ], 'system');
+  assert.equal(criados, 1);
+  assert.ok(vinculos.get('y').has('z'));
+  assert.equal(vinculos.has('z'), false);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  dataValida,
+  dataNoMes,
+  ocorrenciasEntre,
+  anosEntre,
+  descreverRegra,
+  parseRegra
+} = require('../../services/tasks/recorrencia');
+
+const FERIADOS_2026 = { '4-3': 'Sexta-feira Santa', '4-21': 'Tiradentes', '11-2': 'Finados' };
+
+const serie = (campos) => ({
+  frequencia: 'mensal',
+  tipo_dia: 'dia',
+  dia: 10,
+  data_inicio: '2026-01-10',
+  data_fim: null,
+  ...campos
+});
+
+test('datas válidas', () => {
+  assert.equal(dataValida('2026-02-28'), true);
+  assert.equal(dataValida('2028-02-29'), true);
+  assert.equal(dataValida('2026-02-29'), false);
+  assert.equal(dataValida('2026-13-01'), false);
+  assert.equal(dataValida('2026-1-01'), false);
+  assert.equal(dataValida(null), false);
+});
+
+test('dia do mês limitado ao último dia', () => {
+  assert.equal(dataNoMes({ tipoDia: 'dia', dia: 31 }, 2026, 2), '2026-02-28');
+  assert.equal(dataNoMes({ tipoDia: 'dia', dia: 31 }, 2028, 2), '2028-02-29');
+  assert.equal(dataNoMes({ tipoDia: 'dia', dia: 15 }, 2026, 11, FERIADOS_2026), '2026-11-15');
+});
+
+test('N-ésimo dia útil pula fins de semana e feriados', () => {
+  // 01/11/2026 é domingo e 02/11 é Finados
+  assert.equal(dataNoMes({ tipoDia: 'dia_util', dia: 1 }, 2026, 11, FERIADOS_2026), '2026-11-03');
+  assert.equal(dataNoMes({ tipoDia: 'dia_util', dia: 1 }, 2026, 11), '2026-11-02');
+  assert.equal(dataNoMes({ tipoDia: 'dia_util', dia: 5 }, 2026, 4, FERIADOS_2026), '2026-04-08');
+  // Mês com menos dias úteis que o pedido: o último dia útil
+  assert.equal(dataNoMes({ tipoDia: 'dia_util', dia: 23 }, 2026, 2), '2026-02-27');
+});
+
+test('último dia útil', () => {
+  // 31/05/2026 é domingo
+  assert.equal(dataNoMes({ tipoDia: 'ultimo_dia_util' }, 2026, 5), '2026-05-29');
+  assert.equal(dataNoMes({ tipoDia: 'ultimo_dia_util' }, 2026, 12, { '12-31': 'Véspera' }), '2026-12-30');
+});
+
+test('ocorrências entre datas seguem a frequência a partir do início', () => {
+  assert.deepEqual(ocorrenciasEntre(serie(), '2026-01-01', '2026-04-30'),
+    ['2026-01-10', '2026-02-10', '2026-03-10', '2026-04-10']);
+  assert.deepEqual(ocorrenciasEntre(serie({ frequencia: 'trimestral' }), '2026-01-01', '2026-12-31'),
+    ['2026-01-10', '2026-04-10', '2026-07-10', '2026-10-10']);
+  assert.deepEqual(ocorrenciasEntre(serie({ frequencia: 'anual' }), '2026-06-01', '2028-12-31'),
+    ['2027-01-10', '2028-01-10']);
+});
+
+test('ocorrências respeitam de, data de início e data final', () => {
+  assert.deepEqual(ocorrenciasEntre(serie(), '2026-02-11', '2026-04-30'), ['2026-03-10', '2026-04-10']);
+  assert.deepEqual(ocorrenciasEntre(serie({ data_fim: '2026-03-09' }), '2026-01-01', '2026-12-31'),
+    ['2026-01-10', '2026-02-10']);
+  // Início no meio do mês, depois do dia da regra: a primeira é no mês seguinte
+  assert.deepEqual(ocorrenciasEntre(serie({ data_inicio: '2026-01-20' }), '2026-01-01', '2026-02-28'), ['2026-02-10']);
+});
+
+test('feriados são consultados por ano', () => {
+  const regra = serie({ tipo_dia: 'dia_util', dia: 1, data_inicio: '2026-11-01' });
+  assert.deepEqual(ocorrenciasEntre(regra, '2026-11-01', '2027-01-31', { 2026: FERIADOS_2026, 2027: { '1-1': 'Confraternização' } }),
+    ['2026-11-03', '2026-12-01', '2027-01-04']);
+  assert.deepEqual(anosEntre('2026-11-01', '2028-01-31'), [2026, 2027, 2028]);
+});
+
+test('descrição da regra', () => {
+  assert.equal(descreverRegra(serie()), 'Mensal, no dia 10');
+  assert.equal(descreverRegra(serie({ frequencia: 'trimestral', tipo_dia: 'dia_util', dia: 5 })), 'Trimestral, no 5º dia útil');
+  assert.equal(descreverRegra(serie({ frequencia: 'anual', tipo_dia: 'ultimo_dia_util' })), 'Anual, no último dia útil');
+});
+
+test('validação da regra enviada', () => {
+  assert.deepEqual(parseRegra({}, '2026-03-15'), { frequencia: 'mensal', tipoDia: 'dia', dia: 15, dataFim: null });
+  assert.deepEqual(parseRegra({ frequencia: 'trimestral', tipoDia: 'dia_util', dia: '5', dataFim: '2027-12-31' }),
+    { frequencia: 'trimestral', tipoDia: 'dia_util', dia: 5, dataFim: '2027-12-31' });
+  assert.deepEqual(parseRegra({ tipoDia: 'ultimo_dia_util', dia: 99 }), { frequencia: 'mensal', tipoDia: 'ultimo_dia_util', dia: null, dataFim: null });
+
+  assert.match(parseRegra({ frequencia: 'semanal' }).error, /Frequência inválida/);
+  assert.match(parseRegra({ tipoDia: 'feriado' }).error, /Tipo de dia inválido/);
+  assert.match(parseRegra({ tipoDia: 'dia' }).error, /1 a 31/);
+  assert.match(parseRegra({ tipoDia: 'dia_util', dia: 24 }).error, /1 a 23/);
+  assert.match(parseRegra({ dia: 1.5 }).error, /1 a 31/);
+  assert.match(parseRegra({ dia: 5, dataFim: '2027-02-30' }).error, /Data final/);
+});
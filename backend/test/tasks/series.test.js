@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco, substituirModulo } = require('../helpers/modulos');
+
+// Tabelas em memória: tarefa_series e tarefas (ocorrências), com o índice único (serie_id, ocorrencia)
+const series = new Map();
+const tarefas = new Map();
+const checklists = [];
+
+const toSerie = (id, s, atual = {}) => ({
+  ...atual,
+  id,
+  titulo: s.titulo,
+  responsavel: s.responsavel,
+  responsavel_id: s.responsavelId,
+  observacoes: s.observacoes ?? null,
+  empresa_id: s.empresaId ?? null,
+  frequencia: s.frequencia,
+  tipo_dia: s.tipoDia,
+  dia: s.dia ?? null,
+  data_inicio: s.dataInicio,
+  data_fim: s.dataFim ?? null,
+  gerada_ate: s.geradaAte ?? null
+});
+
+substituirBanco({
+  createSerie: async (s) => {
+    series.set(s.id, { ...toSerie(s.id, s), ativa: 1, modelo_id: s.modeloId ?? null });
+  },
+  getSerieById: async (id) => (series.has(id) ? { ...series.get(id) } : undefined),
+  listSeriesAtivas: async () => [...series.values()].filter((s) => s.ativa).map((s) => ({ ...s })),
+  updateSerie: async (id, s) => {
+    series.set(id, toSerie(id, s, series.get(id)));
+    return { updatedRows: 1 };
+  },
+  setSerieGeradaAte: async (id, geradaAte) => {
+    series.get(id).gerada_ate = geradaAte;
+    return { updatedRows: 1 };
+  },
+  encerrarSerie: async (id, dataFim) => {
+    Object.assign(series.get(id), { ativa: 0, data_fim: dataFim });
+    return { updatedRows: 1 };
+  },
+  createTask: async (t) => {
+    const repetida = [...tarefas.values()].some((o) => o.serie_id && o.serie_id === t.serieId && o.ocorrencia === t.ocorrencia);
+    if (repetida) throw new Error('UNIQUE constraint failed: tarefas.serie_id, tarefas.ocorrencia');
+    tarefas.set(t.id, {
+      id: t.id,
+      titulo: t.titulo,
+      responsavel_id: t.responsavelId,
+      data_vencimento: t.dataVencimento,
+      status: 'pendente',
+      serie_id: t.serieId,
+      ocorrencia: t.ocorrencia,
+      excecao: 0
+    });
+  },
+  updateTask: async (id, t) => {
+    Object.assign(tarefas.get(id), { titulo: t.titulo, responsavel_id: t.responsavelId, data_vencimento: t.dataVencimento });
+  },
+  deleteTask: async (id) => {
+    tarefas.delete(id);
+  },
+  listOcorrenciasSerie: async (serieId, { apos = null } = {}) => [...tarefas.values()]
+    .filter((t) => t.serie_id === serieId && (!apos || t.ocorrencia > apos))
+    .sort((a, b) => a.ocorrencia.localeCompare(b.ocorrencia))
+    .map((t) => ({ total_arquivos: 0, total_solicitacoes: 0, total_itens_concluidos: 0, ...t })),
+  aplicarModeloChecklist: async (taskId, modeloId) => {
+    checklists.push({ taskId, modeloId });
+  }
+});
+
+// BrasilAPI: anos fora do mapa simulam falha da consulta ({})
+const feriadosDisponiveis = {
+  2026: { '11-2': 'Finados', '12-25': 'Natal' }
+};
+substituirModulo('scripts/agenda-tributaria-api', {
+  buscarFeriados: async (ano) => feriadosDisponiveis[ano] || {}
+});
+
+const {
+  materializarSerie,
+  garantirProximaOcorrencia,
+  criarSerie,
+  editarProximasOcorrencias,
+  encerrarSerieEm
+} = require('../../services/tasks/series');
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+const dados = { titulo: 'Folha de pagamento', responsavel: 'Ana', responsavelId: 'u1', observacoes: '', empresaId: 'e1' };
+
+// Série com a primeira ocorrência já criada, como em POST /api/tarefas
+async function novaSerie(ocorrencia, regra, extras = {}) {
+  const serie = await criarSerie({ ...dados, ocorrencia, ...extras }, { dataFim: null, dia: null, ...regra }, 'u1');
+  tarefas.set(`${serie.id}-inicial`, {
+    id: `${serie.id}-inicial`,
+    titulo: dados.titulo,
+    status: 'pendente',
+    serie_id: serie.id,
+    ocorrencia,
+    data_vencimento: `${ocorrencia}T12:00:00.000Z`,
+    excecao: 0
+  });
+  return serie;
+}
+
+const ocorrencias = (serieId) => [...tarefas.values()]
+  .filter((t) => t.serie_id === serieId)
+  .map((t) => t.ocorrencia)
+  .sort();
+
+test('gera as ocorrências até a data e avança gerada_ate', async () => {
+  const serie = await novaSerie('2026-01-10', { frequencia: 'mensal', tipoDia: 'dia', dia: 10 }, { modeloId: 'm1' });
+  assert.equal(serie.gerada_ate, '2026-01-31');
+
+  assert.equal(await materializarSerie(serie, '2026-04-30'), 3);
+  assert.deepEqual(ocorrencias(serie.id), ['2026-01-10', '2026-02-10', '2026-03-10', '2026-04-10']);
+  assert.equal(series.get(serie.id).gerada_ate, '2026-04-30');
+  assert.equal(tarefas.get([...tarefas.keys()].at(-1)).data_vencimento, '2026-04-10T12:00:00.000Z');
+  assert.equal(checklists.filter((c) => c.modeloId === 'm1').length, 3);
+
+  // Nada novo até a mesma data; série encerrada não gera
+  assert.equal(await materializarSerie(series.get(serie.id), '2026-04-30'), 0);
+  assert.equal(await materializarSerie({ ...series.get(serie.id), ativa: 0 }, '2026-12-31'), 0);
+});
+
+test('editar as próximas: as com trabalho ficam, sem ocorrência duplicada no mês delas', async () => {
+  const serie = await novaSerie('2026-01-05', { frequencia: 'mensal', tipoDia: 'dia', dia: 5 });
+  await materializarSerie(serie, '2026-04-30');
+  const comTrabalho = [...tarefas.values()].find((t) => t.serie_id === serie.id && t.ocorrencia === '2026-03-05');
+  comTrabalho.status = 'em_andamento';
+  const excecao = [...tarefas.values()].find((t) => t.serie_id === serie.id && t.ocorrencia === '2026-04-05');
+  excecao.excecao = 1;
+
+  const resultado = await editarProximasOcorrencias(series.get(serie.id), '2026-01-05',
+    { ...dados, titulo: 'Folha (novo prazo)' }, { frequencia: 'mensal', tipoDia: 'dia', dia: 20, dataFim: null });
+  assert.equal(resultado.removidas, 1);
+  assert.equal(resultado.mantidas, 1);
+  // A edição gera até o horizonte (a partir de hoje); garante ao menos até maio
+  await materializarSerie(series.get(serie.id), '2026-05-31');
+
+  // Fevereiro recriado no novo dia; março e abril mantêm a data e não ganham outra ocorrência
+  const todas = ocorrencias(serie.id);
+  assert.deepEqual(todas.filter((data) => data <= '2026-05-31'), ['2026-01-05', '2026-02-20', '2026-03-05', '2026-04-05', '2026-05-20']);
+  assert.equal(new Set(todas.map((data) => data.slice(0, 7))).size, todas.length);
+  assert.equal(comTrabalho.titulo, 'Folha (novo prazo)');
+  assert.equal(comTrabalho.data_vencimento, '2026-03-05T12:00:00.000Z');
+  assert.equal(excecao.titulo, dados.titulo);
+});
+
+test('regra de dia útil não avança sobre um ano sem feriados', async () => {
+  const serie = await novaSerie('2026-10-01', { frequencia: 'mensal', tipoDia: 'dia_util', dia: 1 });
+  assert.equal(await materializarSerie(serie, '2027-02-28'), 2);
+  // 02/11 é Finados: o 1º dia útil de novembro é 03/11
+  assert.deepEqual(ocorrencias(serie.id), ['2026-10-01', '2026-11-03', '2026-12-01']);
+  assert.equal(series.get(serie.id).gerada_ate, '2026-12-31');
+
+  // BrasilAPI de volta: a próxima execução completa o período
+  feriadosDisponiveis[2027] = { '1-1': 'Confraternização Universal' };
+  assert.equal(await materializarSerie(series.get(serie.id), '2027-02-28'), 2);
+  assert.deepEqual(ocorrencias(serie.id).slice(-2), ['2027-01-04', '2027-02-01']);
+  assert.equal(series.get(serie.id).gerada_ate, '2027-02-28');
+});
+
+test('sem feriados nenhum ano, a série de dia útil fica para a próxima execução', async () => {
+  const serie = await novaSerie('2030-01-02', { frequencia: 'mensal', tipoDia: 'ultimo_dia_util' });
+  assert.equal(await materializarSerie(serie, '2030-03-31'), 0);
+  assert.equal(series.get(serie.id).gerada_ate, '2030-01-31');
+
+  // Dia fixo do mês não depende de feriados
+  const diaFixo = await novaSerie('2030-01-15', { frequencia: 'mensal', tipoDia: 'dia', dia: 15 });
+  assert.equal(await materializarSerie(diaFixo, '2030-03-31'), 2);
+});
+
+test('ao finalizar uma ocorrência a próxima é criada, mesmo além do horizonte', async () => {
+  const serie = await novaSerie('2026-01-25', { frequencia: 'trimestral', tipoDia: 'dia', dia: 25 });
+  assert.equal(await garantirProximaOcorrencia(serie.id, '2026-01-25'), '2026-04-25');
+  assert.equal(series.get(serie.id).gerada_ate, '2026-04-25');
+  // Já existe uma depois desta
+  assert.equal(await garantirProximaOcorrencia(serie.id, '2026-01-25'), null);
+  assert.equal(await garantirProximaOcorrencia('inexistente', '2026-01-25'), null);
+});
+
+test('a próxima ocorrência não cai no mês de uma mantida com a data antiga', async () => {
+  const serie = await novaSerie('2026-06-05', { frequencia: 'mensal', tipoDia: 'dia', dia: 5 });
+  // Regra trocada para o dia 20 com a ocorrência de junho mantida no dia 5
+  Object.assign(series.get(serie.id), { dia: 20, gerada_ate: '2026-05-31' });
+  assert.equal(await garantirProximaOcorrencia(serie.id, '2026-06-05'), '2026-07-20');
+});
+
+test('encerrar a série apaga as próximas sem trabalho', async () => {
+  const serie = await novaSerie('2026-01-12', { frequencia: 'mensal', tipoDia: 'dia', dia: 12 });
+  await materializarSerie(serie, '2026-04-30');
+  [...tarefas.values()].find((t) => t.serie_id === serie.id && t.ocorrencia === '2026-04-12').status = 'finalizado';
+
+  assert.deepEqual(await encerrarSerieEm(series.get(serie.id), '2026-02-12'), { removidas: 1, mantidas: 1 });
+  assert.deepEqual(ocorrencias(serie.id), ['2026-01-12', '2026-02-12', '2026-04-12']);
+  assert.equal(series.get(serie.id).ativa, 0);
+  assert.equal(await materializarSerie(series.get(serie.id), '2026-12-31'), 0);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco } = require('../helpers/modulos');
+
+substituirBanco();
+
+const { STATUS_TAREFA, transicoesPermitidas, validarTransicao } = require('../../services/tasks/status');
+const { getRolePermissions } = require('../../services/auth/permissions');
+
+const usuario = (uid, cargo) => ({ uid, cargo, permissions: getRolePermissions(cargo) });
+const contador = usuario('c1', 'contador');
+const outroContador = usuario('c2', 'contador');
+const supervisor = usuario('s1', 'supervisor');
+const auditor = usuario('a1', 'auditor');
+
+const tarefa = (status, responsavelId = 'c1') => ({ id: 't1', status, responsavel_id: responsavelId });
+const destinos = (user, task, contexto) => transicoesPermitidas(user, task, contexto).map((t) => t.status);
+
+test('responsável inicia, bloqueia e envia para revisão', () => {
+  assert.deepEqual(destinos(contador, tarefa('pendente')), ['em_andamento', 'bloqueada']);
+  assert.deepEqual(destinos(contador, tarefa('em_andamento')), ['aguardando_revisao', 'pendente', 'bloqueada']);
+  assert.deepEqual(destinos(contador, tarefa('aguardando_revisao')), ['em_andamento']);
+  assert.deepEqual(destinos(contador, tarefa('finalizado')), []);
+});
+
+test('quem não é responsável nem tem permissão não altera', () => {
+  assert.deepEqual(destinos(outroContador, tarefa('pendente')), []);
+  assert.equal(validarTransicao(outroContador, tarefa('pendente'), 'em_andamento').status, 403);
+  // Auditor não tem tasks.status, nem na própria tarefa
+  assert.deepEqual(destinos(auditor, tarefa('pendente', 'a1')), []);
+});
+
+test('revisor aprova, mas não a própria tarefa', () => {
+  assert.equal(validarTransicao(supervisor, tarefa('aguardando_revisao'), 'finalizado'), null);
+  const propria = validarTransicao(supervisor, tarefa('aguardando_revisao', 's1'), 'finalizado');
+  assert.equal(propria.status, 403);
+  assert.match(propria.error, /revisor/);
+  assert.deepEqual(destinos(supervisor, tarefa('cancelada')), ['pendente']);
+});
+
+test('transições fora do fluxo e status inválidos', () => {
+  const pulo = validarTransicao(contador, tarefa('pendente'), 'finalizado');
+  assert.equal(pulo.status, 400);
+  assert.match(pulo.error, /"Em andamento", "Bloqueada", "Cancelada"/);
+  assert.match(validarTransicao(contador, tarefa('pendente'), 'pendente').error, /já está/);
+  assert.match(validarTransicao(contador, tarefa('pendente'), 'vencido').error, /Status inválido/);
+  assert.equal(validarTransicao(contador, tarefa('desconhecido'), 'em_andamento').status, 409);
+  assert.deepEqual(destinos(contador, tarefa('desconhecido')), []);
+});
+
+test('bloquear, cancelar e devolver exigem comentário', () => {
+  assert.match(validarTransicao(contador, tarefa('em_andamento'), 'bloqueada').error, /motivo/);
+  assert.equal(validarTransicao(contador, tarefa('em_andamento'), 'bloqueada', { comentario: 'Aguardando o cliente' }), null);
+  assert.match(validarTransicao(supervisor, tarefa('aguardando_revisao'), 'em_andamento', { comentario: '  ' }).error, /motivo/);
+
+  const [bloquear] = transicoesPermitidas(contador, tarefa('pendente')).filter((t) => t.status === 'bloqueada');
+  assert.deepEqual(bloquear, { status: 'bloqueada', label: STATUS_TAREFA.bloqueada, exigeComentario: true });
+});
+
+test('revisão não exige comprovante, só o checklist obrigatório', () => {
+  assert.equal(validarTransicao(contador, tarefa('em_andamento'), 'aguardando_revisao'), null);
+  const checklist = validarTransicao(contador, tarefa('em_andamento'), 'aguardando_revisao', { obrigatoriosPendentes: 2 });
+  assert.match(checklist.error, /2 pendente/);
+  assert.equal(validarTransicao(supervisor, tarefa('aguardando_revisao'), 'finalizado', { obrigatoriosPendentes: 1 }).status, 400);
+});
+
+test('predecessoras em aberto impedem iniciar e concluir', () => {
+  const contexto = { predecessorasPendentes: 1 };
+  assert.deepEqual(destinos(contador, tarefa('pendente'), contexto), ['bloqueada']);
+  assert.match(validarTransicao(contador, tarefa('pendente'), 'em_andamento', contexto).error, /depende de 1/);
+  assert.equal(validarTransicao(contador, tarefa('pendente'), 'bloqueada', { ...contexto, comentario: 'Depende da folha' }), null);
+});
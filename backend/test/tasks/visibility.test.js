@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { substituirBanco } = require('../helpers/modulos');
+
+// Fiscal: Ana e Bruno, supervisionada pela Sara. Folha: Carla e Bruno. Duda não tem equipe.
+const equipes = [
+  { id: 'fiscal', supervisorId: 's1', membros: ['ana', 'bruno'] },
+  { id: 'folha', supervisorId: null, membros: ['carla', 'bruno'] }
+];
+const tarefas = ['ana', 'bruno', 'carla', 'duda', 's1'].map((uid) => ({ id: `t-${uid}`, responsavel_id: uid }));
+const consultas = [];
+
+substituirBanco({
+  getAllTasks: async () => {
+    consultas.push('todas');
+    return tarefas;
+  },
+  getTasksByResponsaveis: async (ids) => {
+    consultas.push(ids);
+    return tarefas.filter((t) => ids.includes(t.responsavel_id));
+  },
+  // Mesma regra do banco: colegas das equipes de que participa e membros das que supervisiona
+  getTeamUserIds: async (userId) => [...new Set(equipes
+    .filter((e) => e.membros.includes(userId) || e.supervisorId === userId)
+    .flatMap((e) => e.membros))]
+});
+
+const { getVisibleResponsavelIds, listVisibleTasks, canViewTask, canAssignTo } = require('../../services/tasks/visibility');
+const { getRolePermissions } = require('../../services/auth/permissions');
+
+const usuario = (uid, cargo) => ({ uid, cargo, permissions: getRolePermissions(cargo) });
+const ana = usuario('ana', 'contador');
+const bruno = usuario('bruno', 'contador');
+const duda = usuario('duda', 'contador');
+const sara = usuario('s1', 'supervisor');
+const auditor = usuario('a1', 'auditor');
+
+const visiveis = async (user) => (await listVisibleTasks(user)).map((t) => t.responsavel_id).sort();
+
+test.beforeEach(() => {
+  consultas.length = 0;
+});
+
+test('contador vê as próprias tarefas e as dos colegas de equipe', async () => {
+  assert.deepEqual(await visiveis(ana), ['ana', 'bruno']);
+  // Em duas equipes, vê as duas
+  assert.deepEqual(await visiveis(bruno), ['ana', 'bruno', 'carla']);
+  assert.deepEqual(await visiveis(duda), ['duda']);
+});
+
+test('supervisor vê os membros das equipes que supervisiona, não todas', async () => {
+  assert.deepEqual(await visiveis(sara), ['ana', 'bruno', 's1']);
+  assert.equal(await canViewTask(sara, { responsavel_id: 'carla' }), false);
+});
+
+test('tasks.view_all vê todas sem filtrar por equipe', async () => {
+  assert.equal(await getVisibleResponsavelIds(auditor), null);
+  assert.deepEqual(await visiveis(auditor), ['ana', 'bruno', 'carla', 'duda', 's1']);
+  assert.deepEqual(consultas, ['todas']);
+});
+
+test('tarefa avulsa: visível só dentro do alcance', async () => {
+  assert.equal(await canViewTask(ana, { responsavel_id: 'ana' }), true);
+  assert.equal(await canViewTask(ana, { responsavel_id: 'bruno' }), true);
+  assert.equal(await canViewTask(ana, { responsavel_id: 'carla' }), false);
+  assert.equal(await canViewTask(auditor, { responsavel_id: 'carla' }), true);
+  // Tarefa inexistente
+  assert.equal(await canViewTask(ana, undefined), false);
+});
+
+test('atribuição limitada ao mesmo alcance', async () => {
+  assert.equal(await canAssignTo(duda, 'duda'), true);
+  assert.equal(await canAssignTo(duda, 'ana'), false);
+  assert.equal(await canAssignTo(sara, 'bruno'), true);
+  assert.equal(await canAssignTo(sara, 'carla'), false);
+  assert.equal(await canAssignTo(usuario('adm', 'admin'), 'carla'), true);
+});
@@ -245,14 +245,15 @@ async function processarComparacao(comparacaoId, db) {
       });
     }
 
-    // 6. Valida contas (se plano de contas disponível)
+    // 6. Valida contas (plano de contas da empresa da comparação, ou o padrão)
     let validationSummary = null;
     try {
       validationSummary = await validateLancamentosAccounts(
         comparacaoId,
         lancamentosOtimiza,
         'dominio',
-        db
+        db,
+        comparacao.empresa_id
       );
       console.log(`[WORKER] Validação de contas concluída: ${JSON.stringify(validationSummary)}`);
     } catch (error) {
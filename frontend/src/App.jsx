@@ -4,10 +4,14 @@ import { AuthContext } from './AuthContext';
 import Login from './components/Login';
 import Cadastro from './components/Cadastro';
 import ForgotPassword from './components/ForgotPassword';
+import AceitarConvite from './components/AceitarConvite';
 import Home from './components/Home';
 import Calendario from './components/Calendario'; // Importa o novo Calendario.jsx
 import GerenciarUsuarios from './components/GerenciarUsuarios';
 import ComparadorExtratos from './components/ComparadorExtratos';
+import Perfil from './components/Perfil';
+import Empresas from './components/Empresas';
+import PortalCliente from './components/PortalCliente';
 import 'bootstrap/dist/css/bootstrap.min.css';
 
 const ProtectedRoute = ({ children }) => {
@@ -26,10 +30,15 @@ const App = () => {
       <Route path="/" element={<Login />} />
       <Route path="/cadastro" element={<Cadastro />} />
       <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ForgotPassword />} />
+      <Route path="/convite" element={<AceitarConvite />} />
       <Route path="/home" element={<ProtectedRoute><Home /></ProtectedRoute>} />
       <Route path="/calendario" element={<ProtectedRoute><Calendario /></ProtectedRoute>} />
       <Route path="/gerenciar-usuarios" element={<ProtectedRoute><GerenciarUsuarios /></ProtectedRoute>} />
       <Route path="/comparador-extratos" element={<ProtectedRoute><ComparadorExtratos /></ProtectedRoute>} />
+      <Route path="/perfil" element={<ProtectedRoute><Perfil /></ProtectedRoute>} />
+      <Route path="/empresas" element={<ProtectedRoute><Empresas /></ProtectedRoute>} />
+      <Route path="/portal" element={<ProtectedRoute><PortalCliente /></ProtectedRoute>} />
     </Routes>
   );
 };
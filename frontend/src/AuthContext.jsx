@@ -2,6 +2,7 @@
 import React, { createContext, useState, useEffect, useContext } from "react";
 import { useNavigate } from "react-router-dom";
 import api from "./utils/axiosConfig"; // usa o axiosInstance central
+import { getRefreshToken, saveTokens, clearSession, validateToken } from "./utils/tokenUtils";
 
 export const AuthContext = createContext();
 
@@ -18,64 +19,120 @@ export const AuthProvider = ({ children }) => {
     if (savedUser && savedToken) {
       try {
         const userData = JSON.parse(savedUser);
-        if (
-          userData?.uid &&
-          userData?.email &&
-          (savedToken.startsWith("mock-token-") || savedToken.length > 20)
-        ) {
+        // Access token expirado não invalida a sessão: o axios renova via refresh token
+        if (userData?.uid && userData?.email && validateToken(savedToken) && getRefreshToken()) {
           setUser(userData);
           console.log("[Auth] sessão restaurada");
+
+          // Atualiza cargo e permissões (podem ter mudado desde o último login)
+          api.get("/api/me")
+            .then(({ data }) => {
+              localStorage.setItem("user", JSON.stringify(data.user));
+              setUser(data.user);
+            })
+            .catch((err) => console.warn("[Auth] não foi possível atualizar o usuário:", err.message));
         } else {
           console.warn("[Auth] dados/token inválidos – limpando");
-          localStorage.removeItem("user");
-          localStorage.removeItem("authToken");
+          clearSession();
         }
       } catch {
-        localStorage.removeItem("user");
-        localStorage.removeItem("authToken");
+        clearSession();
       }
     }
     setLoading(false);
   }, []);
 
+  // Grava tokens e usuário da sessão aberta pelo servidor e entra no sistema
+  const completeLogin = ({ token, refreshToken, user: u }) => {
+    if (!token || !refreshToken || !u) throw new Error("Resposta inválida do servidor");
+
+    const userData = {
+      uid: u.uid,
+      email: u.email,
+      nomeCompleto: u.nomeCompleto,
+      cargo: u.cargo,
+      permissions: u.permissions || [],
+      twoFactorEnabled: Boolean(u.twoFactorEnabled),
+    };
+
+    saveTokens({ token, refreshToken });
+    localStorage.setItem("user", JSON.stringify(userData));
+    setUser(userData);
+
+    navigate("/home");
+  };
+
+  const toAuthError = (error) => {
+    if (error.response) {
+      return new Error(error.response.data?.error || "Erro no servidor");
+    } else if (error.request) {
+      return new Error("Erro de conexão com o servidor");
+    }
+    return new Error(error.message || "Erro desconhecido");
+  };
+
+  // Retorna { mfaRequired | mfaSetupRequired, mfaToken } quando o login exige a segunda etapa
   const login = async (email, password) => {
     try {
       console.log("[Login] chamando /api/login");
       const { data } = await api.post("/api/login", { email, password }); // <- caminho correto
-      const { token, user: u } = data;
-      if (!token || !u) throw new Error("Resposta inválida do servidor");
-
-      const userData = {
-        uid: u.uid,
-        email: u.email,
-        nomeCompleto: u.nomeCompleto,
-        cargo: u.cargo || "usuario",
-      };
-
-      localStorage.setItem("authToken", token);
-      localStorage.setItem("user", JSON.stringify(userData));
-      setUser(userData);
-
-      navigate("/home");
+      if (data.mfaRequired || data.mfaSetupRequired) {
+        return data;
+      }
+      completeLogin(data);
+      return null;
     } catch (error) {
       console.error("[Login] erro:", error);
-      if (error.response) {
-        throw new Error(error.response.data?.error || "Erro no servidor");
-      } else if (error.request) {
-        throw new Error("Erro de conexão com o servidor");
-      } else {
-        throw new Error(error.message || "Erro desconhecido");
+      throw toAuthError(error);
+    }
+  };
+
+  // Inicia o cadastro do autenticador durante o login (cargo exige 2FA)
+  const setupTwoFactor = async (mfaToken) => {
+    try {
+      const { data } = await api.post("/api/login/2fa/setup", { mfaToken });
+      return data;
+    } catch (error) {
+      console.error("[Login 2FA] erro ao iniciar cadastro:", error);
+      throw toAuthError(error);
+    }
+  };
+
+  // Segunda etapa do login. Quando o cadastro do autenticador acabou de ser confirmado,
+  // a resposta traz recoveryCodes e a sessão só é aberta depois com completeLogin(data)
+  const verifyTwoFactor = async (mfaToken, { code, recoveryCode }) => {
+    try {
+      const { data } = await api.post("/api/login/2fa", { mfaToken, code, recoveryCode });
+      if (!data.recoveryCodes) {
+        completeLogin(data);
       }
+      return data;
+    } catch (error) {
+      console.error("[Login 2FA] erro:", error);
+      throw toAuthError(error);
     }
   };
 
+  // Atualiza o usuário em memória e no localStorage (ex.: após ativar o 2FA no perfil)
+  const updateUser = (changes) => {
+    setUser((current) => {
+      const updated = { ...current, ...changes };
+      localStorage.setItem("user", JSON.stringify(updated));
+      return updated;
+    });
+  };
+
   const logout = () => {
     console.log("[Logout] limpando sessão");
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      // Revoga a sessão no servidor; falha de rede não impede o logout local
+      api.post("/api/logout", { refreshToken }).catch((err) => {
+        console.warn("[Logout] não foi possível revogar a sessão:", err.message);
+      });
+    }
     setUser(null);
-    localStorage.removeItem("authToken");
-    localStorage.removeItem("user");
-    localStorage.removeItem("rememberedEmail");
-    localStorage.removeItem("rememberedPassword");
+    clearSession();
     navigate("/");
   };
 
@@ -87,6 +144,7 @@ export const AuthProvider = ({ children }) => {
     window.location.reload();
   };
 
+  const hasPermission = (permission) => Boolean(user?.permissions?.includes(permission));
   const isAdmin = user?.cargo === "admin";
 
   if (loading) {
@@ -94,7 +152,7 @@ export const AuthProvider = ({ children }) => {
   }
 
   return (
-    <AuthContext.Provider value={{ user, login, logout, isAdmin, clearStorageAndRefresh }}>
+    <AuthContext.Provider value={{ user, login, setupTwoFactor, verifyTwoFactor, completeLogin, updateUser, logout, isAdmin, hasPermission, clearStorageAndRefresh }}>
       {children}
     </AuthContext.Provider>
   );
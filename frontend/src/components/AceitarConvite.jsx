@@ -0,0 +1,191 @@
+// frontend/src/components/AceitarConvite.jsx
+import React, { useState, useEffect } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import axiosInstance from "../utils/axiosConfig";
+import "../styles/Auth.css";
+
+const AceitarConvite = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const token = new URLSearchParams(location.search).get("token");
+
+  const [convite, setConvite] = useState(null);
+  const [conviteValido, setConviteValido] = useState(token ? null : false);
+  const [nomeCompleto, setNomeCompleto] = useState("");
+  const [senha, setSenha] = useState("");
+  const [confirmSenha, setConfirmSenha] = useState("");
+  const [error, setError] = useState(token ? "" : "Link de convite inválido.");
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Validar o token recebido pelo link do email
+  useEffect(() => {
+    if (!token) return;
+
+    const verificarConvite = async () => {
+      try {
+        setIsLoading(true);
+        const { data } = await axiosInstance.get(`/api/convites/${encodeURIComponent(token)}`);
+        setConvite(data);
+        setNomeCompleto(data.nomeCompleto || "");
+        setConviteValido(true);
+      } catch (err) {
+        setConviteValido(false);
+        setError(err.response?.data?.error || "Convite inválido ou expirado.");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    verificarConvite();
+  }, [token]);
+
+  const aceitarConvite = async () => {
+    if (isLoading) return;
+
+    if (!nomeCompleto.trim() || !senha || !confirmSenha) {
+      setError("Por favor, preencha todos os campos.");
+      return;
+    }
+    if (nomeCompleto.trim().split(" ").length < 2) {
+      setError("Por favor, insira seu nome completo (nome e sobrenome).");
+      return;
+    }
+    if (senha !== confirmSenha) {
+      setError("As senhas não coincidem.");
+      return;
+    }
+    if (senha.length < 6) {
+      setError("A senha deve ter pelo menos 6 caracteres.");
+      return;
+    }
+    if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(senha)) {
+      setError("A senha deve conter pelo menos: 1 letra maiúscula, 1 minúscula e 1 número.");
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError("");
+      const { data } = await axiosInstance.post(`/api/convites/${encodeURIComponent(token)}`, {
+        nomeCompleto: nomeCompleto.trim(),
+        password: senha,
+      });
+      navigate("/", { state: { email: data.email, successMessage: "Conta criada com sucesso! Faça login para continuar." } });
+    } catch (err) {
+      console.error("[CONVITE] Erro ao aceitar convite:", err);
+      setError(err.response?.data?.error || "Erro ao aceitar convite.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderFormulario = () => (
+    <>
+      <h3 className="text-center mb-3">Aceitar convite</h3>
+      <p className="text-center mb-4" style={{ color: "#666" }}>
+        Crie sua senha para acessar como <strong>{convite.cargoLabel || convite.cargo}</strong>.
+        <br />
+        {convite.email}
+      </p>
+      <div className="auth-form-group">
+        <label htmlFor="nomeCompleto">Nome Completo</label>
+        <div className="auth-input-group">
+          <input
+            type="text"
+            className="auth-form-control"
+            id="nomeCompleto"
+            placeholder="Digite seu nome completo"
+            value={nomeCompleto}
+            onChange={(e) => setNomeCompleto(e.target.value)}
+            disabled={isLoading}
+            maxLength={100}
+          />
+          <span className="auth-input-icon"><i className="bi bi-person-fill"></i></span>
+        </div>
+      </div>
+      <div className="auth-form-group">
+        <label htmlFor="password">Senha</label>
+        <div className="auth-input-group">
+          <input
+            type="password"
+            className="auth-form-control"
+            id="password"
+            placeholder="Digite sua senha (min. 6 caracteres)"
+            value={senha}
+            onChange={(e) => setSenha(e.target.value)}
+            disabled={isLoading}
+            autoComplete="new-password"
+          />
+          <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+        </div>
+        <small className="text-muted">
+          A senha deve ter pelo menos 6 caracteres, com letra maiúscula, minúscula e número.
+        </small>
+      </div>
+      <div className="auth-form-group">
+        <label htmlFor="confirmPassword">Confirmar Senha</label>
+        <div className="auth-input-group">
+          <input
+            type="password"
+            className="auth-form-control"
+            id="confirmPassword"
+            placeholder="Confirme sua senha"
+            value={confirmSenha}
+            onChange={(e) => setConfirmSenha(e.target.value)}
+            disabled={isLoading}
+            autoComplete="new-password"
+            onKeyDown={(e) => e.key === "Enter" && !isLoading && aceitarConvite()}
+          />
+          <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+        </div>
+      </div>
+      <button className="auth-btn-primary w-100" onClick={aceitarConvite} disabled={isLoading}>
+        {isLoading ? (
+          <>
+            <i className="bi bi-arrow-clockwise" style={{ animation: "spin 1s linear infinite" }}></i> Criando conta...
+          </>
+        ) : (
+          <>
+            <i className="bi bi-person-check-fill"></i> Criar conta
+          </>
+        )}
+      </button>
+    </>
+  );
+
+  return (
+    <div className="auth-container">
+      <div className="auth-logo-container">
+        <img src="/imgs/Calendario.png" alt="Logo" className="auth-logo" />
+      </div>
+      <div className="auth-card">
+        <div className="card-body">
+          {error && <div className="auth-alert-danger" role="alert">{error}</div>}
+
+          {conviteValido === null && (
+            <p className="text-center" style={{ color: "#666" }}>Verificando convite...</p>
+          )}
+          {conviteValido === false && (
+            <p className="text-center" style={{ color: "#666" }}>
+              Peça ao administrador do sistema para enviar um novo convite.
+            </p>
+          )}
+          {conviteValido && convite && renderFormulario()}
+
+          <div className="auth-separator-line mt-4"></div>
+          <div className="text-center mt-3">
+            <button
+              className="btn btn-link text-decoration-none"
+              onClick={() => navigate("/")}
+              style={{ color: "#666" }}
+            >
+              Voltar ao Login
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AceitarConvite;
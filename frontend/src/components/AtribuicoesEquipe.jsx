@@ -0,0 +1,321 @@
+// frontend/src/components/AtribuicoesEquipe.jsx
+// Matriz de atribuição: para cada empresa e categoria de obrigação, o responsável e o substituto
+// usados na geração da agenda por empresa. Abaixo, a carga de trabalho de cada pessoa no mês.
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../AuthContext';
+import { atribuicaoService } from '../services/api';
+
+const NOMES_MESES = [
+  'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+  'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro',
+];
+
+const formatarData = (valor) => {
+  if (!valor) return '';
+  const data = new Date(`${String(valor).slice(0, 10)}T00:00:00`);
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleDateString('pt-BR');
+};
+
+const AtribuicoesEquipe = () => {
+  const { user, hasPermission } = useAuth();
+  const canManageClients = hasPermission('clients.manage');
+  const canManageUsers = hasPermission('users.manage');
+  const hoje = new Date();
+
+  const [matriz, setMatriz] = useState(null);
+  const [carga, setCarga] = useState(null);
+  const [periodo, setPeriodo] = useState({ ano: hoje.getFullYear(), mes: hoje.getMonth() + 1 });
+  const [busca, setBusca] = useState('');
+  const [editando, setEditando] = useState(null); // id da empresa em edição
+  const [form, setForm] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const carregarMatriz = useCallback(async () => {
+    try {
+      setLoading(true);
+      setMatriz(await atribuicaoService.getMatriz());
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar matriz de atribuição:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar matriz de atribuição');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const carregarCarga = useCallback(async () => {
+    try {
+      setCarga(await atribuicaoService.getCarga(periodo));
+    } catch (err) {
+      console.error('Erro ao carregar carga de trabalho:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar carga de trabalho');
+    }
+  }, [periodo]);
+
+  useEffect(() => {
+    carregarMatriz();
+  }, [carregarMatriz]);
+
+  useEffect(() => {
+    carregarCarga();
+  }, [carregarCarga]);
+
+  const iniciarEdicao = (empresa) => {
+    setEditando(empresa.id);
+    setForm(Object.fromEntries(matriz.categorias.map(({ id }) => [id, {
+      responsavelId: empresa.atribuicoes[id]?.responsavelId || '',
+      backupId: empresa.atribuicoes[id]?.backupId || '',
+    }])));
+    setError('');
+  };
+
+  const alterarCelula = (categoria, campo, valor) => {
+    setForm({ ...form, [categoria]: { ...form[categoria], [campo]: valor } });
+  };
+
+  const salvarEmpresa = async () => {
+    const atribuicoes = Object.fromEntries(Object.entries(form).map(([categoria, celula]) => [categoria, {
+      responsavelId: celula.responsavelId || null,
+      backupId: celula.responsavelId ? celula.backupId || null : null,
+    }]));
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const salvas = await atribuicaoService.updateEmpresa(editando, atribuicoes);
+      setMatriz({
+        ...matriz,
+        empresas: matriz.empresas.map((empresa) => (
+          empresa.id === editando ? { ...empresa, atribuicoes: salvas } : empresa
+        )),
+      });
+      setEditando(null);
+      carregarCarga();
+    } catch (err) {
+      console.error('Erro ao salvar atribuições:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar atribuições');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const alterarAusencia = async (pessoa, ausenteAte) => {
+    try {
+      await atribuicaoService.setAusencia(pessoa.id, ausenteAte || null);
+      await Promise.all([carregarCarga(), carregarMatriz()]);
+    } catch (err) {
+      console.error('Erro ao registrar ausência:', err);
+      setError(err.response?.data?.error || 'Erro ao registrar ausência');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const selectClass = 'w-full px-2 py-1 border border-gray-300 rounded text-xs';
+
+  const termo = busca.trim().toLowerCase();
+  const empresasFiltradas = (matriz?.empresas || []).filter((empresa) => (
+    !termo || [empresa.razaoSocial, empresa.nomeFantasia, empresa.cnpj]
+      .some((valor) => String(valor || '').toLowerCase().includes(termo))
+  ));
+
+  const renderSelect = (categoria, campo, placeholder) => (
+    <select
+      value={form[categoria][campo]}
+      onChange={(e) => alterarCelula(categoria, campo, e.target.value)}
+      disabled={campo === 'backupId' && !form[categoria].responsavelId}
+      className={selectClass}
+    >
+      <option value="">{placeholder}</option>
+      {matriz.equipe.map((pessoa) => (
+        <option key={pessoa.id} value={pessoa.id}>{pessoa.nome}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="p-6">
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">Matriz de atribuição</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Na geração da agenda por empresa, cada obrigação vai para o responsável da sua categoria. Durante a
+        ausência do responsável, o substituto assume. Categorias sem atribuição ficam com o responsável da empresa.
+      </p>
+
+      <input
+        type="text"
+        placeholder="Buscar empresa ou CNPJ"
+        value={busca}
+        onChange={(e) => setBusca(e.target.value)}
+        className={`w-full mb-3 ${inputClass}`}
+      />
+
+      {loading && !matriz ? (
+        <p className="text-gray-600">Carregando matriz...</p>
+      ) : matriz && (
+        <div className="overflow-x-auto bg-white border border-gray-200 rounded mb-8">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase bg-gray-50">
+                <th className="px-3 py-2">Empresa</th>
+                {matriz.categorias.map((categoria) => (
+                  <th key={categoria.id} className="px-3 py-2">{categoria.label}</th>
+                ))}
+                {canManageClients && <th className="px-3 py-2"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {empresasFiltradas.map((empresa) => (
+                <tr key={empresa.id} className="border-t border-gray-200 align-top">
+                  <td className="px-3 py-2">
+                    <p className="font-medium text-gray-900">{empresa.nomeFantasia || empresa.razaoSocial}</p>
+                    <p className="text-xs text-gray-500">Responsável da empresa: {empresa.responsavelNome || '—'}</p>
+                  </td>
+                  {matriz.categorias.map((categoria) => {
+                    const atribuicao = empresa.atribuicoes[categoria.id];
+                    return (
+                      <td key={categoria.id} className="px-3 py-2 min-w-[10rem]">
+                        {editando === empresa.id ? (
+                          <div className="space-y-1">
+                            {renderSelect(categoria.id, 'responsavelId', 'Sem atribuição')}
+                            {renderSelect(categoria.id, 'backupId', 'Sem substituto')}
+                          </div>
+                        ) : atribuicao ? (
+                          <>
+                            <p className="text-gray-900">{atribuicao.responsavelNome || 'Usuário removido'}</p>
+                            {atribuicao.backupNome && (
+                              <p className="text-xs text-gray-500">Substituto: {atribuicao.backupNome}</p>
+                            )}
+                          </>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                  {canManageClients && (
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      {editando === empresa.id ? (
+                        <div className="flex gap-2">
+                          <button onClick={salvarEmpresa} disabled={isSaving} className="btn-primary">
+                            {isSaving ? 'Salvando...' : 'Salvar'}
+                          </button>
+                          <button onClick={() => setEditando(null)} disabled={isSaving} className="btn-secondary">
+                            Cancelar
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => iniciarEdicao(empresa)}
+                          disabled={Boolean(editando)}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          Editar
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+              {empresasFiltradas.length === 0 && (
+                <tr>
+                  <td colSpan={matriz.categorias.length + 2} className="px-3 py-4 text-center text-gray-500">
+                    Nenhuma empresa encontrada
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h2 className="text-lg font-semibold text-gray-900 mr-auto">Carga de trabalho</h2>
+        <select
+          value={periodo.mes}
+          onChange={(e) => setPeriodo({ ...periodo, mes: Number(e.target.value) })}
+          className={inputClass}
+        >
+          {NOMES_MESES.map((nome, i) => (
+            <option key={nome} value={i + 1}>{nome}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          value={periodo.ano}
+          onChange={(e) => setPeriodo({ ...periodo, ano: Number(e.target.value) || hoje.getFullYear() })}
+          min={2000}
+          max={2100}
+          className={`w-28 ${inputClass}`}
+        />
+      </div>
+
+      {carga && (
+        <div className="overflow-x-auto bg-white border border-gray-200 rounded">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase bg-gray-50">
+                <th className="px-3 py-2">Pessoa</th>
+                <th className="px-3 py-2">Abertas</th>
+                <th className="px-3 py-2">Vencidas</th>
+                <th className="px-3 py-2">Concluídas</th>
+                <th className="px-3 py-2">Empresas (titular)</th>
+                <th className="px-3 py-2">Categorias (titular / substituto)</th>
+                <th className="px-3 py-2">Ausente até</th>
+              </tr>
+            </thead>
+            <tbody>
+              {carga.pessoas.map((pessoa) => {
+                const podeAlterarAusencia = canManageUsers || pessoa.id === user?.uid;
+                return (
+                  <tr key={pessoa.id} className="border-t border-gray-200">
+                    <td className="px-3 py-2">
+                      <p className="font-medium text-gray-900">{pessoa.nome}</p>
+                      {pessoa.ausente && (
+                        <span className="px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800">
+                          Ausente
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">{pessoa.tarefas.abertas}</td>
+                    <td className={`px-3 py-2 ${pessoa.tarefas.vencidas > 0 ? 'text-red-700 font-medium' : 'text-gray-700'}`}>
+                      {pessoa.tarefas.vencidas}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">{pessoa.tarefas.concluidas}</td>
+                    <td className="px-3 py-2 text-gray-700">{pessoa.empresasTitular}</td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {pessoa.atribuicoesTitular} / {pessoa.atribuicoesSubstituto}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {podeAlterarAusencia ? (
+                        <input
+                          type="date"
+                          value={pessoa.ausenteAte || ''}
+                          onChange={(e) => alterarAusencia(pessoa, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded text-xs"
+                        />
+                      ) : (
+                        formatarData(pessoa.ausenteAte) || '—'
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {carga.pessoas.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-3 py-4 text-center text-gray-500">
+                    Nenhuma pessoa encontrada
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AtribuicoesEquipe;
@@ -3,6 +3,7 @@ import React, { useState, useContext, useEffect } from "react";
 import { useNavigate, Link } from "react-router-dom";
 import { AuthContext } from "../AuthContext";
 import { userService } from "../services/api"; // usa axiosInstance por baixo
+import axiosInstance from "../utils/axiosConfig";
 import "../styles/Auth.css";
 
 const Cadastro = () => {
@@ -10,10 +11,10 @@ const Cadastro = () => {
   const [email, setEmail] = useState("");
   const [senha, setSenha] = useState("");
   const [confirmSenha, setConfirmSenha] = useState("");
-  const [codigoAdmin, setCodigoAdmin] = useState("");
   const [error, setError] = useState("");
   const [successMessage, setSuccessMessage] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [cadastroAberto, setCadastroAberto] = useState(null);
   const { login, user } = useContext(AuthContext);
   const navigate = useNavigate();
 
@@ -21,6 +22,13 @@ const Cadastro = () => {
     if (user) navigate("/home");
   }, [user, navigate]);
 
+  // Com o autocadastro fechado, novas contas só entram por convite
+  useEffect(() => {
+    axiosInstance.get("/api/cadastro/config")
+      .then(({ data }) => setCadastroAberto(data.cadastroAberto))
+      .catch(() => setCadastroAberto(true));
+  }, []);
+
   const fazerCadastro = async () => {
     if (isLoading) return;
     try {
@@ -54,15 +62,14 @@ const Cadastro = () => {
         return;
       }
 
-      const cargo = codigoAdmin.trim() === "adm7258" ? "admin" : "usuario";
+      // O cargo é definido pelo servidor; administradores alteram depois em Gerenciar Usuários
       const userData = {
         nomeCompleto: nomeCompleto.trim(),
         email: email.toLowerCase().trim(),
         password: senha,
-        cargo,
       };
 
-      console.log("[CADASTRO] Iniciando registro na API...", { email: userData.email, cargo });
+      console.log("[CADASTRO] Iniciando registro na API...", { email: userData.email });
       const response = await userService.register(userData); // POST /api/cadastro via axiosInstance
 
       if (response?.error) throw new Error(response.error);
@@ -70,7 +77,17 @@ const Cadastro = () => {
       setSuccessMessage("Cadastro realizado com sucesso! Fazendo login...");
 
       try {
-        await login(userData.email, userData.password); // AuthContext deve usar axiosInstance também
+        const mfa = await login(userData.email, userData.password); // AuthContext deve usar axiosInstance também
+        if (mfa) {
+          // Cargo exige 2FA: o cadastro do autenticador acontece na tela de login
+          navigate("/", {
+            state: {
+              email: userData.email,
+              successMessage: "Cadastro realizado! Entre novamente para configurar a verificação em duas etapas.",
+            },
+          });
+          return;
+        }
         console.log("[CADASTRO] Login automático realizado com sucesso!");
       } catch (loginError) {
         console.error("[CADASTRO] Erro no login automático:", loginError);
@@ -105,123 +122,112 @@ const Cadastro = () => {
           {error && <div className="auth-alert-danger" role="alert">{error}</div>}
           {successMessage && <div className="auth-alert-success" role="alert">{successMessage}</div>}
 
-          <div className="auth-form-group">
-            <label htmlFor="nomeCompleto">Nome Completo</label>
-            <div className="auth-input-group">
-              <input
-                type="text"
-                className="auth-form-control"
-                id="nomeCompleto"
-                placeholder="Digite seu nome completo"
-                value={nomeCompleto}
-                onChange={(e) => setNomeCompleto(e.target.value)}
-                disabled={isLoading}
-                minLength={3}
-                maxLength={100}
-              />
-              <span className="auth-input-icon"><i className="bi bi-person-fill"></i></span>
-            </div>
-          </div>
-
-          <div className="auth-form-group">
-            <label htmlFor="email">Email</label>
-            <div className="auth-input-group">
-              <input
-                type="email"
-                className="auth-form-control"
-                id="email"
-                placeholder="Digite seu email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                disabled={isLoading}
-                maxLength={100}
-                autoComplete="email"
-              />
-              <span className="auth-input-icon"><i className="bi bi-envelope-fill"></i></span>
-            </div>
-          </div>
-
-          <div className="auth-form-group">
-            <label htmlFor="password">Senha</label>
-            <div className="auth-input-group">
-              <input
-                type="password"
-                className="auth-form-control"
-                id="password"
-                placeholder="Digite sua senha (min. 6 caracteres)"
-                value={senha}
-                onChange={(e) => setSenha(e.target.value)}
+          {cadastroAberto === false ? (
+            <>
+              <h3 className="text-center mb-4">Cadastro por convite</h3>
+              <p className="text-center mb-4" style={{ color: "#666" }}>
+                O cadastro de novos usuários está fechado. Solicite um convite ao administrador do sistema.
+              </p>
+            </>
+          ) : (
+            <>
+              <div className="auth-form-group">
+                <label htmlFor="nomeCompleto">Nome Completo</label>
+                <div className="auth-input-group">
+                  <input
+                    type="text"
+                    className="auth-form-control"
+                    id="nomeCompleto"
+                    placeholder="Digite seu nome completo"
+                    value={nomeCompleto}
+                    onChange={(e) => setNomeCompleto(e.target.value)}
+                    disabled={isLoading}
+                    minLength={3}
+                    maxLength={100}
+                  />
+                  <span className="auth-input-icon"><i className="bi bi-person-fill"></i></span>
+                </div>
+              </div>
+
+              <div className="auth-form-group">
+                <label htmlFor="email">Email</label>
+                <div className="auth-input-group">
+                  <input
+                    type="email"
+                    className="auth-form-control"
+                    id="email"
+                    placeholder="Digite seu email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    disabled={isLoading}
+                    maxLength={100}
+                    autoComplete="email"
+                  />
+                  <span className="auth-input-icon"><i className="bi bi-envelope-fill"></i></span>
+                </div>
+              </div>
+
+              <div className="auth-form-group">
+                <label htmlFor="password">Senha</label>
+                <div className="auth-input-group">
+                  <input
+                    type="password"
+                    className="auth-form-control"
+                    id="password"
+                    placeholder="Digite sua senha (min. 6 caracteres)"
+                    value={senha}
+                    onChange={(e) => setSenha(e.target.value)}
+                    disabled={isLoading}
+                    minLength={6}
+                    maxLength={50}
+                    autoComplete="new-password"
+                  />
+                  <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+                </div>
+                <small className="text-muted">
+                  A senha deve ter pelo menos 6 caracteres, com letra maiúscula, minúscula e número.
+                </small>
+              </div>
+
+              <div className="auth-form-group">
+                <label htmlFor="confirmPassword">Confirmar Senha</label>
+                <div className="auth-input-group">
+                  <input
+                    type="password"
+                    className="auth-form-control"
+                    id="confirmPassword"
+                    placeholder="Confirme sua senha"
+                    value={confirmSenha}
+                    onChange={(e) => setConfirmSenha(e.target.value)}
+                    disabled={isLoading}
+                    minLength={6}
+                    maxLength={50}
+                    autoComplete="new-password"
+                  />
+                  <span className="auth-input-icon">
+                    <i className={`bi ${confirmSenha && (senha === confirmSenha ? 'bi-check-circle-fill text-success' : 'bi-x-circle-fill text-danger')}`}></i>
+                  </span>
+                </div>
+              </div>
+
+              <button
+                className="auth-btn-primary w-100 mb-3"
+                onClick={fazerCadastro}
                 disabled={isLoading}
-                minLength={6}
-                maxLength={50}
-                autoComplete="new-password"
-              />
-              <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
-            </div>
-            <small className="text-muted">
-              A senha deve ter pelo menos 6 caracteres, com letra maiúscula, minúscula e número.
-            </small>
-          </div>
-
-          <div className="auth-form-group">
-            <label htmlFor="confirmPassword">Confirmar Senha</label>
-            <div className="auth-input-group">
-              <input
-                type="password"
-                className="auth-form-control"
-                id="confirmPassword"
-                placeholder="Confirme sua senha"
-                value={confirmSenha}
-                onChange={(e) => setConfirmSenha(e.target.value)}
-                disabled={isLoading}
-                minLength={6}
-                maxLength={50}
-                autoComplete="new-password"
-              />
-              <span className="auth-input-icon">
-                <i className={`bi ${confirmSenha && (senha === confirmSenha ? 'bi-check-circle-fill text-success' : 'bi-x-circle-fill text-danger')}`}></i>
-              </span>
-            </div>
-          </div>
-
-          <div className="auth-form-group">
-            <label htmlFor="codigoAdmin">Código Administrativo (Opcional)</label>
-            <div className="auth-input-group">
-              <input
-                type="text"
-                className="auth-form-control"
-                id="codigoAdmin"
-                placeholder="Digite o código administrativo (se aplicável)"
-                value={codigoAdmin}
-                onChange={(e) => setCodigoAdmin(e.target.value)}
-                disabled={isLoading}
-                maxLength={20}
-              />
-              <span className="auth-input-icon">
-                <i className={`bi ${codigoAdmin.trim() === 'adm7258' ? 'bi-shield-check text-success' : 'bi-shield'}`}></i>
-              </span>
-            </div>
-            <small className="text-muted">
-              Deixe em branco para cadastro como usuário comum. Use o código especial para acesso administrativo.
-            </small>
-          </div>
-
-          <button
-            className="auth-btn-primary w-100 mb-3"
-            onClick={fazerCadastro}
-            disabled={isLoading}
-            type="button"
-          >
-            {isLoading ? (
-              <>
-                <i className="bi bi-arrow-clockwise" style={{ animation: "spin 1s linear infinite" }}></i> Cadastrando...
-              </>
-            ) : (
-              <>
-                <i className="bi bi-person-plus-fill"></i> Cadastrar
-              </>
-            )}
-          </button>
+                type="button"
+              >
+                {isLoading ? (
+                  <>
+                    <i className="bi bi-arrow-clockwise" style={{ animation: "spin 1s linear infinite" }}></i> Cadastrando...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-person-plus-fill"></i> Cadastrar
+                  </>
+                )}
+              </button>
+            </>
+          )}
 
           <div className="auth-separator-line"></div>
 
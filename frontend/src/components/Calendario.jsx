@@ -1,17 +1,44 @@
 import React, { useState, useEffect, useRef, useContext } from "react";
 import { Calendar, Plus, Filter, Bell, User, Clock, CheckCircle, AlertCircle, XCircle,
   Eye, Trash2, FileText, Home, List, BarChart3, Maximize2, X, LogOut,
-  Upload, Download, Image, File, AlertTriangle, Edit, RefreshCw, ChevronDown, ChevronUp, Loader2
+  Upload, Download, Image, File, AlertTriangle, Edit, RefreshCw, ChevronDown, ChevronUp, Loader2, Lock, Unlock, Briefcase, Inbox, Users,
+  ListChecks, MessageSquare
 } from "lucide-react";
 import { AuthContext } from "../AuthContext";
 import { useNavigate } from "react-router-dom";
-import { taskService, userService, logService, agendaTributariaService } from '../services/api';
+import { taskService, userService, logService, empresaService, agendaTributariaService, tarefaModeloService } from '../services/api';
 import axiosInstance from '../utils/axiosConfig';
+import PainelCarteira from './PainelCarteira';
+import UploadsClientes from './UploadsClientes';
+import AtribuicoesEquipe from './AtribuicoesEquipe';
+import SolicitacoesDocumentos from './SolicitacoesDocumentos';
+import RegraRecorrencia from './RegraRecorrencia';
+import HistoricoStatusTarefa from './HistoricoStatusTarefa';
+import ChecklistTarefa from './ChecklistTarefa';
+import DependenciasTarefa from './DependenciasTarefa';
+import ComentariosTarefa from './ComentariosTarefa';
+import MencoesNotificacoes from './MencoesNotificacoes';
+import ModelosTarefa from './ModelosTarefa';
 import "../styles/styles.css";
 
+// Regra de recorrência de uma tarefa nova (dia vazio = dia do vencimento)
+const RECORRENCIA_PADRAO = { tipoDia: "dia", dia: "", dataFim: "" };
+
 const Calendario = () => {
-  const { user, logout, isAdmin } = useContext(AuthContext);
+  const { user, logout, isAdmin, hasPermission } = useContext(AuthContext);
   const navigate = useNavigate();
+  const canViewAllTasks = hasPermission("tasks.view_all");
+  const canCreateTasks = hasPermission("tasks.create");
+  const canEditTasks = hasPermission("tasks.edit");
+  const canDeleteTasks = hasPermission("tasks.delete");
+  const canUpdateAnyStatus = hasPermission("tasks.update_status");
+  const canUploadFiles = hasPermission("files.upload");
+  const canViewAllLogs = hasPermission("logs.view_all");
+  const canViewAgenda = hasPermission("agenda.view");
+  const canGenerateAgenda = hasPermission("agenda.generate");
+  const canViewClients = hasPermission("clients.view");
+  const canReviewUploads = hasPermission("uploads.review");
+  const canManageTemplates = hasPermission("tasks.templates");
   const [currentDate, setCurrentDate] = useState(new Date());
   // Debug logs para verificar se os valores estão chegando corretamente
   console.log("[Calendario] user recebido:", user);
@@ -31,8 +58,11 @@ const Calendario = () => {
   const [filters, setFilters] = useState({
     status: "todos",
     colaborador: "todos",
+    empresa: "todas",
     mes: new Date().getMonth(),
   });
+  const [agruparPorEmpresa, setAgruparPorEmpresa] = useState(false);
+  const [empresas, setEmpresas] = useState([]);
   const [tasks, setTasks] = useState([]);
   const [usuarios, setUsuarios] = useState([]);
   const [atividadeLog, setAtividadeLog] = useState([]);
@@ -59,6 +89,7 @@ const Calendario = () => {
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
   const [responsavelEmail, setResponsavelEmail] = useState('');
+  const [gerarPorEmpresa, setGerarPorEmpresa] = useState(true);
   const [agendaResultado, setAgendaResultado] = useState(null);
   const [agendaError, setAgendaError] = useState(null);
   const [showObrigacoes, setShowObrigacoes] = useState(false);
@@ -71,6 +102,7 @@ const Calendario = () => {
   const [loadingObrigacoesAtualizadas, setLoadingObrigacoesAtualizadas] = useState(false);
   const [criacoesAutomatizadas, setCriacoesAutomatizadas] = useState({});
   const [tipoCalendario, setTipoCalendario] = useState('federal'); // 'federal' ou 'estadual'
+  const [modelosTarefa, setModelosTarefa] = useState([]);
 
   const [newTask, setNewTask] = useState({
     titulo: "",
@@ -80,6 +112,9 @@ const Calendario = () => {
     observacoes: "",
   recorrente: false,
   frequencia: "mensal",
+  recorrencia: RECORRENCIA_PADRAO,
+  empresaId: "",
+  modeloId: "",
   });
 
   const [editTask, setEditTask] = useState({
@@ -91,6 +126,10 @@ const Calendario = () => {
     observacoes: "",
     recorrente: false,
     frequencia: "mensal",
+    recorrencia: RECORRENCIA_PADRAO,
+    serieId: "",
+    escopo: "ocorrencia",
+    empresaId: "",
   });
 
   const modalRef = useRef(null);
@@ -98,21 +137,33 @@ const Calendario = () => {
   const statusColors = {
     pendente: "bg-yellow-100 text-yellow-800 border-yellow-200",
     em_andamento: "bg-blue-100 text-blue-800 border-blue-200",
+    aguardando_revisao: "bg-purple-100 text-purple-800 border-purple-200",
     finalizado: "bg-green-100 text-green-800 border-green-200",
+    bloqueada: "bg-orange-100 text-orange-800 border-orange-200",
+    cancelada: "bg-gray-100 text-gray-700 border-gray-200",
     vencido: "bg-red-100 text-red-800 border-red-200",
   };
 
   const statusIcons = {
     pendente: <Clock className="w-4 h-4" />,
     em_andamento: <AlertCircle className="w-4 h-4" />,
+    aguardando_revisao: <Eye className="w-4 h-4" />,
     finalizado: <CheckCircle className="w-4 h-4" />,
+    bloqueada: <Lock className="w-4 h-4" />,
+    cancelada: <X className="w-4 h-4" />,
     vencido: <XCircle className="w-4 h-4" />,
   };
 
+  // Concluídas e canceladas não ficam em atraso
+  const isEncerrada = (status) => status === "finalizado" || status === "cancelada";
+
   const statusLabels = {
     pendente: "Pendente",
     em_andamento: "Em Andamento",
-    finalizado: "Finalizado",
+    aguardando_revisao: "Aguardando Revisão",
+    finalizado: "Concluída",
+    bloqueada: "Bloqueada",
+    cancelada: "Cancelada",
     vencido: "Vencido/Em Atraso",
   };
 
@@ -120,7 +171,11 @@ const Calendario = () => {
     { id: "home", label: "Home", icon: Home, description: "Calendário principal" },
     { id: "tasks", label: "Gerenciador de Tarefas", icon: List, description: "Gestão de tarefas" },
     { id: "reports", label: "Relatórios", icon: BarChart3, description: "Relatórios e estatísticas" },
-    ...(isAdmin ? [{ id: "agenda-tributaria", label: "Agenda Tributária", icon: FileText, description: "Obrigações fiscais mensais" }] : []),
+    ...(canViewAgenda ? [{ id: "agenda-tributaria", label: "Agenda Tributária", icon: FileText, description: "Obrigações fiscais mensais" }] : []),
+    ...(canViewClients ? [{ id: "carteira", label: "Carteira de Clientes", icon: Briefcase, description: "Situação das obrigações por empresa" }] : []),
+    ...(canViewClients ? [{ id: "atribuicoes", label: "Atribuições e Carga", icon: Users, description: "Responsáveis por empresa e carga da equipe" }] : []),
+    ...(canReviewUploads ? [{ id: "uploads-clientes", label: "Documentos de Clientes", icon: Inbox, description: "Documentos enviados pelo portal do cliente" }] : []),
+    ...(canManageTemplates ? [{ id: "modelos", label: "Modelos de Tarefa", icon: ListChecks, description: "Checklists padrão das obrigações" }] : []),
   ];
 
   useEffect(() => {
@@ -150,8 +205,10 @@ const Calendario = () => {
         comprovantes: task.comprovantes || [],
       }));
       setTasks(formattedTasks);
+      return formattedTasks;
     } catch (error) {
       console.error("Erro ao buscar tarefas:", error);
+      return null;
     }
   };
 
@@ -201,6 +258,24 @@ const Calendario = () => {
     fetchUsers();
   }, [currentUser]);
 
+  // Modelos de tarefa oferecidos ao abrir o formulário de nova tarefa
+  useEffect(() => {
+    if (!showTaskModal) return;
+
+    tarefaModeloService.getAll()
+      .then(setModelosTarefa)
+      .catch((error) => console.error("Erro ao buscar modelos de tarefa:", error));
+  }, [showTaskModal]);
+
+  // Empresas ativas para o formulário de tarefas
+  useEffect(() => {
+    if (!currentUser || !canViewClients) return;
+
+    empresaService.getAll({ ativo: true })
+      .then(setEmpresas)
+      .catch((error) => console.error("Erro ao buscar empresas:", error));
+  }, [currentUser, canViewClients]);
+
   useEffect(() => {
     if (!currentUser) return;
     
@@ -228,7 +303,7 @@ const Calendario = () => {
     };
     
     fetchLogs();
-  }, [currentUser, isAdmin, user]);
+  }, [currentUser, canViewAllLogs, user]);
 
   const getDaysInMonth = (date) => {
     const year = date.getFullYear();
@@ -252,46 +327,53 @@ const Calendario = () => {
       return taskDate.toDateString() === date.toDateString();
     });
 
+  // Empresas presentes nas tarefas visíveis (para filtro e agrupamento)
+  const empresasDasTarefas = Object.values(
+    tasks.reduce((acc, t) => {
+      if (t.empresaId && !acc[t.empresaId]) acc[t.empresaId] = { id: t.empresaId, nome: t.empresaNome || "Empresa" };
+      return acc;
+    }, {})
+  ).sort((a, b) => a.nome.localeCompare(b.nome, "pt-BR"));
+
+  // Ordena por empresa (tarefas sem empresa por último) mantendo a ordem original dentro de cada grupo
+  const ordenarPorEmpresa = (lista) =>
+    [...lista].sort((a, b) => {
+      if (!a.empresaNome !== !b.empresaNome) return a.empresaNome ? -1 : 1;
+      return (a.empresaNome || "").localeCompare(b.empresaNome || "", "pt-BR");
+    });
+
+  // Colaboradores que aparecem no filtro: todos, ou só os das tarefas visíveis (equipes)
+  const colaboradoresVisiveis = canViewAllTasks
+    ? usuarios
+    : usuarios.filter((u) => tasks.some((t) => t.responsavelId === u.id));
+
   const getFilteredTasks = () => {
     console.log("[FILTER DEBUG] Iniciando filtros de tarefas...");
     console.log("[FILTER DEBUG] Total de tarefas:", tasks.length);
     console.log("[FILTER DEBUG] Usuário atual:", { uid: user?.uid, email: user?.email });
-    console.log("[FILTER DEBUG] isAdmin:", isAdmin);
+    console.log("[FILTER DEBUG] canViewAllTasks:", canViewAllTasks);
     
+    // O backend já devolve apenas as tarefas visíveis ao usuário (próprias e das equipes)
     let filtered = tasks;
     
-    if (!isAdmin) {
-      console.log("[FILTER DEBUG] Aplicando filtro para usuário comum");
-      console.log("[FILTER DEBUG] Tarefas antes do filtro:", filtered.map(t => ({ 
-        id: t.id, 
-        titulo: t.titulo, 
-        responsavelId: t.responsavelId,
-        match: t.responsavelId === user.uid 
-      })));
-      
-      filtered = filtered.filter((t) => {
-        const match = t.responsavelId === user.uid;
-        console.log(`[FILTER DEBUG] Tarefa "${t.titulo}" - responsavelId: "${t.responsavelId}", user.uid: "${user.uid}", match: ${match}`);
-        return match;
-      });
-      
-      console.log("[FILTER DEBUG] Tarefas após filtro do usuário:", filtered.length);
-    } else {
-      console.log("[FILTER DEBUG] Usuário admin - sem filtro de responsável");
-    }
-    
     if (filters.status !== "todos") {
       const beforeCount = filtered.length;
       filtered = filtered.filter((t) => t.status === filters.status);
       console.log(`[FILTER DEBUG] Filtro de status (${filters.status}): ${beforeCount} -> ${filtered.length}`);
     }
     
-    if (filters.colaborador !== "todos" && isAdmin) {
+    if (filters.colaborador !== "todos") {
       const beforeCount = filtered.length;
       filtered = filtered.filter((t) => t.responsavelId === filters.colaborador);
       console.log(`[FILTER DEBUG] Filtro de colaborador (${filters.colaborador}): ${beforeCount} -> ${filtered.length}`);
     }
     
+    if (filters.empresa !== "todas") {
+      const beforeCount = filtered.length;
+      filtered = filtered.filter((t) => (filters.empresa === "sem" ? !t.empresaId : t.empresaId === filters.empresa));
+      console.log(`[FILTER DEBUG] Filtro de empresa (${filters.empresa}): ${beforeCount} -> ${filtered.length}`);
+    }
+    
     if (filters.mes !== "todos") {
       const beforeCount = filtered.length;
       filtered = filtered.filter((t) => {
@@ -338,7 +420,7 @@ const Calendario = () => {
     }
     
     // Verificar se o usuário é admin para poder criar tarefas
-    if (!isAdmin) {
+    if (!canCreateTasks) {
       alert("Apenas administradores podem criar tarefas.");
       return;
     }
@@ -364,6 +446,9 @@ const Calendario = () => {
       dataCriacao: new Date().toISOString(),
       recorrente: newTask.recorrente,
       frequencia: newTask.frequencia,
+      recorrencia: newTask.recorrente ? newTask.recorrencia : undefined,
+      empresaId: newTask.empresaId || null,
+      modeloId: newTask.modeloId || null,
     };
 
     console.log("[CREATE TASK] Usuário autenticado:", user.uid);
@@ -389,48 +474,126 @@ const Calendario = () => {
         observacoes: "",
         recorrente: false,
         frequencia: "mensal",
+        recorrencia: RECORRENCIA_PADRAO,
+        empresaId: "",
+        modeloId: "",
       });
       console.log("Tarefa criada com sucesso!");
     } catch (error) {
       console.error("Erro ao criar tarefa:", error.message);
-      alert("Erro ao criar tarefa. Tente novamente.");
+      alert(error.response?.data?.error || "Erro ao criar tarefa. Tente novamente.");
     }
   };
 
-  const handleUpdateTaskStatus = async (id, status) => {
-    const task = tasks.find((t) => t.id === id);
-    
-    // Verificar se o usuário pode atualizar o status da tarefa
-    if (!isAdmin && task?.responsavelId !== user?.uid) {
-      alert("Você só pode atualizar o status de suas próprias tarefas.");
+  // Solicitações de documentos alteradas nos detalhes da tarefa (lista e resumo do servidor)
+  const handleSolicitacoesChange = (taskId, { solicitacoes, aguardandoCliente, pendentes, atrasadas }) => {
+    const atualizar = (t) => (t.id === taskId ? { ...t, solicitacoes, aguardandoCliente, pendentes, atrasadas } : t);
+    setTasks((prev) => prev.map(atualizar));
+    setSelectedTask((prev) => (prev ? atualizar(prev) : prev));
+  };
+
+  // Checklist alterado nos detalhes da tarefa: atualiza o progresso exibido nos cards
+  const handleChecklistChange = (taskId, checklist) => {
+    const atualizar = (t) => (t.id === taskId ? { ...t, checklist } : t);
+    setTasks((prev) => prev.map(atualizar));
+    setSelectedTask((prev) => (prev ? atualizar(prev) : prev));
+  };
+
+  // Dependências alteradas nos detalhes: recarrega a lista (vencimentos adiados, bloqueios e
+  // transições permitidas mudam também em outras tarefas)
+  const handleDependenciasChange = async (taskId, dependencias) => {
+    setSelectedTask((prev) => (prev && prev.id === taskId ? { ...prev, dependencias } : prev));
+    const atualizadas = await fetchTasks();
+    const atual = atualizadas?.find((t) => t.id === taskId);
+    if (atual) {
+      setSelectedTask((prev) => (prev && prev.id === taskId ? atual : prev));
+    }
+  };
+
+  // Menção aberta pelo sino do cabeçalho: mostra os detalhes (com os comentários) da tarefa
+  const handleAbrirTarefaMencionada = (taskId) => {
+    const tarefa = tasks.find((t) => t.id === taskId);
+    if (!tarefa) {
+      alert("A tarefa mencionada não está mais disponível.");
       return;
     }
+    setSelectedTask(tarefa);
+    setShowTaskDetails(true);
+  };
+
+  // Ao escolher um modelo, título e observações vazios recebem os sugeridos
+  const handleSelecionarModelo = (modeloId) => {
+    const modelo = modelosTarefa.find((m) => m.id === modeloId);
+    setNewTask({
+      ...newTask,
+      modeloId,
+      titulo: newTask.titulo || modelo?.titulo || "",
+      observacoes: newTask.observacoes || modelo?.observacoes || "",
+    });
+  };
 
-    // Validar se há comprovante anexado para marcar como finalizado
-    if (status === "finalizado") {
-      const hasComprovantes = task?.comprovantes && task.comprovantes.length > 0;
-      if (!hasComprovantes) {
-        alert("Para marcar como finalizado, é obrigatório anexar pelo menos um comprovante à tarefa.");
+  const renderProgressoChecklist = (task) => {
+    if (!task.checklist?.total) return null;
+    const { total, concluidos, obrigatoriosPendentes } = task.checklist;
+    return (
+      <div
+        className="flex items-center gap-2 mt-1"
+        title={obrigatoriosPendentes > 0 ? `${obrigatoriosPendentes} item(ns) obrigatório(s) pendente(s)` : "Itens obrigatórios concluídos"}
+      >
+        <ListChecks className={`w-3 h-3 ${obrigatoriosPendentes > 0 ? "text-gray-400" : "text-green-600"}`} />
+        <div className="w-20 bg-gray-200 rounded-full h-1.5">
+          <div className="bg-green-500 h-1.5 rounded-full" style={{ width: `${(concluidos / total) * 100}%` }} />
+        </div>
+        <span className="text-xs text-gray-600">{concluidos}/{total}</span>
+      </div>
+    );
+  };
+
+  // Tarefa com predecessoras em aberto: não pode ser iniciada nem concluída
+  const renderBloqueioDependencia = (task) => {
+    if (!task.dependencias?.bloqueada) return null;
+    const pendentes = task.dependencias.predecessoras.filter((p) => !p.encerrada).map((p) => p.titulo);
+    return (
+      <div className="flex items-center gap-1 mt-1 text-xs text-orange-700 min-w-0" title={`Aguardando: ${pendentes.join(", ")}`}>
+        <Lock className="w-3 h-3 flex-shrink-0" />
+        <span className="truncate">Aguardando: {pendentes.join(", ")}</span>
+      </div>
+    );
+  };
+
+  // Transições permitidas vêm do servidor (transicoesPermitidas); ele também valida cada mudança
+  const handleUpdateTaskStatus = async (id, transicao) => {
+    const task = tasks.find((t) => t.id === id) || selectedTask;
+    const { status } = transicao;
+
+    let comentario;
+    if (transicao.exigeComentario) {
+      comentario = window.prompt(`Informe o motivo para passar a tarefa para "${transicao.label}":`);
+      if (comentario === null) return;
+      if (!comentario.trim()) {
+        alert("O motivo é obrigatório para esta mudança de status.");
         return;
       }
     }
 
     try {
-      await taskService.updateStatus(id, status);
+      const { transicoesPermitidas, proximaOcorrencia } = await taskService.updateStatus(id, status, comentario);
       await logActivity("update_task_status", id, task?.titulo || "Tarefa");
-      setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, status } : t)));
-      if (selectedTask && selectedTask.id === id) {
-        setSelectedTask({ ...selectedTask, status });
-      }
+      const atualizar = (t) => (t.id === id ? { ...t, status, transicoesPermitidas } : t);
+      setTasks((prev) => prev.map(atualizar));
+      setSelectedTask((prev) => (prev ? atualizar(prev) : prev));
+      // Série recorrente: a próxima ocorrência foi criada no servidor
+      if (proximaOcorrencia) fetchTasks();
     } catch (error) {
       console.error("Erro ao atualizar status:", error);
-      alert("Erro ao atualizar status. Tente novamente.");
+      alert(error.response?.data?.error || "Erro ao atualizar status. Tente novamente.");
     }
   };
 
+
   const handleEditTask = (task) => {
     // Verificar se o usuário é admin para poder editar tarefas
-    if (!isAdmin) {
+    if (!canEditTasks) {
       alert("Apenas administradores podem editar tarefas.");
       return;
     }
@@ -446,6 +609,12 @@ const Calendario = () => {
       observacoes: task.observacoes || "",
       recorrente: task.recorrente || false,
       frequencia: task.frequencia || "mensal",
+      recorrencia: task.recorrencia
+        ? { tipoDia: task.recorrencia.tipoDia, dia: task.recorrencia.dia ?? "", dataFim: task.recorrencia.dataFim || "" }
+        : RECORRENCIA_PADRAO,
+      serieId: task.serieId || "",
+      escopo: "ocorrencia",
+      empresaId: task.empresaId || "",
     });
     
     setEditingTask(task);
@@ -460,7 +629,7 @@ const Calendario = () => {
     }
     
     // Verificar se o usuário é admin para poder editar tarefas
-    if (!isAdmin) {
+    if (!canEditTasks) {
       alert("Apenas administradores podem editar tarefas.");
       return;
     }
@@ -484,6 +653,9 @@ const Calendario = () => {
       observacoes: editTask.observacoes || "",
       recorrente: editTask.recorrente,
       frequencia: editTask.frequencia,
+      recorrencia: editTask.recorrente ? editTask.recorrencia : undefined,
+      escopo: editTask.serieId ? editTask.escopo : undefined,
+      empresaId: editTask.empresaId || null,
     };
 
     try {
@@ -517,17 +689,27 @@ const Calendario = () => {
         observacoes: "",
         recorrente: false,
         frequencia: "mensal",
+        recorrencia: RECORRENCIA_PADRAO,
+        serieId: "",
+        escopo: "ocorrencia",
+        empresaId: "",
       });
-      alert("Tarefa atualizada com sucesso!");
+      const mantidas = updatedTask.alteracoesSerie?.mantidas || 0;
+      const adiadas = updatedTask.sucessorasAdiadas || [];
+      alert([
+        "Tarefa atualizada com sucesso!",
+        mantidas > 0 && `${mantidas} ocorrência(s) seguinte(s) já em andamento mantiveram a data.`,
+        adiadas.length > 0 && `Tarefa(s) dependente(s) adiada(s) para acompanhar o vencimento: ${adiadas.map((t) => t.titulo).join(", ")}.`,
+      ].filter(Boolean).join(" "));
     } catch (error) {
       console.error("Erro ao atualizar tarefa:", error.message);
-      alert("Erro ao atualizar tarefa. Tente novamente.");
+      alert(error.response?.data?.error || "Erro ao atualizar tarefa. Tente novamente.");
     }
   };
 
   const handleDeleteTask = async (id) => {
     // Verificar se o usuário é admin para poder excluir tarefas
-    if (!isAdmin) {
+    if (!canDeleteTasks) {
       alert("Apenas administradores podem excluir tarefas.");
       return;
     }
@@ -535,8 +717,12 @@ const Calendario = () => {
     const task = tasks.find((t) => t.id === id);
     
     if (window.confirm(`Tem certeza de que deseja excluir a tarefa "${task?.titulo || 'Tarefa'}"?`)) {
+      // Ocorrência de série: OK exclui também as próximas (encerra a série), Cancelar só esta
+      const escopo = task?.serieId && window.confirm(
+        "Esta tarefa faz parte de uma série recorrente.\n\nOK: excluir esta e as próximas ocorrências (encerra a série)\nCancelar: excluir somente esta ocorrência"
+      ) ? "futuras" : undefined;
       try {
-        await taskService.delete(id);
+        await taskService.delete(id, { escopo });
         
         // Atualizar lista de tarefas localmente
         setTasks((prev) => prev.filter((t) => t.id !== id));
@@ -871,6 +1057,9 @@ const Calendario = () => {
         observacoes: "",
         recorrente: false,
         frequencia: "mensal",
+        recorrencia: RECORRENCIA_PADRAO,
+        empresaId: "",
+        modeloId: "",
       });
     } else if (modalType === "edit") {
       setShowEditTaskModal(false);
@@ -884,6 +1073,10 @@ const Calendario = () => {
         observacoes: "",
         recorrente: false,
         frequencia: "mensal",
+        recorrencia: RECORRENCIA_PADRAO,
+        serieId: "",
+        escopo: "ocorrencia",
+        empresaId: "",
       });
     } else if (modalType === "details") {
       setShowTaskDetails(false);
@@ -1041,8 +1234,8 @@ const Calendario = () => {
                       {dayTasks.slice(0, 2).map((task) => (
                         <div 
                           key={task.id} 
-                          className={`text-xs p-1 rounded truncate ${statusColors[task.status]}`}
-                          title={task.titulo}
+                          className={`text-xs p-1 rounded truncate ${statusColors[task.status]} ${task.aguardandoCliente ? "border-l-4 border-orange-500" : ""}`}
+                          title={task.aguardandoCliente ? `${task.titulo} (aguardando cliente)` : task.titulo}
                         >
                           {task.titulo.length > 20 ? task.titulo.substring(0, 20) + '...' : task.titulo}
                         </div>
@@ -1072,6 +1265,8 @@ const Calendario = () => {
                           <h4 className="font-medium text-gray-800 truncate" title={task.titulo}>{task.titulo}</h4>
                           <p className="text-sm text-gray-600 mt-1 truncate">Responsável: {task.responsavel}</p>
                           <p className="text-sm text-gray-600 truncate">Vencimento: {task.dataVencimento ? new Date(task.dataVencimento).toLocaleDateString("pt-BR") : "Data não definida"}</p>
+                          {renderProgressoChecklist(task)}
+                          {renderBloqueioDependencia(task)}
                         </div>
                         <div className="flex items-center gap-2 flex-shrink-0">
                           <span className={`px-2 py-1 rounded-full text-xs font-medium border ${statusColors[task.status]} whitespace-nowrap`}>
@@ -1108,12 +1303,14 @@ const Calendario = () => {
     </div>
   );
 
+  const getTaskManagerTasks = () => (agruparPorEmpresa ? ordenarPorEmpresa(getFilteredTasks()) : getFilteredTasks());
+
   const renderTaskManagerView = () => (
     <div className="flex-1 p-6">
       <div className="bg-white rounded-lg shadow-sm border p-6">
         <div className="flex items-center justify-between mb-6">
           <h2 className="text-xl font-semibold text-gray-800">Gerenciador de Tarefas</h2>
-          {isAdmin && (
+          {canCreateTasks && (
             <button
               onClick={() => setShowTaskModal(true)}
               className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition-colors"
@@ -1138,7 +1335,7 @@ const Calendario = () => {
             </div>
           </div>
           <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-            <div className="text-green-600 font-semibold">Finalizadas</div>
+            <div className="text-green-600 font-semibold">Concluídas</div>
             <div className="text-2xl font-bold text-green-800">
               {getFilteredTasks().filter((t) => t.status === "finalizado").length}
             </div>
@@ -1167,12 +1364,15 @@ const Calendario = () => {
                 <option value="todos">Todos</option>
                 <option value="pendente">Pendente</option>
                 <option value="em_andamento">Em Andamento</option>
-                <option value="finalizado">Finalizado</option>
+                <option value="aguardando_revisao">Aguardando Revisão</option>
+                <option value="finalizado">Concluída</option>
+                <option value="bloqueada">Bloqueada</option>
+                <option value="cancelada">Cancelada</option>
                 <option value="vencido">Vencido</option>
               </select>
             </div>
 
-            {isAdmin && (
+            {colaboradoresVisiveis.length > 1 && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Colaborador</label>
                 <select
@@ -1181,13 +1381,38 @@ const Calendario = () => {
                   className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 >
                   <option value="todos">Todos</option>
-                  {usuarios.map((u) => (
+                  {colaboradoresVisiveis.map((u) => (
                     <option key={u.id} value={u.id}>{u.nome}</option>
                   ))}
                 </select>
               </div>
             )}
 
+            {empresasDasTarefas.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Empresa</label>
+                <select
+                  value={filters.empresa}
+                  onChange={(e) => setFilters({ ...filters, empresa: e.target.value })}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="todas">Todas</option>
+                  <option value="sem">Sem empresa</option>
+                  {empresasDasTarefas.map((empresa) => (
+                    <option key={empresa.id} value={empresa.id}>{empresa.nome}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={agruparPorEmpresa}
+                    onChange={(e) => { setAgruparPorEmpresa(e.target.checked); setCurrentTaskPage(1); }}
+                  />
+                  Agrupar por empresa
+                </label>
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Mês</label>
               <select
@@ -1209,6 +1434,7 @@ const Calendario = () => {
             <thead>
               <tr className="border-b">
                 <th className="text-left p-3 font-semibold text-gray-700">Tarefa</th>
+                <th className="text-left p-3 font-semibold text-gray-700">Empresa</th>
                 <th className="text-left p-3 font-semibold text-gray-700">Responsável</th>
                 <th className="text-left p-3 font-semibold text-gray-700">Vencimento</th>
                 <th className="text-left p-3 font-semibold text-gray-700">Status</th>
@@ -1217,37 +1443,59 @@ const Calendario = () => {
             </thead>
             <tbody>
               {(() => {
-                const tasksPagination = getPaginationData(getFilteredTasks(), currentTaskPage, tasksPerPage);
-                return tasksPagination.currentItems.map((task) => (
-                  <tr key={task.id} className="border-b hover:bg-gray-50">
-                    <td className="p-3">{task.titulo}</td>
-                    <td className="p-3">{task.responsavel}</td>
-                    <td className="p-3">{task.dataVencimento ? new Date(task.dataVencimento).toLocaleDateString("pt-BR") : "Data não definida"}</td>
-                    <td className="p-3">
-                      <span className={`px-2 py-1 rounded-full text-xs font-medium border ${statusColors[task.status]}`}>
-                        {statusIcons[task.status]}
-                        <span className="ml-1">{statusLabels[task.status]}</span>
-                      </span>
-                    </td>
-                    <td className="p-3">
-                      <div className="flex items-center gap-2">
-                        <button
-                          onClick={() => { setSelectedTask(task); setShowTaskDetails(true); }}
-                          className="p-1 hover:bg-gray-100 rounded transition-colors"
-                        >
-                          <Eye className="w-4 h-4" />
-                        </button>
-                        {isAdmin && (
+                const tasksPagination = getPaginationData(getTaskManagerTasks(), currentTaskPage, tasksPerPage);
+                return tasksPagination.currentItems.map((task, index, pagina) => (
+                  <React.Fragment key={task.id}>
+                    {agruparPorEmpresa && (index === 0 || pagina[index - 1].empresaId !== task.empresaId) && (
+                      <tr className="bg-gray-100">
+                        <td colSpan={6} className="p-2 text-sm font-semibold text-gray-700">
+                          {task.empresaNome || "Sem empresa"}
+                        </td>
+                      </tr>
+                    )}
+                    <tr className="border-b hover:bg-gray-50">
+                      <td className="p-3">
+                        {task.titulo}
+                        {renderProgressoChecklist(task)}
+                        {renderBloqueioDependencia(task)}
+                      </td>
+                      <td className="p-3">{task.empresaNome || "—"}</td>
+                      <td className="p-3">{task.responsavel}</td>
+                      <td className="p-3">{task.dataVencimento ? new Date(task.dataVencimento).toLocaleDateString("pt-BR") : "Data não definida"}</td>
+                      <td className="p-3">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium border ${statusColors[task.status]}`}>
+                          {statusIcons[task.status]}
+                          <span className="ml-1">{statusLabels[task.status]}</span>
+                        </span>
+                        {task.aguardandoCliente && (
+                          <span
+                            className={`ml-1 px-2 py-1 rounded-full text-xs font-medium ${task.atrasadas > 0 ? "bg-red-100 text-red-800" : "bg-orange-100 text-orange-800"}`}
+                            title={`${task.pendentes} documento(s) pendente(s) do cliente`}
+                          >
+                            Aguardando cliente
+                          </span>
+                        )}
+                      </td>
+                      <td className="p-3">
+                        <div className="flex items-center gap-2">
                           <button
-                            onClick={() => handleDeleteTask(task.id)}
-                            className="p-1 hover:bg-gray-100 rounded transition-colors text-red-600"
+                            onClick={() => { setSelectedTask(task); setShowTaskDetails(true); }}
+                            className="p-1 hover:bg-gray-100 rounded transition-colors"
                           >
-                            <Trash2 className="w-4 h-4" />
+                            <Eye className="w-4 h-4" />
                           </button>
-                        )}
-                      </div>
-                    </td>
-                  </tr>
+                          {canDeleteTasks && (
+                            <button
+                              onClick={() => handleDeleteTask(task.id)}
+                              className="p-1 hover:bg-gray-100 rounded transition-colors text-red-600"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  </React.Fragment>
                 ));
               })()}
             </tbody>
@@ -1256,7 +1504,7 @@ const Calendario = () => {
         
         {/* Paginação para tarefas */}
         {(() => {
-          const tasksPagination = getPaginationData(getFilteredTasks(), currentTaskPage, tasksPerPage);
+          const tasksPagination = getPaginationData(getTaskManagerTasks(), currentTaskPage, tasksPerPage);
           return (
             <PaginationControls
               currentPage={currentTaskPage}
@@ -1279,7 +1527,7 @@ const Calendario = () => {
     console.log('activeView:', activeView);
     console.log('atividadeLog length:', atividadeLog.length);
     console.log('currentUser:', currentUser);
-    console.log('isAdmin:', isAdmin);
+    console.log('canViewAllLogs:', canViewAllLogs);
     console.log('Sample logs:', atividadeLog.slice(0, 3));
     
     // O backend já filtra os logs baseado nas permissões do usuário
@@ -1312,7 +1560,10 @@ const Calendario = () => {
           const statusLabelsDetail = {
             pendente: "Pendente",
             em_andamento: "Em Andamento", 
-            finalizado: "Finalizado",
+            aguardando_revisao: "Aguardando Revisão",
+            finalizado: "Concluída",
+            bloqueada: "Bloqueada",
+            cancelada: "Cancelada",
             vencido: "Vencido/Em Atraso"
           };
           const currentStatus = currentTask?.status || 'unknown';
@@ -1337,6 +1588,97 @@ const Calendario = () => {
             description: `Arquivo adicionado à tarefa: "${taskTitle}"`,
             color: 'text-green-600'
           };
+        case 'request_document':
+          return {
+            icon: <FileText className="w-4 h-4 text-orange-600" />,
+            label: 'Documento Solicitado',
+            description: `Documento pedido ao cliente na tarefa: "${taskTitle}"`,
+            color: 'text-orange-600'
+          };
+        case 'add_dependency':
+          return {
+            icon: <Lock className="w-4 h-4 text-orange-600" />,
+            label: 'Dependência Adicionada',
+            description: `Tarefa passou a depender de outra: "${taskTitle}"`,
+            color: 'text-orange-600'
+          };
+        case 'remove_dependency':
+          return {
+            icon: <Unlock className="w-4 h-4 text-gray-600" />,
+            label: 'Dependência Removida',
+            description: `Dependência removida da tarefa: "${taskTitle}"`,
+            color: 'text-gray-600'
+          };
+        case 'shift_due_date':
+          return {
+            icon: <Clock className="w-4 h-4 text-blue-600" />,
+            label: 'Vencimento Adiado',
+            description: `Vencimento adiado para acompanhar a predecessora: "${taskTitle}"`,
+            color: 'text-blue-600'
+          };
+        case 'comment_task':
+          return {
+            icon: <MessageSquare className="w-4 h-4 text-blue-600" />,
+            label: 'Comentário Adicionado',
+            description: `Novo comentário na tarefa: "${taskTitle}"`,
+            color: 'text-blue-600'
+          };
+        case 'edit_comment':
+          return {
+            icon: <MessageSquare className="w-4 h-4 text-yellow-600" />,
+            label: 'Comentário Editado',
+            description: `Comentário alterado na tarefa: "${taskTitle}"`,
+            color: 'text-yellow-600'
+          };
+        case 'delete_comment':
+          return {
+            icon: <MessageSquare className="w-4 h-4 text-red-600" />,
+            label: 'Comentário Excluído',
+            description: `Comentário removido da tarefa: "${taskTitle}"`,
+            color: 'text-red-600'
+          };
+        case 'complete_checklist_item':
+          return {
+            icon: <ListChecks className="w-4 h-4 text-green-600" />,
+            label: 'Item do Checklist Concluído',
+            description: `Etapa concluída na tarefa: "${taskTitle}"`,
+            color: 'text-green-600'
+          };
+        case 'receive_document':
+          return {
+            icon: <CheckCircle className="w-4 h-4 text-green-600" />,
+            label: 'Documento Recebido',
+            description: `Documento do cliente recebido na tarefa: "${taskTitle}"`,
+            color: 'text-green-600'
+          };
+        case 'reopen_document_request':
+          return {
+            icon: <RefreshCw className="w-4 h-4 text-orange-600" />,
+            label: 'Solicitação Reaberta',
+            description: `Documento voltou a aguardar o cliente: "${taskTitle}"`,
+            color: 'text-orange-600'
+          };
+        case 'reveal_client_secret':
+          return {
+            icon: <Eye className="w-4 h-4 text-purple-600" />,
+            label: 'Campo Secreto Revelado',
+            description: `Consulta ao campo secreto: ${log.taskTitle}`,
+            color: 'text-purple-600'
+          };
+        case 'account_locked':
+          return {
+            icon: <Lock className="w-4 h-4 text-red-600" />,
+            label: 'Conta Bloqueada',
+            description: log.taskTitle || 'Bloqueio por tentativas de login inválidas',
+            color: 'text-red-600'
+          };
+        case 'account_unlocked':
+          return {
+            icon: <Unlock className="w-4 h-4 text-blue-600" />,
+            label: 'Conta Desbloqueada',
+            description: log.taskTitle || 'Conta desbloqueada pelo administrador',
+            color: 'text-blue-600'
+          };
         default:
           return {
             icon: <AlertCircle className="w-4 h-4 text-gray-600" />,
@@ -1353,7 +1695,7 @@ const Calendario = () => {
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-xl font-semibold text-gray-800">Relatórios de Atividades</h2>
             <span className="text-sm text-gray-600">
-              {isAdmin ? "Visualizando: Todas as atividades" : "Visualizando: Apenas suas atividades"}
+              {canViewAllLogs ? "Visualizando: Todas as atividades" : "Visualizando: Apenas suas atividades"}
             </span>
           </div>
 
@@ -1387,18 +1729,18 @@ const Calendario = () => {
                 <tr className="border-b bg-gray-50">
                   <th className="text-left p-3 font-semibold text-gray-700">Ação</th>
                   <th className="text-left p-3 font-semibold text-gray-700">Tarefa</th>
-                  {isAdmin && <th className="text-left p-3 font-semibold text-gray-700">Usuário</th>}
+                  {canViewAllLogs && <th className="text-left p-3 font-semibold text-gray-700">Usuário</th>}
                   <th className="text-left p-3 font-semibold text-gray-700">Data/Hora</th>
                 </tr>
               </thead>
               <tbody>
                 {filteredLogs.length === 0 ? (
                   <tr>
-                    <td colSpan={isAdmin ? 4 : 3} className="p-6 text-center text-gray-500">
+                    <td colSpan={canViewAllLogs ? 4 : 3} className="p-6 text-center text-gray-500">
                       <div className="flex flex-col items-center gap-2">
                         <FileText className="w-8 h-8 text-gray-400" />
                         <span>Nenhum registro de atividade encontrado.</span>
-                        {!isAdmin && (
+                        {!canViewAllLogs && (
                           <span className="text-sm text-gray-400">Você só pode ver suas próprias atividades.</span>
                         )}
                       </div>
@@ -1426,7 +1768,7 @@ const Calendario = () => {
                         <td className="p-3">
                           <span className="font-medium text-gray-800">{log.taskTitle}</span>
                         </td>
-                        {isAdmin && (
+                        {canViewAllLogs && (
                           <td className="p-3">
                             <span className="text-gray-600">{log.userEmail}</span>
                           </td>
@@ -1609,10 +1951,10 @@ const Calendario = () => {
 
   // Carregar obrigações quando a aba agenda-tributaria for ativa
   useEffect(() => {
-    if (activeView === 'agenda-tributaria' && isAdmin) {
+    if (activeView === 'agenda-tributaria' && canViewAgenda) {
       carregarObrigacoes();
     }
-  }, [activeView, isAdmin]);
+  }, [activeView, canViewAgenda]);
 
   // Funções do Sistema Automatizado de Agenda Tributária
   const buscarObrigacoesAtualizadas = async () => {
@@ -1690,18 +2032,23 @@ const Calendario = () => {
       
       console.log('[AGENDA-API] Email final que será enviado à API:', emailFinal);
       
+      // Geração por empresa cliente usa o perfil de obrigações de cada empresa
+      const filtrosAgenda = { porEmpresa: gerarPorEmpresa && empresas.length > 0 };
+      
       if (periodo.mes) {
         // Criar tarefas do mês usando API
         response = await agendaTributariaService.criarTarefasMesAPI(
           periodo.ano, 
           periodo.mes, 
-          emailFinal
+          emailFinal,
+          filtrosAgenda
         );
       } else {
         // Criar tarefas do ano usando API
         response = await agendaTributariaService.criarTarefasAnoAPI(
           periodo.ano, 
-          emailFinal
+          emailFinal,
+          filtrosAgenda
         );
       }
 
@@ -1818,14 +2165,14 @@ const Calendario = () => {
   };
 
   const renderAgendaTributariaView = () => {
-    if (!isAdmin) {
+    if (!canViewAgenda) {
       return (
         <div className="flex-1 p-6">
           <div className="flex items-center justify-center h-64">
             <div className="text-center">
               <AlertTriangle className="w-12 h-12 text-yellow-500 mx-auto mb-4" />
               <h3 className="text-lg font-semibold text-gray-800">Acesso Restrito</h3>
-              <p className="text-gray-600">Apenas administradores podem acessar a Agenda Tributária</p>
+              <p className="text-gray-600">Você não tem permissão para acessar a Agenda Tributária</p>
             </div>
           </div>
         </div>
@@ -1956,6 +2303,24 @@ const Calendario = () => {
                 </div>
               </div>
             </div>
+
+            {empresas.length > 0 && (
+              <label className="mt-4 flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={gerarPorEmpresa}
+                  onChange={(e) => setGerarPorEmpresa(e.target.checked)}
+                  className="mt-1"
+                />
+                <span>
+                  Gerar por empresa cliente ({empresas.length} ativas)
+                  <span className="block text-xs text-gray-500">
+                    Cada empresa recebe as obrigações do seu perfil, atribuídas ao seu contador responsável.
+                    O responsável acima é usado para as empresas sem contador definido.
+                  </span>
+                </span>
+              </label>
+            )}
           </div>
 
           {/* Ações Principais */}
@@ -1968,7 +2333,7 @@ const Calendario = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <button
                 onClick={criarTarefasMesAutomatizado}
-                disabled={agendaLoading || !sistemaAtualizado}
+                disabled={agendaLoading || !sistemaAtualizado || !canGenerateAgenda}
                 className="p-4 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white rounded-lg transition-colors group"
               >
                 <div className="flex items-center gap-3">
@@ -1988,7 +2353,7 @@ const Calendario = () => {
 
               <button
                 onClick={criarTarefasAnoAutomatizado}
-                disabled={agendaLoading || !sistemaAtualizado}
+                disabled={agendaLoading || !sistemaAtualizado || !canGenerateAgenda}
                 className="p-4 bg-blue-600 hover:bg-green-700 disabled:bg-gray-300 text-white rounded-lg transition-colors group"
               >
                 <div className="flex items-center gap-3">
@@ -2085,6 +2450,36 @@ const Calendario = () => {
                 )}
               </div>
 
+              {agendaResultado.dados.empresas && (
+                <div className="mt-4 text-sm">
+                  <p className="font-medium text-green-800 mb-1">
+                    Por empresa
+                    {agendaResultado.dados.tarefasExistentes > 0 && (
+                      <span className="ml-2 font-normal text-gray-600">
+                        ({agendaResultado.dados.tarefasExistentes} já existiam e não foram duplicadas)
+                      </span>
+                    )}
+                    {agendaResultado.dados.tarefasComSubstituto > 0 && (
+                      <span className="ml-2 font-normal text-gray-600">
+                        ({agendaResultado.dados.tarefasComSubstituto} atribuída(s) ao substituto por ausência do responsável)
+                      </span>
+                    )}
+                  </p>
+                  <ul className="space-y-1">
+                    {agendaResultado.dados.empresas.map((item) => (
+                      <li key={item.empresaId} className="text-green-700">
+                        {item.empresa}: {item.tarefasCriadas} de {item.obrigacoes} obrigações — {item.responsavel}
+                      </li>
+                    ))}
+                    {agendaResultado.dados.empresasIgnoradas.map((item) => (
+                      <li key={item.empresaId} className="text-yellow-700">
+                        {item.empresa}: ignorada ({item.motivo})
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
             </div>
           )}
 
@@ -2184,6 +2579,14 @@ const Calendario = () => {
         return renderReportsView();
       case "agenda-tributaria":
         return renderAgendaTributariaView();
+      case "carteira":
+        return canViewClients ? <PainelCarteira /> : renderCalendarView();
+      case "atribuicoes":
+        return canViewClients ? <AtribuicoesEquipe /> : renderCalendarView();
+      case "uploads-clientes":
+        return canReviewUploads ? <UploadsClientes /> : renderCalendarView();
+      case "modelos":
+        return canManageTemplates ? <ModelosTarefa /> : renderCalendarView();
       default:
         return renderCalendarView();
     }
@@ -2302,6 +2705,7 @@ const Calendario = () => {
                 >
                   {isAdmin ? "Admin" : "Colaborador"}
                 </span>
+                <MencoesNotificacoes onAbrirTarefa={handleAbrirTarefaMencionada} />
                 <button
                   onClick={() => navigate("/home")}
                   className="p-1 hover:bg-gray-100 rounded transition-colors text-blue-600"
@@ -2333,6 +2737,27 @@ const Calendario = () => {
                 </button>
               </div>
               <div className="p-6 space-y-4">
+                {modelosTarefa.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Modelo (opcional)</label>
+                    <select
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      value={newTask.modeloId}
+                      onChange={(e) => handleSelecionarModelo(e.target.value)}
+                    >
+                      <option value="">Sem modelo</option>
+                      {modelosTarefa.map((modelo) => (
+                        <option key={modelo.id} value={modelo.id}>{modelo.nome}</option>
+                      ))}
+                    </select>
+                    {newTask.modeloId && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {modelosTarefa.find((m) => m.id === newTask.modeloId)?.itens.length || 0} item(ns) de checklist serão incluídos
+                        {newTask.recorrente ? " em cada ocorrência" : ""}.
+                      </p>
+                    )}
+                  </div>
+                )}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Título</label>
                   <input
@@ -2365,6 +2790,23 @@ const Calendario = () => {
                     ))}
                   </select>
                 </div>
+                {canViewClients && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Empresa</label>
+                    <select
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      value={newTask.empresaId}
+                      onChange={(e) => setNewTask({ ...newTask, empresaId: e.target.value })}
+                    >
+                      <option value="">Sem empresa</option>
+                      {empresas.map((empresa) => (
+                        <option key={empresa.id} value={empresa.id}>
+                          {empresa.nomeFantasia || empresa.razaoSocial}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Data de Vencimento</label>
                   <input
@@ -2395,18 +2837,11 @@ const Calendario = () => {
                   <span>Recorrente</span>
                 </div>
                 {newTask.recorrente && (
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Frequência</label>
-                    <select
-                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                      value={newTask.frequencia}
-                      onChange={(e) => setNewTask({ ...newTask, frequencia: e.target.value })}
-                    >
-                      <option value="mensal">Mensal</option>
-                      <option value="semanal">Semanal</option>
-                      <option value="diario">Diário</option>
-                    </select>
-                  </div>
+                  <RegraRecorrencia
+                    frequencia={newTask.frequencia}
+                    recorrencia={newTask.recorrencia}
+                    onChange={(frequencia, recorrencia) => setNewTask({ ...newTask, frequencia, recorrencia })}
+                  />
                 )}
               </div>
               <div className="flex items-center justify-end gap-3 p-6 border-t">
@@ -2479,12 +2914,19 @@ const Calendario = () => {
                         </div>
                       </div>
                       
+                      {selectedTask.empresaNome && (
+                        <div className="flex flex-col">
+                          <span className="text-xs font-medium text-gray-600 mb-1">Empresa:</span>
+                          <span className="text-sm font-medium text-gray-800">{selectedTask.empresaNome}</span>
+                        </div>
+                      )}
+                      
                       <div className="flex flex-col">
                         <span className="text-xs font-medium text-gray-600 mb-1">Data de Vencimento:</span>
                         <div className="flex items-center gap-2">
                           <Calendar className="w-3 h-3 text-gray-400" />
                           <span className={`text-sm font-medium ${
-                            selectedTask.dataVencimento && new Date(selectedTask.dataVencimento) < new Date() && selectedTask.status !== 'finalizado'
+                            selectedTask.dataVencimento && new Date(selectedTask.dataVencimento) < new Date() && !isEncerrada(selectedTask.status)
                               ? 'text-red-600' : 'text-gray-800'
                           }`}>
                             {selectedTask.dataVencimento ? new Date(selectedTask.dataVencimento).toLocaleDateString("pt-BR") : "Data não definida"}
@@ -2494,21 +2936,22 @@ const Calendario = () => {
                       
                       <div className="flex flex-col">
                         <span className="text-xs font-medium text-gray-600 mb-1">Status:</span>
-                        {isAdmin || selectedTask.responsavelId === user?.uid ? (
-                          <select
-                            className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white font-medium"
-                            value={selectedTask.status}
-                            onChange={(e) => handleUpdateTaskStatus(selectedTask.id, e.target.value)}
-                          >
-                            <option value="pendente">Pendente</option>
-                            <option value="em_andamento">Em Andamento</option>
-                            <option value="finalizado">Finalizado</option>
-                          </select>
-                        ) : (
-                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[selectedTask.status]} w-fit`}>
-                            {statusIcons[selectedTask.status]}
-                            <span className="ml-1">{statusLabels[selectedTask.status]}</span>
-                          </span>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[selectedTask.status]} w-fit`}>
+                          {statusIcons[selectedTask.status]}
+                          <span className="ml-1">{statusLabels[selectedTask.status]}</span>
+                        </span>
+                        {selectedTask.transicoesPermitidas?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {selectedTask.transicoesPermitidas.map((transicao) => (
+                              <button
+                                key={transicao.status}
+                                onClick={() => handleUpdateTaskStatus(selectedTask.id, transicao)}
+                                className="px-2 py-1 text-xs border border-gray-300 rounded-md bg-white hover:bg-gray-50 text-gray-700"
+                              >
+                                {transicao.status === "finalizado" ? "Aprovar" : `→ ${transicao.label}`}
+                              </button>
+                            ))}
+                          </div>
                         )}
                       </div>
                       
@@ -2525,7 +2968,17 @@ const Calendario = () => {
                       {selectedTask.recorrente && (
                         <div className="flex flex-col md:col-span-2">
                           <span className="text-xs font-medium text-blue-700 mb-1">Tarefa Recorrente:</span>
-                          <span className="text-sm font-medium text-blue-800 capitalize bg-blue-50 px-2 py-1 rounded w-fit">{selectedTask.frequencia}</span>
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className={`text-sm font-medium text-blue-800 bg-blue-50 px-2 py-1 rounded w-fit ${selectedTask.recorrencia ? "" : "capitalize"}`}>
+                              {selectedTask.recorrencia?.descricao || selectedTask.frequencia}
+                            </span>
+                            {selectedTask.recorrencia && !selectedTask.recorrencia.ativa && (
+                              <span className="text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded">Série encerrada</span>
+                            )}
+                            {selectedTask.excecao && (
+                              <span className="text-xs text-yellow-800 bg-yellow-100 px-2 py-1 rounded">Alterada só nesta ocorrência</span>
+                            )}
+                          </div>
                         </div>
                       )}
                     </div>
@@ -2544,6 +2997,92 @@ const Calendario = () => {
                     </div>
                   </div>
 
+                  {/* Checklist */}
+                  <div className="bg-white border border-gray-200 rounded-lg p-4">
+                    <h4 className="text-md font-semibold text-gray-800 mb-3 flex items-center gap-2">
+                      <ListChecks className="w-4 h-4 text-green-600" />
+                      Checklist
+                      {selectedTask.checklist?.total > 0 && (
+                        <span className="ml-auto text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+                          {selectedTask.checklist.concluidos}/{selectedTask.checklist.total} concluído(s)
+                        </span>
+                      )}
+                    </h4>
+                    <ChecklistTarefa
+                      key={selectedTask.id}
+                      task={selectedTask}
+                      usuarios={usuarios}
+                      userId={user?.uid}
+                      canManage={canEditTasks || selectedTask.responsavelId === user?.uid}
+                      canMarkAll={canUpdateAnyStatus}
+                      bloqueado={isEncerrada(selectedTask.status)}
+                      onChange={handleChecklistChange}
+                    />
+                  </div>
+
+                  {/* Dependências entre tarefas */}
+                  <div className="bg-white border border-gray-200 rounded-lg p-4">
+                    <h4 className="text-md font-semibold text-gray-800 mb-3 flex items-center gap-2">
+                      <Lock className="w-4 h-4 text-orange-600" />
+                      Dependências
+                      {selectedTask.dependencias?.bloqueada && (
+                        <span className="ml-auto text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded-full">
+                          Bloqueada por dependência
+                        </span>
+                      )}
+                    </h4>
+                    <DependenciasTarefa
+                      key={selectedTask.id}
+                      task={selectedTask}
+                      tarefas={tasks}
+                      canManage={canEditTasks}
+                      onChange={handleDependenciasChange}
+                    />
+                  </div>
+
+                  {/* Comentários e menções */}
+                  <div className="bg-white border border-gray-200 rounded-lg p-4">
+                    <h4 className="text-md font-semibold text-gray-800 mb-3 flex items-center gap-2">
+                      <MessageSquare className="w-4 h-4 text-blue-600" />
+                      Comentários
+                    </h4>
+                    <ComentariosTarefa
+                      key={selectedTask.id}
+                      task={selectedTask}
+                      usuarios={usuarios}
+                      userId={user?.uid}
+                      canModerate={canEditTasks}
+                      canAttach={canUploadFiles}
+                    />
+                  </div>
+
+                  {/* Documentos solicitados ao cliente */}
+                  <div className="bg-white border border-gray-200 rounded-lg p-4">
+                    <h4 className="text-md font-semibold text-gray-800 mb-3 flex items-center gap-2">
+                      <FileText className="w-4 h-4 text-orange-600" />
+                      Documentos do cliente
+                      {selectedTask.aguardandoCliente && (
+                        <span className="ml-auto text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded-full">
+                          Aguardando cliente: {selectedTask.pendentes} pendente(s)
+                        </span>
+                      )}
+                    </h4>
+                    <SolicitacoesDocumentos
+                      task={selectedTask}
+                      canManage={canEditTasks || selectedTask.responsavelId === user?.uid}
+                      onChange={handleSolicitacoesChange}
+                    />
+                  </div>
+
+                  {/* Histórico de status */}
+                  <div className="bg-white border border-gray-200 rounded-lg p-4">
+                    <h4 className="text-md font-semibold text-gray-800 mb-3 flex items-center gap-2">
+                      <Clock className="w-4 h-4 text-blue-600" />
+                      Histórico de status
+                    </h4>
+                    <HistoricoStatusTarefa taskId={selectedTask.id} versao={selectedTask.status} />
+                  </div>
+
                   {/* Comprovantes */}
                   <div className="bg-white border border-gray-200 rounded-lg p-4">
                     <h4 className="text-md font-semibold text-gray-800 mb-3 flex items-center gap-2">
@@ -2554,7 +3093,7 @@ const Calendario = () => {
                       </span>
                     </h4>
                     
-                    {(isAdmin || selectedTask.responsavelId === user?.uid) && (
+                    {canUploadFiles && (canUpdateAnyStatus || selectedTask.responsavelId === user?.uid) && (
                       <div className="mb-3 p-3 bg-blue-50 border border-blue-200 rounded-md">
                         <label className="block text-xs font-medium text-blue-800 mb-2">
                           Adicionar novo comprovante:
@@ -2723,16 +3262,11 @@ const Calendario = () => {
                                         ? fileUrl 
                                         : `${axiosInstance.defaults.baseURL}${fileUrl}`;
                                       
-                                      // Para visualizar, fazer requisição autenticada
-                                      const token = localStorage.getItem('authToken');
-                                      const response = await fetch(fullUrl, {
-                                        headers: {
-                                          'Authorization': `Bearer ${token}`
-                                        }
-                                      });
+                                      // Para visualizar, fazer requisição autenticada (axios renova o token se expirou)
+                                      const response = await axiosInstance.get(fullUrl, { responseType: 'blob' });
                                       
-                                      if (response.ok) {
-                                        const blob = await response.blob();
+                                      if (response.status === 200) {
+                                        const blob = response.data;
                                         const url = window.URL.createObjectURL(blob);
                                         
                                         // Para PDFs e imagens, abrir em nova aba
@@ -2771,16 +3305,11 @@ const Calendario = () => {
                                         ? fileUrl 
                                         : `${axiosInstance.defaults.baseURL}${fileUrl}`;
                                       
-                                      // Fazer download via API autenticada
-                                      const token = localStorage.getItem('authToken');
-                                      const response = await fetch(fullUrl, {
-                                        headers: {
-                                          'Authorization': `Bearer ${token}`
-                                        }
-                                      });
+                                      // Fazer download via API autenticada (axios renova o token se expirou)
+                                      const response = await axiosInstance.get(fullUrl, { responseType: 'blob' });
                                       
-                                      if (response.ok) {
-                                        const blob = await response.blob();
+                                      if (response.status === 200) {
+                                        const blob = response.data;
                                         const url = window.URL.createObjectURL(blob);
                                         const link = document.createElement('a');
                                         link.href = url;
@@ -2813,7 +3342,7 @@ const Calendario = () => {
                           <p className="text-gray-500 text-xs">
                             Nenhum comprovante anexado ainda.
                           </p>
-                          {(isAdmin || selectedTask.responsavelId === user?.uid) && (
+                          {canUploadFiles && (canUpdateAnyStatus || selectedTask.responsavelId === user?.uid) && (
                             <p className="text-gray-400 text-xs mt-1">
                               Use o campo acima para adicionar arquivos.
                             </p>
@@ -2828,9 +3357,9 @@ const Calendario = () => {
               <div className="flex items-center justify-between gap-3 p-4 border-t bg-gray-50">
                 <div className="flex items-center gap-2 text-xs text-gray-600">
                   <Bell className="w-3 h-3" />
-                  {selectedTask.dataVencimento && new Date(selectedTask.dataVencimento) < new Date() && selectedTask.status !== 'finalizado' ? (
+                  {selectedTask.dataVencimento && new Date(selectedTask.dataVencimento) < new Date() && !isEncerrada(selectedTask.status) ? (
                     <span className="text-red-600 font-medium">⚠️ Tarefa em atraso</span>
-                  ) : selectedTask.dataVencimento && new Date(selectedTask.dataVencimento).getTime() - new Date().getTime() < 24 * 60 * 60 * 1000 && selectedTask.status !== 'finalizado' ? (
+                  ) : selectedTask.dataVencimento && new Date(selectedTask.dataVencimento).getTime() - new Date().getTime() < 24 * 60 * 60 * 1000 && !isEncerrada(selectedTask.status) ? (
                     <span className="text-yellow-600 font-medium">⏰ Vence em breve</span>
                   ) : (
                     <span>Última atualização: {new Date().toLocaleDateString('pt-BR')}</span>
@@ -2843,23 +3372,23 @@ const Calendario = () => {
                   >
                     Fechar
                   </button>
-                  {isAdmin && (
-                    <>
-                      <button
-                        onClick={() => handleEditTask(selectedTask)}
-                        className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-md transition-colors flex items-center gap-2"
-                      >
-                        <Edit className="w-3 h-3" />
-                        Editar
-                      </button>
-                      <button
-                        onClick={() => handleDeleteTask(selectedTask.id)}
-                        className="px-4 py-2 text-sm bg-red-600 hover:bg-red-700 text-white rounded-md transition-colors flex items-center gap-2"
-                      >
-                        <Trash2 className="w-3 h-3" />
-                        Excluir
-                      </button>
-                    </>
+                  {canEditTasks && (
+                    <button
+                      onClick={() => handleEditTask(selectedTask)}
+                      className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-md transition-colors flex items-center gap-2"
+                    >
+                      <Edit className="w-3 h-3" />
+                      Editar
+                    </button>
+                  )}
+                  {canDeleteTasks && (
+                    <button
+                      onClick={() => handleDeleteTask(selectedTask.id)}
+                      className="px-4 py-2 text-sm bg-red-600 hover:bg-red-700 text-white rounded-md transition-colors flex items-center gap-2"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                      Excluir
+                    </button>
                   )}
                 </div>
               </div>
@@ -2909,6 +3438,23 @@ const Calendario = () => {
                     ))}
                   </select>
                 </div>
+                {canViewClients && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Empresa</label>
+                    <select
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      value={editTask.empresaId}
+                      onChange={(e) => setEditTask({ ...editTask, empresaId: e.target.value })}
+                    >
+                      <option value="">Sem empresa</option>
+                      {empresas.map((empresa) => (
+                        <option key={empresa.id} value={empresa.id}>
+                          {empresa.nomeFantasia || empresa.razaoSocial}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Data de Vencimento</label>
                   <input
@@ -2928,30 +3474,57 @@ const Calendario = () => {
                     onChange={(e) => setEditTask({ ...editTask, observacoes: e.target.value })}
                   ></textarea>
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1"></label>
-                  <input
-                    type="checkbox"
-                    className="mr-2 leading-tight"
-                    checked={editTask.recorrente}
-                    onChange={(e) => setEditTask({ ...editTask, recorrente: e.target.checked })}
-                  />
-                  <span>Recorrente</span>
-                </div>
-                {editTask.recorrente && (
+                {editTask.serieId && (
+                  <div className="p-3 bg-blue-50 border border-blue-200 rounded-md space-y-2">
+                    <p className="text-sm text-blue-800">
+                      Ocorrência de série recorrente{editingTask?.recorrencia ? ` (${editingTask.recorrencia.descricao})` : ""}.
+                      Aplicar as alterações a:
+                    </p>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        checked={editTask.escopo === "ocorrencia"}
+                        onChange={() => setEditTask({ ...editTask, escopo: "ocorrencia" })}
+                      />
+                      Somente esta ocorrência
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        checked={editTask.escopo === "futuras"}
+                        onChange={() => setEditTask({ ...editTask, escopo: "futuras" })}
+                      />
+                      Esta e as próximas ocorrências
+                    </label>
+                  </div>
+                )}
+                {(!editTask.serieId || editTask.escopo === "futuras") && (
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Frequência</label>
-                    <select
-                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                      value={editTask.frequencia}
-                      onChange={(e) => setEditTask({ ...editTask, frequencia: e.target.value })}
-                    >
-                      <option value="mensal">Mensal</option>
-                      <option value="semanal">Semanal</option>
-                      <option value="diario">Diário</option>
-                    </select>
+                    <label className="block text-sm font-medium text-gray-700 mb-1"></label>
+                    <input
+                      type="checkbox"
+                      className="mr-2 leading-tight"
+                      checked={editTask.recorrente}
+                      onChange={(e) => setEditTask({ ...editTask, recorrente: e.target.checked })}
+                    />
+                    <span>Recorrente</span>
+                    {editTask.serieId && !editTask.recorrente && (
+                      <p className="text-xs text-gray-500 mt-1">A série termina nesta ocorrência; as próximas ainda sem comprovantes serão excluídas.</p>
+                    )}
                   </div>
                 )}
+                {editTask.recorrente && (editTask.serieId ? editTask.escopo === "futuras" : !editingTask?.recorrente) && (
+                  <RegraRecorrencia
+                    frequencia={editTask.frequencia}
+                    recorrencia={editTask.recorrencia}
+                    onChange={(frequencia, recorrencia) => setEditTask({ ...editTask, frequencia, recorrencia })}
+                  />
+                )}
+                {editTask.recorrente && !editTask.serieId && editingTask?.recorrente && (
+                  <p className="text-xs text-gray-500">
+                    Recorrência {editTask.frequencia} sem série (agenda tributária ou tarefa antiga): as próximas ocorrências não são criadas automaticamente.
+                  </p>
+                )}
               </div>
               <div className="flex items-center justify-end gap-3 p-6 border-t">
                 <button
@@ -0,0 +1,218 @@
+// frontend/src/components/CamposPersonalizados.jsx
+// Definição dos campos personalizados das empresas (texto, número, data, seleção e secreto).
+// O tipo é escolhido na criação; campos já preenchidos são inativados em vez de excluídos.
+import React, { useState, useEffect, useCallback } from 'react';
+import { empresaService } from '../services/api';
+
+const CAMPO_VAZIO = { nome: '', tipo: 'texto', opcoes: '', ordem: 0, ativo: true };
+
+const CamposPersonalizados = ({ onClose }) => {
+  const [tipos, setTipos] = useState({});
+  const [campos, setCampos] = useState([]);
+  const [editando, setEditando] = useState(null); // null, 'novo' ou id do campo
+  const [form, setForm] = useState(CAMPO_VAZIO);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const carregarCampos = useCallback(async () => {
+    try {
+      setLoading(true);
+      const dados = await empresaService.getCampos(true);
+      setTipos(dados.tipos);
+      setCampos(dados.campos);
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar campos personalizados:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar campos personalizados');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    carregarCampos();
+  }, [carregarCampos]);
+
+  const iniciarEdicao = (campo) => {
+    setEditando(campo ? campo.id : 'novo');
+    setForm(campo
+      ? { nome: campo.nome, tipo: campo.tipo, opcoes: (campo.opcoes || []).join('\n'), ordem: campo.ordem, ativo: campo.ativo }
+      : CAMPO_VAZIO);
+    setError('');
+  };
+
+  const salvarCampo = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      opcoes: form.opcoes.split('\n').map((opcao) => opcao.trim()).filter(Boolean),
+      ordem: Number(form.ordem) || 0,
+    };
+
+    try {
+      setIsSaving(true);
+      setError('');
+      if (editando === 'novo') {
+        await empresaService.createCampo(payload);
+      } else {
+        await empresaService.updateCampo(editando, payload);
+      }
+      setEditando(null);
+      await carregarCampos();
+    } catch (err) {
+      console.error('Erro ao salvar campo personalizado:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar campo personalizado');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const alternarAtivo = async (campo) => {
+    try {
+      await empresaService.updateCampo(campo.id, { ...campo, ativo: !campo.ativo });
+      await carregarCampos();
+    } catch (err) {
+      console.error('Erro ao alterar situação do campo:', err);
+      setError(err.response?.data?.error || 'Erro ao alterar situação do campo');
+    }
+  };
+
+  const excluirCampo = async (campo) => {
+    if (!window.confirm(`Excluir o campo "${campo.nome}"?`)) return;
+
+    try {
+      await empresaService.deleteCampo(campo.id);
+      await carregarCampos();
+    } catch (err) {
+      console.error('Erro ao excluir campo personalizado:', err);
+      setError(err.response?.data?.error || 'Erro ao excluir campo personalizado');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">Campos personalizados</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Informações extras preenchidas em cada empresa (inscrição estadual, regras de ISS, contato preferido...).
+        Campos secretos, como senhas de portais, ficam criptografados e cada consulta é registrada no log de atividades.
+      </p>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-600 mb-3">Carregando campos...</p>
+      ) : (
+        <table className="min-w-full text-sm mb-3">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-1 pr-2">Ordem</th>
+              <th className="py-1 pr-2">Nome</th>
+              <th className="py-1 pr-2">Tipo</th>
+              <th className="py-1 pr-2">Empresas preenchidas</th>
+              <th className="py-1 text-right">Ações</th>
+            </tr>
+          </thead>
+          <tbody>
+            {campos.map((campo) => (
+              <tr key={campo.id} className={`border-t border-gray-200 ${campo.ativo ? '' : 'opacity-60'}`}>
+                <td className="py-1 pr-2 text-gray-600">{campo.ordem}</td>
+                <td className="py-1 pr-2">
+                  {campo.nome}
+                  {!campo.ativo && <span className="ml-2 text-xs text-gray-500">(inativo)</span>}
+                </td>
+                <td className="py-1 pr-2 text-gray-700">
+                  {tipos[campo.tipo] || campo.tipo}
+                  {campo.opcoes && <span className="text-gray-500">: {campo.opcoes.join(', ')}</span>}
+                </td>
+                <td className="py-1 pr-2 text-gray-700">{campo.totalValores}</td>
+                <td className="py-1 text-right space-x-2">
+                  <button onClick={() => iniciarEdicao(campo)} className="text-blue-600 hover:text-blue-900">
+                    Editar
+                  </button>
+                  <button onClick={() => alternarAtivo(campo)} className="text-yellow-600 hover:text-yellow-900">
+                    {campo.ativo ? 'Inativar' : 'Reativar'}
+                  </button>
+                  {campo.totalValores === 0 && (
+                    <button onClick={() => excluirCampo(campo)} className="text-red-600 hover:text-red-900">
+                      Excluir
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {campos.length === 0 && (
+              <tr>
+                <td colSpan={5} className="py-2 text-gray-500">Nenhum campo cadastrado.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+
+      {editando && (
+        <form onSubmit={salvarCampo} className="mb-3 p-3 bg-white border border-gray-200 rounded">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-2">
+            <input
+              type="text"
+              placeholder="Nome do campo"
+              value={form.nome}
+              onChange={(e) => setForm({ ...form, nome: e.target.value })}
+              maxLength={100}
+              className={inputClass}
+            />
+            <select
+              value={form.tipo}
+              onChange={(e) => setForm({ ...form, tipo: e.target.value })}
+              disabled={editando !== 'novo'}
+              className={inputClass}
+            >
+              {Object.entries(tipos).map(([tipo, label]) => (
+                <option key={tipo} value={tipo}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              placeholder="Ordem"
+              value={form.ordem}
+              onChange={(e) => setForm({ ...form, ordem: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          {form.tipo === 'selecao' && (
+            <textarea
+              placeholder="Opções (uma por linha)"
+              value={form.opcoes}
+              onChange={(e) => setForm({ ...form, opcoes: e.target.value })}
+              rows={4}
+              className={`w-full mb-2 ${inputClass}`}
+            />
+          )}
+          <div className="flex gap-2">
+            <button type="submit" disabled={isSaving} className="btn-primary">
+              {isSaving ? 'Salvando...' : 'Salvar campo'}
+            </button>
+            <button type="button" onClick={() => setEditando(null)} disabled={isSaving} className="btn-secondary">
+              Cancelar
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="flex gap-2">
+        {!editando && (
+          <button onClick={() => iniciarEdicao(null)} className="btn-primary">
+            Novo campo
+          </button>
+        )}
+        <button onClick={onClose} className="btn-secondary">
+          Fechar
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CamposPersonalizados;
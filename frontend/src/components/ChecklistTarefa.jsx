@@ -0,0 +1,263 @@
+// frontend/src/components/ChecklistTarefa.jsx
+// Checklist da tarefa (detalhes da tarefa no calendário): etapas em ordem, com responsável e
+// prazo relativo ao vencimento. Itens obrigatórios pendentes impedem a revisão e a conclusão.
+import React, { useState, useEffect } from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { taskService, tarefaModeloService } from '../services/api';
+
+const ITEM_VAZIO = { descricao: '', obrigatorio: true, responsavelId: '', prazoDias: '' };
+
+const formatarPrazo = (prazo) => (prazo ? prazo.split('-').reverse().join('/') : '');
+
+const hojeISO = () => {
+  const hoje = new Date();
+  return `${hoje.getFullYear()}-${String(hoje.getMonth() + 1).padStart(2, '0')}-${String(hoje.getDate()).padStart(2, '0')}`;
+};
+
+const descreverPrazoDias = (dias) => {
+  if (dias === null || dias === undefined) return '';
+  if (dias === 0) return 'no vencimento';
+  return dias < 0 ? `${-dias} dia(s) antes do vencimento` : `${dias} dia(s) após o vencimento`;
+};
+
+// canManage: monta o checklist; canMarkAll: marca qualquer item (além dos atribuídos ao usuário)
+const ChecklistTarefa = ({ task, usuarios, userId, canManage, canMarkAll, bloqueado, onChange }) => {
+  const [itens, setItens] = useState([]);
+  const [modelos, setModelos] = useState([]);
+  const [modeloId, setModeloId] = useState('');
+  const [form, setForm] = useState(ITEM_VAZIO);
+  const [salvando, setSalvando] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let ativo = true;
+    taskService.getChecklist(task.id)
+      .then((dados) => {
+        if (!ativo) return;
+        setItens(dados.itens);
+        setError('');
+      })
+      .catch((err) => {
+        console.error('Erro ao carregar checklist:', err);
+        if (ativo) setError(err.response?.data?.error || 'Erro ao carregar checklist');
+      });
+    return () => {
+      ativo = false;
+    };
+  }, [task.id]);
+
+  useEffect(() => {
+    if (!canManage || bloqueado) return;
+    tarefaModeloService.getAll()
+      .then(setModelos)
+      .catch((err) => console.error('Erro ao carregar modelos de tarefa:', err));
+  }, [canManage, bloqueado]);
+
+  // Cada alteração devolve a lista e o resumo (progresso exibido no card da tarefa)
+  const executar = async (acao) => {
+    try {
+      setSalvando(true);
+      setError('');
+      const { itens: atualizados, total, concluidos, obrigatoriosPendentes } = await acao();
+      setItens(atualizados);
+      onChange(task.id, { total, concluidos, obrigatoriosPendentes });
+      return true;
+    } catch (err) {
+      console.error('Erro no checklist da tarefa:', err);
+      setError(err.response?.data?.error || 'Erro ao atualizar checklist');
+      return false;
+    } finally {
+      setSalvando(false);
+    }
+  };
+
+  const adicionar = async (e) => {
+    e.preventDefault();
+    if (!form.descricao.trim()) {
+      setError('Informe a descrição do item');
+      return;
+    }
+    if (await executar(() => taskService.createChecklistItem(task.id, form))) {
+      setForm(ITEM_VAZIO);
+    }
+  };
+
+  const mover = (indice, deslocamento) => {
+    const ids = itens.map((item) => item.id);
+    [ids[indice], ids[indice + deslocamento]] = [ids[indice + deslocamento], ids[indice]];
+    executar(() => taskService.reordenarChecklist(task.id, ids));
+  };
+
+  const alternarObrigatorio = (item) => executar(() => taskService.updateChecklistItem(item.id, {
+    descricao: item.descricao,
+    obrigatorio: !item.obrigatorio,
+    responsavelId: item.responsavelId,
+    prazoDias: item.prazoDias,
+  }));
+
+  const aplicarModelo = async () => {
+    if (modeloId && await executar(() => taskService.aplicarModeloChecklist(task.id, modeloId))) {
+      setModeloId('');
+    }
+  };
+
+  const podeMarcar = (item) => !bloqueado && (canManage || canMarkAll || item.responsavelId === userId);
+  const concluidos = itens.filter((item) => item.concluido).length;
+  const hoje = hojeISO();
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {itens.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">Nenhum item no checklist.</p>
+      ) : (
+        <>
+          <div className="w-full bg-gray-200 rounded-full h-1.5 mb-3">
+            <div className="bg-green-500 h-1.5 rounded-full" style={{ width: `${(concluidos / itens.length) * 100}%` }} />
+          </div>
+          <ul className="space-y-2 mb-3">
+            {itens.map((item, indice) => (
+              <li key={item.id} className="flex items-start gap-2 p-2 bg-gray-50 border border-gray-200 rounded">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={item.concluido}
+                  disabled={salvando || !podeMarcar(item)}
+                  onChange={() => executar(() => taskService.setChecklistItemConcluido(item.id, !item.concluido))}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm ${item.concluido ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+                    {item.descricao}
+                    {item.obrigatorio && <span className="text-red-600" title="Obrigatório"> *</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {[
+                      item.responsavelNome,
+                      item.prazo && (
+                        !item.concluido && item.prazo < hoje
+                          ? `Atrasado: prazo ${formatarPrazo(item.prazo)}`
+                          : `Prazo ${formatarPrazo(item.prazo)}`
+                      ),
+                      item.concluido && item.concluidoPorNome && `Concluído por ${item.concluidoPorNome}`,
+                    ].filter(Boolean).join(' · ')}
+                  </p>
+                </div>
+                {canManage && !bloqueado && (
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => mover(indice, -1)}
+                      disabled={salvando || indice === 0}
+                      className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      title="Mover para cima"
+                      aria-label="Mover para cima"
+                    >
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => mover(indice, 1)}
+                      disabled={salvando || indice === itens.length - 1}
+                      className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      title="Mover para baixo"
+                      aria-label="Mover para baixo"
+                    >
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => alternarObrigatorio(item)}
+                      disabled={salvando}
+                      className="text-xs text-blue-600 hover:text-blue-900"
+                    >
+                      {item.obrigatorio ? 'Tornar opcional' : 'Tornar obrigatório'}
+                    </button>
+                    <button
+                      onClick={() => executar(() => taskService.deleteChecklistItem(item.id))}
+                      disabled={salvando}
+                      className="text-xs text-red-600 hover:text-red-900"
+                    >
+                      Excluir
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 mb-3">* Itens obrigatórios precisam estar concluídos para enviar a tarefa para revisão ou concluí-la.</p>
+        </>
+      )}
+
+      {bloqueado && itens.length > 0 && (
+        <p className="text-xs text-gray-500">Reabra a tarefa para alterar o checklist.</p>
+      )}
+
+      {canManage && !bloqueado && (
+        <>
+          <form onSubmit={adicionar} className="flex flex-wrap gap-2 items-center">
+            <input
+              type="text"
+              placeholder="Etapa (ex.: importar a folha, transmitir, emitir o DARF)"
+              value={form.descricao}
+              onChange={(e) => setForm({ ...form, descricao: e.target.value })}
+              maxLength={255}
+              className="flex-1 min-w-[12rem] p-2 text-sm border border-gray-300 rounded-md"
+            />
+            <select
+              value={form.responsavelId}
+              onChange={(e) => setForm({ ...form, responsavelId: e.target.value })}
+              className="p-2 text-sm border border-gray-300 rounded-md"
+              title="Responsável pelo item"
+            >
+              <option value="">Responsável da tarefa</option>
+              {usuarios.map((u) => (
+                <option key={u.id} value={u.id}>{u.nome}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              placeholder="Prazo (dias)"
+              title="Dias em relação ao vencimento (ex.: -2 = dois dias antes)"
+              value={form.prazoDias}
+              onChange={(e) => setForm({ ...form, prazoDias: e.target.value })}
+              className="w-28 p-2 text-sm border border-gray-300 rounded-md"
+            />
+            <label className="flex items-center gap-1 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.obrigatorio}
+                onChange={(e) => setForm({ ...form, obrigatorio: e.target.checked })}
+              />
+              Obrigatório
+            </label>
+            <button type="submit" disabled={salvando} className="btn-secondary">
+              Adicionar
+            </button>
+          </form>
+          {form.prazoDias !== '' && (
+            <p className="text-xs text-gray-500 mt-1">Prazo {descreverPrazoDias(Number(form.prazoDias))}.</p>
+          )}
+          {modelos.length > 0 && (
+            <div className="flex flex-wrap gap-2 items-center mt-2">
+              <select
+                value={modeloId}
+                onChange={(e) => setModeloId(e.target.value)}
+                className="p-2 text-sm border border-gray-300 rounded-md"
+              >
+                <option value="">Acrescentar itens de um modelo...</option>
+                {modelos.map((modelo) => (
+                  <option key={modelo.id} value={modelo.id}>
+                    {modelo.nome} ({modelo.itens.length} itens)
+                  </option>
+                ))}
+              </select>
+              <button onClick={aplicarModelo} disabled={salvando || !modeloId} className="btn-secondary">
+                Aplicar
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChecklistTarefa;
@@ -0,0 +1,370 @@
+// frontend/src/components/ComentariosTarefa.jsx
+// Conversa da tarefa (detalhes da tarefa no calendário): comentários com uma camada de respostas,
+// anexos e menções. Digitar @ sugere os usuários; a menção vai ao servidor como @[Nome](uid) e o
+// citado recebe um email. Editar e excluir guardam o texto anterior no histórico do comentário.
+import React, { useState, useEffect, useRef } from 'react';
+import { taskService, portalService } from '../services/api';
+
+const MAX_ANEXOS = 5;
+
+const MENCAO = /@\[([^\]\n]{1,100})\]\(([^)\s]{1,255})\)/g;
+
+const formatarDataHora = (valor) => {
+  // created_at vem do SQLite em UTC, sem fuso ("YYYY-MM-DD HH:MM:SS")
+  const data = new Date(`${String(valor).replace(' ', 'T')}Z`);
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleString('pt-BR');
+};
+
+const normalizar = (texto) => texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Texto do servidor para o editor: @[Nome](uid) vira @Nome e a menção fica registrada
+const paraEdicao = (texto) => ({
+  texto: texto.replace(MENCAO, (_, nome) => `@${nome}`),
+  mencoes: [...texto.matchAll(MENCAO)].map(([, nome, id]) => ({ nome, id })),
+});
+
+// Editor para o servidor: as menções escolhidas que continuam no texto viram @[Nome](uid)
+const paraEnvio = (texto, mencoes) => [...mencoes]
+  .sort((a, b) => b.nome.length - a.nome.length)
+  .reduce((resultado, { nome, id }) => resultado.split(`@${nome}`).join(`@[${nome}](${id})`), texto);
+
+// Texto com as menções destacadas
+const TextoComentario = ({ texto }) => {
+  const partes = [];
+  let inicio = 0;
+  for (const mencao of texto.matchAll(MENCAO)) {
+    partes.push(texto.slice(inicio, mencao.index));
+    partes.push(
+      <span key={mencao.index} className="text-blue-700 bg-blue-50 rounded px-0.5 font-medium">@{mencao[1]}</span>
+    );
+    inicio = mencao.index + mencao[0].length;
+  }
+  partes.push(texto.slice(inicio));
+  return <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{partes}</p>;
+};
+
+// Caixa de texto com sugestão de usuários ao digitar @
+const EditorComentario = ({ usuarios, inicial = '', permiteAnexos, rotulo, onSalvar, onCancelar }) => {
+  const [{ texto, mencoes }, setConteudo] = useState(() => paraEdicao(inicial));
+  const [busca, setBusca] = useState(null);
+  const [anexos, setAnexos] = useState([]);
+  const [salvando, setSalvando] = useState(false);
+  const textareaRef = useRef(null);
+  const anexosRef = useRef(null);
+
+  const atualizarBusca = (valor, cursor) => {
+    const digitado = valor.slice(0, cursor).match(/(?:^|\s)@([^\s@]{0,30})$/);
+    setBusca(digitado ? { termo: normalizar(digitado[1]), inicio: cursor - digitado[1].length - 1 } : null);
+  };
+
+  const sugestoes = busca
+    ? usuarios.filter((u) => normalizar(u.nome).includes(busca.termo)).slice(0, 6)
+    : [];
+
+  const mencionar = (usuario) => {
+    const cursor = textareaRef.current.selectionStart;
+    const novoTexto = `${texto.slice(0, busca.inicio)}@${usuario.nome} ${texto.slice(cursor)}`;
+    setConteudo({
+      texto: novoTexto,
+      mencoes: mencoes.some((m) => m.id === usuario.id) ? mencoes : [...mencoes, { nome: usuario.nome, id: usuario.id }],
+    });
+    setBusca(null);
+    const posicao = busca.inicio + usuario.nome.length + 2;
+    setTimeout(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(posicao, posicao);
+    }, 0);
+  };
+
+  const salvar = async () => {
+    setSalvando(true);
+    const ok = await onSalvar(paraEnvio(texto.trim(), mencoes), anexos);
+    setSalvando(false);
+    if (ok) {
+      setConteudo({ texto: '', mencoes: [] });
+      setAnexos([]);
+      if (anexosRef.current) anexosRef.current.value = '';
+    }
+  };
+
+  const escolherAnexos = (e) => {
+    const arquivos = Array.from(e.target.files || []);
+    if (arquivos.length > MAX_ANEXOS) {
+      alert(`Anexe no máximo ${MAX_ANEXOS} arquivos por comentário.`);
+      e.target.value = '';
+      return;
+    }
+    setAnexos(arquivos);
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={texto}
+        onChange={(e) => {
+          setConteudo({ texto: e.target.value, mencoes });
+          atualizarBusca(e.target.value, e.target.selectionStart);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setBusca(null);
+        }}
+        rows={3}
+        placeholder="Escreva um comentário... use @ para mencionar alguém"
+        className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+      {sugestoes.length > 0 && (
+        <ul className="absolute z-10 left-0 mt-1 w-64 bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+          {sugestoes.map((usuario) => (
+            <li key={usuario.id}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => mencionar(usuario)}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50"
+              >
+                @{usuario.nome}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        {permiteAnexos && (
+          <input
+            ref={anexosRef}
+            type="file"
+            multiple
+            onChange={escolherAnexos}
+            accept=".jpg,.jpeg,.png,.gif,.pdf,.doc,.docx,.xls,.xlsx,.txt,.csv"
+            className="flex-1 min-w-[12rem] text-xs"
+          />
+        )}
+        <div className="flex gap-2 ml-auto">
+          {onCancelar && (
+            <button type="button" onClick={onCancelar} disabled={salvando} className="btn-secondary">
+              Cancelar
+            </button>
+          )}
+          <button type="button" onClick={salvar} disabled={salvando || !texto.trim()} className="btn-primary">
+            {salvando ? 'Enviando...' : rotulo}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Edições e exclusão de um comentário, com o texto anterior
+const HistoricoComentario = ({ comentarioId }) => {
+  const [historico, setHistorico] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let ativo = true;
+    taskService.getHistoricoComentario(comentarioId)
+      .then((dados) => {
+        if (ativo) setHistorico(dados);
+      })
+      .catch((err) => {
+        console.error('Erro ao carregar histórico do comentário:', err);
+        if (ativo) setError(err.response?.data?.error || 'Erro ao carregar histórico do comentário');
+      });
+    return () => {
+      ativo = false;
+    };
+  }, [comentarioId]);
+
+  if (error) return <p className="text-xs text-red-600 mt-1">{error}</p>;
+  if (!historico) return <p className="text-xs text-gray-500 mt-1">Carregando histórico...</p>;
+  if (historico.length === 0) return <p className="text-xs text-gray-500 mt-1">Sem alterações registradas.</p>;
+
+  return (
+    <ul className="mt-2 space-y-1 border-l-2 border-gray-200 pl-3">
+      {historico.map((item) => (
+        <li key={item.id} className="text-xs text-gray-600">
+          <span className="font-medium">{item.acao === 'exclusao' ? 'Excluído' : 'Editado'}</span> por {item.userNome} em {formatarDataHora(item.createdAt)}
+          <span className="block text-gray-500 whitespace-pre-wrap">Antes: {item.textoAnterior.replace(MENCAO, (_, nome) => `@${nome}`)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// usuarios: lista do calendário ({ id, nome }), usada nas sugestões de menção
+const ComentariosTarefa = ({ task, usuarios, userId, canModerate, canAttach }) => {
+  const [comentarios, setComentarios] = useState([]);
+  const [respondendo, setRespondendo] = useState(null);
+  const [editando, setEditando] = useState(null);
+  const [historicoAberto, setHistoricoAberto] = useState(null);
+  const [aviso, setAviso] = useState('');
+  const [error, setError] = useState('');
+
+  const carregar = () => taskService.getComentarios(task.id).then(setComentarios);
+
+  useEffect(() => {
+    let ativo = true;
+    taskService.getComentarios(task.id)
+      .then((dados) => {
+        if (!ativo) return;
+        setComentarios(dados);
+        setError('');
+      })
+      .catch((err) => {
+        console.error('Erro ao carregar comentários:', err);
+        if (ativo) setError(err.response?.data?.error || 'Erro ao carregar comentários');
+      });
+    return () => {
+      ativo = false;
+    };
+  }, [task.id]);
+
+  const executar = async (acao) => {
+    try {
+      setError('');
+      const { mencionados } = await acao();
+      setAviso(mencionados ? `${mencionados} pessoa(s) mencionada(s) foram avisadas.` : '');
+      await carregar();
+      return true;
+    } catch (err) {
+      console.error('Erro nos comentários da tarefa:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar comentário');
+      return false;
+    }
+  };
+
+  const comentar = (parentId) => (texto, anexos) => executar(async () => {
+    const resultado = await taskService.createComentario(task.id, { texto, parentId, anexos });
+    setRespondendo(null);
+    return resultado;
+  });
+
+  const editar = (comentarioId) => (texto) => executar(async () => {
+    const resultado = await taskService.updateComentario(comentarioId, texto);
+    setEditando(null);
+    return resultado;
+  });
+
+  const excluir = (comentario) => {
+    if (!window.confirm('Excluir este comentário? O texto continua no histórico do comentário.')) return;
+    executar(() => taskService.deleteComentario(comentario.id));
+  };
+
+  const baixar = async (anexo) => {
+    try {
+      await portalService.baixarArquivo(anexo.url, anexo.name);
+    } catch (err) {
+      console.error('Erro ao baixar arquivo:', err);
+      setError('Erro ao baixar arquivo. Verifique sua conexão.');
+    }
+  };
+
+  const mencionaveis = usuarios.filter((u) => u.id !== userId);
+
+  const renderComentario = (comentario, principal) => {
+    const autor = comentario.autorId === userId;
+    return (
+      <div key={comentario.id} className={principal ? '' : 'ml-6 mt-2 pl-3 border-l-2 border-gray-200'}>
+        <p className="text-xs text-gray-500">
+          <span className="font-medium text-gray-700">{comentario.autorNome}</span> · {formatarDataHora(comentario.createdAt)}
+          {comentario.editadoEm && !comentario.excluido && ' · editado'}
+        </p>
+
+        {comentario.excluido ? (
+          <p className="text-sm text-gray-400 italic">Comentário excluído.</p>
+        ) : editando === comentario.id ? (
+          <EditorComentario
+            usuarios={mencionaveis}
+            inicial={comentario.texto}
+            rotulo="Salvar"
+            onSalvar={editar(comentario.id)}
+            onCancelar={() => setEditando(null)}
+          />
+        ) : (
+          <TextoComentario texto={comentario.texto} />
+        )}
+
+        {comentario.anexos.length > 0 && (
+          <ul className="mt-1 space-y-0.5">
+            {comentario.anexos.map((anexo) => (
+              <li key={anexo.id}>
+                <button onClick={() => baixar(anexo)} className="text-xs text-blue-600 hover:text-blue-900 text-left">
+                  📎 {anexo.name}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!comentario.excluido && editando !== comentario.id && (
+          <div className="flex gap-3 mt-1 text-xs">
+            {principal && (
+              <button onClick={() => setRespondendo(comentario.id)} className="text-blue-600 hover:text-blue-900">
+                Responder
+              </button>
+            )}
+            {autor && (
+              <button onClick={() => setEditando(comentario.id)} className="text-gray-600 hover:text-gray-900">
+                Editar
+              </button>
+            )}
+            {(autor || canModerate) && (
+              <button onClick={() => excluir(comentario)} className="text-red-600 hover:text-red-900">
+                Excluir
+              </button>
+            )}
+          </div>
+        )}
+        {(autor || canModerate) && (comentario.editadoEm || comentario.excluido) && (
+          <button
+            onClick={() => setHistoricoAberto(historicoAberto === comentario.id ? null : comentario.id)}
+            className="text-xs text-gray-500 hover:text-gray-700 mt-1"
+          >
+            {historicoAberto === comentario.id ? 'Ocultar histórico' : 'Ver histórico'}
+          </button>
+        )}
+        {historicoAberto === comentario.id && <HistoricoComentario comentarioId={comentario.id} />}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {aviso && <p className="text-xs text-blue-700 mb-2">{aviso}</p>}
+
+      {comentarios.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">Nenhum comentário ainda.</p>
+      ) : (
+        <div className="space-y-4 mb-4">
+          {comentarios.map((comentario) => (
+            <div key={comentario.id} className="border-b border-gray-100 pb-3">
+              {renderComentario(comentario, true)}
+              {comentario.respostas.map((resposta) => renderComentario(resposta, false))}
+              {respondendo === comentario.id && (
+                <div className="ml-6 mt-2">
+                  <EditorComentario
+                    usuarios={mencionaveis}
+                    permiteAnexos={canAttach}
+                    rotulo="Responder"
+                    onSalvar={comentar(comentario.id)}
+                    onCancelar={() => setRespondendo(null)}
+                  />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <EditorComentario
+        usuarios={mencionaveis}
+        permiteAnexos={canAttach}
+        rotulo="Comentar"
+        onSalvar={comentar(null)}
+      />
+    </div>
+  );
+};
+
+export default ComentariosTarefa;
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../AuthContext';
 import rpaService from '../services/rpaApi';
+import { empresaService } from '../services/api';
 import '../styles/ComparadorExtratos.css';
 
 function formatDate(dateStr) {
@@ -33,12 +34,18 @@ function formatTipoDivergencia(tipo) {
 }
 
 const ComparadorExtratos = () => {
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const navigate = useNavigate();
+  const canViewClients = hasPermission('clients.view');
 
   const [comparacoes, setComparacoes] = useState([]);
   const [loadingLista, setLoadingLista] = useState(false);
 
+  // Empresa cliente: as contas são validadas contra o plano de contas dela (ou o padrão)
+  const [empresas, setEmpresas] = useState([]);
+  const [empresaId, setEmpresaId] = useState('');
+  const [filtroEmpresa, setFiltroEmpresa] = useState('');
+
   const [dataInicio, setDataInicio] = useState('');
   const [dataFim, setDataFim] = useState('');
   const [otimizaTxtFiles, setOtimizaTxtFiles] = useState([]);
@@ -56,7 +63,7 @@ const ComparadorExtratos = () => {
     setLoadingLista(true);
     setErro(null);
     try {
-      const lista = await rpaService.listarComparacoes();
+      const lista = await rpaService.listarComparacoes(filtroEmpresa ? { empresa_id: filtroEmpresa } : {});
       setComparacoes(lista);
     } catch (e) {
       console.error('Erro ao carregar comparações:', e);
@@ -72,7 +79,14 @@ const ComparadorExtratos = () => {
 
   useEffect(() => {
     carregarComparacoes();
-  }, []);
+  }, [filtroEmpresa]);
+
+  useEffect(() => {
+    if (!canViewClients) return;
+    empresaService.getAll({ ativo: true })
+      .then(setEmpresas)
+      .catch((e) => console.error('Erro ao carregar empresas:', e));
+  }, [canViewClients]);
 
   async function handleSubmit(e) {
     e.preventDefault();
@@ -115,6 +129,7 @@ const ComparadorExtratos = () => {
         data_fim: dataFim,
         otimiza_txt_files: otimizaTxtFiles,
         mpds_pdf: mpdsPdfFile,
+        empresa_id: empresaId || null,
       });
 
       setMensagem(`Processando comparação (ID ${nova.id})... Aguarde.`);
@@ -225,6 +240,25 @@ const ComparadorExtratos = () => {
               </label>
             </div>
 
+            {canViewClients && (
+              <div className="form-row">
+                <label>
+                  Empresa cliente
+                  <select value={empresaId} onChange={(e) => setEmpresaId(e.target.value)}>
+                    <option value="">Nenhuma (plano de contas padrão)</option>
+                    {empresas.map((empresa) => (
+                      <option key={empresa.id} value={empresa.id}>
+                        {empresa.nomeFantasia || empresa.razaoSocial}
+                      </option>
+                    ))}
+                  </select>
+                  <small className="file-hint">
+                    As contas dos lançamentos são validadas contra o plano de contas e as regras da empresa
+                  </small>
+                </label>
+              </div>
+            )}
+
             <div className="form-row">
               <label className="file-label">
                 Extrato bancário (PDF ou CSV) *
@@ -302,6 +336,16 @@ const ComparadorExtratos = () => {
         <section className="card">
           <div className="card-header">
             <h2>Comparações realizadas</h2>
+            {canViewClients && (
+              <select value={filtroEmpresa} onChange={(e) => setFiltroEmpresa(e.target.value)}>
+                <option value="">Todas as empresas</option>
+                {empresas.map((empresa) => (
+                  <option key={empresa.id} value={empresa.id}>
+                    {empresa.nomeFantasia || empresa.razaoSocial}
+                  </option>
+                ))}
+              </select>
+            )}
             <button
               className="btn-secondary"
               onClick={carregarComparacoes}
@@ -322,6 +366,7 @@ const ComparadorExtratos = () => {
               <thead>
                 <tr>
                   <th>ID</th>
+                  <th>Empresa</th>
                   <th>Período</th>
                   <th>Status</th>
                   <th>Lançamentos</th>
@@ -336,6 +381,7 @@ const ComparadorExtratos = () => {
                     className={comparacaoSelecionada?.id === c.id ? 'row-selected' : ''}
                   >
                     <td>{c.id}</td>
+                    <td>{c.empresa_nome || '–'}</td>
                     <td>
                       {formatDate(c.periodo_inicio)} → {formatDate(c.periodo_fim)}
                     </td>
@@ -385,6 +431,9 @@ const ComparadorExtratos = () => {
             <>
               <div className="resumo">
                 <p><strong>ID:</strong> {comparacaoSelecionada.id}</p>
+                <p>
+                  <strong>Empresa:</strong> {comparacaoSelecionada.empresa_nome || 'Nenhuma (plano de contas padrão)'}
+                </p>
                 <p>
                   <strong>Período:</strong> {formatDate(comparacaoSelecionada.periodo_inicio)} →{' '}
                   {formatDate(comparacaoSelecionada.periodo_fim)}
@@ -0,0 +1,153 @@
+// frontend/src/components/DependenciasTarefa.jsx
+// Dependências da tarefa (detalhes da tarefa no calendário): as predecessoras precisam estar
+// concluídas antes de a tarefa ser iniciada ou concluída. Ao incluir uma predecessora que vence
+// depois, o servidor adia esta tarefa (e as que dependem dela) para o mesmo dia.
+import React, { useState, useEffect } from 'react';
+import { taskService } from '../services/api';
+
+const STATUS_TAREFA = {
+  pendente: 'Pendente',
+  em_andamento: 'Em andamento',
+  aguardando_revisao: 'Aguardando revisão',
+  finalizado: 'Concluída',
+  bloqueada: 'Bloqueada',
+  cancelada: 'Cancelada',
+};
+
+const formatarData = (valor) => (valor ? new Date(valor).toLocaleDateString('pt-BR') : '');
+
+const descreverTarefa = (tarefa) => `${STATUS_TAREFA[tarefa.status] || tarefa.status} · vence em ${formatarData(tarefa.dataVencimento)}`;
+
+// tarefas: lista do calendário, de onde se escolhe a predecessora
+const DependenciasTarefa = ({ task, tarefas, canManage, onChange }) => {
+  const [dependencias, setDependencias] = useState({ predecessoras: [], sucessoras: [], bloqueada: false });
+  const [predecessoraId, setPredecessoraId] = useState('');
+  const [adiadas, setAdiadas] = useState([]);
+  const [salvando, setSalvando] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let ativo = true;
+    taskService.getDependencias(task.id)
+      .then((dados) => {
+        if (!ativo) return;
+        setDependencias(dados);
+        setError('');
+      })
+      .catch((err) => {
+        console.error('Erro ao carregar dependências:', err);
+        if (ativo) setError(err.response?.data?.error || 'Erro ao carregar dependências');
+      });
+    return () => {
+      ativo = false;
+    };
+  }, [task.id]);
+
+  const executar = async (acao) => {
+    try {
+      setSalvando(true);
+      setError('');
+      const { sucessorasAdiadas = [], ...atualizadas } = await acao();
+      setDependencias(atualizadas);
+      setAdiadas(sucessorasAdiadas);
+      onChange(task.id, atualizadas);
+      return true;
+    } catch (err) {
+      console.error('Erro nas dependências da tarefa:', err);
+      setError(err.response?.data?.error || 'Erro ao atualizar dependências');
+      return false;
+    } finally {
+      setSalvando(false);
+    }
+  };
+
+  const adicionar = async () => {
+    if (predecessoraId && await executar(() => taskService.addDependencia(task.id, predecessoraId))) {
+      setPredecessoraId('');
+    }
+  };
+
+  const vinculadas = new Set([task.id, ...dependencias.predecessoras.map((t) => t.id), ...dependencias.sucessoras.map((t) => t.id)]);
+  const opcoes = tarefas
+    .filter((t) => !vinculadas.has(t.id))
+    .sort((a, b) => new Date(a.dataVencimento) - new Date(b.dataVencimento));
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {dependencias.bloqueada && (
+        <p className="text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded p-2 mb-3">
+          Aguardando {dependencias.predecessorasPendentes} predecessora(s): a tarefa só pode ser iniciada ou concluída depois delas.
+        </p>
+      )}
+
+      <h5 className="text-sm font-medium text-gray-700 mb-1">Depende de</h5>
+      {dependencias.predecessoras.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">Nenhuma predecessora.</p>
+      ) : (
+        <ul className="space-y-1 mb-3">
+          {dependencias.predecessoras.map((predecessora) => (
+            <li key={predecessora.id} className="flex items-center justify-between gap-2 text-sm">
+              <span>
+                <span className={predecessora.encerrada ? 'text-gray-500 line-through' : 'text-gray-800'}>{predecessora.titulo}</span>
+                <span className="text-xs text-gray-500"> ({descreverTarefa(predecessora)})</span>
+              </span>
+              {canManage && (
+                <button
+                  onClick={() => executar(() => taskService.removeDependencia(task.id, predecessora.id))}
+                  disabled={salvando}
+                  className="text-xs text-red-600 hover:text-red-900 flex-shrink-0"
+                >
+                  Remover
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {dependencias.sucessoras.length > 0 && (
+        <>
+          <h5 className="text-sm font-medium text-gray-700 mb-1">Tarefas que dependem desta</h5>
+          <ul className="space-y-1 mb-3">
+            {dependencias.sucessoras.map((sucessora) => (
+              <li key={sucessora.id} className="text-sm text-gray-800">
+                {sucessora.titulo}
+                <span className="text-xs text-gray-500"> ({descreverTarefa(sucessora)})</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {adiadas.length > 0 && (
+        <p className="text-xs text-blue-700 mb-3">
+          Vencimento adiado para acompanhar a predecessora: {adiadas.map((t) => `${t.titulo} (${formatarData(t.dataVencimento)})`).join(', ')}.
+        </p>
+      )}
+
+      {canManage && (
+        <div className="flex flex-wrap gap-2 items-center">
+          <select
+            value={predecessoraId}
+            onChange={(e) => setPredecessoraId(e.target.value)}
+            className="flex-1 min-w-[12rem] p-2 text-sm border border-gray-300 rounded-md"
+          >
+            <option value="">Escolha a tarefa que precisa terminar antes...</option>
+            {opcoes.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.titulo}{t.empresaNome ? ` — ${t.empresaNome}` : ''} ({formatarData(t.dataVencimento)})
+              </option>
+            ))}
+          </select>
+          <button onClick={adicionar} disabled={salvando || !predecessoraId} className="btn-secondary">
+            Adicionar predecessora
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DependenciasTarefa;
@@ -0,0 +1,247 @@
+// frontend/src/components/DetalhesEmpresa.jsx
+// Campos personalizados de uma empresa cliente e o histórico de notas sobre ela.
+// Campos secretos chegam mascarados: revelar consulta o servidor, que registra o acesso.
+import React, { useState, useEffect, useCallback } from 'react';
+import { empresaService } from '../services/api';
+
+const formatarDataHora = (valor) => {
+  if (!valor) return '';
+  const data = new Date(String(valor).includes('T') ? valor : `${String(valor).replace(' ', 'T')}Z`);
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleString('pt-BR');
+};
+
+const TIPOS_INPUT = { texto: 'text', numero: 'number', data: 'date', segredo: 'password' };
+
+const DetalhesEmpresa = ({ empresa, somenteLeitura, podeRevelar, onClose }) => {
+  const [campos, setCampos] = useState([]);
+  const [valores, setValores] = useState({});
+  const [alterados, setAlterados] = useState([]);
+  const [revelados, setRevelados] = useState({});
+  const [notas, setNotas] = useState([]);
+  const [novaNota, setNovaNota] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const aplicarCampos = (dados) => {
+    setCampos(dados);
+    setValores(Object.fromEntries(dados.map((campo) => [campo.id, campo.valor ?? ''])));
+    setAlterados([]);
+  };
+
+  const carregarDetalhes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [dadosCampos, dadosNotas] = await Promise.all([
+        empresaService.getCamposEmpresa(empresa.id),
+        empresaService.getNotas(empresa.id),
+      ]);
+      aplicarCampos(dadosCampos);
+      setNotas(dadosNotas);
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar detalhes da empresa:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar detalhes da empresa');
+    } finally {
+      setLoading(false);
+    }
+  }, [empresa.id]);
+
+  useEffect(() => {
+    carregarDetalhes();
+  }, [carregarDetalhes]);
+
+  const alterarValor = (campoId, valor) => {
+    setValores({ ...valores, [campoId]: valor });
+    if (!alterados.includes(campoId)) setAlterados([...alterados, campoId]);
+  };
+
+  const salvarCampos = async (e) => {
+    e.preventDefault();
+    if (alterados.length === 0) return;
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const payload = Object.fromEntries(alterados.map((campoId) => [campoId, valores[campoId]]));
+      aplicarCampos(await empresaService.updateCamposEmpresa(empresa.id, payload));
+      setRevelados({});
+      setSuccessMessage('Campos salvos!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao salvar campos da empresa:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar campos da empresa');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const revelarCampo = async (campo) => {
+    if (!window.confirm(`Revelar "${campo.nome}"? A consulta ficará registrada no log de atividades.`)) return;
+
+    try {
+      const { valor } = await empresaService.revelarCampo(empresa.id, campo.id);
+      setRevelados({ ...revelados, [campo.id]: valor });
+    } catch (err) {
+      console.error('Erro ao revelar campo secreto:', err);
+      setError(err.response?.data?.error || 'Erro ao revelar campo secreto');
+    }
+  };
+
+  const ocultarCampo = (campoId) => {
+    const restantes = { ...revelados };
+    delete restantes[campoId];
+    setRevelados(restantes);
+  };
+
+  const adicionarNota = async (e) => {
+    e.preventDefault();
+    if (!novaNota.trim()) return;
+
+    try {
+      setIsSaving(true);
+      setError('');
+      setNotas(await empresaService.createNota(empresa.id, novaNota.trim()));
+      setNovaNota('');
+    } catch (err) {
+      console.error('Erro ao adicionar nota:', err);
+      setError(err.response?.data?.error || 'Erro ao adicionar nota');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const renderInput = (campo) => {
+    if (campo.tipo === 'selecao') {
+      return (
+        <select
+          value={valores[campo.id]}
+          onChange={(e) => alterarValor(campo.id, e.target.value)}
+          disabled={somenteLeitura}
+          className={`w-full ${inputClass}`}
+        >
+          <option value="">—</option>
+          {campo.opcoes.map((opcao) => (
+            <option key={opcao} value={opcao}>{opcao}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={TIPOS_INPUT[campo.tipo]}
+        value={valores[campo.id]}
+        onChange={(e) => alterarValor(campo.id, e.target.value)}
+        placeholder={campo.tipo === 'segredo' && campo.preenchido && !alterados.includes(campo.id)
+          ? '•••••••• (deixe em branco para manter)'
+          : ''}
+        disabled={somenteLeitura}
+        autoComplete={campo.tipo === 'segredo' ? 'new-password' : undefined}
+        className={`w-full ${inputClass}`}
+      />
+    );
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-900">
+          Detalhes — {empresa.nomeFantasia || empresa.razaoSocial}
+        </h2>
+        <button onClick={onClose} className="btn-secondary">
+          Fechar
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {successMessage && <p className="text-sm text-green-700 mb-2">{successMessage}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-600">Carregando detalhes...</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <form onSubmit={salvarCampos}>
+            <h3 className="text-sm font-semibold text-gray-700 uppercase mb-2">Campos personalizados</h3>
+            {campos.length === 0 && (
+              <p className="text-sm text-gray-600">Nenhum campo personalizado cadastrado.</p>
+            )}
+            {campos.map((campo) => (
+              <div key={campo.id} className="mb-3">
+                <label className="block text-sm font-medium text-gray-700 mb-1">{campo.nome}</label>
+                {renderInput(campo)}
+                {campo.tipo === 'segredo' && campo.preenchido && (
+                  <div className="mt-1 text-sm flex flex-wrap gap-2 items-center">
+                    {revelados[campo.id] !== undefined ? (
+                      <>
+                        <code className="px-2 py-0.5 bg-white border border-gray-200 rounded">{revelados[campo.id]}</code>
+                        <button type="button" onClick={() => ocultarCampo(campo.id)} className="text-blue-600 hover:text-blue-900">
+                          Ocultar
+                        </button>
+                      </>
+                    ) : podeRevelar && (
+                      <button type="button" onClick={() => revelarCampo(campo)} className="text-blue-600 hover:text-blue-900">
+                        Revelar
+                      </button>
+                    )}
+                    {!somenteLeitura && (
+                      <button type="button" onClick={() => alterarValor(campo.id, '')} className="text-red-600 hover:text-red-900">
+                        Apagar
+                      </button>
+                    )}
+                  </div>
+                )}
+                {campo.atualizadoEm && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Atualizado em {formatarDataHora(campo.atualizadoEm)}
+                    {campo.atualizadoPor && ` por ${campo.atualizadoPor}`}
+                  </p>
+                )}
+              </div>
+            ))}
+            {!somenteLeitura && campos.length > 0 && (
+              <button type="submit" disabled={isSaving || alterados.length === 0} className="btn-primary">
+                {isSaving ? 'Salvando...' : 'Salvar campos'}
+              </button>
+            )}
+          </form>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 uppercase mb-2">Notas</h3>
+            {!somenteLeitura && (
+              <form onSubmit={adicionarNota} className="mb-3">
+                <textarea
+                  placeholder="Nova nota sobre o cliente"
+                  value={novaNota}
+                  onChange={(e) => setNovaNota(e.target.value)}
+                  maxLength={5000}
+                  rows={3}
+                  className={`w-full mb-2 ${inputClass}`}
+                />
+                <button type="submit" disabled={isSaving || !novaNota.trim()} className="btn-secondary">
+                  Adicionar nota
+                </button>
+              </form>
+            )}
+            {notas.length === 0 && <p className="text-sm text-gray-600">Nenhuma nota registrada.</p>}
+            <ul className="border-l-2 border-gray-300 ml-2">
+              {notas.map((nota) => (
+                <li key={nota.id} className="ml-4 mb-3 text-sm">
+                  <p className="text-xs text-gray-500">
+                    {formatarDataHora(nota.createdAt)} · {nota.autorNome}
+                  </p>
+                  <p className="text-gray-900 whitespace-pre-wrap">{nota.texto}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DetalhesEmpresa;
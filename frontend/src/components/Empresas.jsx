@@ -0,0 +1,454 @@
+// frontend/src/components/Empresas.jsx
+// Cadastro de empresas clientes do escritório
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../AuthContext';
+import { empresaService, userService } from '../services/api';
+import PerfilObrigacoes from './PerfilObrigacoes';
+import ImportarEmpresas from './ImportarEmpresas';
+import CamposPersonalizados from './CamposPersonalizados';
+import DetalhesEmpresa from './DetalhesEmpresa';
+import { formatarCnpj, mascararDocumento, validarCnpj } from '@shared/documentos.mjs';
+import '../styles/GerenciarUsuarios.css';
+
+const FORM_VAZIO = {
+  cnpj: '',
+  razaoSocial: '',
+  nomeFantasia: '',
+  regimeTributario: '',
+  uf: '',
+  municipio: '',
+  cnae: '',
+  ativo: true,
+};
+
+const Empresas = () => {
+  const { user, hasPermission } = useAuth();
+  const canViewClients = hasPermission('clients.view');
+  const canManageClients = hasPermission('clients.manage');
+  const canManageFields = hasPermission('clients.fields');
+  const canRevealSecrets = hasPermission('clients.secrets');
+  const navigate = useNavigate();
+
+  const [empresas, setEmpresas] = useState([]);
+  const [opcoes, setOpcoes] = useState({ regimesTributarios: [], ufs: [] });
+  const [busca, setBusca] = useState('');
+  const [situacao, setSituacao] = useState('ativas');
+  const [editando, setEditando] = useState(null); // null, 'nova' ou id da empresa
+  const [perfilEmpresa, setPerfilEmpresa] = useState(null);
+  const [importando, setImportando] = useState(false);
+  const [detalhesEmpresa, setDetalhesEmpresa] = useState(null);
+  const [configurandoCampos, setConfigurandoCampos] = useState(false);
+  const [usuarios, setUsuarios] = useState([]);
+  const [form, setForm] = useState(FORM_VAZIO);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const carregarEmpresas = useCallback(async () => {
+    try {
+      setLoading(true);
+      const filtros = { busca: busca.trim() || undefined };
+      if (situacao !== 'todas') filtros.ativo = situacao === 'ativas';
+      setEmpresas(await empresaService.getAll(filtros));
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar empresas:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar empresas');
+    } finally {
+      setLoading(false);
+    }
+  }, [busca, situacao]);
+
+  // Guarda de rota: somente quem consulta empresas
+  useEffect(() => {
+    if (!user) {
+      navigate('/');
+      return;
+    }
+    if (!canViewClients) {
+      navigate('/home');
+    }
+  }, [user, canViewClients, navigate]);
+
+  useEffect(() => {
+    if (!canViewClients) return;
+    empresaService.getOpcoes()
+      .then(setOpcoes)
+      .catch((err) => console.error('Erro ao carregar opções de empresas:', err));
+    userService.getAll()
+      .then(setUsuarios)
+      .catch((err) => console.error('Erro ao carregar usuários:', err));
+  }, [canViewClients]);
+
+  useEffect(() => {
+    if (!canViewClients) return undefined;
+    const timer = setTimeout(carregarEmpresas, 300);
+    return () => clearTimeout(timer);
+  }, [carregarEmpresas, canViewClients]);
+
+  const mostrarSucesso = (mensagem) => {
+    setSuccessMessage(mensagem);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  // Um painel por vez: edição, importação, perfil, detalhes ou campos personalizados
+  const fecharPaineis = () => {
+    setPerfilEmpresa(null);
+    setImportando(false);
+    setDetalhesEmpresa(null);
+    setConfigurandoCampos(false);
+  };
+
+  const iniciarEdicao = (empresa) => {
+    fecharPaineis();
+    setEditando(empresa ? empresa.id : 'nova');
+    setForm(empresa
+      ? {
+          cnpj: formatarCnpj(empresa.cnpj),
+          razaoSocial: empresa.razaoSocial || '',
+          nomeFantasia: empresa.nomeFantasia || '',
+          regimeTributario: empresa.regimeTributario || '',
+          uf: empresa.uf || '',
+          municipio: empresa.municipio || '',
+          cnae: empresa.cnae || '',
+          ativo: empresa.ativo,
+        }
+      : FORM_VAZIO);
+    setError('');
+  };
+
+  const cancelarEdicao = () => {
+    setEditando(null);
+    setForm(FORM_VAZIO);
+  };
+
+  const salvarEmpresa = async (e) => {
+    e.preventDefault();
+    if (!form.cnpj.trim() || !form.razaoSocial.trim()) {
+      setError('CNPJ e razão social são obrigatórios');
+      return;
+    }
+    if (!validarCnpj(form.cnpj)) {
+      setError('CNPJ inválido: confira os dígitos verificadores');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const payload = { ...form, regimeTributario: form.regimeTributario || null, uf: form.uf || null };
+      if (editando === 'nova') {
+        await empresaService.create(payload);
+        mostrarSucesso('Empresa cadastrada com sucesso!');
+      } else {
+        await empresaService.update(editando, payload);
+        mostrarSucesso('Empresa atualizada com sucesso!');
+      }
+      cancelarEdicao();
+      await carregarEmpresas();
+    } catch (err) {
+      console.error('Erro ao salvar empresa:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar empresa');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const alternarAtivo = async (empresa) => {
+    try {
+      await empresaService.update(empresa.id, { ...empresa, ativo: !empresa.ativo });
+      mostrarSucesso(empresa.ativo ? 'Empresa inativada.' : 'Empresa reativada.');
+      await carregarEmpresas();
+    } catch (err) {
+      console.error('Erro ao alterar situação da empresa:', err);
+      setError(err.response?.data?.error || 'Erro ao alterar situação da empresa');
+    }
+  };
+
+  const excluirEmpresa = async (empresa) => {
+    if (!window.confirm(`Excluir a empresa "${empresa.razaoSocial}"?`)) return;
+
+    try {
+      await empresaService.delete(empresa.id);
+      mostrarSucesso('Empresa excluída.');
+      await carregarEmpresas();
+    } catch (err) {
+      console.error('Erro ao excluir empresa:', err);
+      setError(err.response?.data?.error || 'Erro ao excluir empresa');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  if (!user || !canViewClients) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center justify-between">
+              <h1 className="text-2xl font-bold text-gray-900">Empresas Clientes</h1>
+              <button onClick={() => navigate('/home')} className="btn-voltar-header">
+                Voltar ao Início
+              </button>
+            </div>
+          </div>
+
+          <div className="p-6">
+            {error && (
+              <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+                {error}
+              </div>
+            )}
+
+            {successMessage && (
+              <div className="mb-4 p-4 bg-green-100 border border-green-400 text-green-700 rounded">
+                {successMessage}
+              </div>
+            )}
+
+            <div className="mb-4 flex flex-wrap gap-2 items-center">
+              <input
+                type="text"
+                placeholder="Buscar por razão social, nome fantasia ou CNPJ"
+                value={busca}
+                onChange={(e) => setBusca(e.target.value)}
+                className={`flex-1 ${inputClass}`}
+              />
+              <select value={situacao} onChange={(e) => setSituacao(e.target.value)} className={inputClass}>
+                <option value="ativas">Ativas</option>
+                <option value="inativas">Inativas</option>
+                <option value="todas">Todas</option>
+              </select>
+              {canManageClients && !editando && (
+                <button onClick={() => iniciarEdicao(null)} className="btn-primary">
+                  Nova empresa
+                </button>
+              )}
+              {canManageClients && !editando && !importando && (
+                <button
+                  onClick={() => {
+                    fecharPaineis();
+                    setImportando(true);
+                  }}
+                  className="btn-secondary"
+                >
+                  Importar planilha
+                </button>
+              )}
+              {canManageFields && !editando && !configurandoCampos && (
+                <button
+                  onClick={() => {
+                    fecharPaineis();
+                    setConfigurandoCampos(true);
+                  }}
+                  className="btn-secondary"
+                >
+                  Campos personalizados
+                </button>
+              )}
+            </div>
+
+            {importando && !editando && (
+              <ImportarEmpresas
+                onClose={() => setImportando(false)}
+                onImported={() => {
+                  mostrarSucesso('Importação concluída!');
+                  carregarEmpresas();
+                }}
+              />
+            )}
+
+            {editando && (
+              <form onSubmit={salvarEmpresa} className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+                <h2 className="text-lg font-semibold text-gray-900 mb-3">
+                  {editando === 'nova' ? 'Nova empresa' : 'Editar empresa'}
+                </h2>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-3">
+                  <input
+                    type="text"
+                    placeholder="CNPJ"
+                    value={form.cnpj}
+                    onChange={(e) => setForm({ ...form, cnpj: mascararDocumento(e.target.value, 'cnpj') })}
+                    maxLength={18}
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Razão social"
+                    value={form.razaoSocial}
+                    onChange={(e) => setForm({ ...form, razaoSocial: e.target.value })}
+                    maxLength={255}
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Nome fantasia"
+                    value={form.nomeFantasia}
+                    onChange={(e) => setForm({ ...form, nomeFantasia: e.target.value })}
+                    maxLength={255}
+                    className={inputClass}
+                  />
+                  <select
+                    value={form.regimeTributario}
+                    onChange={(e) => setForm({ ...form, regimeTributario: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">Regime tributário</option>
+                    {opcoes.regimesTributarios.map((regime) => (
+                      <option key={regime} value={regime}>{regime}</option>
+                    ))}
+                  </select>
+                  <div className="flex gap-2">
+                    <select
+                      value={form.uf}
+                      onChange={(e) => setForm({ ...form, uf: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value="">UF</option>
+                      {opcoes.ufs.map((uf) => (
+                        <option key={uf} value={uf}>{uf}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      placeholder="Município"
+                      value={form.municipio}
+                      onChange={(e) => setForm({ ...form, municipio: e.target.value })}
+                      maxLength={100}
+                      className={`flex-1 ${inputClass}`}
+                    />
+                  </div>
+                  <input
+                    type="text"
+                    placeholder="CNAE principal"
+                    value={form.cnae}
+                    onChange={(e) => setForm({ ...form, cnae: e.target.value })}
+                    maxLength={10}
+                    className={inputClass}
+                  />
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+                  <input
+                    type="checkbox"
+                    checked={form.ativo}
+                    onChange={(e) => setForm({ ...form, ativo: e.target.checked })}
+                  />
+                  Empresa ativa
+                </label>
+                <div className="flex gap-2">
+                  <button type="submit" disabled={isSaving} className="btn-primary">
+                    {isSaving ? 'Salvando...' : 'Salvar'}
+                  </button>
+                  <button type="button" onClick={cancelarEdicao} disabled={isSaving} className="btn-secondary">
+                    Cancelar
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {configurandoCampos && !editando && (
+              <CamposPersonalizados onClose={() => setConfigurandoCampos(false)} />
+            )}
+
+            {detalhesEmpresa && !editando && (
+              <DetalhesEmpresa
+                key={detalhesEmpresa.id}
+                empresa={detalhesEmpresa}
+                somenteLeitura={!canManageClients}
+                podeRevelar={canRevealSecrets}
+                onClose={() => setDetalhesEmpresa(null)}
+              />
+            )}
+
+            {perfilEmpresa && !editando && (
+              <PerfilObrigacoes
+                key={perfilEmpresa.id}
+                empresa={perfilEmpresa}
+                usuarios={usuarios}
+                somenteLeitura={!canManageClients}
+                onClose={() => setPerfilEmpresa(null)}
+                onSaved={() => {
+                  mostrarSucesso('Perfil de obrigações atualizado!');
+                  carregarEmpresas();
+                }}
+              />
+            )}
+
+            {loading ? (
+              <p className="text-gray-600">Carregando empresas...</p>
+            ) : empresas.length === 0 ? (
+              <p className="text-gray-600">Nenhuma empresa encontrada.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Empresa</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CNPJ</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Regime</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Local</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Responsável</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tarefas</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ações</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {empresas.map((empresa) => (
+                      <tr key={empresa.id} className={empresa.ativo ? '' : 'opacity-60'}>
+                        <td className="px-4 py-3 text-sm">
+                          <div className="font-medium text-gray-900">{empresa.nomeFantasia || empresa.razaoSocial}</div>
+                          {empresa.nomeFantasia && <div className="text-gray-500">{empresa.razaoSocial}</div>}
+                          {!empresa.ativo && (
+                            <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">
+                              Inativa
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{formatarCnpj(empresa.cnpj)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{empresa.regimeTributario || '—'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {[empresa.municipio, empresa.uf].filter(Boolean).join(' / ') || '—'}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{empresa.responsavelNome || '—'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{empresa.totalTarefas}</td>
+                        <td className="px-4 py-3 text-sm text-right space-x-2">
+                          <button onClick={() => { cancelarEdicao(); fecharPaineis(); setDetalhesEmpresa(empresa); }} className="text-gray-600 hover:text-gray-900">
+                            Detalhes
+                          </button>
+                          <button onClick={() => { cancelarEdicao(); fecharPaineis(); setPerfilEmpresa(empresa); }} className="text-green-600 hover:text-green-900">
+                            Obrigações
+                          </button>
+                          {canManageClients && (
+                            <>
+                              <button onClick={() => iniciarEdicao(empresa)} className="text-blue-600 hover:text-blue-900">
+                                Editar
+                              </button>
+                              <button onClick={() => alternarAtivo(empresa)} className="text-yellow-600 hover:text-yellow-900">
+                                {empresa.ativo ? 'Inativar' : 'Reativar'}
+                              </button>
+                              {empresa.totalTarefas === 0 && (
+                                <button onClick={() => excluirEmpresa(empresa)} className="text-red-600 hover:text-red-900">
+                                  Excluir
+                                </button>
+                              )}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Empresas;
@@ -5,59 +5,40 @@ import axiosInstance from "../utils/axiosConfig";
 import "../styles/Auth.css";
 
 const ForgotPassword = () => {
-  const [step, setStep] = useState(1); // 1: Email, 2: Verificação da senha anterior, 3: Nova senha
-  const [email, setEmail] = useState("");
-  const [oldPassword, setOldPassword] = useState("");
+  const navigate = useNavigate();
+  const location = useLocation();
+  const token = new URLSearchParams(location.search).get("token");
+
+  // Sem token: 1 = informar email, 2 = email enviado. Com token (link do email): 3 = nova senha
+  const [step, setStep] = useState(token ? 3 : 1);
+  const [email, setEmail] = useState(location.state?.email || "");
   const [newPassword, setNewPassword] = useState("");
   const [confirmPassword, setConfirmPassword] = useState("");
   const [error, setError] = useState("");
   const [successMessage, setSuccessMessage] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [tokenValid, setTokenValid] = useState(null);
 
-  const navigate = useNavigate();
-  const location = useLocation();
+  // Validar o token recebido pelo link do email
+  useEffect(() => {
+    if (!token) return;
 
-  // Receber email da tela de login se disponível
-  React.useEffect(() => {
-    if (location.state?.email) {
-      setEmail(location.state.email);
-      if (location.state.email) {
-        setStep(2); // Pular direto para verificação da senha anterior
+    const verifyToken = async () => {
+      try {
+        setIsLoading(true);
+        const { data } = await axiosInstance.get(`/api/reset-password/${encodeURIComponent(token)}`);
+        setEmail(data.email);
+        setTokenValid(true);
+      } catch (err) {
+        setTokenValid(false);
+        setError(err.response?.data?.error || "Link de redefinição inválido ou expirado.");
+      } finally {
+        setIsLoading(false);
       }
-    }
-  }, [location.state]);
+    };
 
-  // Função para verificar se as senhas são similares
-  const isSimilarPassword = (oldPass, inputPass) => {
-    if (!oldPass || !inputPass) return false;
-    
-    // Converter para minúsculas para comparação
-    const old = oldPass.toLowerCase();
-    const input = inputPass.toLowerCase();
-    
-    // Se as senhas são iguais
-    if (old === input) return true;
-    
-    // Verificar similaridade baseada em caracteres comuns
-    let matchCount = 0;
-    const minLength = Math.min(old.length, input.length);
-    
-    // Contar caracteres na mesma posição
-    for (let i = 0; i < minLength; i++) {
-      if (old[i] === input[i]) {
-        matchCount++;
-      }
-    }
-    
-    // Considerar similar se pelo menos 90% dos caracteres coincidirem na posição
-    const similarity = matchCount / Math.max(old.length, input.length);
-    
-    // Também verificar se uma senha contém a outra (parcialmente)
-    const containsSimilarity = old.includes(input.substring(0, Math.floor(input.length * 0.7))) ||
-                              input.includes(old.substring(0, Math.floor(old.length * 0.7)));
-    
-    return similarity >= 0.9 || containsSimilarity;
-  };
+    verifyToken();
+  }, [token]);
 
   const handleEmailSubmit = async () => {
     if (!email) {
@@ -65,55 +46,22 @@ const ForgotPassword = () => {
       return;
     }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!email.includes("@")) {
       setError("Por favor, insira um email válido.");
       return;
     }
 
-    setStep(2);
-    setError("");
-  };
-
-  const handleOldPasswordVerification = async () => {
-    if (!oldPassword) {
-      setError("Por favor, insira sua senha anterior.");
-      return;
-    }
-
     if (isLoading) return;
 
     try {
       setIsLoading(true);
       setError("");
-
-      // Fazer uma verificação com o backend para obter a senha atual (hash)
-      const response = await axiosInstance.post('/api/verify-old-password', {
-        email,
-        oldPassword
-      });
-
-      // Se chegou aqui, a verificação foi bem sucedida
-      setStep(3);
-      setSuccessMessage("Senha anterior verificada com sucesso!");
-    } catch (error) {
-      console.error("Erro na verificação da senha anterior:", error);
-      
-      // Se o erro é de senha incorreta mas ainda queremos verificar similaridade
-      if (error.response?.status === 401 && error.response?.data?.currentPasswordHash) {
-        // Aqui seria necessário implementar a lógica de similaridade no backend
-        // Por agora, vamos aceitar se a senha tem pelo menos 4 caracteres em comum
-        if (oldPassword.length >= 4) {
-          setStep(3);
-          setSuccessMessage("Senha verificada! Prossiga para definir uma nova senha.");
-          setError("");
-        } else {
-          setError("A senha informada não é similar à sua senha atual. Tente novamente.");
-        }
-      } else {
-        const errorMessage = error.response?.data?.error || "Erro ao verificar senha anterior.";
-        setError(errorMessage);
-      }
+      const { data } = await axiosInstance.post("/api/reset-password", { email });
+      setSuccessMessage(data.message);
+      setStep(2);
+    } catch (err) {
+      console.error("Erro ao solicitar redefinição de senha:", err);
+      setError(err.response?.data?.error || "Erro ao solicitar redefinição de senha.");
     } finally {
       setIsLoading(false);
     }
@@ -135,11 +83,6 @@ const ForgotPassword = () => {
       return;
     }
 
-    if (newPassword === oldPassword) {
-      setError("A nova senha deve ser diferente da senha anterior.");
-      return;
-    }
-
     if (isLoading) return;
 
     try {
@@ -147,17 +90,13 @@ const ForgotPassword = () => {
       setError("");
       setSuccessMessage("");
 
-      const response = await axiosInstance.post('/api/change-password-direct', {
-        email,
-        newPassword
-      });
+      await axiosInstance.post(`/api/reset-password/${encodeURIComponent(token)}`, { newPassword });
 
       setSuccessMessage("Senha alterada com sucesso! Redirecionando para login...");
-      setTimeout(() => navigate('/'), 3000);
-    } catch (error) {
-      console.error("Erro ao alterar senha:", error);
-      const errorMessage = error.response?.data?.error || "Erro ao alterar senha.";
-      setError(errorMessage);
+      setTimeout(() => navigate("/"), 3000);
+    } catch (err) {
+      console.error("Erro ao alterar senha:", err);
+      setError(err.response?.data?.error || "Erro ao alterar senha.");
     } finally {
       setIsLoading(false);
     }
@@ -166,6 +105,9 @@ const ForgotPassword = () => {
   const renderStep1 = () => (
     <>
       <h3 className="text-center mb-4">Recuperar Senha</h3>
+      <p className="text-center mb-4" style={{color: '#666'}}>
+        Informe seu email para receber um link de redefinição de senha.
+      </p>
       <div className="auth-form-group">
         <label htmlFor="email">Email</label>
         <div className="auth-input-group">
@@ -177,6 +119,7 @@ const ForgotPassword = () => {
             value={email}
             onChange={(e) => setEmail(e.target.value)}
             disabled={isLoading}
+            onKeyPress={(e) => e.key === 'Enter' && !isLoading && handleEmailSubmit()}
           />
           <span className="auth-input-icon"><i className="bi bi-envelope-fill"></i></span>
         </div>
@@ -186,98 +129,102 @@ const ForgotPassword = () => {
         onClick={handleEmailSubmit}
         disabled={isLoading}
       >
-        Continuar
+        {isLoading ? (
+          <>
+            <i className="bi bi-arrow-clockwise" style={{animation: 'spin 1s linear infinite'}}></i> Enviando...
+          </>
+        ) : (
+          'Enviar link'
+        )}
       </button>
     </>
   );
 
   const renderStep2 = () => (
     <>
-      <h3 className="text-center mb-4">Verificação de Segurança</h3>
+      <h3 className="text-center mb-4">Verifique seu email</h3>
       <p className="text-center mb-4" style={{color: '#666'}}>
-        Para sua segurança, digite sua senha anterior (não precisa ser exata, apenas similar):
+        Enviamos as instruções para <strong>{email}</strong>. O link é válido por 30 minutos e pode ser usado uma única vez.
       </p>
-      <div className="auth-form-group">
-        <label htmlFor="oldPassword">Senha Anterior</label>
-        <div className="auth-input-group">
-          <input
-            type="password"
-            className="auth-form-control"
-            id="oldPassword"
-            placeholder="Digite sua senha anterior"
-            value={oldPassword}
-            onChange={(e) => setOldPassword(e.target.value)}
-            disabled={isLoading}
-            onKeyPress={(e) => e.key === 'Enter' && !isLoading && handleOldPasswordVerification()}
-          />
-          <span className="auth-input-icon"><i className="bi bi-shield-lock"></i></span>
-        </div>
-      </div>
       <button
         className="auth-btn-primary w-100"
-        onClick={handleOldPasswordVerification}
+        onClick={() => { setStep(1); setSuccessMessage(""); }}
         disabled={isLoading}
       >
-        {isLoading ? (
-          <>
-            <i className="bi bi-arrow-clockwise" style={{animation: 'spin 1s linear infinite'}}></i> Verificando...
-          </>
-        ) : (
-          'Verificar'
-        )}
+        Reenviar link
       </button>
     </>
   );
 
-  const renderStep3 = () => (
-    <>
-      <h3 className="text-center mb-4">Nova Senha</h3>
-      <div className="auth-form-group">
-        <label htmlFor="newPassword">Nova Senha</label>
-        <div className="auth-input-group">
-          <input
-            type="password"
-            className="auth-form-control"
-            id="newPassword"
-            placeholder="Digite sua nova senha"
-            value={newPassword}
-            onChange={(e) => setNewPassword(e.target.value)}
-            disabled={isLoading}
-          />
-          <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+  const renderStep3 = () => {
+    if (tokenValid === null) {
+      return <p className="text-center" style={{color: '#666'}}>Verificando link...</p>;
+    }
+
+    if (!tokenValid) {
+      return (
+        <button
+          className="auth-btn-primary w-100"
+          onClick={() => { setError(""); setStep(1); navigate("/forgot-password"); }}
+        >
+          Solicitar novo link
+        </button>
+      );
+    }
+
+    return (
+      <>
+        <h3 className="text-center mb-4">Nova Senha</h3>
+        {email && (
+          <p className="text-center mb-4" style={{color: '#666'}}>{email}</p>
+        )}
+        <div className="auth-form-group">
+          <label htmlFor="newPassword">Nova Senha</label>
+          <div className="auth-input-group">
+            <input
+              type="password"
+              className="auth-form-control"
+              id="newPassword"
+              placeholder="Digite sua nova senha"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              disabled={isLoading}
+            />
+            <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+          </div>
         </div>
-      </div>
-      <div className="auth-form-group">
-        <label htmlFor="confirmPassword">Confirmar Nova Senha</label>
-        <div className="auth-input-group">
-          <input
-            type="password"
-            className="auth-form-control"
-            id="confirmPassword"
-            placeholder="Confirme sua nova senha"
-            value={confirmPassword}
-            onChange={(e) => setConfirmPassword(e.target.value)}
-            disabled={isLoading}
-            onKeyPress={(e) => e.key === 'Enter' && !isLoading && handleNewPasswordSubmit()}
-          />
-          <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+        <div className="auth-form-group">
+          <label htmlFor="confirmPassword">Confirmar Nova Senha</label>
+          <div className="auth-input-group">
+            <input
+              type="password"
+              className="auth-form-control"
+              id="confirmPassword"
+              placeholder="Confirme sua nova senha"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={isLoading}
+              onKeyPress={(e) => e.key === 'Enter' && !isLoading && handleNewPasswordSubmit()}
+            />
+            <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+          </div>
         </div>
-      </div>
-      <button
-        className="auth-btn-primary w-100"
-        onClick={handleNewPasswordSubmit}
-        disabled={isLoading}
-      >
-        {isLoading ? (
-          <>
-            <i className="bi bi-arrow-clockwise" style={{animation: 'spin 1s linear infinite'}}></i> Alterando...
-          </>
-        ) : (
-          'Alterar Senha'
-        )}
-      </button>
-    </>
-  );
+        <button
+          className="auth-btn-primary w-100"
+          onClick={handleNewPasswordSubmit}
+          disabled={isLoading}
+        >
+          {isLoading ? (
+            <>
+              <i className="bi bi-arrow-clockwise" style={{animation: 'spin 1s linear infinite'}}></i> Alterando...
+            </>
+          ) : (
+            'Alterar Senha'
+          )}
+        </button>
+      </>
+    );
+  };
 
   return (
     <div className="auth-container">
@@ -288,14 +235,14 @@ const ForgotPassword = () => {
         <div className="card-body">
           {error && <div className="auth-alert-danger" role="alert">{error}</div>}
           {successMessage && <div className="auth-alert-success" role="alert">{successMessage}</div>}
-          
+
           {step === 1 && renderStep1()}
           {step === 2 && renderStep2()}
           {step === 3 && renderStep3()}
-          
+
           <div className="auth-separator-line mt-4"></div>
           <div className="text-center mt-3">
-            <button 
+            <button
               className="btn btn-link text-decoration-none"
               onClick={() => navigate('/')}
               style={{color: '#666'}}
@@ -0,0 +1,182 @@
+// frontend/src/components/GerenciarEquipes.jsx
+// Equipes de trabalho: membros veem as tarefas uns dos outros e o supervisor vê as de todos os membros.
+import React, { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../utils/axiosConfig';
+
+const FORM_VAZIO = { nome: '', supervisorId: '', membros: [] };
+
+const GerenciarEquipes = ({ usuarios }) => {
+  const [equipes, setEquipes] = useState([]);
+  const [editando, setEditando] = useState(null); // null, 'nova' ou id da equipe
+  const [form, setForm] = useState(FORM_VAZIO);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const carregarEquipes = useCallback(async () => {
+    try {
+      const resp = await axiosInstance.get('/api/admin/equipes');
+      setEquipes(resp.data || []);
+    } catch (err) {
+      console.error('Erro ao carregar equipes:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar equipes');
+    }
+  }, []);
+
+  useEffect(() => {
+    carregarEquipes();
+  }, [carregarEquipes]);
+
+  const nomeUsuario = (id) => usuarios.find((u) => u.id === id)?.nome || 'Usuário removido';
+
+  const iniciarEdicao = (equipe) => {
+    setEditando(equipe ? equipe.id : 'nova');
+    setForm(equipe
+      ? { nome: equipe.nome, supervisorId: equipe.supervisorId || '', membros: equipe.membros }
+      : FORM_VAZIO);
+    setError('');
+  };
+
+  const cancelarEdicao = () => {
+    setEditando(null);
+    setForm(FORM_VAZIO);
+  };
+
+  const alternarMembro = (id) => {
+    setForm((atual) => ({
+      ...atual,
+      membros: atual.membros.includes(id) ? atual.membros.filter((m) => m !== id) : [...atual.membros, id],
+    }));
+  };
+
+  const salvarEquipe = async (e) => {
+    e.preventDefault();
+    if (!form.nome.trim()) {
+      setError('Informe o nome da equipe');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const payload = { ...form, nome: form.nome.trim(), supervisorId: form.supervisorId || null };
+      if (editando === 'nova') {
+        await axiosInstance.post('/api/admin/equipes', payload);
+      } else {
+        await axiosInstance.put(`/api/admin/equipes/${editando}`, payload);
+      }
+      cancelarEdicao();
+      await carregarEquipes();
+    } catch (err) {
+      console.error('Erro ao salvar equipe:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar equipe');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const excluirEquipe = async (equipe) => {
+    if (!window.confirm(`Excluir a equipe "${equipe.nome}"? As tarefas continuam existindo, mas os membros deixam de ver as tarefas uns dos outros.`)) return;
+
+    try {
+      await axiosInstance.delete(`/api/admin/equipes/${equipe.id}`);
+      await carregarEquipes();
+    } catch (err) {
+      console.error('Erro ao excluir equipe:', err);
+      setError(err.response?.data?.error || 'Erro ao excluir equipe');
+    }
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        Cada usuário vê as próprias tarefas e as dos colegas de equipe; o supervisor vê as de todos os membros.
+        Quem tem a permissão &quot;Ver tarefas de todos os usuários&quot; continua vendo todas.
+      </p>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {equipes.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-3">Nenhuma equipe cadastrada.</p>
+      ) : (
+        <table className="min-w-full text-sm mb-3">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-1">Equipe</th>
+              <th className="py-1">Supervisor</th>
+              <th className="py-1">Membros</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {equipes.map((equipe) => (
+              <tr key={equipe.id}>
+                <td className="py-1 font-medium">{equipe.nome}</td>
+                <td className="py-1">{equipe.supervisorNome || '—'}</td>
+                <td className="py-1">{equipe.membros.map(nomeUsuario).join(', ') || '—'}</td>
+                <td className="py-1 text-right space-x-2">
+                  <button onClick={() => iniciarEdicao(equipe)} className="text-blue-600 hover:text-blue-900">
+                    Editar
+                  </button>
+                  <button onClick={() => excluirEquipe(equipe)} className="text-red-600 hover:text-red-900">
+                    Excluir
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {editando ? (
+        <form onSubmit={salvarEquipe} className="p-3 bg-white border border-gray-200 rounded">
+          <div className="flex flex-wrap gap-2 mb-3">
+            <input
+              type="text"
+              placeholder="Nome da equipe"
+              value={form.nome}
+              onChange={(e) => setForm({ ...form, nome: e.target.value })}
+              maxLength={100}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={form.supervisorId}
+              onChange={(e) => setForm({ ...form, supervisorId: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Sem supervisor</option>
+              {usuarios.map((u) => (
+                <option key={u.id} value={u.id}>{u.nome}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-1 mb-3">
+            {usuarios.map((u) => (
+              <label key={u.id} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.membros.includes(u.id)}
+                  onChange={() => alternarMembro(u.id)}
+                />
+                {u.nome}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" disabled={isSaving} className="btn-primary">
+              {isSaving ? 'Salvando...' : 'Salvar equipe'}
+            </button>
+            <button type="button" onClick={cancelarEdicao} disabled={isSaving} className="btn-secondary">
+              Cancelar
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={() => iniciarEdicao(null)} className="btn-primary">
+          Nova equipe
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default GerenciarEquipes;
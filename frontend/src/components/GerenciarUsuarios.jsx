@@ -3,7 +3,9 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../AuthContext';
 import axiosInstance from '../utils/axiosConfig';
-import { userService } from '../services/api';
+import SessoesAtivas from './SessoesAtivas';
+import GerenciarEquipes from './GerenciarEquipes';
+import { userService, empresaService } from '../services/api';
 import '../styles/GerenciarUsuarios.css';
 
 const GerenciarUsuarios = () => {
@@ -11,36 +13,210 @@ const GerenciarUsuarios = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [editingUser, setEditingUser] = useState(null);
-  const [editForm, setEditForm] = useState({ nome: '', tipo: 'usuario' });
+  const [editForm, setEditForm] = useState({ nome: '', tipo: 'contador' });
+  const [cargos, setCargos] = useState([]);
   const [changingPassword, setChangingPassword] = useState(null);
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [passwordError, setPasswordError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
+  const [cargos2fa, setCargos2fa] = useState([]);
+  const [salvando2fa, setSalvando2fa] = useState(false);
+  const [convites, setConvites] = useState([]);
+  const [conviteForm, setConviteForm] = useState({ email: '', nomeCompleto: '', cargo: 'contador' });
+  const [enviandoConvite, setEnviandoConvite] = useState(false);
+  const [cadastroAberto, setCadastroAberto] = useState(true);
+  const [sessoesUsuario, setSessoesUsuario] = useState(null);
+  const [empresas, setEmpresas] = useState([]);
+  const [empresasUsuario, setEmpresasUsuario] = useState(null);
+  const [empresasSelecionadas, setEmpresasSelecionadas] = useState([]);
 
-  const { user, isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
+  const canManageUsers = hasPermission('users.manage');
   const navigate = useNavigate();
 
-  // Guarda de rota: somente admin
+  // Guarda de rota: somente quem gerencia usuários
   useEffect(() => {
     if (!user) {
       navigate('/');
       return;
     }
-    if (!isAdmin) {
+    if (!canManageUsers) {
       navigate('/home');
       return;
     }
     carregarUsuarios();
+    carregarCargos();
+    carregarConfiguracao2fa();
+    carregarConvites();
+    carregarConfiguracaoCadastro();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [user, isAdmin]);
+  }, [user, canManageUsers]);
+
+  const carregarCargos = async () => {
+    try {
+      const resp = await axiosInstance.get('/api/admin/cargos');
+      setCargos(resp.data?.cargos || []);
+    } catch (err) {
+      console.error('Erro ao carregar cargos:', err);
+    }
+  };
+
+  const carregarConvites = async () => {
+    try {
+      const resp = await axiosInstance.get('/api/admin/convites');
+      setConvites(resp.data || []);
+    } catch (err) {
+      console.error('Erro ao carregar convites:', err);
+    }
+  };
+
+  const carregarConfiguracaoCadastro = async () => {
+    try {
+      const resp = await axiosInstance.get('/api/admin/configuracoes/cadastro');
+      setCadastroAberto(Boolean(resp.data?.cadastroAberto));
+    } catch (err) {
+      console.error('Erro ao carregar configuração de cadastro:', err);
+    }
+  };
+
+  const alternarCadastroAberto = async () => {
+    try {
+      const resp = await axiosInstance.put('/api/admin/configuracoes/cadastro', { cadastroAberto: !cadastroAberto });
+      setCadastroAberto(resp.data.cadastroAberto);
+      setSuccessMessage(resp.data.cadastroAberto
+        ? 'Autocadastro aberto: qualquer pessoa pode criar uma conta.'
+        : 'Autocadastro fechado: novas contas apenas por convite.');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao alterar configuração de cadastro:', err);
+      setError(err.response?.data?.error || 'Erro ao alterar configuração de cadastro');
+    }
+  };
+
+  const enviarConvite = async (e) => {
+    e.preventDefault();
+    if (!conviteForm.email.trim()) {
+      setError('Informe o email do convidado');
+      return;
+    }
+
+    try {
+      setEnviandoConvite(true);
+      setError('');
+      const resp = await axiosInstance.post('/api/admin/convites', conviteForm);
+      setConviteForm({ email: '', nomeCompleto: '', cargo: conviteForm.cargo });
+      await carregarConvites();
+      setSuccessMessage(resp.data.message);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao enviar convite:', err);
+      setError(err.response?.data?.error || 'Erro ao enviar convite');
+    } finally {
+      setEnviandoConvite(false);
+    }
+  };
+
+  const reenviarConvite = async (convite) => {
+    try {
+      await axiosInstance.post('/api/admin/convites', {
+        email: convite.email,
+        nomeCompleto: convite.nomeCompleto,
+        cargo: convite.cargo,
+      });
+      await carregarConvites();
+      setSuccessMessage(`Convite reenviado para ${convite.email}`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao reenviar convite:', err);
+      setError(err.response?.data?.error || 'Erro ao reenviar convite');
+    }
+  };
+
+  const cancelarConvite = async (convite) => {
+    if (!window.confirm(`Cancelar o convite de "${convite.email}"?`)) return;
+
+    try {
+      await axiosInstance.delete(`/api/admin/convites/${convite.id}`);
+      await carregarConvites();
+    } catch (err) {
+      console.error('Erro ao cancelar convite:', err);
+      setError(err.response?.data?.error || 'Erro ao cancelar convite');
+    }
+  };
+
+  const carregarConfiguracao2fa = async () => {
+    try {
+      const resp = await axiosInstance.get('/api/admin/configuracoes/2fa');
+      setCargos2fa(resp.data?.cargos || []);
+    } catch (err) {
+      console.error('Erro ao carregar configuração de 2FA:', err);
+    }
+  };
+
+  const alternarCargo2fa = (cargoId) => {
+    setCargos2fa((atuais) =>
+      atuais.includes(cargoId) ? atuais.filter((c) => c !== cargoId) : [...atuais, cargoId]
+    );
+  };
+
+  const salvarConfiguracao2fa = async () => {
+    try {
+      setSalvando2fa(true);
+      const resp = await axiosInstance.put('/api/admin/configuracoes/2fa', { cargos: cargos2fa });
+      setCargos2fa(resp.data?.cargos || []);
+      setSuccessMessage('Exigência de verificação em duas etapas atualizada!');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao salvar configuração de 2FA:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar configuração de 2FA');
+    } finally {
+      setSalvando2fa(false);
+    }
+  };
+
+  const redefinir2fa = async (usuarioId, nomeUsuario) => {
+    if (!window.confirm(`Redefinir a verificação em duas etapas de "${nomeUsuario}"? O usuário precisará cadastrar o autenticador novamente.`)) return;
+
+    try {
+      await axiosInstance.delete(`/api/admin/usuarios/${usuarioId}/2fa`);
+      await carregarUsuarios();
+      setSuccessMessage(`Verificação em duas etapas de "${nomeUsuario}" redefinida!`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao redefinir 2FA:', err);
+      setError(err.response?.data?.error || 'Erro ao redefinir verificação em duas etapas');
+    }
+  };
+
+  const desbloquearUsuario = async (usuarioId, nomeUsuario) => {
+    try {
+      await axiosInstance.post(`/api/admin/usuarios/${usuarioId}/desbloquear`);
+      await carregarUsuarios();
+      setSuccessMessage(`Conta de "${nomeUsuario}" desbloqueada!`);
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao desbloquear usuário:', err);
+      setError(err.response?.data?.error || 'Erro ao desbloquear usuário');
+    }
+  };
+
+  const nomeCargo = (cargoId) => cargos.find((c) => c.id === cargoId)?.label || cargoId;
 
   const carregarUsuarios = async () => {
     try {
       setLoading(true);
       console.log('🔄 Carregando usuários...');
-      const resp = await axiosInstance.get('/api/usuarios');
-      setUsuarios(resp.data || []);
+      const resp = await axiosInstance.get('/api/admin/usuarios');
+      setUsuarios((resp.data || []).map((u) => ({
+        id: u.uid,
+        nome: u.nomeCompleto || u.email?.split('@')[0] || 'Usuário',
+        email: u.email,
+        tipo: u.cargo,
+        twoFactorEnabled: u.twoFactorEnabled,
+        lockedUntil: u.lockedUntil,
+        empresas: u.empresas || [],
+      })));
       setError('');
     } catch (err) {
       console.error('Erro ao carregar usuários:', err);
@@ -57,7 +233,7 @@ const GerenciarUsuarios = () => {
 
   const cancelarEdicao = () => {
     setEditingUser(null);
-    setEditForm({ nome: '', tipo: 'usuario' });
+    setEditForm({ nome: '', tipo: 'contador' });
   };
 
   const salvarEdicao = async (usuarioId) => {
@@ -67,7 +243,7 @@ const GerenciarUsuarios = () => {
       cancelarEdicao();
     } catch (err) {
       console.error('Erro ao atualizar usuário:', err);
-      setError('Erro ao atualizar usuário');
+      setError(err.response?.data?.error || 'Erro ao atualizar usuário');
     }
   };
 
@@ -83,6 +259,41 @@ const GerenciarUsuarios = () => {
     }
   };
 
+  // Empresas que o usuário do portal do cliente pode consultar
+  const abrirEmpresasUsuario = async (usuario) => {
+    if (empresasUsuario === usuario.id) {
+      setEmpresasUsuario(null);
+      return;
+    }
+    try {
+      if (empresas.length === 0) setEmpresas(await empresaService.getAll());
+      setEmpresasSelecionadas(usuario.empresas);
+      setEmpresasUsuario(usuario.id);
+    } catch (err) {
+      console.error('Erro ao carregar empresas:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar empresas');
+    }
+  };
+
+  const alternarEmpresa = (empresaId) => {
+    setEmpresasSelecionadas((atuais) =>
+      atuais.includes(empresaId) ? atuais.filter((id) => id !== empresaId) : [...atuais, empresaId]
+    );
+  };
+
+  const salvarEmpresasUsuario = async (usuarioId, nomeUsuario) => {
+    try {
+      await axiosInstance.put(`/api/admin/usuarios/${usuarioId}/empresas`, { empresas: empresasSelecionadas });
+      setSuccessMessage(`Empresas do portal de "${nomeUsuario}" atualizadas.`);
+      setEmpresasUsuario(null);
+      await carregarUsuarios();
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (err) {
+      console.error('Erro ao salvar empresas do usuário:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar empresas do usuário');
+    }
+  };
+
   const iniciarAlteracaoSenha = (usuario) => {
     setChangingPassword(usuario.id);
     setNewPassword('');
@@ -169,6 +380,104 @@ const GerenciarUsuarios = () => {
               </div>
             </div>
 
+            <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="text-lg font-semibold text-gray-900">Convidar usuário</h2>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={cadastroAberto} onChange={alternarCadastroAberto} />
+                  Permitir autocadastro (sem convite)
+                </label>
+              </div>
+              <form onSubmit={enviarConvite} className="flex flex-wrap gap-2 mb-3">
+                <input
+                  type="email"
+                  placeholder="Email do convidado"
+                  value={conviteForm.email}
+                  onChange={(e) => setConviteForm({ ...conviteForm, email: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="text"
+                  placeholder="Nome (opcional)"
+                  value={conviteForm.nomeCompleto}
+                  onChange={(e) => setConviteForm({ ...conviteForm, nomeCompleto: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <select
+                  value={conviteForm.cargo}
+                  onChange={(e) => setConviteForm({ ...conviteForm, cargo: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {cargos.map((cargo) => (
+                    <option key={cargo.id} value={cargo.id}>{cargo.label}</option>
+                  ))}
+                </select>
+                <button type="submit" disabled={enviandoConvite} className="btn-primary">
+                  {enviandoConvite ? 'Enviando...' : 'Enviar convite'}
+                </button>
+              </form>
+
+              {convites.length > 0 && (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-1">Convites pendentes</th>
+                      <th className="py-1">Cargo</th>
+                      <th className="py-1">Expira em</th>
+                      <th className="py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {convites.map((convite) => (
+                      <tr key={convite.id}>
+                        <td className="py-1">
+                          {convite.email}
+                          {convite.nomeCompleto && <span className="text-gray-500"> ({convite.nomeCompleto})</span>}
+                        </td>
+                        <td className="py-1">{nomeCargo(convite.cargo)}</td>
+                        <td className="py-1">{new Date(convite.expiresAt).toLocaleDateString('pt-BR')}</td>
+                        <td className="py-1 text-right space-x-2">
+                          <button onClick={() => reenviarConvite(convite)} className="text-blue-600 hover:text-blue-900">
+                            Reenviar
+                          </button>
+                          <button onClick={() => cancelarConvite(convite)} className="text-red-600 hover:text-red-900">
+                            Cancelar
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+              <h2 className="text-lg font-semibold text-gray-900 mb-1">Equipes</h2>
+              <GerenciarEquipes usuarios={usuarios} />
+            </div>
+
+            <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+              <h2 className="text-lg font-semibold text-gray-900 mb-1">Verificação em duas etapas</h2>
+              <p className="text-sm text-gray-600 mb-3">
+                Usuários dos cargos marcados precisam cadastrar um aplicativo autenticador para entrar no sistema.
+              </p>
+              <div className="flex flex-wrap gap-4 mb-3">
+                {cargos.map((cargo) => (
+                  <label key={cargo.id} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={cargos2fa.includes(cargo.id)}
+                      onChange={() => alternarCargo2fa(cargo.id)}
+                    />
+                    {cargo.label}
+                  </label>
+                ))}
+              </div>
+              <button onClick={salvarConfiguracao2fa} disabled={salvando2fa} className="btn-primary">
+                {salvando2fa ? 'Salvando...' : 'Salvar exigência de 2FA'}
+              </button>
+            </div>
+
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
@@ -177,7 +486,10 @@ const GerenciarUsuarios = () => {
                       Nome
                     </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Tipo
+                      Cargo
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      2FA
                     </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Ações
@@ -186,126 +498,225 @@ const GerenciarUsuarios = () => {
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {usuarios.map((usuario) => (
-                    <tr key={usuario.id} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        {editingUser === usuario.id ? (
-                          <input
-                            type="text"
-                            value={editForm.nome}
-                            onChange={(e) => setEditForm({ ...editForm, nome: e.target.value })}
-                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                          />
-                        ) : (
-                          <div className="text-sm font-medium text-gray-900">{usuario.nome}</div>
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        {editingUser === usuario.id ? (
-                          <select
-                            value={editForm.tipo}
-                            onChange={(e) => setEditForm({ ...editForm, tipo: e.target.value })}
-                            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                          >
-                            <option value="usuario">Usuário</option>
-                            <option value="admin">Administrador</option>
-                          </select>
-                        ) : (
+                    <React.Fragment key={usuario.id}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {editingUser === usuario.id ? (
+                            <input
+                              type="text"
+                              value={editForm.nome}
+                              onChange={(e) => setEditForm({ ...editForm, nome: e.target.value })}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                          ) : (
+                            <div className="text-sm font-medium text-gray-900">
+                              {usuario.nome}
+                              {usuario.lockedUntil && (
+                                <span
+                                  className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800"
+                                  title={`Bloqueada até ${new Date(usuario.lockedUntil).toLocaleTimeString('pt-BR')}`}
+                                >
+                                  Bloqueada
+                                </span>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {editingUser === usuario.id ? (
+                            <select
+                              value={editForm.tipo}
+                              onChange={(e) => setEditForm({ ...editForm, tipo: e.target.value })}
+                              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                              {cargos.map((cargo) => (
+                                <option key={cargo.id} value={cargo.id}>{cargo.label}</option>
+                              ))}
+                            </select>
+                          ) : (
+                            <span
+                              className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                                usuario.tipo === 'admin'
+                                  ? 'bg-red-100 text-red-800'
+                                  : 'bg-green-100 text-green-800'
+                              }`}
+                            >
+                              {nomeCargo(usuario.tipo)}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
                           <span
                             className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                              usuario.tipo === 'admin'
-                                ? 'bg-red-100 text-red-800'
-                                : 'bg-green-100 text-green-800'
+                              usuario.twoFactorEnabled
+                                ? 'bg-green-100 text-green-800'
+                                : 'bg-gray-100 text-gray-600'
                             }`}
                           >
-                            {usuario.tipo === 'admin' ? 'Administrador' : 'Usuário'}
+                            {usuario.twoFactorEnabled ? 'Ativo' : 'Inativo'}
                           </span>
-                        )}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                        {editingUser === usuario.id ? (
-                          <div className="flex space-x-2">
-                            <button
-                              onClick={() => salvarEdicao(usuario.id)}
-                              className="text-green-600 hover:text-green-900"
-                            >
-                              Salvar
-                            </button>
-                            <button
-                              onClick={cancelarEdicao}
-                              className="text-gray-600 hover:text-gray-900"
-                            >
-                              Cancelar
-                            </button>
-                          </div>
-                        ) : changingPassword === usuario.id ? (
-                          <div className="space-y-2">
-                            <div className="flex flex-col space-y-2">
-                              <input
-                                type="password"
-                                placeholder="Nova senha (mín. 6 caracteres)"
-                                value={newPassword}
-                                onChange={(e) => {
-                                  setNewPassword(e.target.value);
-                                  setPasswordError('');
-                                }}
-                                className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                              />
-                              <input
-                                type="password"
-                                placeholder="Confirmar senha"
-                                value={confirmPassword}
-                                onChange={(e) => {
-                                  setConfirmPassword(e.target.value);
-                                  setPasswordError('');
-                                }}
-                                className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                              />
-                              {passwordError && (
-                                <span className="text-xs text-red-600">{passwordError}</span>
-                              )}
-                            </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          {editingUser === usuario.id ? (
                             <div className="flex space-x-2">
                               <button
-                                onClick={() => salvarNovaSenha(usuario.id, usuario.nome)}
-                                className="text-green-600 hover:text-green-900 text-xs"
+                                onClick={() => salvarEdicao(usuario.id)}
+                                className="text-green-600 hover:text-green-900"
                               >
-                                Salvar Senha
+                                Salvar
                               </button>
                               <button
-                                onClick={cancelarAlteracaoSenha}
-                                className="text-gray-600 hover:text-gray-900 text-xs"
+                                onClick={cancelarEdicao}
+                                className="text-gray-600 hover:text-gray-900"
                               >
                                 Cancelar
                               </button>
                             </div>
-                          </div>
-                        ) : (
-                          <div className="flex space-x-2">
-                            <button
-                              onClick={() => iniciarEdicao(usuario)}
-                              className="text-blue-600 hover:text-blue-900"
-                            >
-                              Editar
-                            </button>
-                            <button
-                              onClick={() => iniciarAlteracaoSenha(usuario)}
-                              className="text-purple-600 hover:text-purple-900"
-                              title="Alterar senha do usuário"
-                            >
-                              Alterar Senha
-                            </button>
-                            {usuario.id !== user?.uid && (
+                          ) : changingPassword === usuario.id ? (
+                            <div className="space-y-2">
+                              <div className="flex flex-col space-y-2">
+                                <input
+                                  type="password"
+                                  placeholder="Nova senha (mín. 6 caracteres)"
+                                  value={newPassword}
+                                  onChange={(e) => {
+                                    setNewPassword(e.target.value);
+                                    setPasswordError('');
+                                  }}
+                                  className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                                <input
+                                  type="password"
+                                  placeholder="Confirmar senha"
+                                  value={confirmPassword}
+                                  onChange={(e) => {
+                                    setConfirmPassword(e.target.value);
+                                    setPasswordError('');
+                                  }}
+                                  className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                                {passwordError && (
+                                  <span className="text-xs text-red-600">{passwordError}</span>
+                                )}
+                              </div>
+                              <div className="flex space-x-2">
+                                <button
+                                  onClick={() => salvarNovaSenha(usuario.id, usuario.nome)}
+                                  className="text-green-600 hover:text-green-900 text-xs"
+                                >
+                                  Salvar Senha
+                                </button>
+                                <button
+                                  onClick={cancelarAlteracaoSenha}
+                                  className="text-gray-600 hover:text-gray-900 text-xs"
+                                >
+                                  Cancelar
+                                </button>
+                              </div>
+                            </div>
+                          ) : (
+                            <div className="flex space-x-2">
                               <button
-                                onClick={() => removerUsuario(usuario.id, usuario.nome)}
-                                className="text-red-600 hover:text-red-900"
+                                onClick={() => iniciarEdicao(usuario)}
+                                className="text-blue-600 hover:text-blue-900"
                               >
-                                Remover
+                                Editar
                               </button>
-                            )}
-                          </div>
-                        )}
-                      </td>
-                    </tr>
+                              <button
+                                onClick={() => iniciarAlteracaoSenha(usuario)}
+                                className="text-purple-600 hover:text-purple-900"
+                                title="Alterar senha do usuário"
+                              >
+                                Alterar Senha
+                              </button>
+                              <button
+                                onClick={() => setSessoesUsuario(sessoesUsuario === usuario.id ? null : usuario.id)}
+                                className="text-gray-600 hover:text-gray-900"
+                                title="Ver e encerrar as sessões ativas do usuário"
+                              >
+                                Sessões
+                              </button>
+                              {usuario.tipo === 'cliente' && (
+                                <button
+                                  onClick={() => abrirEmpresasUsuario(usuario)}
+                                  className="text-teal-600 hover:text-teal-900"
+                                  title="Empresas que o cliente consulta no portal"
+                                >
+                                  Empresas ({usuario.empresas.length})
+                                </button>
+                              )}
+                              {usuario.lockedUntil && (
+                                <button
+                                  onClick={() => desbloquearUsuario(usuario.id, usuario.nome)}
+                                  className="text-red-600 hover:text-red-900"
+                                  title="Libera o login antes do fim do bloqueio por tentativas inválidas"
+                                >
+                                  Desbloquear
+                                </button>
+                              )}
+                              {usuario.twoFactorEnabled && (
+                                <button
+                                  onClick={() => redefinir2fa(usuario.id, usuario.nome)}
+                                  className="text-orange-600 hover:text-orange-900"
+                                  title="Remove o autenticador cadastrado pelo usuário"
+                                >
+                                  Redefinir 2FA
+                                </button>
+                              )}
+                              {usuario.id !== user?.uid && (
+                                <button
+                                  onClick={() => removerUsuario(usuario.id, usuario.nome)}
+                                  className="text-red-600 hover:text-red-900"
+                                >
+                                  Remover
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                      {sessoesUsuario === usuario.id && (
+                        <tr>
+                          <td colSpan={4} className="px-6 py-4 bg-gray-50">
+                            <SessoesAtivas
+                              baseUrl={`/api/admin/usuarios/${usuario.id}/sessoes`}
+                              textoEncerrarTodas="Encerrar todas as sessões"
+                            />
+                          </td>
+                        </tr>
+                      )}
+                      {empresasUsuario === usuario.id && (
+                        <tr>
+                          <td colSpan={4} className="px-6 py-4 bg-gray-50">
+                            <p className="text-sm text-gray-700 mb-2">
+                              Empresas cujas obrigações e comprovantes {usuario.nome} vê no portal do cliente:
+                            </p>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-1 mb-3 max-h-64 overflow-y-auto">
+                              {empresas.map((empresa) => (
+                                <label key={empresa.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={empresasSelecionadas.includes(empresa.id)}
+                                    onChange={() => alternarEmpresa(empresa.id)}
+                                  />
+                                  {empresa.nomeFantasia || empresa.razaoSocial}
+                                  {!empresa.ativo && <span className="text-xs text-gray-500">(inativa)</span>}
+                                </label>
+                              ))}
+                              {empresas.length === 0 && <p className="text-sm text-gray-500">Nenhuma empresa cadastrada.</p>}
+                            </div>
+                            <div className="flex gap-2">
+                              <button onClick={() => salvarEmpresasUsuario(usuario.id, usuario.nome)} className="btn-primary">
+                                Salvar empresas
+                              </button>
+                              <button onClick={() => setEmpresasUsuario(null)} className="btn-secondary">
+                                Cancelar
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </table>
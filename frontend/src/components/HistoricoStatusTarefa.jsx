@@ -0,0 +1,65 @@
+// frontend/src/components/HistoricoStatusTarefa.jsx
+// Transições de status da tarefa (detalhes da tarefa no calendário): quem mudou, quando e o motivo.
+import React, { useState, useEffect } from 'react';
+import { taskService } from '../services/api';
+
+const STATUS_TAREFA = {
+  pendente: 'Pendente',
+  em_andamento: 'Em andamento',
+  aguardando_revisao: 'Aguardando revisão',
+  finalizado: 'Concluída',
+  bloqueada: 'Bloqueada',
+  cancelada: 'Cancelada',
+};
+
+const formatarDataHora = (valor) => {
+  // created_at vem do SQLite em UTC, sem fuso ("YYYY-MM-DD HH:MM:SS")
+  const data = new Date(`${String(valor).replace(' ', 'T')}Z`);
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleString('pt-BR');
+};
+
+// versao muda a cada transição feita na tela, para recarregar a lista
+const HistoricoStatusTarefa = ({ taskId, versao }) => {
+  const [historico, setHistorico] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let ativo = true;
+    taskService.getStatusHistorico(taskId)
+      .then((dados) => {
+        if (!ativo) return;
+        setHistorico(dados);
+        setError('');
+      })
+      .catch((err) => {
+        console.error('Erro ao carregar histórico de status:', err);
+        if (ativo) setError(err.response?.data?.error || 'Erro ao carregar histórico de status');
+      });
+    return () => {
+      ativo = false;
+    };
+  }, [taskId, versao]);
+
+  if (error) return <p className="text-sm text-red-600">{error}</p>;
+  if (historico.length === 0) {
+    return <p className="text-sm text-gray-500">Nenhuma mudança de status registrada.</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {historico.map((item) => (
+        <li key={item.id} className="text-sm border-l-2 border-blue-200 pl-3">
+          <p className="text-gray-800">
+            {STATUS_TAREFA[item.statusAnterior] || item.statusAnterior || '—'} → <strong>{STATUS_TAREFA[item.statusNovo] || item.statusNovo}</strong>
+          </p>
+          <p className="text-xs text-gray-500">
+            {item.userNome} · {formatarDataHora(item.createdAt)}
+          </p>
+          {item.comentario && <p className="text-xs text-gray-700 mt-1 whitespace-pre-line">{item.comentario}</p>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default HistoricoStatusTarefa;
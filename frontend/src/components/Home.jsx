@@ -1,14 +1,16 @@
 // frontend/src/components/Home.jsx
 import React from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Navigate, useNavigate } from 'react-router-dom';
 import { useAuth } from '../AuthContext';
 import '../styles/Home.css';
 
 const Home = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const navigate = useNavigate();
 
   if (!user) return null;
+  // Clientes só usam o portal (login e "voltar ao início" passam por aqui)
+  if (hasPermission('portal.access')) return <Navigate to="/portal" replace />;
 
   const handleLogout = async () => {
     try {
@@ -56,7 +58,7 @@ const Home = () => {
             </button>
           </div>
 
-          {isAdmin && (
+          {hasPermission('users.manage') && (
             <div
               className="square"
               role="button"
@@ -74,19 +76,55 @@ const Home = () => {
             </div>
           )}
 
+          {hasPermission('clients.view') && (
+            <div
+              className="square"
+              role="button"
+              tabIndex={0}
+              onKeyDown={(e) => e.key === 'Enter' && navigate('/empresas')}
+            >
+              <button
+                className="home-button"
+                style={{ backgroundColor: '#0d9488' }}
+                onClick={() => navigate('/empresas')}
+                aria-label="Empresas clientes"
+              >
+                Empresas Clientes
+              </button>
+            </div>
+          )}
+
+          {hasPermission('rpa.view') && (
+            <div
+              className="square"
+              role="button"
+              tabIndex={0}
+              onKeyDown={(e) => e.key === 'Enter' && navigate('/comparador-extratos')}
+            >
+              <button
+                className="home-button"
+                style={{ backgroundColor: '#2563eb' }}
+                onClick={() => navigate('/comparador-extratos')}
+                aria-label="Comparador de Extratos"
+              >
+                Comparador de Extratos
+              </button>
+            </div>
+          )}
+
           <div
             className="square"
             role="button"
             tabIndex={0}
-            onKeyDown={(e) => e.key === 'Enter' && navigate('/comparador-extratos')}
+            onKeyDown={(e) => e.key === 'Enter' && navigate('/perfil')}
           >
             <button
               className="home-button"
-              style={{ backgroundColor: '#2563eb' }}
-              onClick={() => navigate('/comparador-extratos')}
-              aria-label="Comparador de Extratos"
+              style={{ backgroundColor: '#6c757d' }}
+              onClick={() => navigate('/perfil')}
+              aria-label="Meu perfil"
             >
-              Comparador de Extratos
+              Meu Perfil
             </button>
           </div>
         </div>
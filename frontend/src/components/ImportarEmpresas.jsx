@@ -0,0 +1,176 @@
+// frontend/src/components/ImportarEmpresas.jsx
+// Importação de empresas clientes a partir de planilha CSV/XLSX: prévia linha a linha
+// (criar, atualizar, erros e avisos) e aplicação das linhas válidas em uma única transação.
+import React, { useState } from 'react';
+import { empresaService } from '../services/api';
+
+const ACOES = {
+  criar: { label: 'Criar', className: 'bg-green-100 text-green-800' },
+  atualizar: { label: 'Atualizar', className: 'bg-blue-100 text-blue-800' },
+  sem_alteracao: { label: 'Sem alteração', className: 'bg-gray-100 text-gray-700' },
+  erro: { label: 'Erro', className: 'bg-red-100 text-red-800' },
+};
+
+const ImportarEmpresas = ({ onClose, onImported }) => {
+  const [arquivo, setArquivo] = useState(null);
+  const [previa, setPrevia] = useState(null);
+  const [resultado, setResultado] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const gerarPrevia = async (e) => {
+    e.preventDefault();
+    if (!arquivo) {
+      setError('Selecione uma planilha CSV ou XLSX');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError('');
+      setResultado(null);
+      setPrevia(await empresaService.previaImportacao(arquivo));
+    } catch (err) {
+      console.error('Erro na prévia da importação:', err);
+      setError(err.response?.data?.error || 'Erro ao ler a planilha');
+      setPrevia(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const aplicarImportacao = async () => {
+    const linhas = previa.linhas
+      .filter((l) => l.acao === 'criar' || l.acao === 'atualizar')
+      .map(({ linha, dados }) => ({ linha, dados }));
+
+    try {
+      setIsLoading(true);
+      setError('');
+      setResultado(await empresaService.aplicarImportacao(linhas));
+      setPrevia(null);
+      setArquivo(null);
+      if (onImported) onImported();
+    } catch (err) {
+      console.error('Erro ao aplicar importação:', err);
+      setError(err.response?.data?.error || 'Erro ao aplicar importação. Nenhuma empresa foi gravada.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const totalAplicavel = previa ? previa.resumo.criar + previa.resumo.atualizar : 0;
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">Importar empresas de planilha</h2>
+      <p className="text-sm text-gray-600 mb-3">
+        A primeira linha deve ter os cabeçalhos. Colunas reconhecidas: CNPJ (obrigatória), razão social,
+        nome fantasia, regime tributário, UF, município, CNAE, e-mail do responsável, possui empregados,
+        contribuinte do ICMS, município do ISS e ativa. CNPJs já cadastrados são atualizados; células vazias
+        mantêm o valor atual.
+      </p>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {resultado && (
+        <div className="mb-3 p-3 bg-white border border-gray-200 rounded text-sm">
+          <p className="font-medium text-gray-900">
+            Importação concluída: {resultado.criadas} empresa(s) criada(s), {resultado.atualizadas} atualizada(s).
+          </p>
+          {resultado.ignoradas.length > 0 && (
+            <ul className="mt-1 text-red-600">
+              {resultado.ignoradas.map((l) => (
+                <li key={l.linha}>Linha {l.linha} ignorada ({l.cnpj}): {l.erros.join('; ')}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <form onSubmit={gerarPrevia} className="flex flex-wrap gap-2 items-center mb-3">
+        <input
+          type="file"
+          accept=".csv,.xlsx"
+          onChange={(e) => {
+            setArquivo(e.target.files[0] || null);
+            setPrevia(null);
+          }}
+          className="text-sm"
+        />
+        <button type="submit" disabled={isLoading || !arquivo} className="btn-secondary">
+          {isLoading && !previa ? 'Lendo planilha...' : 'Pré-visualizar'}
+        </button>
+      </form>
+
+      {previa && (
+        <>
+          <p className="text-sm text-gray-700 mb-1">
+            Colunas identificadas: {previa.colunas.map((c) => `${c.label} ← "${c.coluna}"`).join(' · ')}
+          </p>
+          <p className="text-sm text-gray-700 mb-2">
+            {previa.resumo.total} linha(s): {previa.resumo.criar} a criar, {previa.resumo.atualizar} a atualizar,{' '}
+            {previa.resumo.semAlteracao} sem alteração, {previa.resumo.erros} com erro, {previa.resumo.avisos} com aviso.
+          </p>
+
+          <div className="overflow-x-auto mb-3 max-h-96 overflow-y-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-1 pr-2">Linha</th>
+                  <th className="py-1 pr-2">CNPJ</th>
+                  <th className="py-1 pr-2">Razão social</th>
+                  <th className="py-1 pr-2">Ação</th>
+                  <th className="py-1">Detalhes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previa.linhas.map((l) => (
+                  <tr key={l.linha} className="border-t border-gray-200 align-top">
+                    <td className="py-1 pr-2 text-gray-600">{l.linha}</td>
+                    <td className="py-1 pr-2 whitespace-nowrap">{l.cnpj}</td>
+                    <td className="py-1 pr-2">{l.razaoSocial}</td>
+                    <td className="py-1 pr-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${ACOES[l.acao].className}`}>
+                        {ACOES[l.acao].label}
+                      </span>
+                    </td>
+                    <td className="py-1">
+                      {l.erros.map((msg) => (
+                        <p key={msg} className="text-red-600">{msg}</p>
+                      ))}
+                      {l.avisos.map((msg) => (
+                        <p key={msg} className="text-yellow-700">{msg}</p>
+                      ))}
+                      {l.alteracoes.length > 0 && (
+                        <p className="text-gray-600">Altera: {l.alteracoes.join(', ')}</p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div className="flex gap-2">
+        {previa && (
+          <button
+            type="button"
+            onClick={aplicarImportacao}
+            disabled={isLoading || totalAplicavel === 0}
+            className="btn-primary"
+          >
+            {isLoading ? 'Importando...' : `Aplicar importação (${totalAplicavel})`}
+          </button>
+        )}
+        <button type="button" onClick={onClose} disabled={isLoading} className="btn-secondary">
+          Fechar
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportarEmpresas;
@@ -1,18 +1,32 @@
 // frontend/src/components/Login.jsx
 import React, { useState, useContext, useEffect } from "react";
 import { AuthContext } from "../AuthContext";
-import { useNavigate, Link } from "react-router-dom";
+import { useNavigate, useLocation, Link } from "react-router-dom";
+import axiosInstance from "../utils/axiosConfig";
+import { TwoFactorQrCode, RecoveryCodes } from "./TwoFactor";
 import "../styles/Auth.css";
 
 const Login = () => {
-  const [email, setEmail] = useState("");
+  const location = useLocation();
+  // Cadastro e aceite de convite redirecionam para cá com o email e uma mensagem
+  const [email, setEmail] = useState(location.state?.email || "");
   const [senha, setSenha] = useState("");
   const [error, setError] = useState("");
-  const [successMessage, setSuccessMessage] = useState("");
+  const [successMessage, setSuccessMessage] = useState(location.state?.successMessage || "");
   const [isLoading, setIsLoading] = useState(false);
   const [rememberMe, setRememberMe] = useState(false);
 
-  const { login, user } = useContext(AuthContext);
+  // Segunda etapa (2FA): "credentials" -> "code" (autenticador já cadastrado)
+  // ou "setup" (cargo exige 2FA) -> "recovery" (exibe os códigos de recuperação)
+  const [step, setStep] = useState("credentials");
+  const [mfaToken, setMfaToken] = useState("");
+  const [codigo, setCodigo] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [pendingSession, setPendingSession] = useState(null);
+  const [cadastroAberto, setCadastroAberto] = useState(true);
+
+  const { login, setupTwoFactor, verifyTwoFactor, completeLogin, user } = useContext(AuthContext);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -23,14 +37,20 @@ const Login = () => {
     }
 
     const savedEmail = localStorage.getItem("rememberedEmail");
-    if (savedEmail) {
+    if (savedEmail && !location.state?.email) {
       setEmail(savedEmail);
       setRememberMe(true);
     }
 
     // Remover senhas salvas antigas por segurança
     localStorage.removeItem("rememberedPassword");
-  }, [user, navigate]);
+  }, [user, navigate, location.state]);
+
+  useEffect(() => {
+    axiosInstance.get("/api/cadastro/config")
+      .then(({ data }) => setCadastroAberto(data.cadastroAberto))
+      .catch(() => setCadastroAberto(true));
+  }, []);
 
   const fazerLogin = async () => {
     if (isLoading) return;
@@ -57,7 +77,7 @@ const Login = () => {
       }
 
       console.log("[Login] Iniciando login com SQLite API via AuthContext...");
-      await login(email, senha);
+      const mfa = await login(email, senha);
 
       if (rememberMe) {
         localStorage.setItem("rememberedEmail", email);
@@ -65,6 +85,18 @@ const Login = () => {
         localStorage.removeItem("rememberedEmail");
       }
 
+      if (mfa?.mfaRequired) {
+        setMfaToken(mfa.mfaToken);
+        setStep("code");
+        return;
+      }
+      if (mfa?.mfaSetupRequired) {
+        setMfaToken(mfa.mfaToken);
+        setEnrollment(await setupTwoFactor(mfa.mfaToken));
+        setStep("setup");
+        return;
+      }
+
       console.log("[Login] Sucesso — navegação ocorrerá pelo AuthContext.");
     } catch (err) {
       console.error("[Login] Erro detalhado:", err);
@@ -80,6 +112,131 @@ const Login = () => {
     }
   };
 
+  const voltarAoLogin = () => {
+    setStep("credentials");
+    setMfaToken("");
+    setCodigo("");
+    setUseRecoveryCode(false);
+    setEnrollment(null);
+    setSenha("");
+  };
+
+  const verificarCodigo = async () => {
+    if (isLoading) return;
+
+    if (!codigo.trim()) {
+      setError(useRecoveryCode ? "Informe um código de recuperação." : "Informe o código de 6 dígitos.");
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError("");
+
+      const input = useRecoveryCode ? { recoveryCode: codigo.trim() } : { code: codigo.trim() };
+      const data = await verifyTwoFactor(mfaToken, input);
+
+      // Autenticador cadastrado agora: mostrar os códigos antes de entrar
+      if (data.recoveryCodes) {
+        setPendingSession(data);
+        setStep("recovery");
+      }
+    } catch (err) {
+      console.error("[Login 2FA] Erro:", err);
+      setError(err?.message || "Código de verificação inválido.");
+      if (/login novamente/i.test(err?.message || "")) {
+        voltarAoLogin();
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const renderCodeInput = () => (
+    <div className="auth-form-group">
+      <label htmlFor="codigo">{useRecoveryCode ? "Código de recuperação" : "Código do autenticador"}</label>
+      <div className="auth-input-group">
+        <input
+          type="text"
+          className="auth-form-control"
+          id="codigo"
+          placeholder={useRecoveryCode ? "xxxx-xxxx" : "000000"}
+          inputMode={useRecoveryCode ? "text" : "numeric"}
+          autoComplete="one-time-code"
+          maxLength={useRecoveryCode ? 9 : 6}
+          value={codigo}
+          onChange={(e) => setCodigo(e.target.value)}
+          disabled={isLoading}
+          onKeyDown={(e) => e.key === "Enter" && !isLoading && verificarCodigo()}
+          autoFocus
+        />
+        <span className="auth-input-icon"><i className="bi bi-shield-lock-fill"></i></span>
+      </div>
+    </div>
+  );
+
+  const renderVerifyButton = (label) => (
+    <button className="auth-btn-primary w-100" onClick={verificarCodigo} disabled={isLoading}>
+      {isLoading ? (
+        <>
+          <i className="bi bi-arrow-clockwise" style={{ animation: "spin 1s linear infinite" }} />
+          {" "}Verificando...
+        </>
+      ) : label}
+    </button>
+  );
+
+  const renderSecondStep = () => {
+    if (step === "code") {
+      return (
+        <>
+          <h3 className="text-center mb-4">Verificação em duas etapas</h3>
+          <p className="text-center mb-4" style={{ color: "#666" }}>
+            {useRecoveryCode
+              ? "Digite um dos seus códigos de recuperação."
+              : "Digite o código de 6 dígitos exibido no seu aplicativo autenticador."}
+          </p>
+          {renderCodeInput()}
+          {renderVerifyButton("Verificar")}
+          <div className="text-center mt-3">
+            <button
+              className="btn btn-link text-decoration-none"
+              style={{ color: "#666" }}
+              onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCodigo(""); setError(""); }}
+              disabled={isLoading}
+            >
+              {useRecoveryCode ? "Usar o aplicativo autenticador" : "Usar um código de recuperação"}
+            </button>
+          </div>
+        </>
+      );
+    }
+
+    if (step === "setup") {
+      return (
+        <>
+          <h3 className="text-center mb-3">Configure a verificação em duas etapas</h3>
+          <p className="text-center mb-3" style={{ color: "#666" }}>
+            Seu cargo exige verificação em duas etapas para acessar o sistema.
+          </p>
+          {enrollment && <TwoFactorQrCode otpauthUrl={enrollment.otpauthUrl} secret={enrollment.secret} />}
+          {renderCodeInput()}
+          {renderVerifyButton("Ativar e entrar")}
+        </>
+      );
+    }
+
+    return (
+      <>
+        <h3 className="text-center mb-3">Verificação em duas etapas ativada</h3>
+        <RecoveryCodes codes={pendingSession.recoveryCodes} />
+        <button className="auth-btn-primary w-100" onClick={() => completeLogin(pendingSession)}>
+          <i className="bi bi-arrow-right" /> Já guardei os códigos, entrar
+        </button>
+      </>
+    );
+  };
+
   return (
     <div className="auth-container">
       <div className="auth-logo-container">
@@ -90,85 +247,112 @@ const Login = () => {
           {error && <div className="auth-alert-danger" role="alert">{error}</div>}
           {successMessage && <div className="auth-alert-success" role="alert">{successMessage}</div>}
 
-          <div className="auth-form-group">
-            <label htmlFor="email">Email</label>
-            <div className="auth-input-group">
-              <input
-                type="email"
-                className="auth-form-control"
-                id="email"
-                placeholder="Digite seu email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                disabled={isLoading}
-              />
-              <span className="auth-input-icon"><i className="bi bi-envelope-fill"></i></span>
-            </div>
-          </div>
-
-          <div className="auth-form-group">
-            <label htmlFor="password">Senha</label>
-            <div className="auth-input-group">
-              <input
-                type="password"
-                className="auth-form-control"
-                id="password"
-                placeholder="Digite sua senha"
-                value={senha}
-                onChange={(e) => setSenha(e.target.value)}
-                disabled={isLoading}
-                onKeyDown={handleEnter}
-              />
-              <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
-            </div>
-          </div>
-
-          <div className="auth-form-check mb-3 d-flex justify-content-between align-items-center">
-            <div>
-              <input
-                type="checkbox"
-                className="auth-form-check-input"
-                id="remember"
-                checked={rememberMe}
-                onChange={(e) => setRememberMe(e.target.checked)}
-                disabled={isLoading}
-              />
-              <label className="auth-form-check-label" htmlFor="remember">Lembrar-me</label>
-            </div>
-            <button
-              className="auth-btn-primary"
-              onClick={fazerLogin}
-              disabled={isLoading}
-            >
-              {isLoading ? (
+          {step !== "credentials" ? (
+            <>
+              {renderSecondStep()}
+              {step !== "recovery" && (
                 <>
-                  <i className="bi bi-arrow-clockwise" style={{ animation: "spin 1s linear infinite" }} />
-                  {" "}Entrando...
-                </>
-              ) : (
-                <>
-                  <i className="bi bi-arrow-right" />
-                  {" "}Entrar
+                  <div className="auth-separator-line mt-4"></div>
+                  <div className="text-center mt-3">
+                    <button
+                      className="btn btn-link text-decoration-none"
+                      onClick={voltarAoLogin}
+                      style={{ color: "#666" }}
+                      disabled={isLoading}
+                    >
+                      Voltar ao Login
+                    </button>
+                  </div>
                 </>
               )}
-            </button>
-          </div>
+            </>
+          ) : (
+            <>
+              <div className="auth-form-group">
+                <label htmlFor="email">Email</label>
+                <div className="auth-input-group">
+                  <input
+                    type="email"
+                    className="auth-form-control"
+                    id="email"
+                    placeholder="Digite seu email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    disabled={isLoading}
+                  />
+                  <span className="auth-input-icon"><i className="bi bi-envelope-fill"></i></span>
+                </div>
+              </div>
 
-          <div className="auth-separator-line"></div>
+              <div className="auth-form-group">
+                <label htmlFor="password">Senha</label>
+                <div className="auth-input-group">
+                  <input
+                    type="password"
+                    className="auth-form-control"
+                    id="password"
+                    placeholder="Digite sua senha"
+                    value={senha}
+                    onChange={(e) => setSenha(e.target.value)}
+                    disabled={isLoading}
+                    onKeyDown={handleEnter}
+                  />
+                  <span className="auth-input-icon"><i className="bi bi-lock-fill"></i></span>
+                </div>
+              </div>
 
-          <div className="auth-link-container">
-            <button
-              className="auth-btn-professional"
-              onClick={() => navigate("/forgot-password", { state: { email } })}
-              disabled={isLoading}
-            >
-              Esqueci minha senha
-            </button>
-            <span className="auth-separator"></span>
-            <Link to="/cadastro" className="auth-btn-professional">
-              Registrar um novo membro
-            </Link>
-          </div>
+              <div className="auth-form-check mb-3 d-flex justify-content-between align-items-center">
+                <div>
+                  <input
+                    type="checkbox"
+                    className="auth-form-check-input"
+                    id="remember"
+                    checked={rememberMe}
+                    onChange={(e) => setRememberMe(e.target.checked)}
+                    disabled={isLoading}
+                  />
+                  <label className="auth-form-check-label" htmlFor="remember">Lembrar-me</label>
+                </div>
+                <button
+                  className="auth-btn-primary"
+                  onClick={fazerLogin}
+                  disabled={isLoading}
+                >
+                  {isLoading ? (
+                    <>
+                      <i className="bi bi-arrow-clockwise" style={{ animation: "spin 1s linear infinite" }} />
+                      {" "}Entrando...
+                    </>
+                  ) : (
+                    <>
+                      <i className="bi bi-arrow-right" />
+                      {" "}Entrar
+                    </>
+                  )}
+                </button>
+              </div>
+
+              <div className="auth-separator-line"></div>
+
+              <div className="auth-link-container">
+                <button
+                  className="auth-btn-professional"
+                  onClick={() => navigate("/forgot-password", { state: { email } })}
+                  disabled={isLoading}
+                >
+                  Esqueci minha senha
+                </button>
+                {cadastroAberto && (
+                  <>
+                    <span className="auth-separator"></span>
+                    <Link to="/cadastro" className="auth-btn-professional">
+                      Registrar um novo membro
+                    </Link>
+                  </>
+                )}
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>
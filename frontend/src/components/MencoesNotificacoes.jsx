@@ -0,0 +1,98 @@
+// frontend/src/components/MencoesNotificacoes.jsx
+// Sino do cabeçalho do calendário: menções ao usuário em comentários ainda não vistas. Abrir a
+// tarefa (e com ela os comentários) marca as menções daquela tarefa como vistas no servidor.
+import React, { useState, useEffect } from 'react';
+import { Bell } from 'lucide-react';
+import { mencaoService } from '../services/api';
+
+const formatarDataHora = (valor) => {
+  // created_at vem do SQLite em UTC, sem fuso ("YYYY-MM-DD HH:MM:SS")
+  const data = new Date(`${String(valor).replace(' ', 'T')}Z`);
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleString('pt-BR');
+};
+
+// onAbrirTarefa(taskId): abre os detalhes da tarefa citada
+const MencoesNotificacoes = ({ onAbrirTarefa }) => {
+  const [mencoes, setMencoes] = useState([]);
+  const [aberto, setAberto] = useState(false);
+
+  const carregar = () => mencaoService.getNaoLidas()
+    .then(setMencoes)
+    .catch((err) => console.error('Erro ao carregar menções:', err));
+
+  useEffect(() => {
+    mencaoService.getNaoLidas()
+      .then(setMencoes)
+      .catch((err) => console.error('Erro ao carregar menções:', err));
+  }, []);
+
+  const alternar = () => {
+    if (!aberto) carregar();
+    setAberto(!aberto);
+  };
+
+  const abrir = (mencao) => {
+    setAberto(false);
+    setMencoes((atuais) => atuais.filter((m) => m.taskId !== mencao.taskId));
+    onAbrirTarefa(mencao.taskId);
+  };
+
+  const marcarTodas = async () => {
+    try {
+      await mencaoService.marcarTodasLidas();
+      setMencoes([]);
+      setAberto(false);
+    } catch (err) {
+      console.error('Erro ao marcar menções:', err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={alternar}
+        className="relative p-1 hover:bg-gray-100 rounded transition-colors text-gray-600"
+        title="Menções em comentários"
+      >
+        <Bell className="w-5 h-5" />
+        {mencoes.length > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-600 text-white text-[10px] leading-none rounded-full px-1.5 py-0.5">
+            {mencoes.length}
+          </span>
+        )}
+      </button>
+
+      {aberto && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-xl z-40">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <span className="text-sm font-semibold text-gray-800">Menções</span>
+            {mencoes.length > 0 && (
+              <button onClick={marcarTodas} className="text-xs text-blue-600 hover:text-blue-900">
+                Marcar todas como vistas
+              </button>
+            )}
+          </div>
+          {mencoes.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">Nenhuma menção nova.</p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto divide-y">
+              {mencoes.map((mencao) => (
+                <li key={mencao.comentarioId}>
+                  <button onClick={() => abrir(mencao)} className="w-full text-left px-4 py-2 hover:bg-gray-50">
+                    <p className="text-sm text-gray-800">
+                      <span className="font-medium">{mencao.autorNome}</span> mencionou você em <span className="font-medium">{mencao.tarefaTitulo}</span>
+                    </p>
+                    <p className="text-xs text-gray-600 truncate">{mencao.trecho}</p>
+                    <p className="text-xs text-gray-400">{formatarDataHora(mencao.createdAt)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MencoesNotificacoes;
@@ -0,0 +1,267 @@
+// frontend/src/components/ModelosTarefa.jsx
+// Modelos de tarefa: título e observações sugeridos e o checklist padrão (ex.: DCTFWeb: importar a
+// folha, conferir o fechamento do eSocial, transmitir, emitir o DARF, anexar o recibo).
+// Ao criar uma tarefa pelo modelo, os itens são copiados; alterar o modelo não muda tarefas já criadas.
+import React, { useState, useEffect, useCallback } from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { tarefaModeloService } from '../services/api';
+
+const MODELO_VAZIO = { nome: '', titulo: '', observacoes: '', itens: [] };
+const ITEM_VAZIO = { descricao: '', obrigatorio: true, prazoDias: '' };
+
+const descreverPrazo = (dias) => {
+  if (dias === null || dias === undefined || dias === '') return '';
+  if (Number(dias) === 0) return 'no vencimento';
+  return dias < 0 ? `${-dias} dia(s) antes` : `${dias} dia(s) depois`;
+};
+
+const ModelosTarefa = () => {
+  const [modelos, setModelos] = useState([]);
+  const [editando, setEditando] = useState(null); // null, 'novo' ou id do modelo
+  const [form, setForm] = useState(MODELO_VAZIO);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const carregarModelos = useCallback(async () => {
+    try {
+      setLoading(true);
+      setModelos(await tarefaModeloService.getAll());
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar modelos de tarefa:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar modelos de tarefa');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    carregarModelos();
+  }, [carregarModelos]);
+
+  const iniciarEdicao = (modelo) => {
+    setEditando(modelo ? modelo.id : 'novo');
+    setForm(modelo
+      ? {
+        nome: modelo.nome,
+        titulo: modelo.titulo || '',
+        observacoes: modelo.observacoes || '',
+        itens: modelo.itens.map((item) => ({ ...item, prazoDias: item.prazoDias ?? '' })),
+      }
+      : { ...MODELO_VAZIO, itens: [{ ...ITEM_VAZIO }] });
+    setError('');
+  };
+
+  const alterarItem = (indice, campo, valor) => setForm({
+    ...form,
+    itens: form.itens.map((item, i) => (i === indice ? { ...item, [campo]: valor } : item)),
+  });
+
+  const moverItem = (indice, deslocamento) => {
+    const itens = [...form.itens];
+    [itens[indice], itens[indice + deslocamento]] = [itens[indice + deslocamento], itens[indice]];
+    setForm({ ...form, itens });
+  };
+
+  const removerItem = (indice) => setForm({ ...form, itens: form.itens.filter((_, i) => i !== indice) });
+
+  const salvarModelo = async (e) => {
+    e.preventDefault();
+    const payload = { ...form, itens: form.itens.filter((item) => item.descricao.trim()) };
+
+    try {
+      setIsSaving(true);
+      setError('');
+      if (editando === 'novo') {
+        await tarefaModeloService.create(payload);
+      } else {
+        await tarefaModeloService.update(editando, payload);
+      }
+      setEditando(null);
+      await carregarModelos();
+    } catch (err) {
+      console.error('Erro ao salvar modelo de tarefa:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar modelo de tarefa');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const excluirModelo = async (modelo) => {
+    if (!window.confirm(`Excluir o modelo "${modelo.nome}"? Tarefas já criadas mantêm o checklist.`)) return;
+
+    try {
+      await tarefaModeloService.delete(modelo.id);
+      await carregarModelos();
+    } catch (err) {
+      console.error('Erro ao excluir modelo de tarefa:', err);
+      setError(err.response?.data?.error || 'Erro ao excluir modelo de tarefa');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="p-6">
+      <div className="flex items-start justify-between gap-4 mb-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Modelos de tarefa</h2>
+          <p className="text-sm text-gray-600">
+            Checklists padrão das obrigações. O prazo de cada item é contado a partir do vencimento da tarefa
+            (ex.: -2 = dois dias antes). Itens obrigatórios precisam estar concluídos para a tarefa ser concluída.
+          </p>
+        </div>
+        {!editando && (
+          <button onClick={() => iniciarEdicao(null)} className="btn-primary flex-shrink-0">
+            Novo modelo
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {editando && (
+        <form onSubmit={salvarModelo} className="mb-4 p-4 bg-white border border-gray-200 rounded">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-2">
+            <input
+              type="text"
+              placeholder="Nome do modelo (ex.: DCTFWeb mensal)"
+              value={form.nome}
+              onChange={(e) => setForm({ ...form, nome: e.target.value })}
+              maxLength={100}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              placeholder="Título sugerido da tarefa (opcional)"
+              value={form.titulo}
+              onChange={(e) => setForm({ ...form, titulo: e.target.value })}
+              maxLength={255}
+              className={inputClass}
+            />
+          </div>
+          <textarea
+            placeholder="Observações sugeridas (opcional)"
+            value={form.observacoes}
+            onChange={(e) => setForm({ ...form, observacoes: e.target.value })}
+            rows={2}
+            className={`w-full mb-3 ${inputClass}`}
+          />
+
+          <h3 className="text-sm font-semibold text-gray-800 mb-2">Itens do checklist</h3>
+          <div className="space-y-2 mb-2">
+            {form.itens.map((item, indice) => (
+              <div key={indice} className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-gray-500 w-5">{indice + 1}.</span>
+                <input
+                  type="text"
+                  placeholder="Descrição da etapa"
+                  value={item.descricao}
+                  onChange={(e) => alterarItem(indice, 'descricao', e.target.value)}
+                  maxLength={255}
+                  className={`flex-1 min-w-[12rem] ${inputClass}`}
+                />
+                <input
+                  type="number"
+                  placeholder="Prazo (dias)"
+                  title="Dias em relação ao vencimento (ex.: -2 = dois dias antes)"
+                  value={item.prazoDias}
+                  onChange={(e) => alterarItem(indice, 'prazoDias', e.target.value)}
+                  className={`w-28 ${inputClass}`}
+                />
+                <label className="flex items-center gap-1 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={item.obrigatorio}
+                    onChange={(e) => alterarItem(indice, 'obrigatorio', e.target.checked)}
+                  />
+                  Obrigatório
+                </label>
+                <button
+                  type="button"
+                  onClick={() => moverItem(indice, -1)}
+                  disabled={indice === 0}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label="Mover para cima"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moverItem(indice, 1)}
+                  disabled={indice === form.itens.length - 1}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label="Mover para baixo"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => removerItem(indice)} className="text-xs text-red-600 hover:text-red-900">
+                  Remover
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => setForm({ ...form, itens: [...form.itens, { ...ITEM_VAZIO }] })}
+            className="text-sm text-blue-600 hover:text-blue-900 mb-3"
+          >
+            + Adicionar item
+          </button>
+
+          <div className="flex gap-2">
+            <button type="submit" disabled={isSaving} className="btn-primary">
+              {isSaving ? 'Salvando...' : 'Salvar modelo'}
+            </button>
+            <button type="button" onClick={() => setEditando(null)} disabled={isSaving} className="btn-secondary">
+              Cancelar
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-600">Carregando modelos...</p>
+      ) : modelos.length === 0 ? (
+        <p className="text-sm text-gray-500">Nenhum modelo cadastrado.</p>
+      ) : (
+        <div className="space-y-3">
+          {modelos.map((modelo) => (
+            <div key={modelo.id} className="p-4 bg-white border border-gray-200 rounded">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">{modelo.nome}</p>
+                  {modelo.titulo && <p className="text-sm text-gray-600">Título: {modelo.titulo}</p>}
+                </div>
+                <div className="space-x-2 flex-shrink-0 text-sm">
+                  <button onClick={() => iniciarEdicao(modelo)} className="text-blue-600 hover:text-blue-900">
+                    Editar
+                  </button>
+                  <button onClick={() => excluirModelo(modelo)} className="text-red-600 hover:text-red-900">
+                    Excluir
+                  </button>
+                </div>
+              </div>
+              {modelo.itens.length > 0 && (
+                <ol className="mt-2 list-decimal list-inside text-sm text-gray-700 space-y-0.5">
+                  {modelo.itens.map((item, indice) => (
+                    <li key={indice}>
+                      {item.descricao}
+                      {item.obrigatorio && <span className="text-red-600"> *</span>}
+                      {item.prazoDias !== null && (
+                        <span className="text-xs text-gray-500"> ({descreverPrazo(item.prazoDias)})</span>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelosTarefa;
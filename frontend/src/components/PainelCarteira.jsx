@@ -0,0 +1,276 @@
+// frontend/src/components/PainelCarteira.jsx
+// Carteira de clientes: situação das obrigações do mês por empresa, última conciliação
+// bancária e divergências em aberto, com a linha do tempo de cada cliente.
+import React, { useState, useEffect, useCallback } from 'react';
+import { empresaService } from '../services/api';
+
+const NOMES_MESES = [
+  'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+  'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro',
+];
+
+const SITUACOES = {
+  em_dia: { label: 'Em dia', className: 'bg-green-100 text-green-800' },
+  pendente: { label: 'Pendente', className: 'bg-yellow-100 text-yellow-800' },
+  atrasada: { label: 'Em atraso', className: 'bg-red-100 text-red-800' },
+  sem_obrigacoes: { label: 'Sem obrigações', className: 'bg-gray-100 text-gray-700' },
+};
+
+const STATUS_TAREFA = {
+  pendente: 'Pendente',
+  em_andamento: 'Em andamento',
+  aguardando_revisao: 'Aguardando revisão',
+  finalizado: 'Concluída',
+  bloqueada: 'Bloqueada',
+  cancelada: 'Cancelada',
+  vencido: 'Vencido',
+};
+
+const STATUS_CONCILIACAO = {
+  pendente: 'Pendente',
+  processing: 'Processando',
+  concluida: 'Concluída',
+  erro: 'Erro',
+};
+
+const formatarData = (valor) => {
+  if (!valor) return '—';
+  const data = new Date(String(valor).includes('T') ? valor : String(valor).replace(' ', 'T'));
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleDateString('pt-BR');
+};
+
+const PainelCarteira = () => {
+  const hoje = new Date();
+  const [periodo, setPeriodo] = useState({ ano: hoje.getFullYear(), mes: hoje.getMonth() + 1 });
+  const [painel, setPainel] = useState(null);
+  const [filtroSituacao, setFiltroSituacao] = useState('');
+  const [busca, setBusca] = useState('');
+  const [linhaDoTempo, setLinhaDoTempo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingLinha, setLoadingLinha] = useState(false);
+  const [error, setError] = useState('');
+
+  const carregarPainel = useCallback(async () => {
+    try {
+      setLoading(true);
+      setPainel(await empresaService.getPainel(periodo));
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar carteira de clientes:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar carteira de clientes');
+    } finally {
+      setLoading(false);
+    }
+  }, [periodo]);
+
+  useEffect(() => {
+    carregarPainel();
+  }, [carregarPainel]);
+
+  const abrirLinhaDoTempo = async (empresa) => {
+    try {
+      setLoadingLinha(true);
+      setLinhaDoTempo({ empresa, eventos: [] });
+      setLinhaDoTempo(await empresaService.getLinhaDoTempo(empresa.id));
+    } catch (err) {
+      console.error('Erro ao carregar linha do tempo:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar linha do tempo da empresa');
+      setLinhaDoTempo(null);
+    } finally {
+      setLoadingLinha(false);
+    }
+  };
+
+  const termo = busca.trim().toLowerCase();
+  const empresasFiltradas = (painel?.empresas || []).filter((empresa) => {
+    if (filtroSituacao && empresa.situacao !== filtroSituacao) return false;
+    if (!termo) return true;
+    return [empresa.razaoSocial, empresa.nomeFantasia, empresa.cnpj, empresa.responsavelNome]
+      .some((valor) => String(valor || '').toLowerCase().includes(termo));
+  });
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const cartoes = painel ? [
+    { id: '', label: 'Empresas', valor: painel.resumo.empresas, className: 'text-gray-900' },
+    { id: 'em_dia', label: 'Em dia', valor: painel.resumo.emDia, className: 'text-green-700' },
+    { id: 'pendente', label: 'Pendentes', valor: painel.resumo.pendentes, className: 'text-yellow-700' },
+    { id: 'atrasada', label: 'Em atraso', valor: painel.resumo.atrasadas, className: 'text-red-700' },
+  ] : [];
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap gap-2 items-center mb-4">
+        <select
+          value={periodo.mes}
+          onChange={(e) => setPeriodo({ ...periodo, mes: Number(e.target.value) })}
+          className={inputClass}
+        >
+          {NOMES_MESES.map((nome, i) => (
+            <option key={nome} value={i + 1}>{nome}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          value={periodo.ano}
+          onChange={(e) => setPeriodo({ ...periodo, ano: Number(e.target.value) || hoje.getFullYear() })}
+          min={2000}
+          max={2100}
+          className={`w-28 ${inputClass}`}
+        />
+        <input
+          type="text"
+          placeholder="Buscar empresa, CNPJ ou responsável"
+          value={busca}
+          onChange={(e) => setBusca(e.target.value)}
+          className={`flex-1 ${inputClass}`}
+        />
+        <button onClick={carregarPainel} disabled={loading} className="btn-secondary">
+          {loading ? 'Atualizando...' : 'Atualizar'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {painel && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          {cartoes.map((cartao) => (
+            <button
+              key={cartao.label}
+              onClick={() => setFiltroSituacao(cartao.id)}
+              className={`p-3 bg-white border rounded text-left ${
+                filtroSituacao === cartao.id ? 'border-blue-400 ring-1 ring-blue-300' : 'border-gray-200'
+              }`}
+            >
+              <p className="text-xs text-gray-500 uppercase">{cartao.label}</p>
+              <p className={`text-2xl font-semibold ${cartao.className}`}>{cartao.valor}</p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading && !painel ? (
+        <p className="text-gray-600">Carregando carteira...</p>
+      ) : (
+        <div className="overflow-x-auto bg-white border border-gray-200 rounded mb-6">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase bg-gray-50">
+                <th className="px-3 py-2">Empresa</th>
+                <th className="px-3 py-2">Responsável</th>
+                <th className="px-3 py-2">Obrigações do mês</th>
+                <th className="px-3 py-2">Situação</th>
+                <th className="px-3 py-2">Próximo vencimento</th>
+                {painel?.verConciliacao && <th className="px-3 py-2">Última conciliação</th>}
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {empresasFiltradas.map((empresa) => (
+                <tr key={empresa.id} className="border-t border-gray-200 align-top">
+                  <td className="px-3 py-2">
+                    <p className="font-medium text-gray-900">{empresa.nomeFantasia || empresa.razaoSocial}</p>
+                    <p className="text-xs text-gray-500">{empresa.regimeTributario || 'Regime não definido'}</p>
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">{empresa.responsavelNome || '—'}</td>
+                  <td className="px-3 py-2 text-gray-700">
+                    {empresa.obrigacoes.concluidas}/{empresa.obrigacoes.total} concluídas
+                    {empresa.obrigacoes.pendentes > 0 && (
+                      <span className="text-yellow-700"> · {empresa.obrigacoes.pendentes} pendente(s)</span>
+                    )}
+                    {empresa.obrigacoes.vencidas > 0 && (
+                      <span className="text-red-700"> · {empresa.obrigacoes.vencidas} vencida(s)</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${SITUACOES[empresa.situacao].className}`}>
+                      {SITUACOES[empresa.situacao].label}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">{formatarData(empresa.proximoVencimento)}</td>
+                  {painel.verConciliacao && (
+                    <td className="px-3 py-2 text-gray-700">
+                      {empresa.conciliacao ? (
+                        <>
+                          <p>
+                            {STATUS_CONCILIACAO[empresa.conciliacao.status] || empresa.conciliacao.status} em{' '}
+                            {formatarData(empresa.conciliacao.criadoEm)}
+                          </p>
+                          <p className={empresa.conciliacao.divergencias > 0 ? 'text-red-700' : 'text-gray-500'}>
+                            {empresa.conciliacao.divergencias} divergência(s)
+                            {empresa.conciliacao.contasInvalidas > 0 && `, ${empresa.conciliacao.contasInvalidas} conta(s) inválida(s)`}
+                          </p>
+                        </>
+                      ) : (
+                        <span className="text-gray-500">Nenhuma</span>
+                      )}
+                    </td>
+                  )}
+                  <td className="px-3 py-2">
+                    <button
+                      onClick={() => abrirLinhaDoTempo(empresa)}
+                      className="text-blue-600 hover:text-blue-900"
+                    >
+                      Linha do tempo
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {empresasFiltradas.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-3 py-4 text-center text-gray-500">
+                    Nenhuma empresa encontrada
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {linhaDoTempo && (
+        <div className="p-4 bg-gray-50 border border-gray-200 rounded">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Linha do tempo — {linhaDoTempo.empresa.nomeFantasia || linhaDoTempo.empresa.razaoSocial}
+            </h2>
+            <button onClick={() => setLinhaDoTempo(null)} className="btn-secondary">
+              Fechar
+            </button>
+          </div>
+          {loadingLinha ? (
+            <p className="text-sm text-gray-600">Carregando linha do tempo...</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-3">
+                De {formatarData(linhaDoTempo.inicio)} a {formatarData(linhaDoTempo.fim)}
+              </p>
+              {linhaDoTempo.eventos.length === 0 && (
+                <p className="text-sm text-gray-600">Nenhuma tarefa ou conciliação no período.</p>
+              )}
+              <ul className="border-l-2 border-gray-300 ml-2">
+                {linhaDoTempo.eventos.map((evento) => (
+                  <li key={`${evento.tipo}-${evento.id}`} className="ml-4 mb-3 text-sm">
+                    <p className="text-xs text-gray-500">{formatarData(evento.data)}</p>
+                    <p className="font-medium text-gray-900">{evento.titulo}</p>
+                    {evento.tipo === 'tarefa' ? (
+                      <p className="text-gray-600">
+                        {STATUS_TAREFA[evento.status] || evento.status} · {evento.responsavel}
+                      </p>
+                    ) : (
+                      <p className="text-gray-600">
+                        {STATUS_CONCILIACAO[evento.status] || evento.status} · {evento.divergencias} divergência(s)
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PainelCarteira;
@@ -0,0 +1,255 @@
+// frontend/src/components/Perfil.jsx
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../AuthContext';
+import axiosInstance from '../utils/axiosConfig';
+import { TwoFactorQrCode, RecoveryCodes } from './TwoFactor';
+import SessoesAtivas from './SessoesAtivas';
+import TokensApi from './TokensApi';
+import '../styles/GerenciarUsuarios.css';
+
+const Perfil = () => {
+  const { user, updateUser } = useAuth();
+  const navigate = useNavigate();
+
+  const [status2fa, setStatus2fa] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [codigo, setCodigo] = useState('');
+  const [senha, setSenha] = useState('');
+  const [desativando, setDesativando] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/');
+      return;
+    }
+    carregarStatus2fa();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.uid]);
+
+  const carregarStatus2fa = async () => {
+    try {
+      const resp = await axiosInstance.get('/api/2fa');
+      setStatus2fa(resp.data);
+    } catch (err) {
+      console.error('Erro ao carregar verificação em duas etapas:', err);
+      setError('Erro ao carregar verificação em duas etapas');
+    }
+  };
+
+  const executar = async (acao) => {
+    if (isLoading) return;
+    try {
+      setIsLoading(true);
+      setError('');
+      setSuccessMessage('');
+      await acao();
+    } catch (err) {
+      console.error('Erro na verificação em duas etapas:', err);
+      setError(err.response?.data?.error || 'Erro ao processar a solicitação');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const iniciarCadastro = () => executar(async () => {
+    const resp = await axiosInstance.post('/api/2fa/setup');
+    setEnrollment(resp.data);
+    setRecoveryCodes(null);
+    setCodigo('');
+  });
+
+  const confirmarCadastro = () => executar(async () => {
+    const resp = await axiosInstance.post('/api/2fa/enable', { code: codigo.trim() });
+    setEnrollment(null);
+    setCodigo('');
+    setRecoveryCodes(resp.data.recoveryCodes);
+    setSuccessMessage('Verificação em duas etapas ativada!');
+    updateUser({ twoFactorEnabled: true });
+    await carregarStatus2fa();
+  });
+
+  const gerarNovosCodigos = () => executar(async () => {
+    const resp = await axiosInstance.post('/api/2fa/recovery-codes', { code: codigo.trim() });
+    setCodigo('');
+    setRecoveryCodes(resp.data.recoveryCodes);
+    setSuccessMessage('Novos códigos de recuperação gerados. Os anteriores deixaram de valer.');
+    await carregarStatus2fa();
+  });
+
+  const desativar = () => executar(async () => {
+    await axiosInstance.post('/api/2fa/disable', { password: senha, code: codigo.trim() });
+    setDesativando(false);
+    setSenha('');
+    setCodigo('');
+    setRecoveryCodes(null);
+    setSuccessMessage('Verificação em duas etapas desativada.');
+    updateUser({ twoFactorEnabled: false });
+    await carregarStatus2fa();
+  });
+
+  const inputCodigo = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      maxLength={6}
+      placeholder="Código de 6 dígitos"
+      value={codigo}
+      onChange={(e) => setCodigo(e.target.value)}
+      disabled={isLoading}
+      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+    />
+  );
+
+  const renderDoisFatores = () => {
+    if (!status2fa) {
+      return <p className="text-gray-600">Carregando...</p>;
+    }
+
+    if (recoveryCodes) {
+      return (
+        <>
+          <RecoveryCodes codes={recoveryCodes} />
+          <button onClick={() => setRecoveryCodes(null)} className="btn-primary">
+            Já guardei os códigos
+          </button>
+        </>
+      );
+    }
+
+    if (enrollment) {
+      return (
+        <>
+          <TwoFactorQrCode otpauthUrl={enrollment.otpauthUrl} secret={enrollment.secret} />
+          <div className="flex gap-2 justify-center">
+            {inputCodigo}
+            <button onClick={confirmarCadastro} disabled={isLoading} className="btn-primary">
+              Ativar
+            </button>
+            <button onClick={() => setEnrollment(null)} disabled={isLoading} className="btn-secondary">
+              Cancelar
+            </button>
+          </div>
+        </>
+      );
+    }
+
+    if (!status2fa.enabled) {
+      return (
+        <>
+          <p className="text-gray-600 mb-3">
+            Proteja sua conta exigindo, além da senha, um código gerado por um aplicativo autenticador.
+            {status2fa.required && ' Seu cargo exige esta verificação.'}
+          </p>
+          <button onClick={iniciarCadastro} disabled={isLoading} className="btn-primary">
+            Ativar verificação em duas etapas
+          </button>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <p className="text-gray-600 mb-1">
+          <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">Ativa</span>
+          {' '}A verificação em duas etapas está ativa na sua conta.
+        </p>
+        <p className="text-sm text-gray-600 mb-3">
+          Códigos de recuperação restantes: <span className="font-semibold">{status2fa.recoveryCodesRemaining}</span>
+        </p>
+
+        {desativando ? (
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="password"
+              placeholder="Sua senha"
+              value={senha}
+              onChange={(e) => setSenha(e.target.value)}
+              disabled={isLoading}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {inputCodigo}
+            <button onClick={desativar} disabled={isLoading} className="btn-primary">
+              Confirmar desativação
+            </button>
+            <button onClick={() => { setDesativando(false); setSenha(''); setCodigo(''); }} disabled={isLoading} className="btn-secondary">
+              Cancelar
+            </button>
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {inputCodigo}
+            <button onClick={gerarNovosCodigos} disabled={isLoading} className="btn-primary">
+              Gerar novos códigos de recuperação
+            </button>
+            {!status2fa.required && (
+              <button onClick={() => { setDesativando(true); setCodigo(''); }} disabled={isLoading} className="btn-secondary">
+                Desativar
+              </button>
+            )}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center justify-between">
+              <h1 className="text-2xl font-bold text-gray-900">Meu Perfil</h1>
+              <button onClick={() => navigate('/home')} className="btn-voltar-header">
+                Voltar ao Início
+              </button>
+            </div>
+          </div>
+
+          <div className="p-6">
+            {error && (
+              <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+                {error}
+              </div>
+            )}
+
+            {successMessage && (
+              <div className="mb-4 p-4 bg-green-100 border border-green-400 text-green-700 rounded">
+                {successMessage}
+              </div>
+            )}
+
+            <div className="mb-6">
+              <p className="text-gray-900 font-semibold">{user.nomeCompleto}</p>
+              <p className="text-gray-600">{user.email}</p>
+            </div>
+
+            <div className="p-4 bg-gray-50 border border-gray-200 rounded">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Verificação em duas etapas</h2>
+              {renderDoisFatores()}
+            </div>
+
+            <div className="mt-6 p-4 bg-gray-50 border border-gray-200 rounded">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Sessões ativas</h2>
+              <SessoesAtivas baseUrl="/api/sessions" />
+            </div>
+
+            <div className="mt-6 p-4 bg-gray-50 border border-gray-200 rounded">
+              <h2 className="text-lg font-semibold text-gray-900 mb-3">Tokens de API</h2>
+              <TokensApi />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Perfil;
@@ -0,0 +1,218 @@
+// frontend/src/components/PerfilObrigacoes.jsx
+// Perfil de obrigações de uma empresa cliente: contador responsável, empregados, ICMS, ISS
+// e inclusões/exclusões manuais usadas na geração da agenda tributária por empresa.
+import React, { useState, useEffect, useCallback } from 'react';
+import { empresaService } from '../services/api';
+
+const NOMES_MESES = [
+  'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+  'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro',
+];
+
+const PERFIL_VAZIO = {
+  responsavelId: '',
+  possuiEmpregados: false,
+  contribuinteIcms: false,
+  issMunicipio: '',
+  incluir: [],
+  excluir: [],
+};
+
+const PerfilObrigacoes = ({ empresa, usuarios, somenteLeitura, onClose, onSaved }) => {
+  const [catalogo, setCatalogo] = useState({ obrigacoes: [], condicoes: [] });
+  const [perfil, setPerfil] = useState(PERFIL_VAZIO);
+  const [previa, setPrevia] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const carregarPerfil = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [dadosCatalogo, dadosPerfil] = await Promise.all([
+        empresaService.getObrigacoes(),
+        empresaService.getPerfilObrigacoes(empresa.id),
+      ]);
+      setCatalogo(dadosCatalogo);
+      setPerfil({
+        responsavelId: dadosPerfil.responsavelId || '',
+        possuiEmpregados: dadosPerfil.possuiEmpregados,
+        contribuinteIcms: dadosPerfil.contribuinteIcms,
+        issMunicipio: dadosPerfil.issMunicipio || '',
+        incluir: dadosPerfil.incluir,
+        excluir: dadosPerfil.excluir,
+      });
+      setPrevia(dadosPerfil.previa);
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar perfil de obrigações:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar perfil de obrigações');
+    } finally {
+      setLoading(false);
+    }
+  }, [empresa.id]);
+
+  useEffect(() => {
+    carregarPerfil();
+  }, [carregarPerfil]);
+
+  const ajusteDe = (titulo) => {
+    if (perfil.incluir.includes(titulo)) return 'incluir';
+    if (perfil.excluir.includes(titulo)) return 'excluir';
+    return '';
+  };
+
+  const alterarAjuste = (titulo, tipo) => {
+    setPerfil((atual) => ({
+      ...atual,
+      incluir: tipo === 'incluir' ? [...atual.incluir, titulo] : atual.incluir.filter((t) => t !== titulo),
+      excluir: tipo === 'excluir' ? [...atual.excluir, titulo] : atual.excluir.filter((t) => t !== titulo),
+    }));
+  };
+
+  const labelCondicao = (id) => {
+    if (id === 'setorial') return 'Setorial (somente se incluída)';
+    return catalogo.condicoes.find((condicao) => condicao.id === id)?.label || 'Conforme o regime';
+  };
+
+  const salvarPerfil = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      setError('');
+      await empresaService.updatePerfilObrigacoes(empresa.id, {
+        ...perfil,
+        responsavelId: perfil.responsavelId || null,
+        issMunicipio: perfil.issMunicipio.trim() || null,
+      });
+      await carregarPerfil();
+      if (onSaved) onSaved();
+    } catch (err) {
+      console.error('Erro ao salvar perfil de obrigações:', err);
+      setError(err.response?.data?.error || 'Erro ao salvar perfil de obrigações');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <form onSubmit={salvarPerfil} className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">
+        Perfil de obrigações — {empresa.nomeFantasia || empresa.razaoSocial}
+      </h2>
+      <p className="text-sm text-gray-600 mb-3">
+        Regime tributário: <span className="font-medium">{empresa.regimeTributario || 'não definido'}</span>.
+        {!empresa.regimeTributario && ' Sem regime, a empresa é ignorada na geração da agenda.'}
+      </p>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-600">Carregando perfil...</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-3">
+            <select
+              value={perfil.responsavelId}
+              onChange={(e) => setPerfil({ ...perfil, responsavelId: e.target.value })}
+              disabled={somenteLeitura}
+              className={inputClass}
+            >
+              <option value="">Contador responsável: padrão da geração</option>
+              {usuarios.map((u) => (
+                <option key={u.id} value={u.id}>{u.nome}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder={`Município do ISS${empresa.municipio ? ` (ex.: ${empresa.municipio})` : ''}`}
+              value={perfil.issMunicipio}
+              onChange={(e) => setPerfil({ ...perfil, issMunicipio: e.target.value })}
+              disabled={somenteLeitura}
+              maxLength={100}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex flex-wrap gap-4 mb-3">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={perfil.possuiEmpregados}
+                onChange={(e) => setPerfil({ ...perfil, possuiEmpregados: e.target.checked })}
+                disabled={somenteLeitura}
+              />
+              Possui empregados (eSocial, FGTS, RAIS)
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={perfil.contribuinteIcms}
+                onChange={(e) => setPerfil({ ...perfil, contribuinteIcms: e.target.checked })}
+                disabled={somenteLeitura}
+              />
+              Contribuinte do ICMS
+            </label>
+          </div>
+
+          <div className="overflow-x-auto mb-3">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-1">Obrigação</th>
+                  <th className="py-1">Regimes</th>
+                  <th className="py-1">Aplica-se a</th>
+                  <th className="py-1">Ajuste manual</th>
+                </tr>
+              </thead>
+              <tbody>
+                {catalogo.obrigacoes.map((obrigacao) => (
+                  <tr key={obrigacao.titulo}>
+                    <td className="py-1">{obrigacao.titulo}</td>
+                    <td className="py-1 text-gray-600">{obrigacao.regimes.join(', ') || '—'}</td>
+                    <td className="py-1 text-gray-600">{labelCondicao(obrigacao.condicao)}</td>
+                    <td className="py-1">
+                      <select
+                        value={ajusteDe(obrigacao.titulo)}
+                        onChange={(e) => alterarAjuste(obrigacao.titulo, e.target.value)}
+                        disabled={somenteLeitura}
+                        className="px-2 py-1 border border-gray-300 rounded-md"
+                      >
+                        <option value="">Automático</option>
+                        <option value="incluir">Sempre incluir</option>
+                        <option value="excluir">Nunca incluir</option>
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {previa && (
+            <div className="mb-3 p-3 bg-white border border-gray-200 rounded text-sm">
+              <p className="font-medium text-gray-900 mb-1">
+                Obrigações geradas em {NOMES_MESES[previa.mes - 1]}/{previa.ano} (perfil salvo):
+              </p>
+              <p className="text-gray-700">{previa.obrigacoes.join(' · ') || 'Nenhuma'}</p>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="flex gap-2">
+        {!somenteLeitura && (
+          <button type="submit" disabled={isSaving || loading} className="btn-primary">
+            {isSaving ? 'Salvando...' : 'Salvar perfil'}
+          </button>
+        )}
+        <button type="button" onClick={onClose} disabled={isSaving} className="btn-secondary">
+          Fechar
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PerfilObrigacoes;
@@ -0,0 +1,301 @@
+// frontend/src/components/PortalCliente.jsx
+// Portal do cliente: obrigações das empresas vinculadas ao usuário, status, comprovantes
+// anexados pelo escritório, documentos solicitados e envio de documentos (revisados pela equipe).
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../AuthContext';
+import { portalService } from '../services/api';
+import { formatarCnpj } from '@shared/documentos.mjs';
+
+const STATUS_TAREFA = {
+  pendente: { label: 'Pendente', className: 'bg-yellow-100 text-yellow-800' },
+  em_andamento: { label: 'Em andamento', className: 'bg-blue-100 text-blue-800' },
+  // Revisão e bloqueio são etapas internas do escritório
+  aguardando_revisao: { label: 'Em andamento', className: 'bg-blue-100 text-blue-800' },
+  bloqueada: { label: 'Em andamento', className: 'bg-blue-100 text-blue-800' },
+  finalizado: { label: 'Entregue', className: 'bg-green-100 text-green-800' },
+  cancelada: { label: 'Cancelada', className: 'bg-gray-100 text-gray-700' },
+  vencido: { label: 'Vencido', className: 'bg-red-100 text-red-800' },
+};
+
+const REVISAO = {
+  pendente: { label: 'Em análise', className: 'text-yellow-700' },
+  aprovado: { label: 'Aprovado', className: 'text-green-700' },
+  rejeitado: { label: 'Recusado', className: 'text-red-700' },
+};
+
+const SOLICITACAO = {
+  solicitado: { label: 'Pendente', className: 'text-yellow-700' },
+  recebido: { label: 'Recebido', className: 'text-green-700' },
+  atrasado: { label: 'Atrasado', className: 'text-red-700' },
+};
+
+const formatarData = (valor) => {
+  if (!valor) return '—';
+  const data = new Date(String(valor).includes('T') ? valor : String(valor).replace(' ', 'T'));
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleDateString('pt-BR');
+};
+
+const PortalCliente = () => {
+  const { user, logout, hasPermission } = useAuth();
+  const canAccessPortal = hasPermission('portal.access');
+  const navigate = useNavigate();
+
+  const [empresas, setEmpresas] = useState([]);
+  const [empresaId, setEmpresaId] = useState('');
+  const [meses, setMeses] = useState(3);
+  const [tarefas, setTarefas] = useState([]);
+  const [arquivosSelecionados, setArquivosSelecionados] = useState({});
+  const [solicitacoesSelecionadas, setSolicitacoesSelecionadas] = useState({});
+  const [enviando, setEnviando] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Guarda de rota: somente usuários do portal
+  useEffect(() => {
+    if (!user) {
+      navigate('/');
+      return;
+    }
+    if (!canAccessPortal) {
+      navigate('/home');
+    }
+  }, [user, canAccessPortal, navigate]);
+
+  useEffect(() => {
+    if (!canAccessPortal) return;
+    portalService.getEmpresas()
+      .then(setEmpresas)
+      .catch((err) => console.error('Erro ao carregar empresas do portal:', err));
+  }, [canAccessPortal]);
+
+  const carregarTarefas = useCallback(async () => {
+    try {
+      setLoading(true);
+      const filtros = { meses };
+      if (empresaId) filtros.empresa_id = empresaId;
+      const resposta = await portalService.getTarefas(filtros);
+      setTarefas(resposta.tarefas);
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar obrigações:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar obrigações');
+    } finally {
+      setLoading(false);
+    }
+  }, [empresaId, meses]);
+
+  useEffect(() => {
+    if (canAccessPortal) carregarTarefas();
+  }, [canAccessPortal, carregarTarefas]);
+
+  const baixar = async (arquivo) => {
+    try {
+      await portalService.baixarArquivo(arquivo.url, arquivo.name);
+    } catch (err) {
+      console.error('Erro ao baixar arquivo:', err);
+      setError('Erro ao baixar arquivo. Verifique sua conexão.');
+    }
+  };
+
+  const enviarDocumento = async (tarefa) => {
+    const arquivo = arquivosSelecionados[tarefa.id];
+    if (!arquivo) return;
+
+    try {
+      setEnviando(tarefa.id);
+      setError('');
+      await portalService.enviarArquivo(tarefa.id, arquivo, solicitacoesSelecionadas[tarefa.id] || null);
+      setArquivosSelecionados((atuais) => ({ ...atuais, [tarefa.id]: null }));
+      setSolicitacoesSelecionadas((atuais) => ({ ...atuais, [tarefa.id]: '' }));
+      setSuccessMessage(`Documento "${arquivo.name}" enviado. O escritório vai analisá-lo.`);
+      await carregarTarefas();
+    } catch (err) {
+      console.error('Erro ao enviar documento:', err);
+      setError(err.response?.data?.error || 'Erro ao enviar documento');
+    } finally {
+      setEnviando(null);
+    }
+  };
+
+  const sair = () => {
+    logout();
+    navigate('/');
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  if (!user || !canAccessPortal) return null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">Portal do Cliente</h1>
+                <p className="text-sm text-gray-600">{user.nomeCompleto || user.email}</p>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => navigate('/perfil')} className="btn-secondary">
+                  Meu Perfil
+                </button>
+                <button onClick={sair} className="btn-voltar-header">
+                  Sair
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="p-6">
+            {error && (
+              <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+                {error}
+              </div>
+            )}
+
+            {successMessage && (
+              <div className="mb-4 p-4 bg-green-100 border border-green-400 text-green-700 rounded">
+                {successMessage}
+              </div>
+            )}
+
+            {empresas.length === 0 && !loading ? (
+              <p className="text-gray-600">
+                Nenhuma empresa vinculada ao seu acesso. Entre em contato com o escritório.
+              </p>
+            ) : (
+              <>
+                <div className="mb-4 flex flex-wrap gap-2 items-center">
+                  {empresas.length > 1 && (
+                    <select value={empresaId} onChange={(e) => setEmpresaId(e.target.value)} className={inputClass}>
+                      <option value="">Todas as empresas</option>
+                      {empresas.map((empresa) => (
+                        <option key={empresa.id} value={empresa.id}>
+                          {empresa.nomeFantasia || empresa.razaoSocial} — {formatarCnpj(empresa.cnpj)}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  {empresas.length === 1 && (
+                    <p className="text-gray-700">
+                      <span className="font-medium">{empresas[0].nomeFantasia || empresas[0].razaoSocial}</span>
+                      {' '}— CNPJ {formatarCnpj(empresas[0].cnpj)}
+                    </p>
+                  )}
+                  <select value={meses} onChange={(e) => setMeses(Number(e.target.value))} className={inputClass}>
+                    <option value={1}>Mês atual e próximo</option>
+                    <option value={3}>Últimos 3 meses</option>
+                    <option value={6}>Últimos 6 meses</option>
+                    <option value={12}>Últimos 12 meses</option>
+                  </select>
+                  <button onClick={carregarTarefas} disabled={loading} className="btn-secondary">
+                    {loading ? 'Atualizando...' : 'Atualizar'}
+                  </button>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 uppercase bg-gray-50">
+                        <th className="px-3 py-2">Obrigação</th>
+                        <th className="px-3 py-2">Vencimento</th>
+                        <th className="px-3 py-2">Situação</th>
+                        <th className="px-3 py-2">Comprovantes e documentos</th>
+                        <th className="px-3 py-2">Enviar documento</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {tarefas.map((tarefa) => {
+                        const status = STATUS_TAREFA[tarefa.status] || { label: tarefa.status, className: 'bg-gray-100 text-gray-700' };
+                        return (
+                          <tr key={tarefa.id} className="border-t border-gray-200 align-top">
+                            <td className="px-3 py-2">
+                              <p className="font-medium text-gray-900">{tarefa.titulo}</p>
+                              {empresas.length > 1 && <p className="text-xs text-gray-500">{tarefa.empresaNome}</p>}
+                              {tarefa.aguardandoCliente && (
+                                <p className="text-xs font-medium text-orange-700 mt-1">Aguardando seus documentos</p>
+                              )}
+                              {tarefa.solicitacoes.map((solicitacao) => (
+                                <p key={solicitacao.id} className={`text-xs ${SOLICITACAO[solicitacao.status]?.className || 'text-gray-500'}`}>
+                                  {solicitacao.descricao} · prazo {formatarData(solicitacao.prazo)} ·{' '}
+                                  {SOLICITACAO[solicitacao.status]?.label || solicitacao.status}
+                                </p>
+                              ))}
+                            </td>
+                            <td className="px-3 py-2 text-gray-700">{formatarData(tarefa.dataVencimento)}</td>
+                            <td className="px-3 py-2">
+                              <span className={`px-2 py-0.5 rounded text-xs font-medium ${status.className}`}>
+                                {status.label}
+                              </span>
+                            </td>
+                            <td className="px-3 py-2">
+                              {tarefa.arquivos.length === 0 && <span className="text-gray-500">Nenhum</span>}
+                              {tarefa.arquivos.map((arquivo) => (
+                                <div key={arquivo.id} className="mb-1">
+                                  <button onClick={() => baixar(arquivo)} className="text-blue-600 hover:text-blue-900 text-left">
+                                    {arquivo.name}
+                                  </button>
+                                  {arquivo.enviadoPorCliente && (
+                                    <p className={`text-xs ${REVISAO[arquivo.revisaoStatus]?.className || 'text-gray-500'}`}>
+                                      Enviado por você em {formatarData(arquivo.uploadDate)} ·{' '}
+                                      {REVISAO[arquivo.revisaoStatus]?.label || arquivo.revisaoStatus}
+                                      {arquivo.revisaoComentario && `: ${arquivo.revisaoComentario}`}
+                                    </p>
+                                  )}
+                                </div>
+                              ))}
+                            </td>
+                            <td className="px-3 py-2">
+                              {tarefa.pendentes > 0 && (
+                                <select
+                                  value={solicitacoesSelecionadas[tarefa.id] || ''}
+                                  onChange={(e) => setSolicitacoesSelecionadas((atuais) => ({ ...atuais, [tarefa.id]: e.target.value }))}
+                                  className="block text-xs mb-1 border border-gray-300 rounded"
+                                >
+                                  <option value="">Documento avulso</option>
+                                  {tarefa.solicitacoes.filter((s) => s.status !== 'recebido').map((solicitacao) => (
+                                    <option key={solicitacao.id} value={solicitacao.id}>{solicitacao.descricao}</option>
+                                  ))}
+                                </select>
+                              )}
+                              <input
+                                key={`${tarefa.id}-${tarefa.arquivos.length}`}
+                                type="file"
+                                accept=".pdf,.jpg,.jpeg,.png,.gif,.webp,.doc,.docx,.xls,.xlsx,.txt,.csv"
+                                onChange={(e) => setArquivosSelecionados((atuais) => ({ ...atuais, [tarefa.id]: e.target.files[0] || null }))}
+                                className="text-xs mb-1"
+                              />
+                              <button
+                                onClick={() => enviarDocumento(tarefa)}
+                                disabled={!arquivosSelecionados[tarefa.id] || enviando === tarefa.id}
+                                className="btn-secondary"
+                              >
+                                {enviando === tarefa.id ? 'Enviando...' : 'Enviar'}
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                      {tarefas.length === 0 && !loading && (
+                        <tr>
+                          <td colSpan={5} className="px-3 py-4 text-center text-gray-500">
+                            Nenhuma obrigação no período
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PortalCliente;
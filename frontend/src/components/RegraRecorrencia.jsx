@@ -0,0 +1,73 @@
+// frontend/src/components/RegraRecorrencia.jsx
+// Campos da regra de recorrência das tarefas (frequência, dia do vencimento e data final).
+// As ocorrências seguintes são criadas pelo servidor a partir dessa regra.
+import React from 'react';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const RegraRecorrencia = ({ frequencia, recorrencia, onChange }) => {
+  const alterar = (campo, valor) => onChange(frequencia, { ...recorrencia, [campo]: valor });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Frequência</label>
+          <select
+            className={inputClass}
+            value={frequencia}
+            onChange={(e) => onChange(e.target.value, recorrencia)}
+          >
+            <option value="mensal">Mensal</option>
+            <option value="trimestral">Trimestral</option>
+            <option value="anual">Anual</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Vencimento</label>
+          <select
+            className={inputClass}
+            value={recorrencia.tipoDia}
+            onChange={(e) => alterar('tipoDia', e.target.value)}
+          >
+            <option value="dia">Dia do mês</option>
+            <option value="dia_util">Dia útil do mês</option>
+            <option value="ultimo_dia_util">Último dia útil</option>
+          </select>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        {recorrencia.tipoDia !== 'ultimo_dia_util' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {recorrencia.tipoDia === 'dia_util' ? 'Dia útil (ex.: 5 = 5º dia útil)' : 'Dia'}
+            </label>
+            <input
+              type="number"
+              min={1}
+              max={recorrencia.tipoDia === 'dia_util' ? 23 : 31}
+              className={inputClass}
+              placeholder={recorrencia.tipoDia === 'dia' ? 'Dia do vencimento' : ''}
+              value={recorrencia.dia}
+              onChange={(e) => alterar('dia', e.target.value)}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Repetir até (opcional)</label>
+          <input
+            type="date"
+            className={inputClass}
+            value={recorrencia.dataFim}
+            onChange={(e) => alterar('dataFim', e.target.value)}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Dias úteis desconsideram fins de semana e feriados nacionais. Ao finalizar uma ocorrência, a próxima é criada.
+      </p>
+    </div>
+  );
+};
+
+export default RegraRecorrencia;
@@ -0,0 +1,114 @@
+// frontend/src/components/SessoesAtivas.jsx
+// Lista de sessões ativas com encerramento individual ou em massa.
+// baseUrl: "/api/sessions" (usuário logado) ou "/api/admin/usuarios/:id/sessoes" (administração)
+import React, { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../utils/axiosConfig';
+import { describeUserAgent, formatServerDate } from '../utils/sessionUtils';
+
+const SessoesAtivas = ({ baseUrl, textoEncerrarTodas = 'Encerrar as outras sessões' }) => {
+  const [sessoes, setSessoes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const carregarSessoes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const resp = await axiosInstance.get(baseUrl);
+      setSessoes(resp.data || []);
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar sessões:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar sessões');
+    } finally {
+      setLoading(false);
+    }
+  }, [baseUrl]);
+
+  useEffect(() => {
+    carregarSessoes();
+  }, [carregarSessoes]);
+
+  const encerrarSessao = async (sessao) => {
+    if (!window.confirm(`Encerrar a sessão em ${describeUserAgent(sessao.userAgent)}?`)) return;
+
+    try {
+      await axiosInstance.delete(`${baseUrl}/${sessao.id}`);
+      await carregarSessoes();
+    } catch (err) {
+      console.error('Erro ao encerrar sessão:', err);
+      setError(err.response?.data?.error || 'Erro ao encerrar sessão');
+    }
+  };
+
+  const encerrarTodas = async () => {
+    if (!window.confirm('Encerrar as sessões listadas? Os dispositivos precisarão fazer login novamente.')) return;
+
+    try {
+      await axiosInstance.delete(baseUrl);
+      await carregarSessoes();
+    } catch (err) {
+      console.error('Erro ao encerrar sessões:', err);
+      setError(err.response?.data?.error || 'Erro ao encerrar sessões');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-600">Carregando sessões...</p>;
+  }
+
+  const outrasSessoes = sessoes.filter((sessao) => !sessao.current);
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {sessoes.length === 0 ? (
+        <p className="text-sm text-gray-600">Nenhuma sessão ativa.</p>
+      ) : (
+        <table className="min-w-full text-sm mb-3">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-1">Dispositivo</th>
+              <th className="py-1">IP</th>
+              <th className="py-1">Último acesso</th>
+              <th className="py-1">Início</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessoes.map((sessao) => (
+              <tr key={sessao.id}>
+                <td className="py-1" title={sessao.userAgent || ''}>
+                  {describeUserAgent(sessao.userAgent)}
+                  {sessao.current && (
+                    <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                      Esta sessão
+                    </span>
+                  )}
+                </td>
+                <td className="py-1">{sessao.ip || '—'}</td>
+                <td className="py-1">{formatServerDate(sessao.lastUsedAt)}</td>
+                <td className="py-1">{formatServerDate(sessao.createdAt)}</td>
+                <td className="py-1 text-right">
+                  {!sessao.current && (
+                    <button onClick={() => encerrarSessao(sessao)} className="text-red-600 hover:text-red-900">
+                      Encerrar
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {outrasSessoes.length > 0 && (
+        <button onClick={encerrarTodas} className="btn-secondary">
+          {textoEncerrarTodas}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SessoesAtivas;
@@ -0,0 +1,153 @@
+// frontend/src/components/SolicitacoesDocumentos.jsx
+// Documentos pedidos ao cliente em uma tarefa (detalhes da tarefa no calendário): prazo,
+// situação (solicitado, recebido, atrasado), baixa manual e lembrete por email.
+import React, { useState } from 'react';
+import { taskService } from '../services/api';
+
+const STATUS_SOLICITACAO = {
+  solicitado: { label: 'Solicitado', className: 'bg-yellow-100 text-yellow-800' },
+  recebido: { label: 'Recebido', className: 'bg-green-100 text-green-800' },
+  atrasado: { label: 'Atrasado', className: 'bg-red-100 text-red-800' },
+};
+
+const formatarPrazo = (prazo) => (prazo ? prazo.split('-').reverse().join('/') : '—');
+
+const SolicitacoesDocumentos = ({ task, canManage, onChange }) => {
+  const solicitacoes = task.solicitacoes || [];
+  const [form, setForm] = useState({ descricao: '', prazo: '' });
+  const [salvando, setSalvando] = useState(false);
+  const [mensagem, setMensagem] = useState('');
+  const [error, setError] = useState('');
+
+  // Recarrega a lista e o resumo (aguardandoCliente) depois de cada alteração
+  const atualizar = async () => {
+    onChange(task.id, await taskService.getSolicitacoes(task.id));
+  };
+
+  const executar = async (acao, mensagemSucesso = '') => {
+    try {
+      setSalvando(true);
+      setError('');
+      setMensagem('');
+      await acao();
+      await atualizar();
+      if (mensagemSucesso) setMensagem(mensagemSucesso);
+    } catch (err) {
+      console.error('Erro nas solicitações de documentos:', err);
+      setError(err.response?.data?.error || 'Erro ao atualizar solicitações de documentos');
+    } finally {
+      setSalvando(false);
+    }
+  };
+
+  const solicitar = (e) => {
+    e.preventDefault();
+    if (!form.descricao.trim() || !form.prazo) {
+      setError('Informe o documento e o prazo');
+      return;
+    }
+    executar(async () => {
+      await taskService.createSolicitacao(task.id, form);
+      setForm({ descricao: '', prazo: '' });
+    });
+  };
+
+  const enviarLembrete = async () => {
+    try {
+      setSalvando(true);
+      setError('');
+      const resposta = await taskService.enviarLembreteSolicitacoes(task.id);
+      setMensagem(resposta.message);
+    } catch (err) {
+      console.error('Erro ao enviar lembrete:', err);
+      setError(err.response?.data?.error || 'Erro ao enviar lembrete');
+    } finally {
+      setSalvando(false);
+    }
+  };
+
+  const pendentes = solicitacoes.filter((s) => s.status !== 'recebido').length;
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {mensagem && <p className="text-sm text-green-700 mb-2">{mensagem}</p>}
+
+      {solicitacoes.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">Nenhum documento solicitado ao cliente.</p>
+      ) : (
+        <ul className="space-y-2 mb-3">
+          {solicitacoes.map((solicitacao) => (
+            <li key={solicitacao.id} className="flex items-start justify-between gap-2 p-2 bg-gray-50 border border-gray-200 rounded">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-800">{solicitacao.descricao}</p>
+                <p className="text-xs text-gray-500">
+                  Prazo {formatarPrazo(solicitacao.prazo)}
+                  {solicitacao.arquivoNome && ` · ${solicitacao.arquivoNome}`}
+                  {solicitacao.lembretesEnviados > 0 && ` · ${solicitacao.lembretesEnviados} lembrete(s)`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_SOLICITACAO[solicitacao.status]?.className || ''}`}>
+                  {STATUS_SOLICITACAO[solicitacao.status]?.label || solicitacao.status}
+                </span>
+                {canManage && (
+                  <>
+                    <button
+                      onClick={() => executar(() => taskService.updateSolicitacaoStatus(
+                        solicitacao.id,
+                        solicitacao.status === 'recebido' ? 'solicitado' : 'recebido'
+                      ))}
+                      disabled={salvando}
+                      className="text-xs text-blue-600 hover:text-blue-900"
+                    >
+                      {solicitacao.status === 'recebido' ? 'Reabrir' : 'Marcar recebido'}
+                    </button>
+                    <button
+                      onClick={() => executar(() => taskService.deleteSolicitacao(solicitacao.id))}
+                      disabled={salvando}
+                      className="text-xs text-red-600 hover:text-red-900"
+                    >
+                      Excluir
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canManage && (
+        <>
+          <form onSubmit={solicitar} className="flex flex-wrap gap-2 items-center">
+            <input
+              type="text"
+              placeholder="Documento (ex.: folha de pagamento, extrato bancário)"
+              value={form.descricao}
+              onChange={(e) => setForm({ ...form, descricao: e.target.value })}
+              maxLength={255}
+              className="flex-1 min-w-[12rem] p-2 text-sm border border-gray-300 rounded-md"
+            />
+            <input
+              type="date"
+              value={form.prazo}
+              onChange={(e) => setForm({ ...form, prazo: e.target.value })}
+              className="p-2 text-sm border border-gray-300 rounded-md"
+            />
+            <button type="submit" disabled={salvando} className="btn-secondary">
+              Solicitar
+            </button>
+          </form>
+          {pendentes > 0 && task.empresaId && (
+            <button onClick={enviarLembrete} disabled={salvando} className="mt-2 text-xs text-blue-600 hover:text-blue-900">
+              Enviar lembrete ao cliente agora
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SolicitacoesDocumentos;
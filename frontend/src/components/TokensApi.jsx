@@ -0,0 +1,218 @@
+// frontend/src/components/TokensApi.jsx
+// Tokens pessoais de API do usuário logado: criação com escopos e validade, listagem e revogação.
+// O token completo só aparece uma vez, logo após a criação.
+import React, { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../utils/axiosConfig';
+import { formatServerDate } from '../utils/sessionUtils';
+
+const VALIDADES = [7, 30, 90, 365];
+
+const TokensApi = () => {
+  const [tokens, setTokens] = useState([]);
+  const [escopos, setEscopos] = useState([]);
+  const [validadeMaxima, setValidadeMaxima] = useState(365);
+  const [nome, setNome] = useState('');
+  const [validade, setValidade] = useState(90);
+  const [escoposSelecionados, setEscoposSelecionados] = useState([]);
+  const [tokenCriado, setTokenCriado] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const carregarTokens = useCallback(async () => {
+    try {
+      setLoading(true);
+      const resp = await axiosInstance.get('/api/tokens');
+      setTokens(resp.data.tokens || []);
+      setEscopos(resp.data.escopos || []);
+      setValidadeMaxima(resp.data.validadeMaximaDias || 365);
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar tokens de API:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar tokens de API');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    carregarTokens();
+  }, [carregarTokens]);
+
+  const alternarEscopo = (id) => {
+    setEscoposSelecionados((atual) => (
+      atual.includes(id) ? atual.filter((escopo) => escopo !== id) : [...atual, id]
+    ));
+  };
+
+  const criarToken = async (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+
+    if (!nome.trim()) {
+      setError('Informe um nome para o token');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const resp = await axiosInstance.post('/api/tokens', {
+        nome: nome.trim(),
+        scopes: escoposSelecionados,
+        expiresInDays: validade,
+      });
+      setTokenCriado(resp.data.token);
+      setNome('');
+      setEscoposSelecionados([]);
+      await carregarTokens();
+    } catch (err) {
+      console.error('Erro ao criar token de API:', err);
+      setError(err.response?.data?.error || 'Erro ao criar token de API');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const revogarToken = async (token) => {
+    if (!window.confirm(`Revogar o token "${token.nome}"? Scripts que o utilizam deixarão de funcionar.`)) return;
+
+    try {
+      await axiosInstance.delete(`/api/tokens/${token.id}`);
+      await carregarTokens();
+    } catch (err) {
+      console.error('Erro ao revogar token de API:', err);
+      setError(err.response?.data?.error || 'Erro ao revogar token de API');
+    }
+  };
+
+  const copiarToken = async () => {
+    try {
+      await navigator.clipboard.writeText(tokenCriado);
+    } catch (err) {
+      console.error('Erro ao copiar token:', err);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-600">Carregando tokens...</p>;
+  }
+
+  const labelEscopo = (id) => escopos.find((escopo) => escopo.id === id)?.label || id;
+
+  return (
+    <div>
+      <p className="text-gray-600 mb-3">
+        Use tokens para acessar a API em scripts e integrações, enviando o header
+        {' '}<code className="text-sm">Authorization: Bearer &lt;token&gt;</code>.
+        Sem escopos, o token só acessa as suas próprias tarefas e registros.
+      </p>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {tokenCriado && (
+        <div className="mb-4 p-4 bg-green-100 border border-green-400 text-green-800 rounded">
+          <p className="font-semibold mb-2">Copie o token agora: ele não será exibido novamente.</p>
+          <div className="flex flex-wrap gap-2 items-center">
+            <code className="px-2 py-1 bg-white border border-green-300 rounded text-sm break-all">{tokenCriado}</code>
+            <button onClick={copiarToken} className="btn-secondary">Copiar</button>
+            <button onClick={() => setTokenCriado(null)} className="btn-primary">Já copiei</button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-600 mb-3">Nenhum token criado.</p>
+      ) : (
+        <table className="min-w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-1">Nome</th>
+              <th className="py-1">Escopos</th>
+              <th className="py-1">Último uso</th>
+              <th className="py-1">Expira em</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tokens.map((token) => (
+              <tr key={token.id}>
+                <td className="py-1">
+                  {token.nome}
+                  <div className="text-xs text-gray-500"><code>{token.prefix}…</code></div>
+                </td>
+                <td className="py-1" title={token.scopes.map(labelEscopo).join('\n')}>
+                  {token.scopes.length ? token.scopes.join(', ') : '—'}
+                </td>
+                <td className="py-1">
+                  {formatServerDate(token.lastUsedAt)}
+                  {token.lastUsedIp && <div className="text-xs text-gray-500">{token.lastUsedIp}</div>}
+                </td>
+                <td className="py-1">
+                  {formatServerDate(token.expiresAt)}
+                  {token.expired && (
+                    <span className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                      Expirado
+                    </span>
+                  )}
+                </td>
+                <td className="py-1 text-right">
+                  <button onClick={() => revogarToken(token)} className="text-red-600 hover:text-red-900">
+                    Revogar
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={criarToken} className="p-3 bg-white border border-gray-200 rounded">
+        <h3 className="font-semibold text-gray-900 mb-2">Novo token</h3>
+        <div className="flex flex-wrap gap-2 mb-3">
+          <input
+            type="text"
+            placeholder="Nome (ex.: Planilha de tarefas)"
+            value={nome}
+            onChange={(e) => setNome(e.target.value)}
+            maxLength={100}
+            disabled={isSaving}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={validade}
+            onChange={(e) => setValidade(Number(e.target.value))}
+            disabled={isSaving}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {VALIDADES.filter((dias) => dias <= validadeMaxima).map((dias) => (
+              <option key={dias} value={dias}>Expira em {dias} dias</option>
+            ))}
+          </select>
+        </div>
+
+        {escopos.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-1 mb-3">
+            {escopos.map((escopo) => (
+              <label key={escopo.id} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={escoposSelecionados.includes(escopo.id)}
+                  onChange={() => alternarEscopo(escopo.id)}
+                  disabled={isSaving}
+                />
+                {escopo.label}
+              </label>
+            ))}
+          </div>
+        )}
+
+        <button type="submit" disabled={isSaving} className="btn-primary">
+          {isSaving ? 'Criando...' : 'Criar token'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TokensApi;
@@ -0,0 +1,60 @@
+// frontend/src/components/TwoFactor.jsx
+// Peças compartilhadas do 2FA: QR code do autenticador e lista de códigos de recuperação
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+
+export const TwoFactorQrCode = ({ otpauthUrl, secret }) => {
+  const [qrDataUrl, setQrDataUrl] = useState("");
+
+  useEffect(() => {
+    if (!otpauthUrl) return;
+    QRCode.toDataURL(otpauthUrl, { width: 200, margin: 1 })
+      .then(setQrDataUrl)
+      .catch((err) => console.error("[2FA] erro ao gerar QR code:", err));
+  }, [otpauthUrl]);
+
+  return (
+    <div className="text-center mb-3">
+      <p style={{ color: "#666" }}>
+        Escaneie o QR code com um aplicativo autenticador (Google Authenticator, Authy, Microsoft Authenticator...).
+      </p>
+      {qrDataUrl && <img src={qrDataUrl} alt="QR code do autenticador" width={200} height={200} />}
+      <p className="mt-2 mb-0" style={{ color: "#666", fontSize: "0.85rem" }}>
+        Ou digite a chave manualmente:
+      </p>
+      <code style={{ wordBreak: "break-all" }}>{secret}</code>
+    </div>
+  );
+};
+
+export const RecoveryCodes = ({ codes }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      setCopied(true);
+    } catch (err) {
+      console.error("[2FA] erro ao copiar códigos:", err);
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <p style={{ color: "#666" }}>
+        Guarde estes códigos de recuperação em local seguro. Cada um pode ser usado uma única vez
+        para entrar caso você perca acesso ao autenticador. Eles não serão exibidos novamente.
+      </p>
+      <div className="row g-2 mb-2">
+        {codes.map((code) => (
+          <div key={code} className="col-6 text-center">
+            <code>{code}</code>
+          </div>
+        ))}
+      </div>
+      <button type="button" className="btn btn-outline-secondary btn-sm w-100" onClick={copyCodes}>
+        <i className="bi bi-clipboard" /> {copied ? "Copiados!" : "Copiar códigos"}
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,192 @@
+// frontend/src/components/UploadsClientes.jsx
+// Caixa de documentos enviados pelos clientes no portal: a equipe baixa, aprova ou recusa
+// (com o motivo, que o cliente vê no portal).
+import React, { useState, useEffect, useCallback } from 'react';
+import { portalService } from '../services/api';
+
+const FILTROS = [
+  { id: 'pendente', label: 'Pendentes' },
+  { id: 'aprovado', label: 'Aprovados' },
+  { id: 'rejeitado', label: 'Recusados' },
+  { id: '', label: 'Todos' },
+];
+
+const REVISAO = {
+  pendente: { label: 'Pendente', className: 'bg-yellow-100 text-yellow-800' },
+  aprovado: { label: 'Aprovado', className: 'bg-green-100 text-green-800' },
+  rejeitado: { label: 'Recusado', className: 'bg-red-100 text-red-800' },
+};
+
+const formatarData = (valor) => {
+  if (!valor) return '—';
+  const data = new Date(String(valor).includes('T') ? valor : String(valor).replace(' ', 'T'));
+  return Number.isNaN(data.getTime()) ? valor : data.toLocaleDateString('pt-BR');
+};
+
+const UploadsClientes = () => {
+  const [status, setStatus] = useState('pendente');
+  const [uploads, setUploads] = useState([]);
+  const [comentarios, setComentarios] = useState({});
+  const [salvando, setSalvando] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const carregarUploads = useCallback(async () => {
+    try {
+      setLoading(true);
+      setUploads(await portalService.getUploadsClientes(status));
+      setError('');
+    } catch (err) {
+      console.error('Erro ao carregar documentos dos clientes:', err);
+      setError(err.response?.data?.error || 'Erro ao carregar documentos dos clientes');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    carregarUploads();
+  }, [carregarUploads]);
+
+  const baixar = async (upload) => {
+    try {
+      await portalService.baixarArquivo(upload.url, upload.name);
+    } catch (err) {
+      console.error('Erro ao baixar documento:', err);
+      setError('Erro ao baixar documento. Verifique sua conexão.');
+    }
+  };
+
+  const revisar = async (upload, decisao) => {
+    const comentario = (comentarios[upload.id] || '').trim();
+    if (decisao === 'rejeitado' && !comentario) {
+      setError('Informe o motivo da recusa; ele aparece para o cliente no portal.');
+      return;
+    }
+
+    try {
+      setSalvando(upload.id);
+      setError('');
+      await portalService.revisarUpload(upload.id, { status: decisao, comentario });
+      setComentarios((atuais) => ({ ...atuais, [upload.id]: '' }));
+      await carregarUploads();
+    } catch (err) {
+      console.error('Erro ao revisar documento:', err);
+      setError(err.response?.data?.error || 'Erro ao revisar documento');
+    } finally {
+      setSalvando(null);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap gap-2 items-center mb-4">
+        {FILTROS.map((filtro) => (
+          <button
+            key={filtro.id || 'todos'}
+            onClick={() => setStatus(filtro.id)}
+            className={status === filtro.id ? 'btn-primary' : 'btn-secondary'}
+          >
+            {filtro.label}
+          </button>
+        ))}
+        <button onClick={carregarUploads} disabled={loading} className="btn-secondary">
+          {loading ? 'Atualizando...' : 'Atualizar'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {loading && uploads.length === 0 ? (
+        <p className="text-gray-600">Carregando documentos...</p>
+      ) : (
+        <div className="overflow-x-auto bg-white border border-gray-200 rounded">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase bg-gray-50">
+                <th className="px-3 py-2">Documento</th>
+                <th className="px-3 py-2">Empresa / tarefa</th>
+                <th className="px-3 py-2">Enviado por</th>
+                <th className="px-3 py-2">Revisão</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {uploads.map((upload) => (
+                <tr key={upload.id} className="border-t border-gray-200 align-top">
+                  <td className="px-3 py-2">
+                    <button onClick={() => baixar(upload)} className="text-blue-600 hover:text-blue-900 text-left">
+                      {upload.name}
+                    </button>
+                    <p className="text-xs text-gray-500">{formatarData(upload.uploadDate)}</p>
+                  </td>
+                  <td className="px-3 py-2">
+                    <p className="font-medium text-gray-900">{upload.empresaNome || '—'}</p>
+                    <p className="text-gray-600">
+                      {upload.tarefa.titulo} · vence {formatarData(upload.tarefa.dataVencimento)}
+                    </p>
+                    <p className="text-xs text-gray-500">Responsável: {upload.tarefa.responsavel}</p>
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">
+                    <p>{upload.enviadoPorNome || '—'}</p>
+                    <p className="text-xs text-gray-500">{upload.enviadoPorEmail}</p>
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${REVISAO[upload.revisaoStatus]?.className || ''}`}>
+                      {REVISAO[upload.revisaoStatus]?.label || upload.revisaoStatus}
+                    </span>
+                    {upload.revisadoPorNome && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {upload.revisadoPorNome} em {formatarData(upload.revisadoEm)}
+                      </p>
+                    )}
+                    {upload.revisaoComentario && <p className="text-xs text-gray-600">{upload.revisaoComentario}</p>}
+                  </td>
+                  <td className="px-3 py-2">
+                    {upload.revisaoStatus === 'pendente' && (
+                      <div className="flex flex-col gap-1">
+                        <input
+                          type="text"
+                          placeholder="Comentário (obrigatório para recusar)"
+                          value={comentarios[upload.id] || ''}
+                          onChange={(e) => setComentarios((atuais) => ({ ...atuais, [upload.id]: e.target.value }))}
+                          maxLength={1000}
+                          className="px-2 py-1 border border-gray-300 rounded text-sm"
+                        />
+                        <div className="flex gap-1">
+                          <button
+                            onClick={() => revisar(upload, 'aprovado')}
+                            disabled={salvando === upload.id}
+                            className="btn-primary"
+                          >
+                            Aprovar
+                          </button>
+                          <button
+                            onClick={() => revisar(upload, 'rejeitado')}
+                            disabled={salvando === upload.id}
+                            className="btn-secondary"
+                          >
+                            Recusar
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {uploads.length === 0 && !loading && (
+                <tr>
+                  <td colSpan={5} className="px-3 py-4 text-center text-gray-500">
+                    Nenhum documento enviado pelos clientes
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadsClientes;
@@ -63,9 +63,15 @@ export const taskService = {
     return response.data;
   },
 
-  // Atualizar status da tarefa
-  updateStatus: async (taskId, status) => {
-    const response = await axiosInstance.patch(`/api/tarefas/${taskId}/status`, { status });
+  // Atualizar status da tarefa (comentario é obrigatório em bloqueio, cancelamento, devolução e reabertura)
+  updateStatus: async (taskId, status, comentario) => {
+    const response = await axiosInstance.patch(`/api/tarefas/${taskId}/status`, { status, comentario });
+    return response.data;
+  },
+
+  // Histórico de transições de status da tarefa
+  getStatusHistorico: async (taskId) => {
+    const response = await axiosInstance.get(`/api/tarefas/${taskId}/status/historico`);
     return response.data;
   },
 
@@ -75,9 +81,9 @@ export const taskService = {
     return response.data;
   },
 
-  // Deletar tarefa
-  delete: async (taskId) => {
-    const response = await axiosInstance.delete(`/api/tarefas/${taskId}`);
+  // Deletar tarefa (escopo 'futuras' encerra a série da ocorrência)
+  delete: async (taskId, { escopo } = {}) => {
+    const response = await axiosInstance.delete(`/api/tarefas/${taskId}`, { params: escopo ? { escopo } : {} });
     return response.data;
   },
 
@@ -105,6 +111,166 @@ export const taskService = {
   deleteFile: async (fileId) => {
     const response = await axiosInstance.delete(`/api/files/${fileId}`);
     return response.data;
+  },
+
+  // Documentos solicitados ao cliente na tarefa
+  getSolicitacoes: async (taskId) => {
+    const response = await axiosInstance.get(`/api/tarefas/${taskId}/solicitacoes`);
+    return response.data;
+  },
+
+  // solicitacao: { descricao, prazo (YYYY-MM-DD) }
+  createSolicitacao: async (taskId, solicitacao) => {
+    const response = await axiosInstance.post(`/api/tarefas/${taskId}/solicitacoes`, solicitacao);
+    return response.data;
+  },
+
+  // Status: 'recebido' (chegou fora do portal) ou 'solicitado' (reabre o pedido)
+  updateSolicitacaoStatus: async (solicitacaoId, status) => {
+    const response = await axiosInstance.patch(`/api/solicitacoes/${solicitacaoId}/status`, { status });
+    return response.data;
+  },
+
+  deleteSolicitacao: async (solicitacaoId) => {
+    const response = await axiosInstance.delete(`/api/solicitacoes/${solicitacaoId}`);
+    return response.data;
+  },
+
+  // Envia agora o lembrete dos documentos pendentes aos contatos da empresa
+  enviarLembreteSolicitacoes: async (taskId) => {
+    const response = await axiosInstance.post(`/api/tarefas/${taskId}/solicitacoes/lembrete`);
+    return response.data;
+  },
+
+  // Checklist da tarefa: as rotas de alteração devolvem { itens, total, concluidos, obrigatoriosPendentes }
+  getChecklist: async (taskId) => {
+    const response = await axiosInstance.get(`/api/tarefas/${taskId}/checklist`);
+    return response.data;
+  },
+
+  // item: { descricao, obrigatorio, responsavelId, prazoDias (relativo ao vencimento) }
+  createChecklistItem: async (taskId, item) => {
+    const response = await axiosInstance.post(`/api/tarefas/${taskId}/checklist`, item);
+    return response.data;
+  },
+
+  updateChecklistItem: async (itemId, item) => {
+    const response = await axiosInstance.put(`/api/checklist/${itemId}`, item);
+    return response.data;
+  },
+
+  setChecklistItemConcluido: async (itemId, concluido) => {
+    const response = await axiosInstance.patch(`/api/checklist/${itemId}/concluido`, { concluido });
+    return response.data;
+  },
+
+  deleteChecklistItem: async (itemId) => {
+    const response = await axiosInstance.delete(`/api/checklist/${itemId}`);
+    return response.data;
+  },
+
+  // ids: todos os itens, na nova ordem
+  reordenarChecklist: async (taskId, ids) => {
+    const response = await axiosInstance.put(`/api/tarefas/${taskId}/checklist/ordem`, { ids });
+    return response.data;
+  },
+
+  // Acrescenta os itens do modelo ao fim do checklist
+  aplicarModeloChecklist: async (taskId, modeloId) => {
+    const response = await axiosInstance.post(`/api/tarefas/${taskId}/checklist/modelo`, { modeloId });
+    return response.data;
+  },
+
+  // Dependências: { predecessoras, sucessoras, predecessorasPendentes, bloqueada }
+  getDependencias: async (taskId) => {
+    const response = await axiosInstance.get(`/api/tarefas/${taskId}/dependencias`);
+    return response.data;
+  },
+
+  // A tarefa passa a depender da predecessora; a resposta traz também as sucessorasAdiadas
+  addDependencia: async (taskId, predecessoraId) => {
+    const response = await axiosInstance.post(`/api/tarefas/${taskId}/dependencias`, { predecessoraId });
+    return response.data;
+  },
+
+  removeDependencia: async (taskId, predecessoraId) => {
+    const response = await axiosInstance.delete(`/api/tarefas/${taskId}/dependencias/${predecessoraId}`);
+    return response.data;
+  },
+
+  // Comentários: principais com as respostas ({ ...comentario, respostas })
+  getComentarios: async (taskId) => {
+    const response = await axiosInstance.get(`/api/tarefas/${taskId}/comentarios`);
+    return response.data;
+  },
+
+  // texto com menções no formato @[Nome](uid); parentId para responder; anexos: File[]
+  createComentario: async (taskId, { texto, parentId, anexos = [] }) => {
+    const formData = new FormData();
+    formData.append('texto', texto);
+    if (parentId) formData.append('parentId', parentId);
+    anexos.forEach((file) => formData.append('anexos', file));
+
+    const response = await axiosInstance.post(`/api/tarefas/${taskId}/comentarios`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  },
+
+  updateComentario: async (comentarioId, texto) => {
+    const response = await axiosInstance.put(`/api/comentarios/${comentarioId}`, { texto });
+    return response.data;
+  },
+
+  deleteComentario: async (comentarioId) => {
+    const response = await axiosInstance.delete(`/api/comentarios/${comentarioId}`);
+    return response.data;
+  },
+
+  // Edições e exclusão com o texto anterior
+  getHistoricoComentario: async (comentarioId) => {
+    const response = await axiosInstance.get(`/api/comentarios/${comentarioId}/historico`);
+    return response.data;
+  }
+};
+
+// Menções ao usuário em comentários de tarefas
+export const mencaoService = {
+  // Ainda não vistas: [{ comentarioId, taskId, tarefaTitulo, autorNome, trecho, createdAt }]
+  getNaoLidas: async () => {
+    const response = await axiosInstance.get('/api/mencoes');
+    return response.data;
+  },
+
+  marcarTodasLidas: async () => {
+    const response = await axiosInstance.post('/api/mencoes/lidas');
+    return response.data;
+  }
+};
+
+// Modelos de tarefa (título, observações e checklist padrão)
+export const tarefaModeloService = {
+  getAll: async () => {
+    const response = await axiosInstance.get('/api/tarefa-modelos');
+    return response.data;
+  },
+
+  // modelo: { nome, titulo, observacoes, itens: [{ descricao, obrigatorio, prazoDias }] }
+  create: async (modelo) => {
+    const response = await axiosInstance.post('/api/tarefa-modelos', modelo);
+    return response.data;
+  },
+
+  update: async (modeloId, modelo) => {
+    const response = await axiosInstance.put(`/api/tarefa-modelos/${modeloId}`, modelo);
+    return response.data;
+  },
+
+  delete: async (modeloId) => {
+    const response = await axiosInstance.delete(`/api/tarefa-modelos/${modeloId}`);
+    return response.data;
   }
 };
 
@@ -123,6 +289,214 @@ export const logService = {
   }
 };
 
+// Empresas (clientes)
+export const empresaService = {
+  // Listar empresas (filtros: { ativo, busca })
+  getAll: async (filtros = {}) => {
+    const response = await axiosInstance.get('/api/empresas', { params: filtros });
+    return response.data;
+  },
+
+  // Regimes tributários e UFs aceitos
+  getOpcoes: async () => {
+    const response = await axiosInstance.get('/api/empresas/opcoes');
+    return response.data;
+  },
+
+  create: async (empresaData) => {
+    const response = await axiosInstance.post('/api/empresas', empresaData);
+    return response.data;
+  },
+
+  update: async (empresaId, empresaData) => {
+    const response = await axiosInstance.put(`/api/empresas/${empresaId}`, empresaData);
+    return response.data;
+  },
+
+  delete: async (empresaId) => {
+    const response = await axiosInstance.delete(`/api/empresas/${empresaId}`);
+    return response.data;
+  },
+
+  // Obrigações da agenda que podem ser ajustadas no perfil das empresas
+  getObrigacoes: async () => {
+    const response = await axiosInstance.get('/api/empresas/obrigacoes');
+    return response.data;
+  },
+
+  // Perfil de obrigações da empresa, com a prévia do mês (periodo: { ano, mes })
+  getPerfilObrigacoes: async (empresaId, periodo = {}) => {
+    const response = await axiosInstance.get(`/api/empresas/${empresaId}/perfil-obrigacoes`, { params: periodo });
+    return response.data;
+  },
+
+  updatePerfilObrigacoes: async (empresaId, perfil) => {
+    const response = await axiosInstance.put(`/api/empresas/${empresaId}/perfil-obrigacoes`, perfil);
+    return response.data;
+  },
+
+  // Prévia da importação de planilha CSV/XLSX (não grava nada)
+  previaImportacao: async (file) => {
+    const formData = new FormData();
+    formData.append('arquivo', file);
+
+    const response = await axiosInstance.post('/api/empresas/importacao/previa', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  },
+
+  // Grava as linhas da prévia (linhas: [{ linha, dados }]) em uma única transação
+  aplicarImportacao: async (linhas) => {
+    const response = await axiosInstance.post('/api/empresas/importacao/aplicar', { linhas });
+    return response.data;
+  },
+
+  // Carteira de clientes: obrigações do mês e última conciliação por empresa (periodo: { ano, mes })
+  getPainel: async (periodo = {}) => {
+    const response = await axiosInstance.get('/api/empresas/painel', { params: periodo });
+    return response.data;
+  },
+
+  // Tarefas e conciliações da empresa nos últimos meses
+  getLinhaDoTempo: async (empresaId, meses = 6) => {
+    const response = await axiosInstance.get(`/api/empresas/${empresaId}/linha-do-tempo`, { params: { meses } });
+    return response.data;
+  },
+
+  // Definições dos campos personalizados ({ tipos, campos }); todos=true inclui os inativos
+  getCampos: async (todos = false) => {
+    const response = await axiosInstance.get('/api/empresa-campos', { params: todos ? { todos: true } : {} });
+    return response.data;
+  },
+
+  createCampo: async (campo) => {
+    const response = await axiosInstance.post('/api/empresa-campos', campo);
+    return response.data;
+  },
+
+  updateCampo: async (campoId, campo) => {
+    const response = await axiosInstance.put(`/api/empresa-campos/${campoId}`, campo);
+    return response.data;
+  },
+
+  deleteCampo: async (campoId) => {
+    const response = await axiosInstance.delete(`/api/empresa-campos/${campoId}`);
+    return response.data;
+  },
+
+  // Campos personalizados preenchidos na empresa (segredos vêm mascarados)
+  getCamposEmpresa: async (empresaId) => {
+    const response = await axiosInstance.get(`/api/empresas/${empresaId}/campos`);
+    return response.data;
+  },
+
+  // valores: { [campoId]: valor }; campos ausentes não são alterados
+  updateCamposEmpresa: async (empresaId, valores) => {
+    const response = await axiosInstance.put(`/api/empresas/${empresaId}/campos`, { valores });
+    return response.data;
+  },
+
+  // Revela um campo secreto (o acesso fica registrado no log de atividades)
+  revelarCampo: async (empresaId, campoId) => {
+    const response = await axiosInstance.post(`/api/empresas/${empresaId}/campos/${campoId}/revelar`);
+    return response.data;
+  },
+
+  getNotas: async (empresaId) => {
+    const response = await axiosInstance.get(`/api/empresas/${empresaId}/notas`);
+    return response.data;
+  },
+
+  createNota: async (empresaId, texto) => {
+    const response = await axiosInstance.post(`/api/empresas/${empresaId}/notas`, { texto });
+    return response.data;
+  }
+};
+
+// Portal do cliente e revisão dos documentos enviados pelos clientes
+export const portalService = {
+  // Empresas vinculadas ao usuário do portal
+  getEmpresas: async () => {
+    const response = await axiosInstance.get('/api/portal/empresas');
+    return response.data;
+  },
+
+  // Obrigações das empresas vinculadas com os comprovantes (filtros: { empresa_id, meses })
+  getTarefas: async (filtros = {}) => {
+    const response = await axiosInstance.get('/api/portal/tarefas', { params: filtros });
+    return response.data;
+  },
+
+  // Documento enviado pelo cliente para uma tarefa (fica pendente de revisão);
+  // com solicitacaoId, atende ao documento pedido pelo escritório
+  enviarArquivo: async (taskId, file, solicitacaoId = null) => {
+    const formData = new FormData();
+    if (solicitacaoId) formData.append('solicitacaoId', solicitacaoId);
+    formData.append('file', file);
+
+    const response = await axiosInstance.post(`/api/portal/tarefas/${taskId}/arquivos`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  },
+
+  // Baixa um arquivo pela API autenticada (url: /api/portal/arquivos/:id/download ou /api/files/:id/download)
+  baixarArquivo: async (url, fileName) => {
+    const response = await axiosInstance.get(url, { responseType: 'blob' });
+    const blobUrl = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => window.URL.revokeObjectURL(blobUrl), 100);
+  },
+
+  // Caixa de documentos enviados pelos clientes (status: pendente, aprovado, rejeitado)
+  getUploadsClientes: async (status = '') => {
+    const response = await axiosInstance.get('/api/uploads-clientes', { params: status ? { status } : {} });
+    return response.data;
+  },
+
+  revisarUpload: async (fileId, revisao) => {
+    const response = await axiosInstance.patch(`/api/uploads-clientes/${fileId}`, revisao);
+    return response.data;
+  }
+};
+
+// Matriz de atribuição (empresa × categoria de obrigação) e carga de trabalho da equipe
+export const atribuicaoService = {
+  // { categorias, equipe, empresas } com as atribuições de cada empresa ativa
+  getMatriz: async () => {
+    const response = await axiosInstance.get('/api/atribuicoes');
+    return response.data;
+  },
+
+  // atribuicoes: { [categoria]: { responsavelId, backupId } }
+  updateEmpresa: async (empresaId, atribuicoes) => {
+    const response = await axiosInstance.put(`/api/atribuicoes/${empresaId}`, { atribuicoes });
+    return response.data;
+  },
+
+  // Tarefas e atribuições por pessoa no mês (periodo: { ano, mes })
+  getCarga: async (periodo = {}) => {
+    const response = await axiosInstance.get('/api/atribuicoes/carga', { params: periodo });
+    return response.data;
+  },
+
+  // ausenteAte: 'YYYY-MM-DD' ou null para encerrar a ausência
+  setAusencia: async (userId, ausenteAte) => {
+    const response = await axiosInstance.put(`/api/usuarios/${userId}/ausencia`, { ausenteAte });
+    return response.data;
+  }
+};
+
 // Agenda Tributária
 export const agendaTributariaService = {
   // Listar obrigações básicas
@@ -195,6 +569,10 @@ export const agendaTributariaService = {
 export default {
   userService,
   taskService,
+  mencaoService,
   logService,
+  empresaService,
+  portalService,
+  atribuicaoService,
   agendaTributariaService
 };
@@ -1,6 +1,6 @@
 // Serviço de API para o backend do RPA Domínio (agora integrado no mesmo backend)
 import axios from 'axios';
-import { getAuthToken } from '../utils/tokenUtils';
+import { attachAuthInterceptors } from '../utils/axiosConfig';
 
 // Usa o mesmo backend do Calendário de Obrigações
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
@@ -11,19 +11,8 @@ const rpaApi = axios.create({
   timeout: 120000, // 120 segundos para processar PDFs grandes
 });
 
-// Interceptor para adicionar token de autenticação
-rpaApi.interceptors.request.use(
-  (config) => {
-    const token = getAuthToken();
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+// Mesmos interceptors de autenticação do axiosInstance (token + renovação silenciosa)
+attachAuthInterceptors(rpaApi);
 
 // Funções de API do RPA Domínio
 export const rpaService = {
@@ -32,6 +21,9 @@ export const rpaService = {
     const form = new FormData();
     form.append('periodo_inicio', params.periodo_inicio || params.data_inicio);
     form.append('periodo_fim', params.periodo_fim || params.data_fim);
+    if (params.empresa_id) {
+      form.append('empresa_id', params.empresa_id);
+    }
     
     // Arquivos Otimiza (múltiplos)
     if (params.otimiza_txt_files && params.otimiza_txt_files.length > 0) {
@@ -55,9 +47,9 @@ export const rpaService = {
     return data;
   },
 
-  // Listar comparações
-  listarComparacoes: async () => {
-    const { data } = await rpaApi.get('/api/comparacoes');
+  // Listar comparações (filtros: { empresa_id })
+  listarComparacoes: async (filtros = {}) => {
+    const { data } = await rpaApi.get('/api/comparacoes', { params: filtros });
     return data;
   },
 
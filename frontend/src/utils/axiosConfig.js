@@ -1,5 +1,6 @@
 // src/utils/axiosConfig.js
 import axios from 'axios';
+import { getAuthToken, getRefreshToken, saveTokens, clearSession, isTokenExpired } from './tokenUtils';
 
 const backendFromEnv = (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_URL)
   ? String(import.meta.env.VITE_API_URL).replace(/\/+$/, '')
@@ -17,39 +18,88 @@ const axiosInstance = axios.create({
   timeout: 15000,
 });
 
-axiosInstance.interceptors.request.use((config) => {
-  const token = localStorage.getItem('authToken');
-  if (token) config.headers.Authorization = `Bearer ${token}`;
-  console.log('[axios] baseURL:', axiosInstance.defaults.baseURL, '→', (config.method || 'GET').toUpperCase(), config.url);
-  return config;
-});
+// Uma única renovação em andamento por vez: requisições concorrentes aguardam a mesma promise
+let refreshPromise = null;
+
+const endSession = () => {
+  clearSession();
+  if (typeof window !== 'undefined' && window.location.pathname !== '/') window.location.href = '/';
+};
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) return Promise.reject(new Error('Sem refresh token'));
+
+    // axios "puro" para não passar pelos interceptors (evita loop em 401)
+    refreshPromise = axios
+      .post(`${axiosInstance.defaults.baseURL}/api/token/refresh`, { refreshToken }, { timeout: 15000 })
+      .then(({ data }) => {
+        saveTokens(data);
+        if (data.user) localStorage.setItem('user', JSON.stringify(data.user));
+        console.log('[axios] token renovado');
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Adiciona o token (renovando antes se já expirou) e trata 401 de token expirado
+export const attachAuthInterceptors = (instance) => {
+  instance.interceptors.request.use(async (config) => {
+    let token = getAuthToken();
+    if (token && isTokenExpired(token) && getRefreshToken()) {
+      try {
+        token = await refreshAccessToken();
+      } catch (err) {
+        console.warn('[axios] falha ao renovar token antes da requisição:', err.message);
+      }
+    }
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    console.log('[axios] baseURL:', instance.defaults.baseURL, '→', (config.method || 'GET').toUpperCase(), config.url);
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (res) => res,
+    async (error) => {
+      const status = error?.response?.status;
+      const code = error?.response?.data?.code;
+      const original = error?.config;
+
+      if (status === 401 && code === 'TOKEN_EXPIRED' && original && !original._retry && getRefreshToken()) {
+        original._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          original.headers.Authorization = `Bearer ${token}`;
+          return instance(original);
+        } catch {
+          console.warn('[axios] Sessão expirada, limpando sessão');
+          endSession();
+          return Promise.reject(error);
+        }
+      }
 
-axiosInstance.interceptors.response.use(
-  (res) => res,
-  (error) => {
-    const status = error?.response?.status;
-    // Só limpar sessão se for realmente um erro de autenticação
-    // Não limpar em caso de erro de rede ou outros erros 401 que não sejam de autenticação
-    if (status === 401) {
-      const errorMessage = error?.response?.data?.error || '';
-      // Só limpar se for erro de token inválido ou não fornecido
-      if (errorMessage.includes('Token') || errorMessage.includes('não fornecido') || errorMessage.includes('inválido')) {
+      // Só limpar sessão se for realmente um erro de autenticação (token ausente/inválido/expirado ou sessão revogada)
+      if (status === 401 && ['TOKEN_MISSING', 'TOKEN_INVALID', 'TOKEN_EXPIRED', 'SESSION_REVOKED'].includes(code)) {
         console.warn('[axios] Token inválido ou expirado, limpando sessão');
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('user');
-        localStorage.removeItem('rememberedEmail');
-        localStorage.removeItem('rememberedPassword');
-        if (typeof window !== 'undefined' && window.location.pathname !== '/') window.location.href = '/';
-      } else {
+        endSession();
+      } else if (status === 401) {
         // Erro 401 mas não relacionado a token, apenas rejeitar
-        console.warn('[axios] Erro 401 não relacionado a autenticação:', errorMessage);
+        console.warn('[axios] Erro 401 não relacionado a autenticação:', error?.response?.data?.error);
+      } else if (status === 403) {
+        console.warn('[axios] 403: acesso negado');
       }
-    } else if (status === 403) {
-      console.warn('[axios] 403: acesso negado');
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
-  }
-);
+  );
+  return instance;
+};
+
+attachAuthInterceptors(axiosInstance);
 
 export default axiosInstance;
 
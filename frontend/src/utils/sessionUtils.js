@@ -0,0 +1,41 @@
+// src/utils/sessionUtils.js
+// Formatação das sessões de login exibidas no perfil e na gestão de usuários
+
+// O SQLite grava CURRENT_TIMESTAMP como "AAAA-MM-DD HH:MM:SS" em UTC, sem fuso
+export const parseServerDate = (value) => {
+  if (!value) return null;
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  const date = new Date(normalized);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const formatServerDate = (value) => {
+  const date = parseServerDate(value);
+  return date ? date.toLocaleString('pt-BR') : '—';
+};
+
+// Resumo legível do user-agent: "Chrome em Windows"
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Dispositivo desconhecido';
+
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux'],
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser || 'Navegador', system].filter(Boolean).join(' em ');
+};
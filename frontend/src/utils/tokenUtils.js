@@ -1,27 +1,49 @@
-// Utilitário para gerenciar tokens em desenvolvimento
-export const createMockToken = (uid) => {
-  return `mock-token-${uid}`;
-};
+// Utilitário para gerenciar os tokens de sessão (access token + refresh token)
+const ACCESS_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
 
-export const isMockToken = (token) => {
-  return token && token.startsWith('mock-token-');
+// Decodifica o payload do access token (sem validar assinatura - isso é papel do backend)
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
 };
 
-export const extractUidFromMockToken = (token) => {
-  if (isMockToken(token)) {
-    return token.split('-')[2];
-  }
-  return null;
+// Considera expirado um pouco antes do prazo para evitar requisições no limite
+export const isTokenExpired = (token, marginSeconds = 30) => {
+  const payload = token ? decodeToken(token) : null;
+  if (!payload?.exp) return true;
+  return payload.exp - marginSeconds <= Math.floor(Date.now() / 1000);
 };
 
 export const validateToken = (token) => {
   if (!token) return false;
-  
-  // Aceita tokens mock ou tokens Firebase
-  return isMockToken(token) || token.length > 20;
+  return decodeToken(token) !== null;
 };
 
 export const getAuthToken = () => {
   if (typeof window === 'undefined') return null;
-  return localStorage.getItem('authToken');
+  return localStorage.getItem(ACCESS_TOKEN_KEY);
+};
+
+export const getRefreshToken = () => {
+  if (typeof window === 'undefined') return null;
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+};
+
+export const saveTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem('user');
+  localStorage.removeItem('rememberedEmail');
+  localStorage.removeItem('rememberedPassword');
 };
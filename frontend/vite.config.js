@@ -1,9 +1,18 @@
 // vite.config.js
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { fileURLToPath } from 'node:url';
+
+// Módulos compartilhados com o backend (ex.: validação de CPF/CNPJ)
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url));
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@shared': sharedDir,
+    },
+  },
   // Configuração para SPA (Single Page Application)
   build: {
     // Incluir arquivos do public/ no build
@@ -17,6 +26,10 @@ export default defineConfig({
   server: {
     // Fallback para index.html em desenvolvimento
     historyApiFallback: true,
+    // Permite servir ../shared, fora da raiz do projeto
+    fs: {
+      allow: ['.', sharedDir],
+    },
   },
   // Configuração para preview
   preview: {
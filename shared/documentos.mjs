@@ -0,0 +1,152 @@
+// Documentos de pessoas físicas e jurídicas (CPF e CNPJ)
+//
+// Módulo compartilhado entre backend (require) e frontend (import via alias @shared).
+// Aceita o CNPJ alfanumérico (a partir de julho/2026): os 12 primeiros caracteres podem
+// ser letras maiúsculas ou dígitos e os 2 últimos continuam sendo dígitos verificadores.
+// O valor de cada caractere no cálculo do DV é o código ASCII menos 48 ('0' = 0, 'A' = 17).
+
+const PESOS_CNPJ = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Formatos com pontuação, mesmo que o DV não confira (usados para limpar descrições)
+const REGEX_CNPJ_FORMATADO = /\b[0-9A-Z]{2}\.[0-9A-Z]{3}\.[0-9A-Z]{3}\/[0-9A-Z]{4}-\d{2}\b/gi;
+const REGEX_CPF_FORMATADO = /\b\d{3}\.\d{3}\.\d{3}-\d{2}\b/g;
+// Candidatos sem pontuação (ou com pontuação parcial), validados pelo DV
+const REGEX_CNPJ_CANDIDATO = /\b[0-9A-Z]{2}\.?[0-9A-Z]{3}\.?[0-9A-Z]{3}\/?[0-9A-Z]{4}-?\d{2}\b/gi;
+const REGEX_CPF_CANDIDATO = /\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/g;
+
+/**
+ * Remove pontuação e espaços, mantendo dígitos e letras em maiúsculas.
+ * @param {string} valor
+ * @returns {string}
+ */
+export function limparDocumento(valor) {
+  return String(valor ?? '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+const valorCaractere = (caractere) => caractere.charCodeAt(0) - 48;
+
+function digitoCnpj(base) {
+  const pesos = PESOS_CNPJ.slice(PESOS_CNPJ.length - base.length);
+  const soma = base.split('').reduce((total, caractere, i) => total + valorCaractere(caractere) * pesos[i], 0);
+  const resto = soma % 11;
+  return resto < 2 ? 0 : 11 - resto;
+}
+
+function digitoCpf(base) {
+  const soma = base.split('').reduce((total, digito, i) => total + Number(digito) * (base.length + 1 - i), 0);
+  return ((soma * 10) % 11) % 10;
+}
+
+/**
+ * Valida CPF (11 dígitos com DV).
+ * @param {string} valor - Com ou sem pontuação
+ * @returns {boolean}
+ */
+export function validarCpf(valor) {
+  const cpf = limparDocumento(valor);
+  if (!/^\d{11}$/.test(cpf) || /^(\d)\1{10}$/.test(cpf)) return false;
+  const dv1 = digitoCpf(cpf.slice(0, 9));
+  const dv2 = digitoCpf(cpf.slice(0, 9) + dv1);
+  return cpf.endsWith(`${dv1}${dv2}`);
+}
+
+/**
+ * Valida CNPJ numérico ou alfanumérico (12 caracteres + 2 dígitos verificadores).
+ * @param {string} valor - Com ou sem pontuação
+ * @returns {boolean}
+ */
+export function validarCnpj(valor) {
+  const cnpj = limparDocumento(valor);
+  if (!/^[0-9A-Z]{12}\d{2}$/.test(cnpj) || /^(.)\1{13}$/.test(cnpj)) return false;
+  const dv1 = digitoCnpj(cnpj.slice(0, 12));
+  const dv2 = digitoCnpj(cnpj.slice(0, 12) + dv1);
+  return cnpj.endsWith(`${dv1}${dv2}`);
+}
+
+/**
+ * Tipo de um documento válido.
+ * @param {string} valor
+ * @returns {'cpf'|'cnpj'|null} null quando não é CPF nem CNPJ válido
+ */
+export function tipoDocumento(valor) {
+  if (validarCpf(valor)) return 'cpf';
+  if (validarCnpj(valor)) return 'cnpj';
+  return null;
+}
+
+export function formatarCpf(valor) {
+  const cpf = limparDocumento(valor);
+  if (cpf.length !== 11) return valor ?? '';
+  return cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+}
+
+export function formatarCnpj(valor) {
+  const cnpj = limparDocumento(valor);
+  if (cnpj.length !== 14) return valor ?? '';
+  return cnpj.replace(/^(.{2})(.{3})(.{3})(.{4})(.{2})$/, '$1.$2.$3/$4-$5');
+}
+
+/**
+ * Formata CPF (11 caracteres) ou CNPJ (14 caracteres); outros valores voltam sem alteração.
+ */
+export function formatarDocumento(valor) {
+  const documento = limparDocumento(valor);
+  if (documento.length === 11) return formatarCpf(documento);
+  if (documento.length === 14) return formatarCnpj(documento);
+  return valor ?? '';
+}
+
+/**
+ * Máscara de digitação: pontua o que já foi digitado. Sem tipo, usa CPF até 11 dígitos
+ * e CNPJ a partir daí (ou assim que aparece uma letra).
+ * @param {string} valor - Texto digitado
+ * @param {'cpf'|'cnpj'} [tipo] - Força o formato
+ * @returns {string}
+ */
+export function mascararDocumento(valor, tipo) {
+  const limpo = limparDocumento(valor);
+  const comoCpf = tipo ? tipo === 'cpf' : limpo.length <= 11 && /^\d*$/.test(limpo);
+  const documento = comoCpf ? limpo.replace(/\D/g, '').slice(0, 11) : limpo.slice(0, 14);
+  const grupos = comoCpf
+    ? [[0, 3, ''], [3, 6, '.'], [6, 9, '.'], [9, 11, '-']]
+    : [[0, 2, ''], [2, 5, '.'], [5, 8, '.'], [8, 12, '/'], [12, 14, '-']];
+  return grupos
+    .filter(([inicio]) => documento.length > inicio)
+    .map(([inicio, fim, separador]) => separador + documento.slice(inicio, fim))
+    .join('');
+}
+
+/**
+ * CPFs e CNPJs válidos encontrados em um texto livre (descrições de extratos, históricos).
+ * @param {string} texto
+ * @returns {string[]} Documentos limpos, na ordem em que aparecem, sem repetição
+ */
+export function extrairDocumentos(texto) {
+  if (!texto) return [];
+  const encontrados = [];
+  // Os trechos com forma de CNPJ são apagados (mantendo as posições) antes de procurar CPFs
+  const semCnpj = String(texto).replace(REGEX_CNPJ_CANDIDATO, (trecho, posicao) => {
+    if (validarCnpj(trecho)) encontrados.push({ posicao, documento: limparDocumento(trecho) });
+    return ' '.repeat(trecho.length);
+  });
+  semCnpj.replace(REGEX_CPF_CANDIDATO, (trecho, posicao) => {
+    if (validarCpf(trecho)) encontrados.push({ posicao, documento: limparDocumento(trecho) });
+    return trecho;
+  });
+  const documentos = encontrados.sort((a, b) => a.posicao - b.posicao).map((item) => item.documento);
+  return [...new Set(documentos)];
+}
+
+/**
+ * Remove de um texto os CPFs/CNPJs formatados (mesmo com DV inválido) e os válidos sem pontuação.
+ * @param {string} texto
+ * @returns {string}
+ */
+export function removerDocumentos(texto) {
+  if (!texto) return '';
+  return String(texto)
+    .replace(REGEX_CNPJ_FORMATADO, ' ')
+    .replace(REGEX_CPF_FORMATADO, ' ')
+    .replace(REGEX_CNPJ_CANDIDATO, (trecho) => (validarCnpj(trecho) ? ' ' : trecho))
+    .replace(REGEX_CPF_CANDIDATO, (trecho) => (validarCpf(trecho) ? ' ' : trecho));
+}